@@ -225,11 +225,17 @@ const getSectionIdFromPath = (pathname) => SECTION_ROUTE_MAP[normalizePath(pathn
 
 // Secondary pages and modals — lazy-loaded so they don't bloat the initial bundle
 const CertificateVerify = lazy(() => import("./pages/CertificateVerify"));
+const CertificatePortal = lazy(() => import("./pages/CertificatePortal"));
 const SoftwarePage = lazy(() => import("./pages/SoftwarePage"));
 const IoTPage = lazy(() => import("./pages/IoTPage"));
 const Careers = lazy(() => import("./pages/Careers"));
+const InterviewSchedule = lazy(() => import("./pages/InterviewSchedule"));
+const ApplicationStatus = lazy(() => import("./pages/ApplicationStatus"));
+const QuotationResponse = lazy(() => import("./pages/QuotationResponse"));
+const PaymentPage = lazy(() => import("./pages/PaymentPage"));
 const Gallery = lazy(() => import("./components/Gallery"));
 const Awards = lazy(() => import("./components/Awards"));
+const JudgingPanel = lazy(() => import("./pages/JudgingPanel"));
 const ForgotPassword = lazy(() => import("./components/ForgotPassword"));
 const Account = lazy(() => import("./components/Account"));
 const AdminDashboard = lazy(() => import("./components/AdminDashboard"));
@@ -586,12 +592,13 @@ function App() {
 
   return (
     <ErrorBoundary>
-      <CartProvider>
+      <CartProvider isAuthenticated={isAuthenticated}>
       <div className="App">
         <GoogleAdSense />
         <Suspense fallback={null}>
         <Routes>
           <Route path="/verify/:certificateId" element={<CertificateVerify />} />
+          <Route path="/certificates/portal" element={<CertificatePortal />} />
           <Route path="/software" element={renderPublicPage(<SoftwarePage />)} />
           <Route path="/iot" element={renderPublicPage(<IoTPage />)} />
           <Route path="/careers" element={renderPublicPage(
@@ -660,6 +667,7 @@ function App() {
               <Awards onClose={() => navigate("/")} showStandaloneChrome={false} />
             </>
           )} />
+          <Route path="/awards/judging" element={renderPublicPage(<JudgingPanel />)} />
           <Route path="/privacy-policy" element={
             <>
               <SEO
@@ -694,6 +702,10 @@ function App() {
               />
             </>
           } />
+          <Route path="/interviews/:token" element={renderPublicPage(<InterviewSchedule />)} />
+          <Route path="/applications/:token" element={renderPublicPage(<ApplicationStatus />)} />
+          <Route path="/quotations/:token" element={renderPublicPage(<QuotationResponse />)} />
+          <Route path="/pay/:token" element={renderPublicPage(<PaymentPage />)} />
           <Route path="/jobs/:jobId" element={<JobShareRedirect />} />
           {SECTION_ROUTES.map((path) => (
             <Route key={path} path={path} element={renderHomePage()} />
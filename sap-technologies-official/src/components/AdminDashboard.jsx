@@ -10,8 +10,15 @@ import PartnerForm from "./PartnerForm";
 import ProductForm from "./ProductForm";
 import GalleryForm from "./GalleryForm";
 import JobForm from "./JobForm";
+import JobPipelineBoard from "./JobPipelineBoard";
+import ApplicationInterviews from "./ApplicationInterviews";
+import CandidateSearch from "./CandidateSearch";
 import AdminDebugTools from "./AdminDebugTools";
 import AwardsAdmin from "./AwardsAdmin";
+import OrdersAdmin from "./OrdersAdmin";
+import QuotationsAdmin from "./QuotationsAdmin";
+import InvoicesAdmin from "./InvoicesAdmin";
+import PaymentsAdmin from "./PaymentsAdmin";
 import VisitorAnalytics from "./VisitorAnalytics";
 import "../styles/AdminDashboard.css";
 
@@ -137,7 +144,8 @@ const JOB_APPLICATION_STATUS_OPTIONS = [
   { value: "reviewed", label: "Reviewed", tone: "reviewed", description: "Application has been reviewed" },
   { value: "interviewed", label: "Interview stage", tone: "interviewed", description: "Candidate has moved to interviews" },
   { value: "accepted", label: "Accepted", tone: "accepted", description: "Candidate has been accepted" },
-  { value: "rejected", label: "Not selected", tone: "rejected", description: "Candidate will not move forward" }
+  { value: "rejected", label: "Not selected", tone: "rejected", description: "Candidate will not move forward" },
+  { value: "withdrawn", label: "Withdrawn", tone: "withdrawn", description: "Applicant withdrew; their files were deleted" }
 ];
 
 const getJobApplicationStatusMeta = (status = "pending") => (
@@ -158,11 +166,27 @@ const formatAdminDate = (value, options = {}) => {
   });
 };
 
+// Posting state from the active flag and the publish/deadline dates
+const getJobPostingStatus = (job = {}) => {
+  const now = new Date();
+  if (job.isActive && job.publishAt && new Date(job.publishAt) > now) return { label: "Scheduled", className: "pending" };
+  if (job.closedReason === "deadline" || (job.applicationDeadline && new Date(job.applicationDeadline) <= now)) {
+    return { label: "Closed", className: "inactive" };
+  }
+  return job.isActive ? { label: "Active", className: "active" } : { label: "Inactive", className: "inactive" };
+};
+
 const getApplicantInitials = (name = "") => {
   const parts = String(name || "Applicant").trim().split(/\s+/).filter(Boolean);
   return (parts.slice(0, 2).map((part) => part.charAt(0)).join("") || "A").toUpperCase();
 };
 
+const formatApplicationAnswer = (answer = {}) => {
+  if (Array.isArray(answer.value)) return answer.value.join(", ");
+  if (answer.type === "date") return formatAdminDate(answer.value, { dateOnly: true });
+  return String(answer.value ?? "");
+};
+
 const buildApplicantEmailDraft = (application = {}) => {
   const firstName = String(application.fullName || "there").trim().split(/\s+/)[0] || "there";
   const jobTitle = application.job?.title || "your application";
@@ -273,6 +297,8 @@ const AdminDashboard = ({ user, onClose }) => {
   // Main navigation state - tracks which admin section is currently active
   const [activeTab, setActiveTab] = useState("overview");
   const [sidebarOpen, setSidebarOpen] = useState(false); // sidebar collapsed by default on mobile
+  const [openQuotationId, setOpenQuotationId] = useState(null); // quotation to open when switching to the Quotations tab
+  const [openInvoiceId, setOpenInvoiceId] = useState(null); // invoice to open when switching to the Invoices tab
   
   // Data states - all the information we display in different admin sections
   const [dashboardStats, setDashboardStats] = useState(null); // Overview numbers and charts
@@ -371,6 +397,8 @@ const AdminDashboard = ({ user, onClose }) => {
   const [showJobForm, setShowJobForm] = useState(false);
   const [editingGallery, setEditingGallery] = useState(null);
   const [editingJob, setEditingJob] = useState(null);
+  const [pipelineJob, setPipelineJob] = useState(null);
+  const [showCandidateSearch, setShowCandidateSearch] = useState(false);
   const [hasFetchedInitialData, setHasFetchedInitialData] = useState(false);
 
   // Utility function to set message with auto-dismissal
@@ -435,6 +463,18 @@ const AdminDashboard = ({ user, onClose }) => {
       case "service-quotes":
         fetchServiceQuotes();
         break;
+      case "orders":
+        // Orders are loaded by the OrdersAdmin component itself
+        break;
+      case "quotations":
+        // Quotations are loaded by the QuotationsAdmin component itself
+        break;
+      case "invoices":
+        // Invoices and the receivables report are loaded by the InvoicesAdmin component itself
+        break;
+      case "payments":
+        // Payments are loaded by the PaymentsAdmin component itself
+        break;
       case "awards":
         // Awards data is loaded by the AwardsAdmin component itself
         break;
@@ -1317,6 +1357,36 @@ ${request.adminNotes ? `Admin Notes:\n${request.adminNotes}` : ""}`);
     }
   };
 
+  // Draft a quotation from a service quote request or an order and open it in the Quotations tab
+  const handleCreateQuotation = async (source) => {
+    try {
+      const response = await apiService.createQuotation(source);
+      setOpenQuotationId(response.data.quotation._id);
+      setActiveTab("quotations");
+      setAutoMessage(response.message);
+    } catch (error) {
+      setAutoMessage("Couldn't create quotation: " + (error.response?.data?.message || error.message), true);
+    }
+  };
+
+  // Draft an invoice from an accepted quotation or service quote request and open it in the
+  // Invoices tab. If one already exists, open that instead.
+  const handleCreateInvoice = async (source) => {
+    try {
+      const response = await apiService.createInvoice(source);
+      setOpenInvoiceId(response.data.invoice._id);
+      setActiveTab("invoices");
+      setAutoMessage(response.message);
+    } catch (error) {
+      const existing = error.response?.data?.data?.invoice;
+      if (existing) {
+        setOpenInvoiceId(existing._id);
+        setActiveTab("invoices");
+      }
+      setAutoMessage("Couldn't create invoice: " + (error.response?.data?.message || error.message), true);
+    }
+  };
+
   const fetchEmailSettings = async () => {
     try {
       const response = await apiService.getAdminEmailSettings();
@@ -2352,6 +2422,11 @@ ${request.adminNotes ? `Admin Notes:\n${request.adminNotes}` : ""}`);
                 <span className="nav-icon" aria-hidden="true">{"\uD83D\uDCE6"}</span>
                 <span>Products ({dashboardStats?.stats?.totalProducts || products.length || 0})</span>
               </button>
+              <button className={`nav-btn ${activeTab === "orders" ? "active" : ""}`}
+                onClick={() => { setActiveTab("orders"); setSidebarOpen(false); }}>
+                <span className="nav-icon" aria-hidden="true">{"\uD83D\uDED2"}</span>
+                <span>Orders</span>
+              </button>
               <button className={`nav-btn ${activeTab === "product-inquiries" ? "active" : ""}`}
                 onClick={() => { setActiveTab("product-inquiries"); setSidebarOpen(false); }}>
                 <span className="nav-icon" aria-hidden="true">{"\uD83D\uDCE8"}</span>
@@ -2362,6 +2437,21 @@ ${request.adminNotes ? `Admin Notes:\n${request.adminNotes}` : ""}`);
                 <span className="nav-icon" aria-hidden="true">{"\uD83D\uDCBC"}</span>
                 <span>Service Quotes ({dashboardStats?.stats?.totalServiceQuotes || serviceQuotes.length || 0})</span>
               </button>
+              <button className={`nav-btn ${activeTab === "quotations" ? "active" : ""}`}
+                onClick={() => { setActiveTab("quotations"); setSidebarOpen(false); }}>
+                <span className="nav-icon" aria-hidden="true">{"\uD83D\uDCC4"}</span>
+                <span>Quotations</span>
+              </button>
+              <button className={`nav-btn ${activeTab === "invoices" ? "active" : ""}`}
+                onClick={() => { setActiveTab("invoices"); setSidebarOpen(false); }}>
+                <span className="nav-icon" aria-hidden="true">{"\uD83E\uDDFE"}</span>
+                <span>Invoices</span>
+              </button>
+              <button className={`nav-btn ${activeTab === "payments" ? "active" : ""}`}
+                onClick={() => { setActiveTab("payments"); setSidebarOpen(false); }}>
+                <span className="nav-icon" aria-hidden="true">{"\uD83D\uDCF1"}</span>
+                <span>Payments</span>
+              </button>
               <button className={`nav-btn ${activeTab === "awards" ? "active" : ""}`}
                 onClick={() => { setActiveTab("awards"); setSidebarOpen(false); }}>
                 <span className="nav-icon" aria-hidden="true">{"\uD83C\uDFC6"}</span>
@@ -2560,6 +2650,7 @@ ${request.adminNotes ? `Admin Notes:\n${request.adminNotes}` : ""}`);
                     <option value="">All Roles</option>
                     <option value="user">Users</option>
                     <option value="admin">Admins</option>
+                    <option value="judge">Judges</option>
                   </select>
                 </div>
                 <div className="action-buttons">
@@ -2607,6 +2698,7 @@ ${request.adminNotes ? `Admin Notes:\n${request.adminNotes}` : ""}`);
                           >
                             <option value="user">User</option>
                             <option value="admin">Admin</option>
+                            <option value="judge">Judge</option>
                           </select>
                           <button
                             onClick={() => handleUserDelete(user._id, user.name)}
@@ -3564,6 +3656,10 @@ ${request.adminNotes ? `Admin Notes:\n${request.adminNotes}` : ""}`);
                 </div>
               </div>
 
+              {pipelineJob && (
+                <JobPipelineBoard job={pipelineJob} onClose={() => setPipelineJob(null)} />
+              )}
+
               <div className="data-table">
                 <div className="table-container">
                   <table>
@@ -3619,9 +3715,12 @@ ${request.adminNotes ? `Admin Notes:\n${request.adminNotes}` : ""}`);
                             <td>{job.location || "-"}</td>
                             <td>{job.employmentType || "-"}</td>
                             <td>
-                              <span className={`status-badge ${job.isActive ? "active" : "inactive"}`}>
-                                {job.isActive ? "Active" : "Inactive"}
+                              <span className={`status-badge ${getJobPostingStatus(job).className}`}>
+                                {getJobPostingStatus(job).label}
                               </span>
+                              {job.publishAt && new Date(job.publishAt) > new Date() && (
+                                <small className="table-subtext">Goes live {formatAdminDate(job.publishAt)}</small>
+                              )}
                               {job.isFeatured && <span className="featured-badge featured">Featured</span>}
                             </td>
                             <td>
@@ -3638,6 +3737,13 @@ ${request.adminNotes ? `Admin Notes:\n${request.adminNotes}` : ""}`);
                                 >
                                   <i className="fas fa-edit"></i> Edit
                                 </button>
+                                <button
+                                  className="btn-small btn-view"
+                                  onClick={() => setPipelineJob(job)}
+                                  title="Open hiring pipeline"
+                                >
+                                  <i className="fas fa-columns"></i> Pipeline
+                                </button>
                                 <button
                                   className="btn-small btn-delete"
                                   onClick={() => handleJobDelete(job._id, job.title)}
@@ -3671,12 +3777,26 @@ ${request.adminNotes ? `Admin Notes:\n${request.adminNotes}` : ""}`);
                     <i className="fas fa-envelope-circle-check"></i>
                     Status changes email applicants
                   </span>
+                  <button className="btn-refresh" onClick={() => setShowCandidateSearch(!showCandidateSearch)}>
+                    <i className="fas fa-search"></i> Candidate database
+                  </button>
                   <button className="btn-refresh" onClick={() => fetchJobApplications(1)}>
                     Refresh
                   </button>
                 </div>
               </div>
 
+              {showCandidateSearch && (
+                <CandidateSearch
+                  onClose={() => setShowCandidateSearch(false)}
+                  onShowApplications={(email) => {
+                    setJobApplicationsStatusFilter("");
+                    setJobApplicationsSearch(email);
+                    setShowCandidateSearch(false);
+                  }}
+                />
+              )}
+
               <div className="job-applications-insights">
                 <article>
                   <span>Total applications</span>
@@ -3776,6 +3896,13 @@ ${request.adminNotes ? `Admin Notes:\n${request.adminNotes}` : ""}`);
                                   <span className={`application-status-badge tone-${getJobApplicationStatusMeta(application.status).tone}`}>
                                     {getJobApplicationStatusMeta(application.status).label}
                                   </span>
+                                  {application.tags?.length > 0 && (
+                                    <span className="applicant-tags">
+                                      {application.tags.map((tag) => (
+                                        <span key={tag} className="applicant-tag">{tag}</span>
+                                      ))}
+                                    </span>
+                                  )}
                                 </div>
                               </div>
                               {application.coverLetter && (
@@ -3835,12 +3962,17 @@ ${request.adminNotes ? `Admin Notes:\n${request.adminNotes}` : ""}`);
                                 onChange={(e) => handleJobApplicationStatusUpdate(application, e.target.value)}
                                 className={`status-select status-${application.status || "pending"}`}
                                 aria-label={`Update status for ${application.fullName}`}
+                                disabled={application.status === "withdrawn"}
                               >
-                                {JOB_APPLICATION_STATUS_OPTIONS.map((option) => (
-                                  <option key={option.value} value={option.value}>{option.label}</option>
-                                ))}
+                                {JOB_APPLICATION_STATUS_OPTIONS
+                                  .filter((option) => option.value !== "withdrawn" || application.status === "withdrawn")
+                                  .map((option) => (
+                                    <option key={option.value} value={option.value}>{option.label}</option>
+                                  ))}
                               </select>
-                              <small className="status-email-hint">Sends a branded email</small>
+                              <small className="status-email-hint">
+                                {application.status === "withdrawn" ? `Withdrawn ${formatAdminDate(application.withdrawnAt, { dateOnly: true })}` : "Sends a branded email"}
+                              </small>
                             </td>
                             <td>
                               <strong>{formatAdminDate(application.createdAt, { dateOnly: true })}</strong>
@@ -4287,6 +4419,7 @@ IP: ${inquiry.metadata?.ipAddress || 'N/A'}
                     <option value="accepted"> Accepted</option>
                     <option value="rejected"> Rejected</option>
                     <option value="expired"> Expired</option>
+                    <option value="converted"> Converted</option>
                   </select>
                 </div>
               </div>
@@ -4360,6 +4493,7 @@ IP: ${inquiry.metadata?.ipAddress || 'N/A'}
                                 <option value="accepted"> Accepted</option>
                                 <option value="rejected"> Rejected</option>
                                 <option value="expired"> Expired</option>
+                                <option value="converted"> Converted</option>
                               </select>
                             </td>
                             <td>{new Date(quote.createdAt).toLocaleDateString()}</td>
@@ -4386,6 +4520,22 @@ IP: ${quote.metadata?.ipAddress || 'N/A'}
                                 >
                                   <i className="fas fa-eye"></i> View
                                 </button>
+                                <button
+                                  className="btn-small"
+                                  onClick={() => handleCreateQuotation({ serviceQuoteId: quote._id })}
+                                  title="Draft a priced quotation for this request"
+                                >
+                                  <i className="fas fa-file-invoice"></i> Quote
+                                </button>
+                                {["accepted", "converted"].includes(quote.status) && (
+                                  <button
+                                    className="btn-small"
+                                    onClick={() => handleCreateInvoice({ serviceQuoteId: quote._id })}
+                                    title="Draft an invoice for this request"
+                                  >
+                                    <i className="fas fa-file-invoice-dollar"></i> Invoice
+                                  </button>
+                                )}
                                 <button
                                   className="btn-small btn-delete"
                                   onClick={() => handleDeleteQuote(quote._id, quote.serviceName)}
@@ -4429,6 +4579,37 @@ IP: ${quote.metadata?.ipAddress || 'N/A'}
             </div>
           )}
 
+          {/* Orders Tab */}
+          {activeTab === "orders" && (
+            <div className="tab-panel">
+              <OrdersAdmin onCreateQuotation={(orderId) => handleCreateQuotation({ orderId })} />
+            </div>
+          )}
+
+          {/* Quotations Tab */}
+          {activeTab === "quotations" && (
+            <div className="tab-panel">
+              <QuotationsAdmin
+                initialQuotationId={openQuotationId}
+                onCreateInvoice={(quotationId) => handleCreateInvoice({ quotationId })}
+              />
+            </div>
+          )}
+
+          {/* Invoices Tab */}
+          {activeTab === "invoices" && (
+            <div className="tab-panel">
+              <InvoicesAdmin initialInvoiceId={openInvoiceId} />
+            </div>
+          )}
+
+          {/* Payments Tab */}
+          {activeTab === "payments" && (
+            <div className="tab-panel">
+              <PaymentsAdmin />
+            </div>
+          )}
+
           {/* Awards Tab */}
           {activeTab === "awards" && (
             <div className="tab-panel">
@@ -4699,6 +4880,12 @@ IP: ${quote.metadata?.ipAddress || 'N/A'}
                 <p><strong>Phone:</strong> {selectedJobApplication.phone || "Not provided"}</p>
                 <p><strong>Submitted:</strong> {formatAdminDate(selectedJobApplication.createdAt)}</p>
                 <p><strong>Last emailed:</strong> {formatAdminDate(selectedJobApplication.lastContactedAt)}</p>
+                {selectedJobApplication.resumeUpdatedAt && (
+                  <p><strong>Resume updated:</strong> {formatAdminDate(selectedJobApplication.resumeUpdatedAt)}</p>
+                )}
+                {selectedJobApplication.withdrawnAt && (
+                  <p><strong>Withdrawn:</strong> {formatAdminDate(selectedJobApplication.withdrawnAt)}{selectedJobApplication.withdrawReason ? ` — ${selectedJobApplication.withdrawReason}` : ""}</p>
+                )}
               </section>
 
               <section className="applicant-detail-card">
@@ -4710,6 +4897,51 @@ IP: ${quote.metadata?.ipAddress || 'N/A'}
               </section>
             </div>
 
+            {selectedJobApplication.stageHistory?.length > 0 && (
+              <section className="applicant-detail-card full">
+                <h4>Stage history</h4>
+                <ol className="applicant-stage-history">
+                  {[...selectedJobApplication.stageHistory].reverse().map((entry, index) => (
+                    <li key={`${entry.stage}-${entry.enteredAt}-${index}`}>
+                      <strong>{entry.stageName || entry.stage}</strong>
+                      <small>
+                        {formatAdminDate(entry.enteredAt)}
+                        {entry.movedBy?.name ? ` • ${entry.movedBy.name}` : ""}
+                      </small>
+                      {entry.note && <p>{entry.note}</p>}
+                    </li>
+                  ))}
+                </ol>
+              </section>
+            )}
+
+            {(selectedJobApplication.answers?.length > 0 || selectedJobApplication.knockouts?.length > 0) && (
+              <section className="applicant-detail-card full">
+                <h4>Screening answers</h4>
+                {selectedJobApplication.knockouts?.length > 0 && (
+                  <ul className="applicant-knockouts">
+                    {selectedJobApplication.knockouts.map((knockout) => (
+                      <li key={knockout.questionKey} className={`knockout-${knockout.action}`}>
+                        <strong>{knockout.action === "reject" ? "Screened out" : "Flagged"}:</strong>{" "}
+                        {knockout.label} — {knockout.reason}
+                        <span className="applicant-tag">{knockout.tag}</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                <dl className="applicant-answers">
+                  {(selectedJobApplication.answers || []).map((answer) => (
+                    <div key={answer.questionKey}>
+                      <dt>{answer.label}</dt>
+                      <dd>{formatApplicationAnswer(answer)}</dd>
+                    </div>
+                  ))}
+                </dl>
+              </section>
+            )}
+
+            <ApplicationInterviews key={selectedJobApplication._id} application={selectedJobApplication} />
+
             <section className="applicant-detail-card full">
               <h4>Cover letter</h4>
               <p className="applicant-cover-letter">
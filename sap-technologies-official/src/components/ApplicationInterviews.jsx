@@ -0,0 +1,252 @@
+import React, { useState, useEffect, useCallback } from "react";
+import apiService from "../services/api";
+import { showAlert, Swal } from "../utils/alerts.jsx";
+
+const INTERVIEW_STATUS_META = {
+  proposed: { label: "Waiting for applicant", tone: "reviewed" },
+  scheduled: { label: "Booked", tone: "accepted" },
+  cancelled: { label: "Cancelled", tone: "rejected" }
+};
+
+const INTERVIEW_MODE_OPTIONS = [
+  { value: "video", label: "Video call" },
+  { value: "in-person", label: "In person" },
+  { value: "phone", label: "Phone call" }
+];
+
+const errorMessage = (error, fallback) => error.response?.data?.message || error.message || fallback;
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString([], {
+  weekday: "short",
+  day: "numeric",
+  month: "short",
+  hour: "2-digit",
+  minute: "2-digit"
+}) : "—");
+
+const emptyForm = (interview = null) => ({
+  interviewId: interview?._id || null,
+  title: interview?.title || "Interview",
+  mode: interview?.mode || "video",
+  location: interview?.location || "",
+  meetingUrl: interview?.meetingUrl || "",
+  durationMinutes: interview?.durationMinutes || 45,
+  notes: interview?.notes || "",
+  slots: [""]
+});
+
+// Interviews for one job application: offer times, reschedule and cancel
+const ApplicationInterviews = ({ application }) => {
+  const [interviews, setInterviews] = useState([]);
+  const [form, setForm] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const loadInterviews = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await apiService.getApplicationInterviews(application._id);
+      setInterviews(response.data?.interviews || []);
+    } catch (error) {
+      console.error("❌ Error loading interviews:", error);
+    } finally {
+      setLoading(false);
+    }
+  }, [application._id]);
+
+  useEffect(() => {
+    loadInterviews();
+  }, [loadInterviews]);
+
+  const hasActiveInterview = interviews.some(interview => interview.status !== "cancelled");
+
+  const updateForm = (changes) => setForm(prev => ({ ...prev, ...changes }));
+
+  const updateSlot = (index, value) => {
+    setForm(prev => ({ ...prev, slots: prev.slots.map((slot, slotIndex) => (slotIndex === index ? value : slot)) }));
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+
+    const slots = form.slots.filter(Boolean).map(value => new Date(value).toISOString());
+    if (slots.length === 0) {
+      showAlert.warning("Add a time", "Offer at least one interview time.");
+      return;
+    }
+
+    const interviewData = {
+      title: form.title.trim(),
+      mode: form.mode,
+      location: form.location.trim(),
+      meetingUrl: form.meetingUrl.trim(),
+      durationMinutes: Number(form.durationMinutes),
+      notes: form.notes.trim(),
+      slots
+    };
+
+    setSaving(true);
+    try {
+      const response = form.interviewId
+        ? await apiService.rescheduleInterview(application._id, form.interviewId, interviewData)
+        : await apiService.proposeInterview(application._id, interviewData);
+      setForm(null);
+      await loadInterviews();
+      if (response.data?.emailSent === false) {
+        showAlert.warning("Email not sent", response.message);
+      } else {
+        showAlert.success("Interview times sent", response.message, { timer: 2500, showConfirmButton: false });
+      }
+    } catch (error) {
+      console.error("❌ Error saving interview:", error);
+      showAlert.error("Couldn't arrange interview", errorMessage(error, "Please check the details and try again."));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCancel = async (interview) => {
+    const { value: reason, isConfirmed } = await Swal.fire({
+      title: "Cancel this interview?",
+      text: interview.status === "scheduled"
+        ? "The applicant will be emailed and the event removed from their calendar."
+        : "The applicant will be told the invitation is withdrawn.",
+      input: "textarea",
+      inputPlaceholder: "Message to the applicant (optional)",
+      inputAttributes: { maxlength: 500 },
+      showCancelButton: true,
+      confirmButtonText: "Cancel interview",
+      cancelButtonText: "Keep it"
+    });
+    if (!isConfirmed) return;
+
+    try {
+      const response = await apiService.cancelInterview(application._id, interview._id, reason || "");
+      await loadInterviews();
+      showAlert.success("Interview cancelled", response.message, { timer: 2500, showConfirmButton: false });
+    } catch (error) {
+      console.error("❌ Error cancelling interview:", error);
+      showAlert.error("Couldn't cancel interview", errorMessage(error, "Please try again."));
+    }
+  };
+
+  return (
+    <section className="applicant-detail-card full application-interviews">
+      <div className="application-interviews-header">
+        <h4>Interviews</h4>
+        {!form && !hasActiveInterview && application.status !== "rejected" && (
+          <button className="btn-small btn-edit" onClick={() => setForm(emptyForm())}>
+            <i className="fas fa-calendar-plus"></i> Arrange interview
+          </button>
+        )}
+      </div>
+
+      {loading && interviews.length === 0 && <span className="table-muted">Loading interviews...</span>}
+      {!loading && interviews.length === 0 && !form && <span className="table-muted">No interviews arranged yet.</span>}
+
+      {interviews.map(interview => {
+        const meta = INTERVIEW_STATUS_META[interview.status] || INTERVIEW_STATUS_META.proposed;
+        return (
+          <article key={interview._id} className="application-interview">
+            <div className="application-interview-summary">
+              <strong>{interview.title}</strong>
+              <span className={`application-status-badge tone-${meta.tone}`}>{meta.label}</span>
+            </div>
+            {interview.status === "scheduled" && (
+              <p><i className="fas fa-calendar-check"></i> {formatDateTime(interview.scheduledStart)} · {interview.durationMinutes} min</p>
+            )}
+            {interview.status === "proposed" && (
+              <p>Offered: {interview.slots.map(slot => formatDateTime(slot.start)).join(" · ")}</p>
+            )}
+            {interview.status === "cancelled" && interview.cancelReason && <p>Reason: {interview.cancelReason}</p>}
+            <small>
+              {INTERVIEW_MODE_OPTIONS.find(option => option.value === interview.mode)?.label}
+              {interview.location ? ` · ${interview.location}` : ""}
+              {interview.proposedBy?.name ? ` · arranged by ${interview.proposedBy.name}` : ""}
+            </small>
+            {interview.status !== "cancelled" && !form && (
+              <div className="action-buttons">
+                <button className="btn-small btn-edit" onClick={() => setForm(emptyForm(interview))}>
+                  <i className="fas fa-clock"></i> Reschedule
+                </button>
+                <button className="btn-small btn-delete" onClick={() => handleCancel(interview)}>
+                  <i className="fas fa-times"></i> Cancel
+                </button>
+              </div>
+            )}
+          </article>
+        );
+      })}
+
+      {form && (
+        <form className="interview-form" onSubmit={handleSubmit}>
+          <div className="interview-form-grid">
+            <label>
+              Title
+              <input type="text" value={form.title} maxLength={100} onChange={(e) => updateForm({ title: e.target.value })} />
+            </label>
+            <label>
+              Format
+              <select value={form.mode} onChange={(e) => updateForm({ mode: e.target.value })}>
+                {INTERVIEW_MODE_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+            <label>
+              Duration (minutes)
+              <input type="number" min={15} max={480} step={5} value={form.durationMinutes} onChange={(e) => updateForm({ durationMinutes: e.target.value })} />
+            </label>
+            <label>
+              Location
+              <input type="text" value={form.location} maxLength={200} placeholder="Office address or dial-in" onChange={(e) => updateForm({ location: e.target.value })} />
+            </label>
+            {form.mode === "video" && (
+              <label className="full">
+                Meeting link
+                <input type="url" value={form.meetingUrl} maxLength={500} placeholder="https://" onChange={(e) => updateForm({ meetingUrl: e.target.value })} />
+              </label>
+            )}
+            <label className="full">
+              Message to the applicant
+              <textarea rows={3} value={form.notes} maxLength={1000} onChange={(e) => updateForm({ notes: e.target.value })} />
+            </label>
+          </div>
+
+          <div className="interview-slots">
+            <span>{form.interviewId ? "New times to offer" : "Times to offer"}</span>
+            {form.slots.map((slot, index) => (
+              <div key={index} className="interview-slot-row">
+                <input type="datetime-local" value={slot} onChange={(e) => updateSlot(index, e.target.value)} required={index === 0} />
+                {form.slots.length > 1 && (
+                  <button
+                    type="button"
+                    className="btn-small btn-delete"
+                    onClick={() => updateForm({ slots: form.slots.filter((_, slotIndex) => slotIndex !== index) })}
+                    title="Remove time"
+                  >
+                    <i className="fas fa-trash"></i>
+                  </button>
+                )}
+              </div>
+            ))}
+            {form.slots.length < 10 && (
+              <button type="button" className="btn-small" onClick={() => updateForm({ slots: [...form.slots, ""] })}>
+                <i className="fas fa-plus"></i> Add time
+              </button>
+            )}
+          </div>
+
+          <div className="action-buttons">
+            <button type="submit" className="btn btn-primary" disabled={saving}>
+              {saving ? "Sending..." : form.interviewId ? "Send new times" : "Send invitation"}
+            </button>
+            <button type="button" className="btn-small" onClick={() => setForm(null)} disabled={saving}>Cancel</button>
+          </div>
+        </form>
+      )}
+    </section>
+  );
+};
+
+export default ApplicationInterviews;
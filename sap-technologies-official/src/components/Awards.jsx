@@ -1,5 +1,5 @@
-import React, { useState, useEffect, useRef } from "react";
-import { useNavigate } from "react-router-dom";
+import React, { useState, useEffect, useRef, useCallback } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
 import { showAlert } from "../utils/alerts";
 import apiService from "../services/api";
 import { getImageUrl, PLACEHOLDERS } from "../utils/imageUrl";
@@ -13,8 +13,15 @@ import "../styles/IconLibrary.css";
 
 const Awards = ({ onClose, showStandaloneChrome = true }) => {
   const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
   const [categories, setCategories] = useState([]);
   const [nominations, setNominations] = useState([]);
+  const [editions, setEditions] = useState([]);
+  const [selectedEdition, setSelectedEdition] = useState("");
+  const [edition, setEdition] = useState(null);
+  const [votingWindow, setVotingWindow] = useState(null);
+  const [results, setResults] = useState([]);
+  const [nominationsVersion, setNominationsVersion] = useState(0);
   const [selectedCategory, setSelectedCategory] = useState("");
   const [showNominationForm, setShowNominationForm] = useState(false);
   const containerRef = useRef(null);
@@ -68,41 +75,42 @@ const Awards = ({ onClose, showStandaloneChrome = true }) => {
     nominatorOrganization: ""
   });
 
-  // Load categories
+  // Load past and current editions for the archive selector
   useEffect(() => {
-    loadCategories();
-    
-    // Countdown timer - SAPTech Awards 2026 deadline: December 25, 2026, 23:59:59
-    const deadline = new Date("2026-12-25T23:59:59").getTime();
-    
-    const timer = setInterval(() => {
-      const now = new Date().getTime();
-      const distance = deadline - now;
-      
-      if (distance > 0) {
-        setCountdown({
-          days: Math.floor(distance / (1000 * 60 * 60 * 24)),
-          hours: Math.floor((distance % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60)),
-          minutes: Math.floor((distance % (1000 * 60 * 60)) / (1000 * 60)),
-          seconds: Math.floor((distance % (1000 * 60)) / 1000)
-        });
-      } else {
-        clearInterval(timer);
-      }
-    }, 1000);
-    
-    return () => clearInterval(timer);
+    loadEditions();
   }, []);
 
-  // Load nominations when filters change
+  // Confirm a vote when arriving from the emailed confirmation link
+  const confirmVoteToken = searchParams.get("confirmVote");
   useEffect(() => {
-    loadNominations();
-  }, [selectedCategory, searchTerm, sortBy, filterCountry, pagination.currentPage]);
+    if (!confirmVoteToken) return;
 
-  const loadCategories = async () => {
+    const confirmVote = async () => {
+      try {
+        const response = await apiService.post("/awards/votes/confirm", { token: confirmVoteToken });
+        showAlert.success("Vote confirmed! 🎉", response.message || "Thank you for your support!");
+        setNominationsVersion(version => version + 1); // Refresh to show updated vote count
+      } catch (error) {
+        showAlert.error("Couldn't confirm your vote", error.message || "This confirmation link is no longer valid. Please vote again.");
+      } finally {
+        setSearchParams(params => {
+          params.delete("confirmVote");
+          return params;
+        }, { replace: true });
+      }
+    };
+
+    confirmVote();
+  }, [confirmVoteToken, setSearchParams]);
+
+  const loadCategories = useCallback(async () => {
     try {
-      const response = await apiService.get("/awards/categories");
+      setLoading(prev => ({ ...prev, categories: true }));
+      const query = selectedEdition ? `?edition=${selectedEdition}` : "";
+      const response = await apiService.get(`/awards/categories${query}`);
       setCategories(response.data.categories);
+      setEdition(response.data.edition || null);
+      setVotingWindow(response.data.votingWindow || null);
     } catch (error) {
       console.error("Failed to load categories:", error);
       // Only show error if it's not a network/timeout issue
@@ -112,9 +120,9 @@ const Awards = ({ onClose, showStandaloneChrome = true }) => {
     } finally {
       setLoading(prev => ({ ...prev, categories: false }));
     }
-  };
+  }, [selectedEdition]);
 
-  const loadNominations = async () => {
+  const loadNominations = useCallback(async () => {
     try {
       setLoading(prev => ({ ...prev, nominations: true }));
       const params = new URLSearchParams({
@@ -124,6 +132,7 @@ const Awards = ({ onClose, showStandaloneChrome = true }) => {
         sortOrder: "desc"
       });
 
+      if (selectedEdition) params.append("edition", selectedEdition);
       if (selectedCategory) params.append("category", selectedCategory);
       if (filterCountry) params.append("country", filterCountry);
       if (searchTerm) params.append("search", searchTerm);
@@ -140,6 +149,69 @@ const Awards = ({ onClose, showStandaloneChrome = true }) => {
     } finally {
       setLoading(prev => ({ ...prev, nominations: false }));
     }
+  }, [selectedEdition, selectedCategory, searchTerm, sortBy, filterCountry, pagination.currentPage]);
+
+  // Load categories for the selected edition
+  useEffect(() => {
+    loadCategories();
+  }, [loadCategories]);
+
+  // Load published winners and finalists; empty until the admin publishes results
+  useEffect(() => {
+    const loadResults = async () => {
+      try {
+        const response = await apiService.getPublishedAwardResults(selectedEdition ? { edition: selectedEdition } : {});
+        setResults(response.data?.results || []);
+      } catch (error) {
+        console.error("Failed to load award results:", error);
+        setResults([]);
+      }
+    };
+
+    loadResults();
+  }, [selectedEdition]);
+
+  useEffect(() => {
+    // Countdown timer - runs to the next nomination/voting close, falling back to December 25, 2026, 23:59:59
+    const deadline = new Date(getCountdownTarget(edition, votingWindow).date).getTime();
+    
+    const timer = setInterval(() => {
+      const now = new Date().getTime();
+      const distance = deadline - now;
+      
+      if (distance > 0) {
+        setCountdown({
+          days: Math.floor(distance / (1000 * 60 * 60 * 24)),
+          hours: Math.floor((distance % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60)),
+          minutes: Math.floor((distance % (1000 * 60 * 60)) / (1000 * 60)),
+          seconds: Math.floor((distance % (1000 * 60)) / 1000)
+        });
+      } else {
+        clearInterval(timer);
+      }
+    }, 1000);
+    
+    return () => clearInterval(timer);
+  }, [edition, votingWindow]);
+
+  // Load nominations when filters change
+  useEffect(() => {
+    loadNominations();
+  }, [loadNominations, nominationsVersion]);
+
+  const loadEditions = async () => {
+    try {
+      const response = await apiService.get("/awards/editions");
+      setEditions(response.data.editions || []);
+    } catch (error) {
+      console.error("Failed to load award editions:", error);
+    }
+  };
+
+  const handleEditionChange = (editionId) => {
+    setSelectedEdition(editionId);
+    setSelectedCategory("");
+    setPagination(prev => ({ ...prev, currentPage: 1 }));
   };
 
   const handleNominationSubmit = async (e) => {
@@ -257,13 +329,13 @@ const Awards = ({ onClose, showStandaloneChrome = true }) => {
 
   const handleVote = async (nominationId, voterEmail) => {
     try {
-      await apiService.post(`/awards/nominations/${nominationId}/vote`, {
+      const response = await apiService.post(`/awards/nominations/${nominationId}/vote`, {
         voterEmail,
         voterName: "" // Optional
       });
 
-      showSuccess("🎉 Vote Submitted! Thank you for your support!");
-      loadNominations(); // Refresh to show updated vote count
+      // Votes only count once confirmed from the email link
+      showSuccess(`📧 ${response.message || "Check your email to confirm your vote!"}`);
     } catch (error) {
       showAlert.error("Vote didn't go through", error.message || "Something went wrong submitting your vote. Please try again.");
     }
@@ -298,6 +370,15 @@ const Awards = ({ onClose, showStandaloneChrome = true }) => {
 
   const uniqueCountries = [...new Set(nominations.map(nom => nom.nomineeCountry))];
 
+  const awardsYear = edition?.year || "2026";
+
+  const getCategoryVotingWindow = (category) => {
+    const categoryId = category?._id || category;
+    return categories.find(item => item._id === categoryId)?.votingWindow || null;
+  };
+  // Past editions are read-only: no new nominations or votes
+  const isArchived = Boolean(selectedEdition && edition && !edition.isCurrent);
+
   // Handler functions for Footer modals
   const handlePrivacyPolicyOpen = () => {
     setShowPrivacyPolicy(true);
@@ -362,7 +443,7 @@ const Awards = ({ onClose, showStandaloneChrome = true }) => {
             ← Back to Home
           </button>
           <h1 className="awards-header-title">
-            SAPTech Awards 2026
+            SAPTech Awards {awardsYear}
           </h1>
           <div className="header-spacer"></div>
         </div>
@@ -383,19 +464,19 @@ const Awards = ({ onClose, showStandaloneChrome = true }) => {
             <div className="awards-logo animated fadeInDown">
               <img 
                 src="/images/logo.png" 
-                alt="SAPTech Awards 2026 Logo" 
+                alt={`SAPTech Awards ${awardsYear} Logo`} 
                 className="awards-logo-image"
               />
             </div>
 
             <div className="hero-badge animated fadeInDown delay-1">
               <span className="badge-icon">🏆</span>
-              <span className="badge-text">SAPTech Awards 2026</span>
+              <span className="badge-text">{edition?.name || `SAPTech Awards ${awardsYear}`}</span>
             </div>
             
             <h1 className="awards-hero-title animated fadeInUp">
               <span className="title-line title-line-1">TECH AWARDS</span>
-              <span className="title-line title-line-2">2026</span>
+              <span className="title-line title-line-2">{awardsYear}</span>
               <span className="title-line title-line-3">
                 <span className="gradient-text">Engineering</span> & <span className="gradient-text">Technology Excellence</span>
               </span>
@@ -439,43 +520,47 @@ const Awards = ({ onClose, showStandaloneChrome = true }) => {
             </div>
             
             {/* Countdown Timer */}
-            <div className="awards-countdown animated fadeInUp delay-4">
-              <div className="countdown-header">
-                <span className="countdown-icon">⏰</span>
-                <h3>Awards Deadline</h3>
-              </div>
-              <div className="countdown-timer">
-                <div className="countdown-item">
-                  <span className="countdown-value">{countdown.days}</span>
-                  <span className="countdown-label">Days</span>
-                </div>
-                <div className="countdown-separator">:</div>
-                <div className="countdown-item">
-                  <span className="countdown-value">{String(countdown.hours).padStart(2, '0')}</span>
-                  <span className="countdown-label">Hours</span>
-                </div>
-                <div className="countdown-separator">:</div>
-                <div className="countdown-item">
-                  <span className="countdown-value">{String(countdown.minutes).padStart(2, '0')}</span>
-                  <span className="countdown-label">Minutes</span>
+            {!isArchived && (
+              <div className="awards-countdown animated fadeInUp delay-4">
+                <div className="countdown-header">
+                  <span className="countdown-icon">⏰</span>
+                  <h3>{getCountdownTarget(edition, votingWindow).label}</h3>
                 </div>
-                <div className="countdown-separator">:</div>
-                <div className="countdown-item">
-                  <span className="countdown-value">{String(countdown.seconds).padStart(2, '0')}</span>
-                  <span className="countdown-label">Seconds</span>
+                <div className="countdown-timer">
+                  <div className="countdown-item">
+                    <span className="countdown-value">{countdown.days}</span>
+                    <span className="countdown-label">Days</span>
+                  </div>
+                  <div className="countdown-separator">:</div>
+                  <div className="countdown-item">
+                    <span className="countdown-value">{String(countdown.hours).padStart(2, '0')}</span>
+                    <span className="countdown-label">Hours</span>
+                  </div>
+                  <div className="countdown-separator">:</div>
+                  <div className="countdown-item">
+                    <span className="countdown-value">{String(countdown.minutes).padStart(2, '0')}</span>
+                    <span className="countdown-label">Minutes</span>
+                  </div>
+                  <div className="countdown-separator">:</div>
+                  <div className="countdown-item">
+                    <span className="countdown-value">{String(countdown.seconds).padStart(2, '0')}</span>
+                    <span className="countdown-label">Seconds</span>
+                  </div>
                 </div>
               </div>
-            </div>
+            )}
             
             {/* Hero Actions */}
             <div className="awards-hero-actions animated fadeInUp delay-3">
-              <button
-                className="awards-btn awards-btn-primary"
-                onClick={() => setShowNominationForm(true)}
-              >
-                <span className="btn-icon">✨</span>
-                <span className="btn-text">Submit Nomination</span>
-              </button>
+              {!isArchived && (
+                <button
+                  className="awards-btn awards-btn-primary"
+                  onClick={() => setShowNominationForm(true)}
+                >
+                  <span className="btn-icon">✨</span>
+                  <span className="btn-text">Submit Nomination</span>
+                </button>
+              )}
               <button
                 className="awards-btn awards-btn-secondary"
                 onClick={() => document.getElementById('nominations')?.scrollIntoView({ behavior: 'smooth' })}
@@ -487,7 +572,7 @@ const Awards = ({ onClose, showStandaloneChrome = true }) => {
             
             {/* Social Sharing */}
             <div className="social-sharing animated fadeInUp delay-5">
-              <p className="sharing-text">Share SAPTech Awards 2026:</p>
+              <p className="sharing-text">Share SAPTech Awards {awardsYear}:</p>
               <div className="social-buttons">
                 <a 
                   href={`https://www.facebook.com/sharer/sharer.php?u=${encodeURIComponent(window.location.href)}`}
@@ -568,6 +653,43 @@ const Awards = ({ onClose, showStandaloneChrome = true }) => {
         </div>
       </section>
 
+      {/* Published Results */}
+      {results.length > 0 && (
+        <section className="awards-results">
+          <div className="container">
+            <h2>🏅 {awardsYear} Winners &amp; Finalists</h2>
+            <p>Congratulations to everyone recognised in the {edition?.name || `SAPTech Awards ${awardsYear}`}</p>
+            <div className="results-grid">
+              {results.map(result => (
+                <div key={result.category._id} className="results-category-card">
+                  <h3>{result.category.icon || "🏆"} {result.category.name}</h3>
+                  {result.winners.map(winner => (
+                    <div key={winner._id} className="results-winner">
+                      <img src={getImageUrl(winner.nomineePhoto) || PLACEHOLDERS.avatar} alt={winner.nomineeName} />
+                      <div>
+                        <span className="results-label">🏆 Winner</span>
+                        <h4>{winner.nomineeName}</h4>
+                        <p>{[winner.nomineeTitle, winner.nomineeCompany, winner.nomineeCountry].filter(Boolean).join(" · ")}</p>
+                      </div>
+                    </div>
+                  ))}
+                  {result.finalists.length > 0 && (
+                    <ul className="results-finalists">
+                      {result.finalists.map(finalist => (
+                        <li key={finalist._id}>
+                          🎖️ {finalist.nomineeName}
+                          <span>{finalist.nomineeCountry}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        </section>
+      )}
+
       {/* Award Categories */}
       <section 
         className="awards-categories"
@@ -577,8 +699,25 @@ const Awards = ({ onClose, showStandaloneChrome = true }) => {
             🏆 Award Categories
           </h2>
           <p>
-            Explore the 2026 categories celebrating different aspects of technological excellence
+            Explore the {awardsYear} categories celebrating different aspects of technological excellence
           </p>
+
+          {editions.length > 1 && (
+            <div className="edition-archive">
+              <label htmlFor="awards-edition">Edition:</label>
+              <select
+                id="awards-edition"
+                value={selectedEdition}
+                onChange={(e) => handleEditionChange(e.target.value)}
+                className="filter-select"
+              >
+                <option value="">Current Edition</option>
+                {editions.filter(item => !item.isCurrent).map(item => (
+                  <option key={item._id} value={item._id}>{item.name} (archive)</option>
+                ))}
+              </select>
+            </div>
+          )}
           
           {loading.categories ? (
             <div className="loading-skeleton">
@@ -606,29 +745,31 @@ const Awards = ({ onClose, showStandaloneChrome = true }) => {
                   onClick={() => setSelectedCategory(selectedCategory === category._id ? "" : category._id)}
                 >
                   {/* Countdown Timer - Top Right Corner */}
-                  <div className="category-countdown-badge">
-                    <div className="countdown-badge-content">
-                      <div className="countdown-time">
-                        <strong>{countdown.days}</strong>
-                        <span>D</span>
-                      </div>
-                      <span className="countdown-separator">:</span>
-                      <div className="countdown-time">
-                        <strong>{countdown.hours.toString().padStart(2, '0')}</strong>
-                        <span>H</span>
-                      </div>
-                      <span className="countdown-separator">:</span>
-                      <div className="countdown-time">
-                        <strong>{countdown.minutes.toString().padStart(2, '0')}</strong>
-                        <span>M</span>
-                      </div>
-                      <span className="countdown-separator">:</span>
-                      <div className="countdown-time">
-                        <strong>{countdown.seconds.toString().padStart(2, '0')}</strong>
-                        <span>S</span>
+                  {!isArchived && (
+                    <div className="category-countdown-badge">
+                      <div className="countdown-badge-content">
+                        <div className="countdown-time">
+                          <strong>{countdown.days}</strong>
+                          <span>D</span>
+                        </div>
+                        <span className="countdown-separator">:</span>
+                        <div className="countdown-time">
+                          <strong>{countdown.hours.toString().padStart(2, '0')}</strong>
+                          <span>H</span>
+                        </div>
+                        <span className="countdown-separator">:</span>
+                        <div className="countdown-time">
+                          <strong>{countdown.minutes.toString().padStart(2, '0')}</strong>
+                          <span>M</span>
+                        </div>
+                        <span className="countdown-separator">:</span>
+                        <div className="countdown-time">
+                          <strong>{countdown.seconds.toString().padStart(2, '0')}</strong>
+                          <span>S</span>
+                        </div>
                       </div>
                     </div>
-                  </div>
+                  )}
 
                   <div 
                     className="category-icon"
@@ -659,6 +800,11 @@ const Awards = ({ onClose, showStandaloneChrome = true }) => {
                       </span>
                     )}
                   </div>
+                  {category.votingWindow && (
+                    <p className={`category-voting-window voting-${category.votingWindow.status}`}>
+                      {formatVotingWindow(category.votingWindow)}
+                    </p>
+                  )}
                 </div>
               ))}
             </div>
@@ -701,8 +847,12 @@ const Awards = ({ onClose, showStandaloneChrome = true }) => {
       <section id="nominations" className="nominations-section">
         <div className="container">
           <div className="section-header">
-            <h2>🎯 Current Nominations</h2>
-            <p>Vote for your favorite nominees and help recognize excellence</p>
+            <h2>{isArchived ? `🎯 ${edition.name} Nominations` : "🎯 Current Nominations"}</h2>
+            <p>
+              {isArchived
+                ? "Browse the nominees from this past edition"
+                : "Vote for your favorite nominees and help recognize excellence"}
+            </p>
           </div>
 
           {/* Filters */}
@@ -756,12 +906,14 @@ const Awards = ({ onClose, showStandaloneChrome = true }) => {
               <div className="empty-icon">🎯</div>
               <h3>No Nominations Yet</h3>
               <p>Be the first to nominate someone for these prestigious awards!</p>
-              <button
-                className="btn-primary"
-                onClick={() => setShowNominationForm(true)}
-              >
-                🌟 Submit First Nomination
-              </button>
+              {!isArchived && (
+                <button
+                  className="btn-primary"
+                  onClick={() => setShowNominationForm(true)}
+                >
+                  🌟 Submit First Nomination
+                </button>
+              )}
             </div>
           ) : (
             <>
@@ -771,6 +923,8 @@ const Awards = ({ onClose, showStandaloneChrome = true }) => {
                     key={nomination._id}
                     nomination={nomination}
                     onVote={handleVote}
+                    canVote={!isArchived}
+                    votingWindow={getCategoryVotingWindow(nomination.category)}
                   />
                 ))}
               </div>
@@ -851,8 +1005,41 @@ const Awards = ({ onClose, showStandaloneChrome = true }) => {
   );
 };
 
+// Next deadline shown in the hero countdown
+const getCountdownTarget = (edition, votingWindow) => {
+  const now = new Date();
+  if (edition?.nominationClosesAt && new Date(edition.nominationClosesAt) > now) {
+    return { label: "Nominations Close", date: edition.nominationClosesAt };
+  }
+  if (votingWindow?.status === "upcoming") {
+    return { label: "Voting Opens", date: votingWindow.opensAt };
+  }
+  if (votingWindow?.status === "open" && votingWindow.closesAt) {
+    return { label: "Voting Closes", date: votingWindow.closesAt };
+  }
+  return { label: "Awards Deadline", date: "2026-12-25T23:59:59" };
+};
+
+// Human readable voting window, e.g. "Voting closes in 3 days"
+const formatVotingWindow = (votingWindow) => {
+  const formatDuration = (seconds) => {
+    const days = Math.floor(seconds / 86400);
+    if (days >= 1) return `${days} day${days === 1 ? "" : "s"}`;
+    const hours = Math.floor(seconds / 3600);
+    if (hours >= 1) return `${hours} hour${hours === 1 ? "" : "s"}`;
+    const minutes = Math.max(1, Math.ceil(seconds / 60));
+    return `${minutes} minute${minutes === 1 ? "" : "s"}`;
+  };
+
+  if (votingWindow.status === "upcoming") return `Voting opens in ${formatDuration(votingWindow.secondsUntilOpen)}`;
+  if (votingWindow.resultsPublished) return "Results published";
+  if (votingWindow.status === "closed") return "Voting closed";
+  if (votingWindow.secondsUntilClose) return `Voting closes in ${formatDuration(votingWindow.secondsUntilClose)}`;
+  return "Voting open";
+};
+
 // Nomination Card Component
-const NominationCard = ({ nomination, onVote }) => {
+const NominationCard = ({ nomination, onVote, canVote = true, votingWindow = null }) => {
   const [voterEmail, setVoterEmail] = useState("");
   const [showVoteForm, setShowVoteForm] = useState(false);
 
@@ -902,7 +1089,9 @@ const NominationCard = ({ nomination, onVote }) => {
           <div className="votes-section">
             <span className="vote-count">🗳️ {nomination.votes} votes</span>
             
-            {!showVoteForm ? (
+            {!canVote ? null : votingWindow && !votingWindow.isOpen ? (
+              <span className="voting-window-note">{formatVotingWindow(votingWindow)}</span>
+            ) : !showVoteForm ? (
               <button
                 className="vote-btn"
                 onClick={() => setShowVoteForm(true)}
@@ -1,8 +1,12 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useCallback } from "react";
 import { motion } from "framer-motion";
 import apiService from "../services/api";
 import { showAlert, Swal } from "../utils/alerts";
 import { getImageUrl, PLACEHOLDERS } from "../utils/imageUrl";
+import VoteReviewQueue from "./VoteReviewQueue";
+import AwardsResults from "./AwardsResults";
+import CertificateTemplates from "./CertificateTemplates";
+import CertificateVerificationHistory from "./CertificateVerificationHistory";
 import { Icon } from "./IconLibrary";
 import "../styles/AwardsAdmin.css";
 import "../styles/IconLibrary.css";
@@ -13,6 +17,7 @@ const AwardsAdmin = () => {
   const [activeSubTab, setActiveSubTab] = useState("nominations");
   const [nominations, setNominations] = useState([]);
   const [categories, setCategories] = useState([]);
+  const [editions, setEditions] = useState([]);
   const [loading, setLoading] = useState({
     nominations: false,
     categories: false,
@@ -22,6 +27,7 @@ const AwardsAdmin = () => {
   });
   const [showCategoryForm, setShowCategoryForm] = useState(false);
   const [editingCategory, setEditingCategory] = useState(null);
+  const [rubricDraft, setRubricDraft] = useState([]);
   const [pagination, setPagination] = useState({
     currentPage: 1,
     totalPages: 1,
@@ -29,6 +35,7 @@ const AwardsAdmin = () => {
   });
   const [stats, setStats] = useState(null);
   const [filters, setFilters] = useState({
+    edition: "",
     status: "",
     category: "",
     search: "",
@@ -44,34 +51,22 @@ const AwardsAdmin = () => {
   const [editingPhotoNomination, setEditingPhotoNomination] = useState(null);
   const [newPhoto, setNewPhoto] = useState(null);
   const [photoPreview, setPhotoPreview] = useState(null);
+  const [verificationHistoryFor, setVerificationHistoryFor] = useState(null);
 
-  // Load data on component mount
-  useEffect(() => {
-    loadCategories();
-    loadNominations();
-    loadAwardsStats();
-  }, []);
-
-  // Reload nominations when filters change
-  useEffect(() => {
-    loadNominations();
-  }, [filters]);
-
-  // Reload data when active tab changes
-  useEffect(() => {
-    if (activeSubTab === "categories") {
-      loadCategories();
-    } else if (activeSubTab === "nominations") {
-      loadNominations();
-    } else if (activeSubTab === "stats") {
-      loadAwardsStats();
+  const loadEditions = useCallback(async () => {
+    try {
+      const response = await apiService.getAwardEditions();
+      setEditions(response.data?.editions || []);
+    } catch (error) {
+      console.error("❌ Error loading editions:", error);
+      setEditions([]);
     }
-  }, [activeSubTab]);
+  }, []);
 
-  const loadCategories = async () => {
+  const loadCategories = useCallback(async () => {
     try {
       console.log("🏆 Loading award categories...");
-      const response = await apiService.getAwardsCategories();
+      const response = await apiService.getAwardsCategories(filters.edition ? { edition: filters.edition } : {});
       console.log("✅ Categories response:", response);
       
       // Backend returns: { status: "success", data: { categories: [...] } }
@@ -82,9 +77,9 @@ const AwardsAdmin = () => {
       console.error("❌ Error loading categories:", error);
       setCategories([]);
     }
-  };
+  }, [filters.edition]);
 
-  const loadNominations = async () => {
+  const loadNominations = useCallback(async () => {
     setLoading(prev => ({ ...prev, nominations: true }));
     try {
       const response = await apiService.getAdminNominations(filters);
@@ -97,13 +92,13 @@ const AwardsAdmin = () => {
     } finally {
       setLoading(prev => ({ ...prev, nominations: false }));
     }
-  };
+  }, [filters]);
 
-  const loadAwardsStats = async () => {
+  const loadAwardsStats = useCallback(async () => {
     console.log("📊 Loading awards statistics...");
     setLoading(prev => ({ ...prev, stats: true }));
     try {
-      const response = await apiService.getAwardsStats();
+      const response = await apiService.getAwardsStats(filters.edition ? { edition: filters.edition } : {});
       console.log("✅ Stats response:", response);
       
       // Backend returns: { status: "success", data: { generalStats, categoryStats, topNominations } }
@@ -152,7 +147,27 @@ const AwardsAdmin = () => {
     } finally {
       setLoading(prev => ({ ...prev, stats: false }));
     }
-  };
+  }, [filters.edition]);
+
+  // Editions and categories feed the filters on every tab, so they refresh
+  // whenever a tab is opened; categories follow the selected edition
+  useEffect(() => {
+    loadEditions();
+  }, [activeSubTab, loadEditions]);
+
+  useEffect(() => {
+    loadCategories();
+  }, [activeSubTab, loadCategories]);
+
+  // Nominations and stats load when their tab is open and reload when its
+  // filters change
+  useEffect(() => {
+    if (activeSubTab === "nominations") loadNominations();
+  }, [activeSubTab, loadNominations]);
+
+  useEffect(() => {
+    if (activeSubTab === "stats") loadAwardsStats();
+  }, [activeSubTab, loadAwardsStats]);
 
   const handleUpdateStatus = async (nominationId, status, adminNotes = "") => {
     console.log("📝 Updating nomination status:", nominationId, "to", status);
@@ -253,6 +268,102 @@ const AwardsAdmin = () => {
     }
   };
 
+  const handleRevokeCertificate = async (nomination) => {
+    const { value: reason } = await Swal.fire({
+      title: 'Revoke Certificate',
+      html: `Certificate <strong>${nomination.certificateId}</strong> for <strong>${nomination.nomineeName}</strong> will stop verifying as valid.`,
+      input: 'textarea',
+      inputLabel: 'Reason for revocation',
+      inputPlaceholder: 'e.g. Issued in error',
+      showCancelButton: true,
+      confirmButtonText: 'Revoke',
+      cancelButtonText: 'Cancel',
+      confirmButtonColor: '#ef4444',
+      inputValidator: (value) => (!value || !value.trim() ? 'Please give a reason' : null)
+    });
+
+    if (!reason) return;
+
+    setLoading(prev => ({ ...prev, updating: true }));
+    try {
+      await apiService.revokeCertificate(nomination.certificateId, reason.trim());
+      await Swal.fire({
+        title: 'Certificate revoked',
+        text: `${nomination.certificateId} now shows as revoked when verified.`,
+        icon: 'success',
+        timer: 3000,
+        showConfirmButton: false,
+        timerProgressBar: true
+      });
+      await loadNominations();
+    } catch (error) {
+      console.error("Error revoking certificate:", error);
+      await Swal.fire({
+        title: "Couldn't revoke certificate",
+        text: error.response?.data?.message || error.message || 'Something went wrong revoking the certificate.',
+        icon: 'error',
+        confirmButtonText: 'OK',
+        confirmButtonColor: '#3b82f6'
+      });
+    } finally {
+      setLoading(prev => ({ ...prev, updating: false }));
+    }
+  };
+
+  const handleReissueCertificate = async (nomination) => {
+    const { value: formValues } = await Swal.fire({
+      title: 'Reissue Certificate',
+      html: `
+        <p>A corrected certificate will replace <strong>${nomination.certificateId}</strong>. The old one will be revoked and point to the new one.</p>
+        <input id="reissue-name" class="swal2-input" placeholder="Recipient name" />
+        <textarea id="reissue-reason" class="swal2-textarea" placeholder="Reason (e.g. Corrected spelling of name)"></textarea>
+      `,
+      didOpen: () => {
+        document.getElementById('reissue-name').value = nomination.nomineeName;
+      },
+      showCancelButton: true,
+      confirmButtonText: 'Reissue',
+      cancelButtonText: 'Cancel',
+      confirmButtonColor: '#10b981',
+      focusConfirm: false,
+      preConfirm: () => {
+        const recipientName = document.getElementById('reissue-name').value.trim();
+        const reason = document.getElementById('reissue-reason').value.trim();
+        if (!recipientName || !reason) {
+          Swal.showValidationMessage('Recipient name and reason are both required');
+          return false;
+        }
+        return { recipientName, reason };
+      }
+    });
+
+    if (!formValues) return;
+
+    setLoading(prev => ({ ...prev, updating: true }));
+    try {
+      const response = await apiService.reissueCertificate(nomination.certificateId, formValues);
+      await Swal.fire({
+        title: 'Certificate reissued',
+        html: `<p><strong>New ID:</strong> ${response.certificateId}</p><p><strong>Replaces:</strong> ${response.supersedes}</p>`,
+        icon: 'success',
+        confirmButtonText: 'OK',
+        confirmButtonColor: '#10b981'
+      });
+      await loadNominations();
+    } catch (error) {
+      console.error("Error reissuing certificate:", error);
+      await Swal.fire({
+        title: "Couldn't reissue certificate",
+        text: error.response?.data?.message || error.message || 'Something went wrong reissuing the certificate.',
+        icon: 'error',
+        confirmButtonText: 'OK',
+        confirmButtonColor: '#3b82f6'
+      });
+    } finally {
+      setLoading(prev => ({ ...prev, updating: false }));
+    }
+  };
+
   const handleDeleteNomination = async (nominationId, nomineeName) => {
     console.log("🗑️ Attempting to delete nomination:", nominationId, nomineeName);
     
@@ -410,13 +521,183 @@ const AwardsAdmin = () => {
     }
   };
 
+  // Edition Management Functions
+  const editionDateFields = [
+    { key: "nominationOpensAt", label: "Nominations open" },
+    { key: "nominationClosesAt", label: "Nominations close" },
+    { key: "votingOpensAt", label: "Voting opens" },
+    { key: "votingClosesAt", label: "Voting closes" },
+    { key: "resultsAnnouncedAt", label: "Results announced" }
+  ];
+
+  // datetime-local inputs expect local "YYYY-MM-DDTHH:mm" values
+  const toDateTimeInput = (value) => {
+    if (!value) return "";
+    const date = new Date(value);
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+  };
+
+  const formatVotingWindow = (votingWindow) => {
+    if (votingWindow.status === "upcoming") {
+      return `Voting opens ${new Date(votingWindow.opensAt).toLocaleString()}`;
+    }
+    if (votingWindow.resultsPublished) {
+      return "Voting closed · results published";
+    }
+    if (votingWindow.status === "closed") {
+      return `Voting closed ${new Date(votingWindow.closesAt).toLocaleString()}`;
+    }
+    return votingWindow.closesAt
+      ? `Voting open until ${new Date(votingWindow.closesAt).toLocaleString()}`
+      : "Voting open (no closing date)";
+  };
+
+  const handleSaveEdition = async (edition = null) => {
+    const otherEditions = editions.filter(item => item._id !== edition?._id);
+
+    const { value: editionData } = await Swal.fire({
+      title: edition ? `Edit ${edition.name}` : 'New Award Edition',
+      width: 640,
+      html: `
+        <input id="edition-name" class="swal2-input" placeholder="Name (e.g. SAPTech Awards 2027)" />
+        <input id="edition-year" class="swal2-input" placeholder="Year (e.g. 2027)" maxlength="4" />
+        <textarea id="edition-description" class="swal2-textarea" placeholder="Description (optional)"></textarea>
+        ${editionDateFields.map(field => `
+          <label class="edition-date-label" for="edition-${field.key}">${field.label}</label>
+          <input id="edition-${field.key}" type="datetime-local" class="swal2-input" />
+        `).join('')}
+        ${!edition && otherEditions.length > 0 ? `
+          <label class="edition-date-label" for="edition-copy">Copy categories from</label>
+          <select id="edition-copy" class="swal2-select">
+            <option value="">Don't copy categories</option>
+            ${otherEditions.map(item => `<option value="${item._id}">${item.name}</option>`).join('')}
+          </select>
+        ` : ''}
+      `,
+      didOpen: () => {
+        document.getElementById('edition-name').value = edition?.name || '';
+        document.getElementById('edition-year').value = edition?.year || '';
+        document.getElementById('edition-description').value = edition?.description || '';
+        editionDateFields.forEach(field => {
+          document.getElementById(`edition-${field.key}`).value = toDateTimeInput(edition?.[field.key]);
+        });
+      },
+      showCancelButton: true,
+      confirmButtonText: edition ? 'Save Changes' : 'Create Edition',
+      confirmButtonColor: '#10b981',
+      focusConfirm: false,
+      preConfirm: () => {
+        const data = {
+          name: document.getElementById('edition-name').value.trim(),
+          year: document.getElementById('edition-year').value.trim(),
+          description: document.getElementById('edition-description').value.trim()
+        };
+        if (!data.name || !/^\d{4}$/.test(data.year)) {
+          Swal.showValidationMessage('A name and a four digit year are required');
+          return false;
+        }
+        editionDateFields.forEach(field => {
+          const value = document.getElementById(`edition-${field.key}`).value;
+          data[field.key] = value ? new Date(value).toISOString() : "";
+        });
+        const copyFrom = document.getElementById('edition-copy')?.value;
+        if (copyFrom) data.copyCategoriesFrom = copyFrom;
+        return data;
+      }
+    });
+
+    if (!editionData) return;
+
+    setLoading(prev => ({ ...prev, updating: true }));
+    try {
+      if (edition) {
+        await apiService.updateAwardEdition(edition._id, editionData);
+      } else {
+        await apiService.createAwardEdition(editionData);
+      }
+      await showAlert.success(
+        edition ? "Edition updated! ✅" : "Edition created! 🎉",
+        `"${editionData.name}" has been saved.`,
+        { timer: 3000, showConfirmButton: false }
+      );
+      await loadEditions();
+      await loadCategories();
+    } catch (error) {
+      console.error("❌ Error saving edition:", error);
+      await showAlert.error(
+        "Couldn't save edition",
+        error.response?.data?.message || error.message || "Something went wrong saving the edition. Please try again.",
+        { timer: 5000, showConfirmButton: true }
+      );
+    } finally {
+      setLoading(prev => ({ ...prev, updating: false }));
+    }
+  };
+
+  const handleSetCurrentEdition = async (edition) => {
+    setLoading(prev => ({ ...prev, updating: true }));
+    try {
+      await apiService.setCurrentAwardEdition(edition._id);
+      await showAlert.success(
+        "Current edition changed",
+        `"${edition.name}" is now shown on the public awards page.`,
+        { timer: 3000, showConfirmButton: false }
+      );
+      await loadEditions();
+      handleFilterChange("edition", "");
+    } catch (error) {
+      console.error("❌ Error setting current edition:", error);
+      await showAlert.error(
+        "Couldn't change the current edition",
+        error.response?.data?.message || error.message || "Something went wrong. Please try again.",
+        { timer: 5000, showConfirmButton: true }
+      );
+    } finally {
+      setLoading(prev => ({ ...prev, updating: false }));
+    }
+  };
+
+  const handleDeleteEdition = async (edition) => {
+    const result = await Swal.fire({
+      title: 'Delete edition?',
+      html: `Delete <strong>${edition.name}</strong>? Only editions without categories or nominations can be deleted.`,
+      icon: 'warning',
+      showCancelButton: true,
+      confirmButtonText: 'Yes, delete it',
+      confirmButtonColor: '#ef4444',
+      cancelButtonColor: '#6b7280',
+      reverseButtons: true,
+      focusCancel: true
+    });
+
+    if (!result.isConfirmed) return;
+
+    setLoading(prev => ({ ...prev, deleting: true }));
+    try {
+      await apiService.deleteAwardEdition(edition._id);
+      setEditions(prev => prev.filter(item => item._id !== edition._id));
+    } catch (error) {
+      console.error("❌ Error deleting edition:", error);
+      await showAlert.error(
+        "Couldn't delete edition",
+        error.response?.data?.message || error.message || "Something went wrong deleting the edition.",
+        { timer: 5000, showConfirmButton: true }
+      );
+    } finally {
+      setLoading(prev => ({ ...prev, deleting: false }));
+    }
+  };
+
   // Category Management Functions
   const handleCreateCategory = async (categoryData) => {
     try {
       console.log("🔥 Creating category with data:", categoryData);
       setLoading(prev => ({ ...prev, categories: true }));
       
-      const response = await apiService.createAwardsCategory(categoryData);
+      const response = await apiService.createAwardsCategory({
+        ...categoryData,
+        ...(filters.edition && filters.edition !== "all" ? { edition: filters.edition } : {})
+      });
       console.log("✅ Category created successfully:", response);
       
       await showAlert.success(
@@ -445,9 +726,23 @@ const AwardsAdmin = () => {
   const handleEditCategory = (category) => {
     console.log("🖊️ Editing category:", category);
     setEditingCategory(category);
+    setRubricDraft((category.rubric || []).map(criterion => ({ ...criterion })));
     setShowCategoryForm(true);
   };
 
+  // Rubric editor helpers
+  const addRubricCriterion = () => {
+    setRubricDraft(prev => [...prev, { name: "", description: "", weight: 1, maxScore: 10 }]);
+  };
+
+  const updateRubricCriterion = (index, field, value) => {
+    setRubricDraft(prev => prev.map((criterion, i) => (i === index ? { ...criterion, [field]: value } : criterion)));
+  };
+
+  const removeRubricCriterion = (index) => {
+    setRubricDraft(prev => prev.filter((_, i) => i !== index));
+  };
+
   const handleUpdateCategory = async (categoryId, categoryData) => {
     try {
       console.log("📝 Updating category ID:", categoryId, "with data:", categoryData);
@@ -660,9 +955,98 @@ const AwardsAdmin = () => {
     );
   };
 
+  const renderEditionSelect = () => editions.length > 0 && (
+    <div className="filter-group">
+      <label>Edition:</label>
+      <select
+        value={filters.edition}
+        onChange={(e) => handleFilterChange("edition", e.target.value)}
+      >
+        <option value="">Current Edition</option>
+        {editions.map(edition => (
+          <option key={edition._id} value={edition._id}>
+            {edition.name}{edition.isCurrent ? " (current)" : ""}
+          </option>
+        ))}
+        <option value="all">All Editions</option>
+      </select>
+    </div>
+  );
+
+  const renderEditions = () => (
+    <div className="editions-section">
+      <div className="section-header">
+        <h3>📅 Award Editions</h3>
+        <button
+          className="create-btn"
+          onClick={() => handleSaveEdition()}
+          disabled={loading.updating}
+        >
+          ➕ New Edition
+        </button>
+      </div>
+
+      {editions.length === 0 ? (
+        <div className="empty-state">
+          <p>No editions yet. Create one to start scoping categories and nominations by cycle.</p>
+        </div>
+      ) : (
+        <div className="categories-grid">
+          {editions.map(edition => (
+            <div key={edition._id} className={`category-card edition-card ${edition.isCurrent ? "current" : ""}`}>
+              <div className="category-header">
+                <div className="category-icon">📅</div>
+                <div className="category-info">
+                  <h4>{edition.name} {edition.isCurrent && <span className="status-badge status-approved">CURRENT</span>}</h4>
+                  <p className="category-description">{edition.description || `Awards cycle ${edition.year}`}</p>
+                </div>
+              </div>
+
+              <ul className="edition-dates">
+                {editionDateFields.map(field => (
+                  <li key={field.key}>
+                    <span>{field.label}:</span>{" "}
+                    {edition[field.key] ? new Date(edition[field.key]).toLocaleString() : "Not set"}
+                  </li>
+                ))}
+              </ul>
+
+              <div className="category-actions">
+                {!edition.isCurrent && (
+                  <button
+                    className="action-btn approve-btn"
+                    onClick={() => handleSetCurrentEdition(edition)}
+                    disabled={loading.updating}
+                  >
+                    ⭐ Make Current
+                  </button>
+                )}
+                <button
+                  className="edit-btn action-btn"
+                  onClick={() => handleSaveEdition(edition)}
+                  disabled={loading.updating}
+                >
+                  ✏️ Edit
+                </button>
+                <button
+                  className="delete-btn action-btn"
+                  onClick={() => handleDeleteEdition(edition)}
+                  disabled={loading.deleting}
+                >
+                  🗑️ Delete
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+
   const renderFilters = () => (
     <div className="awards-filters">
       <div className="filter-row">
+        {renderEditionSelect()}
         <div className="filter-group">
           <label>Status:</label>
           <select
@@ -965,6 +1349,46 @@ const AwardsAdmin = () => {
           </button>
         )}
 
+        {nomination.certificateId && nomination.certificateFile && (
+          <>
+            <button
+              className="action-btn reissue-btn"
+              onClick={async (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                await handleReissueCertificate(nomination);
+              }}
+              disabled={loading.updating}
+              title="Issue a corrected certificate that replaces this one"
+            >
+              ♻️ Reissue
+            </button>
+            <button
+              className="action-btn revoke-btn"
+              onClick={async (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                await handleRevokeCertificate(nomination);
+              }}
+              disabled={loading.updating}
+              title="Revoke this certificate"
+            >
+              🚫 Revoke
+            </button>
+            <button
+              className="action-btn"
+              onClick={(e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                setVerificationHistoryFor(nomination);
+              }}
+              title="See who verified this certificate"
+            >
+              📈 Verifications
+            </button>
+          </>
+        )}
+
         <button
           className="action-btn delete-btn"
           onClick={async (e) => {
@@ -1003,10 +1427,12 @@ const AwardsAdmin = () => {
     </div>
   );
 
+  const currentEdition = editions.find(edition => edition.isCurrent);
+
   return (
     <div className="awards-admin">
       <div className="admin-section-header">
-        <h2>🏆 SAPTech Awards 2026 Management</h2>
+        <h2>🏆 {currentEdition?.name || "SAPTech Awards"} Management</h2>
         <div className="sub-tabs">
           <button
             className={`sub-tab ${activeSubTab === "nominations" ? "active" : ""}`}
@@ -1026,6 +1452,30 @@ const AwardsAdmin = () => {
           >
             📊 Statistics
           </button>
+          <button
+            className={`sub-tab ${activeSubTab === "editions" ? "active" : ""}`}
+            onClick={() => setActiveSubTab("editions")}
+          >
+            📅 Editions
+          </button>
+          <button
+            className={`sub-tab ${activeSubTab === "votes" ? "active" : ""}`}
+            onClick={() => setActiveSubTab("votes")}
+          >
+            🛡️ Vote Review
+          </button>
+          <button
+            className={`sub-tab ${activeSubTab === "results" ? "active" : ""}`}
+            onClick={() => setActiveSubTab("results")}
+          >
+            🏅 Results
+          </button>
+          <button
+            className={`sub-tab ${activeSubTab === "templates" ? "active" : ""}`}
+            onClick={() => setActiveSubTab("templates")}
+          >
+            🎨 Templates
+          </button>
         </div>
       </div>
 
@@ -1052,8 +1502,27 @@ const AwardsAdmin = () => {
         </div>
       )}
 
+      {activeSubTab === "editions" && renderEditions()}
+
+      {activeSubTab === "votes" && (
+        <>
+          {editions.length > 0 && <div className="awards-filters"><div className="filter-row">{renderEditionSelect()}</div></div>}
+          <VoteReviewQueue edition={filters.edition} />
+        </>
+      )}
+
+      {activeSubTab === "results" && (
+        <>
+          {editions.length > 0 && <div className="awards-filters"><div className="filter-row">{renderEditionSelect()}</div></div>}
+          <AwardsResults edition={filters.edition} />
+        </>
+      )}
+
+      {activeSubTab === "templates" && <CertificateTemplates />}
+
       {activeSubTab === "stats" && (
         <div className="stats-section">
+          {editions.length > 0 && <div className="awards-filters"><div className="filter-row">{renderEditionSelect()}</div></div>}
           {loading.stats ? (
             <div className="loading-state">Loading statistics...</div>
           ) : stats ? (
@@ -1074,12 +1543,14 @@ const AwardsAdmin = () => {
               className="create-btn"
               onClick={() => {
                 setEditingCategory(null);
+                setRubricDraft([]);
                 setShowCategoryForm(true);
               }}
             >
               ➕ Create New Category
             </button>
           </div>
+          {editions.length > 0 && <div className="awards-filters"><div className="filter-row">{renderEditionSelect()}</div></div>}
 
           {loading.categories ? (
             <div className="loading-state">Loading categories...</div>
@@ -1110,6 +1581,18 @@ const AwardsAdmin = () => {
                     </span>
                   </div>
 
+                  {category.votingWindow && (
+                    <p className={`category-voting voting-${category.votingWindow.status}`}>
+                      🗳️ {formatVotingWindow(category.votingWindow)}
+                    </p>
+                  )}
+
+                  <p className="category-judging">
+                    ⚖️ {category.rubric?.length
+                      ? `${category.rubric.length} judging criteria · judges ${Math.round((category.judgeWeight ?? 0.5) * 100)}% / votes ${Math.round((1 - (category.judgeWeight ?? 0.5)) * 100)}%`
+                      : "No judging rubric · ranked by votes only"}
+                  </p>
+
                   <div className="category-actions">
                     <button
                       className="edit-btn action-btn"
@@ -1187,7 +1670,21 @@ const AwardsAdmin = () => {
                   name: formData.get('name'),
                   description: formData.get('description'),
                   icon: formData.get('icon') || '🏆',
-                  isActive: formData.get('isActive') === 'on' // Convert checkbox to boolean
+                  isActive: formData.get('isActive') === 'on', // Convert checkbox to boolean
+                  // Empty dates fall back to the edition's voting window
+                  votingOpensAt: formData.get('votingOpensAt') ? new Date(formData.get('votingOpensAt')).toISOString() : '',
+                  votingClosesAt: formData.get('votingClosesAt') ? new Date(formData.get('votingClosesAt')).toISOString() : '',
+                  judgeWeight: Number(formData.get('judgeWeight')) / 100,
+                  finalistCount: Number(formData.get('finalistCount')),
+                  rubric: rubricDraft
+                    .filter(criterion => criterion.name.trim())
+                    .map(criterion => ({
+                      ...(criterion._id ? { _id: criterion._id } : {}),
+                      name: criterion.name.trim(),
+                      description: criterion.description || '',
+                      weight: Number(criterion.weight),
+                      maxScore: Number(criterion.maxScore)
+                    }))
                 };
 
                 console.log("📝 Form data being submitted:", categoryData);
@@ -1233,6 +1730,94 @@ const AwardsAdmin = () => {
                 />
               </div>
 
+              <div className="form-row">
+                <div className="form-group">
+                  <label>Voting Opens:</label>
+                  <input
+                    type="datetime-local"
+                    name="votingOpensAt"
+                    defaultValue={toDateTimeInput(editingCategory?.votingOpensAt)}
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Voting Closes:</label>
+                  <input
+                    type="datetime-local"
+                    name="votingClosesAt"
+                    defaultValue={toDateTimeInput(editingCategory?.votingClosesAt)}
+                  />
+                </div>
+              </div>
+              <p className="form-hint">Leave the voting dates empty to use the edition's voting window.</p>
+
+              <div className="form-row">
+                <div className="form-group">
+                  <label>Judges' Share of Ranking (%):</label>
+                  <input
+                    type="number"
+                    name="judgeWeight"
+                    min="0"
+                    max="100"
+                    step="5"
+                    defaultValue={Math.round((editingCategory?.judgeWeight ?? 0.5) * 100)}
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Finalists to Propose:</label>
+                  <input
+                    type="number"
+                    name="finalistCount"
+                    min="0"
+                    max="20"
+                    defaultValue={editingCategory?.finalistCount ?? 3}
+                  />
+                </div>
+              </div>
+
+              <div className="form-group rubric-editor">
+                <label>Judging Rubric:</label>
+                {rubricDraft.length === 0 && (
+                  <p className="form-hint">No criteria yet — nominations will be ranked on public votes only.</p>
+                )}
+                {rubricDraft.map((criterion, index) => (
+                  <div key={criterion._id || index} className="rubric-row">
+                    <input
+                      type="text"
+                      placeholder="Criterion, e.g. Innovation"
+                      value={criterion.name}
+                      maxLength="100"
+                      onChange={(e) => updateRubricCriterion(index, 'name', e.target.value)}
+                    />
+                    <label>
+                      Weight
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.5"
+                        value={criterion.weight}
+                        onChange={(e) => updateRubricCriterion(index, 'weight', e.target.value)}
+                      />
+                    </label>
+                    <label>
+                      Max
+                      <input
+                        type="number"
+                        min="1"
+                        max="100"
+                        value={criterion.maxScore}
+                        onChange={(e) => updateRubricCriterion(index, 'maxScore', e.target.value)}
+                      />
+                    </label>
+                    <button type="button" className="remove-criterion-btn" onClick={() => removeRubricCriterion(index)}>
+                      ✖
+                    </button>
+                  </div>
+                ))}
+                <button type="button" className="add-criterion-btn" onClick={addRubricCriterion}>
+                  ➕ Add Criterion
+                </button>
+              </div>
+
               <div className="form-group checkbox-group">
                 <label>
                   <input
@@ -1408,6 +1993,14 @@ const AwardsAdmin = () => {
         </div>
       )}
 
+      {verificationHistoryFor && (
+        <CertificateVerificationHistory
+          certificateId={verificationHistoryFor.certificateId}
+          recipientName={verificationHistoryFor.nomineeName}
+          onClose={() => setVerificationHistoryFor(null)}
+        />
+      )}
+
       {/* Photo Edit Modal */}
       {showPhotoEditModal && editingPhotoNomination && (
         <div className="modal-overlay" onClick={() => setShowPhotoEditModal(false)}>
@@ -0,0 +1,277 @@
+import React, { useState, useEffect, useCallback } from "react";
+import apiService from "../services/api";
+import { showAlert, Swal } from "../utils/alerts";
+import CertificateJobs from "./CertificateJobs";
+import CertificateCorrections from "./CertificateCorrections";
+import FailedCertificateLookups from "./FailedCertificateLookups";
+
+// Start each category's selection from the approved statuses, or the server's proposal
+const initialSelection = ({ category, rankings }) => {
+  const decided = Boolean(category.resultsApprovedAt || category.resultsPublishedAt);
+  const selection = {};
+  rankings.forEach(entry => {
+    selection[entry.nominationId] = decided ? entry.status : entry.proposedStatus;
+  });
+  return selection;
+};
+
+const AwardsResults = ({ edition = "" }) => {
+  const [results, setResults] = useState([]);
+  const [selections, setSelections] = useState({});
+  const [loading, setLoading] = useState({ results: false, approving: null, publishing: null });
+  const [jobsVersion, setJobsVersion] = useState(0);
+
+  const loadResults = useCallback(async () => {
+    setLoading(prev => ({ ...prev, results: true }));
+    try {
+      const response = await apiService.getAwardResults(edition ? { edition } : {});
+      const categoryResults = response.data?.results || [];
+      setResults(categoryResults);
+      setSelections(Object.fromEntries(
+        categoryResults.map(result => [result.category._id, initialSelection(result)])
+      ));
+    } catch (error) {
+      console.error("❌ Error loading award results:", error);
+      showAlert.error("Couldn't load results", "We had trouble calculating the rankings. Please try again.");
+    } finally {
+      setLoading(prev => ({ ...prev, results: false }));
+    }
+  }, [edition]);
+
+  useEffect(() => {
+    loadResults();
+  }, [loadResults]);
+
+  const setNominationStatus = (categoryId, nominationId, status) => {
+    setSelections(prev => {
+      const categorySelection = { ...prev[categoryId] };
+      // Only one winner per category
+      if (status === "winner") {
+        Object.keys(categorySelection).forEach(id => {
+          if (categorySelection[id] === "winner") categorySelection[id] = "finalist";
+        });
+      }
+      categorySelection[nominationId] = status;
+      return { ...prev, [categoryId]: categorySelection };
+    });
+  };
+
+  const handleApprove = async (result) => {
+    const categorySelection = selections[result.category._id] || {};
+    const winners = Object.keys(categorySelection).filter(id => categorySelection[id] === "winner");
+    const finalists = Object.keys(categorySelection).filter(id => categorySelection[id] === "finalist");
+
+    const confirm = await Swal.fire({
+      title: `Approve results for ${result.category.name}?`,
+      html: `<strong>${winners.length}</strong> winner(s) and <strong>${finalists.length}</strong> finalist(s) will be marked. Other nominations return to approved.`,
+      icon: "question",
+      showCancelButton: true,
+      confirmButtonText: "Approve results",
+      confirmButtonColor: "#10b981",
+      cancelButtonColor: "#6b7280"
+    });
+
+    if (!confirm.isConfirmed) return;
+
+    setLoading(prev => ({ ...prev, approving: result.category._id }));
+    try {
+      const response = await apiService.approveAwardResults(result.category._id, { winners, finalists });
+      await showAlert.success("Results approved", response.message, { timer: 3000, showConfirmButton: false });
+      await loadResults();
+    } catch (error) {
+      console.error("❌ Error approving results:", error);
+      await showAlert.error(
+        "Couldn't approve results",
+        error.response?.data?.message || error.message || "Something went wrong approving the results.",
+        { timer: 5000, showConfirmButton: true }
+      );
+    } finally {
+      setLoading(prev => ({ ...prev, approving: null }));
+    }
+  };
+
+  const confirmPublish = (title) => Swal.fire({
+    title,
+    html: "Voting closes and vote counts are frozen. Winners and finalists become public and receive their certificates by email.<br/><br/><strong>This cannot be undone.</strong>",
+    icon: "warning",
+    showCancelButton: true,
+    confirmButtonText: "Publish results",
+    confirmButtonColor: "#7c3aed",
+    cancelButtonColor: "#6b7280"
+  });
+
+  const handlePublish = async (result) => {
+    const hint = result.category.resultsApprovedAt ? "" : " The proposed winners and finalists will be used.";
+    const confirm = await confirmPublish(`Publish results for ${result.category.name}?${hint}`);
+    if (!confirm.isConfirmed) return;
+
+    setLoading(prev => ({ ...prev, publishing: result.category._id }));
+    try {
+      const response = await apiService.publishAwardResults(result.category._id);
+      await showAlert.success("Results published 📣", response.message, { timer: 4000, showConfirmButton: false });
+      setJobsVersion(prev => prev + 1);
+      await loadResults();
+    } catch (error) {
+      console.error("❌ Error publishing results:", error);
+      await showAlert.error(
+        "Couldn't publish results",
+        error.response?.data?.message || error.message || "Something went wrong publishing the results.",
+        { timer: 5000, showConfirmButton: true }
+      );
+    } finally {
+      setLoading(prev => ({ ...prev, publishing: null }));
+    }
+  };
+
+  const handlePublishAll = async () => {
+    const confirm = await confirmPublish("Publish results for every unpublished category?");
+    if (!confirm.isConfirmed) return;
+
+    setLoading(prev => ({ ...prev, publishing: "all" }));
+    try {
+      const response = await apiService.publishEditionResults(edition === "all" ? "" : edition);
+      await showAlert.success("Results published 📣", response.message, { timer: 4000, showConfirmButton: false });
+      setJobsVersion(prev => prev + 1);
+      await loadResults();
+    } catch (error) {
+      console.error("❌ Error publishing edition results:", error);
+      await showAlert.error(
+        "Couldn't publish results",
+        error.response?.data?.message || error.message || "Something went wrong publishing the results.",
+        { timer: 5000, showConfirmButton: true }
+      );
+    } finally {
+      setLoading(prev => ({ ...prev, publishing: null }));
+    }
+  };
+
+  const hasUnpublished = results.some(result => !result.category.resultsPublishedAt);
+
+  return (
+    <div className="awards-results-section">
+      <div className="section-header">
+        <h3>🏅 Results &amp; Rankings</h3>
+        <div className="results-header-actions">
+          <button className="create-btn" onClick={loadResults} disabled={loading.results}>
+            {loading.results ? "⏳ Calculating..." : "🔄 Recalculate"}
+          </button>
+          {hasUnpublished && edition !== "all" && (
+            <button className="create-btn publish-btn" onClick={handlePublishAll} disabled={loading.publishing !== null}>
+              {loading.publishing === "all" ? "⏳ Publishing..." : "📣 Publish All"}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {loading.results ? (
+        <div className="loading-state">Calculating rankings...</div>
+      ) : results.length === 0 ? (
+        <div className="empty-state">
+          <p>No active categories to rank</p>
+        </div>
+      ) : (
+        results.map(result => (
+          <div key={result.category._id} className="results-category">
+            <div className="results-category-header">
+              <h4>{result.category.icon || "🏆"} {result.category.name}</h4>
+              <span className="results-weighting">
+                ⚖️ Judges {Math.round(result.category.judgeWeight * 100)}% · Votes {Math.round((1 - result.category.judgeWeight) * 100)}%
+                {result.category.rubricSize === 0 && " · no rubric"}
+              </span>
+              {result.category.resultsPublishedAt && (
+                <span className="results-published">
+                  📣 Published {new Date(result.category.resultsPublishedAt).toLocaleString()} · votes frozen
+                </span>
+              )}
+              {!result.category.resultsPublishedAt && result.category.resultsApprovedAt && (
+                <span className="results-approved">
+                  ✅ Approved {new Date(result.category.resultsApprovedAt).toLocaleString()}
+                  {result.category.resultsApprovedBy && ` by ${result.category.resultsApprovedBy.name || result.category.resultsApprovedBy.email}`}
+                </span>
+              )}
+            </div>
+
+            {result.rankings.length === 0 ? (
+              <p className="empty-note">No approved nominations in this category yet.</p>
+            ) : (
+              <>
+                <div className="vote-review-table-wrapper">
+                  <table className="vote-review-table results-table">
+                    <thead>
+                      <tr>
+                        <th>#</th>
+                        <th>Nominee</th>
+                        <th>Judge Score</th>
+                        <th>Votes</th>
+                        <th>Vote Score</th>
+                        <th>Combined</th>
+                        <th>Proposed</th>
+                        <th>Decision</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {result.rankings.map(entry => (
+                        <tr key={entry.nominationId} className={`result-${selections[result.category._id]?.[entry.nominationId] || "approved"}`}>
+                          <td>{entry.rank}</td>
+                          <td>
+                            {entry.nomineeName}
+                            {entry.nomineeCountry && <small>{entry.nomineeCountry}</small>}
+                          </td>
+                          <td>
+                            {entry.judgeScore}
+                            <small>{entry.judgeCount} judge(s)</small>
+                          </td>
+                          <td>{entry.votes}</td>
+                          <td>{entry.voteScore}</td>
+                          <td><strong>{entry.combinedScore}</strong></td>
+                          <td>
+                            <span className={`status-badge ${entry.proposedStatus}`}>{entry.proposedStatus}</span>
+                          </td>
+                          <td>
+                            <select
+                              value={selections[result.category._id]?.[entry.nominationId] || "approved"}
+                              disabled={Boolean(result.category.resultsPublishedAt)}
+                              onChange={(e) => setNominationStatus(result.category._id, entry.nominationId, e.target.value)}
+                            >
+                              <option value="winner">🏆 Winner</option>
+                              <option value="finalist">🎖️ Finalist</option>
+                              <option value="approved">Not selected</option>
+                            </select>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                {!result.category.resultsPublishedAt && (
+                  <div className="results-actions">
+                    <button
+                      className="action-btn approve-btn"
+                      onClick={() => handleApprove(result)}
+                      disabled={loading.approving === result.category._id}
+                    >
+                      {loading.approving === result.category._id ? "⏳ Approving..." : "✅ Approve Results"}
+                    </button>
+                    <button
+                      className="action-btn publish-btn"
+                      onClick={() => handlePublish(result)}
+                      disabled={loading.publishing !== null}
+                    >
+                      {loading.publishing === result.category._id ? "⏳ Publishing..." : "📣 Publish"}
+                    </button>
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        ))
+      )}
+
+      <CertificateJobs edition={edition} refreshKey={jobsVersion} />
+      <CertificateCorrections />
+      <FailedCertificateLookups />
+    </div>
+  );
+};
+
+export default AwardsResults;
@@ -0,0 +1,133 @@
+import { useState } from "react";
+import apiService from "../services/api";
+import { showAlert } from "../utils/alerts.jsx";
+import { getImageUrl } from "../utils/imageUrl";
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString(undefined, {
+  day: "numeric",
+  month: "short",
+  year: "numeric"
+}) : "—");
+
+// Search everyone who has ever applied, across all jobs, by the skills and
+// experience in their resumes
+const CandidateSearch = ({ onShowApplications, onClose }) => {
+  const [query, setQuery] = useState("");
+  const [results, setResults] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const runSearch = async (page = 1, q = query.trim()) => {
+    setLoading(true);
+    try {
+      const response = await apiService.searchCandidates({ q, page, limit: 20 });
+      setResults(response.data);
+    } catch (error) {
+      console.error("❌ Error searching candidates:", error);
+      showAlert.error("Search failed", error.response?.data?.message || error.message || "Please try again.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    runSearch(1);
+  };
+
+  const pagination = results?.pagination;
+
+  return (
+    <section className="candidate-search">
+      <div className="candidate-search-header">
+        <div>
+          <h3>Candidate database</h3>
+          <p>Search every application ever received. Each person appears once, with all the roles they applied for.</p>
+        </div>
+        <button type="button" className="btn-small" onClick={onClose}>Close</button>
+      </div>
+
+      <form className="candidate-search-form" onSubmit={handleSubmit}>
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder='Skills or keywords, e.g. react "embedded systems" -intern'
+          maxLength={200}
+          className="search-input"
+        />
+        <button type="submit" className="btn-refresh" disabled={loading}>
+          {loading ? "Searching..." : "Search"}
+        </button>
+      </form>
+
+      {results && (
+        <>
+          <p className="candidate-search-summary">
+            {pagination.totalItems} candidate{pagination.totalItems === 1 ? "" : "s"}
+            {results.query ? ` matching "${results.query}"` : ""}
+          </p>
+
+          {results.candidates.length === 0 && (
+            <p className="table-muted">No one matches yet. Try fewer or broader keywords.</p>
+          )}
+
+          <div className="candidate-results">
+            {results.candidates.map((candidate) => (
+              <article key={candidate.email} className="candidate-result">
+                <div className="candidate-result-header">
+                  <div>
+                    <strong>{candidate.fullName}</strong>
+                    <small>{candidate.email}{candidate.phone ? ` · ${candidate.phone}` : ""}</small>
+                  </div>
+                  <div className="action-buttons">
+                    {candidate.resumeFile?.url && (
+                      <a className="btn-small btn-view" href={getImageUrl(candidate.resumeFile.url)} target="_blank" rel="noopener noreferrer">
+                        <i className="fas fa-file-alt"></i> Resume
+                      </a>
+                    )}
+                    <button type="button" className="btn-small btn-edit" onClick={() => onShowApplications(candidate.email)}>
+                      <i className="fas fa-list"></i> Applications
+                    </button>
+                  </div>
+                </div>
+
+                {candidate.snippet && <p className="candidate-snippet">{candidate.snippet}</p>}
+
+                <ul className="candidate-history">
+                  {candidate.applications.map((application) => (
+                    <li key={application._id}>
+                      {application.job?.title || "Job removed"}
+                      <small> · {application.status} · {formatDate(application.createdAt)}</small>
+                    </li>
+                  ))}
+                </ul>
+
+                {candidate.tags.length > 0 && (
+                  <span className="applicant-tags">
+                    {candidate.tags.map((tag) => (
+                      <span key={tag} className="applicant-tag">{tag}</span>
+                    ))}
+                  </span>
+                )}
+              </article>
+            ))}
+          </div>
+
+          {pagination.totalPages > 1 && (
+            <div className="candidate-search-pagination">
+              <button type="button" className="btn-small" onClick={() => runSearch(pagination.currentPage - 1, results.query)} disabled={loading || !pagination.hasPrevPage}>
+                Previous
+              </button>
+              <span>Page {pagination.currentPage} of {pagination.totalPages}</span>
+              <button type="button" className="btn-small" onClick={() => runSearch(pagination.currentPage + 1, results.query)} disabled={loading || !pagination.hasNextPage}>
+                Next
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </section>
+  );
+};
+
+export default CandidateSearch;
@@ -14,6 +14,26 @@ const formatPrice = (price) => {
   return `${price.currency} ${amt}${tag}`;
 };
 
+const isPriced = (price) => price && price.type !== "contact-for-price" && Boolean(price.amount);
+
+const isOrderable = (item) => item.status !== "unavailable" && item.status !== "discontinued";
+
+const ITEM_NOTICES = {
+  unavailable: "No longer available. Please remove it to send your order.",
+  discontinued: "This product has been discontinued. Please remove it to send your order."
+};
+
+// Estimated totals per currency; the order itself is priced on the server
+const getCartTotals = (items) => {
+  const totals = {};
+  items.filter(isOrderable).forEach(({ product, quantity }) => {
+    if (!isPriced(product.price)) return;
+    const currency = product.price.currency || "UGX";
+    totals[currency] = (totals[currency] || 0) + parseFloat(product.price.amount) * quantity;
+  });
+  return Object.entries(totals).map(([currency, amount]) => `${currency} ${amount.toLocaleString("en-US", { maximumFractionDigits: 2 })}`);
+};
+
 const EMPTY_FORM = { customerName: "", customerEmail: "", customerPhone: "", preferredContact: "email", message: "" };
 
 const getCartProductImage = (product) => {
@@ -23,12 +43,12 @@ const getCartProductImage = (product) => {
 };
 
 const Cart = () => {
-  const { cartItems, cartCount, isCartOpen, closeCart, removeFromCart, updateQuantity, clearCart } = useCart();
+  const { cartItems, cartCount, hasUnavailableItems, isCartOpen, closeCart, removeFromCart, updateQuantity, clearCart } = useCart();
 
   const [form, setForm] = useState(EMPTY_FORM);
   const [loggedInUser, setLoggedInUser] = useState(null);
   const [sending, setSending] = useState(false);
-  const [sent, setSent] = useState(false);
+  const [sentOrder, setSentOrder] = useState(null);
   const [error, setError] = useState("");
 
   // Fetch current user once on mount and pre-fill the form
@@ -64,19 +84,18 @@ const Cart = () => {
   const handleSubmitDB = async () => {
     const err = validate();
     if (err) { setError(err); return; }
+    if (hasUnavailableItems) { setError("Remove the items that are no longer available first."); return; }
     setSending(true);
     setError("");
     try {
-      await apiService.submitCartInquiry({
+      const response = await apiService.submitOrder({
         items: cartItems.map((i) => ({
           productId: i.product._id,
-          productName: i.product.name,
-          quantity: i.quantity,
-          price: i.product.price
+          quantity: i.quantity
         })),
         ...form
       });
-      setSent(true);
+      setSentOrder(response.data || {});
       clearCart();
     } catch (e) {
       setError(e.message || "Something went wrong. Please try again.");
@@ -147,6 +166,8 @@ const Cart = () => {
 
   if (!isCartOpen) return null;
 
+  const cartTotals = getCartTotals(cartItems);
+
   return (
     <>
       {/* Backdrop */}
@@ -172,15 +193,18 @@ const Cart = () => {
           </button>
         </div>
 
-        {sent ? (
+        {sentOrder ? (
           /* ---- Success State ---- */
           <div className="cart-success">
             <div className="cart-success-icon">OK</div>
             <h3>Order Sent!</h3>
-            <p>We&apos;ve received your order request and will get back to you within 24-48 hours.</p>
+            {sentOrder.orderNumber && (
+              <p className="cart-order-number">Order number: <strong>{sentOrder.orderNumber}</strong></p>
+            )}
+            <p>We&apos;ve received your order request and emailed you a summary. We will get back to you within 24-48 hours.</p>
             <button
               className="cart-success-close"
-              onClick={() => { setSent(false); setForm(EMPTY_FORM); closeCart(); }}
+              onClick={() => { setSentOrder(null); setForm(EMPTY_FORM); closeCart(); }}
             >
               Close
             </button>
@@ -198,8 +222,8 @@ const Cart = () => {
           <div className="cart-body">
             {/* Item list */}
             <div className="cart-items">
-              {cartItems.map(({ product, quantity }) => (
-                <div key={product._id} className="cart-item">
+              {cartItems.map(({ product, quantity, status, previousPrice }) => (
+                <div key={product._id} className={`cart-item ${status && status !== "ok" ? `cart-item-${status}` : ""}`}>
                   <img
                     src={getCartProductImage(product)}
                     alt={product.name}
@@ -209,6 +233,10 @@ const Cart = () => {
                   <div className="cart-item-info">
                     <p className="cart-item-name">{product.name}</p>
                     <p className="cart-item-price">{formatPrice(product.price)}</p>
+                    {status === "price_changed" && previousPrice && (
+                      <p className="cart-item-notice">Price changed from {formatPrice(previousPrice)}</p>
+                    )}
+                    {ITEM_NOTICES[status] && <p className="cart-item-notice">{ITEM_NOTICES[status]}</p>}
                     <div className="cart-item-qty">
                       <button
                         className="qty-btn"
@@ -240,6 +268,16 @@ const Cart = () => {
               ))}
             </div>
 
+            {cartTotals.length > 0 && (
+              <div className="cart-totals">
+                <span>Estimated total</span>
+                <strong>{cartTotals.join(" + ")}</strong>
+                {cartItems.some(({ product }) => !isPriced(product.price)) && (
+                  <small>Plus items priced on request; we&apos;ll quote them when we confirm your order.</small>
+                )}
+              </div>
+            )}
+
             <button className="cart-clear-btn" onClick={clearCart}>Clear cart</button>
 
             {/* Contact Form */}
@@ -323,7 +361,7 @@ const Cart = () => {
                 <button
                   className="send-btn send-db"
                   onClick={handleSubmitDB}
-                  disabled={sending}
+                  disabled={sending || hasUnavailableItems}
                   title="Save your order request; we will contact you within 24-48 hrs"
                 >
                   {sending ? (
@@ -0,0 +1,140 @@
+import React, { useState, useEffect, useCallback } from "react";
+import apiService from "../services/api";
+import { showAlert, Swal } from "../utils/alerts";
+
+const errorMessage = (error, fallback) => error.response?.data?.message || error.message || fallback;
+
+// Name corrections requested by recipients from the certificate portal.
+// Approving reissues the certificate under the new name.
+const CertificateCorrections = () => {
+  const [corrections, setCorrections] = useState([]);
+  const [status, setStatus] = useState("pending");
+  const [loading, setLoading] = useState({ list: false, reviewing: null });
+
+  const loadCorrections = useCallback(async () => {
+    setLoading(prev => ({ ...prev, list: true }));
+    try {
+      const response = await apiService.getCertificateCorrections(status);
+      setCorrections(response.data?.corrections || []);
+    } catch (error) {
+      console.error("❌ Error loading certificate corrections:", error);
+    } finally {
+      setLoading(prev => ({ ...prev, list: false }));
+    }
+  }, [status]);
+
+  useEffect(() => {
+    loadCorrections();
+  }, [loadCorrections]);
+
+  const handleApprove = async (correction) => {
+    const confirm = await Swal.fire({
+      title: "Reissue certificate?",
+      text: `${correction.certificateId} will be revoked and reissued to ${correction.requestedName}. The recipient gets the new certificate by email.`,
+      input: "text",
+      inputPlaceholder: "Note for the recipient (optional)",
+      showCancelButton: true,
+      confirmButtonText: "Approve & Reissue"
+    });
+    if (!confirm.isConfirmed) return;
+
+    setLoading(prev => ({ ...prev, reviewing: correction._id }));
+    try {
+      const response = await apiService.approveCertificateCorrection(correction._id, confirm.value);
+      showAlert.success("Correction approved", response.message, { timer: 3000, showConfirmButton: false });
+      await loadCorrections();
+    } catch (error) {
+      console.error("❌ Error approving correction:", error);
+      await showAlert.error("Couldn't approve correction", errorMessage(error, "Please try again."));
+    } finally {
+      setLoading(prev => ({ ...prev, reviewing: null }));
+    }
+  };
+
+  const handleReject = async (correction) => {
+    const { value: note, isConfirmed } = await Swal.fire({
+      title: "Reject correction?",
+      input: "textarea",
+      inputLabel: "Tell the recipient why",
+      inputValidator: (value) => (!value.trim() ? "A note is required" : undefined),
+      showCancelButton: true,
+      confirmButtonText: "Reject"
+    });
+    if (!isConfirmed) return;
+
+    setLoading(prev => ({ ...prev, reviewing: correction._id }));
+    try {
+      await apiService.rejectCertificateCorrection(correction._id, note);
+      await loadCorrections();
+    } catch (error) {
+      console.error("❌ Error rejecting correction:", error);
+      await showAlert.error("Couldn't reject correction", errorMessage(error, "Please try again."));
+    } finally {
+      setLoading(prev => ({ ...prev, reviewing: null }));
+    }
+  };
+
+  return (
+    <div className="certificate-corrections-section">
+      <div className="section-header">
+        <h3>✏️ Name Corrections</h3>
+        <select value={status} onChange={(e) => setStatus(e.target.value)}>
+          <option value="pending">Pending</option>
+          <option value="approved">Approved</option>
+          <option value="rejected">Rejected</option>
+        </select>
+      </div>
+
+      {loading.list && corrections.length === 0 ? (
+        <div className="loading-state">Loading corrections...</div>
+      ) : corrections.length === 0 ? (
+        <p className="empty-note">No {status} corrections.</p>
+      ) : (
+        <ul className="certificate-correction-list">
+          {corrections.map(correction => (
+            <li key={correction._id} className={`certificate-correction correction-${correction.status}`}>
+              <div className="certificate-correction-names">
+                <span className="correction-current">{correction.currentName}</span>
+                {" → "}
+                <strong>{correction.requestedName}</strong>
+              </div>
+              <small>
+                {correction.certificateId}
+                {correction.certificate && ` · ${correction.certificate.categoryName} (${correction.certificate.awardYear})`}
+                {" · "}{correction.recipientEmail}
+                {" · "}{new Date(correction.createdAt).toLocaleString()}
+              </small>
+              {correction.reason && <p className="correction-reason">“{correction.reason}”</p>}
+              {correction.status === "pending" ? (
+                <div className="certificate-job-actions">
+                  <button
+                    className="action-btn approve-btn"
+                    onClick={() => handleApprove(correction)}
+                    disabled={loading.reviewing === correction._id}
+                  >
+                    {loading.reviewing === correction._id ? "⏳ Reissuing..." : "✅ Approve & Reissue"}
+                  </button>
+                  <button
+                    className="action-btn reject-btn"
+                    onClick={() => handleReject(correction)}
+                    disabled={loading.reviewing === correction._id}
+                  >
+                    ✖ Reject
+                  </button>
+                </div>
+              ) : (
+                <small>
+                  {correction.status === "approved" ? `Reissued as ${correction.newCertificateId}` : "Rejected"}
+                  {correction.reviewedBy && ` by ${correction.reviewedBy.name}`}
+                  {correction.reviewNote && ` · ${correction.reviewNote}`}
+                </small>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default CertificateCorrections;
@@ -0,0 +1,175 @@
+import React, { useState, useEffect, useCallback } from "react";
+import apiService from "../services/api";
+import { showAlert } from "../utils/alerts";
+
+const POLL_INTERVAL_MS = 3000;
+const ACTIVE_STATUSES = ["queued", "running"];
+
+const STATUS_LABELS = {
+  queued: "⏳ Queued",
+  running: "⚙️ Running",
+  completed: "✅ Completed",
+  completed_with_errors: "⚠️ Completed with errors",
+  failed: "❌ Failed"
+};
+
+const CertificateJobs = ({ edition = "", refreshKey = 0 }) => {
+  const [jobs, setJobs] = useState([]);
+  const [jobDetails, setJobDetails] = useState({});
+  const [form, setForm] = useState({ status: "", sendEmails: false });
+  const [loading, setLoading] = useState({ jobs: false, starting: false });
+
+  const loadJobs = useCallback(async () => {
+    setLoading(prev => ({ ...prev, jobs: true }));
+    try {
+      const response = await apiService.getCertificateJobs({ limit: 10 });
+      setJobs(response.data?.jobs || []);
+    } catch (error) {
+      console.error("❌ Error loading certificate jobs:", error);
+    } finally {
+      setLoading(prev => ({ ...prev, jobs: false }));
+    }
+  }, []);
+
+  const loadJobDetails = useCallback(async (jobId) => {
+    try {
+      const response = await apiService.getCertificateJob(jobId);
+      const job = response.data?.job;
+      if (!job) return;
+      setJobDetails(prev => ({ ...prev, [jobId]: job }));
+      setJobs(prev => prev.map(item => (item.id === jobId ? { ...item, ...job } : item)));
+    } catch (error) {
+      console.error("❌ Error loading certificate job:", error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadJobs();
+  }, [loadJobs, refreshKey]);
+
+  // Poll jobs that are still working until they finish
+  const activeJobIds = jobs.filter(job => ACTIVE_STATUSES.includes(job.status)).map(job => job.id).join(",");
+  useEffect(() => {
+    if (!activeJobIds) return undefined;
+    const timer = setInterval(() => {
+      activeJobIds.split(",").forEach(loadJobDetails);
+    }, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [activeJobIds, loadJobDetails]);
+
+  const handleStart = async () => {
+    setLoading(prev => ({ ...prev, starting: true }));
+    try {
+      const response = await apiService.startBulkCertificateJob({
+        status: form.status,
+        edition: edition === "all" ? "" : edition,
+        sendEmails: form.sendEmails
+      });
+      await showAlert.success("Certificate job started", `${response.total} certificate(s) will be generated in the background.`, { timer: 3000, showConfirmButton: false });
+      await loadJobs();
+    } catch (error) {
+      console.error("❌ Error starting certificate job:", error);
+      await showAlert.error(
+        "Couldn't start certificate job",
+        error.response?.data?.message || error.message || "Something went wrong starting the job.",
+        { timer: 5000, showConfirmButton: true }
+      );
+    } finally {
+      setLoading(prev => ({ ...prev, starting: false }));
+    }
+  };
+
+  const handleRetry = async (jobId) => {
+    try {
+      await apiService.retryCertificateJob(jobId);
+      await loadJobDetails(jobId);
+    } catch (error) {
+      console.error("❌ Error retrying certificate job:", error);
+      await showAlert.error(
+        "Couldn't retry job",
+        error.response?.data?.message || error.message || "Something went wrong retrying the job.",
+        { timer: 5000, showConfirmButton: true }
+      );
+    }
+  };
+
+  return (
+    <div className="certificate-jobs-section">
+      <div className="section-header">
+        <h3>📜 Certificate Jobs</h3>
+        <div className="certificate-job-form">
+          <select
+            value={form.status}
+            onChange={(e) => setForm(prev => ({ ...prev, status: e.target.value }))}
+          >
+            <option value="">Winners, finalists &amp; participants</option>
+            <option value="winner">Winners only</option>
+            <option value="finalist">Finalists only</option>
+            <option value="approved">Participants only</option>
+          </select>
+          <label>
+            <input
+              type="checkbox"
+              checked={form.sendEmails}
+              onChange={(e) => setForm(prev => ({ ...prev, sendEmails: e.target.checked }))}
+            />
+            Email recipients
+          </label>
+          <button className="create-btn" onClick={handleStart} disabled={loading.starting}>
+            {loading.starting ? "⏳ Starting..." : "⚙️ Generate Certificates"}
+          </button>
+        </div>
+      </div>
+
+      {loading.jobs && jobs.length === 0 ? (
+        <div className="loading-state">Loading jobs...</div>
+      ) : jobs.length === 0 ? (
+        <p className="empty-note">No certificate jobs have run yet.</p>
+      ) : (
+        <ul className="certificate-job-list">
+          {jobs.map(job => {
+            const details = jobDetails[job.id];
+            return (
+              <li key={job.id} className={`certificate-job job-${job.status}`}>
+                <div className="certificate-job-header">
+                  <strong>{job.label || "Bulk certificates"}</strong>
+                  <span className="certificate-job-status">{STATUS_LABELS[job.status] || job.status}</span>
+                </div>
+                <div className="certificate-job-progress">
+                  <div className="certificate-job-bar" style={{ width: `${job.progress}%` }} />
+                </div>
+                <small>
+                  {job.succeeded} of {job.total} generated
+                  {job.failed > 0 && ` · ${job.failed} failed`}
+                  {job.sendEmails && " · emailing recipients"}
+                  {" · "}{new Date(job.createdAt).toLocaleString()}
+                </small>
+                {job.failed > 0 && !ACTIVE_STATUSES.includes(job.status) && (
+                  <div className="certificate-job-actions">
+                    <button className="action-btn" onClick={() => loadJobDetails(job.id)}>
+                      🔍 Show failures
+                    </button>
+                    <button className="action-btn approve-btn" onClick={() => handleRetry(job.id)}>
+                      🔁 Retry failed
+                    </button>
+                  </div>
+                )}
+                {details?.failedItems?.length > 0 && (
+                  <ul className="certificate-job-failures">
+                    {details.failedItems.map(item => (
+                      <li key={item.nominationId}>
+                        {item.nomineeName} — {item.error} <small>({item.attempts} attempt(s))</small>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default CertificateJobs;
@@ -0,0 +1,470 @@
+import React, { useState, useEffect, useCallback } from "react";
+import apiService from "../services/api";
+import { showAlert, Swal } from "../utils/alerts";
+import SignatoryLibrary from "./SignatoryLibrary";
+
+const TYPE_LABELS = {
+  winner: "🏆 Winner",
+  finalist: "🎖️ Finalist",
+  participation: "📜 Participation"
+};
+
+const EMPTY_BLOCK = { text: "", x: 421, y: 300, align: "center", font: "TimesRoman", size: 14, color: "heading", underline: false };
+
+const errorMessage = (error, fallback) => error.response?.data?.message || error.message || fallback;
+
+const CertificateTemplates = () => {
+  const [templates, setTemplates] = useState([]);
+  const [builtIn, setBuiltIn] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [signatories, setSignatories] = useState([]);
+  const [options, setOptions] = useState({ certificateTypes: [], placeholders: [], fonts: [], paletteKeys: [] });
+  const [typeFilter, setTypeFilter] = useState("");
+  const [draft, setDraft] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [loading, setLoading] = useState({ templates: false, saving: false, preview: false });
+
+  const loadTemplates = useCallback(async () => {
+    setLoading(prev => ({ ...prev, templates: true }));
+    try {
+      const response = await apiService.getCertificateTemplates();
+      setTemplates(response.data?.templates || []);
+      setBuiltIn(response.data?.builtIn || []);
+      setCategories(response.data?.categories || []);
+      setSignatories(response.data?.signatories || []);
+      setOptions(response.data?.options || {});
+    } catch (error) {
+      console.error("❌ Error loading certificate templates:", error);
+      showAlert.error("Couldn't load templates", errorMessage(error, "Please try again."));
+    } finally {
+      setLoading(prev => ({ ...prev, templates: false }));
+    }
+  }, []);
+
+  useEffect(() => {
+    loadTemplates();
+  }, [loadTemplates]);
+
+  // Release preview blobs when they are replaced or closed
+  useEffect(() => () => {
+    if (preview?.url) URL.revokeObjectURL(preview.url);
+  }, [preview]);
+
+  const showPreview = async (title, format, render) => {
+    setLoading(prev => ({ ...prev, preview: true }));
+    try {
+      const blob = await render();
+      setPreview({ title, format, url: URL.createObjectURL(blob) });
+    } catch (error) {
+      console.error("❌ Error previewing certificate template:", error);
+      await showAlert.error("Couldn't render preview", errorMessage(error, "Something went wrong rendering the template."));
+    } finally {
+      setLoading(prev => ({ ...prev, preview: false }));
+    }
+  };
+
+  const previewTemplate = (template, format = "png") => showPreview(
+    template.name,
+    format,
+    () => apiService.previewCertificateTemplate(template._id, format)
+  );
+
+  const previewDraft = () => showPreview(
+    `${draft.name || "Template"} (unsaved)`,
+    "png",
+    () => apiService.previewCertificateTemplateDraft(draft, "png")
+  );
+
+  const handleClone = async (template) => {
+    const { value: name, isConfirmed } = await Swal.fire({
+      title: "Clone template",
+      input: "text",
+      inputValue: `Copy of ${template.name}`,
+      showCancelButton: true,
+      confirmButtonText: "Clone",
+      confirmButtonColor: "#7c3aed",
+      inputValidator: (value) => (!value?.trim() ? "Give the new template a name" : undefined)
+    });
+    if (!isConfirmed) return;
+
+    try {
+      const response = await apiService.cloneCertificateTemplate(template._id, name.trim());
+      await loadTemplates();
+      setDraft(response.data.template);
+    } catch (error) {
+      console.error("❌ Error cloning certificate template:", error);
+      await showAlert.error("Couldn't clone template", errorMessage(error, "Something went wrong cloning the template."));
+    }
+  };
+
+  const handleDelete = async (template) => {
+    const confirm = await Swal.fire({
+      title: `Delete "${template.name}"?`,
+      text: "Categories using it will go back to the default template. Certificates already issued are not changed.",
+      icon: "warning",
+      showCancelButton: true,
+      confirmButtonText: "Delete",
+      confirmButtonColor: "#dc2626",
+      cancelButtonColor: "#6b7280"
+    });
+    if (!confirm.isConfirmed) return;
+
+    try {
+      await apiService.deleteCertificateTemplate(template._id);
+      await loadTemplates();
+    } catch (error) {
+      console.error("❌ Error deleting certificate template:", error);
+      await showAlert.error("Couldn't delete template", errorMessage(error, "Something went wrong deleting the template."));
+    }
+  };
+
+  const handleAssign = async (certificateType, templateId, categoryId = null) => {
+    try {
+      const response = await apiService.assignCertificateTemplate({
+        certificateType,
+        categoryId,
+        templateId: templateId || null
+      });
+      await showAlert.success("Template assigned", response.message, { timer: 2500, showConfirmButton: false });
+      await loadTemplates();
+    } catch (error) {
+      console.error("❌ Error assigning certificate template:", error);
+      await showAlert.error("Couldn't assign template", errorMessage(error, "Something went wrong assigning the template."));
+    }
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setLoading(prev => ({ ...prev, saving: true }));
+    try {
+      await apiService.updateCertificateTemplate(draft._id, draft);
+      await showAlert.success("Template saved", "New certificates will use the updated layout.", { timer: 2500, showConfirmButton: false });
+      setDraft(null);
+      await loadTemplates();
+    } catch (error) {
+      console.error("❌ Error saving certificate template:", error);
+      await showAlert.error("Couldn't save template", errorMessage(error, "Something went wrong saving the template."));
+    } finally {
+      setLoading(prev => ({ ...prev, saving: false }));
+    }
+  };
+
+  const updateDraft = (section, field, value) => {
+    setDraft(prev => ({ ...prev, [section]: { ...prev[section], [field]: value } }));
+  };
+
+  const updateBlock = (index, field, value) => {
+    setDraft(prev => ({
+      ...prev,
+      blocks: prev.blocks.map((block, i) => (i === index ? { ...block, [field]: value } : block))
+    }));
+  };
+
+  // Signatories print left to right in the order they are listed on the template
+  const selectedSignatories = draft?.signature?.signatories || [];
+
+  const toggleSignatory = (signatoryId) => {
+    updateDraft("signature", "signatories", selectedSignatories.includes(signatoryId)
+      ? selectedSignatories.filter(id => id !== signatoryId)
+      : [...selectedSignatories, signatoryId]);
+  };
+
+  const moveSignatory = (index) => {
+    const reordered = [...selectedSignatories];
+    [reordered[index - 1], reordered[index]] = [reordered[index], reordered[index - 1]];
+    updateDraft("signature", "signatories", reordered);
+  };
+
+  const numberValue = (value) => (value === "" ? "" : Number(value));
+
+  const templatesOfType = (type) => templates.filter(template => template.certificateType === type);
+  const visibleTemplates = [...builtIn, ...templates].filter(template => !typeFilter || template.certificateType === typeFilter);
+
+  const renderSectionFields = (section, fields) => (
+    <div className="template-field-row">
+      {fields.map(([field, label, type = "number"]) => (
+        <label key={field}>
+          {label}
+          {type === "checkbox" ? (
+            <input
+              type="checkbox"
+              checked={Boolean(draft[section]?.[field])}
+              onChange={(e) => updateDraft(section, field, e.target.checked)}
+            />
+          ) : (
+            <input
+              type={type}
+              value={draft[section]?.[field] ?? ""}
+              onChange={(e) => updateDraft(section, field, type === "number" ? numberValue(e.target.value) : e.target.value)}
+            />
+          )}
+        </label>
+      ))}
+    </div>
+  );
+
+  return (
+    <div className="certificate-templates-section">
+      <div className="section-header">
+        <h3>🎨 Certificate Templates</h3>
+        <select value={typeFilter} onChange={(e) => setTypeFilter(e.target.value)}>
+          <option value="">All certificate types</option>
+          {options.certificateTypes?.map(type => (
+            <option key={type} value={type}>{TYPE_LABELS[type] || type}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="template-defaults">
+        {options.certificateTypes?.map(type => {
+          const current = templatesOfType(type).find(template => template.isDefault);
+          return (
+            <label key={type}>
+              Default {TYPE_LABELS[type] || type} template
+              <select value={current?._id || ""} onChange={(e) => handleAssign(type, e.target.value)}>
+                <option value="">Built-in layout</option>
+                {templatesOfType(type).map(template => (
+                  <option key={template._id} value={template._id}>{template.name}</option>
+                ))}
+              </select>
+            </label>
+          );
+        })}
+      </div>
+
+      {loading.templates && templates.length === 0 ? (
+        <div className="loading-state">Loading templates...</div>
+      ) : (
+        <div className="template-list">
+          {visibleTemplates.map(template => (
+            <div key={template._id} className={`template-card ${template.isDefault ? "default" : ""}`}>
+              <div className="template-card-header">
+                <strong>{template.name}</strong>
+                <span className={`status-badge ${template.certificateType}`}>{TYPE_LABELS[template.certificateType]}</span>
+              </div>
+              <div className="template-swatches">
+                {Object.entries(template.palette || {}).map(([key, color]) => (
+                  <span key={key} className="template-swatch" style={{ background: color }} title={`${key}: ${color}`} />
+                ))}
+              </div>
+              <small>
+                {template.builtIn ? "Built-in layout" : template.description || "No description"}
+                {template.isDefault && " · default"}
+              </small>
+              <div className="template-actions">
+                <button className="action-btn" onClick={() => previewTemplate(template, "png")} disabled={loading.preview}>🖼️ PNG</button>
+                <button className="action-btn" onClick={() => previewTemplate(template, "pdf")} disabled={loading.preview}>📄 PDF</button>
+                <button className="action-btn" onClick={() => handleClone(template)}>📋 Clone</button>
+                {!template.builtIn && (
+                  <>
+                    <button className="action-btn approve-btn" onClick={() => setDraft(template)}>✏️ Edit</button>
+                    <button className="action-btn reject-btn" onClick={() => handleDelete(template)}>🗑️ Delete</button>
+                  </>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {categories.length > 0 && (
+        <div className="vote-review-table-wrapper">
+          <table className="vote-review-table template-assignments">
+            <thead>
+              <tr>
+                <th>Category</th>
+                {options.certificateTypes?.map(type => <th key={type}>{TYPE_LABELS[type] || type}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {categories.map(category => (
+                <tr key={category._id}>
+                  <td>{category.name}</td>
+                  {options.certificateTypes?.map(type => (
+                    <td key={type}>
+                      <select
+                        value={category.certificateTemplates?.[type] || ""}
+                        onChange={(e) => handleAssign(type, e.target.value, category._id)}
+                      >
+                        <option value="">Default</option>
+                        {templatesOfType(type).map(template => (
+                          <option key={template._id} value={template._id}>{template.name}</option>
+                        ))}
+                      </select>
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <SignatoryLibrary onChange={loadTemplates} />
+
+      {/* Template Editor Modal */}
+      {draft && (
+        <div className="modal-overlay" onClick={() => setDraft(null)}>
+          <div className="modal-content category-form template-editor" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3>✏️ Edit Template</h3>
+              <button className="close-btn" onClick={() => setDraft(null)}>❌</button>
+            </div>
+
+            <form onSubmit={handleSave}>
+              <div className="form-group">
+                <label>Name:</label>
+                <input type="text" required value={draft.name} onChange={(e) => setDraft(prev => ({ ...prev, name: e.target.value }))} />
+              </div>
+              <div className="form-group">
+                <label>Description:</label>
+                <input type="text" value={draft.description || ""} onChange={(e) => setDraft(prev => ({ ...prev, description: e.target.value }))} />
+              </div>
+
+              <div className="form-group">
+                <label>Background &amp; palette:</label>
+                <div className="template-field-row">
+                  <label>
+                    background
+                    <input type="color" value={draft.background?.color || "#FFFFFF"} onChange={(e) => updateDraft("background", "color", e.target.value.toUpperCase())} />
+                  </label>
+                  {options.paletteKeys?.map(key => (
+                    <label key={key}>
+                      {key}
+                      <input type="color" value={draft.palette?.[key] || "#333333"} onChange={(e) => updateDraft("palette", key, e.target.value.toUpperCase())} />
+                    </label>
+                  ))}
+                </div>
+                <input
+                  type="url"
+                  placeholder="Background image URL (PNG or JPG, optional)"
+                  value={draft.background?.imageUrl || ""}
+                  onChange={(e) => updateDraft("background", "imageUrl", e.target.value)}
+                />
+              </div>
+
+              <div className="form-group">
+                <label>Border:</label>
+                {renderSectionFields("border", [["show", "show", "checkbox"], ["outerWidth", "outer"], ["innerWidth", "inner"], ["corners", "corners", "checkbox"]])}
+              </div>
+
+              <div className="form-group">
+                <label>Text blocks:</label>
+                <small className="template-hint">
+                  Positions are in points from the bottom-left corner of the {draft.page?.width || 842}×{draft.page?.height || 595} page.
+                  Placeholders: {options.placeholders?.map(name => `{{${name}}}`).join(", ")}
+                </small>
+                {draft.blocks?.map((block, index) => (
+                  <div key={index} className="template-block-row">
+                    <input type="text" value={block.text} placeholder="Text" onChange={(e) => updateBlock(index, "text", e.target.value)} />
+                    <input type="number" value={block.x} title="x" onChange={(e) => updateBlock(index, "x", numberValue(e.target.value))} />
+                    <input type="number" value={block.y} title="y" onChange={(e) => updateBlock(index, "y", numberValue(e.target.value))} />
+                    <input type="number" value={block.size} title="Font size" onChange={(e) => updateBlock(index, "size", numberValue(e.target.value))} />
+                    <select value={block.align} onChange={(e) => updateBlock(index, "align", e.target.value)}>
+                      <option value="left">left</option>
+                      <option value="center">center</option>
+                      <option value="right">right</option>
+                    </select>
+                    <select value={block.font} onChange={(e) => updateBlock(index, "font", e.target.value)}>
+                      {options.fonts?.map(font => <option key={font} value={font}>{font}</option>)}
+                    </select>
+                    <select value={block.color} onChange={(e) => updateBlock(index, "color", e.target.value)}>
+                      {options.paletteKeys?.map(key => <option key={key} value={key}>{key}</option>)}
+                      {!options.paletteKeys?.includes(block.color) && <option value={block.color}>{block.color}</option>}
+                    </select>
+                    <label title="Underline">
+                      <input type="checkbox" checked={Boolean(block.underline)} onChange={(e) => updateBlock(index, "underline", e.target.checked)} />
+                      U
+                    </label>
+                    <button
+                      type="button"
+                      className="remove-criterion-btn"
+                      onClick={() => setDraft(prev => ({ ...prev, blocks: prev.blocks.filter((_, i) => i !== index) }))}
+                    >
+                      ✖
+                    </button>
+                  </div>
+                ))}
+                <button
+                  type="button"
+                  className="add-criterion-btn"
+                  onClick={() => setDraft(prev => ({ ...prev, blocks: [...(prev.blocks || []), { ...EMPTY_BLOCK }] }))}
+                >
+                  ➕ Add Text Block
+                </button>
+              </div>
+
+              <div className="form-group">
+                <label>Signature:</label>
+                {renderSectionFields("signature", [["show", "show", "checkbox"], ["x", "x"], ["y", "y"], ["width", "width"], ["height", "height"], ["spacing", "spacing"], ["fallbackLabel", "label", "text"]])}
+                <small>With several signatories the row ends at x and grows to the left; leave all unticked to use the signature uploaded in Settings.</small>
+                <div className="template-signatories">
+                  {selectedSignatories.map((signatoryId, index) => {
+                    const signatory = signatories.find(item => item._id === signatoryId);
+                    return (
+                      <div key={signatoryId} className="template-signatory selected">
+                        <span>{index + 1}. {signatory ? `${signatory.name}${signatory.title ? ` — ${signatory.title}` : ""}` : "Retired signatory (skipped on new certificates)"}</span>
+                        {index > 0 && <button type="button" className="action-btn" onClick={() => moveSignatory(index)}>⬆️</button>}
+                        <button type="button" className="action-btn reject-btn" onClick={() => toggleSignatory(signatoryId)}>✖</button>
+                      </div>
+                    );
+                  })}
+                  {signatories.filter(signatory => !selectedSignatories.includes(signatory._id)).map(signatory => (
+                    <label key={signatory._id} className="template-signatory">
+                      <input type="checkbox" checked={false} onChange={() => toggleSignatory(signatory._id)} />
+                      {signatory.name}{signatory.title ? ` — ${signatory.title}` : ""}
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              <div className="form-group">
+                <label>Verification QR code:</label>
+                {renderSectionFields("qr", [["show", "show", "checkbox"], ["x", "x"], ["y", "y"], ["size", "size"], ["label", "label", "text"]])}
+              </div>
+
+              <div className="form-group">
+                <label>Recipient photo (when the nominee has one):</label>
+                {renderSectionFields("photo", [["show", "show", "checkbox"], ["x", "x"], ["y", "y"], ["size", "size"]])}
+              </div>
+
+              <div className="form-actions">
+                <button type="submit" className="submit-btn" disabled={loading.saving}>
+                  {loading.saving ? "⏳ Saving..." : "💾 Save"}
+                </button>
+                <button type="button" className="action-btn" onClick={previewDraft} disabled={loading.preview}>
+                  {loading.preview ? "⏳ Rendering..." : "👁️ Preview"}
+                </button>
+                <button type="button" className="cancel-btn" onClick={() => setDraft(null)}>
+                  ❌ Cancel
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Preview Modal */}
+      {preview && (
+        <div className="modal-overlay template-preview-overlay" onClick={() => setPreview(null)}>
+          <div className="modal-content template-preview" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3>👁️ {preview.title}</h3>
+              <button className="close-btn" onClick={() => setPreview(null)}>❌</button>
+            </div>
+            {preview.format === "pdf" ? (
+              <iframe src={preview.url} title={preview.title} />
+            ) : (
+              <img src={preview.url} alt={`${preview.title} preview`} />
+            )}
+            <a href={preview.url} target="_blank" rel="noopener noreferrer" download={`certificate-preview.${preview.format}`}>
+              ⬇️ Download {preview.format.toUpperCase()}
+            </a>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CertificateTemplates;
@@ -0,0 +1,139 @@
+import React, { useState, useEffect, useCallback } from "react";
+import apiService from "../services/api";
+
+const OUTCOME_LABELS = {
+  valid: "✅ Valid",
+  revoked: "🚫 Revoked",
+  expired: "⌛ Expired",
+  not_found: "❓ Not found"
+};
+
+const SummaryList = ({ title, items }) => (
+  <div className="verification-summary-list">
+    <h5>{title}</h5>
+    {items.length === 0 ? (
+      <small>No data yet</small>
+    ) : (
+      <ul>
+        {items.map(item => (
+          <li key={item.value}>
+            <span>{item.value}</span>
+            <strong>{item.count}</strong>
+          </li>
+        ))}
+      </ul>
+    )}
+  </div>
+);
+
+// Every lookup of one certificate: when, from where and with what
+const CertificateVerificationHistory = ({ certificateId, recipientName, onClose }) => {
+  const [history, setHistory] = useState(null);
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadHistory = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await apiService.getCertificateVerifications(certificateId, { page, limit: 25 });
+      setHistory(response.data);
+    } catch (err) {
+      console.error("❌ Error loading verification history:", err);
+      setError(err.response?.data?.message || err.message || "Couldn't load verification history.");
+    } finally {
+      setLoading(false);
+    }
+  }, [certificateId, page]);
+
+  useEffect(() => {
+    loadHistory();
+  }, [loadHistory]);
+
+  const summary = history?.summary;
+  const maxDaily = Math.max(1, ...(summary?.daily || []).map(day => day.count));
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content verification-history-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>📈 Verifications · {certificateId}</h3>
+          <button className="close-modal-btn" onClick={onClose}>✖</button>
+        </div>
+
+        {recipientName && <p className="verification-history-recipient">{recipientName}</p>}
+
+        {error ? (
+          <p className="empty-note">{error}</p>
+        ) : !history ? (
+          <div className="loading-state">Loading verification history...</div>
+        ) : (
+          <>
+            <div className="verification-summary">
+              <div className="verification-total">
+                <strong>{summary.total}</strong>
+                <small>verification{summary.total === 1 ? "" : "s"}</small>
+              </div>
+              <SummaryList title="Countries" items={summary.byCountry} />
+              <SummaryList title="Referrers" items={summary.byReferrer} />
+              <SummaryList title="Browsers" items={summary.byBrowser} />
+            </div>
+
+            {summary.daily.length > 0 && (
+              <div className="verification-daily" title="Verifications per day, last 30 days">
+                {summary.daily.map(day => (
+                  <div
+                    key={day.date}
+                    className="verification-daily-bar"
+                    style={{ height: `${(day.count / maxDaily) * 100}%` }}
+                    title={`${day.date}: ${day.count}`}
+                  />
+                ))}
+              </div>
+            )}
+
+            {history.events.length === 0 ? (
+              <p className="empty-note">This certificate hasn't been verified since tracking started.</p>
+            ) : (
+              <table className="verification-history-table">
+                <thead>
+                  <tr>
+                    <th>When</th>
+                    <th>Result</th>
+                    <th>Country</th>
+                    <th>Referrer</th>
+                    <th>Browser</th>
+                    <th>IP</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {history.events.map(event => (
+                    <tr key={event._id}>
+                      <td>{new Date(event.verifiedAt).toLocaleString()}</td>
+                      <td>{OUTCOME_LABELS[event.outcome] || event.outcome}{event.method === "pdf" && " · PDF"}</td>
+                      <td>{event.country || "Unknown"}</td>
+                      <td>{event.referrerDomain}</td>
+                      <td>{event.userAgent?.browser} / {event.userAgent?.os}</td>
+                      <td><code>{event.ipAddress}</code></td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+
+            {history.pagination.pages > 1 && (
+              <div className="pagination">
+                <button className="action-btn" onClick={() => setPage(prev => prev - 1)} disabled={page <= 1 || loading}>← Newer</button>
+                <span>Page {page} of {history.pagination.pages}</span>
+                <button className="action-btn" onClick={() => setPage(prev => prev + 1)} disabled={page >= history.pagination.pages || loading}>Older →</button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CertificateVerificationHistory;
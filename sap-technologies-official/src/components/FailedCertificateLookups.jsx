@@ -0,0 +1,65 @@
+import React, { useState, useEffect, useCallback } from "react";
+import apiService from "../services/api";
+
+// Addresses that looked up certificate IDs that don't exist. Many misses from
+// one address usually means ID guessing or someone checking forged certificates.
+const FailedCertificateLookups = () => {
+  const [sources, setSources] = useState([]);
+  const [hours, setHours] = useState(24);
+  const [loading, setLoading] = useState(false);
+
+  const loadSources = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await apiService.getFailedCertificateVerifications(hours);
+      setSources(response.data?.sources || []);
+    } catch (error) {
+      console.error("❌ Error loading failed certificate lookups:", error);
+    } finally {
+      setLoading(false);
+    }
+  }, [hours]);
+
+  useEffect(() => {
+    loadSources();
+  }, [loadSources]);
+
+  return (
+    <div className="failed-lookups-section">
+      <div className="section-header">
+        <h3>🚨 Failed Certificate Lookups</h3>
+        <select value={hours} onChange={(e) => setHours(Number(e.target.value))}>
+          <option value={24}>Last 24 hours</option>
+          <option value={168}>Last 7 days</option>
+          <option value={720}>Last 30 days</option>
+        </select>
+      </div>
+
+      {loading && sources.length === 0 ? (
+        <div className="loading-state">Loading lookups...</div>
+      ) : sources.length === 0 ? (
+        <p className="empty-note">No lookups of unknown certificate IDs.</p>
+      ) : (
+        <ul className="failed-lookup-list">
+          {sources.map(source => (
+            <li key={source.ipAddress || "unknown"} className={`failed-lookup ${source.suspicious ? "suspicious" : ""}`}>
+              <div className="failed-lookup-header">
+                <code>{source.ipAddress || "Unknown address"}</code>
+                <span>
+                  {source.count} miss{source.count === 1 ? "" : "es"}
+                  {source.suspicious && " · ⚠️ likely enumeration"}
+                </span>
+              </div>
+              <small>
+                {source.country || "Unknown country"} · last seen {new Date(source.lastSeenAt).toLocaleString()}
+              </small>
+              <small className="failed-lookup-ids">{source.certificateIds.filter(Boolean).join(", ") || "Unsigned PDFs"}</small>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default FailedCertificateLookups;
@@ -685,6 +685,19 @@ const Header = ({ isAuthenticated, userName, userRole, userProfilePic, onAuthMod
                     </div>
                   )}
 
+                  {(userRole === "judge" || userRole === "admin") && (
+                    <div className="nav-sidebar-group">
+                      <span className="nav-sidebar-label">Awards</span>
+                      <Link
+                        to="/awards/judging"
+                        onClick={prepareNavigation}
+                        className={`nav-sidebar-link ${location.pathname === "/awards/judging" ? "active" : ""}`}
+                      >
+                        <span>Judging Panel</span>
+                      </Link>
+                    </div>
+                  )}
+
                   <div className="nav-sidebar-auth">
                     {!isAuthenticated ? (
                       <>
@@ -0,0 +1,705 @@
+import React, { useState, useEffect, useCallback } from "react";
+import apiService from "../services/api";
+import { showAlert, Swal } from "../utils/alerts.jsx";
+import { VAT_RATE, formatMoney, toDateInput, toItemRows, toPricingPayload } from "../utils/salesDocuments";
+import { copyPayLink, requestMobilePayment } from "../utils/paymentRequests";
+import LineItemsEditor from "./LineItemsEditor";
+import "../styles/QuotationsAdmin.css";
+import "../styles/InvoicesAdmin.css";
+
+const STATUS_LABELS = {
+  draft: "Draft",
+  issued: "Issued",
+  partially_paid: "Part paid",
+  paid: "Paid",
+  void: "Void"
+};
+
+const METHOD_LABELS = {
+  mobile_money: "Mobile money",
+  bank_transfer: "Bank transfer",
+  cash: "Cash",
+  other: "Other"
+};
+
+const errorMessage = (error, fallback) => error.response?.data?.message || error.message || fallback;
+
+const isOverdue = (invoice) => ["issued", "partially_paid"].includes(invoice.status) && new Date(invoice.dueDate) < new Date();
+
+const escapeHtml = (value = "") => String(value).replace(/[&<>"']/g, (char) => ({
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  "\"": "&quot;",
+  "'": "&#39;"
+}[char]));
+
+const toForm = (invoice) => ({
+  title: invoice.title || "",
+  customerName: invoice.customerName || "",
+  customerEmail: invoice.customerEmail || "",
+  customerPhone: invoice.customerPhone || "",
+  companyName: invoice.companyName || "",
+  currency: invoice.currency || "UGX",
+  dueDate: toDateInput(invoice.dueDate),
+  taxRate: invoice.taxRate ?? VAT_RATE,
+  discountAmount: invoice.discountAmount || 0,
+  notes: invoice.notes || "",
+  terms: invoice.terms || "",
+  items: toItemRows(invoice.items)
+});
+
+const StatusBadge = ({ invoice }) => (
+  <span className={`quotations-admin-badge invoices-admin-status-${isOverdue(invoice) ? "overdue" : invoice.status}`}>
+    {isOverdue(invoice) ? "Overdue" : STATUS_LABELS[invoice.status]}
+  </span>
+);
+
+// Receivables: what customers owe per currency, how late it is and who owes most
+const ReceivablesReport = ({ report, onOpenInvoice }) => {
+  if (!report) return <p className="invoices-admin-empty">Loading receivables...</p>;
+  if (report.currencies.length === 0) return <p className="invoices-admin-empty">No money is outstanding. Every issued invoice is paid.</p>;
+
+  return (
+    <div className="invoices-admin-report">
+      {report.currencies.map(summary => (
+        <section key={summary.currency} className="invoices-admin-report-currency">
+          <h3>{summary.currency}</h3>
+          <div className="invoices-admin-stats">
+            <div>
+              <span>Outstanding</span>
+              <strong>{formatMoney(summary.outstanding, summary.currency)}</strong>
+              <small>{summary.invoiceCount} open invoice{summary.invoiceCount === 1 ? "" : "s"}</small>
+            </div>
+            <div className={summary.overdue > 0 ? "is-overdue" : ""}>
+              <span>Overdue</span>
+              <strong>{formatMoney(summary.overdue, summary.currency)}</strong>
+              <small>{summary.overdueCount} invoice{summary.overdueCount === 1 ? "" : "s"}</small>
+            </div>
+            <div>
+              <span>Collected, last 30 days</span>
+              <strong>{formatMoney(summary.collectedLast30Days, summary.currency)}</strong>
+            </div>
+          </div>
+
+          <table className="invoices-admin-table">
+            <thead>
+              <tr>
+                {report.buckets.map(bucket => <th key={bucket.key}>{bucket.label}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              <tr>
+                {report.buckets.map(bucket => <td key={bucket.key}>{formatMoney(summary.aging[bucket.key], summary.currency)}</td>)}
+              </tr>
+            </tbody>
+          </table>
+
+          {summary.topCustomers.length > 0 && (
+            <>
+              <h4>Largest balances</h4>
+              <table className="invoices-admin-table">
+                <thead>
+                  <tr>
+                    <th>Customer</th>
+                    <th>Invoices</th>
+                    <th>Balance due</th>
+                    <th>Overdue</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {summary.topCustomers.map(customer => (
+                    <tr key={customer.customerEmail}>
+                      <td>
+                        {customer.companyName || customer.customerName}
+                        <br />
+                        <small>{customer.customerEmail}</small>
+                      </td>
+                      <td>{customer.invoiceCount}</td>
+                      <td>{formatMoney(customer.balanceDue, summary.currency)}</td>
+                      <td>{customer.overdue ? formatMoney(customer.overdue, summary.currency) : "—"}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+        </section>
+      ))}
+
+      {report.overdueInvoices.length > 0 && (
+        <section>
+          <h3>Overdue invoices</h3>
+          <table className="invoices-admin-table">
+            <thead>
+              <tr>
+                <th>Invoice</th>
+                <th>Customer</th>
+                <th>Balance due</th>
+                <th>Due</th>
+                <th>Days late</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.overdueInvoices.map(invoice => (
+                <tr key={invoice._id} className="quotations-admin-row" onClick={() => onOpenInvoice(invoice._id)}>
+                  <td><strong>{invoice.invoiceNumber}</strong></td>
+                  <td>{invoice.companyName || invoice.customerName}</td>
+                  <td>{formatMoney(invoice.balanceDue, invoice.currency)}</td>
+                  <td>{new Date(invoice.dueDate).toLocaleDateString()}</td>
+                  <td>{invoice.daysOverdue}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </section>
+      )}
+    </div>
+  );
+};
+
+// Invoices for accepted quotations and service quote requests: draft
+// editing, issuing, payments, reminders and the receivables report
+const InvoicesAdmin = ({ initialInvoiceId = null }) => {
+  const [view, setView] = useState("invoices");
+  const [invoices, setInvoices] = useState([]);
+  const [pagination, setPagination] = useState({ currentPage: 1, totalPages: 1, total: 0 });
+  const [statusFilter, setStatusFilter] = useState("");
+  const [search, setSearch] = useState("");
+  const [report, setReport] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [form, setForm] = useState(null);
+  const [dirty, setDirty] = useState(false);
+  const [loading, setLoading] = useState({ list: false, saving: false });
+
+  const loadInvoices = useCallback(async (page = 1) => {
+    setLoading(prev => ({ ...prev, list: true }));
+    try {
+      const params = { page, limit: 20 };
+      if (statusFilter) params.status = statusFilter;
+      if (search.trim()) params.search = search.trim();
+
+      const response = await apiService.getInvoices(params);
+      setInvoices(response.data?.invoices || []);
+      setPagination({
+        currentPage: response.data?.currentPage || 1,
+        totalPages: response.data?.totalPages || 1,
+        total: response.data?.total || 0
+      });
+    } catch (error) {
+      console.error("❌ Error loading invoices:", error);
+      showAlert.error("Couldn't load invoices", errorMessage(error, "Please try again."));
+    } finally {
+      setLoading(prev => ({ ...prev, list: false }));
+    }
+  }, [statusFilter, search]);
+
+  const loadReport = useCallback(async () => {
+    try {
+      const response = await apiService.getReceivablesReport();
+      setReport(response.data);
+    } catch (error) {
+      console.error("❌ Error loading receivables report:", error);
+      showAlert.error("Couldn't load receivables", errorMessage(error, "Please try again."));
+    }
+  }, []);
+
+  useEffect(() => {
+    const timer = setTimeout(() => loadInvoices(1), 300);
+    return () => clearTimeout(timer);
+  }, [loadInvoices]);
+
+  useEffect(() => {
+    if (view === "receivables") loadReport();
+  }, [view, loadReport]);
+
+  const openInvoice = useCallback(async (invoiceId) => {
+    try {
+      const response = await apiService.getInvoice(invoiceId);
+      setSelected(response.data.invoice);
+      setForm(toForm(response.data.invoice));
+      setDirty(false);
+    } catch (error) {
+      console.error("❌ Error loading invoice:", error);
+      showAlert.error("Couldn't open invoice", errorMessage(error, "Please try again."));
+    }
+  }, []);
+
+  useEffect(() => {
+    if (initialInvoiceId) openInvoice(initialInvoiceId);
+  }, [initialInvoiceId, openInvoice]);
+
+  // Reload the open invoice (with its links and who recorded each payment)
+  // and keep the list and report in step after any change
+  const refresh = async (invoice) => {
+    if (invoice) await openInvoice(invoice._id);
+    await loadInvoices(pagination.currentPage);
+    if (view === "receivables") await loadReport();
+  };
+
+  const updateField = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+    setDirty(true);
+  };
+
+  const saveInvoice = async ({ quiet = false } = {}) => {
+    setLoading(prev => ({ ...prev, saving: true }));
+    try {
+      const response = await apiService.updateInvoice(selected._id, {
+        ...form,
+        ...toPricingPayload(form)
+      });
+      await refresh(response.data.invoice);
+      if (!quiet) showAlert.success("Invoice saved", response.message, { timer: 2000, showConfirmButton: false });
+      return true;
+    } catch (error) {
+      console.error("❌ Error saving invoice:", error);
+      showAlert.error("Couldn't save invoice", errorMessage(error, "Please check the invoice and try again."));
+      return false;
+    } finally {
+      setLoading(prev => ({ ...prev, saving: false }));
+    }
+  };
+
+  // Runs an action on the open invoice and shows its result
+  const runAction = async (action, successTitle, failureTitle) => {
+    setLoading(prev => ({ ...prev, saving: true }));
+    try {
+      const response = await action();
+      await refresh(response.data?.invoice);
+      showAlert.success(successTitle, response.message);
+    } catch (error) {
+      console.error(`❌ ${failureTitle}:`, error);
+      showAlert.error(failureTitle, errorMessage(error, "Please try again."));
+    } finally {
+      setLoading(prev => ({ ...prev, saving: false }));
+    }
+  };
+
+  const issueInvoice = async () => {
+    const { value, isConfirmed } = await Swal.fire({
+      title: "Issue this invoice?",
+      html: `
+        <p>It gets the next invoice number and can't be edited afterwards.</p>
+        <label class="swal2-checkbox-label"><input id="invoice-issue-notify" type="checkbox" checked> Email it to ${escapeHtml(form.customerEmail)}</label>
+      `,
+      preConfirm: () => ({ notify: document.getElementById("invoice-issue-notify").checked }),
+      showCancelButton: true,
+      confirmButtonText: "Issue invoice"
+    });
+    if (!isConfirmed) return;
+
+    if (dirty && !(await saveInvoice({ quiet: true }))) return;
+    await runAction(() => apiService.issueInvoice(selected._id, value.notify), "Invoice issued", "Couldn't issue invoice");
+  };
+
+  const recordPayment = async () => {
+    const methodOptions = Object.entries(METHOD_LABELS)
+      .map(([method, label]) => `<option value="${method}">${label}</option>`)
+      .join("");
+
+    const { value, isConfirmed } = await Swal.fire({
+      title: `Record a payment on ${selected.invoiceNumber}`,
+      html: `
+        <p>Balance due: <strong>${escapeHtml(formatMoney(selected.balanceDue, selected.currency))}</strong></p>
+        <input id="invoice-payment-amount" class="swal2-input" type="number" min="0" step="any" placeholder="Amount (${escapeHtml(selected.currency)})" value="${selected.balanceDue}">
+        <select id="invoice-payment-method" class="swal2-select">${methodOptions}</select>
+        <input id="invoice-payment-reference" class="swal2-input" maxlength="100" placeholder="Transaction ID or reference">
+        <input id="invoice-payment-date" class="swal2-input" type="date" value="${toDateInput(new Date())}" max="${toDateInput(new Date())}">
+        <textarea id="invoice-payment-note" class="swal2-textarea" maxlength="500" placeholder="Note (optional)"></textarea>
+      `,
+      preConfirm: () => {
+        const amount = Number(document.getElementById("invoice-payment-amount").value);
+        const method = document.getElementById("invoice-payment-method").value;
+        const reference = document.getElementById("invoice-payment-reference").value.trim();
+        if (!amount || amount <= 0) {
+          Swal.showValidationMessage("Enter the amount received");
+          return false;
+        }
+        if (["mobile_money", "bank_transfer"].includes(method) && !reference) {
+          Swal.showValidationMessage("Add the transaction reference");
+          return false;
+        }
+        return {
+          amount,
+          method,
+          reference,
+          paidAt: document.getElementById("invoice-payment-date").value,
+          note: document.getElementById("invoice-payment-note").value.trim()
+        };
+      },
+      showCancelButton: true,
+      confirmButtonText: "Record payment"
+    });
+    if (!isConfirmed) return;
+
+    await runAction(() => apiService.recordInvoicePayment(selected._id, value), "Payment recorded", "Couldn't record payment");
+  };
+
+  const askReason = async (title, confirmButtonText) => {
+    const { value, isConfirmed } = await showAlert.confirm(title, "", {
+      icon: "warning",
+      input: "textarea",
+      inputPlaceholder: "Reason",
+      inputAttributes: { maxlength: 500 },
+      inputValidator: (text) => (!text?.trim() ? "Give a reason" : undefined),
+      confirmButtonText,
+      confirmButtonColor: "#ef4444"
+    });
+    return isConfirmed ? value.trim() : null;
+  };
+
+  const voidPayment = async (payment) => {
+    const reason = await askReason(`Void the ${formatMoney(payment.amount, selected.currency)} payment?`, "Void payment");
+    if (!reason) return;
+    await runAction(() => apiService.voidInvoicePayment(selected._id, payment._id, reason), "Payment voided", "Couldn't void payment");
+  };
+
+  const voidInvoice = async () => {
+    const reason = await askReason(`Void ${selected.invoiceNumber}?`, "Void invoice");
+    if (!reason) return;
+    await runAction(() => apiService.voidInvoice(selected._id, reason), "Invoice voided", "Couldn't void invoice");
+  };
+
+  const deleteDraft = async () => {
+    const { isConfirmed } = await showAlert.confirm("Delete this draft invoice?", "This can't be undone.", {
+      icon: "warning",
+      confirmButtonText: "Delete draft",
+      confirmButtonColor: "#ef4444"
+    });
+    if (!isConfirmed) return;
+
+    try {
+      await apiService.deleteInvoice(selected._id);
+      setSelected(null);
+      setForm(null);
+      await loadInvoices(pagination.currentPage);
+    } catch (error) {
+      showAlert.error("Couldn't delete draft", errorMessage(error, "Please try again."));
+    }
+  };
+
+  const downloadPdf = async () => {
+    try {
+      const blob = await apiService.downloadInvoicePdf(selected._id);
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `${selected.invoiceNumber || "draft-invoice"}.pdf`;
+      link.click();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error("❌ Error downloading invoice PDF:", error);
+      showAlert.error("Couldn't download PDF", errorMessage(error, "Please try again."));
+    }
+  };
+
+  const isDraft = selected?.status === "draft";
+  const isOpen = ["issued", "partially_paid"].includes(selected?.status);
+
+  return (
+    <div className="invoices-admin">
+      <div className="section-header">
+        <h2>Invoices</h2>
+        <p>Invoices for accepted quotations and service requests, payments received and what customers still owe.</p>
+      </div>
+
+      <div className="controls-section">
+        <div className="invoices-admin-views">
+          <button className={`btn-small ${view === "invoices" ? "btn-view" : ""}`} onClick={() => setView("invoices")}>Invoices</button>
+          <button className={`btn-small ${view === "receivables" ? "btn-view" : ""}`} onClick={() => setView("receivables")}>Receivables</button>
+        </div>
+        {view === "invoices" ? (
+          <div className="right-controls">
+            <input
+              type="text"
+              placeholder="Search by number, customer or payment reference..."
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              className="search-input"
+            />
+            <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} className="filter-select">
+              <option value="">All Status</option>
+              <option value="open">Unpaid</option>
+              <option value="overdue">Overdue</option>
+              {Object.entries(STATUS_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <button className="btn-refresh" onClick={() => loadInvoices(pagination.currentPage)} disabled={loading.list}>Refresh</button>
+          </div>
+        ) : (
+          <div className="right-controls">
+            <button className="btn-refresh" onClick={loadReport}>Refresh</button>
+          </div>
+        )}
+      </div>
+
+      {view === "receivables" ? (
+        <ReceivablesReport report={report} onOpenInvoice={openInvoice} />
+      ) : (
+        <div className="data-table">
+          <div className="table-container">
+            <table>
+              <thead>
+                <tr>
+                  <th>Invoice</th>
+                  <th>For</th>
+                  <th>Customer</th>
+                  <th>Total</th>
+                  <th>Balance</th>
+                  <th>Due</th>
+                  <th>Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {invoices.length === 0 ? (
+                  <tr>
+                    <td colSpan="7" style={{ textAlign: "center", padding: "2rem" }}>
+                      {loading.list ? "Loading invoices..." : "No invoices yet"}
+                    </td>
+                  </tr>
+                ) : (
+                  invoices.map(invoice => (
+                    <tr
+                      key={invoice._id}
+                      className={`quotations-admin-row ${selected?._id === invoice._id ? "selected" : ""}`}
+                      onClick={() => openInvoice(invoice._id)}
+                    >
+                      <td><strong>{invoice.invoiceNumber || "Draft"}</strong></td>
+                      <td>{invoice.title}</td>
+                      <td>
+                        {invoice.customerName}
+                        <br />
+                        <small>{invoice.customerEmail}</small>
+                      </td>
+                      <td>{formatMoney(invoice.total, invoice.currency)}</td>
+                      <td>{invoice.status === "void" ? "—" : formatMoney(invoice.balanceDue, invoice.currency)}</td>
+                      <td>{new Date(invoice.dueDate).toLocaleDateString()}</td>
+                      <td><StatusBadge invoice={invoice} /></td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          {pagination.totalPages > 1 && (
+            <div className="pagination">
+              <button className="btn-page" onClick={() => loadInvoices(pagination.currentPage - 1)} disabled={pagination.currentPage <= 1}>
+                Previous
+              </button>
+              <span className="page-info">
+                Page {pagination.currentPage} of {pagination.totalPages} ({pagination.total} invoices)
+              </span>
+              <button
+                className="btn-page"
+                onClick={() => loadInvoices(pagination.currentPage + 1)}
+                disabled={pagination.currentPage >= pagination.totalPages}
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
+      {selected && form && (
+        <div className="quotations-admin-editor">
+          <header>
+            <div>
+              <h3>{selected.invoiceNumber || "Draft invoice"}</h3>
+              <StatusBadge invoice={selected} />
+              {selected.quotation?.quotationNumber && <small>Quotation: {selected.quotation.quotationNumber}</small>}
+              {selected.serviceQuote?.serviceName && <small>Service request: {selected.serviceQuote.serviceName}</small>}
+              {selected.issuedAt && <small>Issued {new Date(selected.issuedAt).toLocaleString()}</small>}
+              {selected.sentAt && <small>Last emailed {new Date(selected.sentAt).toLocaleString()}</small>}
+              {selected.reminderCount > 0 && (
+                <small>
+                  {selected.reminderCount} reminder{selected.reminderCount === 1 ? "" : "s"} sent, last {new Date(selected.lastReminderAt).toLocaleString()}
+                </small>
+              )}
+              {selected.voidReason && <small>Voided: {selected.voidReason}</small>}
+            </div>
+            <button className="btn-small" onClick={() => { setSelected(null); setForm(null); }}>Close</button>
+          </header>
+
+          {!isDraft && (
+            <div className="invoices-admin-stats">
+              <div>
+                <span>Total</span>
+                <strong>{formatMoney(selected.total, selected.currency)}</strong>
+              </div>
+              <div>
+                <span>Paid</span>
+                <strong>{formatMoney(selected.amountPaid, selected.currency)}</strong>
+              </div>
+              <div className={isOverdue(selected) ? "is-overdue" : ""}>
+                <span>Balance due</span>
+                <strong>{formatMoney(selected.balanceDue, selected.currency)}</strong>
+                <small>Due {new Date(selected.dueDate).toLocaleDateString()}</small>
+              </div>
+            </div>
+          )}
+
+          <fieldset disabled={!isDraft || loading.saving}>
+            <div className="quotations-admin-grid">
+              <label>
+                Title
+                <input type="text" value={form.title} maxLength={150} onChange={(e) => updateField("title", e.target.value)} />
+              </label>
+              <label>
+                Customer name
+                <input type="text" value={form.customerName} onChange={(e) => updateField("customerName", e.target.value)} />
+              </label>
+              <label>
+                Customer email
+                <input type="email" value={form.customerEmail} onChange={(e) => updateField("customerEmail", e.target.value)} />
+              </label>
+              <label>
+                Phone
+                <input type="tel" value={form.customerPhone} onChange={(e) => updateField("customerPhone", e.target.value)} />
+              </label>
+              <label>
+                Company
+                <input type="text" value={form.companyName} onChange={(e) => updateField("companyName", e.target.value)} />
+              </label>
+              <label>
+                Currency
+                <input
+                  type="text"
+                  value={form.currency}
+                  maxLength={3}
+                  onChange={(e) => updateField("currency", e.target.value.toUpperCase())}
+                />
+              </label>
+              <label>
+                Due date
+                <input type="date" value={form.dueDate} onChange={(e) => updateField("dueDate", e.target.value)} />
+              </label>
+            </div>
+
+            <LineItemsEditor form={form} onChange={updateField} />
+
+            <label>
+              Notes for the customer
+              <textarea rows={3} value={form.notes} maxLength={2000} onChange={(e) => updateField("notes", e.target.value)} />
+            </label>
+            <label>
+              Terms
+              <textarea rows={4} value={form.terms} maxLength={4000} onChange={(e) => updateField("terms", e.target.value)} />
+            </label>
+          </fieldset>
+
+          {!isDraft && (
+            <div className="invoices-admin-payments">
+              <h4>Payments</h4>
+              {selected.payments.length === 0 ? (
+                <p className="invoices-admin-empty">No payments recorded yet.</p>
+              ) : (
+                <table className="invoices-admin-table">
+                  <thead>
+                    <tr>
+                      <th>Date</th>
+                      <th>Method</th>
+                      <th>Reference</th>
+                      <th>Amount</th>
+                      <th>Recorded by</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {selected.payments.map(payment => (
+                      <tr key={payment._id} className={payment.voidedAt ? "invoices-admin-voided" : ""}>
+                        <td>{new Date(payment.paidAt).toLocaleDateString()}</td>
+                        <td>{METHOD_LABELS[payment.method] || payment.method}</td>
+                        <td>
+                          {payment.reference || "—"}
+                          {payment.note && <small>{payment.note}</small>}
+                          {payment.voidedAt && <small>Voided: {payment.voidReason}</small>}
+                        </td>
+                        <td>{formatMoney(payment.amount, selected.currency)}</td>
+                        <td>{payment.recordedBy?.name || payment.recordedBy?.email || "—"}</td>
+                        <td>
+                          {/* Online payments are refunded from the Payments tab instead */}
+                          {!payment.voidedAt && !payment.onlinePayment && selected.status !== "void" && (
+                            <button className="btn-small btn-delete" onClick={() => voidPayment(payment)} disabled={loading.saving}>
+                              Void
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          )}
+
+          <div className="action-buttons">
+            {isDraft && (
+              <>
+                <button className="btn btn-primary" onClick={() => saveInvoice()} disabled={loading.saving || !dirty}>
+                  {loading.saving ? "Saving..." : "Save"}
+                </button>
+                <button className="btn-small btn-view" onClick={issueInvoice} disabled={loading.saving}>
+                  <i className="fas fa-paper-plane"></i> Issue invoice
+                </button>
+              </>
+            )}
+            {isOpen && (
+              <>
+                <button className="btn-small btn-view" onClick={recordPayment} disabled={loading.saving}>
+                  <i className="fas fa-money-bill-wave"></i> Record payment
+                </button>
+                <button
+                  className="btn-small"
+                  onClick={async () => {
+                    if (await requestMobilePayment("invoice", selected._id, { phone: selected.customerPhone })) await refresh(selected);
+                  }}
+                  disabled={loading.saving}
+                >
+                  <i className="fas fa-mobile-alt"></i> Request mobile money
+                </button>
+                <button className="btn-small" onClick={() => copyPayLink("invoice", selected._id)}>
+                  <i className="fas fa-link"></i> Copy pay link
+                </button>
+              </>
+            )}
+            <button className="btn-small" onClick={downloadPdf} disabled={dirty} title={dirty ? "Save your changes first" : "Download PDF"}>
+              <i className="fas fa-file-pdf"></i> PDF
+            </button>
+            {!isDraft && selected.status !== "void" && (
+              <button
+                className="btn-small"
+                onClick={() => runAction(() => apiService.sendInvoice(selected._id), "Invoice sent", "Couldn't send invoice")}
+                disabled={loading.saving}
+              >
+                <i className="fas fa-envelope"></i> Email again
+              </button>
+            )}
+            {isOverdue(selected) && (
+              <button
+                className="btn-small"
+                onClick={() => runAction(() => apiService.sendInvoiceReminder(selected._id), "Reminder sent", "Couldn't send reminder")}
+                disabled={loading.saving}
+              >
+                <i className="fas fa-bell"></i> Send reminder
+              </button>
+            )}
+            {isOpen && (
+              <button className="btn-small btn-delete" onClick={voidInvoice} disabled={loading.saving}>Void invoice</button>
+            )}
+            {isDraft && (
+              <button className="btn-small btn-delete" onClick={deleteDraft}>
+                <i className="fas fa-trash"></i> Delete draft
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default InvoicesAdmin;
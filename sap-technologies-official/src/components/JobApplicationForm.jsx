@@ -1,22 +1,10 @@
 import { useState } from "react";
 import apiService from "../services/api";
 import { showAlert } from "../utils/alerts.jsx";
+import { MAX_APPLICATION_FILE_SIZE, ACCEPTED_DOCUMENT_TYPES, formatFileSize, isAcceptedDocument } from "../utils/applicationFiles";
 import "../styles/JobApplicationForm.css";
 
-const MAX_APPLICATION_FILE_SIZE = 8 * 1024 * 1024;
-const ACCEPTED_DOCUMENT_TYPES = ".pdf,.doc,.docx,.rtf,.txt,.odt";
-const ACCEPTED_DOCUMENT_EXTENSIONS = new Set(["pdf", "doc", "docx", "rtf", "txt", "odt"]);
-
-const formatFileSize = (bytes = 0) => {
-  if (!bytes) return "";
-  const sizeInMb = bytes / (1024 * 1024);
-  return `${sizeInMb >= 1 ? sizeInMb.toFixed(1) : (bytes / 1024).toFixed(0)} ${sizeInMb >= 1 ? "MB" : "KB"}`;
-};
-
-const isAcceptedDocument = (file) => {
-  const extension = file?.name?.split(".").pop()?.toLowerCase();
-  return extension && ACCEPTED_DOCUMENT_EXTENSIONS.has(extension);
-};
+const isBlankAnswer = (value) => value === undefined || value === "" || (Array.isArray(value) && value.length === 0);
 
 const JobApplicationForm = ({ job, onClose }) => {
   const [formData, setFormData] = useState({
@@ -30,6 +18,9 @@ const JobApplicationForm = ({ job, onClose }) => {
   });
   const [loading, setLoading] = useState(false);
   const [errors, setErrors] = useState({});
+  const [answers, setAnswers] = useState({});
+
+  const questions = job?.questions || [];
 
   const handleInputChange = (e) => {
     const { name, value } = e.target;
@@ -73,6 +64,18 @@ const JobApplicationForm = ({ job, onClose }) => {
     setFormData((prev) => ({ ...prev, [name]: file }));
   };
 
+  const handleAnswerChange = (key, value) => {
+    setAnswers((prev) => ({ ...prev, [key]: value }));
+    if (errors[`answers.${key}`]) {
+      setErrors((prev) => ({ ...prev, [`answers.${key}`]: "" }));
+    }
+  };
+
+  const toggleAnswerOption = (key, option) => {
+    const selected = answers[key] || [];
+    handleAnswerChange(key, selected.includes(option) ? selected.filter((item) => item !== option) : [...selected, option]);
+  };
+
   const clearFile = (fieldName) => {
     setFormData((prev) => ({ ...prev, [fieldName]: null }));
     setErrors((prev) => ({ ...prev, [fieldName]: "" }));
@@ -98,6 +101,12 @@ const JobApplicationForm = ({ job, onClose }) => {
         newErrors[fieldName] = "File must be 8MB or smaller";
       }
     });
+    questions.forEach((question) => {
+      const value = answers[question.key];
+      if (question.required && isBlankAnswer(typeof value === "string" ? value.trim() : value)) {
+        newErrors[`answers.${question.key}`] = "This question is required";
+      }
+    });
     setErrors(newErrors);
     const isValid = Object.keys(newErrors).length === 0;
     if (!isValid) {
@@ -120,6 +129,7 @@ const JobApplicationForm = ({ job, onClose }) => {
       payload.append("resumeUrl", formData.resumeUrl.trim());
       if (formData.resumeFile) payload.append("resumeFile", formData.resumeFile);
       if (formData.coverLetterFile) payload.append("coverLetterFile", formData.coverLetterFile);
+      if (questions.length) payload.append("answers", JSON.stringify(answers));
 
       await apiService.applyForJob(job._id, payload);
 
@@ -138,11 +148,16 @@ const JobApplicationForm = ({ job, onClose }) => {
         resumeFile: null,
         coverLetterFile: null
       });
+      setAnswers({});
       onClose();
     } catch (error) {
       console.error("Error submitting application:", error);
-      const message = error.message || "Could not submit application. Please try again.";
-      setErrors({ submit: message });
+      const message = error.response?.data?.message || error.message || "Could not submit application. Please try again.";
+      const fieldErrors = (error.response?.data?.errors || []).reduce((result, item) => {
+        if (item.path && !result[item.path]) result[item.path] = item.msg;
+        return result;
+      }, {});
+      setErrors({ ...fieldErrors, submit: message });
       await showAlert.error("Application failed", message);
     } finally {
       setLoading(false);
@@ -292,6 +307,85 @@ const JobApplicationForm = ({ job, onClose }) => {
             {errors.resumeFile && <span className="error-message">{errors.resumeFile}</span>}
           </div>
 
+          {questions.length > 0 && (
+            <fieldset className="application-questions">
+              <legend>A few questions from the team</legend>
+              {questions.map((question) => {
+                const fieldId = `question-${question.key}`;
+                const error = errors[`answers.${question.key}`];
+                const value = answers[question.key];
+
+                return (
+                  <div key={question.key} className="form-group">
+                    <label htmlFor={fieldId}>
+                      {question.label}{" "}
+                      {question.required
+                        ? <span className="required">*</span>
+                        : <span className="optional-field">(optional)</span>}
+                    </label>
+
+                    {question.type === "textarea" && (
+                      <textarea
+                        id={fieldId}
+                        value={value || ""}
+                        onChange={(e) => handleAnswerChange(question.key, e.target.value)}
+                        maxLength={2000}
+                        rows={4}
+                        className={error ? "error" : ""}
+                      />
+                    )}
+
+                    {["text", "url", "number", "date"].includes(question.type) && (
+                      <input
+                        type={question.type}
+                        id={fieldId}
+                        value={value ?? ""}
+                        onChange={(e) => handleAnswerChange(question.key, e.target.value)}
+                        min={question.type === "number" ? question.min ?? undefined : undefined}
+                        max={question.type === "number" ? question.max ?? undefined : undefined}
+                        maxLength={question.type === "number" || question.type === "date" ? undefined : 500}
+                        placeholder={question.type === "url" ? "https://" : ""}
+                        className={error ? "error" : ""}
+                      />
+                    )}
+
+                    {question.type === "select" && (
+                      <select
+                        id={fieldId}
+                        value={value || ""}
+                        onChange={(e) => handleAnswerChange(question.key, e.target.value)}
+                        className={error ? "error" : ""}
+                      >
+                        <option value="">Choose an option</option>
+                        {question.options.map((option) => (
+                          <option key={option} value={option}>{option}</option>
+                        ))}
+                      </select>
+                    )}
+
+                    {question.type === "multiselect" && (
+                      <div id={fieldId} className={`application-question-options ${error ? "error" : ""}`}>
+                        {question.options.map((option) => (
+                          <label key={option}>
+                            <input
+                              type="checkbox"
+                              checked={(value || []).includes(option)}
+                              onChange={() => toggleAnswerOption(question.key, option)}
+                            />
+                            {option}
+                          </label>
+                        ))}
+                      </div>
+                    )}
+
+                    {question.helpText && <small className="help-text">{question.helpText}</small>}
+                    {error && <span className="error-message">{error}</span>}
+                  </div>
+                );
+              })}
+            </fieldset>
+          )}
+
           {errors.submit && (
             <div className="error-message submit-error">
               {errors.submit}
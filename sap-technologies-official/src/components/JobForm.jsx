@@ -2,6 +2,8 @@ import { useState, useEffect } from "react";
 import apiService from "../services/api";
 import { showAlert } from "../utils/alerts.jsx";
 import { getImageUrl } from "../utils/imageUrl";
+import JobQuestionsEditor from "./JobQuestionsEditor";
+import { toEditableQuestion, toQuestionPayload } from "../utils/jobQuestions";
 import "../styles/JobForm.css";
 
 const EMPLOYMENT_TYPES = [
@@ -13,6 +15,15 @@ const EMPLOYMENT_TYPES = [
   "Freelance"
 ];
 
+// datetime-local inputs work in the browser's time; the API stores UTC
+const toDateTimeInput = (value) => {
+  if (!value) return "";
+  const date = new Date(value);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const toIsoDate = (value) => (value ? new Date(value).toISOString() : "");
+
 const JobForm = ({ isOpen, job, onClose, onSave }) => {
   const [formData, setFormData] = useState({
     title: "",
@@ -25,6 +36,7 @@ const JobForm = ({ isOpen, job, onClose, onSave }) => {
     benefits: "",
     salaryRange: "",
     applicationDeadline: "",
+    publishAt: "",
     posterAlt: "",
     isActive: true,
     isFeatured: false,
@@ -35,6 +47,7 @@ const JobForm = ({ isOpen, job, onClose, onSave }) => {
   const [removePoster, setRemovePoster] = useState(false);
   const [loading, setLoading] = useState(false);
   const [errors, setErrors] = useState({});
+  const [questions, setQuestions] = useState([]);
 
   useEffect(() => {
     if (job) {
@@ -48,15 +61,15 @@ const JobForm = ({ isOpen, job, onClose, onSave }) => {
         responsibilities: job.responsibilities || "",
         benefits: job.benefits || "",
         salaryRange: job.salaryRange || "",
-        applicationDeadline: job.applicationDeadline
-          ? new Date(job.applicationDeadline).toISOString().slice(0, 16)
-          : "",
+        applicationDeadline: toDateTimeInput(job.applicationDeadline),
+        publishAt: toDateTimeInput(job.publishAt),
         posterAlt: job.posterAlt || "",
         isActive: job.isActive !== undefined ? job.isActive : true,
         isFeatured: job.isFeatured !== undefined ? job.isFeatured : false,
         displayOrder: job.displayOrder || 0
       });
       setPosterPreview(getImageUrl(job.poster) || "");
+      setQuestions((job.questions || []).map(toEditableQuestion));
     } else {
       setFormData({
         title: "",
@@ -69,11 +82,13 @@ const JobForm = ({ isOpen, job, onClose, onSave }) => {
         benefits: "",
         salaryRange: "",
         applicationDeadline: "",
+        publishAt: "",
         posterAlt: "",
         isActive: true,
         isFeatured: false,
         displayOrder: 0
       });
+      setQuestions([]);
       setPosterPreview("");
     }
     setPosterFile(null);
@@ -109,6 +124,10 @@ const JobForm = ({ isOpen, job, onClose, onSave }) => {
     if (formData.posterAlt && formData.posterAlt.length > 160) {
       newErrors.posterAlt = "Poster alt text cannot exceed 160 characters";
     }
+    if (formData.publishAt && formData.applicationDeadline
+      && new Date(formData.applicationDeadline) <= new Date(formData.publishAt)) {
+      newErrors.applicationDeadline = "The deadline must be after the publish date";
+    }
     if (posterFile) {
       if (!posterFile.type?.startsWith("image/")) {
         newErrors.poster = "Please choose an image file for the job poster";
@@ -180,7 +199,9 @@ const JobForm = ({ isOpen, job, onClose, onSave }) => {
       payload.append("isActive", String(formData.isActive));
       payload.append("isFeatured", String(formData.isFeatured));
       payload.append("displayOrder", String(formData.displayOrder));
-      payload.append("applicationDeadline", formData.applicationDeadline || "");
+      payload.append("applicationDeadline", toIsoDate(formData.applicationDeadline));
+      payload.append("publishAt", toIsoDate(formData.publishAt));
+      payload.append("questions", JSON.stringify(toQuestionPayload(questions)));
       if (posterFile) {
         payload.append("poster", posterFile);
       }
@@ -405,6 +426,21 @@ const JobForm = ({ isOpen, job, onClose, onSave }) => {
                 maxLength={100}
               />
             </div>
+          </div>
+
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="publishAt">Publish Date <span className="optional-field">(optional)</span></label>
+              <input
+                type="datetime-local"
+                id="publishAt"
+                name="publishAt"
+                value={formData.publishAt}
+                onChange={handleInputChange}
+                className={errors.publishAt ? "error" : ""}
+              />
+              <small className="help-text">Leave empty to publish as soon as the job is saved</small>
+            </div>
 
             <div className="form-group">
               <label htmlFor="applicationDeadline">Application Deadline <span className="optional-field">(optional)</span></label>
@@ -416,6 +452,8 @@ const JobForm = ({ isOpen, job, onClose, onSave }) => {
                 onChange={handleInputChange}
                 className={errors.applicationDeadline ? "error" : ""}
               />
+              <small className="help-text">The job closes automatically at this time</small>
+              {errors.applicationDeadline && <span className="error-message">{errors.applicationDeadline}</span>}
             </div>
           </div>
 
@@ -464,6 +502,8 @@ const JobForm = ({ isOpen, job, onClose, onSave }) => {
             </div>
           </div>
 
+          <JobQuestionsEditor questions={questions} onChange={setQuestions} disabled={loading} />
+
           {errors.submit && (
             <div className="error-message submit-error">
               {errors.submit}
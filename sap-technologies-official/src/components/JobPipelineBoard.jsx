@@ -0,0 +1,246 @@
+import React, { useState, useEffect, useCallback } from "react";
+import apiService from "../services/api";
+import { showAlert, Swal } from "../utils/alerts.jsx";
+
+const STAGE_STATUS_OPTIONS = [
+  { value: "pending", label: "Pending review" },
+  { value: "reviewed", label: "Reviewed" },
+  { value: "interviewed", label: "Interview stage" },
+  { value: "accepted", label: "Accepted" },
+  { value: "rejected", label: "Not selected" }
+];
+
+const errorMessage = (error, fallback) => error.response?.data?.message || error.message || fallback;
+
+const formatDuration = (hours) => {
+  if (hours === null || hours === undefined) return "—";
+  if (hours < 48) return `${Math.round(hours)} h`;
+  return `${(hours / 24).toFixed(1)} d`;
+};
+
+const hoursSince = (value) => (Date.now() - new Date(value).getTime()) / (60 * 60 * 1000);
+
+// Kanban view of one job's applications by hiring stage, with the stage
+// editor and time-in-stage metrics
+const JobPipelineBoard = ({ job, onClose }) => {
+  const [columns, setColumns] = useState([]);
+  const [stats, setStats] = useState(null);
+  const [editingStages, setEditingStages] = useState(null);
+  const [dragging, setDragging] = useState(null);
+  const [loading, setLoading] = useState({ board: false, saving: false });
+
+  const loadBoard = useCallback(async () => {
+    setLoading(prev => ({ ...prev, board: true }));
+    try {
+      const [boardResponse, statsResponse] = await Promise.all([
+        apiService.getJobPipeline(job._id),
+        apiService.getJobPipelineStats(job._id)
+      ]);
+      setColumns(boardResponse.data?.columns || []);
+      setStats(statsResponse.data || null);
+    } catch (error) {
+      console.error("❌ Error loading job pipeline:", error);
+      showAlert.error("Couldn't load pipeline", errorMessage(error, "Please try again."));
+    } finally {
+      setLoading(prev => ({ ...prev, board: false }));
+    }
+  }, [job._id]);
+
+  useEffect(() => {
+    loadBoard();
+  }, [loadBoard]);
+
+  const moveApplication = async (application, fromColumn, toColumn) => {
+    if (!toColumn || fromColumn.key === toColumn.key) return;
+
+    const statusChanges = fromColumn.status !== toColumn.status;
+    const { value, isConfirmed } = await Swal.fire({
+      title: `Move ${application.fullName} to ${toColumn.name}?`,
+      html: `
+        <textarea id="stage-note" class="swal2-textarea" placeholder="Note (optional)" maxlength="500"></textarea>
+        ${statusChanges ? "<label class=\"swal2-checkbox-label\"><input id=\"stage-notify\" type=\"checkbox\" checked> Email the applicant about the status change</label>" : ""}
+      `,
+      preConfirm: () => ({
+        note: document.getElementById("stage-note").value.trim(),
+        notify: statusChanges ? document.getElementById("stage-notify").checked : false
+      }),
+      showCancelButton: true,
+      confirmButtonText: "Move"
+    });
+    if (!isConfirmed) return;
+
+    try {
+      const response = await apiService.moveApplicationStage(application._id, { stage: toColumn.key, ...value });
+      showAlert.success("Application moved", response.message, { timer: 2000, showConfirmButton: false });
+      await loadBoard();
+    } catch (error) {
+      console.error("❌ Error moving application:", error);
+      await showAlert.error("Couldn't move application", errorMessage(error, "Please try again."));
+    }
+  };
+
+  const handleDrop = (toColumn) => {
+    if (!dragging) return;
+    const fromColumn = columns.find(column => column.key === dragging.columnKey);
+    const application = fromColumn?.applications.find(item => item._id === dragging.applicationId);
+    setDragging(null);
+    if (application) moveApplication(application, fromColumn, toColumn);
+  };
+
+  const startEditingStages = () => {
+    setEditingStages(columns.map(({ key, name, status }) => ({ key, name, status })));
+  };
+
+  const updateStage = (index, changes) => {
+    setEditingStages(prev => prev.map((stage, stageIndex) => (stageIndex === index ? { ...stage, ...changes } : stage)));
+  };
+
+  const moveStage = (index, offset) => {
+    setEditingStages(prev => {
+      const next = [...prev];
+      const [stage] = next.splice(index, 1);
+      next.splice(index + offset, 0, stage);
+      return next;
+    });
+  };
+
+  const saveStages = async () => {
+    setLoading(prev => ({ ...prev, saving: true }));
+    try {
+      await apiService.updateJobPipeline(job._id, editingStages);
+      setEditingStages(null);
+      await loadBoard();
+    } catch (error) {
+      console.error("❌ Error saving pipeline:", error);
+      await showAlert.error("Couldn't save pipeline", errorMessage(error, "Please check the stages and try again."));
+    } finally {
+      setLoading(prev => ({ ...prev, saving: false }));
+    }
+  };
+
+  const getStageStats = (key) => stats?.stages?.find(stage => stage.key === key);
+
+  return (
+    <div className="job-pipeline-board">
+      <div className="job-pipeline-header">
+        <div>
+          <span className="section-eyebrow">Hiring pipeline</span>
+          <h3>{job.title}</h3>
+          {stats && (
+            <small>
+              {stats.totalApplications} application{stats.totalApplications === 1 ? "" : "s"}
+              {" · "}{stats.hired} hired
+              {stats.averageTimeToHireHours !== null && ` · average time to hire ${formatDuration(stats.averageTimeToHireHours)}`}
+            </small>
+          )}
+        </div>
+        <div className="action-buttons">
+          {!editingStages && (
+            <button className="btn-small btn-edit" onClick={startEditingStages}>
+              <i className="fas fa-sliders-h"></i> Edit Stages
+            </button>
+          )}
+          <button className="btn-refresh" onClick={loadBoard} disabled={loading.board}>Refresh</button>
+          <button className="btn-small" onClick={onClose}>Close</button>
+        </div>
+      </div>
+
+      {editingStages && (
+        <div className="job-pipeline-editor">
+          {editingStages.map((stage, index) => (
+            <div key={`${stage.key || "new"}-${index}`} className="job-pipeline-editor-row">
+              <input
+                type="text"
+                value={stage.name}
+                maxLength={40}
+                placeholder="Stage name"
+                onChange={(e) => updateStage(index, { name: e.target.value })}
+              />
+              <select value={stage.status} onChange={(e) => updateStage(index, { status: e.target.value })}>
+                {STAGE_STATUS_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+              <button className="btn-small" onClick={() => moveStage(index, -1)} disabled={index === 0} title="Move up">↑</button>
+              <button className="btn-small" onClick={() => moveStage(index, 1)} disabled={index === editingStages.length - 1} title="Move down">↓</button>
+              <button
+                className="btn-small btn-delete"
+                onClick={() => setEditingStages(prev => prev.filter((_, stageIndex) => stageIndex !== index))}
+                disabled={editingStages.length === 1}
+                title="Remove stage"
+              >
+                <i className="fas fa-trash"></i>
+              </button>
+            </div>
+          ))}
+          <small>New applications start in the first stage. The status decides what applicants are told by email.</small>
+          <div className="action-buttons">
+            <button className="btn-small" onClick={() => setEditingStages(prev => [...prev, { name: "", status: "reviewed" }])}>
+              <i className="fas fa-plus"></i> Add Stage
+            </button>
+            <button className="btn btn-primary" onClick={saveStages} disabled={loading.saving}>
+              {loading.saving ? "Saving..." : "Save Stages"}
+            </button>
+            <button className="btn-small" onClick={() => setEditingStages(null)}>Cancel</button>
+          </div>
+        </div>
+      )}
+
+      {loading.board && columns.length === 0 ? (
+        <div className="loading-state">Loading pipeline...</div>
+      ) : (
+        <div className="job-pipeline-columns">
+          {columns.map(column => {
+            const stageStats = getStageStats(column.key);
+            return (
+              <section
+                key={column.key}
+                className={`job-pipeline-column tone-${column.status} ${dragging ? "droppable" : ""}`}
+                onDragOver={(e) => e.preventDefault()}
+                onDrop={() => handleDrop(column)}
+              >
+                <header>
+                  <strong>{column.name}</strong>
+                  <span>{column.applications.length}</span>
+                </header>
+                {stageStats && (
+                  <small className="job-pipeline-stat" title="Average time applications spent in this stage before moving on">
+                    Avg {formatDuration(stageStats.averageHours)} · median {formatDuration(stageStats.medianHours)}
+                  </small>
+                )}
+                {column.applications.map(application => (
+                  <article
+                    key={application._id}
+                    className="job-pipeline-card"
+                    draggable
+                    onDragStart={() => setDragging({ applicationId: application._id, columnKey: column.key })}
+                    onDragEnd={() => setDragging(null)}
+                  >
+                    <strong>{application.fullName}</strong>
+                    <small>{application.email}</small>
+                    <small className={hoursSince(application.stageEnteredAt) > 24 * 7 ? "job-pipeline-stale" : ""}>
+                      In stage {formatDuration(hoursSince(application.stageEnteredAt))}
+                    </small>
+                    {application.lastNote && <p className="job-pipeline-note">{application.lastNote}</p>}
+                    <select
+                      value=""
+                      onChange={(e) => moveApplication(application, column, columns.find(item => item.key === e.target.value))}
+                      aria-label={`Move ${application.fullName} to another stage`}
+                    >
+                      <option value="">Move to…</option>
+                      {columns.filter(item => item.key !== column.key).map(item => (
+                        <option key={item.key} value={item.key}>{item.name}</option>
+                      ))}
+                    </select>
+                  </article>
+                ))}
+              </section>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default JobPipelineBoard;
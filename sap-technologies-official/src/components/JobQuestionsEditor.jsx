@@ -0,0 +1,167 @@
+import { QUESTION_TYPES, CHOICE_TYPES, KNOCKOUT_TYPES, splitOptions, toEditableQuestion } from "../utils/jobQuestions";
+
+// Extra application questions for a job, with optional knockout rules that
+// tag or reject applications based on the answer
+const JobQuestionsEditor = ({ questions, onChange, disabled }) => {
+  const updateQuestion = (index, changes) => {
+    onChange(questions.map((question, questionIndex) => (questionIndex === index ? { ...question, ...changes } : question)));
+  };
+
+  const updateKnockout = (index, changes) => {
+    updateQuestion(index, { knockout: { ...questions[index].knockout, ...changes } });
+  };
+
+  const moveQuestion = (index, offset) => {
+    const next = [...questions];
+    const [question] = next.splice(index, 1);
+    next.splice(index + offset, 0, question);
+    onChange(next);
+  };
+
+  const toggleKnockoutOption = (index, option) => {
+    const selected = questions[index].knockout.options;
+    updateKnockout(index, {
+      options: selected.includes(option) ? selected.filter((item) => item !== option) : [...selected, option]
+    });
+  };
+
+  return (
+    <div className="form-group job-questions">
+      <label>Application Questions <span className="optional-field">(optional)</span></label>
+      <small className="help-text">
+        Ask applicants for anything the standard form doesn't cover. Knockout rules tag an application for review or reject it automatically.
+      </small>
+
+      {questions.map((question, index) => (
+        <div key={index} className="job-question">
+          <div className="job-question-header">
+            <strong>Question {index + 1}</strong>
+            <div className="job-question-actions">
+              <button type="button" onClick={() => moveQuestion(index, -1)} disabled={disabled || index === 0} title="Move up">↑</button>
+              <button type="button" onClick={() => moveQuestion(index, 1)} disabled={disabled || index === questions.length - 1} title="Move down">↓</button>
+              <button type="button" onClick={() => onChange(questions.filter((_, questionIndex) => questionIndex !== index))} disabled={disabled} title="Remove question">
+                Remove
+              </button>
+            </div>
+          </div>
+
+          <div className="form-row">
+            <input
+              type="text"
+              value={question.label}
+              onChange={(e) => updateQuestion(index, { label: e.target.value })}
+              placeholder="e.g. How many years of experience do you have?"
+              maxLength={200}
+              disabled={disabled}
+            />
+            <select value={question.type} onChange={(e) => updateQuestion(index, { type: e.target.value })} disabled={disabled}>
+              {QUESTION_TYPES.map((type) => (
+                <option key={type.value} value={type.value}>{type.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <input
+            type="text"
+            value={question.helpText}
+            onChange={(e) => updateQuestion(index, { helpText: e.target.value })}
+            placeholder="Help text shown under the question (optional)"
+            maxLength={200}
+            disabled={disabled}
+          />
+
+          {CHOICE_TYPES.includes(question.type) && (
+            <textarea
+              value={question.optionsText}
+              onChange={(e) => updateQuestion(index, { optionsText: e.target.value })}
+              placeholder="One choice per line"
+              rows={3}
+              disabled={disabled}
+            />
+          )}
+
+          {question.type === "number" && (
+            <div className="form-row">
+              <input type="number" value={question.min} onChange={(e) => updateQuestion(index, { min: e.target.value })} placeholder="Lowest allowed (optional)" disabled={disabled} />
+              <input type="number" value={question.max} onChange={(e) => updateQuestion(index, { max: e.target.value })} placeholder="Highest allowed (optional)" disabled={disabled} />
+            </div>
+          )}
+
+          <label className="checkbox-label">
+            <input
+              type="checkbox"
+              checked={question.required}
+              onChange={(e) => updateQuestion(index, { required: e.target.checked })}
+              disabled={disabled}
+            />
+            Required
+          </label>
+
+          {KNOCKOUT_TYPES.includes(question.type) && (
+            <div className="job-question-knockout">
+              <div className="form-row">
+                <select value={question.knockout.action} onChange={(e) => updateKnockout(index, { action: e.target.value })} disabled={disabled}>
+                  <option value="none">No knockout rule</option>
+                  <option value="tag">Tag the application</option>
+                  <option value="reject">Reject the application</option>
+                </select>
+                {question.knockout.action !== "none" && (
+                  <input
+                    type="text"
+                    value={question.knockout.tag}
+                    onChange={(e) => updateKnockout(index, { tag: e.target.value })}
+                    placeholder={question.knockout.action === "reject" ? "Tag (default: knocked-out)" : "Tag (default: needs-review)"}
+                    maxLength={40}
+                    disabled={disabled}
+                  />
+                )}
+              </div>
+
+              {question.knockout.action !== "none" && CHOICE_TYPES.includes(question.type) && (
+                <div className="job-question-knockout-options">
+                  <small>When the applicant picks:</small>
+                  {splitOptions(question.optionsText).map((option) => (
+                    <label key={option} className="checkbox-label">
+                      <input
+                        type="checkbox"
+                        checked={question.knockout.options.includes(option)}
+                        onChange={() => toggleKnockoutOption(index, option)}
+                        disabled={disabled}
+                      />
+                      {option}
+                    </label>
+                  ))}
+                </div>
+              )}
+
+              {question.knockout.action !== "none" && question.type === "number" && (
+                <div className="form-row">
+                  <input type="number" value={question.knockout.min} onChange={(e) => updateKnockout(index, { min: e.target.value })} placeholder="When below" disabled={disabled} />
+                  <input type="number" value={question.knockout.max} onChange={(e) => updateKnockout(index, { max: e.target.value })} placeholder="When above" disabled={disabled} />
+                </div>
+              )}
+
+              {question.knockout.action !== "none" && question.type === "date" && (
+                <label className="job-question-knockout-date">
+                  <small>When the date is later than</small>
+                  <input type="date" value={question.knockout.latestDate} onChange={(e) => updateKnockout(index, { latestDate: e.target.value })} disabled={disabled} />
+                </label>
+              )}
+            </div>
+          )}
+        </div>
+      ))}
+
+      <button
+        type="button"
+        className="btn-add-question"
+        onClick={() => onChange([...questions, toEditableQuestion()])}
+        disabled={disabled || questions.length >= 20}
+      >
+        + Add question
+      </button>
+    </div>
+  );
+};
+
+export default JobQuestionsEditor;
@@ -0,0 +1,113 @@
+import React from "react";
+import { VAT_RATE, EMPTY_ITEM, formatMoney, calculateTotals } from "../utils/salesDocuments";
+import "../styles/LineItemsEditor.css";
+
+// Priced lines, document discount and VAT for quotations and invoices.
+// `form` holds items, currency, discountAmount and taxRate; every change is
+// reported through onChange(field, value).
+const LineItemsEditor = ({ form, onChange }) => {
+  const totals = calculateTotals(form);
+
+  const updateItem = (index, changes) => {
+    onChange("items", form.items.map((item, itemIndex) => (itemIndex === index ? { ...item, ...changes } : item)));
+  };
+
+  return (
+    <div className="line-items-editor">
+      <table className="line-items-table">
+        <thead>
+          <tr>
+            <th>Description</th>
+            <th>Qty</th>
+            <th>Unit</th>
+            <th>Unit price</th>
+            <th>Disc. %</th>
+            <th>Amount</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {form.items.map((item, index) => (
+            <tr key={index}>
+              <td>
+                <input
+                  type="text"
+                  value={item.description}
+                  maxLength={200}
+                  placeholder="Description"
+                  onChange={(e) => updateItem(index, { description: e.target.value })}
+                />
+                <input
+                  type="text"
+                  value={item.details}
+                  maxLength={500}
+                  placeholder="Details (optional)"
+                  onChange={(e) => updateItem(index, { details: e.target.value })}
+                />
+              </td>
+              <td>
+                <input type="number" min="0" step="any" value={item.quantity} onChange={(e) => updateItem(index, { quantity: e.target.value })} />
+              </td>
+              <td>
+                <input type="text" value={item.unit} maxLength={20} placeholder="e.g. hrs" onChange={(e) => updateItem(index, { unit: e.target.value })} />
+              </td>
+              <td>
+                <input type="number" min="0" step="any" value={item.unitPrice} onChange={(e) => updateItem(index, { unitPrice: e.target.value })} />
+              </td>
+              <td>
+                <input
+                  type="number"
+                  min="0"
+                  max="100"
+                  step="any"
+                  value={item.discountPercent}
+                  onChange={(e) => updateItem(index, { discountPercent: e.target.value })}
+                />
+              </td>
+              <td className="line-items-amount">{formatMoney(totals.lineTotals[index], form.currency)}</td>
+              <td>
+                <button
+                  type="button"
+                  className="btn-small btn-delete"
+                  title="Remove line"
+                  onClick={() => onChange("items", form.items.filter((_, itemIndex) => itemIndex !== index))}
+                  disabled={form.items.length === 1}
+                >
+                  <i className="fas fa-trash"></i>
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <button type="button" className="btn-small" onClick={() => onChange("items", [...form.items, { ...EMPTY_ITEM }])}>
+        <i className="fas fa-plus"></i> Add line
+      </button>
+
+      <div className="line-items-totals">
+        <label>
+          Discount ({form.currency})
+          <input type="number" min="0" step="any" value={form.discountAmount} onChange={(e) => onChange("discountAmount", e.target.value)} />
+        </label>
+        <label className="line-items-checkbox">
+          <input
+            type="checkbox"
+            checked={Number(form.taxRate) > 0}
+            onChange={(e) => onChange("taxRate", e.target.checked ? VAT_RATE : 0)}
+          />
+          Add VAT ({VAT_RATE}%)
+        </label>
+        <dl>
+          <dt>Subtotal</dt>
+          <dd>{formatMoney(totals.subtotal, form.currency)}</dd>
+          <dt>VAT</dt>
+          <dd>{formatMoney(totals.taxAmount, form.currency)}</dd>
+          <dt>Total</dt>
+          <dd><strong>{formatMoney(totals.total, form.currency)}</strong></dd>
+        </dl>
+      </div>
+    </div>
+  );
+};
+
+export default LineItemsEditor;
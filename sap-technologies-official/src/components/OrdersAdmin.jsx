@@ -0,0 +1,392 @@
+import React, { useState, useEffect, useCallback } from "react";
+import apiService from "../services/api";
+import { showAlert, Swal } from "../utils/alerts.jsx";
+import { copyPayLink, requestMobilePayment } from "../utils/paymentRequests";
+import "../styles/OrdersAdmin.css";
+
+const STATUS_LABELS = {
+  new: "New",
+  confirmed: "Confirmed",
+  processing: "Processing",
+  completed: "Completed",
+  cancelled: "Cancelled"
+};
+
+// Same lifecycle the server enforces on the Order model
+const STATUS_TRANSITIONS = {
+  new: ["confirmed", "cancelled"],
+  confirmed: ["processing", "completed", "cancelled"],
+  processing: ["completed", "cancelled"],
+  completed: [],
+  cancelled: []
+};
+
+const PAYMENT_STATUS_LABELS = {
+  unpaid: "Unpaid",
+  paid: "Paid online",
+  refunded: "Refunded"
+};
+
+const errorMessage = (error, fallback) => error.response?.data?.message || error.message || fallback;
+
+const formatMoney = (amount, currency) => `${currency} ${Number(amount).toLocaleString("en-US", { maximumFractionDigits: 2 })}`;
+
+const formatTotals = (order) => {
+  const totals = (order.totals || []).map((total) => formatMoney(total.amount, total.currency));
+  if (order.hasUnpricedItems) totals.push(totals.length ? "+ items on request" : "Price on request");
+  return totals.join(" · ");
+};
+
+// Same rule the server uses: priced in one currency, not yet paid and still open
+const canPayOnline = (order) => order.paymentStatus === "unpaid"
+  && ["new", "confirmed", "processing"].includes(order.status)
+  && !order.hasUnpricedItems
+  && order.totals?.length === 1;
+
+// Orders sent from the product cart: list, filters, lifecycle actions and
+// internal notes
+const OrdersAdmin = ({ onCreateQuotation }) => {
+  const [orders, setOrders] = useState([]);
+  const [pagination, setPagination] = useState({ currentPage: 1, totalPages: 1, total: 0 });
+  const [stats, setStats] = useState(null);
+  const [statusFilter, setStatusFilter] = useState("");
+  const [search, setSearch] = useState("");
+  const [selected, setSelected] = useState(null);
+  const [notes, setNotes] = useState("");
+  const [loading, setLoading] = useState({ list: false, saving: false });
+
+  const loadOrders = useCallback(async (page = 1) => {
+    setLoading(prev => ({ ...prev, list: true }));
+    try {
+      const params = { page, limit: 20 };
+      if (statusFilter) params.status = statusFilter;
+      if (search.trim()) params.search = search.trim();
+
+      const [listResponse, statsResponse] = await Promise.all([
+        apiService.getOrders(params),
+        apiService.getOrderStats()
+      ]);
+      setOrders(listResponse.data?.orders || []);
+      setPagination({
+        currentPage: listResponse.data?.currentPage || 1,
+        totalPages: listResponse.data?.totalPages || 1,
+        total: listResponse.data?.total || 0
+      });
+      setStats(statsResponse.data || null);
+    } catch (error) {
+      console.error("❌ Error loading orders:", error);
+      showAlert.error("Couldn't load orders", errorMessage(error, "Please try again."));
+    } finally {
+      setLoading(prev => ({ ...prev, list: false }));
+    }
+  }, [statusFilter, search]);
+
+  useEffect(() => {
+    const timer = setTimeout(() => loadOrders(1), 300);
+    return () => clearTimeout(timer);
+  }, [loadOrders]);
+
+  const openOrder = async (orderId) => {
+    try {
+      const response = await apiService.getOrder(orderId);
+      setSelected(response.data.order);
+      setNotes(response.data.order.adminNotes || "");
+    } catch (error) {
+      console.error("❌ Error loading order:", error);
+      showAlert.error("Couldn't open order", errorMessage(error, "Please try again."));
+    }
+  };
+
+  const changeStatus = async (status) => {
+    const { value, isConfirmed } = await Swal.fire({
+      title: `Mark ${selected.orderNumber} as ${STATUS_LABELS[status].toLowerCase()}?`,
+      html: `
+        <textarea id="order-status-note" class="swal2-textarea" placeholder="Note for the customer (optional)" maxlength="500"></textarea>
+        <label class="swal2-checkbox-label"><input id="order-status-notify" type="checkbox" checked> Email the customer about this change</label>
+      `,
+      preConfirm: () => ({
+        note: document.getElementById("order-status-note").value.trim(),
+        notify: document.getElementById("order-status-notify").checked
+      }),
+      showCancelButton: true,
+      confirmButtonText: STATUS_LABELS[status],
+      confirmButtonColor: status === "cancelled" ? "#ef4444" : undefined
+    });
+    if (!isConfirmed) return;
+
+    setLoading(prev => ({ ...prev, saving: true }));
+    try {
+      const response = await apiService.updateOrderStatus(selected._id, { status, ...value });
+      showAlert.success("Order updated", response.message, { timer: 2000, showConfirmButton: false });
+      await openOrder(selected._id);
+      await loadOrders(pagination.currentPage);
+    } catch (error) {
+      console.error("❌ Error updating order status:", error);
+      showAlert.error("Couldn't update order", errorMessage(error, "Please try again."));
+    } finally {
+      setLoading(prev => ({ ...prev, saving: false }));
+    }
+  };
+
+  const saveNotes = async () => {
+    setLoading(prev => ({ ...prev, saving: true }));
+    try {
+      const response = await apiService.updateOrderNotes(selected._id, notes);
+      setSelected(prev => ({ ...prev, adminNotes: response.data.order.adminNotes }));
+      showAlert.success("Notes saved", "", { timer: 1500, showConfirmButton: false });
+    } catch (error) {
+      console.error("❌ Error saving order notes:", error);
+      showAlert.error("Couldn't save notes", errorMessage(error, "Please try again."));
+    } finally {
+      setLoading(prev => ({ ...prev, saving: false }));
+    }
+  };
+
+  const countFor = (status) => stats?.stats?.find(item => item._id === status)?.count || 0;
+
+  return (
+    <div className="orders-admin">
+      <div className="section-header">
+        <h2>Orders</h2>
+        <p>Orders sent from the product cart, with prices as they were when the customer ordered</p>
+      </div>
+
+      {stats && (
+        <div className="orders-admin-stats">
+          {Object.keys(STATUS_LABELS).map(status => (
+            <button
+              key={status}
+              className={`orders-admin-stat status-${status} ${statusFilter === status ? "active" : ""}`}
+              onClick={() => setStatusFilter(statusFilter === status ? "" : status)}
+            >
+              <strong>{countFor(status)}</strong>
+              <span>{STATUS_LABELS[status]}</span>
+            </button>
+          ))}
+          {stats.openTotals?.length > 0 && (
+            <div className="orders-admin-open">
+              <span>Open order value</span>
+              {stats.openTotals.map(total => (
+                <strong key={total.currency}>{formatMoney(total.amount, total.currency)}</strong>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="controls-section">
+        <div className="right-controls">
+          <input
+            type="text"
+            placeholder="Search by order number, customer or product..."
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            className="search-input"
+          />
+          <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} className="filter-select">
+            <option value="">All Status</option>
+            {Object.entries(STATUS_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <button className="btn-refresh" onClick={() => loadOrders(pagination.currentPage)} disabled={loading.list}>Refresh</button>
+        </div>
+      </div>
+
+      <div className="orders-admin-layout">
+        <div className="data-table">
+          <div className="table-container">
+            <table>
+              <thead>
+                <tr>
+                  <th>Order</th>
+                  <th>Customer</th>
+                  <th>Items</th>
+                  <th>Total</th>
+                  <th>Status</th>
+                  <th>Date</th>
+                </tr>
+              </thead>
+              <tbody>
+                {orders.length === 0 ? (
+                  <tr>
+                    <td colSpan="6" style={{ textAlign: "center", padding: "2rem" }}>
+                      {loading.list ? "Loading orders..." : "No orders found"}
+                    </td>
+                  </tr>
+                ) : (
+                  orders.map(order => (
+                    <tr
+                      key={order._id}
+                      className={`orders-admin-row ${selected?._id === order._id ? "selected" : ""}`}
+                      onClick={() => openOrder(order._id)}
+                    >
+                      <td><strong>{order.orderNumber}</strong></td>
+                      <td>
+                        {order.customerName}
+                        <br />
+                        <small>{order.customerEmail}</small>
+                      </td>
+                      <td>{order.items.reduce((sum, item) => sum + item.quantity, 0)}</td>
+                      <td>{formatTotals(order)}</td>
+                      <td>
+                        <span className={`orders-admin-badge status-${order.status}`}>{STATUS_LABELS[order.status]}</span>
+                        {order.paymentStatus === "paid" && <small className="orders-admin-paid">Paid</small>}
+                      </td>
+                      <td>{new Date(order.createdAt).toLocaleDateString()}</td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          {pagination.totalPages > 1 && (
+            <div className="pagination">
+              <button
+                className="btn-page"
+                onClick={() => loadOrders(pagination.currentPage - 1)}
+                disabled={pagination.currentPage <= 1}
+              >
+                Previous
+              </button>
+              <span className="page-info">
+                Page {pagination.currentPage} of {pagination.totalPages} ({pagination.total} orders)
+              </span>
+              <button
+                className="btn-page"
+                onClick={() => loadOrders(pagination.currentPage + 1)}
+                disabled={pagination.currentPage >= pagination.totalPages}
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </div>
+
+        {selected && (
+          <aside className="orders-admin-detail">
+            <header>
+              <div>
+                <h3>{selected.orderNumber}</h3>
+                <span className={`orders-admin-badge status-${selected.status}`}>{STATUS_LABELS[selected.status]}</span>
+              </div>
+              <button className="btn-small" onClick={() => setSelected(null)}>Close</button>
+            </header>
+
+            <ul className="orders-admin-facts">
+              <li><strong>Customer:</strong> {selected.customerName}</li>
+              <li><strong>Email:</strong> <a href={`mailto:${selected.customerEmail}`}>{selected.customerEmail}</a></li>
+              {selected.customerPhone && <li><strong>Phone:</strong> {selected.customerPhone}</li>}
+              <li><strong>Preferred contact:</strong> {selected.preferredContact}</li>
+              {selected.user && <li><strong>Account:</strong> {selected.user.name || selected.user.email}</li>}
+              <li><strong>Placed:</strong> {new Date(selected.createdAt).toLocaleString()}</li>
+              <li>
+                <strong>Payment:</strong> {PAYMENT_STATUS_LABELS[selected.paymentStatus] || "Unpaid"}
+                {selected.paidAt ? ` on ${new Date(selected.paidAt).toLocaleString()}` : ""}
+              </li>
+            </ul>
+
+            {selected.message && <p className="orders-admin-message">{selected.message}</p>}
+
+            <table className="orders-admin-items">
+              <thead>
+                <tr>
+                  <th>Product</th>
+                  <th>Qty</th>
+                  <th>Unit</th>
+                  <th>Line total</th>
+                </tr>
+              </thead>
+              <tbody>
+                {selected.items.map(item => (
+                  <tr key={item._id}>
+                    <td>{item.productName}</td>
+                    <td>{item.quantity}</td>
+                    <td>{item.unitPrice === null ? "On request" : formatMoney(item.unitPrice, item.currency)}</td>
+                    <td>{item.lineTotal === null ? "—" : formatMoney(item.lineTotal, item.currency)}</td>
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot>
+                <tr>
+                  <td colSpan="3">Total</td>
+                  <td>{formatTotals(selected)}</td>
+                </tr>
+              </tfoot>
+            </table>
+
+            {(STATUS_TRANSITIONS[selected.status]?.length > 0 || onCreateQuotation || canPayOnline(selected)) && (
+              <div className="action-buttons">
+                {onCreateQuotation && selected.status !== "cancelled" && (
+                  <button className="btn-small" onClick={() => onCreateQuotation(selected._id)} title="Draft a priced quotation for this order">
+                    <i className="fas fa-file-invoice"></i> Create quotation
+                  </button>
+                )}
+                {canPayOnline(selected) && (
+                  <>
+                    <button
+                      className="btn-small"
+                      onClick={async () => {
+                        if (await requestMobilePayment("order", selected._id, { phone: selected.customerPhone })) await openOrder(selected._id);
+                      }}
+                      disabled={loading.saving}
+                    >
+                      <i className="fas fa-mobile-alt"></i> Request mobile money
+                    </button>
+                    <button className="btn-small" onClick={() => copyPayLink("order", selected._id)}>
+                      <i className="fas fa-link"></i> Copy pay link
+                    </button>
+                  </>
+                )}
+                {STATUS_TRANSITIONS[selected.status].map(status => (
+                  <button
+                    key={status}
+                    className={`btn-small ${status === "cancelled" ? "btn-delete" : "btn-view"}`}
+                    onClick={() => changeStatus(status)}
+                    disabled={loading.saving}
+                  >
+                    Mark {STATUS_LABELS[status].toLowerCase()}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            <h4>History</h4>
+            <ol className="orders-admin-history">
+              {selected.statusHistory.map((entry, index) => (
+                <li key={`${entry.status}-${index}`}>
+                  <strong>{STATUS_LABELS[entry.status]}</strong>
+                  <small>
+                    {new Date(entry.changedAt).toLocaleString()}
+                    {entry.changedBy?.name ? ` by ${entry.changedBy.name}` : ""}
+                  </small>
+                  {entry.note && <p>{entry.note}</p>}
+                </li>
+              ))}
+            </ol>
+
+            <h4>Internal notes</h4>
+            <textarea
+              className="orders-admin-notes"
+              value={notes}
+              maxLength={1000}
+              rows={4}
+              placeholder="Only visible to admins"
+              onChange={(e) => setNotes(e.target.value)}
+            />
+            <button
+              className="btn btn-primary"
+              onClick={saveNotes}
+              disabled={loading.saving || notes === (selected.adminNotes || "")}
+            >
+              {loading.saving ? "Saving..." : "Save Notes"}
+            </button>
+          </aside>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default OrdersAdmin;
@@ -0,0 +1,263 @@
+import React, { useState, useEffect, useCallback } from "react";
+import apiService from "../services/api";
+import { showAlert } from "../utils/alerts.jsx";
+import { formatMoney } from "../utils/salesDocuments";
+import "../styles/PaymentsAdmin.css";
+
+const STATUS_LABELS = {
+  pending: "Pending",
+  successful: "Successful",
+  failed: "Failed",
+  expired: "Expired",
+  refunded: "Refunded"
+};
+
+const PROVIDER_OPTIONS = [
+  { value: "mtn_momo", label: "MTN Mobile Money" },
+  { value: "airtel_money", label: "Airtel Money" },
+  { value: "simulator", label: "Simulator" }
+];
+
+const errorMessage = (error, fallback) => error.response?.data?.message || error.message || fallback;
+
+// Mobile money payments made from pay links or requested by an admin:
+// follow pending ones, check them with the provider and refund
+const PaymentsAdmin = () => {
+  const [payments, setPayments] = useState([]);
+  const [pagination, setPagination] = useState({ currentPage: 1, totalPages: 1, total: 0 });
+  const [statusFilter, setStatusFilter] = useState("");
+  const [providerFilter, setProviderFilter] = useState("");
+  const [search, setSearch] = useState("");
+  const [loading, setLoading] = useState({ list: false, saving: false });
+
+  const loadPayments = useCallback(async (page = 1) => {
+    setLoading(prev => ({ ...prev, list: true }));
+    try {
+      const params = { page, limit: 20 };
+      if (statusFilter) params.status = statusFilter;
+      if (providerFilter) params.provider = providerFilter;
+      if (search.trim()) params.search = search.trim();
+
+      const response = await apiService.getPayments(params);
+      setPayments(response.data?.payments || []);
+      setPagination({
+        currentPage: response.data?.currentPage || 1,
+        totalPages: response.data?.totalPages || 1,
+        total: response.data?.total || 0
+      });
+    } catch (error) {
+      console.error("❌ Error loading payments:", error);
+      showAlert.error("Couldn't load payments", errorMessage(error, "Please try again."));
+    } finally {
+      setLoading(prev => ({ ...prev, list: false }));
+    }
+  }, [statusFilter, providerFilter, search]);
+
+  useEffect(() => {
+    const timer = setTimeout(() => loadPayments(1), 300);
+    return () => clearTimeout(timer);
+  }, [loadPayments]);
+
+  const checkStatus = async (payment) => {
+    setLoading(prev => ({ ...prev, saving: true }));
+    try {
+      const response = await apiService.refreshPayment(payment._id);
+      showAlert.success("Status checked", response.message, { timer: 2000, showConfirmButton: false });
+      await loadPayments(pagination.currentPage);
+    } catch (error) {
+      console.error("❌ Error checking payment:", error);
+      showAlert.error("Couldn't check the payment", errorMessage(error, "Please try again."));
+    } finally {
+      setLoading(prev => ({ ...prev, saving: false }));
+    }
+  };
+
+  const refund = async (payment) => {
+    // A flagged overpayment is refunded on its own; the rest stays paid
+    const partial = payment.needsRefund && payment.excessAmount > 0 && payment.excessAmount < payment.amount;
+    const amount = partial ? payment.excessAmount : payment.amount;
+    const outcome = partial
+      ? `The ${formatMoney(payment.amount - amount, payment.currency)} that was owed stays paid.`
+      : payment.purpose === "invoice" ? "The payment is voided on the invoice." : "The order is marked refunded.";
+
+    const { value, isConfirmed } = await showAlert.confirm(
+      `Refund ${formatMoney(amount, payment.currency)}?`,
+      `${partial ? "The overpayment" : "The full amount"} goes back to +${payment.phone} through ${payment.providerLabel}. ${outcome}`,
+      {
+        icon: "warning",
+        input: "textarea",
+        inputPlaceholder: "Reason (the customer sees this)",
+        inputAttributes: { maxlength: 500 },
+        inputValidator: (text) => (!text || !text.trim() ? "Give a reason for the refund" : undefined),
+        confirmButtonText: "Refund",
+        confirmButtonColor: "#ef4444"
+      }
+    );
+    if (!isConfirmed) return;
+
+    setLoading(prev => ({ ...prev, saving: true }));
+    try {
+      const response = await apiService.refundPayment(payment._id, value.trim());
+      showAlert.success("Refund sent", response.message);
+      await loadPayments(pagination.currentPage);
+    } catch (error) {
+      console.error("❌ Error refunding payment:", error);
+      showAlert.error("Couldn't refund the payment", errorMessage(error, "Please try again."));
+      await loadPayments(pagination.currentPage);
+    } finally {
+      setLoading(prev => ({ ...prev, saving: false }));
+    }
+  };
+
+  return (
+    <div className="payments-admin">
+      <div className="section-header">
+        <h2>Payments</h2>
+        <p>Mobile money payments for invoices and orders. Successful payments mark the invoice or order paid and send the customer a receipt.</p>
+      </div>
+
+      <div className="controls-section">
+        <div className="right-controls">
+          <input
+            type="text"
+            placeholder="Search by reference, transaction ID, phone or invoice/order number..."
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            className="search-input"
+          />
+          <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} className="filter-select">
+            <option value="">All Status</option>
+            {Object.entries(STATUS_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+            <option value="needs_refund">Needs refund</option>
+            <option value="refund_pending">Refund in progress</option>
+          </select>
+          <select value={providerFilter} onChange={(e) => setProviderFilter(e.target.value)} className="filter-select">
+            <option value="">All Providers</option>
+            {PROVIDER_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <button className="btn-refresh" onClick={() => loadPayments(pagination.currentPage)} disabled={loading.list}>Refresh</button>
+        </div>
+      </div>
+
+      <div className="data-table">
+        <div className="table-container">
+          <table>
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>For</th>
+                <th>Payer</th>
+                <th>Provider</th>
+                <th>Amount</th>
+                <th>Status</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {payments.length === 0 ? (
+                <tr>
+                  <td colSpan="7" style={{ textAlign: "center", padding: "2rem" }}>
+                    {loading.list ? "Loading payments..." : "No payments found"}
+                  </td>
+                </tr>
+              ) : (
+                payments.map(payment => (
+                  <tr key={payment._id}>
+                    <td>{new Date(payment.createdAt).toLocaleString()}</td>
+                    <td>
+                      <strong>{payment.description}</strong>
+                      <br />
+                      <small>{payment.initiatedBy ? "Requested by admin" : "Pay link"}</small>
+                    </td>
+                    <td>
+                      +{payment.phone}
+                      {payment.payerEmail && (
+                        <>
+                          <br />
+                          <small>{payment.payerEmail}</small>
+                        </>
+                      )}
+                    </td>
+                    <td>
+                      {payment.providerLabel}
+                      {payment.providerTransactionId && (
+                        <>
+                          <br />
+                          <small>{payment.providerTransactionId}</small>
+                        </>
+                      )}
+                    </td>
+                    <td>{formatMoney(payment.amount, payment.currency)}</td>
+                    <td>
+                      <span className={`payments-admin-badge status-${payment.status}`}>{STATUS_LABELS[payment.status]}</span>
+                      {payment.failureReason && <small className="payments-admin-note">{payment.failureReason}</small>}
+                      {payment.needsRefund && (
+                        <small className="payments-admin-note">
+                          Needs refund: {formatMoney(payment.excessAmount, payment.currency)} more than was owed
+                        </small>
+                      )}
+                      {payment.refund?.status === "pending" && <small className="payments-admin-note">Refund in progress</small>}
+                      {payment.refund?.status === "failed" && (
+                        <small className="payments-admin-note">Refund failed: {payment.refund.failureReason}</small>
+                      )}
+                      {payment.refund?.status === "successful" && payment.status !== "refunded" && (
+                        <small className="payments-admin-note">
+                          Overpayment of {formatMoney(payment.refund.amount, payment.currency)} refunded
+                        </small>
+                      )}
+                      {payment.refund?.reason && payment.refund?.status === "successful" && (
+                        <small className="payments-admin-note">{payment.refund.reason}</small>
+                      )}
+                    </td>
+                    <td>
+                      <div className="action-buttons">
+                        {(payment.status === "pending" || payment.refund?.status === "pending") && (
+                          <button className="btn-small btn-view" onClick={() => checkStatus(payment)} disabled={loading.saving}>
+                            Check status
+                          </button>
+                        )}
+                        {payment.canRefund && (
+                          <button className="btn-small btn-delete" onClick={() => refund(payment)} disabled={loading.saving}>
+                            Refund
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        {pagination.totalPages > 1 && (
+          <div className="pagination">
+            <button
+              className="btn-page"
+              onClick={() => loadPayments(pagination.currentPage - 1)}
+              disabled={pagination.currentPage <= 1}
+            >
+              Previous
+            </button>
+            <span className="page-info">
+              Page {pagination.currentPage} of {pagination.totalPages} ({pagination.total} payments)
+            </span>
+            <button
+              className="btn-page"
+              onClick={() => loadPayments(pagination.currentPage + 1)}
+              disabled={pagination.currentPage >= pagination.totalPages}
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PaymentsAdmin;
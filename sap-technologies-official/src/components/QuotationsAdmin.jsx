@@ -0,0 +1,384 @@
+import React, { useState, useEffect, useCallback } from "react";
+import apiService from "../services/api";
+import { showAlert } from "../utils/alerts.jsx";
+import { VAT_RATE, formatMoney, toDateInput, toItemRows, toPricingPayload } from "../utils/salesDocuments";
+import LineItemsEditor from "./LineItemsEditor";
+import "../styles/QuotationsAdmin.css";
+
+const STATUS_LABELS = {
+  draft: "Draft",
+  sent: "Sent",
+  accepted: "Accepted",
+  declined: "Declined",
+  expired: "Expired",
+  cancelled: "Cancelled"
+};
+
+const errorMessage = (error, fallback) => error.response?.data?.message || error.message || fallback;
+
+const toForm = (quotation) => ({
+  title: quotation.title || "",
+  customerName: quotation.customerName || "",
+  customerEmail: quotation.customerEmail || "",
+  customerPhone: quotation.customerPhone || "",
+  companyName: quotation.companyName || "",
+  currency: quotation.currency || "UGX",
+  validUntil: toDateInput(quotation.validUntil),
+  taxRate: quotation.taxRate ?? VAT_RATE,
+  discountAmount: quotation.discountAmount || 0,
+  notes: quotation.notes || "",
+  terms: quotation.terms || "",
+  items: toItemRows(quotation.items)
+});
+
+// Quotations drafted from service quote requests and cart orders: list,
+// line-item editor, PDF download and sending to the customer
+const QuotationsAdmin = ({ initialQuotationId = null, onCreateInvoice }) => {
+  const [quotations, setQuotations] = useState([]);
+  const [pagination, setPagination] = useState({ currentPage: 1, totalPages: 1, total: 0 });
+  const [statusFilter, setStatusFilter] = useState("");
+  const [search, setSearch] = useState("");
+  const [selected, setSelected] = useState(null);
+  const [form, setForm] = useState(null);
+  const [dirty, setDirty] = useState(false);
+  const [loading, setLoading] = useState({ list: false, saving: false });
+
+  const loadQuotations = useCallback(async (page = 1) => {
+    setLoading(prev => ({ ...prev, list: true }));
+    try {
+      const params = { page, limit: 20 };
+      if (statusFilter) params.status = statusFilter;
+      if (search.trim()) params.search = search.trim();
+
+      const response = await apiService.getQuotations(params);
+      setQuotations(response.data?.quotations || []);
+      setPagination({
+        currentPage: response.data?.currentPage || 1,
+        totalPages: response.data?.totalPages || 1,
+        total: response.data?.total || 0
+      });
+    } catch (error) {
+      console.error("❌ Error loading quotations:", error);
+      showAlert.error("Couldn't load quotations", errorMessage(error, "Please try again."));
+    } finally {
+      setLoading(prev => ({ ...prev, list: false }));
+    }
+  }, [statusFilter, search]);
+
+  useEffect(() => {
+    const timer = setTimeout(() => loadQuotations(1), 300);
+    return () => clearTimeout(timer);
+  }, [loadQuotations]);
+
+  const openQuotation = useCallback(async (quotationId) => {
+    try {
+      const response = await apiService.getQuotation(quotationId);
+      setSelected(response.data.quotation);
+      setForm(toForm(response.data.quotation));
+      setDirty(false);
+    } catch (error) {
+      console.error("❌ Error loading quotation:", error);
+      showAlert.error("Couldn't open quotation", errorMessage(error, "Please try again."));
+    }
+  }, []);
+
+  useEffect(() => {
+    if (initialQuotationId) openQuotation(initialQuotationId);
+  }, [initialQuotationId, openQuotation]);
+
+  const updateField = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+    setDirty(true);
+  };
+
+  const saveQuotation = async ({ quiet = false } = {}) => {
+    setLoading(prev => ({ ...prev, saving: true }));
+    try {
+      const response = await apiService.updateQuotation(selected._id, {
+        ...form,
+        ...toPricingPayload(form)
+      });
+      setSelected(response.data.quotation);
+      setForm(toForm(response.data.quotation));
+      setDirty(false);
+      if (!quiet) showAlert.success("Quotation saved", response.message, { timer: 2000, showConfirmButton: false });
+      await loadQuotations(pagination.currentPage);
+      return true;
+    } catch (error) {
+      console.error("❌ Error saving quotation:", error);
+      showAlert.error("Couldn't save quotation", errorMessage(error, "Please check the quotation and try again."));
+      return false;
+    } finally {
+      setLoading(prev => ({ ...prev, saving: false }));
+    }
+  };
+
+  const sendQuotation = async () => {
+    const { isConfirmed } = await showAlert.confirm(
+      `Send ${selected.quotationNumber} to ${form.customerEmail}?`,
+      selected.status === "sent"
+        ? "The customer gets the updated PDF and a new link. The link in the earlier email stops working."
+        : "The customer gets the PDF and a link to accept or decline it."
+    );
+    if (!isConfirmed) return;
+
+    if (dirty && !(await saveQuotation({ quiet: true }))) return;
+
+    setLoading(prev => ({ ...prev, saving: true }));
+    try {
+      const response = await apiService.sendQuotation(selected._id);
+      setSelected(response.data.quotation);
+      showAlert.success("Quotation sent", response.message);
+      await loadQuotations(pagination.currentPage);
+    } catch (error) {
+      console.error("❌ Error sending quotation:", error);
+      showAlert.error("Couldn't send quotation", errorMessage(error, "Please try again."));
+    } finally {
+      setLoading(prev => ({ ...prev, saving: false }));
+    }
+  };
+
+  const downloadPdf = async () => {
+    try {
+      const blob = await apiService.downloadQuotationPdf(selected._id);
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `${selected.quotationNumber}.pdf`;
+      link.click();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error("❌ Error downloading quotation PDF:", error);
+      showAlert.error("Couldn't download PDF", errorMessage(error, "Please try again."));
+    }
+  };
+
+  const cancelQuotation = async () => {
+    const { isConfirmed } = await showAlert.confirm(
+      `Cancel ${selected.quotationNumber}?`,
+      "The customer's link will show the quotation as withdrawn and can no longer be accepted.",
+      { icon: "warning", confirmButtonText: "Cancel quotation", confirmButtonColor: "#ef4444", cancelButtonText: "Keep it" }
+    );
+    if (!isConfirmed) return;
+
+    try {
+      const response = await apiService.cancelQuotation(selected._id);
+      setSelected(response.data.quotation);
+      await loadQuotations(pagination.currentPage);
+    } catch (error) {
+      showAlert.error("Couldn't cancel quotation", errorMessage(error, "Please try again."));
+    }
+  };
+
+  const deleteDraft = async () => {
+    const { isConfirmed } = await showAlert.confirm(`Delete draft ${selected.quotationNumber}?`, "This can't be undone.", {
+      icon: "warning",
+      confirmButtonText: "Delete draft",
+      confirmButtonColor: "#ef4444"
+    });
+    if (!isConfirmed) return;
+
+    try {
+      await apiService.deleteQuotation(selected._id);
+      setSelected(null);
+      setForm(null);
+      await loadQuotations(pagination.currentPage);
+    } catch (error) {
+      showAlert.error("Couldn't delete draft", errorMessage(error, "Please try again."));
+    }
+  };
+
+  const editable = selected && ["draft", "sent"].includes(selected.status);
+
+  return (
+    <div className="quotations-admin">
+      <div className="section-header">
+        <h2>Quotations</h2>
+        <p>Formal quotations for service quote requests and cart orders. Start one from a request or an order.</p>
+      </div>
+
+      <div className="controls-section">
+        <div className="right-controls">
+          <input
+            type="text"
+            placeholder="Search by number, title or customer..."
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            className="search-input"
+          />
+          <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} className="filter-select">
+            <option value="">All Status</option>
+            {Object.entries(STATUS_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <button className="btn-refresh" onClick={() => loadQuotations(pagination.currentPage)} disabled={loading.list}>Refresh</button>
+        </div>
+      </div>
+
+      <div className="data-table">
+        <div className="table-container">
+          <table>
+            <thead>
+              <tr>
+                <th>Quotation</th>
+                <th>For</th>
+                <th>Customer</th>
+                <th>Total</th>
+                <th>Valid until</th>
+                <th>Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {quotations.length === 0 ? (
+                <tr>
+                  <td colSpan="6" style={{ textAlign: "center", padding: "2rem" }}>
+                    {loading.list ? "Loading quotations..." : "No quotations yet"}
+                  </td>
+                </tr>
+              ) : (
+                quotations.map(quotation => (
+                  <tr
+                    key={quotation._id}
+                    className={`quotations-admin-row ${selected?._id === quotation._id ? "selected" : ""}`}
+                    onClick={() => openQuotation(quotation._id)}
+                  >
+                    <td><strong>{quotation.quotationNumber}</strong></td>
+                    <td>{quotation.title}</td>
+                    <td>
+                      {quotation.customerName}
+                      <br />
+                      <small>{quotation.customerEmail}</small>
+                    </td>
+                    <td>{formatMoney(quotation.total, quotation.currency)}</td>
+                    <td>{new Date(quotation.validUntil).toLocaleDateString()}</td>
+                    <td><span className={`quotations-admin-badge status-${quotation.status}`}>{STATUS_LABELS[quotation.status]}</span></td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        {pagination.totalPages > 1 && (
+          <div className="pagination">
+            <button className="btn-page" onClick={() => loadQuotations(pagination.currentPage - 1)} disabled={pagination.currentPage <= 1}>
+              Previous
+            </button>
+            <span className="page-info">
+              Page {pagination.currentPage} of {pagination.totalPages} ({pagination.total} quotations)
+            </span>
+            <button
+              className="btn-page"
+              onClick={() => loadQuotations(pagination.currentPage + 1)}
+              disabled={pagination.currentPage >= pagination.totalPages}
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+
+      {selected && form && (
+        <div className="quotations-admin-editor">
+          <header>
+            <div>
+              <h3>{selected.quotationNumber}</h3>
+              <span className={`quotations-admin-badge status-${selected.status}`}>{STATUS_LABELS[selected.status]}</span>
+              {selected.serviceQuote?.serviceName && <small>Service request: {selected.serviceQuote.serviceName}</small>}
+              {selected.order?.orderNumber && <small>Order: {selected.order.orderNumber}</small>}
+              {selected.sentAt && <small>Sent {new Date(selected.sentAt).toLocaleString()}</small>}
+              {selected.viewedAt && <small>Opened by customer {new Date(selected.viewedAt).toLocaleString()}</small>}
+              {selected.respondedAt && <small>Responded {new Date(selected.respondedAt).toLocaleString()}</small>}
+            </div>
+            <button className="btn-small" onClick={() => { setSelected(null); setForm(null); }}>Close</button>
+          </header>
+
+          {selected.responseNote && (
+            <p className="quotations-admin-response"><strong>Customer&apos;s note:</strong> {selected.responseNote}</p>
+          )}
+
+          <fieldset disabled={!editable || loading.saving}>
+            <div className="quotations-admin-grid">
+              <label>
+                Title
+                <input type="text" value={form.title} maxLength={150} onChange={(e) => updateField("title", e.target.value)} />
+              </label>
+              <label>
+                Customer name
+                <input type="text" value={form.customerName} onChange={(e) => updateField("customerName", e.target.value)} />
+              </label>
+              <label>
+                Customer email
+                <input type="email" value={form.customerEmail} onChange={(e) => updateField("customerEmail", e.target.value)} />
+              </label>
+              <label>
+                Phone
+                <input type="tel" value={form.customerPhone} onChange={(e) => updateField("customerPhone", e.target.value)} />
+              </label>
+              <label>
+                Company
+                <input type="text" value={form.companyName} onChange={(e) => updateField("companyName", e.target.value)} />
+              </label>
+              <label>
+                Currency
+                <input
+                  type="text"
+                  value={form.currency}
+                  maxLength={3}
+                  onChange={(e) => updateField("currency", e.target.value.toUpperCase())}
+                />
+              </label>
+              <label>
+                Valid until
+                <input type="date" value={form.validUntil} onChange={(e) => updateField("validUntil", e.target.value)} />
+              </label>
+            </div>
+
+            <LineItemsEditor form={form} onChange={updateField} />
+
+            <label className="quotations-admin-block">
+              Notes for the customer
+              <textarea rows={3} value={form.notes} maxLength={2000} onChange={(e) => updateField("notes", e.target.value)} />
+            </label>
+            <label className="quotations-admin-block">
+              Terms and conditions
+              <textarea rows={5} value={form.terms} maxLength={4000} onChange={(e) => updateField("terms", e.target.value)} />
+            </label>
+          </fieldset>
+
+          <div className="action-buttons">
+            {editable && (
+              <>
+                <button className="btn btn-primary" onClick={() => saveQuotation()} disabled={loading.saving || !dirty}>
+                  {loading.saving ? "Saving..." : "Save"}
+                </button>
+                <button className="btn-small btn-view" onClick={sendQuotation} disabled={loading.saving}>
+                  <i className="fas fa-paper-plane"></i> {selected.status === "sent" ? "Send again" : "Send to customer"}
+                </button>
+              </>
+            )}
+            <button className="btn-small" onClick={downloadPdf} disabled={dirty} title={dirty ? "Save your changes first" : "Download PDF"}>
+              <i className="fas fa-file-pdf"></i> PDF
+            </button>
+            {selected.status === "accepted" && onCreateInvoice && (
+              <button className="btn-small btn-view" onClick={() => onCreateInvoice(selected._id)}>
+                <i className="fas fa-file-invoice-dollar"></i> Create invoice
+              </button>
+            )}
+            {["sent", "expired"].includes(selected.status) && (
+              <button className="btn-small btn-delete" onClick={cancelQuotation}>Cancel quotation</button>
+            )}
+            {selected.status === "draft" && (
+              <button className="btn-small btn-delete" onClick={deleteDraft}>
+                <i className="fas fa-trash"></i> Delete draft
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QuotationsAdmin;
@@ -0,0 +1,176 @@
+import React, { useState, useEffect, useCallback } from "react";
+import apiService from "../services/api";
+import { showAlert, Swal } from "../utils/alerts";
+import { getImageUrl } from "../utils/imageUrl";
+
+const EMPTY_FORM = { name: "", title: "", image: null };
+
+const errorMessage = (error, fallback) => error.response?.data?.message || error.message || fallback;
+
+// Signatures admins can place on certificate templates. Retired signatories
+// stay listed so it's clear whose signature older certificates carry.
+const SignatoryLibrary = ({ onChange }) => {
+  const [signatories, setSignatories] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [showRetired, setShowRetired] = useState(false);
+  const [loading, setLoading] = useState({ list: false, saving: false });
+
+  const loadSignatories = useCallback(async () => {
+    setLoading(prev => ({ ...prev, list: true }));
+    try {
+      const response = await apiService.getSignatories();
+      setSignatories(response.data?.signatories || []);
+    } catch (error) {
+      console.error("❌ Error loading signatories:", error);
+      showAlert.error("Couldn't load signatories", errorMessage(error, "Please try again."));
+    } finally {
+      setLoading(prev => ({ ...prev, list: false }));
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSignatories();
+  }, [loadSignatories]);
+
+  const refresh = async () => {
+    await loadSignatories();
+    if (onChange) onChange();
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!form.image) {
+      showAlert.warning("Signature image required", "Choose an image of the signature to upload.");
+      return;
+    }
+
+    setLoading(prev => ({ ...prev, saving: true }));
+    try {
+      await apiService.createSignatory(form);
+      await showAlert.success("Signatory added", `${form.name} can now be added to certificate templates.`, { timer: 2500, showConfirmButton: false });
+      setForm(EMPTY_FORM);
+      e.target.reset();
+      await refresh();
+    } catch (error) {
+      console.error("❌ Error adding signatory:", error);
+      await showAlert.error("Couldn't add signatory", errorMessage(error, "Something went wrong uploading the signature."));
+    } finally {
+      setLoading(prev => ({ ...prev, saving: false }));
+    }
+  };
+
+  const handleEdit = async (signatory) => {
+    const { value, isConfirmed } = await Swal.fire({
+      title: `Edit ${signatory.name}`,
+      html: `
+        <input id="signatory-name" class="swal2-input" placeholder="Name">
+        <input id="signatory-title" class="swal2-input" placeholder="Title">
+      `,
+      didOpen: () => {
+        document.getElementById("signatory-name").value = signatory.name;
+        document.getElementById("signatory-title").value = signatory.title || "";
+      },
+      preConfirm: () => ({
+        name: document.getElementById("signatory-name").value.trim(),
+        title: document.getElementById("signatory-title").value.trim()
+      }),
+      footer: "Certificates already issued keep the name and title they were printed with.",
+      showCancelButton: true,
+      confirmButtonText: "Save"
+    });
+    if (!isConfirmed) return;
+
+    try {
+      await apiService.updateSignatory(signatory._id, value);
+      await refresh();
+    } catch (error) {
+      console.error("❌ Error updating signatory:", error);
+      await showAlert.error("Couldn't update signatory", errorMessage(error, "Please try again."));
+    }
+  };
+
+  const handleRetire = async (signatory) => {
+    const confirm = await Swal.fire({
+      title: `Retire ${signatory.name}?`,
+      text: "New certificates will stop using this signature. Certificates already issued keep it.",
+      icon: "warning",
+      showCancelButton: true,
+      confirmButtonText: "Retire"
+    });
+    if (!confirm.isConfirmed) return;
+
+    try {
+      const response = await apiService.retireSignatory(signatory._id);
+      showAlert.success("Signatory retired", response.message, { timer: 2500, showConfirmButton: false });
+      await refresh();
+    } catch (error) {
+      console.error("❌ Error retiring signatory:", error);
+      await showAlert.error("Couldn't retire signatory", errorMessage(error, "Please try again."));
+    }
+  };
+
+  const visibleSignatories = signatories.filter(signatory => showRetired || signatory.status === "active");
+
+  return (
+    <div className="signatory-library">
+      <div className="section-header">
+        <h4>✍️ Signatories</h4>
+        <label className="signatory-retired-toggle">
+          <input type="checkbox" checked={showRetired} onChange={(e) => setShowRetired(e.target.checked)} />
+          Show retired
+        </label>
+      </div>
+
+      <form className="signatory-form" onSubmit={handleCreate}>
+        <input
+          type="text"
+          placeholder="Name"
+          value={form.name}
+          onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+          required
+        />
+        <input
+          type="text"
+          placeholder="Title (e.g. Chairperson)"
+          value={form.title}
+          onChange={(e) => setForm(prev => ({ ...prev, title: e.target.value }))}
+        />
+        <input
+          type="file"
+          accept="image/*"
+          onChange={(e) => setForm(prev => ({ ...prev, image: e.target.files[0] || null }))}
+          required
+        />
+        <button type="submit" className="submit-btn" disabled={loading.saving}>
+          {loading.saving ? "⏳ Uploading..." : "➕ Add Signatory"}
+        </button>
+      </form>
+
+      {loading.list && signatories.length === 0 ? (
+        <div className="loading-state">Loading signatories...</div>
+      ) : visibleSignatories.length === 0 ? (
+        <p className="signatory-empty">No signatories yet. Certificates use the signature uploaded in Settings.</p>
+      ) : (
+        <div className="signatory-list">
+          {visibleSignatories.map(signatory => (
+            <div key={signatory._id} className={`signatory-card ${signatory.status}`}>
+              <img src={getImageUrl(signatory.image?.url)} alt={`${signatory.name}'s signature`} />
+              <strong>{signatory.name}</strong>
+              <small>{signatory.title || "No title"}</small>
+              {signatory.status === "retired" ? (
+                <span className="status-badge retired">Retired</span>
+              ) : (
+                <div className="template-actions">
+                  <button className="action-btn" onClick={() => handleEdit(signatory)}>✏️ Edit</button>
+                  <button className="action-btn reject-btn" onClick={() => handleRetire(signatory)}>🗄️ Retire</button>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SignatoryLibrary;
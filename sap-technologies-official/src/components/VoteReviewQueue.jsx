@@ -0,0 +1,244 @@
+import React, { useState, useEffect, useCallback } from "react";
+import apiService from "../services/api";
+import { showAlert, Swal } from "../utils/alerts";
+
+const voteKey = (vote) => `${vote.nominationId}:${vote.voteId}`;
+
+const VoteReviewQueue = ({ edition = "" }) => {
+  const [queue, setQueue] = useState({ flaggedVotes: [], summary: null });
+  const [auditEntries, setAuditEntries] = useState([]);
+  const [selected, setSelected] = useState(new Set());
+  const [loading, setLoading] = useState({ queue: false, voiding: false });
+
+  const loadQueue = useCallback(async () => {
+    setLoading(prev => ({ ...prev, queue: true }));
+    try {
+      const params = edition ? { edition } : {};
+      const [queueResponse, auditResponse] = await Promise.all([
+        apiService.getVoteReviewQueue(params),
+        apiService.getVoteAuditLog({ limit: 20 })
+      ]);
+      setQueue({
+        flaggedVotes: queueResponse.data?.flaggedVotes || [],
+        summary: queueResponse.data?.summary || null
+      });
+      setAuditEntries(auditResponse.data?.entries || []);
+      setSelected(new Set());
+    } catch (error) {
+      console.error("❌ Error loading vote review queue:", error);
+      showAlert.error("Couldn't load vote review", "We had trouble analysing the votes. Please try again.");
+    } finally {
+      setLoading(prev => ({ ...prev, queue: false }));
+    }
+  }, [edition]);
+
+  useEffect(() => {
+    loadQueue();
+  }, [loadQueue]);
+
+  const toggleVote = (vote) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(voteKey(vote))) {
+        next.delete(voteKey(vote));
+      } else {
+        next.add(voteKey(vote));
+      }
+      return next;
+    });
+  };
+
+  const toggleAll = () => {
+    setSelected(prev => (
+      prev.size === queue.flaggedVotes.length
+        ? new Set()
+        : new Set(queue.flaggedVotes.map(voteKey))
+    ));
+  };
+
+  const handleVoidSelected = async () => {
+    const votes = queue.flaggedVotes
+      .filter(vote => selected.has(voteKey(vote)))
+      .map(vote => ({ nominationId: vote.nominationId, voteId: vote.voteId }));
+
+    const { value: reason } = await Swal.fire({
+      title: `Void ${votes.length} vote(s)?`,
+      text: "Voided votes stop counting immediately. The action is recorded in the audit trail and can be restored.",
+      input: "textarea",
+      inputPlaceholder: "Reason for voiding (required)",
+      showCancelButton: true,
+      confirmButtonText: "Void votes",
+      confirmButtonColor: "#ef4444",
+      cancelButtonColor: "#6b7280",
+      inputValidator: (value) => !value?.trim() && "Please give a reason for the audit trail"
+    });
+
+    if (!reason) return;
+
+    setLoading(prev => ({ ...prev, voiding: true }));
+    try {
+      const response = await apiService.voidVotes(votes, reason.trim());
+      await showAlert.success("Votes voided", response.message, { timer: 3000, showConfirmButton: false });
+      await loadQueue();
+    } catch (error) {
+      console.error("❌ Error voiding votes:", error);
+      await showAlert.error(
+        "Couldn't void votes",
+        error.response?.data?.message || error.message || "Something went wrong voiding the votes.",
+        { timer: 5000, showConfirmButton: true }
+      );
+    } finally {
+      setLoading(prev => ({ ...prev, voiding: false }));
+    }
+  };
+
+  const handleRestore = async (entry) => {
+    const result = await Swal.fire({
+      title: "Restore votes?",
+      html: `Restore <strong>${entry.votes.length}</strong> vote(s) for <strong>${entry.nomineeName}</strong>?`,
+      icon: "question",
+      showCancelButton: true,
+      confirmButtonText: "Restore",
+      confirmButtonColor: "#10b981",
+      cancelButtonColor: "#6b7280"
+    });
+
+    if (!result.isConfirmed) return;
+
+    try {
+      const votes = entry.votes.map(vote => ({ nominationId: entry.nomination, voteId: vote.voteId }));
+      const response = await apiService.restoreVotes(votes, `Restored from audit entry ${entry._id}`);
+      await showAlert.success("Votes restored", response.message, { timer: 3000, showConfirmButton: false });
+      await loadQueue();
+    } catch (error) {
+      console.error("❌ Error restoring votes:", error);
+      await showAlert.error(
+        "Couldn't restore votes",
+        error.response?.data?.message || error.message || "Something went wrong restoring the votes.",
+        { timer: 5000, showConfirmButton: true }
+      );
+    }
+  };
+
+  const { flaggedVotes, summary } = queue;
+
+  return (
+    <div className="vote-review-section">
+      <div className="section-header">
+        <h3>🛡️ Vote Review Queue</h3>
+        <button className="create-btn" onClick={loadQueue} disabled={loading.queue}>
+          {loading.queue ? "⏳ Analysing..." : "🔄 Re-scan Votes"}
+        </button>
+      </div>
+
+      {summary && (
+        <div className="vote-review-summary">
+          <span>🗳️ {summary.votesScanned} votes scanned</span>
+          <span>📝 {summary.nominationsScanned} nominations</span>
+          <span className={summary.flaggedVotes ? "flagged" : ""}>🚩 {summary.flaggedVotes} flagged</span>
+        </div>
+      )}
+
+      {loading.queue ? (
+        <div className="loading-state">Analysing votes...</div>
+      ) : flaggedVotes.length === 0 ? (
+        <div className="empty-state">
+          <p>✅ No suspicious votes found</p>
+        </div>
+      ) : (
+        <>
+          <div className="vote-review-actions">
+            <label>
+              <input
+                type="checkbox"
+                checked={selected.size === flaggedVotes.length}
+                onChange={toggleAll}
+              />
+              Select all
+            </label>
+            <button
+              className="action-btn reject-btn"
+              onClick={handleVoidSelected}
+              disabled={selected.size === 0 || loading.voiding}
+            >
+              {loading.voiding ? "⏳ Voiding..." : `🚫 Void Selected (${selected.size})`}
+            </button>
+          </div>
+
+          <div className="vote-review-table-wrapper">
+            <table className="vote-review-table">
+              <thead>
+                <tr>
+                  <th></th>
+                  <th>Voter</th>
+                  <th>IP Address</th>
+                  <th>Nominee</th>
+                  <th>Voted</th>
+                  <th>Flags</th>
+                </tr>
+              </thead>
+              <tbody>
+                {flaggedVotes.map(vote => (
+                  <tr key={voteKey(vote)} className={selected.has(voteKey(vote)) ? "selected" : ""}>
+                    <td>
+                      <input
+                        type="checkbox"
+                        checked={selected.has(voteKey(vote))}
+                        onChange={() => toggleVote(vote)}
+                      />
+                    </td>
+                    <td>{vote.voterEmail}</td>
+                    <td>{vote.ipAddress || "—"}</td>
+                    <td>
+                      {vote.nomineeName}
+                      {vote.categoryName && <small>{vote.categoryName}</small>}
+                    </td>
+                    <td>{new Date(vote.votedAt).toLocaleString()}</td>
+                    <td>
+                      {vote.reasons.map(reason => (
+                        <span key={reason.code} className={`flag-badge flag-${reason.code}`} title={reason.detail}>
+                          {reason.label}
+                        </span>
+                      ))}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+
+      <div className="vote-audit-log">
+        <h4>📜 Audit Trail</h4>
+        {auditEntries.length === 0 ? (
+          <p className="empty-note">No votes have been voided or restored yet.</p>
+        ) : (
+          <ul>
+            {auditEntries.map(entry => (
+              <li key={entry._id} className={`audit-${entry.action}`}>
+                <div>
+                  <strong>{entry.action === "void" ? "🚫 Voided" : "♻️ Restored"} {entry.votes.length} vote(s)</strong>
+                  {" "}for {entry.nomineeName} · {entry.votesBefore} → {entry.votesAfter} votes
+                  <br />
+                  <small>
+                    {new Date(entry.createdAt).toLocaleString()}
+                    {entry.performedBy && ` by ${entry.performedBy.name || entry.performedBy.email}`}
+                    {entry.reason && ` — ${entry.reason}`}
+                  </small>
+                </div>
+                {entry.action === "void" && (
+                  <button className="action-btn approve-btn" onClick={() => handleRestore(entry)}>
+                    ♻️ Restore
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VoteReviewQueue;
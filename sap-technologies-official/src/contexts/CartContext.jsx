@@ -1,42 +1,112 @@
-import React, { createContext, useContext, useState, useCallback } from "react";
+import React, { createContext, useContext, useState, useCallback, useEffect, useRef } from "react";
+import apiService from "../services/api";
 
 const CartContext = createContext(null);
 
-export const CartProvider = ({ children }) => {
+// Wait for quantity clicks to settle before saving the cart
+const SAVE_DELAY_MS = 500;
+
+// The cart is saved on the server, per account when logged in and per
+// session for guests, so it survives reloads and follows the user across
+// devices. The server re-checks every item against the current products and
+// flags price changes and items that can no longer be ordered.
+export const CartProvider = ({ children, isAuthenticated = false }) => {
   const [cartItems, setCartItems] = useState([]);
   const [isCartOpen, setIsCartOpen] = useState(false);
+  const [cartLoading, setCartLoading] = useState(true);
+
+  // Bumped on every local change so stale server responses are ignored
+  const revisionRef = useRef(0);
+  const savedRevisionRef = useRef(0);
+  const saveTimerRef = useRef(null);
+
+  const applyServerCart = useCallback((cart, revision) => {
+    if (revision !== revisionRef.current) return;
+    setCartItems(cart?.items || []);
+  }, []);
+
+  // Load the cart on start and again after login or logout. On login the
+  // server has already merged the guest cart into the account cart.
+  useEffect(() => {
+    let cancelled = false;
+    const revision = revisionRef.current;
+
+    setCartLoading(true);
+    apiService.getCart()
+      .then((response) => {
+        if (!cancelled) applyServerCart(response.data?.cart, revision);
+      })
+      .catch((error) => {
+        console.warn("⚠️ Couldn't load saved cart:", error.message);
+      })
+      .finally(() => {
+        if (!cancelled) setCartLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isAuthenticated, applyServerCart]);
+
+  useEffect(() => {
+    if (revisionRef.current === savedRevisionRef.current) return undefined;
+
+    clearTimeout(saveTimerRef.current);
+    saveTimerRef.current = setTimeout(async () => {
+      const revision = revisionRef.current;
+      savedRevisionRef.current = revision;
+      try {
+        const response = await apiService.saveCart(
+          cartItems.map((item) => ({ productId: item.product._id, quantity: item.quantity }))
+        );
+        applyServerCart(response.data?.cart, revision);
+      } catch (error) {
+        console.warn("⚠️ Couldn't save cart:", error.message);
+      }
+    }, SAVE_DELAY_MS);
+
+    return () => clearTimeout(saveTimerRef.current);
+  }, [cartItems, applyServerCart]);
+
+  const changeCart = useCallback((updater) => {
+    revisionRef.current += 1;
+    setCartItems(updater);
+  }, []);
 
   const addToCart = useCallback((product) => {
-    setCartItems((prev) => {
+    changeCart((prev) => {
       const exists = prev.find((item) => item.product._id === product._id);
       if (exists) {
         return prev.map((item) =>
           item.product._id === product._id
-            ? { ...item, quantity: item.quantity + 1 }
+            ? { ...item, quantity: Math.min(999, item.quantity + 1) }
             : item
         );
       }
-      return [...prev, { product, quantity: 1 }];
+      return [...prev, { product, quantity: 1, status: "ok" }];
     });
-  }, []);
+  }, [changeCart]);
 
   const removeFromCart = useCallback((productId) => {
-    setCartItems((prev) => prev.filter((item) => item.product._id !== productId));
-  }, []);
+    changeCart((prev) => prev.filter((item) => item.product._id !== productId));
+  }, [changeCart]);
 
   const updateQuantity = useCallback((productId, qty) => {
-    const q = Math.max(1, parseInt(qty) || 1);
-    setCartItems((prev) =>
+    const q = Math.min(999, Math.max(1, parseInt(qty) || 1));
+    changeCart((prev) =>
       prev.map((item) =>
         item.product._id === productId ? { ...item, quantity: q } : item
       )
     );
-  }, []);
+  }, [changeCart]);
 
-  const clearCart = useCallback(() => setCartItems([]), []);
+  const clearCart = useCallback(() => changeCart([]), [changeCart]);
 
   const cartCount = cartItems.reduce((sum, item) => sum + item.quantity, 0);
 
+  // Items that were discontinued or taken down since they were added
+  const hasUnavailableItems = cartItems.some((item) => item.status === "unavailable" || item.status === "discontinued");
+
   const isInCart = useCallback(
     (productId) => cartItems.some((item) => item.product._id === productId),
     [cartItems]
@@ -47,6 +117,8 @@ export const CartProvider = ({ children }) => {
       value={{
         cartItems,
         cartCount,
+        cartLoading,
+        hasUnavailableItems,
         isCartOpen,
         addToCart,
         removeFromCart,
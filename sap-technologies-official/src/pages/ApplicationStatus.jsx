@@ -0,0 +1,225 @@
+import { useState, useEffect, useCallback } from "react";
+import { useParams } from "react-router-dom";
+import SEO from "../components/SEO";
+import apiService from "../services/api";
+import { showAlert } from "../utils/alerts.jsx";
+import { MAX_APPLICATION_FILE_SIZE, ACCEPTED_DOCUMENT_TYPES, formatFileSize, isAcceptedDocument } from "../utils/applicationFiles";
+import "../styles/ApplicationStatus.css";
+
+const STATUS_CONTENT = {
+  pending: { label: "Received", text: "Your application is waiting for review by our recruitment team." },
+  reviewed: { label: "Under review", text: "Our team is reviewing your application against the role's requirements." },
+  interviewed: { label: "Interview stage", text: "You've moved on to interviews. We'll email you the details for each step." },
+  accepted: { label: "Accepted", text: "Congratulations! Our team will be in touch about the next steps." },
+  rejected: { label: "Not selected", text: "We won't be moving forward with this application. You're welcome to apply for future roles." },
+  withdrawn: { label: "Withdrawn", text: "You withdrew this application and your uploaded documents were deleted." }
+};
+
+const MODE_LABELS = {
+  "in-person": "In person",
+  video: "Video call",
+  phone: "Phone call"
+};
+
+const formatDate = (value, options = {}) => new Date(value).toLocaleString([], {
+  day: "numeric",
+  month: "long",
+  year: "numeric",
+  ...options
+});
+
+// Applicants open this page from the private link in their confirmation email
+// to follow their application, send an updated resume or withdraw
+const ApplicationStatus = () => {
+  const { token } = useParams();
+  const [details, setDetails] = useState(null);
+  const [error, setError] = useState("");
+  const [resumeFile, setResumeFile] = useState(null);
+  const [resumeError, setResumeError] = useState("");
+  const [uploading, setUploading] = useState(false);
+  const [withdrawing, setWithdrawing] = useState(false);
+
+  const loadStatus = useCallback(async () => {
+    try {
+      const response = await apiService.getApplicationStatus(token);
+      setDetails(response.data);
+      setError("");
+    } catch (err) {
+      setError(err.response?.data?.message || "This application link is invalid.");
+    }
+  }, [token]);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  const handleFileChange = (e) => {
+    const file = e.target.files?.[0] || null;
+    setResumeError("");
+
+    if (file && !isAcceptedDocument(file)) {
+      e.target.value = "";
+      setResumeError("Upload a PDF, DOC, DOCX, RTF, TXT, or ODT file");
+      return;
+    }
+
+    if (file && file.size > MAX_APPLICATION_FILE_SIZE) {
+      e.target.value = "";
+      setResumeError("File must be 8MB or smaller");
+      return;
+    }
+
+    setResumeFile(file);
+  };
+
+  const handleResumeUpload = async (e) => {
+    e.preventDefault();
+    if (!resumeFile) {
+      setResumeError("Choose a file to upload");
+      return;
+    }
+
+    const payload = new FormData();
+    payload.append("resumeFile", resumeFile);
+
+    setUploading(true);
+    try {
+      const response = await apiService.updateApplicationResume(token, payload);
+      setDetails(response.data);
+      setResumeFile(null);
+      e.target.reset();
+      showAlert.success("Resume updated", response.message);
+    } catch (err) {
+      showAlert.error("Couldn't update your resume", err.response?.data?.message || "Please try again.");
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleWithdraw = async () => {
+    const { isConfirmed, value } = await showAlert.confirm(
+      "Withdraw your application?",
+      "Your resume and cover letter will be deleted and this can't be undone. You can tell us why if you like.",
+      {
+        icon: "warning",
+        input: "textarea",
+        inputPlaceholder: "Reason (optional)",
+        inputAttributes: { maxlength: 500 },
+        confirmButtonText: "Withdraw application",
+        confirmButtonColor: "#ef4444",
+        cancelButtonText: "Keep my application"
+      }
+    );
+    if (!isConfirmed) return;
+
+    setWithdrawing(true);
+    try {
+      const response = await apiService.withdrawApplication(token, (value || "").trim());
+      setDetails(response.data);
+      showAlert.success("Application withdrawn", response.message);
+    } catch (err) {
+      await showAlert.error("Couldn't withdraw your application", err.response?.data?.message || "Please try again.");
+      await loadStatus();
+    } finally {
+      setWithdrawing(false);
+    }
+  };
+
+  const status = STATUS_CONTENT[details?.status] || STATUS_CONTENT.pending;
+  const interview = details?.interview;
+
+  return (
+    <section className="application-status-page">
+      <SEO title="Your application | SAPTech Uganda" robots="noindex, nofollow" />
+
+      <div className="application-status-card">
+        {error ? (
+          <>
+            <h1>Application link unavailable</h1>
+            <p>{error}</p>
+            <p>If you think this is a mistake, reply to your application confirmation email and our team will help.</p>
+          </>
+        ) : !details ? (
+          <p className="application-status-hint">Loading your application...</p>
+        ) : (
+          <>
+            <span className="application-status-eyebrow">{details.job?.department || "SAPTech Uganda"}</span>
+            <h1>{details.job?.title || "Your application"}</h1>
+            <p>Hello {details.applicantName},</p>
+
+            <div className={`application-status-current status-${details.status}`}>
+              <span className="application-status-label">{status.label}</span>
+              {details.stage && details.status !== "withdrawn" && (
+                <span className="application-status-stage">
+                  Current stage: <strong>{details.stage.name}</strong> since {formatDate(details.stage.enteredAt)}
+                </span>
+              )}
+              <p>{status.text}</p>
+            </div>
+
+            <ul className="application-status-facts">
+              <li><strong>Applied:</strong> {formatDate(details.submittedAt)}</li>
+              {details.job?.location && <li><strong>Location:</strong> {details.job.location}</li>}
+              {details.resumeFile && (
+                <li>
+                  <strong>Resume:</strong> {details.resumeFile.originalName || "Uploaded"}
+                  {details.resumeUpdatedAt ? ` (updated ${formatDate(details.resumeUpdatedAt)})` : ""}
+                </li>
+              )}
+              {details.withdrawnAt && <li><strong>Withdrawn:</strong> {formatDate(details.withdrawnAt)}</li>}
+            </ul>
+
+            {interview && (
+              <div className="application-status-interview">
+                <h2>{interview.title}</h2>
+                {interview.status === "scheduled" ? (
+                  <p>
+                    {MODE_LABELS[interview.mode] || interview.mode} on{" "}
+                    {formatDate(interview.scheduledStart, {
+                      weekday: "long",
+                      hour: "2-digit",
+                      minute: "2-digit",
+                      timeZone: interview.timezone,
+                      timeZoneName: "short"
+                    })}
+                  </p>
+                ) : (
+                  <p>We've offered you interview times. Use the link in your interview email to pick one.</p>
+                )}
+              </div>
+            )}
+
+            {details.canUpdateResume && (
+              <form className="application-status-resume" onSubmit={handleResumeUpload}>
+                <h2>Update your resume</h2>
+                <p className="application-status-hint">
+                  Upload a newer version and it replaces the one we have. PDF, DOC, DOCX, RTF, TXT, or ODT up to 8MB.
+                </p>
+                <input type="file" accept={ACCEPTED_DOCUMENT_TYPES} onChange={handleFileChange} disabled={uploading} />
+                {resumeFile && <small>{resumeFile.name} ({formatFileSize(resumeFile.size)})</small>}
+                {resumeError && <span className="error-message">{resumeError}</span>}
+                <button type="submit" className="application-status-button" disabled={uploading || !resumeFile}>
+                  {uploading ? "Uploading..." : "Upload resume"}
+                </button>
+              </form>
+            )}
+
+            {details.canWithdraw && (
+              <div className="application-status-withdraw">
+                <h2>No longer interested?</h2>
+                <p className="application-status-hint">
+                  Withdrawing takes you out of the running for this role and deletes the documents you uploaded.
+                </p>
+                <button type="button" className="application-status-button danger" onClick={handleWithdraw} disabled={withdrawing}>
+                  {withdrawing ? "Withdrawing..." : "Withdraw application"}
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </section>
+  );
+};
+
+export default ApplicationStatus;
@@ -24,6 +24,12 @@ const truncateText = (value = "", maxLength = 220) => {
   return `${text.slice(0, maxLength - 1).trim()}...`;
 };
 
+// Matches the server: active, published and before the deadline
+const isJobOpen = (job, now = new Date()) => Boolean(job)
+  && job.isActive !== false
+  && (!job.publishAt || new Date(job.publishAt) <= now)
+  && (!job.applicationDeadline || new Date(job.applicationDeadline) > now);
+
 const getJobAppUrl = (job) => `${SITE_URL}/careers/${job._id}`;
 const getJobShareUrl = (job) => getJobAppUrl(job);
 const hasJobPoster = (job) => Boolean(job?.poster);
@@ -52,7 +58,7 @@ const buildJobStructuredData = (job) => ({
     name: "SAPTech Uganda",
     value: job._id
   },
-  datePosted: job.createdAt || undefined,
+  datePosted: job.publishAt || job.createdAt || undefined,
   validThrough: job.applicationDeadline || undefined,
   employmentType: normalizeEmploymentType(job.employmentType),
   hiringOrganization: {
@@ -118,14 +124,14 @@ const Careers = () => {
       if (!silent) setLoading(true);
       const data = await apiService.getPublicJobs();
       const jobList = data.data || [];
-      let activeJobs = jobList.filter((j) => j.isActive);
+      let activeJobs = jobList.filter((j) => isJobOpen(j));
 
       if (focusJobId && !activeJobs.some((job) => job._id === focusJobId)) {
         try {
           const singleJobResponse = await apiService.getJob(focusJobId);
           const sharedJob = singleJobResponse?.data;
 
-          if (sharedJob?.isActive !== false) {
+          if (isJobOpen(sharedJob)) {
             activeJobs = upsertById(activeJobs, sharedJob);
           } else {
             setError("This job is no longer accepting applications.");
@@ -181,7 +187,7 @@ const Careers = () => {
   const handleSave = (savedJob) => {
     if (savedJob?._id) {
       setJobs((prev) => upsertById(prev, savedJob, {
-        include: (job) => job.isActive !== false
+        include: (job) => isJobOpen(job)
       }));
     }
 
@@ -0,0 +1,306 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { Helmet } from '../utils/helmet.jsx';
+import apiService from '../services/api';
+import '../styles/CertificateVerify.css';
+
+const SESSION_KEY = 'certificate_portal_session';
+
+const TYPE_LABELS = {
+    winner: 'Winner',
+    finalist: 'Finalist',
+    participation: 'Participation'
+};
+
+const loadSession = () => {
+    try {
+        const session = JSON.parse(sessionStorage.getItem(SESSION_KEY));
+        return session && new Date(session.expiresAt) > new Date() ? session : null;
+    } catch {
+        return null;
+    }
+};
+
+const formatDate = (dateString) => new Date(dateString).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+});
+
+const CorrectionForm = ({ certificate, sessionToken, onSubmitted, onCancel }) => {
+    const [requestedName, setRequestedName] = useState(certificate.recipientName);
+    const [reason, setReason] = useState('');
+    const [submitting, setSubmitting] = useState(false);
+    const [error, setError] = useState(null);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSubmitting(true);
+        setError(null);
+        try {
+            const response = await apiService.requestCertificateCorrection(sessionToken, certificate.certificateId, { requestedName, reason });
+            onSubmitted(response.message);
+        } catch (err) {
+            console.error('❌ Correction request error:', err);
+            setError(err.response?.data?.message || err.message || 'Something went wrong. Please try again.');
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    return (
+        <form className="portal-correction-form" onSubmit={handleSubmit}>
+            <label>
+                Name as it should appear
+                <input type="text" value={requestedName} onChange={(e) => setRequestedName(e.target.value)} maxLength={100} required />
+            </label>
+            <label>
+                Reason (optional)
+                <textarea value={reason} onChange={(e) => setReason(e.target.value)} rows={2} maxLength={500} placeholder="e.g. My name was misspelled" />
+            </label>
+            {error && <p className="portal-error">{error}</p>}
+            <div className="portal-card-actions">
+                <button type="submit" className="btn-download" disabled={submitting}>
+                    {submitting ? 'Sending...' : 'Request Correction'}
+                </button>
+                <button type="button" className="btn-secondary" onClick={onCancel}>Cancel</button>
+            </div>
+        </form>
+    );
+};
+
+// Recipients sign in with a link emailed to the address their certificates
+// were issued to, then download, share or ask for corrections
+const CertificatePortal = () => {
+    const [searchParams, setSearchParams] = useSearchParams();
+    const [session, setSession] = useState(loadSession);
+    const [certificates, setCertificates] = useState([]);
+    const [email, setEmail] = useState('');
+    const [loading, setLoading] = useState(false);
+    const [notice, setNotice] = useState(null);
+    const [error, setError] = useState(null);
+    const [correcting, setCorrecting] = useState(null);
+    const [copied, setCopied] = useState(null);
+
+    const signOut = useCallback((message = null) => {
+        sessionStorage.removeItem(SESSION_KEY);
+        setSession(null);
+        setCertificates([]);
+        setError(message);
+    }, []);
+
+    const loadCertificates = useCallback(async (sessionToken) => {
+        setLoading(true);
+        try {
+            const response = await apiService.getPortalCertificates(sessionToken);
+            setCertificates(response.data?.certificates || []);
+        } catch (err) {
+            console.error('❌ Error loading portal certificates:', err);
+            if (!err.response || err.response.status === 401) {
+                signOut('Your session has expired. Request a new sign-in link.');
+            } else {
+                setError(err.response.data?.message || 'Something went wrong loading your certificates.');
+            }
+        } finally {
+            setLoading(false);
+        }
+    }, [signOut]);
+
+    // Exchange the token from the emailed link for a session, then drop it from the URL
+    useEffect(() => {
+        const token = searchParams.get('token');
+        if (!token) return;
+
+        setSearchParams({}, { replace: true });
+        setLoading(true);
+        apiService.openCertificatePortalSession(token)
+            .then(response => {
+                sessionStorage.setItem(SESSION_KEY, JSON.stringify(response.data));
+                setSession(response.data);
+                setError(null);
+            })
+            .catch(err => {
+                console.error('❌ Portal sign-in error:', err);
+                setError(err.response?.data?.message || 'This sign-in link could not be used. Request a new one.');
+            })
+            .finally(() => setLoading(false));
+    }, [searchParams, setSearchParams]);
+
+    useEffect(() => {
+        if (session) loadCertificates(session.sessionToken);
+    }, [session, loadCertificates]);
+
+    const handleRequestLink = async (e) => {
+        e.preventDefault();
+        setLoading(true);
+        setError(null);
+        setNotice(null);
+        try {
+            const response = await apiService.requestCertificatePortalLink(email);
+            setNotice(response.message);
+        } catch (err) {
+            console.error('❌ Portal link error:', err);
+            setError(err.response?.data?.message || 'Something went wrong. Please try again.');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleDownload = async (certificate) => {
+        try {
+            const blob = await apiService.downloadPortalCertificate(session.sessionToken, certificate.certificateId);
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `certificate-${certificate.certificateId}.pdf`;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (err) {
+            console.error('❌ Portal download error:', err);
+            setError(err.response?.data?.message || 'The certificate could not be downloaded. Please try again.');
+        }
+    };
+
+    const handleCopyLink = async (certificate) => {
+        try {
+            await navigator.clipboard.writeText(certificate.verificationUrl);
+            setCopied(certificate.certificateId);
+            setTimeout(() => setCopied(null), 2000);
+        } catch {
+            window.prompt('Copy this verification link:', certificate.verificationUrl);
+        }
+    };
+
+    const handleCorrectionSubmitted = (message) => {
+        setCorrecting(null);
+        setNotice(message);
+        loadCertificates(session.sessionToken);
+    };
+
+    return (
+        <div className="certificate-verify-container">
+            <Helmet>
+                <title>My Certificates - SAPTech Uganda</title>
+                <meta name="description" content="Download and share your SAPTech Awards certificates" />
+                <meta name="robots" content="noindex" />
+            </Helmet>
+
+            <div className="verify-success certificate-portal">
+                <div className="success-header">
+                    <h1>My Certificates</h1>
+                    <p className="success-subtitle">
+                        {session ? `Signed in as ${session.email}` : 'Download and share the certificates issued to you'}
+                    </p>
+                </div>
+
+                {notice && <p className="portal-notice">{notice}</p>}
+                {error && <p className="portal-error">{error}</p>}
+
+                {!session ? (
+                    <form className="portal-signin" onSubmit={handleRequestLink}>
+                        <p>Enter the email address your certificate was issued to and we'll send you a sign-in link.</p>
+                        <input
+                            type="email"
+                            value={email}
+                            onChange={(e) => setEmail(e.target.value)}
+                            placeholder="you@example.com"
+                            required
+                        />
+                        <button type="submit" className="btn-download" disabled={loading}>
+                            {loading ? 'Please wait...' : 'Email Me a Sign-in Link'}
+                        </button>
+                    </form>
+                ) : loading && certificates.length === 0 ? (
+                    <div className="verify-loading">
+                        <div className="loading-spinner"></div>
+                        <p>Loading your certificates...</p>
+                    </div>
+                ) : certificates.length === 0 ? (
+                    <p className="portal-empty">No certificates were found for this email.</p>
+                ) : (
+                    <div className="portal-certificates">
+                        {certificates.map(certificate => (
+                            <div key={certificate.certificateId} className={`certificate-card portal-card ${certificate.status}`}>
+                                <div className="certificate-header">
+                                    <h2>{certificate.recipientName}</h2>
+                                    <span className={`certificate-badge badge-${certificate.type}`}>
+                                        {TYPE_LABELS[certificate.type] || certificate.type}
+                                    </span>
+                                </div>
+
+                                <div className="certificate-details">
+                                    <div className="detail-row">
+                                        <span className="detail-label">Award Category:</span>
+                                        <span className="detail-value">{certificate.categoryName}</span>
+                                    </div>
+                                    <div className="detail-row">
+                                        <span className="detail-label">Edition:</span>
+                                        <span className="detail-value">{certificate.edition?.name || certificate.awardYear}</span>
+                                    </div>
+                                    <div className="detail-row">
+                                        <span className="detail-label">Certificate ID:</span>
+                                        <span className="detail-value certificate-id">{certificate.certificateId}</span>
+                                    </div>
+                                    <div className="detail-row">
+                                        <span className="detail-label">Issue Date:</span>
+                                        <span className="detail-value">{formatDate(certificate.issueDate)}</span>
+                                    </div>
+                                </div>
+
+                                {certificate.status !== 'active' ? (
+                                    <p className="portal-status">
+                                        This certificate is {certificate.status}.
+                                        {certificate.supersededBy && <> It was replaced by <strong>{certificate.supersededBy}</strong>.</>}
+                                    </p>
+                                ) : correcting === certificate.certificateId ? (
+                                    <CorrectionForm
+                                        certificate={certificate}
+                                        sessionToken={session.sessionToken}
+                                        onSubmitted={handleCorrectionSubmitted}
+                                        onCancel={() => setCorrecting(null)}
+                                    />
+                                ) : (
+                                    <>
+                                        {certificate.pendingCorrection && (
+                                            <p className="portal-status">
+                                                Correction to <strong>{certificate.pendingCorrection.requestedName}</strong> is waiting for review.
+                                            </p>
+                                        )}
+                                        <div className="portal-card-actions">
+                                            <button className="btn-download" onClick={() => handleDownload(certificate)}>
+                                                <span className="btn-icon">⬇</span>
+                                                Download
+                                            </button>
+                                            <button className="btn-secondary" onClick={() => handleCopyLink(certificate)}>
+                                                {copied === certificate.certificateId ? 'Link Copied' : 'Copy Share Link'}
+                                            </button>
+                                            <a href={certificate.verificationUrl} target="_blank" rel="noopener noreferrer" className="btn-secondary">
+                                                View
+                                            </a>
+                                            {!certificate.pendingCorrection && (
+                                                <button className="btn-secondary" onClick={() => setCorrecting(certificate.certificateId)}>
+                                                    Fix My Name
+                                                </button>
+                                            )}
+                                        </div>
+                                    </>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                )}
+
+                <div className="verification-footer">
+                    {session && (
+                        <button className="btn-secondary" onClick={() => signOut()}>Sign Out</button>
+                    )}
+                    <p className="footer-security">
+                        For assistance, contact <a href="mailto:support@saptechug.com">support@saptechug.com</a>
+                    </p>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default CertificatePortal;
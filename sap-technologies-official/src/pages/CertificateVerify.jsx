@@ -4,12 +4,76 @@ import { Helmet } from '../utils/helmet.jsx';
 import apiService from '../services/api';
 import '../styles/CertificateVerify.css';
 
+const PDF_VERDICTS = {
+    authentic: { icon: '✓', title: 'PDF is authentic' },
+    modified: { icon: '!', title: 'PDF has been edited' },
+    tampered: { icon: '✗', title: 'PDF has been tampered with' },
+    revoked: { icon: '!', title: 'Certificate revoked' },
+    expired: { icon: '!', title: 'Certificate expired' },
+    unrecognized: { icon: '?', title: 'PDF not recognized' },
+    invalid: { icon: '✗', title: 'Not a certificate PDF' }
+};
+
+// Lets employers who received a certificate by email check the file itself
+// against the issued record and its digital signature
+const PdfCheck = ({ certificateId }) => {
+    const [checking, setChecking] = useState(false);
+    const [result, setResult] = useState(null);
+
+    const handleFile = async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        setChecking(true);
+        setResult(null);
+        try {
+            setResult(await apiService.verifyCertificatePdf(file));
+        } catch (err) {
+            console.error('❌ PDF verification error:', err);
+            setResult(err.response?.data?.verdict
+                ? err.response.data
+                : { verdict: 'invalid', message: err.response?.data?.message || 'Something went wrong while checking the PDF. Please try again.' });
+        } finally {
+            setChecking(false);
+            e.target.value = '';
+        }
+    };
+
+    const verdict = result && (PDF_VERDICTS[result.verdict] || PDF_VERDICTS.unrecognized);
+    const otherCertificate = result?.certificate && certificateId && result.certificate.certificateId !== certificateId;
+
+    return (
+        <div className="pdf-check">
+            <h3>Received this certificate as a PDF?</h3>
+            <p>Upload it to confirm it hasn't been edited since it was issued.</p>
+            <label className="btn-secondary pdf-check-upload">
+                {checking ? 'Checking...' : 'Check PDF'}
+                <input type="file" accept="application/pdf,.pdf" onChange={handleFile} disabled={checking} hidden />
+            </label>
+
+            {result && (
+                <div className={`pdf-check-result pdf-check-${result.verdict}`}>
+                    <strong>{verdict.icon} {verdict.title}</strong>
+                    <p>{result.message}</p>
+                    {otherCertificate && (
+                        <p>
+                            This PDF belongs to certificate{' '}
+                            <a href={`/verify/${result.certificate.certificateId}`}>{result.certificate.certificateId}</a>, not {certificateId}.
+                        </p>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
 const CertificateVerify = () => {
     const { certificateId } = useParams();
     const [loading, setLoading] = useState(true);
     const [certificate, setCertificate] = useState(null);
     const [error, setError] = useState(null);
     const [isValid, setIsValid] = useState(false);
+    const [revokedCertificate, setRevokedCertificate] = useState(null);
 
     useEffect(() => {
         verifyCertificate();
@@ -18,15 +82,21 @@ const CertificateVerify = () => {
     const verifyCertificate = async () => {
         setLoading(true);
         setError(null);
+        setRevokedCertificate(null);
         
         try {
             console.log(`🔍 Verifying certificate: ${certificateId}`);
-            const response = await apiService.verifyCertificate(certificateId);
+            const response = await apiService.verifyCertificate(certificateId, document.referrer);
             
             if (response.success && response.valid) {
                 setCertificate(response.certificate);
                 setIsValid(true);
                 console.log('✅ Certificate verified successfully');
+            } else if (response.success && response.certificate) {
+                // Certificate exists but has been revoked or has expired
+                setRevokedCertificate(response.certificate);
+                setIsValid(false);
+                console.log(`⚠️ Certificate is ${response.certificate.status}`);
             } else {
                 setError(response.message || "We couldn't find a valid certificate with that ID");
                 setIsValid(false);
@@ -48,6 +118,23 @@ const CertificateVerify = () => {
         }
     };
 
+    // Open Badges links so recipients can add the award to wallets and LinkedIn
+    const badgeUrl = `${apiService.baseURL}/api/certificates/${encodeURIComponent(certificateId)}/badge`;
+
+    const getLinkedInUrl = () => {
+        const issued = new Date(certificate.issueDate);
+        const params = new URLSearchParams({
+            startTask: 'CERTIFICATION_NAME',
+            name: `SAPTech Awards ${certificate.awardYear} ${getTypeLabel(certificate.type)} - ${certificate.categoryName}`,
+            organizationName: 'SAPTech Uganda',
+            issueYear: String(issued.getFullYear()),
+            issueMonth: String(issued.getMonth() + 1),
+            certUrl: metaUrl,
+            certId: certificate.certificateId
+        });
+        return `https://www.linkedin.com/profile/add?${params}`;
+    };
+
     const formatDate = (dateString) => {
         const date = new Date(dateString);
         return date.toLocaleDateString('en-US', { 
@@ -101,6 +188,57 @@ const CertificateVerify = () => {
         );
     }
 
+    if (revokedCertificate) {
+        const isRevoked = revokedCertificate.status === 'revoked';
+
+        return (
+            <div className="certificate-verify-container">
+                <Helmet>
+                    <title>Certificate {isRevoked ? 'Revoked' : 'Expired'} - SAPTech Uganda</title>
+                    <meta name="description" content="This certificate is no longer valid" />
+                    <meta name="robots" content="noindex" />
+                </Helmet>
+                <div className="verify-error verify-revoked">
+                    <div className="error-icon">!</div>
+                    <h1>Certificate {isRevoked ? 'Revoked' : 'Expired'}</h1>
+                    <p className="error-message">
+                        This certificate was issued to <strong>{revokedCertificate.recipientName}</strong> but is no longer valid.
+                    </p>
+                    <div className="error-details">
+                        <p><strong>Certificate ID:</strong> {revokedCertificate.certificateId}</p>
+                        <p><strong>Award Category:</strong> {revokedCertificate.categoryName} ({revokedCertificate.awardYear})</p>
+                        {isRevoked && revokedCertificate.revokedAt && (
+                            <p><strong>Revoked on:</strong> {formatDate(revokedCertificate.revokedAt)}</p>
+                        )}
+                        {isRevoked && revokedCertificate.revocationReason && (
+                            <p><strong>Reason:</strong> {revokedCertificate.revocationReason}</p>
+                        )}
+                        {revokedCertificate.supersededBy && (
+                            <p className="replacement-notice">
+                                <strong>Replaced by:</strong>{' '}
+                                <a href={`/verify/${revokedCertificate.supersededBy}`}>{revokedCertificate.supersededBy}</a>
+                            </p>
+                        )}
+                    </div>
+                    <div className="error-actions">
+                        {revokedCertificate.supersededBy && (
+                            <a href={`/verify/${revokedCertificate.supersededBy}`} className="btn-retry">
+                                View Current Certificate
+                            </a>
+                        )}
+                        <a href="/" className="btn-home">
+                            Return Home
+                        </a>
+                    </div>
+                    <div className="contact-info">
+                        <p>For assistance, please contact us at:</p>
+                        <a href="mailto:support@saptechug.com">support@saptechug.com</a>
+                    </div>
+                </div>
+            </div>
+        );
+    }
+
     if (error || !isValid) {
         return (
             <div className="certificate-verify-container">
@@ -200,6 +338,13 @@ const CertificateVerify = () => {
                             <span className="detail-value">{certificate.awardYear}</span>
                         </div>
 
+                        {certificate.supersedes && (
+                            <div className="detail-row">
+                                <span className="detail-label">Replaces:</span>
+                                <span className="detail-value certificate-id">{certificate.supersedes}</span>
+                            </div>
+                        )}
+
                         {certificate.recipientEmail && (
                             <div className="detail-row">
                                 <span className="detail-label">Recipient Email:</span>
@@ -237,14 +382,32 @@ const CertificateVerify = () => {
                             Return Home
                         </a>
                     </div>
+
+                    <div className="badge-actions">
+                        <img src={`${badgeUrl}/image?baked=false`} alt={`${getTypeLabel(certificate.type)} badge`} className="badge-preview" />
+                        <div className="badge-links">
+                            <p>Add this award to your digital credential wallet or LinkedIn profile.</p>
+                            <a href={`${badgeUrl}/image?download=1`} className="btn-secondary">
+                                🏅 Download Open Badge
+                            </a>
+                            <a href={getLinkedInUrl()} target="_blank" rel="noopener noreferrer" className="btn-secondary">
+                                Add to LinkedIn
+                            </a>
+                            <a href={badgeUrl} target="_blank" rel="noopener noreferrer" className="badge-json-link">
+                                View badge assertion (JSON)
+                            </a>
+                        </div>
+                    </div>
                 </div>
 
+                <PdfCheck certificateId={certificate.certificateId} />
+
                 <div className="verification-footer">
                     <p className="footer-text">
                         This certificate was issued by <strong>SAPTech Uganda</strong> and has been verified as authentic.
                     </p>
                     <p className="footer-security">
-                        🔒 Secured and verified through blockchain-backed authentication
+                        🔒 Every certificate is digitally signed so edited copies can be detected
                     </p>
                 </div>
             </div>
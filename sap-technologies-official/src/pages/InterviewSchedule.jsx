@@ -0,0 +1,155 @@
+import { useState, useEffect, useCallback } from "react";
+import { useParams } from "react-router-dom";
+import SEO from "../components/SEO";
+import apiService from "../services/api";
+import { showAlert } from "../utils/alerts.jsx";
+import "../styles/InterviewSchedule.css";
+
+const MODE_LABELS = {
+  "in-person": "In person",
+  video: "Video call",
+  phone: "Phone call"
+};
+
+const formatInTimezone = (value, timeZone, options = {}) => new Date(value).toLocaleString([], {
+  weekday: "long",
+  day: "numeric",
+  month: "long",
+  hour: "2-digit",
+  minute: "2-digit",
+  timeZone,
+  ...options
+});
+
+// Applicants open this page from the interview email to pick a time, then come
+// back to it for the details and the calendar invite
+const InterviewSchedule = () => {
+  const { token } = useParams();
+  const [details, setDetails] = useState(null);
+  const [error, setError] = useState("");
+  const [bookingSlot, setBookingSlot] = useState(null);
+
+  const loadInterview = useCallback(async () => {
+    try {
+      const response = await apiService.getInterviewByToken(token);
+      setDetails(response.data);
+      setError("");
+    } catch (err) {
+      setError(err.response?.data?.message || "This interview link is invalid or has expired.");
+    }
+  }, [token]);
+
+  useEffect(() => {
+    loadInterview();
+  }, [loadInterview]);
+
+  const handleSelect = async (slot) => {
+    const { isConfirmed } = await showAlert.confirm(
+      "Book this time?",
+      formatInTimezone(slot.start, details.interview.timezone, { timeZoneName: "short" }),
+      { confirmButtonText: "Book interview" }
+    );
+    if (!isConfirmed) return;
+
+    setBookingSlot(slot._id);
+    try {
+      const response = await apiService.selectInterviewSlot(token, slot._id);
+      setDetails(response.data);
+      showAlert.success("Interview booked", response.message);
+    } catch (err) {
+      await showAlert.error("Couldn't book this time", err.response?.data?.message || "Please try again.");
+      await loadInterview();
+    } finally {
+      setBookingSlot(null);
+    }
+  };
+
+  const interview = details?.interview;
+  const localTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+  return (
+    <section className="interview-schedule-page">
+      <SEO title="Interview | SAPTech Uganda" robots="noindex, nofollow" />
+
+      <div className="interview-schedule-card">
+        {error ? (
+          <>
+            <h1>Interview link unavailable</h1>
+            <p>{error}</p>
+            <p>If you think this is a mistake, reply to the email you received and our team will help.</p>
+          </>
+        ) : !details ? (
+          <p className="interview-schedule-loading">Loading your interview...</p>
+        ) : (
+          <>
+            <span className="interview-schedule-eyebrow">{details.job?.title || "SAPTech Uganda"}</span>
+            <h1>{interview.title}</h1>
+            <p>Hello {details.applicantName},</p>
+
+            <ul className="interview-schedule-facts">
+              <li><strong>Format:</strong> {MODE_LABELS[interview.mode] || interview.mode}</li>
+              <li><strong>Duration:</strong> {interview.durationMinutes} minutes</li>
+              {interview.location && <li><strong>Location:</strong> {interview.location}</li>}
+            </ul>
+
+            {interview.notes && <p className="interview-schedule-notes">{interview.notes}</p>}
+
+            {interview.status === "proposed" && (
+              <>
+                <h2>Pick a time</h2>
+                <p className="interview-schedule-hint">
+                  Times are shown in {interview.timezone}
+                  {localTimezone && localTimezone !== interview.timezone ? `; your time is shown underneath (${localTimezone})` : ""}.
+                </p>
+                <div className="interview-slot-list">
+                  {interview.slots.map(slot => (
+                    <button
+                      key={slot._id}
+                      className="interview-slot"
+                      onClick={() => handleSelect(slot)}
+                      disabled={!slot.available || Boolean(bookingSlot)}
+                    >
+                      <span>{formatInTimezone(slot.start, interview.timezone)}</span>
+                      {localTimezone && localTimezone !== interview.timezone && (
+                        <small>{formatInTimezone(slot.start, localTimezone)}</small>
+                      )}
+                      {!slot.available && <small>No longer available</small>}
+                      {bookingSlot === slot._id && <small>Booking...</small>}
+                    </button>
+                  ))}
+                </div>
+              </>
+            )}
+
+            {interview.status === "scheduled" && (
+              <div className="interview-schedule-booked">
+                <h2>You're booked</h2>
+                <p className="interview-schedule-time">
+                  {formatInTimezone(interview.scheduledStart, interview.timezone, { timeZoneName: "short" })}
+                </p>
+                {interview.meetingUrl && (
+                  <p>
+                    <a href={interview.meetingUrl} target="_blank" rel="noopener noreferrer">Join the interview</a>
+                  </p>
+                )}
+                <a className="interview-schedule-calendar" href={apiService.getInterviewCalendarUrl(token)}>
+                  Add to calendar (.ics)
+                </a>
+                <p className="interview-schedule-hint">Need a different time? Reply to your confirmation email.</p>
+              </div>
+            )}
+
+            {interview.status === "cancelled" && (
+              <div className="interview-schedule-cancelled">
+                <h2>This interview was cancelled</h2>
+                {interview.cancelReason && <p>{interview.cancelReason}</p>}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </section>
+  );
+};
+
+export default InterviewSchedule;
@@ -0,0 +1,205 @@
+import { useState, useEffect, useCallback } from "react";
+import { useSearchParams } from "react-router-dom";
+import SEO from "../components/SEO";
+import apiService from "../services/api";
+import { showAlert } from "../utils/alerts.jsx";
+import { getImageUrl } from "../utils/imageUrl";
+import "../styles/JudgingPanel.css";
+
+// Seed a scorecard draft from the judge's saved score, if any
+const buildDraft = (nomination) => ({
+  scores: Object.fromEntries(
+    (nomination.myScore?.scores || []).map(entry => [entry.criterion, entry.score])
+  ),
+  comment: nomination.myScore?.comment || ""
+});
+
+const JudgingPanel = () => {
+  const [searchParams] = useSearchParams();
+  const edition = searchParams.get("edition") || "";
+  const [categories, setCategories] = useState([]);
+  const [progress, setProgress] = useState({ scored: 0, total: 0 });
+  const [drafts, setDrafts] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [savingId, setSavingId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadNominations = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await apiService.getJudgingNominations(edition ? { edition } : {});
+      const judgingCategories = response.data?.categories || [];
+      setCategories(judgingCategories);
+      setProgress(response.data?.progress || { scored: 0, total: 0 });
+      setDrafts(Object.fromEntries(
+        judgingCategories.flatMap(category => category.nominations.map(nomination => [nomination._id, buildDraft(nomination)]))
+      ));
+    } catch (loadError) {
+      console.error("❌ Error loading judging nominations:", loadError);
+      setError(
+        loadError.response?.status === 401 || loadError.response?.status === 403
+          ? "The judging panel is only available to signed-in judges."
+          : loadError.message || "We couldn't load the nominations to judge."
+      );
+    } finally {
+      setLoading(false);
+    }
+  }, [edition]);
+
+  useEffect(() => {
+    loadNominations();
+  }, [loadNominations]);
+
+  const updateDraft = (nominationId, changes) => {
+    setDrafts(prev => ({ ...prev, [nominationId]: { ...prev[nominationId], ...changes } }));
+  };
+
+  const updateScore = (nominationId, criterionId, value) => {
+    setDrafts(prev => ({
+      ...prev,
+      [nominationId]: {
+        ...prev[nominationId],
+        scores: { ...prev[nominationId].scores, [criterionId]: value }
+      }
+    }));
+  };
+
+  const handleSave = async (category, nomination) => {
+    const draft = drafts[nomination._id];
+    const missing = category.rubric.find(criterion => draft.scores[criterion._id] === undefined || draft.scores[criterion._id] === "");
+    if (missing) {
+      showAlert.warning("Score every criterion", `Please give "${missing.name}" a score before saving.`);
+      return;
+    }
+
+    setSavingId(nomination._id);
+    try {
+      const response = await apiService.submitJudgeScore(nomination._id, {
+        scores: category.rubric.map(criterion => ({
+          criterion: criterion._id,
+          score: Number(draft.scores[criterion._id])
+        })),
+        comment: draft.comment
+      });
+      const savedScore = response.data?.score;
+      const wasScored = Boolean(nomination.myScore);
+
+      setCategories(prev => prev.map(item => ({
+        ...item,
+        nominations: item.nominations.map(entry => (
+          entry._id === nomination._id ? { ...entry, myScore: savedScore } : entry
+        ))
+      })));
+      if (!wasScored) {
+        setProgress(prev => ({ ...prev, scored: prev.scored + 1 }));
+      }
+      showAlert.success("Score saved", `${nomination.nomineeName}: ${savedScore?.total ?? 0}/100`, { timer: 2000, showConfirmButton: false });
+    } catch (saveError) {
+      console.error("❌ Error saving judge score:", saveError);
+      showAlert.error(
+        "Couldn't save score",
+        saveError.response?.data?.message || saveError.message || "Something went wrong saving the score.",
+        { timer: 5000, showConfirmButton: true }
+      );
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  return (
+    <div className="judging-panel">
+      <SEO title="Judging Panel | SAPTech Awards" description="Score award nominations against each category's rubric." robots="noindex, nofollow" />
+
+      <div className="judging-header">
+        <h1>⚖️ Judging Panel</h1>
+        {!loading && !error && (
+          <p className="judging-progress">
+            {progress.scored} of {progress.total} nominations scored
+          </p>
+        )}
+      </div>
+
+      {loading ? (
+        <div className="judging-state">Loading nominations...</div>
+      ) : error ? (
+        <div className="judging-state judging-error">{error}</div>
+      ) : categories.length === 0 ? (
+        <div className="judging-state">There are no categories to judge yet.</div>
+      ) : (
+        categories.map(category => (
+          <section key={category._id} className="judging-category">
+            <h2>{category.icon || "🏆"} {category.name}</h2>
+
+            {category.rubric.length === 0 ? (
+              <p className="judging-note">This category has no judging rubric — it is decided by public votes.</p>
+            ) : category.nominations.length === 0 ? (
+              <p className="judging-note">No approved nominations in this category yet.</p>
+            ) : (
+              <div className="judging-cards">
+                {category.nominations.map(nomination => (
+                  <article key={nomination._id} className={`judging-card ${nomination.myScore ? "scored" : ""}`}>
+                    <div className="judging-nominee">
+                      {nomination.nomineePhoto && (
+                        <img src={getImageUrl(nomination.nomineePhoto)} alt={nomination.nomineeName} />
+                      )}
+                      <div>
+                        <h3>{nomination.nomineeName}</h3>
+                        <p>
+                          {[nomination.nomineeTitle, nomination.nomineeCompany, nomination.nomineeCountry].filter(Boolean).join(" · ")}
+                        </p>
+                      </div>
+                      {nomination.myScore && <span className="judging-total">{nomination.myScore.total}/100</span>}
+                    </div>
+
+                    <details className="judging-details">
+                      <summary>Read nomination</summary>
+                      <p><strong>Reason:</strong> {nomination.nominationReason}</p>
+                      {nomination.achievements && <p><strong>Achievements:</strong> {nomination.achievements}</p>}
+                      {nomination.impactDescription && <p><strong>Impact:</strong> {nomination.impactDescription}</p>}
+                    </details>
+
+                    <div className="judging-rubric">
+                      {category.rubric.map(criterion => (
+                        <label key={criterion._id} title={criterion.description || ""}>
+                          <span>{criterion.name} <small>(0–{criterion.maxScore})</small></span>
+                          <input
+                            type="number"
+                            min="0"
+                            max={criterion.maxScore}
+                            step="0.5"
+                            value={drafts[nomination._id]?.scores[criterion._id] ?? ""}
+                            onChange={(e) => updateScore(nomination._id, criterion._id, e.target.value)}
+                          />
+                        </label>
+                      ))}
+                    </div>
+
+                    <textarea
+                      rows="2"
+                      maxLength="1000"
+                      placeholder="Comments for the panel (optional)"
+                      value={drafts[nomination._id]?.comment || ""}
+                      onChange={(e) => updateDraft(nomination._id, { comment: e.target.value })}
+                    />
+
+                    <button
+                      type="button"
+                      className="judging-save-btn"
+                      onClick={() => handleSave(category, nomination)}
+                      disabled={savingId === nomination._id}
+                    >
+                      {savingId === nomination._id ? "⏳ Saving..." : nomination.myScore ? "💾 Update Score" : "💾 Save Score"}
+                    </button>
+                  </article>
+                ))}
+              </div>
+            )}
+          </section>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default JudgingPanel;
@@ -0,0 +1,220 @@
+import { useState, useEffect, useCallback } from "react";
+import { useParams } from "react-router-dom";
+import SEO from "../components/SEO";
+import apiService from "../services/api";
+import "../styles/PaymentPage.css";
+
+const POLL_INTERVAL_MS = 4000;
+
+const PAYMENT_CONTENT = {
+  pending: { label: "Check your phone", text: "Approve the payment request on your phone and enter your PIN. This page updates by itself." },
+  successful: { label: "Payment received", text: "Thank you. A receipt is on its way to your email." },
+  failed: { label: "Payment not completed", text: "You can try again below." },
+  expired: { label: "Request expired", text: "The request wasn't approved in time. You can send a new one below." },
+  refunded: { label: "Payment refunded", text: "This payment was sent back to your mobile money account." }
+};
+
+const formatMoney = (amount, currency) => `${currency} ${Number(amount || 0).toLocaleString("en-US", { maximumFractionDigits: 2 })}`;
+
+const formatDate = (value) => new Date(value).toLocaleDateString([], {
+  day: "numeric",
+  month: "long",
+  year: "numeric"
+});
+
+// Customers open this page from the "pay online" link in an invoice or order
+// email, choose MTN MoMo or Airtel Money and approve the request on their phone
+const PaymentPage = () => {
+  const { token } = useParams();
+  const [checkout, setCheckout] = useState(null);
+  const [payment, setPayment] = useState(null);
+  const [provider, setProvider] = useState("");
+  const [phone, setPhone] = useState("");
+  const [error, setError] = useState("");
+  const [formError, setFormError] = useState("");
+  const [sending, setSending] = useState(false);
+
+  const loadCheckout = useCallback(async () => {
+    try {
+      const response = await apiService.getPaymentCheckout(token);
+      setCheckout(response.data);
+      setPayment(response.data.payment);
+      setProvider((current) => current || response.data.providers[0]?.name || "");
+      setError("");
+    } catch (err) {
+      setError(err.response?.data?.message || "This payment link is invalid.");
+    }
+  }, [token]);
+
+  useEffect(() => {
+    loadCheckout();
+  }, [loadCheckout]);
+
+  // Follow a pending request until the provider settles it
+  useEffect(() => {
+    if (payment?.status !== "pending") return undefined;
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await apiService.getPaymentStatus(payment.reference);
+        const updated = response.data.payment;
+        setPayment(updated);
+        if (updated.status !== "pending") loadCheckout();
+      } catch {
+        // Keep the last known state and try again on the next tick
+        setPayment((current) => ({ ...current }));
+      }
+    }, POLL_INTERVAL_MS);
+
+    return () => clearTimeout(timer);
+  }, [payment, loadCheckout]);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (!provider) { setFormError("Choose how you'd like to pay."); return; }
+    if (!phone.trim()) { setFormError("Enter the mobile money number to charge."); return; }
+
+    setSending(true);
+    setFormError("");
+    try {
+      const response = await apiService.startCheckoutPayment(token, { provider, phone });
+      setPayment(response.data.payment);
+    } catch (err) {
+      const existing = err.response?.data?.data?.payment;
+      if (existing) setPayment(existing);
+      setFormError(err.response?.data?.message || "The payment couldn't be started. Please try again.");
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const paymentContent = payment ? PAYMENT_CONTENT[payment.status] : null;
+  const waiting = payment?.status === "pending";
+  const label = checkout?.type === "invoice" ? "Invoice" : "Order";
+
+  return (
+    <section className="payment-page">
+      <SEO title="Pay online | SAPTech Uganda" robots="noindex, nofollow" />
+
+      <div className="payment-card">
+        {error ? (
+          <>
+            <h1>Payment link unavailable</h1>
+            <p>{error}</p>
+            <p>If you think this is a mistake, reply to the email you got the link in and our team will help.</p>
+          </>
+        ) : !checkout ? (
+          <p className="payment-hint">Loading payment details...</p>
+        ) : (
+          <>
+            <span className="payment-eyebrow">{label} {checkout.number}</span>
+            <h1>{checkout.title}</h1>
+            <p>
+              For {checkout.customerName}
+              {checkout.dueDate && checkout.payable ? `. Due ${formatDate(checkout.dueDate)}` : ""}.
+            </p>
+
+            <div className="payment-table-wrap">
+              <table className="payment-table">
+                <thead>
+                  <tr>
+                    <th>Description</th>
+                    <th>Qty</th>
+                    <th>Amount</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {checkout.items.map((item, index) => (
+                    <tr key={`${item.description}-${index}`}>
+                      <td>{item.description}</td>
+                      <td>{item.quantity}</td>
+                      <td>{item.lineTotal === null || item.lineTotal === undefined ? "-" : formatMoney(item.lineTotal, checkout.currency)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <dl className="payment-totals">
+              <dt>Total</dt>
+              <dd>{formatMoney(checkout.total, checkout.currency)}</dd>
+              <dt className="payment-due">Amount to pay</dt>
+              <dd className="payment-due">{formatMoney(checkout.amountDue, checkout.currency)}</dd>
+            </dl>
+
+            {payment && paymentContent && (
+              <div className={`payment-status status-${payment.status}`} role="status" aria-live="polite">
+                <span className="payment-status-label">{paymentContent.label}</span>
+                <p>
+                  {payment.status === "failed" && payment.failureReason ? `${payment.failureReason}. ` : ""}
+                  {paymentContent.text}
+                </p>
+                <small>
+                  {formatMoney(payment.amount, payment.currency)} with {payment.providerLabel}
+                  {payment.providerTransactionId ? ` - transaction ID ${payment.providerTransactionId}` : ""}
+                </small>
+              </div>
+            )}
+
+            {checkout.paid && !waiting && (
+              <p className="payment-hint">This {label.toLowerCase()} is paid. There's nothing more to pay.</p>
+            )}
+
+            {!checkout.paid && !checkout.payable && !waiting && (
+              <p className="payment-hint">
+                This {label.toLowerCase()} can't be paid online right now. Reply to our email and our team will help.
+              </p>
+            )}
+
+            {checkout.payable && checkout.providers.length === 0 && (
+              <p className="payment-hint">Online payment isn't available for {checkout.currency} yet. Reply to our email for other ways to pay.</p>
+            )}
+
+            {checkout.payable && checkout.providers.length > 0 && !waiting && (
+              <form className="payment-form" onSubmit={handleSubmit}>
+                <fieldset className="payment-providers">
+                  <legend>Pay with</legend>
+                  {checkout.providers.map((item) => (
+                    <label key={item.name} className={`payment-provider ${provider === item.name ? "selected" : ""}`}>
+                      <input
+                        type="radio"
+                        name="provider"
+                        value={item.name}
+                        checked={provider === item.name}
+                        onChange={() => setProvider(item.name)}
+                      />
+                      {item.label}
+                    </label>
+                  ))}
+                </fieldset>
+
+                <label className="payment-phone">
+                  Mobile money number
+                  <input
+                    type="tel"
+                    inputMode="tel"
+                    autoComplete="tel"
+                    placeholder="e.g. 0772 123456"
+                    value={phone}
+                    onChange={(event) => setPhone(event.target.value)}
+                    maxLength={20}
+                  />
+                </label>
+
+                {formError && <p className="payment-error">{formError}</p>}
+
+                <div className="payment-actions">
+                  <button type="submit" className="payment-button" disabled={sending}>
+                    {sending ? "Sending request..." : `Pay ${formatMoney(checkout.amountDue, checkout.currency)}`}
+                  </button>
+                </div>
+              </form>
+            )}
+          </>
+        )}
+      </div>
+    </section>
+  );
+};
+
+export default PaymentPage;
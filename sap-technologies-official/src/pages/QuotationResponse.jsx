@@ -0,0 +1,193 @@
+import { useState, useEffect, useCallback } from "react";
+import { useParams } from "react-router-dom";
+import SEO from "../components/SEO";
+import apiService from "../services/api";
+import { showAlert } from "../utils/alerts.jsx";
+import "../styles/QuotationResponse.css";
+
+const STATUS_CONTENT = {
+  sent: { label: "Awaiting your response", text: "Review the quotation below, then accept or decline it." },
+  accepted: { label: "Accepted", text: "Thank you for accepting. Our team will contact you about the next steps." },
+  declined: { label: "Declined", text: "You declined this quotation. Reply to our email if you'd like a revised one." },
+  expired: { label: "Expired", text: "This quotation is past its validity date. Contact us and we'll send an updated one." },
+  cancelled: { label: "Withdrawn", text: "This quotation was withdrawn. Contact us if you have any questions." }
+};
+
+const formatMoney = (amount, currency) => `${currency} ${Number(amount || 0).toLocaleString("en-US", { maximumFractionDigits: 2 })}`;
+
+const formatDate = (value) => new Date(value).toLocaleDateString([], {
+  day: "numeric",
+  month: "long",
+  year: "numeric"
+});
+
+// Customers open this page from the link in their quotation email to review
+// the quotation, download the PDF and accept or decline it
+const QuotationResponse = () => {
+  const { token } = useParams();
+  const [quotation, setQuotation] = useState(null);
+  const [error, setError] = useState("");
+  const [responding, setResponding] = useState(false);
+
+  const loadQuotation = useCallback(async () => {
+    try {
+      const response = await apiService.getPublicQuotation(token);
+      setQuotation(response.data.quotation);
+      setError("");
+    } catch (err) {
+      setError(err.response?.data?.message || "This quotation link is invalid.");
+    }
+  }, [token]);
+
+  useEffect(() => {
+    loadQuotation();
+  }, [loadQuotation]);
+
+  const respond = async (decision) => {
+    const accepting = decision === "accept";
+    const { isConfirmed, value } = await showAlert.confirm(
+      accepting ? "Accept this quotation?" : "Decline this quotation?",
+      accepting
+        ? `You're accepting ${quotation.quotationNumber} for ${formatMoney(quotation.total, quotation.currency)}. You can add a note for our team.`
+        : "You can tell us why if you like. It helps us improve future quotations.",
+      {
+        icon: accepting ? "question" : "warning",
+        input: "textarea",
+        inputPlaceholder: accepting ? "Note (optional), e.g. preferred start date" : "Reason (optional)",
+        inputAttributes: { maxlength: 1000 },
+        confirmButtonText: accepting ? "Accept quotation" : "Decline quotation",
+        confirmButtonColor: accepting ? "#059669" : "#ef4444",
+        cancelButtonText: "Go back"
+      }
+    );
+    if (!isConfirmed) return;
+
+    setResponding(true);
+    try {
+      const response = await apiService.respondToQuotation(token, decision, (value || "").trim());
+      setQuotation(response.data.quotation);
+      showAlert.success(accepting ? "Quotation accepted" : "Quotation declined", response.message);
+    } catch (err) {
+      await showAlert.error("Couldn't record your response", err.response?.data?.message || "Please try again.");
+      await loadQuotation();
+    } finally {
+      setResponding(false);
+    }
+  };
+
+  const status = STATUS_CONTENT[quotation?.status] || STATUS_CONTENT.sent;
+
+  return (
+    <section className="quotation-page">
+      <SEO title="Your quotation | SAPTech Uganda" robots="noindex, nofollow" />
+
+      <div className="quotation-card">
+        {error ? (
+          <>
+            <h1>Quotation link unavailable</h1>
+            <p>{error}</p>
+            <p>If you think this is a mistake, reply to the quotation email and our team will help.</p>
+          </>
+        ) : !quotation ? (
+          <p className="quotation-hint">Loading your quotation...</p>
+        ) : (
+          <>
+            <span className="quotation-eyebrow">Quotation {quotation.quotationNumber}</span>
+            <h1>{quotation.title}</h1>
+            <p>
+              Prepared for {quotation.customerName}
+              {quotation.companyName ? `, ${quotation.companyName}` : ""}
+              {quotation.sentAt ? ` on ${formatDate(quotation.sentAt)}` : ""}.
+              Valid until <strong>{formatDate(quotation.validUntil)}</strong>.
+            </p>
+
+            <div className={`quotation-status status-${quotation.status}`}>
+              <span className="quotation-status-label">{status.label}</span>
+              <p>{status.text}</p>
+            </div>
+
+            <div className="quotation-table-wrap">
+              <table className="quotation-table">
+                <thead>
+                  <tr>
+                    <th>Description</th>
+                    <th>Qty</th>
+                    <th>Unit price</th>
+                    <th>Amount</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {quotation.items.map((item, index) => (
+                    <tr key={`${item.description}-${index}`}>
+                      <td>
+                        <strong>{item.description}</strong>
+                        {item.details && <small>{item.details}</small>}
+                      </td>
+                      <td>{item.quantity}{item.unit ? ` ${item.unit}` : ""}</td>
+                      <td>
+                        {formatMoney(item.unitPrice, quotation.currency)}
+                        {item.discountPercent > 0 && <small>-{item.discountPercent}%</small>}
+                      </td>
+                      <td>{formatMoney(item.lineTotal, quotation.currency)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <dl className="quotation-totals">
+              <dt>Subtotal</dt>
+              <dd>{formatMoney(quotation.subtotal, quotation.currency)}</dd>
+              {quotation.discountAmount > 0 && (
+                <>
+                  <dt>Discount</dt>
+                  <dd>- {formatMoney(quotation.discountAmount, quotation.currency)}</dd>
+                </>
+              )}
+              {quotation.taxRate > 0 && (
+                <>
+                  <dt>VAT ({quotation.taxRate}%)</dt>
+                  <dd>{formatMoney(quotation.taxAmount, quotation.currency)}</dd>
+                </>
+              )}
+              <dt className="quotation-total">Total</dt>
+              <dd className="quotation-total">{formatMoney(quotation.total, quotation.currency)}</dd>
+            </dl>
+
+            {quotation.notes && (
+              <>
+                <h2>Notes</h2>
+                <p className="quotation-text">{quotation.notes}</p>
+              </>
+            )}
+
+            {quotation.terms && (
+              <>
+                <h2>Terms and conditions</h2>
+                <p className="quotation-text">{quotation.terms}</p>
+              </>
+            )}
+
+            <div className="quotation-actions">
+              <a className="quotation-button secondary" href={apiService.getPublicQuotationPdfUrl(token)}>
+                Download PDF
+              </a>
+              {quotation.canRespond && (
+                <>
+                  <button type="button" className="quotation-button danger" onClick={() => respond("decline")} disabled={responding}>
+                    Decline
+                  </button>
+                  <button type="button" className="quotation-button" onClick={() => respond("accept")} disabled={responding}>
+                    {responding ? "Saving..." : "Accept quotation"}
+                  </button>
+                </>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </section>
+  );
+};
+
+export default QuotationResponse;
@@ -325,6 +325,9 @@ class ApiService {
           // Most of our API returns JSON, but sometimes it's just text
           if (contentType && contentType.includes("application/json")) {
             data = await response.json();
+          } else if (options.responseType === "blob" && response.ok) {
+            // Binary downloads such as PDF or image previews
+            data = await response.blob();
           } else {
             data = await response.text();
           }
@@ -348,7 +351,8 @@ class ApiService {
           }
 
           // Create enhanced error with response data
-          const error = new Error(data?.message || `HTTP error! status: ${response.status}`);
+          // Rate limit responses carry their text in `error`
+          const error = new Error(data?.message || data?.error || `HTTP error! status: ${response.status}`);
           error.response = {
             status: response.status,
             statusText: response.statusText,
@@ -875,8 +879,113 @@ class ApiService {
   }
 
   // Awards Admin methods
-  async getAwardsCategories() {
-    return this.request("/awards/categories", { useCache: false });
+  async getAwardsCategories(params = {}) {
+    const queryParams = new URLSearchParams(params).toString();
+    return this.request(`/awards/categories${queryParams ? `?${queryParams}` : ""}`, { useCache: false });
+  }
+
+  async getAwardEditions() {
+    return this.request("/awards/editions", { useCache: false });
+  }
+
+  async createAwardEdition(editionData) {
+    return this.request("/awards/admin/editions", {
+      method: "POST",
+      body: JSON.stringify(editionData),
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+
+  async updateAwardEdition(editionId, editionData) {
+    return this.request(`/awards/admin/editions/${editionId}`, {
+      method: "PUT",
+      body: JSON.stringify(editionData),
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+
+  async setCurrentAwardEdition(editionId) {
+    return this.request(`/awards/admin/editions/${editionId}/current`, {
+      method: "PATCH"
+    });
+  }
+
+  async deleteAwardEdition(editionId) {
+    return this.request(`/awards/admin/editions/${editionId}`, {
+      method: "DELETE"
+    });
+  }
+
+  async getVoteReviewQueue(params = {}) {
+    const queryParams = new URLSearchParams(params).toString();
+    return this.request(`/awards/admin/votes/review${queryParams ? `?${queryParams}` : ""}`, { useCache: false });
+  }
+
+  async voidVotes(votes, reason) {
+    return this.request("/awards/admin/votes/void", {
+      method: "POST",
+      body: JSON.stringify({ votes, reason }),
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+
+  async restoreVotes(votes, reason = "") {
+    return this.request("/awards/admin/votes/restore", {
+      method: "POST",
+      body: JSON.stringify({ votes, reason }),
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+
+  async getVoteAuditLog(params = {}) {
+    const queryParams = new URLSearchParams(params).toString();
+    return this.request(`/awards/admin/votes/audit${queryParams ? `?${queryParams}` : ""}`, { useCache: false });
+  }
+
+  async getAwardResults(params = {}) {
+    const queryParams = new URLSearchParams(params).toString();
+    return this.request(`/awards/admin/results${queryParams ? `?${queryParams}` : ""}`, { useCache: false });
+  }
+
+  async approveAwardResults(categoryId, data) {
+    return this.request(`/awards/admin/results/${categoryId}/approve`, {
+      method: "POST",
+      body: JSON.stringify(data),
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+
+  async publishAwardResults(categoryId) {
+    return this.request(`/awards/admin/results/${categoryId}/publish`, {
+      method: "POST"
+    });
+  }
+
+  async publishEditionResults(edition = "") {
+    return this.request("/awards/admin/results/publish", {
+      method: "POST",
+      body: JSON.stringify(edition ? { edition } : {}),
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+
+  async getPublishedAwardResults(params = {}) {
+    const queryParams = new URLSearchParams(params).toString();
+    return this.request(`/awards/results${queryParams ? `?${queryParams}` : ""}`, { useCache: false });
+  }
+
+  // Judging panel methods
+  async getJudgingNominations(params = {}) {
+    const queryParams = new URLSearchParams(params).toString();
+    return this.request(`/awards/judging/nominations${queryParams ? `?${queryParams}` : ""}`, { useCache: false });
+  }
+
+  async submitJudgeScore(nominationId, data) {
+    return this.request(`/awards/judging/nominations/${nominationId}/score`, {
+      method: "PUT",
+      body: JSON.stringify(data),
+      headers: { "Content-Type": "application/json" }
+    });
   }
 
   async createAwardsCategory(categoryData) {
@@ -927,8 +1036,9 @@ class ApiService {
     });
   }
 
-  async getAwardsStats() {
-    return this.request("/api/awards/admin/stats", { useCache: false });
+  async getAwardsStats(params = {}) {
+    const queryParams = new URLSearchParams(params).toString();
+    return this.request(`/api/awards/admin/stats${queryParams ? `?${queryParams}` : ""}`, { useCache: false });
   }
 
   async createAdminNomination(formData) {
@@ -1045,6 +1155,12 @@ class ApiService {
     return this.request(`/api/jobs/admin/applications${queryString ? `?${queryString}` : ""}`, { useCache: false });
   }
 
+  // Candidate database: everyone who has applied, searched across resume text
+  async searchCandidates(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return this.request(`/api/jobs/admin/candidates${queryString ? `?${queryString}` : ""}`, { useCache: false });
+  }
+
   async updateApplicationStatus(applicationId, status, adminNotes = "") {
     return this.request(`/api/jobs/applications/${applicationId}/status`, {
       method: "PATCH",
@@ -1053,6 +1169,98 @@ class ApiService {
     });
   }
 
+  // Hiring pipeline (admin)
+  async getJobPipeline(jobId) {
+    return this.request(`/api/jobs/${jobId}/pipeline`, { useCache: false });
+  }
+
+  async updateJobPipeline(jobId, stages) {
+    return this.request(`/api/jobs/${jobId}/pipeline`, {
+      method: "PUT",
+      body: JSON.stringify({ stages }),
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+
+  async getJobPipelineStats(jobId) {
+    return this.request(`/api/jobs/${jobId}/pipeline/stats`, { useCache: false });
+  }
+
+  async moveApplicationStage(applicationId, { stage, note = "", notify = true }) {
+    return this.request(`/api/jobs/applications/${applicationId}/stage`, {
+      method: "PATCH",
+      body: JSON.stringify({ stage, note, notify }),
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+
+  // Interview scheduling. Admins offer times; applicants pick one through the
+  // tokenized link emailed to them.
+  async getApplicationInterviews(applicationId) {
+    return this.request(`/api/jobs/applications/${applicationId}/interviews`, { useCache: false });
+  }
+
+  async proposeInterview(applicationId, interviewData) {
+    return this.request(`/api/jobs/applications/${applicationId}/interviews`, {
+      method: "POST",
+      body: JSON.stringify(interviewData),
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+
+  async rescheduleInterview(applicationId, interviewId, interviewData) {
+    return this.request(`/api/jobs/applications/${applicationId}/interviews/${interviewId}/reschedule`, {
+      method: "PATCH",
+      body: JSON.stringify(interviewData),
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+
+  async cancelInterview(applicationId, interviewId, reason = "") {
+    return this.request(`/api/jobs/applications/${applicationId}/interviews/${interviewId}/cancel`, {
+      method: "PATCH",
+      body: JSON.stringify({ reason }),
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+
+  async getInterviewByToken(token) {
+    return this.request(`/api/jobs/interviews/${encodeURIComponent(token)}`, { useCache: false });
+  }
+
+  async selectInterviewSlot(token, slotId) {
+    return this.request(`/api/jobs/interviews/${encodeURIComponent(token)}/select`, {
+      method: "POST",
+      body: JSON.stringify({ slotId }),
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+
+  getInterviewCalendarUrl(token) {
+    return `${this.baseURL}/api/jobs/interviews/${encodeURIComponent(token)}/calendar.ics`;
+  }
+
+  // Applicant status page, reached through the private link in the
+  // application confirmation email
+  async getApplicationStatus(token) {
+    return this.request(`/api/jobs/application-status/${encodeURIComponent(token)}`, { useCache: false });
+  }
+
+  async updateApplicationResume(token, formData) {
+    return this.request(`/api/jobs/application-status/${encodeURIComponent(token)}/resume`, {
+      method: "POST",
+      body: formData
+    });
+  }
+
+  async withdrawApplication(token, reason = "") {
+    return this.request(`/api/jobs/application-status/${encodeURIComponent(token)}/withdraw`, {
+      method: "POST",
+      body: JSON.stringify({ reason }),
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+
   async sendJobApplicationEmail(applicationId, emailData = {}) {
     return this.request(`/api/jobs/applications/${applicationId}/email`, {
       method: "POST",
@@ -1131,13 +1339,6 @@ class ApiService {
     });
   }
 
-  async submitCartInquiry(cartData) {
-    return this.request("/api/products/cart-inquiry", {
-      method: "POST",
-      body: JSON.stringify(cartData),
-      headers: { "Content-Type": "application/json" }
-    });
-  }
 
   async getProductInquiries(params = {}) {
     const queryString = new URLSearchParams(params).toString();
@@ -1162,6 +1363,256 @@ class ApiService {
     return this.request("/api/products/admin/inquiries/stats", { useCache: false });
   }
 
+  // Cart methods. The cart is kept per user, or per session for guests.
+  async getCart() {
+    return this.request("/api/cart", { useCache: false });
+  }
+
+  async saveCart(items) {
+    return this.request("/api/cart", {
+      method: "PUT",
+      body: JSON.stringify({ items }),
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+
+  // Order methods. The cart sends one order with all its items; prices are
+  // taken from the product records on the server.
+  async submitOrder(orderData) {
+    return this.request("/api/orders", {
+      method: "POST",
+      body: JSON.stringify(orderData),
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+
+  async getOrders(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return this.request(`/api/orders/admin${queryString ? `?${queryString}` : ""}`, { useCache: false });
+  }
+
+  async getOrder(orderId) {
+    return this.request(`/api/orders/admin/${orderId}`, { useCache: false });
+  }
+
+  async getOrderStats() {
+    return this.request("/api/orders/admin/stats", { useCache: false });
+  }
+
+  async updateOrderStatus(orderId, data) {
+    return this.request(`/api/orders/admin/${orderId}/status`, {
+      method: "PATCH",
+      body: JSON.stringify(data),
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+
+  async updateOrderNotes(orderId, adminNotes) {
+    return this.request(`/api/orders/admin/${orderId}/notes`, {
+      method: "PATCH",
+      body: JSON.stringify({ adminNotes }),
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+
+  // Quotation methods. Admins draft quotations from a service quote request
+  // or an order; customers answer through the private link in their email.
+  async getQuotations(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return this.request(`/api/quotations/admin${queryString ? `?${queryString}` : ""}`, { useCache: false });
+  }
+
+  async getQuotation(quotationId) {
+    return this.request(`/api/quotations/admin/${quotationId}`, { useCache: false });
+  }
+
+  async createQuotation(data) {
+    return this.request("/api/quotations/admin", {
+      method: "POST",
+      body: JSON.stringify(data),
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+
+  async updateQuotation(quotationId, data) {
+    return this.request(`/api/quotations/admin/${quotationId}`, {
+      method: "PUT",
+      body: JSON.stringify(data),
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+
+  async sendQuotation(quotationId) {
+    return this.request(`/api/quotations/admin/${quotationId}/send`, { method: "POST" });
+  }
+
+  async cancelQuotation(quotationId) {
+    return this.request(`/api/quotations/admin/${quotationId}/cancel`, { method: "POST" });
+  }
+
+  async deleteQuotation(quotationId) {
+    return this.request(`/api/quotations/admin/${quotationId}`, { method: "DELETE" });
+  }
+
+  // Returns the quotation PDF as a Blob
+  async downloadQuotationPdf(quotationId) {
+    return this.request(`/api/quotations/admin/${quotationId}/pdf`, {
+      useCache: false,
+      responseType: "blob"
+    });
+  }
+
+  async getPublicQuotation(token) {
+    return this.request(`/api/quotations/${encodeURIComponent(token)}`, { useCache: false });
+  }
+
+  async respondToQuotation(token, decision, note = "") {
+    return this.request(`/api/quotations/${encodeURIComponent(token)}/respond`, {
+      method: "POST",
+      body: JSON.stringify({ decision, note }),
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+
+  getPublicQuotationPdfUrl(token) {
+    return `${this.baseURL}/api/quotations/${encodeURIComponent(token)}/pdf`;
+  }
+
+  // Invoice methods. Admins invoice accepted quotations and service quote
+  // requests, record payments and follow up on overdue balances.
+  async getInvoices(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return this.request(`/api/invoices${queryString ? `?${queryString}` : ""}`, { useCache: false });
+  }
+
+  async getInvoice(invoiceId) {
+    return this.request(`/api/invoices/${invoiceId}`, { useCache: false });
+  }
+
+  async createInvoice(data) {
+    return this.request("/api/invoices", {
+      method: "POST",
+      body: JSON.stringify(data),
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+
+  async updateInvoice(invoiceId, data) {
+    return this.request(`/api/invoices/${invoiceId}`, {
+      method: "PUT",
+      body: JSON.stringify(data),
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+
+  async issueInvoice(invoiceId, notify = true) {
+    return this.request(`/api/invoices/${invoiceId}/issue`, {
+      method: "POST",
+      body: JSON.stringify({ notify }),
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+
+  async sendInvoice(invoiceId) {
+    return this.request(`/api/invoices/${invoiceId}/send`, { method: "POST" });
+  }
+
+  async sendInvoiceReminder(invoiceId) {
+    return this.request(`/api/invoices/${invoiceId}/remind`, { method: "POST" });
+  }
+
+  async voidInvoice(invoiceId, reason) {
+    return this.request(`/api/invoices/${invoiceId}/void`, {
+      method: "POST",
+      body: JSON.stringify({ reason }),
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+
+  async deleteInvoice(invoiceId) {
+    return this.request(`/api/invoices/${invoiceId}`, { method: "DELETE" });
+  }
+
+  async recordInvoicePayment(invoiceId, payment) {
+    return this.request(`/api/invoices/${invoiceId}/payments`, {
+      method: "POST",
+      body: JSON.stringify(payment),
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+
+  async voidInvoicePayment(invoiceId, paymentId, reason) {
+    return this.request(`/api/invoices/${invoiceId}/payments/${paymentId}/void`, {
+      method: "POST",
+      body: JSON.stringify({ reason }),
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+
+  // Returns the invoice PDF as a Blob
+  async downloadInvoicePdf(invoiceId) {
+    return this.request(`/api/invoices/${invoiceId}/pdf`, {
+      useCache: false,
+      responseType: "blob"
+    });
+  }
+
+  async getReceivablesReport() {
+    return this.request("/api/invoices/reports/receivables", { useCache: false });
+  }
+
+  // Payment methods. Customers pay invoices and orders by mobile money from
+  // a pay link; admins follow payments, send requests and refund.
+  async getPaymentCheckout(token) {
+    return this.request(`/api/payments/checkout/${encodeURIComponent(token)}`, { useCache: false });
+  }
+
+  async startCheckoutPayment(token, { provider, phone }) {
+    return this.request(`/api/payments/checkout/${encodeURIComponent(token)}`, {
+      method: "POST",
+      body: JSON.stringify({ provider, phone }),
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+
+  async getPaymentStatus(reference) {
+    return this.request(`/api/payments/status/${encodeURIComponent(reference)}`, { useCache: false });
+  }
+
+  async getPayments(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return this.request(`/api/payments/admin${queryString ? `?${queryString}` : ""}`, { useCache: false });
+  }
+
+  async getPayment(paymentId) {
+    return this.request(`/api/payments/admin/${paymentId}`, { useCache: false });
+  }
+
+  async refreshPayment(paymentId) {
+    return this.request(`/api/payments/admin/${paymentId}/refresh`, { method: "POST" });
+  }
+
+  async refundPayment(paymentId, reason) {
+    return this.request(`/api/payments/admin/${paymentId}/refund`, {
+      method: "POST",
+      body: JSON.stringify({ reason }),
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+
+  // type is "invoice" or "order"
+  async requestPayment({ type, id, provider, phone }) {
+    return this.request("/api/payments/admin/requests", {
+      method: "POST",
+      body: JSON.stringify({ type, id, provider, phone }),
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+
+  async getPayLink(type, id) {
+    return this.request(`/api/payments/admin/links/${type}/${id}`, { useCache: false });
+  }
+
   // Service Quote methods
   async submitServiceQuote(quoteData) {
     return this.request("/api/services/quotes", {
@@ -1264,9 +1715,233 @@ class ApiService {
   }
 
   // Certificate verification method (public endpoint)
-  async verifyCertificate(certificateId) {
-    return this.request(`/api/certificates/verify/${certificateId}`, {
-      method: "GET"
+  // `referrer` is the page that linked to the verification page, kept for analytics
+  async verifyCertificate(certificateId, referrer = "") {
+    const query = referrer ? `?ref=${encodeURIComponent(referrer)}` : "";
+    return this.request(`/api/certificates/verify/${certificateId}${query}`, {
+      method: "GET",
+      useCache: false
+    });
+  }
+
+  // Check an uploaded certificate PDF against its signature and issued record
+  async verifyCertificatePdf(file) {
+    const formData = new FormData();
+    formData.append("certificate", file);
+
+    return this.request("/api/certificates/verify-pdf", {
+      method: "POST",
+      body: formData
+    });
+  }
+
+  // Recipient certificate portal. Portal requests carry the session token from
+  // the magic link in their own header, separate from the account login.
+  async requestCertificatePortalLink(email) {
+    return this.request("/api/certificates/portal/link", {
+      method: "POST",
+      body: JSON.stringify({ email }),
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+
+  async openCertificatePortalSession(token) {
+    return this.request("/api/certificates/portal/session", {
+      method: "POST",
+      body: JSON.stringify({ token }),
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+
+  async getPortalCertificates(sessionToken) {
+    return this.request("/api/certificates/portal/certificates", {
+      useCache: false,
+      headers: { "X-Certificate-Portal-Token": sessionToken }
+    });
+  }
+
+  // Returns the certificate PDF as a Blob
+  async downloadPortalCertificate(sessionToken, certificateId) {
+    return this.request(`/api/certificates/portal/certificates/${encodeURIComponent(certificateId)}/download`, {
+      useCache: false,
+      responseType: "blob",
+      headers: { "X-Certificate-Portal-Token": sessionToken }
+    });
+  }
+
+  async requestCertificateCorrection(sessionToken, certificateId, { requestedName, reason }) {
+    return this.request(`/api/certificates/portal/certificates/${encodeURIComponent(certificateId)}/corrections`, {
+      method: "POST",
+      body: JSON.stringify({ requestedName, reason }),
+      headers: { "Content-Type": "application/json", "X-Certificate-Portal-Token": sessionToken }
+    });
+  }
+
+  // Certificate name correction queue (admin)
+  async getCertificateCorrections(status = "pending") {
+    return this.request(`/api/certificates/corrections?status=${status}`, { useCache: false });
+  }
+
+  async approveCertificateCorrection(correctionId, note = "") {
+    return this.request(`/api/certificates/corrections/${correctionId}/approve`, {
+      method: "POST",
+      body: JSON.stringify({ note }),
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+
+  async rejectCertificateCorrection(correctionId, note) {
+    return this.request(`/api/certificates/corrections/${correctionId}/reject`, {
+      method: "POST",
+      body: JSON.stringify({ note }),
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+
+  // Certificate verification analytics (admin)
+  async getCertificateVerifications(certificateId, params = {}) {
+    const queryParams = new URLSearchParams(params).toString();
+    return this.request(`/api/certificates/${encodeURIComponent(certificateId)}/verifications${queryParams ? `?${queryParams}` : ""}`, { useCache: false });
+  }
+
+  async getFailedCertificateVerifications(hours = 24) {
+    return this.request(`/api/certificates/verifications/failed?hours=${hours}`, { useCache: false });
+  }
+
+  // Certificate revocation and reissue (admin)
+  async revokeCertificate(certificateId, reason) {
+    return this.request(`/api/certificates/revoke/${certificateId}`, {
+      method: "POST",
+      body: JSON.stringify({ reason }),
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+
+  async reissueCertificate(certificateId, { reason, recipientName }) {
+    return this.request(`/api/certificates/reissue/${certificateId}`, {
+      method: "POST",
+      body: JSON.stringify({ reason, recipientName }),
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+
+  // Background bulk certificate jobs (admin)
+  async startBulkCertificateJob({ status = "", edition = "", sendEmails = false } = {}) {
+    const queryParams = new URLSearchParams({
+      ...(status ? { status } : {}),
+      ...(edition ? { edition } : {})
+    }).toString();
+    return this.request(`/api/certificates/bulk-generate${queryParams ? `?${queryParams}` : ""}`, {
+      method: "POST",
+      body: JSON.stringify({ sendEmails }),
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+
+  async getCertificateJobs(params = {}) {
+    const queryParams = new URLSearchParams(params).toString();
+    return this.request(`/api/certificates/jobs${queryParams ? `?${queryParams}` : ""}`, { useCache: false });
+  }
+
+  async getCertificateJob(jobId) {
+    return this.request(`/api/certificates/jobs/${jobId}`, { useCache: false });
+  }
+
+  async retryCertificateJob(jobId) {
+    return this.request(`/api/certificates/jobs/${jobId}/retry`, {
+      method: "POST"
+    });
+  }
+
+  // Certificate templates (admin)
+  async getCertificateTemplates(params = {}) {
+    const queryParams = new URLSearchParams(params).toString();
+    return this.request(`/api/certificates/templates${queryParams ? `?${queryParams}` : ""}`, { useCache: false });
+  }
+
+  async createCertificateTemplate(templateData) {
+    return this.request("/api/certificates/templates", {
+      method: "POST",
+      body: JSON.stringify(templateData),
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+
+  async updateCertificateTemplate(templateId, templateData) {
+    return this.request(`/api/certificates/templates/${templateId}`, {
+      method: "PUT",
+      body: JSON.stringify(templateData),
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+
+  async deleteCertificateTemplate(templateId) {
+    return this.request(`/api/certificates/templates/${templateId}`, {
+      method: "DELETE"
+    });
+  }
+
+  async cloneCertificateTemplate(templateId, name = "") {
+    return this.request(`/api/certificates/templates/${templateId}/clone`, {
+      method: "POST",
+      body: JSON.stringify(name ? { name } : {}),
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+
+  async assignCertificateTemplate({ certificateType, categoryId = null, templateId = null }) {
+    return this.request("/api/certificates/templates/assignments", {
+      method: "PUT",
+      body: JSON.stringify({ certificateType, categoryId, templateId }),
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+
+  // Returns a Blob (PDF or PNG) rendered with sample data
+  async previewCertificateTemplate(templateId, format = "png") {
+    return this.request(`/api/certificates/templates/${templateId}/preview?format=${format}`, {
+      useCache: false,
+      responseType: "blob"
+    });
+  }
+
+  async previewCertificateTemplateDraft(templateData, format = "png") {
+    return this.request(`/api/certificates/templates/preview?format=${format}`, {
+      method: "POST",
+      body: JSON.stringify(templateData),
+      headers: { "Content-Type": "application/json" },
+      responseType: "blob"
+    });
+  }
+
+  // Signatory library (admin)
+  async getSignatories(status = "") {
+    return this.request(`/api/certificates/signatories${status ? `?status=${status}` : ""}`, { useCache: false });
+  }
+
+  async createSignatory({ name, title = "", image }) {
+    const formData = new FormData();
+    formData.append("name", name);
+    formData.append("title", title);
+    formData.append("signature", image);
+
+    return this.request("/api/certificates/signatories", {
+      method: "POST",
+      body: formData
+    });
+  }
+
+  async updateSignatory(signatoryId, { name, title }) {
+    return this.request(`/api/certificates/signatories/${signatoryId}`, {
+      method: "PUT",
+      body: JSON.stringify({ name, title }),
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+
+  async retireSignatory(signatoryId) {
+    return this.request(`/api/certificates/signatories/${signatoryId}/retire`, {
+      method: "POST"
     });
   }
 
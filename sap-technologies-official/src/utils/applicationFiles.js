@@ -0,0 +1,15 @@
+// Documents applicants can upload with a job application
+export const MAX_APPLICATION_FILE_SIZE = 8 * 1024 * 1024;
+export const ACCEPTED_DOCUMENT_TYPES = ".pdf,.doc,.docx,.rtf,.txt,.odt";
+const ACCEPTED_DOCUMENT_EXTENSIONS = new Set(["pdf", "doc", "docx", "rtf", "txt", "odt"]);
+
+export const formatFileSize = (bytes = 0) => {
+  if (!bytes) return "";
+  const sizeInMb = bytes / (1024 * 1024);
+  return `${sizeInMb >= 1 ? sizeInMb.toFixed(1) : (bytes / 1024).toFixed(0)} ${sizeInMb >= 1 ? "MB" : "KB"}`;
+};
+
+export const isAcceptedDocument = (file) => {
+  const extension = file?.name?.split(".").pop()?.toLowerCase();
+  return extension && ACCEPTED_DOCUMENT_EXTENSIONS.has(extension);
+};
@@ -0,0 +1,65 @@
+// Application question helpers shared by the job form and its question editor
+
+export const QUESTION_TYPES = [
+  { value: "text", label: "Short answer" },
+  { value: "textarea", label: "Paragraph" },
+  { value: "url", label: "Link (URL)" },
+  { value: "number", label: "Number" },
+  { value: "date", label: "Date" },
+  { value: "select", label: "Single choice" },
+  { value: "multiselect", label: "Multiple choice" }
+];
+
+export const CHOICE_TYPES = ["select", "multiselect"];
+export const KNOCKOUT_TYPES = ["select", "multiselect", "number", "date"];
+
+// Editable copy of a saved question; choices are edited one per line
+export const toEditableQuestion = (question = {}) => ({
+  key: question.key || "",
+  label: question.label || "",
+  type: question.type || "text",
+  required: Boolean(question.required),
+  helpText: question.helpText || "",
+  optionsText: (question.options || []).join("\n"),
+  min: question.min ?? "",
+  max: question.max ?? "",
+  knockout: {
+    action: question.knockout?.action || "none",
+    tag: question.knockout?.tag || "",
+    options: question.knockout?.options || [],
+    min: question.knockout?.min ?? "",
+    max: question.knockout?.max ?? "",
+    latestDate: question.knockout?.latestDate ? String(question.knockout.latestDate).slice(0, 10) : ""
+  }
+});
+
+export const splitOptions = (text = "") => [...new Set(text.split("\n").map((option) => option.trim()).filter(Boolean))];
+
+const toNumberOrUndefined = (value) => (value === "" || value === null || value === undefined ? undefined : Number(value));
+
+// Question set in the shape the API expects
+export const toQuestionPayload = (questions = []) => questions.map((question) => {
+  const options = CHOICE_TYPES.includes(question.type) ? splitOptions(question.optionsText) : undefined;
+  const knockout = question.knockout.action !== "none" && KNOCKOUT_TYPES.includes(question.type)
+    ? {
+      action: question.knockout.action,
+      tag: question.knockout.tag.trim(),
+      options: options ? question.knockout.options.filter((option) => options.includes(option)) : undefined,
+      min: question.type === "number" ? toNumberOrUndefined(question.knockout.min) : undefined,
+      max: question.type === "number" ? toNumberOrUndefined(question.knockout.max) : undefined,
+      latestDate: question.type === "date" ? question.knockout.latestDate || undefined : undefined
+    }
+    : undefined;
+
+  return {
+    key: question.key || undefined,
+    label: question.label.trim(),
+    type: question.type,
+    required: question.required,
+    helpText: question.helpText.trim(),
+    options,
+    min: question.type === "number" ? toNumberOrUndefined(question.min) : undefined,
+    max: question.type === "number" ? toNumberOrUndefined(question.max) : undefined,
+    knockout
+  };
+});
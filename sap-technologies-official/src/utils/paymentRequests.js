@@ -0,0 +1,89 @@
+import apiService from "../services/api";
+import { showAlert, Swal } from "./alerts.jsx";
+import { formatMoney } from "./salesDocuments";
+
+const errorMessage = (error, fallback) => error.response?.data?.message || error.message || fallback;
+
+const escapeHtml = (value = "") => String(value).replace(/[&<>"']/g, (char) => ({
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  "\"": "&quot;",
+  "'": "&#39;"
+}[char]));
+
+// Pay links and phone payment requests for invoices and orders, shared by
+// the Invoices and Orders admin views. `type` is "invoice" or "order".
+
+const loadPayLink = async (type, id) => {
+  try {
+    const response = await apiService.getPayLink(type, id);
+    return response.data;
+  } catch (error) {
+    showAlert.error("Online payment unavailable", errorMessage(error, "Please try again."));
+    return null;
+  }
+};
+
+// Copy the customer's pay link, showing it instead when the clipboard is blocked
+export const copyPayLink = async (type, id) => {
+  const payLink = await loadPayLink(type, id);
+  if (!payLink) return;
+
+  try {
+    await navigator.clipboard.writeText(payLink.link);
+    showAlert.success("Pay link copied", `Send it to the customer to pay ${formatMoney(payLink.amount, payLink.currency)} by mobile money.`);
+  } catch {
+    await Swal.fire({
+      title: "Pay link",
+      html: `<input class="swal2-input" readonly value="${escapeHtml(payLink.link)}" onfocus="this.select()">`,
+      confirmButtonText: "Done"
+    });
+  }
+};
+
+// Send a payment prompt straight to the customer's phone. Resolves to the
+// payment when the request was sent.
+export const requestMobilePayment = async (type, id, { phone = "" } = {}) => {
+  const payLink = await loadPayLink(type, id);
+  if (!payLink) return null;
+
+  const providerOptions = payLink.providers
+    .map(provider => `<option value="${escapeHtml(provider.name)}">${escapeHtml(provider.label)}</option>`)
+    .join("");
+
+  const { value, isConfirmed } = await Swal.fire({
+    title: `Request ${formatMoney(payLink.amount, payLink.currency)}`,
+    html: `
+      <p>The customer gets a prompt on their phone to approve the payment with their PIN.</p>
+      <select id="payment-request-provider" class="swal2-select">${providerOptions}</select>
+      <input id="payment-request-phone" class="swal2-input" type="tel" maxlength="20" placeholder="Mobile money number, e.g. 0772 123456" value="${escapeHtml(phone)}">
+    `,
+    preConfirm: () => {
+      const number = document.getElementById("payment-request-phone").value.trim();
+      if (!number) {
+        Swal.showValidationMessage("Enter the number to charge");
+        return false;
+      }
+      return { provider: document.getElementById("payment-request-provider").value, phone: number };
+    },
+    showCancelButton: true,
+    confirmButtonText: "Send request"
+  });
+  if (!isConfirmed) return null;
+
+  try {
+    const response = await apiService.requestPayment({ type, id, ...value });
+    const { payment } = response.data;
+    if (payment.status === "failed") {
+      showAlert.error("Payment request declined", response.message);
+    } else {
+      showAlert.success("Payment request sent", "The customer has been asked to approve it on their phone. Follow it in the Payments tab.");
+    }
+    return payment;
+  } catch (error) {
+    console.error("❌ Error requesting payment:", error);
+    showAlert.error("Couldn't send the payment request", errorMessage(error, "Please try again."));
+    return null;
+  }
+};
@@ -0,0 +1,46 @@
+// Shared helpers for the quotation and invoice editors
+
+// Uganda VAT, applied unless the admin turns it off
+export const VAT_RATE = 18;
+
+export const EMPTY_ITEM = { description: "", details: "", quantity: 1, unit: "", unitPrice: 0, discountPercent: 0 };
+
+export const formatMoney = (amount, currency) => `${currency} ${Number(amount || 0).toLocaleString("en-US", { maximumFractionDigits: 2 })}`;
+
+export const toDateInput = (value) => (value ? new Date(value).toISOString().slice(0, 10) : "");
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Same sums the server stores on the document, so the editor shows them live
+export const calculateTotals = (form) => {
+  const lineTotals = form.items.map((item) => round(
+    (Number(item.quantity) || 0) * (Number(item.unitPrice) || 0) * (1 - (Number(item.discountPercent) || 0) / 100)
+  ));
+  const subtotal = round(lineTotals.reduce((sum, value) => sum + value, 0));
+  const discount = Math.min(Number(form.discountAmount) || 0, subtotal);
+  const taxAmount = round((subtotal - discount) * (Number(form.taxRate) || 0) / 100);
+  return { lineTotals, subtotal, taxAmount, total: round(subtotal - discount + taxAmount) };
+};
+
+// Stored lines as editor rows
+export const toItemRows = (items = []) => items.map((item) => ({
+  description: item.description || "",
+  details: item.details || "",
+  product: item.product || undefined,
+  quantity: item.quantity,
+  unit: item.unit || "",
+  unitPrice: item.unitPrice,
+  discountPercent: item.discountPercent || 0
+}));
+
+// Editor values ready to save, with the numbers the inputs hold as strings
+export const toPricingPayload = (form) => ({
+  taxRate: Number(form.taxRate) || 0,
+  discountAmount: Number(form.discountAmount) || 0,
+  items: form.items.map(item => ({
+    ...item,
+    quantity: Number(item.quantity),
+    unitPrice: Number(item.unitPrice),
+    discountPercent: Number(item.discountPercent) || 0
+  }))
+});
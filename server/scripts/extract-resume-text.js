@@ -0,0 +1,36 @@
+require("dotenv").config();
+const mongoose = require("mongoose");
+const resumeTextService = require("../src/services/resumeTextService");
+
+// Extract text from resumes uploaded before extraction ran on upload.
+// Pass --force=true to re-extract every resume.
+function getArgValue(flagName) {
+  const arg = process.argv.find((item) => item.startsWith(`${flagName}=`));
+  return arg ? arg.split("=").slice(1).join("=") : null;
+}
+
+(async () => {
+  const mongoUri = process.env.MONGODB_URI;
+  if (!mongoUri) {
+    console.error("Missing MONGODB_URI in environment.");
+    process.exit(1);
+  }
+
+  const force = getArgValue("--force") === "true";
+
+  try {
+    await mongoose.connect(mongoUri);
+
+    const counts = await resumeTextService.backfill({
+      force,
+      onProgress: (application, status) => console.log(`${application._id}: ${status}`)
+    });
+
+    console.log(`Done. Extracted ${counts.extracted}, empty ${counts.empty}, unsupported ${counts.unsupported}, failed ${counts.failed}.`);
+  } catch (error) {
+    console.error("Failed to extract resume text:", error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close().catch(() => {});
+  }
+})();
@@ -27,6 +27,11 @@ const { errorHandler } = require("./middleware/errorHandler");
 const { trackVisitor } = require("./middleware/visitorTracking");
 const { authMiddleware, adminMiddleware } = require("./middleware/auth");
 const apiRoutes = require("./routes");
+const certificateJobService = require("./services/certificateJobService");
+const interviewSchedulingService = require("./services/interviewSchedulingService");
+const jobScheduleService = require("./services/jobScheduleService");
+const invoiceService = require("./services/invoiceService");
+const paymentService = require("./services/paymentService");
 
 const app = express();
 app.disable("x-powered-by");
@@ -533,6 +538,41 @@ const server = app.listen(PORT, () => {
     `);
 });
 
+// Resume certificate jobs interrupted by a restart or deploy
+databaseReady
+    .then(() => certificateJobService.resumeJobs())
+    .catch((error) => {
+        console.error("❌ Failed to resume certificate jobs:", error.message);
+    });
+
+// Interview reminder emails
+databaseReady
+    .then(() => interviewSchedulingService.startReminderScheduler())
+    .catch((error) => {
+        console.error("❌ Failed to start interview reminders:", error.message);
+    });
+
+// Scheduled job publishing, deadline closing and the closing-soon digest
+databaseReady
+    .then(() => jobScheduleService.startScheduler())
+    .catch((error) => {
+        console.error("❌ Failed to start job scheduler:", error.message);
+    });
+
+// Overdue invoice reminders
+databaseReady
+    .then(() => invoiceService.startReminderScheduler())
+    .catch((error) => {
+        console.error("❌ Failed to start invoice reminders:", error.message);
+    });
+
+// Mobile money payments and refunds still waiting on the provider
+databaseReady
+    .then(() => paymentService.startStatusScheduler())
+    .catch((error) => {
+        console.error("❌ Failed to start payment status checks:", error.message);
+    });
+
 // Enhanced graceful shutdown with cleanup
 process.on("SIGTERM", () => {
     securityLogger.info("SIGTERM signal received: closing HTTP server");
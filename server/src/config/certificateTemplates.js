@@ -0,0 +1,143 @@
+// Built-in certificate layouts. They are used when no template has been
+// created in the database for a certificate type, and as the starting point
+// for new templates. Coordinates are PDF points from the bottom-left corner
+// of an A4 landscape page (842 x 595).
+
+const CERTIFICATE_TYPES = ["winner", "finalist", "participation"];
+
+// Placeholders that can be used inside text blocks, e.g. "WINNER - {{categoryName}}"
+const PLACEHOLDERS = ["nomineeName", "categoryName", "awardYear", "issueDate", "certificateId", "verificationUrl"];
+
+// Standard PDF fonts available to templates (no font files need to be embedded)
+const FONTS = [
+    "TimesRoman", "TimesRomanBold", "TimesRomanItalic", "TimesRomanBoldItalic",
+    "Helvetica", "HelveticaBold", "HelveticaOblique", "HelveticaBoldOblique",
+    "Courier", "CourierBold", "CourierOblique", "CourierBoldOblique"
+];
+
+const PALETTE_KEYS = ["primary", "heading", "body", "accent", "highlight", "muted", "faint"];
+
+const HEX_COLOR = /^#[0-9a-fA-F]{6}$/;
+
+const PAGE_CENTER = 421;
+
+const baseTemplate = ({ palette, typeTitle, statement, awardLine, categoryLine, recognition, signatory }) => ({
+    page: { width: 842, height: 595 },
+    background: { color: "#FFFFFF", imageUrl: "" },
+    palette: {
+        heading: "#333333",
+        body: "#4D4D4D",
+        accent: "#1A1A80",
+        muted: "#666666",
+        faint: "#808080",
+        ...palette
+    },
+    border: { show: true, color: "primary", outerWidth: 15, innerWidth: 3, corners: true },
+    // Enable once public/images/logo.png is installed and move the title blocks down to make room
+    logo: { show: false, x: PAGE_CENTER - 60, y: 515, width: 120, height: 60 },
+    blocks: [
+        { text: "SAPTech Awards", x: PAGE_CENTER, y: 495, align: "center", font: "TimesRomanBold", size: 40, color: "primary" },
+        { text: "{{awardYear}}", x: PAGE_CENTER, y: 460, align: "center", font: "HelveticaBold", size: 28, color: "heading" },
+        { text: typeTitle, x: PAGE_CENTER, y: 415, align: "center", font: "TimesRoman", size: 18, color: "body" },
+        { text: "This is to certify that", x: PAGE_CENTER, y: 365, align: "center", font: "TimesRomanItalic", size: 15, color: "heading" },
+        { text: "{{nomineeName}}", x: PAGE_CENTER, y: 325, align: "center", font: "TimesRomanBold", size: 34, color: "accent", underline: true },
+        { text: statement, x: PAGE_CENTER, y: 285, align: "center", font: "TimesRomanItalic", size: 14, color: "heading" },
+        { text: awardLine, x: PAGE_CENTER, y: 257, align: "center", font: "TimesRomanBold", size: 17, color: "primary" },
+        { text: categoryLine, x: PAGE_CENTER, y: 225, align: "center", font: "TimesRomanBold", size: 20, color: "highlight" },
+        { text: recognition, x: PAGE_CENTER, y: 195, align: "center", font: "TimesRomanItalic", size: 12, color: "body" },
+        { text: "Powered by SAPTech Uganda", x: PAGE_CENTER, y: 60, align: "center", font: "TimesRomanItalic", size: 9, color: "faint" },
+        { text: "saptechug.com", x: PAGE_CENTER, y: 45, align: "center", font: "TimesRoman", size: 11, color: "muted" },
+        { text: "Date: {{issueDate}}", x: 100, y: 145, yWithPhoto: 85, align: "left", font: "TimesRoman", size: 12, color: "heading" },
+        { text: "Certificate ID: {{certificateId}}", x: 100, y: 120, yWithPhoto: 60, align: "left", font: "TimesRoman", size: 10, color: "faint" },
+        { text: "SAPTech Awards {{awardYear}} Committee", x: 520, y: 82, align: "left", font: "TimesRoman", size: 10, color: "muted" },
+        ...(signatory ? [
+            { text: signatory, x: 540, y: 70, align: "left", font: "TimesRomanItalic", size: 9, color: "faint" }
+        ] : [])
+    ],
+    lines: [
+        { x1: PAGE_CENTER - 200, y1: 400, x2: PAGE_CENTER + 200, y2: 400, thickness: 2, color: "primary" }
+    ],
+    photo: { show: true, x: 80, y: 120, size: 110, label: "Recipient" },
+    signature: { show: true, x: 520, y: 140, width: 120, height: 40, underline: Boolean(signatory), fallbackLabel: "Authorized Signature", signatories: [], spacing: 30 },
+    qr: { show: true, x: 692, y: 60, size: 80, label: "Scan to Verify" }
+});
+
+const DEFAULT_TEMPLATES = {
+    winner: {
+        name: "Classic Gold (Winner)",
+        description: "Gold border with the category highlighted in red",
+        certificateType: "winner",
+        ...baseTemplate({
+            palette: { primary: "#F59E12", highlight: "#CC1A1A" },
+            typeTitle: "CERTIFICATE OF ACHIEVEMENT",
+            statement: "has been awarded the",
+            awardLine: "* * * WINNER * * *",
+            categoryLine: "WINNER - {{categoryName}}",
+            recognition: "in recognition of outstanding excellence in engineering and technology"
+        })
+    },
+    finalist: {
+        name: "Classic Silver (Finalist)",
+        description: "Silver border for category finalists",
+        certificateType: "finalist",
+        ...baseTemplate({
+            palette: { primary: "#BFBFBF", highlight: "#666666" },
+            typeTitle: "CERTIFICATE OF ACHIEVEMENT",
+            statement: "has been named a",
+            awardLine: "* * * FINALIST * * *",
+            categoryLine: "FINALIST - {{categoryName}}",
+            recognition: "in recognition of outstanding achievement in engineering and technology",
+            signatory: "Authorized Signatory"
+        })
+    },
+    participation: {
+        name: "Classic Bronze (Participation)",
+        description: "Bronze border for approved participants",
+        certificateType: "participation",
+        ...baseTemplate({
+            palette: { primary: "#CC8033", highlight: "#666666" },
+            typeTitle: "CERTIFICATE OF PARTICIPATION",
+            statement: "participated in the",
+            awardLine: "SAPTech Awards {{awardYear}}",
+            categoryLine: "{{categoryName}}",
+            recognition: "demonstrating commitment to excellence in engineering and technology",
+            signatory: "Authorized Signatory"
+        })
+    }
+};
+
+// Values used to fill placeholders when previewing a template
+const PREVIEW_DATA = {
+    nomineeName: "Jane Doe",
+    categoryName: "Innovation in Engineering",
+    awardYear: String(new Date().getFullYear()),
+    certificateId: "PREVIEW-0000-000000"
+};
+
+/**
+ * Resolve a block or line color (palette key or hex value) to a hex value
+ */
+const resolveColor = (template, color) => {
+    if (HEX_COLOR.test(color || "")) return color;
+    return (template.palette && template.palette[color]) || "#333333";
+};
+
+/**
+ * Fresh copy of the built-in template for a certificate type
+ */
+const getDefaultTemplate = (certificateType) => {
+    const template = DEFAULT_TEMPLATES[certificateType] || DEFAULT_TEMPLATES.participation;
+    return JSON.parse(JSON.stringify(template));
+};
+
+module.exports = {
+    CERTIFICATE_TYPES,
+    PLACEHOLDERS,
+    FONTS,
+    PALETTE_KEYS,
+    HEX_COLOR,
+    DEFAULT_TEMPLATES,
+    PREVIEW_DATA,
+    resolveColor,
+    getDefaultTemplate
+};
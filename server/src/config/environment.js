@@ -296,7 +296,7 @@ class EnvironmentConfig {
             },
             credentials: true,
             methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-            allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'X-Session-ID', 'X-Fingerprint', 'X-KeepAlive'],
+            allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'X-Session-ID', 'X-Fingerprint', 'X-KeepAlive', 'X-Certificate-Portal-Token'],
             exposedHeaders: ['X-Total-Count'],
             preflightContinue: false,
             optionsSuccessStatus: 204
@@ -212,6 +212,21 @@ const iotUpload = multer({
   }
 });
 
+// Certificates uploaded for verification are only checked, never stored
+const certificateVerificationUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit for certificate PDFs
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === "application/pdf" || path.extname(file.originalname).toLowerCase() === ".pdf") {
+      cb(null, true);
+    } else {
+      cb(new Error("Only PDF files can be verified!"), false);
+    }
+  }
+});
+
 // Log storage mode
 if (useCloudinary) {
   console.log('✅ File uploads configured with Cloudinary (cloud storage)');
@@ -233,6 +248,7 @@ module.exports = {
   jobPosterUpload,
   jobApplicationUpload,
   resumeUpload: jobApplicationUpload,
+  certificateVerificationUpload,
   // Legacy export for backward compatibility
   upload: profileUpload,
   useCloudinary // Export for use in controllers
@@ -136,6 +136,62 @@ const rateLimits = {
     60 * 60 * 1000, // 1 hour
     10,
     "Too many job applications from this IP, please try again later."
+  ),
+
+  // Certificate PDF checks - each upload is parsed and its signature verified
+  certificateVerification: createRateLimit(
+    15 * 60 * 1000, // 15 minutes
+    30,
+    "Too many certificate checks, please try again later."
+  ),
+
+  // Certificate portal sign-in - requesting and opening magic links
+  certificatePortal: createRateLimit(
+    60 * 60 * 1000, // 1 hour
+    10,
+    "Too many sign-in link requests, please try again later."
+  ),
+
+  // Applicant interview links - viewing and booking slots
+  interviewScheduling: createRateLimit(
+    15 * 60 * 1000, // 15 minutes
+    60,
+    "Too many interview scheduling requests, please try again later."
+  ),
+
+  // Applicant status links - viewing, resume updates and withdrawal
+  applicationStatus: createRateLimit(
+    15 * 60 * 1000, // 15 minutes
+    40,
+    "Too many application status requests, please try again later."
+  ),
+
+  // Customer quotation links - viewing, PDF downloads and responses
+  quotation: createRateLimit(
+    15 * 60 * 1000, // 15 minutes
+    60,
+    "Too many quotation requests, please try again later."
+  ),
+
+  // Shopping cart reads and saves - every quantity change saves the cart
+  cart: createRateLimit(
+    15 * 60 * 1000, // 15 minutes
+    300,
+    "Too many cart updates, please slow down."
+  ),
+
+  // Pay links - the payment page polls the status while the customer approves on their phone
+  payment: createRateLimit(
+    15 * 60 * 1000, // 15 minutes
+    200,
+    "Too many payment requests, please slow down."
+  ),
+
+  // Starting a mobile money payment - each attempt sends a prompt to the payer's phone
+  paymentRequest: createRateLimit(
+    60 * 60 * 1000, // 1 hour
+    10,
+    "Too many payment attempts, please try again later."
   )
 };
 
@@ -519,8 +519,8 @@ class AdminController {
             const { userId } = req.params;
             const { role } = req.body;
 
-            if (!["user", "admin"].includes(role)) {
-                return next(new AppError('Invalid role. Must be "user" or "admin"', 400));
+            if (!["user", "admin", "judge"].includes(role)) {
+                return next(new AppError('Invalid role. Must be "user", "admin" or "judge"', 400));
             }
 
             const user = await User.findByIdAndUpdate(
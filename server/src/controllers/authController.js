@@ -2,6 +2,7 @@ const bcrypt = require('bcryptjs');
 const { User } = require('../models');
 const { AppError } = require('../middleware/errorHandler');
 const emailService = require('../services/emailService');
+const cartService = require('../services/cartService');
 const jwt = require('jsonwebtoken');
 
 const getAuthCookieOptions = () => ({
@@ -54,6 +55,16 @@ const signAccessToken = (user) => jwt.sign(
     }
 );
 
+// Carry anything a guest put in their cart over to the account they just
+// signed into. A failed merge leaves the guest cart alone and never blocks login.
+const mergeGuestCart = async (req, user) => {
+    try {
+        await cartService.mergeGuestCart(req.sessionID, user._id);
+    } catch (error) {
+        console.error('Failed to merge guest cart:', error);
+    }
+};
+
 const getRequestContext = (req) => {
     const forwardedFor = req.headers["x-forwarded-for"];
     const ipAddress = Array.isArray(forwardedFor)
@@ -130,6 +141,8 @@ class AuthController {
                 createdAt: user.createdAt
             }));
             
+            await mergeGuestCart(req, user);
+
             req.session.userId = user._id;
             req.session.userName = user.name;
 
@@ -186,6 +199,8 @@ class AuthController {
             user.lastLoginIP = requestContext.ipAddress || user.lastLoginIP;
             user.loginCount = (user.loginCount || 0) + 1;
             
+            await mergeGuestCart(req, user);
+
             // Create user session - this is what keeps them logged in
             req.session.userId = user._id;
             req.session.userName = user.name;
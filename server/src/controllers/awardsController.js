@@ -1,20 +1,356 @@
-const { AwardCategory, Nomination } = require("../models");
+const { AwardEdition, AwardCategory, Nomination, PendingVote, VoteAuditLog, JudgeScore } = require("../models");
 const { validationResult } = require("express-validator");
+const jwt = require("jsonwebtoken");
 const path = require("path");
 const fs = require("fs").promises;
 const emailService = require("../services/emailService");
 const certificateService = require("../services/certificateService");
+const voteFraudService = require("../services/voteFraudService");
+const awardResultsService = require("../services/awardResultsService");
 const { useCloudinary } = require("../config/fileUpload");
 const cache = require("../services/cacheService");
 const logger = require("../utils/logger");
 const { getUploadedFileUrl } = require("../utils/uploadedFileUrl");
+const { getClientUrl } = require("../utils/clientUrl");
 
 // Helper function to get correct file URL (Cloudinary or local)
 const getFileUrl = (file, folder = 'awards') => {
   return getUploadedFileUrl(file, folder);
 };
 
+// Resolve the edition a request is scoped to: an explicit ?edition=<id> or the
+// current edition. Resolves to null when no editions exist yet so legacy,
+// unscoped data keeps working; "all" disables scoping for admin views.
+const resolveEdition = async (editionId) => {
+  if (editionId === "all") return null;
+  if (editionId) {
+    if (!/^[0-9a-fA-F]{24}$/.test(editionId)) return undefined;
+    return (await AwardEdition.findById(editionId)) || undefined;
+  }
+  return AwardEdition.getCurrent();
+};
+
+const editionNotFound = (res) => res.status(404).json({
+  status: "error",
+  message: "Award edition not found"
+});
+
+// Voting windows are time dependent, so they are computed per request rather than cached
+const withVotingWindows = (categories, edition) => categories.map(category => ({
+  ...category,
+  votingWindow: AwardCategory.getVotingWindow(category, edition)
+}));
+
+// Votes only count once confirmed through a signed link emailed to the voter
+const VOTE_CONFIRMATION_HOURS = 24;
+const getVoteTokenSecret = () =>
+  process.env.VOTE_CONFIRMATION_SECRET || process.env.JWT_SECRET || 'fallback-secret-key-change-in-production';
+
+const createVoteConfirmationToken = (pendingVote) => jwt.sign(
+  {
+    purpose: "vote-confirmation",
+    pendingVoteId: pendingVote._id.toString(),
+    nominationId: pendingVote.nomination.toString(),
+    voterEmail: pendingVote.voterEmail
+  },
+  getVoteTokenSecret(),
+  { expiresIn: `${VOTE_CONFIRMATION_HOURS}h` }
+);
+
+// Publish results for the given categories, then queue a certificate job so
+// the admin isn't kept waiting on PDF generation and email
+const publishResults = async (categories, publishedBy) => {
+  const published = [];
+  for (const category of categories) {
+    published.push(await awardResultsService.publishCategory(category, publishedBy));
+  }
+
+  cache.invalidateNominations();
+  cache.invalidateAwardCategories();
+  logger.logInfo('AwardsController', 'Award results published', {
+    categories: categories.map(category => category.name),
+    publishedBy
+  });
+
+  const certificateJob = await awardResultsService.issueCertificates(categories, publishedBy);
+
+  return { published, certificateJob };
+};
+
+const votingClosedMessage = (categoryName, votingWindow) => {
+  if (votingWindow.status === "upcoming") {
+    return `Voting for ${categoryName} opens on ${new Date(votingWindow.opensAt).toUTCString()}`;
+  }
+  if (votingWindow.resultsPublished) {
+    return `Voting for ${categoryName} has closed and the results are published`;
+  }
+  return `Voting for ${categoryName} closed on ${new Date(votingWindow.closesAt).toUTCString()}`;
+};
+
+// Shared by the bulk void and restore endpoints of the vote review queue
+const handleVoteVoiding = async (req, res, next, voided) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: "error",
+        message: "Validation failed",
+        errors: errors.array()
+      });
+    }
+
+    const { votes, reason } = req.body;
+    const result = await voteFraudService.setVotesVoided(votes, {
+      voided,
+      reason: reason?.trim(),
+      performedBy: req.user?._id || null
+    });
+
+    cache.invalidateNominations();
+    logger.logInfo('AwardsController', `Votes ${voided ? "voided" : "restored"}, cache invalidated`, {
+      totalChanged: result.totalChanged,
+      nominations: result.nominations.length,
+      performedBy: req.user?._id
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: `${result.totalChanged} vote(s) ${voided ? "voided" : "restored"}`,
+      data: result
+    });
+  } catch (error) {
+    logger.logError('AwardsController', error, { context: voided ? 'voidVotes' : 'restoreVotes' });
+    next(error);
+  }
+};
+
 class AwardsController {
+    // =====================
+    // EDITION MANAGEMENT
+    // =====================
+
+    // Get all award editions (current and archived)
+    async getEditions(req, res, next) {
+        try {
+            const editions = await AwardEdition.find().sort({ year: -1 });
+
+            res.status(200).json({
+                status: "success",
+                data: { editions }
+            });
+        } catch (error) {
+            logger.logError('AwardsController', error, { context: 'getEditions' });
+            next(error);
+        }
+    }
+
+    // Create new award edition (admin only)
+    async createEdition(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    status: "error",
+                    message: "Validation failed",
+                    errors: errors.array()
+                });
+            }
+
+            const {
+                name,
+                year,
+                description,
+                nominationOpensAt,
+                nominationClosesAt,
+                votingOpensAt,
+                votingClosesAt,
+                resultsAnnouncedAt,
+                isCurrent,
+                copyCategoriesFrom
+            } = req.body;
+
+            let sourceEdition = null;
+            if (copyCategoriesFrom) {
+                sourceEdition = await AwardEdition.findById(copyCategoriesFrom);
+                if (!sourceEdition) return editionNotFound(res);
+            }
+
+            // The first edition ever created becomes current automatically
+            const makeCurrent = Boolean(isCurrent) || (await AwardEdition.countDocuments()) === 0;
+            if (makeCurrent) {
+                await AwardEdition.updateMany({ isCurrent: true }, { isCurrent: false });
+            }
+
+            const edition = await AwardEdition.create({
+                name: name.trim(),
+                year: String(year).trim(),
+                description: description?.trim(),
+                nominationOpensAt,
+                nominationClosesAt,
+                votingOpensAt,
+                votingClosesAt,
+                resultsAnnouncedAt,
+                isCurrent: makeCurrent
+            });
+
+            // Carry last cycle's categories forward so a new edition can start quickly
+            let copiedCategories = 0;
+            if (sourceEdition) {
+                const sourceCategories = await AwardCategory.find({ edition: sourceEdition._id, isActive: true });
+                if (sourceCategories.length > 0) {
+                    await AwardCategory.insertMany(sourceCategories.map(category => ({
+                        name: category.name,
+                        description: category.description,
+                        icon: category.icon,
+                        iconName: category.iconName,
+                        rubric: category.rubric.map(({ name, description, weight, maxScore }) => ({ name, description, weight, maxScore })),
+                        judgeWeight: category.judgeWeight,
+                        finalistCount: category.finalistCount,
+                        edition: edition._id,
+                        isActive: true
+                    })));
+                    copiedCategories = sourceCategories.length;
+                }
+            }
+
+            cache.invalidateAwardCategories();
+            cache.invalidateNominations();
+            logger.logInfo('AwardsController', 'Award edition created', { editionId: edition._id, copiedCategories });
+
+            res.status(201).json({
+                status: "success",
+                message: "Award edition created successfully",
+                data: { edition, copiedCategories }
+            });
+        } catch (error) {
+            logger.logError('AwardsController', error, { context: 'createEdition' });
+            if (error.code === 11000) {
+                return res.status(400).json({
+                    status: "error",
+                    message: "An edition for this year already exists"
+                });
+            }
+            next(error);
+        }
+    }
+
+    // Update award edition details and dates (admin only)
+    async updateEdition(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    status: "error",
+                    message: "Validation failed",
+                    errors: errors.array()
+                });
+            }
+
+            const allowedFields = [
+                "name",
+                "year",
+                "description",
+                "nominationOpensAt",
+                "nominationClosesAt",
+                "votingOpensAt",
+                "votingClosesAt",
+                "resultsAnnouncedAt"
+            ];
+            const updateData = {};
+            allowedFields.forEach(field => {
+                if (req.body[field] !== undefined) {
+                    updateData[field] = req.body[field] === "" ? null : req.body[field];
+                }
+            });
+
+            const edition = await AwardEdition.findByIdAndUpdate(
+                req.params.id,
+                updateData,
+                { new: true, runValidators: true }
+            );
+
+            if (!edition) return editionNotFound(res);
+
+            cache.invalidateAwardCategories();
+            cache.invalidateNominations();
+            logger.logInfo('AwardsController', 'Award edition updated', { editionId: edition._id });
+
+            res.status(200).json({
+                status: "success",
+                message: "Award edition updated successfully",
+                data: { edition }
+            });
+        } catch (error) {
+            logger.logError('AwardsController', error, { context: 'updateEdition', editionId: req.params.id });
+            if (error.code === 11000) {
+                return res.status(400).json({
+                    status: "error",
+                    message: "An edition for this year already exists"
+                });
+            }
+            next(error);
+        }
+    }
+
+    // Make an edition the current one shown on the public awards page (admin only)
+    async setCurrentEdition(req, res, next) {
+        try {
+            const edition = await AwardEdition.findById(req.params.id);
+            if (!edition) return editionNotFound(res);
+
+            await AwardEdition.updateMany({ _id: { $ne: edition._id }, isCurrent: true }, { isCurrent: false });
+            edition.isCurrent = true;
+            await edition.save();
+
+            cache.invalidateAwardCategories();
+            cache.invalidateNominations();
+            logger.logInfo('AwardsController', 'Current award edition changed', { editionId: edition._id });
+
+            res.status(200).json({
+                status: "success",
+                message: `${edition.name} is now the current edition`,
+                data: { edition }
+            });
+        } catch (error) {
+            logger.logError('AwardsController', error, { context: 'setCurrentEdition', editionId: req.params.id });
+            next(error);
+        }
+    }
+
+    // Delete an empty award edition (admin only)
+    async deleteEdition(req, res, next) {
+        try {
+            const editionId = req.params.id;
+
+            const [categoryCount, nominationCount] = await Promise.all([
+                AwardCategory.countDocuments({ edition: editionId }),
+                Nomination.countDocuments({ edition: editionId })
+            ]);
+
+            if (categoryCount > 0 || nominationCount > 0) {
+                return res.status(400).json({
+                    status: "error",
+                    message: `Cannot delete edition. It still has ${categoryCount} category(ies) and ${nominationCount} nomination(s).`
+                });
+            }
+
+            const edition = await AwardEdition.findByIdAndDelete(editionId);
+            if (!edition) return editionNotFound(res);
+
+            cache.invalidateAwardCategories();
+            logger.logInfo('AwardsController', 'Award edition deleted', { editionId });
+
+            res.status(200).json({
+                status: "success",
+                message: "Award edition deleted successfully",
+                data: { edition }
+            });
+        } catch (error) {
+            logger.logError('AwardsController', error, { context: 'deleteEdition', editionId: req.params.id });
+            next(error);
+        }
+    }
+
     // =====================
     // CATEGORY MANAGEMENT
     // =====================
@@ -22,20 +358,29 @@ class AwardsController {
     // Get all award categories
     async getCategories(req, res, next) {
         try {
+            const edition = await resolveEdition(req.query.edition);
+            if (edition === undefined) return editionNotFound(res);
+            const cacheKey = edition ? edition._id.toString() : 'unscoped';
+
             // Try to get from cache
-            const cachedCategories = cache.getCachedAwardCategories();
+            const cachedCategories = cache.getCachedAwardCategories(cacheKey);
             if (cachedCategories) {
-                logger.logDebug('AwardsController', 'Serving cached award categories');
+                logger.logDebug('AwardsController', 'Serving cached award categories', { cacheKey });
                 return res.status(200).json({
                     status: "success",
                     data: {
-                        categories: cachedCategories
+                        categories: withVotingWindows(cachedCategories, edition),
+                        edition,
+                        votingWindow: AwardCategory.getVotingWindow({}, edition)
                     },
                     cached: true
                 });
             }
             
-            const categories = await AwardCategory.find({ isActive: true })
+            const categoryFilter = { isActive: true };
+            if (edition) categoryFilter.edition = edition._id;
+
+            const categories = await AwardCategory.find(categoryFilter)
                 .sort({ name: 1 });
             
             // Get nomination counts for each category
@@ -58,13 +403,15 @@ class AwardsController {
             );
 
             // Cache for 1 hour
-            cache.cacheAwardCategories(categoriesWithCounts);
-            logger.logDebug('AwardsController', 'Award categories cached', { count: categoriesWithCounts.length });
+            cache.cacheAwardCategories(categoriesWithCounts, cacheKey);
+            logger.logDebug('AwardsController', 'Award categories cached', { count: categoriesWithCounts.length, cacheKey });
 
             res.status(200).json({
                 status: "success",
                 data: {
-                    categories: categoriesWithCounts
+                    categories: withVotingWindows(categoriesWithCounts, edition),
+                    edition,
+                    votingWindow: AwardCategory.getVotingWindow({}, edition)
                 }
             });
         } catch (error) {
@@ -88,12 +435,22 @@ class AwardsController {
                 });
             }
 
-            const { name, description, icon, isActive } = req.body;
+            const { name, description, icon, isActive, votingOpensAt, votingClosesAt, rubric, judgeWeight, finalistCount } = req.body;
+
+            // New categories belong to the requested edition, or the current one
+            const edition = await resolveEdition(req.body.edition);
+            if (edition === undefined) return editionNotFound(res);
             
             const category = await AwardCategory.create({
                 name: name.trim(),
                 description: description.trim(),
                 icon: icon || "🏆",
+                edition: edition ? edition._id : null,
+                votingOpensAt: votingOpensAt || null,
+                votingClosesAt: votingClosesAt || null,
+                rubric: rubric || [],
+                judgeWeight,
+                finalistCount,
                 isActive: isActive !== undefined ? isActive : true,
                 createdAt: new Date()
             });
@@ -134,19 +491,28 @@ class AwardsController {
                 });
             }
 
-            const { name, description, icon, isActive } = req.body;
+            const { name, description, icon, isActive, votingOpensAt, votingClosesAt, rubric, judgeWeight, finalistCount } = req.body;
             const categoryId = req.params.id;
 
+            const update = {
+                name,
+                description,
+                icon,
+                isActive: isActive !== undefined ? isActive : true,
+                updatedAt: new Date()
+            };
+            // Empty values clear the override so the edition's window applies
+            if (votingOpensAt !== undefined) update.votingOpensAt = votingOpensAt || null;
+            if (votingClosesAt !== undefined) update.votingClosesAt = votingClosesAt || null;
+            // Criteria keep their _id when edited so existing judge scores still match
+            if (rubric !== undefined) update.rubric = rubric;
+            if (judgeWeight !== undefined) update.judgeWeight = judgeWeight;
+            if (finalistCount !== undefined) update.finalistCount = finalistCount;
+
             const category = await AwardCategory.findByIdAndUpdate(
                 categoryId,
-                {
-                    name,
-                    description,
-                    icon,
-                    isActive: isActive !== undefined ? isActive : true,
-                    updatedAt: new Date()
-                },
-                { new: true }
+                update,
+                { new: true, runValidators: true }
             );
 
             if (!category) {
@@ -282,6 +648,24 @@ class AwardsController {
                 });
             }
 
+            // Nominations belong to the category's edition and are only
+            // accepted while that edition's nomination window is open
+            const categoryDoc = await AwardCategory.findById(category).populate("edition");
+            if (!categoryDoc) {
+                return res.status(400).json({
+                    status: "error",
+                    message: "Selected award category does not exist"
+                });
+            }
+
+            const edition = categoryDoc.edition || await AwardEdition.getCurrent();
+            if (edition && !edition.isNominationOpen()) {
+                return res.status(400).json({
+                    status: "error",
+                    message: `Nominations for ${edition.name} are closed`
+                });
+            }
+
             // Handle photo upload with enhanced error handling
             let nomineePhotoPath = "";
             if (req.file) {
@@ -333,6 +717,7 @@ class AwardsController {
                     nomineeCompany: nomineeCompany?.trim(),
                     nomineeCountry: nomineeCountry?.trim() || "Uganda",
                     nomineePhoto: nomineePhotoPath,
+                    edition: edition ? edition._id : null,
                     category,
                     nominationReason: nominationReason?.trim() || "",
                     achievements: achievements?.trim(),
@@ -471,8 +856,11 @@ class AwardsController {
                 search
             } = req.query;
 
+            const edition = await resolveEdition(req.query.edition);
+            if (edition === undefined) return editionNotFound(res);
+
             // Create cache key based on query params
-            const cacheKey = `${category || 'all'}:${status}:${country || 'all'}:${page}:${limit}:${sortBy}:${sortOrder}:${search || 'all'}`;
+            const cacheKey = `${edition ? edition._id : 'unscoped'}:${category || 'all'}:${status}:${country || 'all'}:${page}:${limit}:${sortBy}:${sortOrder}:${search || 'all'}`;
             
             // Try to get from cache
             const cachedNominations = cache.getCachedNominations(cacheKey);
@@ -487,6 +875,7 @@ class AwardsController {
 
             // Build filter object
             const filter = {};
+            if (edition) filter.edition = edition._id;
             if (category) filter.category = category;
             if (status) filter.status = status;
             if (country) filter.nomineeCountry = new RegExp(country, "i");
@@ -595,7 +984,9 @@ class AwardsController {
             const { voterEmail, voterName } = req.body;
             const ipAddress = req.ip || req.connection.remoteAddress;
 
-            const nomination = await Nomination.findById(id);
+            const nomination = await Nomination.findById(id)
+                .populate("category", "name votingOpensAt votingClosesAt")
+                .populate("edition");
             if (!nomination) {
                 return res.status(404).json({
                     status: "error",
@@ -611,6 +1002,16 @@ class AwardsController {
                 });
             }
 
+            // Check the category (or edition) voting window
+            const votingWindow = AwardCategory.getVotingWindow(nomination.category || {}, nomination.edition);
+            if (!votingWindow.isOpen) {
+                return res.status(403).json({
+                    status: "error",
+                    message: votingClosedMessage(nomination.category?.name || "this category", votingWindow),
+                    data: { votingWindow }
+                });
+            }
+
             // Check if email already voted
             if (nomination.hasVoted(voterEmail)) {
                 return res.status(400).json({
@@ -619,25 +1020,52 @@ class AwardsController {
                 });
             }
 
-            // Add vote
-            await nomination.addVote({
-                voterEmail: voterEmail.toLowerCase().trim(),
-                voterName: voterName?.trim(),
-                ipAddress
-            });
+            // Record a pending vote; voting again before confirming refreshes the link
+            const normalizedEmail = voterEmail.toLowerCase().trim();
+            const expiresAt = new Date(Date.now() + VOTE_CONFIRMATION_HOURS * 60 * 60 * 1000);
+            const pendingVote = await PendingVote.findOneAndUpdate(
+                { nomination: nomination._id, voterEmail: normalizedEmail },
+                { voterName: voterName?.trim(), ipAddress, expiresAt },
+                { new: true, upsert: true, setDefaultsOnInsert: true }
+            );
 
-            // Invalidate nominations cache after vote
-            cache.invalidateNominations();
-            logger.logInfo('AwardsController', 'Vote submitted, cache invalidated', { 
+            const token = createVoteConfirmationToken(pendingVote);
+            const confirmUrl = `${getClientUrl()}/awards?confirmVote=${encodeURIComponent(token)}`;
+
+            try {
+                await emailService.sendVoteConfirmation({
+                    voterEmail: normalizedEmail,
+                    voterName: pendingVote.voterName,
+                    nomineeName: nomination.nomineeName,
+                    categoryName: nomination.category?.name,
+                    confirmUrl,
+                    expiresAt
+                });
+            } catch (emailError) {
+                // Without the email the voter can never confirm, so drop the pending vote
+                await PendingVote.deleteOne({ _id: pendingVote._id });
+                logger.logError('AwardsController', 'Failed to send vote confirmation email', {
+                    error: emailError.message,
+                    nominationId: nomination._id
+                });
+                return res.status(502).json({
+                    status: "error",
+                    message: "We couldn't send the confirmation email. Please check your address and try again."
+                });
+            }
+
+            logger.logInfo('AwardsController', 'Pending vote recorded, confirmation email sent', { 
                 nominationId: nomination._id,
-                voterEmail 
+                voterEmail: normalizedEmail
             });
 
             // Build response with optional email suggestion
             const response = {
                 status: "success",
-                message: "Vote submitted successfully!",
+                message: "Almost done! Check your email and click the link to confirm your vote.",
                 data: {
+                    pending: true,
+                    expiresAt,
                     nomination: {
                         _id: nomination._id,
                         nomineeName: nomination.nomineeName,
@@ -649,12 +1077,12 @@ class AwardsController {
             // Include email suggestion if available
             if (req.emailSuggestion) {
                 response.suggestion = {
-                    message: `Did you mean ${req.emailSuggestion}? Your vote was counted, but you might want to use the correct email next time.`,
+                    message: `Did you mean ${req.emailSuggestion}? Your confirmation link was sent to the address you entered.`,
                     suggestedEmail: req.emailSuggestion
                 };
             }
 
-            res.status(200).json(response);
+            res.status(202).json(response);
         } catch (error) {
             logger.logError('AwardsController', 'Error submitting vote', { 
                 error: error.message, 
@@ -670,20 +1098,42 @@ class AwardsController {
         }
     }
 
-    // Check if email has voted for nomination
-    async checkVoteStatus(req, res, next) {
+    // Confirm a pending vote from the emailed link so it counts
+    async confirmVote(req, res, next) {
         try {
-            const { id } = req.params;
-            const { email } = req.query;
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    status: "error",
+                    message: "Validation failed",
+                    errors: errors.array()
+                });
+            }
 
-            if (!email) {
+            const { token } = req.body;
+
+            let payload;
+            try {
+                payload = jwt.verify(token, getVoteTokenSecret());
+            } catch (tokenError) {
                 return res.status(400).json({
                     status: "error",
-                    message: "Email is required"
+                    message: tokenError.name === "TokenExpiredError"
+                        ? "This confirmation link has expired. Please vote again to receive a new link."
+                        : "This confirmation link is invalid."
                 });
             }
 
-            const nomination = await Nomination.findById(id);
+            if (payload.purpose !== "vote-confirmation") {
+                return res.status(400).json({
+                    status: "error",
+                    message: "This confirmation link is invalid."
+                });
+            }
+
+            const nomination = await Nomination.findById(payload.nominationId)
+                .populate("category", "name votingOpensAt votingClosesAt")
+                .populate("edition");
             if (!nomination) {
                 return res.status(404).json({
                     status: "error",
@@ -691,37 +1141,158 @@ class AwardsController {
                 });
             }
 
-            const hasVoted = nomination.hasVoted(email);
+            // Clicking the link twice is harmless
+            if (nomination.hasVoted(payload.voterEmail)) {
+                await PendingVote.deleteOne({ _id: payload.pendingVoteId });
+                return res.status(200).json({
+                    status: "success",
+                    message: "Your vote has already been confirmed.",
+                    data: {
+                        nomination: {
+                            _id: nomination._id,
+                            nomineeName: nomination.nomineeName,
+                            totalVotes: nomination.totalVotes
+                        }
+                    }
+                });
+            }
+
+            if (nomination.status !== "approved") {
+                return res.status(400).json({
+                    status: "error",
+                    message: "This nomination is not available for voting"
+                });
+            }
+
+            const votingWindow = AwardCategory.getVotingWindow(nomination.category || {}, nomination.edition);
+            if (!votingWindow.isOpen) {
+                return res.status(403).json({
+                    status: "error",
+                    message: votingClosedMessage(nomination.category?.name || "this category", votingWindow),
+                    data: { votingWindow }
+                });
+            }
+
+            // Claim the pending vote in one step so two clicks at the same
+            // time can't both count it
+            const pendingVote = await PendingVote.findOneAndDelete({
+                _id: payload.pendingVoteId,
+                nomination: nomination._id,
+                voterEmail: payload.voterEmail,
+                expiresAt: { $gt: new Date() }
+            });
+            if (!pendingVote) {
+                return res.status(410).json({
+                    status: "error",
+                    message: "This vote has expired or was already confirmed. Please vote again if it doesn't show."
+                });
+            }
+
+            try {
+                await nomination.addVote({
+                    voterEmail: pendingVote.voterEmail,
+                    voterName: pendingVote.voterName,
+                    ipAddress: pendingVote.ipAddress
+                });
+            } catch (voteError) {
+                // Put the claim back so the link still works once the problem is fixed
+                await PendingVote.create(pendingVote.toObject()).catch(() => null);
+                throw voteError;
+            }
+
+            // Invalidate nominations cache after vote
+            cache.invalidateNominations();
+            logger.logInfo('AwardsController', 'Vote confirmed, cache invalidated', { 
+                nominationId: nomination._id,
+                voterEmail: pendingVote.voterEmail
+            });
 
             res.status(200).json({
                 status: "success",
+                message: "Vote confirmed! Thank you for your support!",
                 data: {
-                    hasVoted,
-                    totalVotes: nomination.totalVotes
+                    nomination: {
+                        _id: nomination._id,
+                        nomineeName: nomination.nomineeName,
+                        totalVotes: nomination.totalVotes
+                    }
                 }
             });
         } catch (error) {
+            logger.logError('AwardsController', 'Error confirming vote', { error: error.message });
+            if (error.message.includes("already voted")) {
+                return res.status(400).json({
+                    status: "error",
+                    message: error.message
+                });
+            }
             next(error);
         }
     }
 
-    // =====================
-    // ADMIN FUNCTIONS
-    // =====================
-    
-    // Get all nominations for admin (including pending)
-    async getAdminNominations(req, res, next) {
+    // Check if email has voted for nomination
+    async checkVoteStatus(req, res, next) {
         try {
-            const { 
-                status, 
-                category, 
-                page = 1, 
-                limit = 50,
-                sortBy = "createdAt",
-                sortOrder = "desc" 
+            const { id } = req.params;
+            const { email } = req.query;
+
+            if (!email) {
+                return res.status(400).json({
+                    status: "error",
+                    message: "Email is required"
+                });
+            }
+
+            const nomination = await Nomination.findById(id);
+            if (!nomination) {
+                return res.status(404).json({
+                    status: "error",
+                    message: "Nomination not found"
+                });
+            }
+
+            const hasVoted = nomination.hasVoted(email);
+            const pendingVote = hasVoted ? null : await PendingVote.findOne({
+                nomination: nomination._id,
+                voterEmail: email.toLowerCase().trim(),
+                expiresAt: { $gt: new Date() }
+            });
+
+            res.status(200).json({
+                status: "success",
+                data: {
+                    hasVoted,
+                    voteStatus: hasVoted ? "confirmed" : pendingVote ? "pending" : "none",
+                    pendingExpiresAt: pendingVote?.expiresAt || null,
+                    totalVotes: nomination.totalVotes
+                }
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    // =====================
+    // ADMIN FUNCTIONS
+    // =====================
+    
+    // Get all nominations for admin (including pending)
+    async getAdminNominations(req, res, next) {
+        try {
+            const { 
+                status, 
+                category, 
+                page = 1, 
+                limit = 50,
+                sortBy = "createdAt",
+                sortOrder = "desc" 
             } = req.query;
 
+            const edition = await resolveEdition(req.query.edition);
+            if (edition === undefined) return editionNotFound(res);
+
             const filter = {};
+            if (edition) filter.edition = edition._id;
             if (status) filter.status = status;
             if (category) filter.category = category;
 
@@ -732,6 +1303,7 @@ class AwardsController {
 
             const nominations = await Nomination.find(filter)
                 .populate("category", "name description icon")
+                .populate("edition", "name year")
                 .populate("reviewedBy", "name email")
                 .sort(sort)
                 .skip(skip)
@@ -741,6 +1313,7 @@ class AwardsController {
 
             // Get status summary
             const statusSummary = await Nomination.aggregate([
+                { $match: edition ? { edition: edition._id } : {} },
                 { $group: { _id: "$status", count: { $sum: 1 } } }
             ]);
 
@@ -785,7 +1358,7 @@ class AwardsController {
                     reviewedAt: new Date()
                 },
                 { new: true, runValidators: true }
-            ).populate("category");
+            ).populate("category").populate("edition");
 
             if (!nomination) {
                 return res.status(404).json({
@@ -808,39 +1381,9 @@ class AwardsController {
                             return;
                         }
                         
-                        // Generate certificate ID if not exists
-                        if (!nomination.certificateId) {
-                            nomination.certificateId = certificateService.generateCertificateId(
-                                nomination._id.toString(),
-                                status
-                            );
-                        }
-
-                        const certificateData = {
-                            nomineeName: nomination.nomineeName,
-                            categoryName: nomination.category.name,
-                            awardYear: '2025',
-                            issueDate: new Date(),
-                            certificateId: nomination.certificateId,
-                            nomineePhoto: nomination.nomineePhoto
-                        };
-
-                        let certificatePath;
-                        if (status === 'winner') {
-                            certificatePath = await certificateService.generateWinnerCertificate(certificateData);
-                        } else if (status === 'finalist') {
-                            certificatePath = await certificateService.generateFinalistCertificate(certificateData);
-                        } else {
-                            certificatePath = await certificateService.generateParticipationCertificate(certificateData);
-                        }
-
-                        // Save certificate info to nomination
-                        const filename = certificatePath.split('\\').pop();
-                        nomination.certificateFile = filename;
-                        nomination.certificateGeneratedAt = new Date();
-                        await nomination.save();
+                        const certificate = await certificateService.generateNominationCertificate(nomination);
 
-                        console.log(`✅ Certificate auto-generated: ${filename}`);
+                        console.log(`✅ Certificate auto-generated: ${certificate.certificateFile}`);
                     } catch (certError) {
                         console.error('⚠️ Error auto-generating certificate:', certError);
                     }
@@ -1033,6 +1576,10 @@ class AwardsController {
     async getAwardsStats(req, res, next) {
         try {
             console.log("📊 Getting awards statistics...");
+
+            const edition = await resolveEdition(req.query.edition);
+            if (edition === undefined) return editionNotFound(res);
+            const editionMatch = edition ? { edition: edition._id } : {};
             
             // Check if Nomination model is available
             if (!Nomination) {
@@ -1048,11 +1595,12 @@ class AwardsController {
             let stats = [];
             try {
                 // Try simple count first to test database connection
-                const totalCount = await Nomination.countDocuments();
+                const totalCount = await Nomination.countDocuments(editionMatch);
                 console.log("✅ Total nominations count:", totalCount);
                 
                 // Now try the aggregation
                 stats = await Nomination.aggregate([
+                    { $match: editionMatch },
                     {
                         $group: {
                             _id: null,
@@ -1084,6 +1632,7 @@ class AwardsController {
             let categoryStats = [];
             try {
                 categoryStats = await Nomination.aggregate([
+                    { $match: editionMatch },
                     {
                         $group: {
                             _id: "$category",
@@ -1122,7 +1671,7 @@ class AwardsController {
             // Get top nominations with error handling
             let topNominations = [];
             try {
-                topNominations = await Nomination.find({ status: "approved" })
+                topNominations = await Nomination.find({ ...editionMatch, status: "approved" })
                     .sort({ votes: -1 })
                     .limit(10)
                     .populate("category", "name")
@@ -1147,7 +1696,8 @@ class AwardsController {
                         internationalNominees: 0
                     },
                     categoryStats: categoryStats || [],
-                    topNominations: topNominations || []
+                    topNominations: topNominations || [],
+                    edition
                 }
             });
         } catch (error) {
@@ -1165,6 +1715,440 @@ class AwardsController {
             });
         }
     }
+
+    // Get published winners and finalists (?edition=); empty until results are published
+    async getPublishedResults(req, res, next) {
+        try {
+            const edition = await resolveEdition(req.query.edition);
+            if (edition === undefined) return editionNotFound(res);
+
+            const results = await awardResultsService.getPublishedResults(edition ? { edition: edition._id } : {});
+
+            res.status(200).json({
+                status: "success",
+                data: {
+                    edition,
+                    results: results.map(result => ({
+                        ...result,
+                        winners: result.winners.map(nomination => ({
+                            ...nomination.toObject(),
+                            nomineePhoto: nomination.nomineePhoto ? getFileUrl(nomination.nomineePhoto) : null
+                        })),
+                        finalists: result.finalists.map(nomination => ({
+                            ...nomination.toObject(),
+                            nomineePhoto: nomination.nomineePhoto ? getFileUrl(nomination.nomineePhoto) : null
+                        }))
+                    }))
+                }
+            });
+        } catch (error) {
+            logger.logError('AwardsController', error, { context: 'getPublishedResults' });
+            next(error);
+        }
+    }
+
+    // =====================
+    // JUDGING
+    // =====================
+
+    // Get nominations to score, with the category rubric and the judge's own scorecard
+    async getJudgingNominations(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    status: "error",
+                    message: "Validation failed",
+                    errors: errors.array()
+                });
+            }
+
+            const edition = await resolveEdition(req.query.edition);
+            if (edition === undefined) return editionNotFound(res);
+
+            const categoryFilter = { isActive: true };
+            if (edition) categoryFilter.edition = edition._id;
+            if (req.query.category) categoryFilter._id = req.query.category;
+
+            const categories = await AwardCategory.find(categoryFilter)
+                .select("name icon rubric judgeWeight")
+                .sort({ name: 1 });
+
+            const nominations = await Nomination.find({
+                category: { $in: categories.map(category => category._id) },
+                status: { $in: ["approved", "finalist", "winner"] }
+            })
+                .select("nomineeName nomineePhoto nomineeTitle nomineeCompany nomineeCountry nominationReason achievements impactDescription category")
+                .sort({ nomineeName: 1 });
+
+            const myScores = await JudgeScore.find({
+                judge: req.user._id,
+                nomination: { $in: nominations.map(nomination => nomination._id) }
+            });
+            const scoreByNomination = new Map(myScores.map(score => [score.nomination.toString(), score]));
+
+            res.status(200).json({
+                status: "success",
+                data: {
+                    edition,
+                    categories: categories.map(category => ({
+                        ...category.toObject(),
+                        nominations: nominations
+                            .filter(nomination => nomination.category.toString() === category._id.toString())
+                            .map(nomination => ({
+                                ...nomination.toObject(),
+                                nomineePhoto: nomination.nomineePhoto ? getFileUrl(nomination.nomineePhoto) : null,
+                                myScore: scoreByNomination.get(nomination._id.toString()) || null
+                            }))
+                    })),
+                    progress: {
+                        scored: myScores.length,
+                        total: nominations.length
+                    }
+                }
+            });
+        } catch (error) {
+            logger.logError('AwardsController', error, { context: 'getJudgingNominations' });
+            next(error);
+        }
+    }
+
+    // Create or update the current judge's scorecard for a nomination
+    async submitJudgeScore(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    status: "error",
+                    message: "Validation failed",
+                    errors: errors.array()
+                });
+            }
+
+            const { scores, comment } = req.body;
+
+            const nomination = await Nomination.findById(req.params.id).populate("category");
+            if (!nomination || !["approved", "finalist", "winner"].includes(nomination.status)) {
+                return res.status(404).json({
+                    status: "error",
+                    message: "Nomination not found or not open for judging"
+                });
+            }
+
+            const rubric = nomination.category?.rubric || [];
+            if (rubric.length === 0) {
+                return res.status(400).json({
+                    status: "error",
+                    message: "This category has no judging rubric yet"
+                });
+            }
+
+            // Every criterion must be scored within its range
+            for (const criterion of rubric) {
+                const entry = scores.find(item => item.criterion === criterion._id.toString());
+                if (!entry || entry.score < 0 || entry.score > criterion.maxScore) {
+                    return res.status(400).json({
+                        status: "error",
+                        message: `Give "${criterion.name}" a score between 0 and ${criterion.maxScore}`
+                    });
+                }
+            }
+
+            const rubricScores = rubric.map(criterion => ({
+                criterion: criterion._id,
+                score: scores.find(item => item.criterion === criterion._id.toString()).score
+            }));
+
+            const judgeScore = await JudgeScore.findOneAndUpdate(
+                { nomination: nomination._id, judge: req.user._id },
+                {
+                    category: nomination.category._id,
+                    scores: rubricScores,
+                    comment: comment?.trim(),
+                    total: JudgeScore.calculateTotal(rubric, rubricScores)
+                },
+                { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+            );
+
+            logger.logInfo('AwardsController', 'Judge score saved', {
+                nominationId: nomination._id,
+                judgeId: req.user._id,
+                total: judgeScore.total
+            });
+
+            res.status(200).json({
+                status: "success",
+                message: "Score saved",
+                data: { score: judgeScore }
+            });
+        } catch (error) {
+            logger.logError('AwardsController', error, { context: 'submitJudgeScore', nominationId: req.params.id });
+            next(error);
+        }
+    }
+
+    // =====================
+    // RESULTS
+    // =====================
+
+    // Get weighted rankings with proposed winners and finalists per category
+    async getResults(req, res, next) {
+        try {
+            const edition = await resolveEdition(req.query.edition);
+            if (edition === undefined) return editionNotFound(res);
+
+            const results = await awardResultsService.getResults(edition ? { edition: edition._id } : {});
+
+            // Show when each category's results were last approved
+            const approvals = await AwardCategory.find({ _id: { $in: results.map(result => result.category._id) } })
+                .select("resultsApprovedAt resultsApprovedBy")
+                .populate("resultsApprovedBy", "name email");
+            const approvalById = new Map(approvals.map(category => [category._id.toString(), category]));
+
+            res.status(200).json({
+                status: "success",
+                data: {
+                    edition,
+                    results: results.map(result => ({
+                        ...result,
+                        category: {
+                            ...result.category,
+                            resultsApprovedAt: approvalById.get(result.category._id.toString())?.resultsApprovedAt || null,
+                            resultsApprovedBy: approvalById.get(result.category._id.toString())?.resultsApprovedBy || null
+                        }
+                    }))
+                }
+            });
+        } catch (error) {
+            logger.logError('AwardsController', error, { context: 'getResults' });
+            next(error);
+        }
+    }
+
+    // Approve the winners and finalists for a category
+    async approveResults(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    status: "error",
+                    message: "Validation failed",
+                    errors: errors.array()
+                });
+            }
+
+            const { categoryId } = req.params;
+            const winners = [...new Set((req.body.winners || []).map(String))];
+            const finalists = [...new Set((req.body.finalists || []).map(String))];
+
+            if (finalists.some(id => winners.includes(id))) {
+                return res.status(400).json({
+                    status: "error",
+                    message: "A nomination can't be both a winner and a finalist"
+                });
+            }
+
+            const category = await AwardCategory.findById(categoryId);
+            if (!category) {
+                return res.status(404).json({
+                    status: "error",
+                    message: "Category not found"
+                });
+            }
+
+            if (category.resultsPublishedAt) {
+                return res.status(409).json({
+                    status: "error",
+                    message: "Results for this category are already published"
+                });
+            }
+
+            const selectedIds = [...winners, ...finalists];
+            const eligible = await Nomination.countDocuments({
+                category: category._id,
+                status: { $in: ["approved", "finalist", "winner"] },
+                _id: { $in: selectedIds }
+            });
+            if (eligible !== selectedIds.length) {
+                return res.status(400).json({
+                    status: "error",
+                    message: "Winners and finalists must be approved nominations in this category"
+                });
+            }
+
+            await awardResultsService.applySelection(category, { winners, finalists, reviewedBy: req.user._id });
+
+            cache.invalidateNominations();
+            cache.invalidateAwardCategories();
+            logger.logInfo('AwardsController', 'Category results approved', {
+                categoryId,
+                winners: winners.length,
+                finalists: finalists.length,
+                approvedBy: req.user._id
+            });
+
+            res.status(200).json({
+                status: "success",
+                message: `Results approved for ${category.name}`,
+                data: await awardResultsService.rankCategory(category)
+            });
+        } catch (error) {
+            logger.logError('AwardsController', error, { context: 'approveResults', categoryId: req.params.categoryId });
+            next(error);
+        }
+    }
+
+    // Publish one category's results
+    async publishCategoryResults(req, res, next) {
+        try {
+            const category = await AwardCategory.findById(req.params.categoryId);
+            if (!category) {
+                return res.status(404).json({
+                    status: "error",
+                    message: "Category not found"
+                });
+            }
+
+            if (category.resultsPublishedAt) {
+                return res.status(409).json({
+                    status: "error",
+                    message: "Results for this category are already published"
+                });
+            }
+
+            const { published, certificateJob } = await publishResults([category], req.user._id);
+
+            res.status(200).json({
+                status: "success",
+                message: `Results published for ${category.name}. Certificates are being sent to the winners and finalists.`,
+                data: { ...published[0], certificateJobId: certificateJob._id }
+            });
+        } catch (error) {
+            logger.logError('AwardsController', error, { context: 'publishCategoryResults', categoryId: req.params.categoryId });
+            next(error);
+        }
+    }
+
+    // Publish every unpublished category in an edition
+    async publishEditionResults(req, res, next) {
+        try {
+            const edition = await resolveEdition(req.body.edition);
+            if (edition === undefined) return editionNotFound(res);
+
+            const categoryFilter = { isActive: true, resultsPublishedAt: null };
+            if (edition) categoryFilter.edition = edition._id;
+            const categories = await AwardCategory.find(categoryFilter);
+
+            if (categories.length === 0) {
+                return res.status(400).json({
+                    status: "error",
+                    message: "There are no unpublished categories to publish"
+                });
+            }
+
+            const { published, certificateJob } = await publishResults(categories, req.user._id);
+
+            res.status(200).json({
+                status: "success",
+                message: `Results published for ${published.length} categories. Certificates are being sent to the winners and finalists.`,
+                data: { edition, results: published, certificateJobId: certificateJob._id }
+            });
+        } catch (error) {
+            logger.logError('AwardsController', error, { context: 'publishEditionResults' });
+            next(error);
+        }
+    }
+
+    // =====================
+    // VOTE FRAUD REVIEW
+    // =====================
+
+    // Get flagged votes for admin review
+    async getVoteReviewQueue(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    status: "error",
+                    message: "Validation failed",
+                    errors: errors.array()
+                });
+            }
+
+            const edition = await resolveEdition(req.query.edition);
+            if (edition === undefined) return editionNotFound(res);
+
+            const filter = { status: { $in: ["approved", "finalist", "winner"] } };
+            if (edition) filter.edition = edition._id;
+            if (req.query.category) filter.category = req.query.category;
+            if (req.query.nomination) filter._id = req.query.nomination;
+
+            const queue = await voteFraudService.buildReviewQueue(filter);
+
+            res.status(200).json({
+                status: "success",
+                data: {
+                    ...queue,
+                    edition
+                }
+            });
+        } catch (error) {
+            logger.logError('AwardsController', error, { context: 'getVoteReviewQueue' });
+            next(error);
+        }
+    }
+
+    // Void suspicious votes in bulk; vote counts are recomputed on save
+    async voidVotes(req, res, next) {
+        return handleVoteVoiding(req, res, next, true);
+    }
+
+    // Restore previously voided votes
+    async restoreVotes(req, res, next) {
+        return handleVoteVoiding(req, res, next, false);
+    }
+
+    // Get the audit trail of voided and restored votes
+    async getVoteAuditLog(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    status: "error",
+                    message: "Validation failed",
+                    errors: errors.array()
+                });
+            }
+
+            const { nomination, page = 1, limit = 20 } = req.query;
+            const filter = nomination ? { nomination } : {};
+            const skip = (parseInt(page) - 1) * parseInt(limit);
+
+            const [entries, total] = await Promise.all([
+                VoteAuditLog.find(filter)
+                    .populate("performedBy", "name email")
+                    .sort({ createdAt: -1 })
+                    .skip(skip)
+                    .limit(parseInt(limit)),
+                VoteAuditLog.countDocuments(filter)
+            ]);
+
+            res.status(200).json({
+                status: "success",
+                data: {
+                    entries,
+                    pagination: {
+                        currentPage: parseInt(page),
+                        totalPages: Math.ceil(total / parseInt(limit)),
+                        totalItems: total
+                    }
+                }
+            });
+        } catch (error) {
+            logger.logError('AwardsController', error, { context: 'getVoteAuditLog' });
+            next(error);
+        }
+    }
 }
 
 module.exports = new AwardsController();
@@ -0,0 +1,72 @@
+const cartService = require("../services/cartService");
+
+class CartController {
+  // Get the current visitor's cart, checked against current products
+  static async getCart(req, res) {
+    try {
+      const cart = await cartService.getCart(cartService.getOwner(req));
+
+      res.json({
+        success: true,
+        data: { cart }
+      });
+    } catch (error) {
+      console.error("❌ Get cart error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to load your cart",
+        error: error.message
+      });
+    }
+  }
+
+  // Replace the current visitor's cart with the items sent
+  static async updateCart(req, res) {
+    try {
+      const owner = cartService.getOwner(req);
+      if (!owner) {
+        return res.status(400).json({
+          success: false,
+          message: "Your browser needs to allow cookies to save a cart."
+        });
+      }
+
+      const result = await cartService.replaceItems(owner, req.body.items);
+      if (result.errors) {
+        return res.status(400).json({
+          success: false,
+          message: result.errors[0],
+          errors: result.errors
+        });
+      }
+
+      // Guests get their session cookie once they have something to keep
+      if (!req.user && req.session) {
+        req.session.hasCart = true;
+      }
+
+      res.json({
+        success: true,
+        data: { cart: result.cart }
+      });
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        const messages = Object.values(error.errors).map((item) => item.message);
+        return res.status(400).json({
+          success: false,
+          message: messages[0],
+          errors: messages
+        });
+      }
+
+      console.error("❌ Update cart error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to save your cart",
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = CartController;
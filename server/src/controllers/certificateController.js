@@ -1,11 +1,54 @@
 const path = require('path');
+const mongoose = require('mongoose');
 const fs = require('fs').promises;
 const sharp = require('sharp');
 const certificateService = require('../services/certificateService');
+const certificateJobService = require('../services/certificateJobService');
+const certificateSigningService = require('../services/certificateSigningService');
+const certificateBadgeService = require('../services/certificateBadgeService');
+const certificateVerificationService = require('../services/certificateVerificationService');
 const { Nomination, AwardCategory } = require('../models/Award');
+const Certificate = require('../models/Certificate');
+const CertificateJob = require('../models/CertificateJob');
+const Signatory = require('../models/Signatory');
 const { getUploadedFileUrl } = require('../utils/uploadedFileUrl');
 const { cloudinary } = require('../config/cloudinary');
 
+// Shape a job for the admin UI; only failed items are listed to keep responses small
+const formatJob = (job, { includeItems = true } = {}) => ({
+    id: job._id,
+    type: job.type,
+    label: job.label,
+    status: job.status,
+    total: job.total,
+    succeeded: job.succeeded,
+    failed: job.failed,
+    progress: job.progress,
+    sendEmails: job.sendEmails,
+    error: job.error,
+    createdBy: job.createdBy,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    ...(includeItems ? {
+        failedItems: job.items
+            .filter(item => item.status === 'failed')
+            .map(item => ({
+                nominationId: item.nomination,
+                nomineeName: item.nomineeName,
+                attempts: item.attempts,
+                error: item.error
+            }))
+    } : {})
+});
+
+// Absolute API URL used in badge ids, which wallets fetch to verify them
+const getApiBaseUrl = (req) => (
+    process.env.API_PUBLIC_URL ||
+    process.env.BACKEND_PUBLIC_URL ||
+    `${String(req.get('x-forwarded-proto') || req.protocol).split(',')[0].trim()}://${req.get('host')}`
+).replace(/\/+$/, '');
+
 const getSignaturePublicId = (file) => file?.public_id || file?.file_id || file?.filename;
 
 const getEmbeddableCloudinarySignatureUrl = (publicId) => cloudinary.url(publicId, {
@@ -60,7 +103,7 @@ exports.generateCertificate = async (req, res) => {
         const { nominationId } = req.params;
 
         // Get nomination with category details
-        const nomination = await Nomination.findById(nominationId).populate('category');
+        const nomination = await Nomination.findById(nominationId).populate('category').populate('edition');
         
         if (!nomination) {
             return res.status(404).json({ message: 'Nomination not found' });
@@ -84,22 +127,16 @@ exports.generateCertificate = async (req, res) => {
         const certificateData = {
             nomineeName: nomination.nomineeName,
             categoryName: nomination.category.name,
-            awardYear: '2025',
+            category: nomination.category._id,
+            awardYear: certificateService.getAwardYear(nomination.edition),
+            edition: nomination.edition?._id,
             issueDate: new Date(),
             certificateId: nomination.certificateId,
             nomineePhoto: nomination.nomineePhoto
         };
 
-        let certificateResult;
-
         // Generate appropriate certificate based on status
-        if (nomination.status === 'winner') {
-            certificateResult = await certificateService.generateWinnerCertificate(certificateData);
-        } else if (nomination.status === 'finalist') {
-            certificateResult = await certificateService.generateFinalistCertificate(certificateData);
-        } else {
-            certificateResult = await certificateService.generateParticipationCertificate(certificateData);
-        }
+        const certificateResult = await certificateService.generateCertificateForStatus(nomination.status, certificateData);
 
         // Save certificate info to nomination
         const filename = path.basename(certificateResult.filepath);
@@ -159,7 +196,7 @@ exports.getCertificateInfo = async (req, res) => {
     try {
         const { nominationId } = req.params;
 
-        const nomination = await Nomination.findById(nominationId).populate('category');
+        const nomination = await Nomination.findById(nominationId).populate('category').populate('edition');
         
         if (!nomination) {
             return res.status(404).json({ message: 'Nomination not found' });
@@ -199,7 +236,7 @@ exports.regenerateCertificate = async (req, res) => {
     try {
         const { nominationId } = req.params;
 
-        const nomination = await Nomination.findById(nominationId).populate('category');
+        const nomination = await Nomination.findById(nominationId).populate('category').populate('edition');
         
         if (!nomination) {
             return res.status(404).json({ message: 'Nomination not found' });
@@ -217,9 +254,11 @@ exports.regenerateCertificate = async (req, res) => {
         // Generate new certificate
         const certificateData = {
             nomineeName: nomination.nomineeName,
-            recipientEmail: nomination.email,
+            recipientEmail: nomination.nominatorEmail,
             categoryName: nomination.category.name,
-            awardYear: '2025',
+            category: nomination.category._id,
+            awardYear: certificateService.getAwardYear(nomination.edition),
+            edition: nomination.edition?._id,
             issueDate: new Date(),
             certificateId: nomination.certificateId || certificateService.generateCertificateId(
                 nomination._id.toString(),
@@ -228,15 +267,7 @@ exports.regenerateCertificate = async (req, res) => {
             nomineePhoto: nomination.nomineePhoto
         };
 
-        let certificateResult;
-
-        if (nomination.status === 'winner') {
-            certificateResult = await certificateService.generateWinnerCertificate(certificateData);
-        } else if (nomination.status === 'finalist') {
-            certificateResult = await certificateService.generateFinalistCertificate(certificateData);
-        } else {
-            certificateResult = await certificateService.generateParticipationCertificate(certificateData);
-        }
+        const certificateResult = await certificateService.generateCertificateForStatus(nomination.status, certificateData);
 
         // Extract just the filename from the result
         const filename = path.basename(certificateResult.filepath);
@@ -266,88 +297,137 @@ exports.regenerateCertificate = async (req, res) => {
 };
 
 /**
- * Bulk generate certificates for all winners/finalists (admin only)
+ * Bulk generate certificates for all winners/finalists (admin only).
+ * Creates a background job; poll GET /jobs/:id for progress.
  */
 exports.bulkGenerateCertificates = async (req, res) => {
     try {
-        const { status } = req.query; // winner, finalist, or approved
+        const { status, edition } = req.query; // winner, finalist, or approved; optional edition ID
 
         const query = status ? { status } : { status: { $in: ['winner', 'finalist', 'approved'] } };
-        
-        const nominations = await Nomination.find(query).populate('category');
+        if (edition) {
+            query.edition = edition;
+        }
 
-        if (nominations.length === 0) {
+        const total = await Nomination.countDocuments(query);
+        if (total === 0) {
             return res.status(404).json({ message: 'No nominations found for certificate generation' });
         }
 
-        const results = {
-            success: [],
-            failed: []
-        };
+        const job = await certificateJobService.createJob({
+            query,
+            label: [status || 'winner, finalist & approved', edition ? 'selected edition' : null].filter(Boolean).join(' · '),
+            filter: { status, edition: edition || null },
+            sendEmails: req.body?.sendEmails === true,
+            createdBy: req.user._id
+        });
 
-        for (const nomination of nominations) {
-            try {
-                if (!nomination.certificateId) {
-                    nomination.certificateId = certificateService.generateCertificateId(
-                        nomination._id.toString(),
-                        nomination.status
-                    );
-                }
+        console.log(`📦 Bulk certificate job ${job._id} queued for ${job.total} nominations`);
 
-                const certificateData = {
-                    nomineeName: nomination.nomineeName,
-                    recipientEmail: nomination.email,
-                    categoryName: nomination.category.name,
-                    awardYear: '2025',
-                    issueDate: new Date(),
-                    certificateId: nomination.certificateId
-                };
-
-                let certificateResult;
-
-                if (nomination.status === 'winner') {
-                    certificateResult = await certificateService.generateWinnerCertificate(certificateData);
-                } else if (nomination.status === 'finalist') {
-                    certificateResult = await certificateService.generateFinalistCertificate(certificateData);
-                } else {
-                    certificateResult = await certificateService.generateParticipationCertificate(certificateData);
-                }
+        res.status(202).json({
+            message: 'Bulk certificate generation started',
+            jobId: job._id,
+            total: job.total,
+            job: formatJob(job)
+        });
+
+    } catch (error) {
+        console.error('Error in bulk certificate generation:', error);
+        res.status(500).json({ 
+            message: 'Error in bulk certificate generation',
+            error: error.message 
+        });
+    }
+};
 
-                // Extract just the filename from the result
-                const filename = path.basename(certificateResult.filepath);
-                nomination.certificateFile = filename;
-                nomination.certificateUrl = certificateResult.url;
-                nomination.certificateCloudinaryId = certificateResult.cloudinaryId;
-                nomination.certificateGeneratedAt = new Date();
-                await nomination.save();
+/**
+ * Get recent certificate jobs (admin only)
+ */
+exports.getCertificateJobs = async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+        const jobs = await CertificateJob.find()
+            .select('-items')
+            .sort({ createdAt: -1 })
+            .limit(limit);
+
+        res.json({
+            success: true,
+            data: { jobs: jobs.map(job => formatJob(job, { includeItems: false })) }
+        });
 
-                results.success.push({
-                    nominationId: nomination._id,
-                    nomineeName: nomination.nomineeName,
-                    certificateFile: filename
-                });
+    } catch (error) {
+        console.error('Error getting certificate jobs:', error);
+        res.status(500).json({ 
+            message: 'Error getting certificate jobs',
+            error: error.message 
+        });
+    }
+};
 
-            } catch (error) {
-                results.failed.push({
-                    nominationId: nomination._id,
-                    nomineeName: nomination.nomineeName,
-                    error: error.message
-                });
-            }
+/**
+ * Get a certificate job's progress and failed items (admin only)
+ */
+exports.getCertificateJob = async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ message: 'Certificate job not found' });
+        }
+
+        const job = await CertificateJob.findById(req.params.id).populate('createdBy', 'name email');
+
+        if (!job) {
+            return res.status(404).json({ message: 'Certificate job not found' });
         }
 
         res.json({
-            message: 'Bulk certificate generation completed',
-            total: nominations.length,
-            successful: results.success.length,
-            failed: results.failed.length,
-            results
+            success: true,
+            data: { job: formatJob(job) }
         });
 
     } catch (error) {
-        console.error('Error in bulk certificate generation:', error);
+        console.error('Error getting certificate job:', error);
         res.status(500).json({ 
-            message: 'Error in bulk certificate generation',
+            message: 'Error getting certificate job',
+            error: error.message 
+        });
+    }
+};
+
+/**
+ * Retry the failed items of a certificate job (admin only)
+ */
+exports.retryCertificateJob = async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ message: 'Certificate job not found' });
+        }
+
+        const existing = await CertificateJob.findById(req.params.id).select('status failed');
+
+        if (!existing) {
+            return res.status(404).json({ message: 'Certificate job not found' });
+        }
+
+        if (['queued', 'running'].includes(existing.status)) {
+            return res.status(409).json({ message: 'Certificate job is still in progress' });
+        }
+
+        if (existing.failed === 0) {
+            return res.status(400).json({ message: 'Certificate job has no failed items to retry' });
+        }
+
+        const job = await certificateJobService.retryFailed(req.params.id);
+
+        res.status(202).json({
+            message: 'Retrying failed certificates',
+            job: formatJob(job)
+        });
+
+    } catch (error) {
+        console.error('Error retrying certificate job:', error);
+        res.status(500).json({ 
+            message: 'Error retrying certificate job',
             error: error.message 
         });
     }
@@ -362,7 +442,22 @@ exports.verifyCertificate = async (req, res) => {
 
         console.log(`🔍 Certificate verification request: ${certificateId}`);
 
-        const result = await certificateService.verifyCertificate(certificateId);
+        const result = await certificateService.verifyCertificate(
+            certificateId,
+            certificateVerificationService.getRequestContext(req)
+        );
+
+        if (result.certificate && !result.valid) {
+            // Known but no longer valid: answer 200 so the page can show
+            // when and why it was revoked and link to the replacement
+            return res.json({
+                success: true,
+                valid: false,
+                revoked: Boolean(result.revoked),
+                message: result.message,
+                certificate: result.certificate
+            });
+        }
 
         if (!result.valid) {
             return res.status(404).json({
@@ -389,6 +484,243 @@ exports.verifyCertificate = async (req, res) => {
     }
 };
 
+/**
+ * Check an uploaded certificate PDF for edits or forgery (Public endpoint)
+ */
+exports.verifyCertificatePdf = async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'Upload the certificate PDF to verify'
+            });
+        }
+
+        const result = await certificateService.verifyPdf(
+            req.file.buffer,
+            certificateVerificationService.getRequestContext(req)
+        );
+
+        console.log(`🔍 Certificate PDF verification: ${result.certificate?.certificateId || 'unknown'} - ${result.verdict}`);
+
+        res.status(result.verdict === 'invalid' ? 400 : 200).json({
+            success: result.verdict !== 'invalid',
+            ...result
+        });
+
+    } catch (error) {
+        console.error('Error verifying certificate PDF:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error verifying certificate PDF',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Public key for checking certificate signatures offline (Public endpoint)
+ */
+exports.getSigningKey = async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: certificateSigningService.getPublicKey()
+        });
+    } catch (error) {
+        console.error('Error getting certificate signing key:', error);
+        res.status(500).json({
+            message: 'Error getting certificate signing key',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Open Badges issuer profile (Public endpoint)
+ */
+exports.getBadgeIssuer = async (req, res) => {
+    res.json(certificateBadgeService.buildIssuer(getApiBaseUrl(req)));
+};
+
+/**
+ * Open Badges assertion for a certificate. Revoked certificates answer 410
+ * with the revocation details (Public endpoint).
+ */
+exports.getBadgeAssertion = async (req, res) => {
+    try {
+        const certificate = await Certificate.findOne({ certificateId: req.params.certificateId });
+
+        if (!certificate) {
+            return res.status(404).json({ message: 'Certificate not found' });
+        }
+
+        const assertion = certificateBadgeService.buildAssertion(certificate, getApiBaseUrl(req));
+        res.status(assertion.revoked ? 410 : 200).json(assertion);
+
+    } catch (error) {
+        console.error('Error getting certificate badge:', error);
+        res.status(500).json({
+            message: 'Error getting certificate badge',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Open Badges badge class for a certificate (Public endpoint)
+ */
+exports.getBadgeClass = async (req, res) => {
+    try {
+        const certificate = await Certificate.findOne({ certificateId: req.params.certificateId });
+
+        if (!certificate) {
+            return res.status(404).json({ message: 'Certificate not found' });
+        }
+
+        res.json(certificateBadgeService.buildBadgeClass(certificate, getApiBaseUrl(req)));
+
+    } catch (error) {
+        console.error('Error getting certificate badge class:', error);
+        res.status(500).json({
+            message: 'Error getting certificate badge class',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Badge image with the assertion baked in, or the plain image with
+ * ?baked=false. Add ?download=1 to save it (Public endpoint).
+ */
+exports.getBadgeImage = async (req, res) => {
+    try {
+        const certificate = await Certificate.findOne({ certificateId: req.params.certificateId });
+
+        if (!certificate) {
+            return res.status(404).json({ message: 'Certificate not found' });
+        }
+
+        const baseUrl = getApiBaseUrl(req);
+        const image = req.query.baked === 'false'
+            ? await certificateBadgeService.renderImage(certificate)
+            : await certificateBadgeService.renderBakedImage(certificate, baseUrl);
+
+        res.set('Content-Type', 'image/png');
+        if (req.query.download) {
+            res.set('Content-Disposition', `attachment; filename="badge_${certificate.certificateId}.png"`);
+        }
+        res.send(image);
+
+    } catch (error) {
+        console.error('Error getting certificate badge image:', error);
+        res.status(500).json({
+            message: 'Error getting certificate badge image',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Revoke a certificate with a reason (admin only)
+ */
+exports.revokeCertificate = async (req, res) => {
+    try {
+        const { certificateId } = req.params;
+        const reason = req.body.reason?.trim();
+
+        if (!reason) {
+            return res.status(400).json({ message: 'A revocation reason is required' });
+        }
+
+        const certificate = await Certificate.findOne({ certificateId });
+
+        if (!certificate) {
+            return res.status(404).json({ message: 'Certificate not found' });
+        }
+
+        if (certificate.status === 'revoked') {
+            return res.status(400).json({ message: 'Certificate has already been revoked' });
+        }
+
+        await certificate.revoke({ reason, revokedBy: req.user._id });
+
+        console.log(`🚫 Certificate revoked: ${certificateId} - ${reason}`);
+
+        res.json({
+            message: 'Certificate revoked successfully',
+            certificateId: certificate.certificateId,
+            status: certificate.status,
+            revokedAt: certificate.revokedAt,
+            revocationReason: certificate.revocationReason
+        });
+
+    } catch (error) {
+        console.error('Error revoking certificate:', error);
+        res.status(500).json({ 
+            message: 'Error revoking certificate',
+            error: error.message 
+        });
+    }
+};
+
+/**
+ * Reissue a corrected certificate that supersedes an existing one (admin only).
+ * The old certificate is revoked and points to the new ID, and the new record
+ * links back to the certificate it replaces.
+ */
+exports.reissueCertificate = async (req, res) => {
+    try {
+        const { certificateId } = req.params;
+        const reason = req.body.reason?.trim();
+        const recipientName = req.body.recipientName?.trim();
+
+        if (!reason) {
+            return res.status(400).json({ message: 'A reason for reissuing is required' });
+        }
+
+        const oldCertificate = await Certificate.findOne({ certificateId });
+
+        if (!oldCertificate) {
+            return res.status(404).json({ message: 'Certificate not found' });
+        }
+
+        if (oldCertificate.supersededBy) {
+            return res.status(400).json({ 
+                message: `Certificate has already been replaced by ${oldCertificate.supersededBy}` 
+            });
+        }
+
+        const nomination = await Nomination.findOne({ certificateId }).populate('category');
+
+        if (!nomination || !nomination.category) {
+            return res.status(404).json({ message: 'Nomination for this certificate not found' });
+        }
+
+        const reissued = await certificateService.reissueCertificate(oldCertificate, nomination, {
+            reason,
+            recipientName,
+            revokedBy: req.user._id
+        });
+
+        res.json({
+            message: 'Certificate reissued successfully',
+            certificateId: reissued.certificateId,
+            supersedes: oldCertificate.certificateId,
+            filename: reissued.certificateFile,
+            downloadUrl: reissued.certificateUrl,
+            storage: reissued.storage
+        });
+
+    } catch (error) {
+        console.error('Error reissuing certificate:', error);
+        res.status(500).json({ 
+            message: 'Error reissuing certificate',
+            error: error.message 
+        });
+    }
+};
+
 /**
  * Get all certificates (admin only)
  */
@@ -457,6 +789,54 @@ exports.getAllCertificates = async (req, res) => {
     }
 };
 
+/**
+ * Verification history for one certificate (admin only)
+ */
+exports.getVerificationHistory = async (req, res) => {
+    try {
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+        const history = await certificateVerificationService.getHistory(req.params.certificateId, { page, limit });
+
+        res.json({
+            success: true,
+            data: history
+        });
+
+    } catch (error) {
+        console.error('Error getting verification history:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error retrieving verification history',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Addresses that recently looked up certificate IDs that don't exist (admin only)
+ */
+exports.getFailedVerifications = async (req, res) => {
+    try {
+        const hours = Math.min(parseInt(req.query.hours) || 24, 24 * 30);
+        const sources = await certificateVerificationService.getFailedLookups({ hours });
+
+        res.json({
+            success: true,
+            data: { hours, sources }
+        });
+
+    } catch (error) {
+        console.error('Error getting failed verifications:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error retrieving failed verifications',
+            error: error.message
+        });
+    }
+};
+
 /**
  * Delete certificate (admin only)
  */
@@ -742,3 +1122,180 @@ exports.checkSignatureStatus = async (req, res) => {
         });
     }
 };
+
+// Remove a rejected upload so it doesn't linger in the uploads folder
+const discardLocalUpload = async (file) => {
+    if (file?.path && !file.path.startsWith('http')) {
+        try {
+            await fs.unlink(file.path);
+        } catch (err) {
+            console.error('Error deleting rejected upload:', err);
+        }
+    }
+};
+
+/**
+ * List signatories in the signature library (admin only)
+ */
+exports.getSignatories = async (req, res) => {
+    try {
+        const filter = ['active', 'retired'].includes(req.query.status) ? { status: req.query.status } : {};
+        const signatories = await Signatory.find(filter)
+            .sort({ status: 1, name: 1 })
+            .populate('createdBy', 'name email');
+
+        res.json({
+            success: true,
+            data: { signatories }
+        });
+
+    } catch (error) {
+        console.error('Error getting signatories:', error);
+        res.status(500).json({
+            message: 'Error getting signatories',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Add a signatory with a name, title and signature image (admin only)
+ */
+exports.createSignatory = async (req, res) => {
+    try {
+        const name = req.body.name?.trim();
+
+        if (!req.file) {
+            return res.status(400).json({ message: 'No signature image uploaded' });
+        }
+
+        if (!name) {
+            await discardLocalUpload(req.file);
+            return res.status(400).json({ message: 'Signatory name is required' });
+        }
+
+        if (!req.file.mimetype?.startsWith('image/')) {
+            await discardLocalUpload(req.file);
+            return res.status(400).json({ message: `Invalid file type: ${req.file.mimetype}. Please upload an image file.` });
+        }
+
+        if (req.file.size < 1024) {
+            await discardLocalUpload(req.file);
+            return res.status(400).json({ message: 'Signature file is too small. Minimum size is 1KB. The file may be corrupted.' });
+        }
+
+        await ensureLocalSignatureCanEmbed(req.file);
+
+        const rawUploadedUrl = getUploadedFileUrl(req.file, 'signatures');
+        const cloudinaryPublicId = getSignaturePublicId(req.file);
+        const isCloudinary = Boolean(rawUploadedUrl && rawUploadedUrl.startsWith('http'));
+        const imageUrl = isCloudinary && cloudinaryPublicId
+            ? getEmbeddableCloudinarySignatureUrl(cloudinaryPublicId)
+            : rawUploadedUrl;
+
+        const signatory = await Signatory.create({
+            name,
+            title: req.body.title?.trim() || '',
+            image: {
+                url: imageUrl,
+                filename: req.file.filename || cloudinaryPublicId,
+                originalName: req.file.originalname,
+                mimetype: isCloudinary && cloudinaryPublicId ? 'image/png' : req.file.mimetype,
+                size: req.file.size,
+                storage: isCloudinary ? 'cloudinary' : 'local',
+                cloudinaryPublicId: isCloudinary ? cloudinaryPublicId : null
+            },
+            createdBy: req.user._id
+        });
+
+        console.log(`✍️ Signatory added: ${signatory.name} (${signatory.image.storage})`);
+
+        res.status(201).json({
+            success: true,
+            message: 'Signatory added',
+            data: { signatory }
+        });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: Object.values(error.errors).map(err => err.message).join(', ') });
+        }
+        console.error('Error adding signatory:', error);
+        res.status(500).json({
+            message: 'Error adding signatory',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Update a signatory's name or title. Certificates already issued keep the
+ * details they were printed with (admin only).
+ */
+exports.updateSignatory = async (req, res) => {
+    try {
+        const signatory = mongoose.isValidObjectId(req.params.id) ? await Signatory.findById(req.params.id) : null;
+
+        if (!signatory) {
+            return res.status(404).json({ message: 'Signatory not found' });
+        }
+
+        if (req.body.name !== undefined) signatory.name = req.body.name;
+        if (req.body.title !== undefined) signatory.title = req.body.title;
+        await signatory.save();
+
+        res.json({
+            success: true,
+            message: 'Signatory updated',
+            data: { signatory }
+        });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: Object.values(error.errors).map(err => err.message).join(', ') });
+        }
+        console.error('Error updating signatory:', error);
+        res.status(500).json({
+            message: 'Error updating signatory',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Retire a signatory so new certificates stop using them. The signature image
+ * is kept for certificates that were already issued (admin only).
+ */
+exports.retireSignatory = async (req, res) => {
+    try {
+        const signatory = mongoose.isValidObjectId(req.params.id) ? await Signatory.findById(req.params.id) : null;
+
+        if (!signatory) {
+            return res.status(404).json({ message: 'Signatory not found' });
+        }
+
+        if (signatory.status === 'retired') {
+            return res.status(400).json({ message: `${signatory.name} is already retired` });
+        }
+
+        signatory.status = 'retired';
+        signatory.retiredAt = new Date();
+        signatory.retiredBy = req.user._id;
+        await signatory.save();
+
+        console.log(`✍️ Signatory retired: ${signatory.name}`);
+
+        res.json({
+            success: true,
+            message: `${signatory.name} has been retired`,
+            data: { signatory }
+        });
+
+    } catch (error) {
+        console.error('Error retiring signatory:', error);
+        res.status(500).json({
+            message: 'Error retiring signatory',
+            error: error.message
+        });
+    }
+};
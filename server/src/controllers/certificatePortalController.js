@@ -0,0 +1,350 @@
+const mongoose = require('mongoose');
+const certificateService = require('../services/certificateService');
+const certificatePortalService = require('../services/certificatePortalService');
+const emailService = require('../services/emailService');
+const { Certificate, CertificateCorrection, Nomination } = require('../models');
+const { getClientUrl } = require('../utils/clientUrl');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const formatPortalCertificate = (certificate, pendingCorrection) => ({
+    certificateId: certificate.certificateId,
+    recipientName: certificate.recipientName,
+    categoryName: certificate.categoryName,
+    type: certificate.type,
+    awardYear: certificate.awardYear,
+    edition: certificate.edition ? { name: certificate.edition.name, year: certificate.edition.year } : null,
+    issueDate: certificate.issueDate,
+    status: certificate.status,
+    revocationReason: certificate.revocationReason,
+    supersededBy: certificate.supersededBy,
+    // Public link recipients can share with employers
+    verificationUrl: `${getClientUrl()}/verify/${certificate.certificateId}`,
+    pendingCorrection: pendingCorrection ? {
+        requestedName: pendingCorrection.requestedName,
+        requestedAt: pendingCorrection.createdAt
+    } : null
+});
+
+/**
+ * Email a one-time sign-in link to a certificate recipient (Public endpoint).
+ * The answer is the same whether or not the email has certificates.
+ */
+exports.requestPortalLink = async (req, res) => {
+    try {
+        const email = req.body.email?.trim().toLowerCase();
+
+        if (!email || !EMAIL_PATTERN.test(email)) {
+            return res.status(400).json({ message: 'Please enter a valid email address' });
+        }
+
+        const link = await certificatePortalService.createLink(email, req.ip);
+
+        // Not awaited, so the response time and status don't give away
+        // which addresses have certificates
+        if (link) {
+            emailService.sendCertificatePortalLink({
+                email,
+                link: `${getClientUrl()}/certificates/portal?token=${link.token}`,
+                expiresInMinutes: link.expiresInMinutes,
+                certificateCount: link.certificateCount
+            })
+                .then(() => console.log(`🔗 Certificate portal link sent to ${email}`))
+                .catch(error => console.error('Error sending certificate portal link email:', error.message));
+        }
+
+        res.json({
+            success: true,
+            message: 'If certificates were issued to that email, a sign-in link is on its way.'
+        });
+
+    } catch (error) {
+        console.error('Error sending certificate portal link:', error);
+        res.status(500).json({
+            message: 'Error sending sign-in link',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Exchange a magic link token for a portal session (Public endpoint)
+ */
+exports.openPortalSession = async (req, res) => {
+    try {
+        const session = req.body.token ? await certificatePortalService.redeemLink(req.body.token) : null;
+
+        if (!session) {
+            return res.status(400).json({
+                message: 'This sign-in link has expired or was already used. Request a new one.',
+                code: 'PORTAL_LINK_INVALID'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: session
+        });
+
+    } catch (error) {
+        console.error('Error opening certificate portal session:', error);
+        res.status(500).json({
+            message: 'Error opening certificate portal',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * List the signed-in recipient's certificates across editions (portal session)
+ */
+exports.getPortalCertificates = async (req, res) => {
+    try {
+        const certificates = await certificatePortalService.findCertificates(req.portalEmail);
+        const corrections = await CertificateCorrection.find({
+            certificateId: { $in: certificates.map(certificate => certificate.certificateId) },
+            status: 'pending'
+        });
+
+        res.json({
+            success: true,
+            data: {
+                email: req.portalEmail,
+                certificates: certificates.map(certificate => formatPortalCertificate(
+                    certificate,
+                    corrections.find(correction => correction.certificateId === certificate.certificateId)
+                ))
+            }
+        });
+
+    } catch (error) {
+        console.error('Error getting portal certificates:', error);
+        res.status(500).json({
+            message: 'Error getting certificates',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Download one of the signed-in recipient's certificates (portal session)
+ */
+exports.downloadPortalCertificate = async (req, res) => {
+    try {
+        const certificate = await certificatePortalService.findCertificate(req.portalEmail, req.params.certificateId);
+
+        if (!certificate) {
+            return res.status(404).json({ message: 'Certificate not found' });
+        }
+
+        const pdfBuffer = await certificateService.getCertificate(certificate.filename);
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${certificate.filename}"`);
+        res.send(pdfBuffer);
+
+    } catch (error) {
+        console.error('Error downloading portal certificate:', error);
+        res.status(500).json({
+            message: 'Error downloading certificate',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Ask for the name on a certificate to be corrected (portal session).
+ * Requests wait in the admin queue.
+ */
+exports.requestNameCorrection = async (req, res) => {
+    try {
+        const requestedName = req.body.requestedName?.trim();
+        const reason = req.body.reason?.trim() || '';
+        const certificate = await certificatePortalService.findCertificate(req.portalEmail, req.params.certificateId);
+
+        if (!certificate) {
+            return res.status(404).json({ message: 'Certificate not found' });
+        }
+
+        if (certificate.status !== 'active') {
+            return res.status(400).json({ message: 'Only active certificates can be corrected' });
+        }
+
+        if (!requestedName) {
+            return res.status(400).json({ message: 'Enter the name as it should appear on the certificate' });
+        }
+
+        if (requestedName === certificate.recipientName) {
+            return res.status(400).json({ message: 'The certificate already shows this name' });
+        }
+
+        const pending = await CertificateCorrection.exists({ certificateId: certificate.certificateId, status: 'pending' });
+        if (pending) {
+            return res.status(400).json({ message: 'A correction for this certificate is already waiting for review' });
+        }
+
+        const correction = await certificatePortalService.requestCorrection(certificate, req.portalEmail, { requestedName, reason });
+
+        emailService.sendAdminAlert({
+            subject: `Certificate name correction requested: ${certificate.certificateId}`,
+            title: 'Certificate Correction Requested',
+            message: 'A recipient asked for the name on their certificate to be corrected.',
+            rows: [
+                { label: 'Certificate ID', value: certificate.certificateId },
+                { label: 'Current name', value: certificate.recipientName },
+                { label: 'Requested name', value: requestedName },
+                { label: 'Recipient email', value: req.portalEmail }
+            ],
+            details: reason
+        }).catch(error => console.error('Error sending correction alert:', error.message));
+
+        res.status(201).json({
+            success: true,
+            message: 'Correction requested. We will email you once it has been reviewed.',
+            data: { correction }
+        });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: Object.values(error.errors).map(err => err.message).join(', ') });
+        }
+        console.error('Error requesting certificate correction:', error);
+        res.status(500).json({
+            message: 'Error requesting correction',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Name correction queue (admin only)
+ */
+exports.getCorrections = async (req, res) => {
+    try {
+        const status = ['pending', 'approved', 'rejected'].includes(req.query.status) ? req.query.status : 'pending';
+        const corrections = await CertificateCorrection.find({ status })
+            .sort({ createdAt: status === 'pending' ? 1 : -1 })
+            .limit(200)
+            .populate('certificate', 'categoryName type awardYear status')
+            .populate('reviewedBy', 'name email');
+
+        res.json({
+            success: true,
+            data: { corrections }
+        });
+
+    } catch (error) {
+        console.error('Error getting certificate corrections:', error);
+        res.status(500).json({
+            message: 'Error getting certificate corrections',
+            error: error.message
+        });
+    }
+};
+
+const findPendingCorrection = async (id) => {
+    if (!mongoose.isValidObjectId(id)) return null;
+    return CertificateCorrection.findOne({ _id: id, status: 'pending' });
+};
+
+/**
+ * Approve a name correction: the certificate is reissued under the new name
+ * and emailed to the recipient (admin only)
+ */
+exports.approveCorrection = async (req, res) => {
+    try {
+        const correction = await findPendingCorrection(req.params.id);
+
+        if (!correction) {
+            return res.status(404).json({ message: 'Pending correction not found' });
+        }
+
+        const oldCertificate = await Certificate.findOne({ certificateId: correction.certificateId });
+
+        if (!oldCertificate || oldCertificate.status !== 'active') {
+            return res.status(400).json({ message: 'The certificate is no longer active, so it cannot be corrected' });
+        }
+
+        const nomination = await Nomination.findOne({ certificateId: correction.certificateId }).populate('category');
+
+        if (!nomination || !nomination.category) {
+            return res.status(404).json({ message: 'Nomination for this certificate not found' });
+        }
+
+        const reissued = await certificateService.reissueCertificate(oldCertificate, nomination, {
+            reason: `Name corrected at the recipient's request (${correction.currentName} → ${correction.requestedName})`,
+            recipientName: correction.requestedName,
+            revokedBy: req.user._id
+        });
+
+        correction.status = 'approved';
+        correction.reviewedBy = req.user._id;
+        correction.reviewedAt = new Date();
+        correction.reviewNote = req.body.note?.trim() || undefined;
+        correction.newCertificateId = reissued.certificateId;
+        await correction.save();
+
+        try {
+            await emailService.sendCertificateEmail(reissued);
+            await emailService.sendCertificateCorrectionUpdate(correction);
+        } catch (emailError) {
+            console.error('Error emailing corrected certificate:', emailError.message);
+        }
+
+        console.log(`✏️ Certificate ${correction.certificateId} reissued as ${reissued.certificateId} after name correction`);
+
+        res.json({
+            success: true,
+            message: `Certificate reissued as ${reissued.certificateId}`,
+            data: { correction }
+        });
+
+    } catch (error) {
+        console.error('Error approving certificate correction:', error);
+        res.status(500).json({
+            message: 'Error approving certificate correction',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Reject a name correction with a note for the recipient (admin only)
+ */
+exports.rejectCorrection = async (req, res) => {
+    try {
+        const note = req.body.note?.trim();
+
+        if (!note) {
+            return res.status(400).json({ message: 'Add a note explaining why the correction was rejected' });
+        }
+
+        const correction = await findPendingCorrection(req.params.id);
+
+        if (!correction) {
+            return res.status(404).json({ message: 'Pending correction not found' });
+        }
+
+        correction.status = 'rejected';
+        correction.reviewedBy = req.user._id;
+        correction.reviewedAt = new Date();
+        correction.reviewNote = note;
+        await correction.save();
+
+        emailService.sendCertificateCorrectionUpdate(correction)
+            .catch(error => console.error('Error emailing correction update:', error.message));
+
+        res.json({
+            success: true,
+            message: 'Correction rejected',
+            data: { correction }
+        });
+
+    } catch (error) {
+        console.error('Error rejecting certificate correction:', error);
+        res.status(500).json({
+            message: 'Error rejecting certificate correction',
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,398 @@
+const mongoose = require('mongoose');
+const certificateService = require('../services/certificateService');
+const certificateTemplateService = require('../services/certificateTemplateService');
+const { AwardCategory } = require('../models/Award');
+const CertificateTemplate = require('../models/CertificateTemplate');
+const Signatory = require('../models/Signatory');
+const {
+    CERTIFICATE_TYPES,
+    PLACEHOLDERS,
+    FONTS,
+    PALETTE_KEYS,
+    PREVIEW_DATA,
+    getDefaultTemplate
+} = require('../config/certificateTemplates');
+
+// Layout fields admins can edit; everything else is managed by the server
+const EDITABLE_FIELDS = [
+    'name', 'description', 'certificateType', 'page', 'background', 'palette',
+    'border', 'logo', 'blocks', 'lines', 'photo', 'signature', 'qr'
+];
+
+// Built-in layouts are addressed as "builtin-<type>" so they can be previewed and cloned
+const BUILT_IN_PREFIX = 'builtin-';
+
+const pickEditable = (body = {}) => Object.fromEntries(
+    EDITABLE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+const findTemplate = async (id) => {
+    if (id.startsWith(BUILT_IN_PREFIX)) {
+        const type = id.slice(BUILT_IN_PREFIX.length);
+        return CERTIFICATE_TYPES.includes(type) ? { _id: id, builtIn: true, ...getDefaultTemplate(type) } : null;
+    }
+    if (!mongoose.isValidObjectId(id)) return null;
+    return CertificateTemplate.findById(id);
+};
+
+const validationMessage = (error) => Object.values(error.errors || {}).map(err => err.message).join(', ') || error.message;
+
+const sendPreview = async (res, template, format) => {
+    const signatures = await certificateService.resolveSignatures(template);
+    const previewData = { ...PREVIEW_DATA, issueDate: new Date(), signatures };
+
+    if (format === 'png') {
+        const png = await certificateTemplateService.renderPng(template, previewData);
+        res.set('Content-Type', 'image/png');
+        return res.send(png);
+    }
+
+    const pdfBytes = await certificateService.renderCertificatePdf(template, previewData);
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', 'inline; filename="certificate-preview.pdf"');
+    return res.send(Buffer.from(pdfBytes));
+};
+
+/**
+ * List templates, the built-in layouts and each category's assignments (admin only)
+ */
+exports.getTemplates = async (req, res) => {
+    try {
+        const filter = CERTIFICATE_TYPES.includes(req.query.type) ? { certificateType: req.query.type } : {};
+        const [templates, categories, signatories] = await Promise.all([
+            CertificateTemplate.find(filter).sort({ certificateType: 1, isDefault: -1, name: 1 }).populate('createdBy', 'name email'),
+            AwardCategory.find({ isActive: true }).select('name edition certificateTemplates').sort({ name: 1 }),
+            Signatory.find({ status: 'active' }).select('name title image.url').sort({ name: 1 })
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                templates,
+                builtIn: CERTIFICATE_TYPES.map(type => ({ _id: `${BUILT_IN_PREFIX}${type}`, builtIn: true, ...getDefaultTemplate(type) })),
+                categories,
+                signatories,
+                options: {
+                    certificateTypes: CERTIFICATE_TYPES,
+                    placeholders: PLACEHOLDERS,
+                    fonts: FONTS,
+                    paletteKeys: PALETTE_KEYS
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Error getting certificate templates:', error);
+        res.status(500).json({
+            message: 'Error getting certificate templates',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Get a single template, including built-in layouts (admin only)
+ */
+exports.getTemplate = async (req, res) => {
+    try {
+        const template = await findTemplate(req.params.id);
+
+        if (!template) {
+            return res.status(404).json({ message: 'Certificate template not found' });
+        }
+
+        res.json({ success: true, data: { template } });
+
+    } catch (error) {
+        console.error('Error getting certificate template:', error);
+        res.status(500).json({
+            message: 'Error getting certificate template',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Create a template. Layout fields that are left out start from the
+ * built-in layout for the certificate type (admin only).
+ */
+exports.createTemplate = async (req, res) => {
+    try {
+        const fields = pickEditable(req.body);
+
+        if (!CERTIFICATE_TYPES.includes(fields.certificateType)) {
+            return res.status(400).json({ message: `Certificate type must be one of: ${CERTIFICATE_TYPES.join(', ')}` });
+        }
+
+        const template = new CertificateTemplate({
+            ...getDefaultTemplate(fields.certificateType),
+            ...fields,
+            createdBy: req.user._id,
+            updatedBy: req.user._id
+        });
+        await template.save();
+
+        if (req.body.isDefault === true) {
+            await certificateTemplateService.setDefault(template);
+        }
+
+        console.log(`🎨 Certificate template created: ${template.name}`);
+
+        res.status(201).json({
+            success: true,
+            message: 'Certificate template created',
+            data: { template }
+        });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: validationMessage(error) });
+        }
+        console.error('Error creating certificate template:', error);
+        res.status(500).json({
+            message: 'Error creating certificate template',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Update a template's layout, or make it the default for its type (admin only)
+ */
+exports.updateTemplate = async (req, res) => {
+    try {
+        const template = await findTemplate(req.params.id);
+
+        if (!template) {
+            return res.status(404).json({ message: 'Certificate template not found' });
+        }
+
+        if (template.builtIn) {
+            return res.status(400).json({ message: 'Built-in templates cannot be changed. Clone the template and edit the copy.' });
+        }
+
+        const fields = pickEditable(req.body);
+
+        // Categories assign templates per type, so a template in use can't change type
+        if (fields.certificateType && fields.certificateType !== template.certificateType) {
+            const inUse = await AwardCategory.exists({ [`certificateTemplates.${template.certificateType}`]: template._id });
+            if (inUse || template.isDefault) {
+                return res.status(400).json({ message: 'This template is in use, so its certificate type cannot be changed' });
+            }
+        }
+
+        template.set(fields);
+        template.updatedBy = req.user._id;
+        await template.save();
+
+        if (req.body.isDefault === true && !template.isDefault) {
+            await certificateTemplateService.setDefault(template);
+        } else if (req.body.isDefault === false && template.isDefault) {
+            template.isDefault = false;
+            await template.save();
+        }
+
+        res.json({
+            success: true,
+            message: 'Certificate template updated',
+            data: { template }
+        });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: validationMessage(error) });
+        }
+        console.error('Error updating certificate template:', error);
+        res.status(500).json({
+            message: 'Error updating certificate template',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Copy a template (or a built-in layout) into a new, editable template (admin only)
+ */
+exports.cloneTemplate = async (req, res) => {
+    try {
+        const source = await findTemplate(req.params.id);
+
+        if (!source) {
+            return res.status(404).json({ message: 'Certificate template not found' });
+        }
+
+        const layout = source.builtIn ? source : source.toObject();
+        const template = new CertificateTemplate({
+            ...pickEditable(layout),
+            name: req.body.name?.trim() || `Copy of ${source.name}`,
+            isDefault: false,
+            createdBy: req.user._id,
+            updatedBy: req.user._id
+        });
+        await template.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Certificate template cloned',
+            data: { template }
+        });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: validationMessage(error) });
+        }
+        console.error('Error cloning certificate template:', error);
+        res.status(500).json({
+            message: 'Error cloning certificate template',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Delete a template. Categories using it fall back to the default template (admin only).
+ */
+exports.deleteTemplate = async (req, res) => {
+    try {
+        const template = await findTemplate(req.params.id);
+
+        if (!template || template.builtIn) {
+            return res.status(404).json({ message: 'Certificate template not found' });
+        }
+
+        await AwardCategory.updateMany(
+            { [`certificateTemplates.${template.certificateType}`]: template._id },
+            { [`certificateTemplates.${template.certificateType}`]: null }
+        );
+        await template.deleteOne();
+
+        console.log(`🗑️ Certificate template deleted: ${template.name}`);
+
+        res.json({
+            success: true,
+            message: 'Certificate template deleted'
+        });
+
+    } catch (error) {
+        console.error('Error deleting certificate template:', error);
+        res.status(500).json({
+            message: 'Error deleting certificate template',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Render a saved or built-in template with sample data as a PDF or PNG (admin only)
+ */
+exports.previewTemplate = async (req, res) => {
+    try {
+        const template = await findTemplate(req.params.id);
+
+        if (!template) {
+            return res.status(404).json({ message: 'Certificate template not found' });
+        }
+
+        await sendPreview(res, template.builtIn ? template : template.toObject(), req.query.format);
+
+    } catch (error) {
+        console.error('Error previewing certificate template:', error);
+        res.status(500).json({
+            message: 'Error previewing certificate template',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Render unsaved template changes so admins can check them before saving (admin only)
+ */
+exports.previewDraftTemplate = async (req, res) => {
+    try {
+        const draft = new CertificateTemplate({
+            ...getDefaultTemplate(req.body.certificateType),
+            ...pickEditable(req.body),
+            name: req.body.name || 'Preview'
+        });
+
+        const validationError = draft.validateSync();
+        if (validationError) {
+            return res.status(400).json({ message: validationMessage(validationError) });
+        }
+
+        await sendPreview(res, draft.toObject(), req.query.format || req.body.format);
+
+    } catch (error) {
+        console.error('Error previewing certificate template:', error);
+        res.status(500).json({
+            message: 'Error previewing certificate template',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Assign a template to a category for one certificate type, or set the default
+ * template for a type when no category is given. A null template restores the
+ * default (admin only).
+ */
+exports.assignTemplate = async (req, res) => {
+    try {
+        const { certificateType, categoryId = null, templateId = null } = req.body;
+
+        if (!CERTIFICATE_TYPES.includes(certificateType)) {
+            return res.status(400).json({ message: `Certificate type must be one of: ${CERTIFICATE_TYPES.join(', ')}` });
+        }
+
+        let template = null;
+        if (templateId) {
+            template = mongoose.isValidObjectId(templateId) ? await CertificateTemplate.findById(templateId) : null;
+            if (!template) {
+                return res.status(404).json({ message: 'Certificate template not found' });
+            }
+            if (template.certificateType !== certificateType) {
+                return res.status(400).json({ message: `"${template.name}" is a ${template.certificateType} template` });
+            }
+        }
+
+        if (!categoryId) {
+            if (template) {
+                await certificateTemplateService.setDefault(template);
+            } else {
+                await CertificateTemplate.updateMany({ certificateType }, { isDefault: false });
+            }
+
+            return res.json({
+                success: true,
+                message: template
+                    ? `"${template.name}" is now the default ${certificateType} template`
+                    : `The built-in layout is now used for ${certificateType} certificates`
+            });
+        }
+
+        if (!mongoose.isValidObjectId(categoryId)) {
+            return res.status(404).json({ message: 'Category not found' });
+        }
+
+        const category = await certificateTemplateService.assignToCategory(categoryId, certificateType, template?._id);
+
+        if (!category) {
+            return res.status(404).json({ message: 'Category not found' });
+        }
+
+        res.json({
+            success: true,
+            message: template
+                ? `${category.name} now uses "${template.name}" for ${certificateType} certificates`
+                : `${category.name} now uses the default ${certificateType} template`,
+            data: { category }
+        });
+
+    } catch (error) {
+        console.error('Error assigning certificate template:', error);
+        res.status(500).json({
+            message: 'Error assigning certificate template',
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,355 @@
+const JobApplication = require("../models/JobApplication");
+const { validationResult } = require("express-validator");
+const logger = require("../utils/logger");
+const interviewSchedulingService = require("../services/interviewSchedulingService");
+
+const normalizeText = (value) => {
+  if (typeof value !== "string") return value;
+  return value.trim();
+};
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    status: "error",
+    message: "Validation failed",
+    errors: errors.array()
+  });
+  return true;
+};
+
+// Interview fields an admin can set when offering or changing times
+const buildInterviewDetails = (body, current = {}) => {
+  const durationMinutes = body.durationMinutes !== undefined
+    ? Number(body.durationMinutes)
+    : current.durationMinutes || 45;
+  const { slots, errors } = interviewSchedulingService.buildSlots(body.slots, durationMinutes);
+
+  return {
+    errors,
+    details: {
+      title: normalizeText(body.title),
+      mode: body.mode,
+      location: normalizeText(body.location),
+      meetingUrl: normalizeText(body.meetingUrl),
+      durationMinutes,
+      notes: normalizeText(body.notes),
+      slots
+    }
+  };
+};
+
+const loadApplication = async (req, res) => {
+  const application = await JobApplication.findById(req.params.applicationId)
+    .populate("job", "title department location");
+
+  if (!application) {
+    res.status(404).json({
+      status: "error",
+      message: "Application not found"
+    });
+    return null;
+  }
+
+  return application;
+};
+
+const loadInterview = (application, req, res) => {
+  const interview = application.interviews.id(req.params.interviewId);
+
+  if (!interview) {
+    res.status(404).json({
+      status: "error",
+      message: "Interview not found"
+    });
+    return null;
+  }
+
+  return interview;
+};
+
+const emailNotice = (emailSent) => (emailSent ? "" : " The email to the applicant could not be sent; please contact them directly.");
+
+// Admin - interviews arranged for an application
+const getApplicationInterviews = async (req, res) => {
+  try {
+    const application = await JobApplication.findById(req.params.applicationId)
+      .select("interviews fullName email")
+      .populate("interviews.proposedBy", "name email");
+
+    if (!application) {
+      return res.status(404).json({
+        status: "error",
+        message: "Application not found"
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      data: { interviews: application.interviews }
+    });
+  } catch (error) {
+    logger.logError("InterviewController", error, { context: "getApplicationInterviews", applicationId: req.params.applicationId });
+    res.status(500).json({
+      status: "error",
+      message: "Error fetching interviews",
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error"
+    });
+  }
+};
+
+// Admin - offer interview times to an applicant
+const proposeInterview = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const application = await loadApplication(req, res);
+    if (!application) return;
+
+    if (application.status === "rejected") {
+      return res.status(400).json({
+        status: "error",
+        message: "This application was not selected, so an interview can't be arranged"
+      });
+    }
+
+    if (application.status === "withdrawn") {
+      return res.status(400).json({
+        status: "error",
+        message: "The applicant withdrew this application, so an interview can't be arranged"
+      });
+    }
+
+    if (interviewSchedulingService.getActiveInterview(application)) {
+      return res.status(409).json({
+        status: "error",
+        message: "This applicant already has an interview in progress. Reschedule or cancel it first."
+      });
+    }
+
+    const { details, errors } = buildInterviewDetails(req.body);
+    if (errors.length) {
+      return res.status(400).json({
+        status: "error",
+        message: errors[0],
+        errors
+      });
+    }
+
+    const { interview, emailSent } = await interviewSchedulingService.proposeInterview(application, application.job, details, {
+      proposedBy: req.user ? req.user._id : null
+    });
+
+    logger.logInfo("InterviewController", "Interview times offered", {
+      applicationId: application._id,
+      interviewId: interview._id,
+      slots: interview.slots.length
+    });
+
+    res.status(201).json({
+      status: "success",
+      message: `Interview times sent to ${application.fullName}.${emailNotice(emailSent)}`,
+      data: { interview, emailSent }
+    });
+  } catch (error) {
+    logger.logError("InterviewController", error, { context: "proposeInterview", applicationId: req.params.applicationId });
+    res.status(500).json({
+      status: "error",
+      message: "Error arranging interview",
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error"
+    });
+  }
+};
+
+// Admin - offer new times for an interview
+const rescheduleInterview = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const application = await loadApplication(req, res);
+    if (!application) return;
+
+    const interview = loadInterview(application, req, res);
+    if (!interview) return;
+
+    if (interview.status === "cancelled") {
+      return res.status(400).json({
+        status: "error",
+        message: "A cancelled interview can't be rescheduled. Arrange a new one instead."
+      });
+    }
+
+    const { details, errors } = buildInterviewDetails(req.body, interview);
+    if (errors.length) {
+      return res.status(400).json({
+        status: "error",
+        message: errors[0],
+        errors
+      });
+    }
+
+    const { emailSent } = await interviewSchedulingService.rescheduleInterview(application, application.job, interview, details);
+
+    logger.logInfo("InterviewController", "Interview rescheduled", {
+      applicationId: application._id,
+      interviewId: interview._id
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: `New interview times sent to ${application.fullName}.${emailNotice(emailSent)}`,
+      data: { interview, emailSent }
+    });
+  } catch (error) {
+    logger.logError("InterviewController", error, { context: "rescheduleInterview", applicationId: req.params.applicationId });
+    res.status(500).json({
+      status: "error",
+      message: "Error rescheduling interview",
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error"
+    });
+  }
+};
+
+// Admin - cancel an interview and withdraw the calendar invite
+const cancelInterview = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const application = await loadApplication(req, res);
+    if (!application) return;
+
+    const interview = loadInterview(application, req, res);
+    if (!interview) return;
+
+    if (interview.status === "cancelled") {
+      return res.status(400).json({
+        status: "error",
+        message: "This interview is already cancelled"
+      });
+    }
+
+    const { emailSent } = await interviewSchedulingService.cancelInterview(
+      application,
+      application.job,
+      interview,
+      normalizeText(req.body.reason)
+    );
+
+    logger.logInfo("InterviewController", "Interview cancelled", {
+      applicationId: application._id,
+      interviewId: interview._id
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: `Interview cancelled.${emailNotice(emailSent)}`,
+      data: { interview, emailSent }
+    });
+  } catch (error) {
+    logger.logError("InterviewController", error, { context: "cancelInterview", applicationId: req.params.applicationId });
+    res.status(500).json({
+      status: "error",
+      message: "Error cancelling interview",
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error"
+    });
+  }
+};
+
+// Public - interview details and open slots for the applicant's link
+const getInterviewByToken = async (req, res) => {
+  try {
+    const found = await interviewSchedulingService.findByToken(req.params.token);
+    if (!found) {
+      return res.status(404).json({
+        status: "error",
+        message: "This interview link is invalid or has expired"
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      data: interviewSchedulingService.toPublic(found.application, found.interview)
+    });
+  } catch (error) {
+    logger.logError("InterviewController", error, { context: "getInterviewByToken" });
+    res.status(500).json({
+      status: "error",
+      message: "Error fetching interview",
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error"
+    });
+  }
+};
+
+// Public - the applicant books one of the offered slots
+const selectInterviewSlot = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const result = await interviewSchedulingService.selectSlot(req.params.token, req.body.slotId);
+    if (result.error) {
+      return res.status(result.code).json({
+        status: "error",
+        message: result.error
+      });
+    }
+
+    logger.logInfo("InterviewController", "Interview slot booked", {
+      applicationId: result.application._id,
+      interviewId: result.interview._id
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: "Your interview is booked. A calendar invite is on its way to your email.",
+      data: interviewSchedulingService.toPublic(result.application, result.interview)
+    });
+  } catch (error) {
+    logger.logError("InterviewController", error, { context: "selectInterviewSlot" });
+    res.status(500).json({
+      status: "error",
+      message: "Error booking interview",
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error"
+    });
+  }
+};
+
+// Public - download the calendar invite for a booked interview
+const downloadInterviewCalendar = async (req, res) => {
+  try {
+    const found = await interviewSchedulingService.findByToken(req.params.token);
+    if (!found || found.interview.status !== "scheduled") {
+      return res.status(404).json({
+        status: "error",
+        message: "No booked interview for this link"
+      });
+    }
+
+    const ics = interviewSchedulingService.buildCalendar(found.application, found.application.job, found.interview, "REQUEST");
+
+    res.set({
+      "Content-Type": "text/calendar; charset=utf-8",
+      "Content-Disposition": "attachment; filename=\"interview.ics\"",
+      "Cache-Control": "no-store"
+    });
+    res.send(ics);
+  } catch (error) {
+    logger.logError("InterviewController", error, { context: "downloadInterviewCalendar" });
+    res.status(500).json({
+      status: "error",
+      message: "Error creating calendar invite",
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error"
+    });
+  }
+};
+
+module.exports = {
+  getApplicationInterviews,
+  proposeInterview,
+  rescheduleInterview,
+  cancelInterview,
+  getInterviewByToken,
+  selectInterviewSlot,
+  downloadInterviewCalendar
+};
@@ -0,0 +1,514 @@
+const { Invoice } = require("../models");
+const invoiceService = require("../services/invoiceService");
+
+const escapeRegex = (value = "") => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const isObjectId = (value = "") => /^[0-9a-fA-F]{24}$/.test(String(value));
+
+const validationMessages = (error) => Object.values(error.errors).map((item) => item.message);
+
+const findInvoice = async (req, res) => {
+  if (!isObjectId(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      message: "Invalid invoice ID format"
+    });
+    return null;
+  }
+
+  const invoice = await Invoice.findById(req.params.id);
+  if (!invoice) {
+    res.status(404).json({
+      success: false,
+      message: "Invoice not found"
+    });
+    return null;
+  }
+
+  return invoice;
+};
+
+const sendValidationError = (res, error) => {
+  const messages = validationMessages(error);
+  return res.status(400).json({
+    success: false,
+    message: messages[0],
+    errors: messages
+  });
+};
+
+class InvoiceController {
+  // List invoices; status "overdue" means issued or part-paid past the due date (Admin only)
+  static async getAllInvoices(req, res) {
+    try {
+      const page = Math.max(1, parseInt(req.query.page) || 1);
+      const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+      const { status, search, serviceQuote, quotation } = req.query;
+
+      const filter = {};
+      if (status === "overdue") {
+        filter.status = { $in: ["issued", "partially_paid"] };
+        filter.dueDate = { $lt: new Date() };
+      } else if (status === "open") {
+        filter.status = { $in: ["issued", "partially_paid"] };
+      } else if (status && status !== "all") {
+        filter.status = status;
+      }
+      if (isObjectId(serviceQuote)) filter.serviceQuote = serviceQuote;
+      if (isObjectId(quotation)) filter.quotation = quotation;
+
+      if (search) {
+        const pattern = { $regex: escapeRegex(search.trim()), $options: "i" };
+        filter.$or = [
+          { invoiceNumber: pattern },
+          { title: pattern },
+          { customerName: pattern },
+          { customerEmail: pattern },
+          { companyName: pattern },
+          { "payments.reference": pattern }
+        ];
+      }
+
+      const [invoices, count] = await Promise.all([
+        Invoice.find(filter)
+          .select("-payments -items")
+          .sort({ createdAt: -1 })
+          .limit(limit)
+          .skip((page - 1) * limit)
+          .lean(),
+        Invoice.countDocuments(filter)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          invoices,
+          totalPages: Math.ceil(count / limit),
+          currentPage: page,
+          total: count
+        }
+      });
+    } catch (error) {
+      console.error("❌ Get invoices error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch invoices",
+        error: error.message
+      });
+    }
+  }
+
+  // Get one invoice with its payments (Admin only)
+  static async getInvoice(req, res) {
+    try {
+      if (!isObjectId(req.params.id)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid invoice ID format"
+        });
+      }
+
+      const invoice = await Invoice.findById(req.params.id)
+        .populate("serviceQuote", "serviceName status")
+        .populate("quotation", "quotationNumber status")
+        .populate("createdBy", "name email")
+        .populate("payments.recordedBy", "name email");
+
+      if (!invoice) {
+        return res.status(404).json({
+          success: false,
+          message: "Invoice not found"
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { invoice }
+      });
+    } catch (error) {
+      console.error("❌ Get invoice error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch invoice",
+        error: error.message
+      });
+    }
+  }
+
+  // Draft an invoice from an accepted quotation or service quote request (Admin only)
+  static async createInvoice(req, res) {
+    try {
+      const { quotationId, serviceQuoteId, ...fields } = req.body || {};
+
+      const result = await invoiceService.createInvoice({
+        quotationId,
+        serviceQuoteId,
+        fields,
+        createdBy: req.user ? req.user._id : null
+      });
+
+      if (result.error) {
+        return res.status(result.statusCode || 400).json({
+          success: false,
+          message: result.error,
+          data: result.invoice ? { invoice: { _id: result.invoice._id, invoiceNumber: result.invoice.invoiceNumber } } : undefined
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: "Draft invoice created",
+        data: { invoice: result.invoice }
+      });
+    } catch (error) {
+      if (error.name === "ValidationError") return sendValidationError(res, error);
+
+      console.error("❌ Create invoice error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to create invoice",
+        error: error.message
+      });
+    }
+  }
+
+  // Edit a draft invoice (Admin only)
+  static async updateInvoice(req, res) {
+    try {
+      const invoice = await findInvoice(req, res);
+      if (!invoice) return;
+
+      if (invoice.status !== "draft") {
+        return res.status(400).json({
+          success: false,
+          message: "Issued invoices can't be edited. Void it and create a new one instead."
+        });
+      }
+
+      invoiceService.applyChanges(invoice, req.body || {});
+      await invoice.save();
+
+      res.json({
+        success: true,
+        message: "Invoice saved",
+        data: { invoice }
+      });
+    } catch (error) {
+      if (error.name === "ValidationError") return sendValidationError(res, error);
+
+      console.error("❌ Update invoice error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to save invoice",
+        error: error.message
+      });
+    }
+  }
+
+  // Number and issue a draft, emailing it unless notify is false (Admin only)
+  static async issueInvoice(req, res) {
+    try {
+      const invoice = await findInvoice(req, res);
+      if (!invoice) return;
+
+      const notify = (req.body || {}).notify !== false;
+      const result = await invoiceService.issue(invoice, { notify });
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          message: result.error
+        });
+      }
+
+      const sent = notify && !result.emailFailed;
+      console.log(`✅ Invoice ${invoice.invoiceNumber} issued${sent ? ` and sent to ${invoice.customerEmail}` : ""}`);
+
+      let message = `Invoice ${invoice.invoiceNumber} issued`;
+      if (sent) message += ` and sent to ${invoice.customerEmail}`;
+      if (result.emailFailed) message += ", but the email couldn't be sent. Try sending it again.";
+
+      res.json({
+        success: true,
+        message,
+        data: { invoice: result.invoice }
+      });
+    } catch (error) {
+      console.error("❌ Issue invoice error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to issue invoice",
+        error: error.message
+      });
+    }
+  }
+
+  // Email an issued invoice to the customer again (Admin only)
+  static async sendInvoice(req, res) {
+    try {
+      const invoice = await findInvoice(req, res);
+      if (!invoice) return;
+
+      if (["draft", "void"].includes(invoice.status)) {
+        return res.status(400).json({
+          success: false,
+          message: invoice.status === "draft" ? "Issue the invoice before sending it" : "A void invoice can't be sent"
+        });
+      }
+
+      await invoiceService.send(invoice);
+
+      res.json({
+        success: true,
+        message: `Invoice sent to ${invoice.customerEmail}`,
+        data: { invoice }
+      });
+    } catch (error) {
+      console.error("❌ Send invoice error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to send invoice",
+        error: error.message
+      });
+    }
+  }
+
+  // Send an overdue reminder now instead of waiting for the scheduler (Admin only)
+  static async sendReminder(req, res) {
+    try {
+      const invoice = await findInvoice(req, res);
+      if (!invoice) return;
+
+      if (!invoice.isOverdue()) {
+        return res.status(400).json({
+          success: false,
+          message: "Only overdue invoices get reminders"
+        });
+      }
+
+      await invoiceService.sendReminder(invoice);
+
+      res.json({
+        success: true,
+        message: `Reminder sent to ${invoice.customerEmail}`,
+        data: { invoice }
+      });
+    } catch (error) {
+      console.error("❌ Invoice reminder error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to send reminder",
+        error: error.message
+      });
+    }
+  }
+
+  // Record a mobile money, bank transfer, cash or other payment (Admin only)
+  static async recordPayment(req, res) {
+    try {
+      const invoice = await findInvoice(req, res);
+      if (!invoice) return;
+
+      const { amount, method, reference, paidAt, note } = req.body || {};
+      const result = await invoiceService.recordPayment(
+        invoice,
+        { amount, method, reference, paidAt, note },
+        req.user ? req.user._id : null
+      );
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          message: result.error
+        });
+      }
+
+      console.log(`✅ Payment of ${result.invoice.currency} ${result.payment.amount} recorded on invoice ${result.invoice.invoiceNumber}`);
+
+      res.status(201).json({
+        success: true,
+        message: result.invoice.status === "paid" ? "Payment recorded. The invoice is paid in full." : "Payment recorded",
+        data: { invoice: result.invoice }
+      });
+    } catch (error) {
+      if (error.name === "ValidationError") return sendValidationError(res, error);
+
+      console.error("❌ Record payment error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to record payment",
+        error: error.message
+      });
+    }
+  }
+
+  // Void a payment recorded by mistake (Admin only)
+  static async voidPayment(req, res) {
+    try {
+      const invoice = await findInvoice(req, res);
+      if (!invoice) return;
+
+      if (!isObjectId(req.params.paymentId)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid payment ID format"
+        });
+      }
+
+      const reason = String(req.body?.reason || "").trim();
+      if (!reason) {
+        return res.status(400).json({
+          success: false,
+          message: "Give a reason for voiding the payment"
+        });
+      }
+
+      const result = await invoiceService.voidPayment(invoice, req.params.paymentId, {
+        reason,
+        voidedBy: req.user ? req.user._id : null
+      });
+      if (result.error) {
+        return res.status(result.statusCode || 400).json({
+          success: false,
+          message: result.error
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Payment voided",
+        data: { invoice: result.invoice }
+      });
+    } catch (error) {
+      if (error.name === "ValidationError") return sendValidationError(res, error);
+
+      console.error("❌ Void payment error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to void payment",
+        error: error.message
+      });
+    }
+  }
+
+  // Void an issued invoice with no payments; its number stays used (Admin only)
+  static async voidInvoice(req, res) {
+    try {
+      const invoice = await findInvoice(req, res);
+      if (!invoice) return;
+
+      if (!invoice.isOpen()) {
+        return res.status(400).json({
+          success: false,
+          message: invoice.status === "draft"
+            ? "Delete a draft instead of voiding it"
+            : `A ${invoice.status.replace("_", " ")} invoice can't be voided`
+        });
+      }
+
+      if (invoice.activePayments().length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Void the recorded payments before voiding the invoice"
+        });
+      }
+
+      const reason = String(req.body?.reason || "").trim();
+      if (!reason) {
+        return res.status(400).json({
+          success: false,
+          message: "Give a reason for voiding the invoice"
+        });
+      }
+
+      invoice.status = "void";
+      invoice.voidedAt = new Date();
+      invoice.voidReason = reason;
+      await invoice.save();
+
+      res.json({
+        success: true,
+        message: `Invoice ${invoice.invoiceNumber} voided`,
+        data: { invoice }
+      });
+    } catch (error) {
+      if (error.name === "ValidationError") return sendValidationError(res, error);
+
+      console.error("❌ Void invoice error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to void invoice",
+        error: error.message
+      });
+    }
+  }
+
+  // Delete a draft that was never issued (Admin only)
+  static async deleteInvoice(req, res) {
+    try {
+      const invoice = await findInvoice(req, res);
+      if (!invoice) return;
+
+      if (invoice.status !== "draft") {
+        return res.status(400).json({
+          success: false,
+          message: "Only drafts can be deleted. Void an issued invoice instead."
+        });
+      }
+
+      await invoice.deleteOne();
+
+      res.json({
+        success: true,
+        message: "Draft invoice deleted"
+      });
+    } catch (error) {
+      console.error("❌ Delete invoice error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to delete invoice",
+        error: error.message
+      });
+    }
+  }
+
+  // Download the invoice PDF (Admin only)
+  static async downloadInvoicePdf(req, res) {
+    try {
+      const invoice = await findInvoice(req, res);
+      if (!invoice) return;
+
+      const pdf = await invoiceService.renderPdf(invoice);
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader("Content-Disposition", `${req.query.inline ? "inline" : "attachment"}; filename="${invoice.invoiceNumber || "draft-invoice"}.pdf"`);
+      res.setHeader("Cache-Control", "no-store");
+      res.send(Buffer.from(pdf));
+    } catch (error) {
+      console.error("❌ Invoice PDF error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to generate invoice PDF",
+        error: error.message
+      });
+    }
+  }
+
+  // Outstanding and overdue balances, aging and top customers (Admin only)
+  static async getReceivablesReport(req, res) {
+    try {
+      const report = await invoiceService.getReceivablesReport();
+
+      res.json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      console.error("❌ Receivables report error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to build receivables report",
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = InvoiceController;
@@ -4,8 +4,13 @@ const { validationResult } = require("express-validator");
 const cache = require("../services/cacheService");
 const logger = require("../utils/logger");
 const emailService = require("../services/emailService");
+const jobPipelineService = require("../services/jobPipelineService");
+const jobQuestionService = require("../services/jobQuestionService");
+const resumeTextService = require("../services/resumeTextService");
+const applicationStatusService = require("../services/applicationStatusService");
 const { useCloudinary } = require("../config/fileUpload");
 const { deleteFromCloudinary } = require("../config/cloudinary");
+const { getClientUrl } = require("../utils/clientUrl");
 const { getUploadedFileUrl } = require("../utils/uploadedFileUrl");
 const path = require("path");
 const fs = require("fs").promises;
@@ -130,14 +135,41 @@ const escapeHtml = (value = "") => String(value || "")
   .replace(/"/g, "&quot;")
   .replace(/'/g, "&#39;");
 
-const isRemoteUrl = (value = "") => /^https?:\/\//i.test(String(value || ""));
+// Publish and deadline dates from an admin, checked against each other and
+// against the job's current dates. Clearing a date stores null.
+const buildJobSchedule = (body, current = {}, now = new Date()) => {
+  const schedule = {};
+  if (body.publishAt !== undefined) schedule.publishAt = body.publishAt ? new Date(body.publishAt) : null;
+  if (body.applicationDeadline !== undefined) {
+    schedule.applicationDeadline = body.applicationDeadline ? new Date(body.applicationDeadline) : null;
+  }
 
-const getClientUrl = () => trimTrailingSlash(
-  process.env.CLIENT_URL ||
-  process.env.FRONTEND_URL ||
-  process.env.PRODUCTION_CLIENT_URL ||
-  "https://saptechug.com"
-);
+  const publishAt = schedule.publishAt !== undefined ? schedule.publishAt : current.publishAt;
+  const deadline = schedule.applicationDeadline !== undefined ? schedule.applicationDeadline : current.applicationDeadline;
+  const isActive = body.isActive !== undefined ? normalizeBoolean(body.isActive, true) : current.isActive !== false;
+
+  let error = null;
+  if (publishAt && deadline && deadline <= publishAt) {
+    error = "The application deadline must be after the publish date";
+  } else if (isActive && deadline && deadline <= now && (schedule.applicationDeadline !== undefined || current.isActive === false)) {
+    error = "The application deadline has passed. Set a future deadline to open this job.";
+  }
+
+  if (schedule.publishAt !== undefined) {
+    schedule.publishedAt = publishAt && publishAt > now ? null : now;
+  }
+  if (isActive) {
+    schedule.closedAt = null;
+    schedule.closedReason = null;
+  }
+
+  return { schedule, error };
+};
+
+// Knockout rules are for screening only; applicants never see them
+const PUBLIC_JOB_EXCLUDE = "-__v -questions.knockout";
+
+const isRemoteUrl = (value = "") => /^https?:\/\//i.test(String(value || ""));
 
 const getBackendBaseUrl = (req) => {
   const configuredUrl = process.env.API_PUBLIC_URL || process.env.BACKEND_PUBLIC_URL || process.env.SERVER_URL;
@@ -223,7 +255,7 @@ const buildJobStructuredData = (job, req) => {
       name: "SAPTech Uganda",
       value: jobId
     },
-    datePosted: toIsoString(job.createdAt) || toIsoString(job.updatedAt) || new Date().toISOString(),
+    datePosted: toIsoString(job.publishAt) || toIsoString(job.createdAt) || toIsoString(job.updatedAt) || new Date().toISOString(),
     validThrough: toIsoString(job.applicationDeadline),
     employmentType: normalizeEmploymentType(job.employmentType),
     hiringOrganization: {
@@ -330,9 +362,9 @@ const getPublicJobs = async (req, res) => {
       });
     }
 
-    const jobs = await Job.find({ isActive: true })
+    const jobs = await Job.find(Job.openFilter())
       .sort({ isFeatured: -1, displayOrder: 1, createdAt: -1 })
-      .select("-__v");
+      .select(PUBLIC_JOB_EXCLUDE);
 
     cache.cacheJobs(jobs);
     logger.logDebug("JobController", "Jobs cached", { count: jobs.length });
@@ -356,7 +388,7 @@ const getJobsSitemap = async (req, res) => {
   try {
     const clientUrl = getClientUrl();
     const staticLastmod = process.env.SITEMAP_STATIC_LASTMOD || "2026-06-26";
-    const jobs = await Job.find({ isActive: true })
+    const jobs = await Job.find(Job.openFilter())
       .sort({ updatedAt: -1, createdAt: -1 })
       .select("title poster posterAlt updatedAt createdAt applicationDeadline employmentType department location")
       .lean();
@@ -409,7 +441,7 @@ ${urls}
 const getJobSharePage = async (req, res) => {
   try {
     const job = await Job.findById(req.params.id).select("-__v");
-    if (!job || job.isActive === false) {
+    if (!job || !job.isOpen()) {
       return sendShareNotFound(res);
     }
 
@@ -509,8 +541,8 @@ const getAllJobs = async (req, res) => {
 // Public/Admin - get single job
 const getJobById = async (req, res) => {
   try {
-    const job = await Job.findById(req.params.id);
-    if (!job) {
+    const job = await Job.findById(req.params.id).select(PUBLIC_JOB_EXCLUDE);
+    if (!job || (job.publishAt && job.publishAt > new Date())) {
       return res.status(404).json({
         status: "error",
         message: "Job not found"
@@ -561,6 +593,30 @@ const createJob = async (req, res) => {
       displayOrder
     } = req.body;
 
+    let questions = [];
+    if (req.body.questions !== undefined) {
+      const built = jobQuestionService.buildQuestions(req.body.questions);
+      if (built.errors.length) {
+        await cleanupUploadedPoster(req.file);
+        return res.status(400).json({
+          status: "error",
+          message: built.errors[0],
+          errors: built.errors.map((msg) => ({ path: "questions", msg }))
+        });
+      }
+      questions = built.questions;
+    }
+
+    const { schedule, error: scheduleError } = buildJobSchedule(req.body, { isActive: normalizeBoolean(isActive, true) });
+    if (scheduleError) {
+      await cleanupUploadedPoster(req.file);
+      return res.status(400).json({
+        status: "error",
+        message: scheduleError,
+        errors: [{ path: "applicationDeadline", msg: scheduleError }]
+      });
+    }
+
     const job = await Job.create({
       title: normalizeText(title),
       department: normalizeText(department) || "General",
@@ -572,12 +628,15 @@ const createJob = async (req, res) => {
       benefits: normalizeText(benefits),
       salaryRange: normalizeText(salaryRange),
       applicationDeadline: applicationDeadline ? new Date(applicationDeadline) : undefined,
+      publishAt: schedule.publishAt || undefined,
+      publishedAt: schedule.publishedAt || undefined,
       poster: req.file ? getFileUrl(req.file, "jobs") : normalizeText(poster),
       posterAlt: normalizeText(posterAlt),
       posterCloudinaryId: req.file?.public_id || null,
       isActive: normalizeBoolean(isActive, true),
       isFeatured: normalizeBoolean(isFeatured, false),
-      displayOrder: normalizeOrder(displayOrder, 0)
+      displayOrder: normalizeOrder(displayOrder, 0),
+      questions
     });
 
     cache.invalidateJobs();
@@ -631,13 +690,32 @@ const updateJob = async (req, res) => {
     if (req.body.responsibilities !== undefined) updateData.responsibilities = normalizeText(req.body.responsibilities);
     if (req.body.benefits !== undefined) updateData.benefits = normalizeText(req.body.benefits);
     if (req.body.salaryRange !== undefined) updateData.salaryRange = normalizeText(req.body.salaryRange);
-    if (req.body.applicationDeadline !== undefined) {
-      updateData.applicationDeadline = req.body.applicationDeadline ? new Date(req.body.applicationDeadline) : undefined;
+    const { schedule, error: scheduleError } = buildJobSchedule(req.body, job);
+    if (scheduleError) {
+      await cleanupUploadedPoster(req.file);
+      return res.status(400).json({
+        status: "error",
+        message: scheduleError,
+        errors: [{ path: "applicationDeadline", msg: scheduleError }]
+      });
     }
+    Object.assign(updateData, schedule);
     if (req.body.isActive !== undefined) updateData.isActive = normalizeBoolean(req.body.isActive, job.isActive);
     if (req.body.isFeatured !== undefined) updateData.isFeatured = normalizeBoolean(req.body.isFeatured, job.isFeatured);
     if (req.body.displayOrder !== undefined) updateData.displayOrder = normalizeOrder(req.body.displayOrder, job.displayOrder);
     if (req.body.posterAlt !== undefined) updateData.posterAlt = normalizeText(req.body.posterAlt);
+    if (req.body.questions !== undefined) {
+      const built = jobQuestionService.buildQuestions(req.body.questions);
+      if (built.errors.length) {
+        await cleanupUploadedPoster(req.file);
+        return res.status(400).json({
+          status: "error",
+          message: built.errors[0],
+          errors: built.errors.map((msg) => ({ path: "questions", msg }))
+        });
+      }
+      updateData.questions = built.questions;
+    }
 
     if (req.file) {
       updateData.poster = getFileUrl(req.file, "jobs");
@@ -730,11 +808,21 @@ const applyForJob = async (req, res) => {
       });
     }
 
-    if (!job.isActive) {
+    if (job.publishAt && job.publishAt > new Date()) {
+      await cleanupUploadedApplicationFiles(req);
+      return res.status(404).json({
+        status: "error",
+        message: "Job not found"
+      });
+    }
+
+    if (!job.isOpen()) {
       await cleanupUploadedApplicationFiles(req);
       return res.status(400).json({
         status: "error",
-        message: "This job is no longer accepting applications"
+        message: job.isActive && job.applicationDeadline
+          ? "The application deadline for this job has passed"
+          : "This job is no longer accepting applications"
       });
     }
 
@@ -753,10 +841,20 @@ const applyForJob = async (req, res) => {
       });
     }
 
+    const { answers, errors: answerErrors } = jobQuestionService.validateAnswers(job, req.body.answers);
+    if (answerErrors.length) {
+      await cleanupUploadedApplicationFiles(req);
+      return res.status(400).json({
+        status: "error",
+        message: answerErrors[0].msg,
+        errors: answerErrors
+      });
+    }
+
     const resumeFile = buildApplicationFile(getUploadedApplicationFile(req, "resumeFile"));
     const coverLetterFile = buildApplicationFile(getUploadedApplicationFile(req, "coverLetterFile"));
 
-    const application = await JobApplication.create({
+    const application = new JobApplication({
       job: job._id,
       fullName: normalizeText(fullName),
       email: email.toLowerCase().trim(),
@@ -764,12 +862,22 @@ const applyForJob = async (req, res) => {
       coverLetter: normalizeText(coverLetter),
       resumeUrl: normalizeText(resumeUrl),
       resumeFile,
-      coverLetterFile,
-      status: "pending"
+      coverLetterFile
     });
+    jobPipelineService.startApplication(application, job);
+    const { rejected } = jobQuestionService.applyScreening(application, job, answers);
+    const statusToken = applicationStatusService.issueToken(application);
+    await application.save();
 
     await application.populate("job", "title department location");
 
+    // Pull the resume text for candidate search (non-blocking)
+    if (application.resumeFile?.url) {
+      resumeTextService.extractForApplication(application).catch((extractError) => {
+        console.error("⚠️ Error extracting resume text:", extractError);
+      });
+    }
+
     // Send notification email (non-blocking)
     if (emailService && emailService.queueJobApplicationEmail) {
       emailService.queueJobApplicationEmail({
@@ -782,13 +890,21 @@ const applyForJob = async (req, res) => {
         resumeFileName: application.resumeFile?.originalName,
         resumeFileUrl: application.resumeFile?.url,
         coverLetterFileName: application.coverLetterFile?.originalName,
-        coverLetterFileUrl: application.coverLetterFile?.url
+        coverLetterFileUrl: application.coverLetterFile?.url,
+        answers: jobQuestionService.formatAnswers(application.answers),
+        knockouts: application.knockouts,
+        statusUrl: applicationStatusService.getLink(statusToken)
       }).catch((emailError) => {
         console.error("⚠️ Error queueing job application email:", emailError);
       });
     }
 
-    logger.logInfo("JobController", "Job application submitted", { applicationId: application._id, jobId: job._id });
+    logger.logInfo("JobController", "Job application submitted", {
+      applicationId: application._id,
+      jobId: job._id,
+      knockouts: application.knockouts.length,
+      autoRejected: rejected
+    });
 
     res.status(201).json({
       status: "success",
@@ -806,6 +922,134 @@ const applyForJob = async (req, res) => {
   }
 };
 
+// Public - the applicant's status page for their private link
+const getApplicationStatus = async (req, res) => {
+  try {
+    const application = await applicationStatusService.findByToken(req.params.token);
+    if (!application) {
+      return res.status(404).json({
+        status: "error",
+        message: "This application link is invalid"
+      });
+    }
+
+    res.set("Cache-Control", "no-store");
+    res.status(200).json({
+      status: "success",
+      data: applicationStatusService.toPublic(application)
+    });
+  } catch (error) {
+    logger.logError("JobController", error, { context: "getApplicationStatus" });
+    res.status(500).json({
+      status: "error",
+      message: "Error fetching application",
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error"
+    });
+  }
+};
+
+// Public - the applicant replaces their resume from the status page
+const updateApplicationResume = async (req, res) => {
+  try {
+    const application = await applicationStatusService.findByToken(req.params.token);
+    if (!application) {
+      await cleanupUploadedApplicationFiles(req);
+      return res.status(404).json({
+        status: "error",
+        message: "This application link is invalid"
+      });
+    }
+
+    if (!applicationStatusService.canUpdateResume(application)) {
+      await cleanupUploadedApplicationFiles(req);
+      return res.status(400).json({
+        status: "error",
+        message: application.status === "withdrawn"
+          ? "This application was withdrawn"
+          : "A decision has been made on this application, so the resume can no longer be changed"
+      });
+    }
+
+    const resumeFile = buildApplicationFile(getUploadedApplicationFile(req, "resumeFile"));
+    if (!resumeFile) {
+      await cleanupUploadedApplicationFiles(req);
+      return res.status(400).json({
+        status: "error",
+        message: "Please choose a resume file to upload",
+        errors: [{ path: "resumeFile", msg: "Please choose a resume file to upload" }]
+      });
+    }
+
+    await applicationStatusService.replaceResume(application, resumeFile);
+
+    logger.logInfo("JobController", "Applicant updated resume", { applicationId: application._id });
+
+    res.status(200).json({
+      status: "success",
+      message: "Your updated resume has been saved.",
+      data: applicationStatusService.toPublic(application)
+    });
+  } catch (error) {
+    logger.logError("JobController", error, { context: "updateApplicationResume" });
+    await cleanupUploadedApplicationFiles(req);
+    res.status(500).json({
+      status: "error",
+      message: "Error updating resume",
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error"
+    });
+  }
+};
+
+// Public - the applicant withdraws their application; stored files are deleted
+const withdrawApplication = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: "error",
+        message: "Validation failed",
+        errors: errors.array()
+      });
+    }
+
+    const application = await applicationStatusService.findByToken(req.params.token);
+    if (!application) {
+      return res.status(404).json({
+        status: "error",
+        message: "This application link is invalid"
+      });
+    }
+
+    if (!applicationStatusService.canWithdraw(application)) {
+      return res.status(400).json({
+        status: "error",
+        message: "This application was already withdrawn"
+      });
+    }
+
+    const { interviewCancelled } = await applicationStatusService.withdraw(application, normalizeText(req.body.reason));
+
+    logger.logInfo("JobController", "Applicant withdrew application", {
+      applicationId: application._id,
+      jobId: application.job?._id,
+      interviewCancelled
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: "Your application has been withdrawn and your uploaded documents deleted.",
+      data: applicationStatusService.toPublic(application)
+    });
+  } catch (error) {
+    logger.logError("JobController", error, { context: "withdrawApplication" });
+    res.status(500).json({
+      status: "error",
+      message: "Error withdrawing application",
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error"
+    });
+  }
+};
+
 // Admin - get applications for a job
 const getJobApplications = async (req, res) => {
   try {
@@ -817,14 +1061,16 @@ const getJobApplications = async (req, res) => {
       });
     }
 
-    const { status, page = 1, limit = 20 } = req.query;
+    const { status, tag, page = 1, limit = 20 } = req.query;
     const filter = { job: job._id };
     if (status) filter.status = status;
+    if (tag) filter.tags = String(tag);
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     const applications = await JobApplication.find(filter)
       .populate("reviewedBy", "name email")
+      .populate("stageHistory.movedBy", "name email")
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit));
@@ -855,13 +1101,14 @@ const getJobApplications = async (req, res) => {
 // Admin - get all job applications across every job
 const getAllJobApplications = async (req, res) => {
   try {
-    const { status, jobId, search, page = 1, limit = 20 } = req.query;
+    const { status, jobId, tag, search, page = 1, limit = 20 } = req.query;
     const safeLimit = Math.min(parseInt(limit) || 20, 100);
     const currentPage = Math.max(parseInt(page) || 1, 1);
     const filter = {};
 
     if (status) filter.status = status;
     if (jobId) filter.job = jobId;
+    if (tag) filter.tags = String(tag);
 
     if (search) {
       const pattern = escapeRegex(search.trim());
@@ -877,6 +1124,7 @@ const getAllJobApplications = async (req, res) => {
       JobApplication.find(filter)
         .populate("job", "title department location employmentType isActive")
         .populate("reviewedBy", "name email")
+        .populate("stageHistory.movedBy", "name email")
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(safeLimit),
@@ -906,6 +1154,36 @@ const getAllJobApplications = async (req, res) => {
   }
 };
 
+// Admin - search everyone who has ever applied, one result per email
+const searchCandidates = async (req, res) => {
+  try {
+    const { q = "", page = 1, limit = 20 } = req.query;
+    const query = String(q).trim().slice(0, 200);
+
+    const { candidates, pagination } = await resumeTextService.searchCandidates({
+      q: query,
+      page: Math.max(parseInt(page) || 1, 1),
+      limit: Math.min(parseInt(limit) || 20, 50)
+    });
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        query,
+        candidates,
+        pagination
+      }
+    });
+  } catch (error) {
+    logger.logError("JobController", error, { context: "searchCandidates", query: req.query.q });
+    res.status(500).json({
+      status: "error",
+      message: "Error searching candidates",
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error"
+    });
+  }
+};
+
 // Admin - update application status
 const updateApplicationStatus = async (req, res) => {
   try {
@@ -926,19 +1204,35 @@ const updateApplicationStatus = async (req, res) => {
       });
     }
 
+    if (application.status === "withdrawn") {
+      return res.status(400).json({
+        status: "error",
+        message: "The applicant withdrew this application, so its status can't be changed"
+      });
+    }
+
     const { status, adminNotes } = req.body;
     const previousStatus = application.status;
 
-    const updated = await JobApplication.findByIdAndUpdate(
-      req.params.applicationId,
-      {
-        status,
-        adminNotes: normalizeText(adminNotes),
-        reviewedBy: req.user ? req.user._id : undefined,
-        reviewedAt: new Date()
-      },
-      { new: true, runValidators: true }
-    ).populate("job", "title");
+    // Keep the pipeline in step: a status change moves the application to
+    // the first stage of its job's pipeline with that status
+    const job = await Job.findById(application.job);
+    if (job && jobPipelineService.resolveStage(application, job).status !== status) {
+      const stage = job.getPipeline().find((item) => item.status === status);
+      if (stage) {
+        jobPipelineService.moveToStage(application, job, stage, {
+          note: normalizeText(adminNotes),
+          movedBy: req.user ? req.user._id : null
+        });
+      }
+    }
+
+    application.status = status;
+    application.adminNotes = normalizeText(adminNotes);
+    application.reviewedBy = req.user ? req.user._id : undefined;
+    application.reviewedAt = new Date();
+    await application.save();
+    const updated = await application.populate("job", "title");
 
     if (status && emailService?.sendJobApplicationStatusUpdate) {
       setImmediate(() => {
@@ -972,6 +1266,227 @@ const updateApplicationStatus = async (req, res) => {
   }
 };
 
+// Admin - kanban board of a job's applications by pipeline stage
+const getJobPipeline = async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        status: "error",
+        message: "Job not found"
+      });
+    }
+
+    // Withdrawn applications leave the board
+    const applications = await JobApplication.find({ job: job._id, status: { $ne: "withdrawn" } })
+      .select("fullName email phone status stage stageEnteredAt stageHistory createdAt")
+      .sort({ createdAt: 1 });
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        job: { _id: job._id, title: job.title, isActive: job.isActive },
+        pipeline: job.getPipeline(),
+        columns: jobPipelineService.buildBoard(job, applications)
+      }
+    });
+  } catch (error) {
+    logger.logError("JobController", error, { context: "getJobPipeline", jobId: req.params.id });
+    res.status(500).json({
+      status: "error",
+      message: "Error fetching job pipeline",
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error"
+    });
+  }
+};
+
+// Admin - replace a job's pipeline stages
+const updateJobPipeline = async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        status: "error",
+        message: "Job not found"
+      });
+    }
+
+    const { pipeline, errors } = jobPipelineService.buildPipeline(req.body.stages);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        status: "error",
+        message: errors.join(", ")
+      });
+    }
+
+    // Stages can only be removed once no application is in them
+    const applications = await JobApplication.find({ job: job._id, status: { $ne: "withdrawn" } }).select("stage status createdAt stageHistory");
+    const keptKeys = new Set(pipeline.map((stage) => stage.key));
+    const occupied = new Map();
+    applications.forEach((application) => {
+      const stage = jobPipelineService.resolveStage(application, job);
+      if (!keptKeys.has(stage.key)) {
+        occupied.set(stage.name, (occupied.get(stage.name) || 0) + 1);
+      }
+    });
+
+    if (occupied.size > 0) {
+      const details = [...occupied.entries()].map(([name, count]) => `${name} (${count})`).join(", ");
+      return res.status(400).json({
+        status: "error",
+        message: `Move applications out of these stages before removing them: ${details}`
+      });
+    }
+
+    // Applications placed by status get their stage pinned first, so they
+    // stay put when stages are reordered or renamed
+    await Promise.all(applications
+      .filter((application) => !application.stage)
+      .map((application) => JobApplication.updateOne(
+        { _id: application._id },
+        { stage: jobPipelineService.resolveStage(application, job).key }
+      )));
+
+    job.pipeline = pipeline;
+    await job.save();
+
+    logger.logInfo("JobController", "Job pipeline updated", { jobId: job._id, stages: pipeline.length });
+
+    res.status(200).json({
+      status: "success",
+      message: "Pipeline updated",
+      data: { pipeline: job.pipeline }
+    });
+  } catch (error) {
+    logger.logError("JobController", error, { context: "updateJobPipeline", jobId: req.params.id });
+    res.status(500).json({
+      status: "error",
+      message: "Error updating job pipeline",
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error"
+    });
+  }
+};
+
+// Admin - move an application to another pipeline stage
+const moveApplicationStage = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: "error",
+        message: "Validation failed",
+        errors: errors.array()
+      });
+    }
+
+    const application = await JobApplication.findById(req.params.applicationId);
+    if (!application) {
+      return res.status(404).json({
+        status: "error",
+        message: "Application not found"
+      });
+    }
+
+    if (application.status === "withdrawn") {
+      return res.status(400).json({
+        status: "error",
+        message: "The applicant withdrew this application, so it can't be moved"
+      });
+    }
+
+    const job = await Job.findById(application.job);
+    if (!job) {
+      return res.status(404).json({
+        status: "error",
+        message: "Job not found"
+      });
+    }
+
+    const stage = jobPipelineService.getStage(job, req.body.stage);
+    if (!stage) {
+      return res.status(400).json({
+        status: "error",
+        message: "This job's pipeline has no such stage"
+      });
+    }
+
+    if (jobPipelineService.resolveStage(application, job).key === stage.key) {
+      return res.status(400).json({
+        status: "error",
+        message: `The application is already in ${stage.name}`
+      });
+    }
+
+    const { previousStatus, statusChanged } = jobPipelineService.moveToStage(application, job, stage, {
+      note: normalizeText(req.body.note),
+      movedBy: req.user ? req.user._id : null
+    });
+    application.reviewedBy = req.user ? req.user._id : application.reviewedBy;
+    application.reviewedAt = new Date();
+    await application.save();
+    await application.populate("stageHistory.movedBy", "name email");
+
+    const notify = normalizeBoolean(req.body.notify, true);
+    if (statusChanged && notify && emailService?.sendJobApplicationStatusUpdate) {
+      setImmediate(() => {
+        emailService.sendJobApplicationStatusUpdate({
+          jobTitle: job.title,
+          applicantName: application.fullName,
+          applicantEmail: application.email,
+          previousStatus,
+          status: application.status,
+          adminNotes: application.adminNotes
+        }).catch((emailError) => {
+          console.error("Job application status email failed:", emailError);
+        });
+      });
+    }
+
+    logger.logInfo("JobController", "Application moved to stage", { applicationId: application._id, stage: stage.key });
+
+    res.status(200).json({
+      status: "success",
+      message: `Moved to ${stage.name}${statusChanged && notify ? ". Applicant email queued." : ""}`,
+      data: { application }
+    });
+  } catch (error) {
+    logger.logError("JobController", error, { context: "moveApplicationStage", applicationId: req.params.applicationId });
+    res.status(500).json({
+      status: "error",
+      message: "Error moving application",
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error"
+    });
+  }
+};
+
+// Admin - time-in-stage metrics for a job's pipeline
+const getJobPipelineStats = async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        status: "error",
+        message: "Job not found"
+      });
+    }
+
+    const applications = await JobApplication.find({ job: job._id })
+      .select("status stage stageHistory withdrawnAt createdAt");
+
+    res.status(200).json({
+      status: "success",
+      data: jobPipelineService.computeStats(job, applications)
+    });
+  } catch (error) {
+    logger.logError("JobController", error, { context: "getJobPipelineStats", jobId: req.params.id });
+    res.status(500).json({
+      status: "error",
+      message: "Error fetching pipeline stats",
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error"
+    });
+  }
+};
+
 // Admin - send a professional custom email to a job applicant
 const sendJobApplicationEmail = async (req, res) => {
   try {
@@ -1053,8 +1568,16 @@ module.exports = {
   updateJob,
   deleteJob,
   applyForJob,
+  getApplicationStatus,
+  updateApplicationResume,
+  withdrawApplication,
   getAllJobApplications,
+  searchCandidates,
   getJobApplications,
   updateApplicationStatus,
+  getJobPipeline,
+  updateJobPipeline,
+  moveApplicationStage,
+  getJobPipelineStats,
   sendJobApplicationEmail
 };
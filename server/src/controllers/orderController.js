@@ -0,0 +1,300 @@
+const { Order } = require("../models");
+const orderService = require("../services/orderService");
+
+const escapeRegex = (value = "") => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const isObjectId = (value = "") => /^[0-9a-fA-F]{24}$/.test(String(value));
+
+class OrderController {
+  // Create an order from the product cart (public)
+  static async createOrder(req, res) {
+    try {
+      let { items, customerName, customerEmail, customerPhone, preferredContact, message } = req.body;
+
+      // Auto-fill user data if logged in
+      if (req.user) {
+        customerName = customerName || req.user.name;
+        customerEmail = customerEmail || req.user.email;
+        customerPhone = customerPhone || req.user.phone || "";
+      }
+
+      if (!customerName?.trim() || !customerEmail?.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: "Name and email are required."
+        });
+      }
+
+      const { items: orderItems, errors } = await orderService.buildItems(items);
+      if (errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: errors[0],
+          errors
+        });
+      }
+
+      const order = await orderService.createOrder({
+        items: orderItems,
+        customer: {
+          customerName: customerName.trim(),
+          customerEmail: customerEmail.toLowerCase().trim(),
+          customerPhone: customerPhone?.trim() || "",
+          preferredContact: ["email", "phone", "both"].includes(preferredContact) ? preferredContact : "email",
+          message: message?.trim() || ""
+        },
+        user: req.user ? req.user._id : null,
+        metadata: {
+          ipAddress: req.ip || req.connection.remoteAddress,
+          userAgent: req.headers["user-agent"],
+          source: "cart"
+        }
+      });
+
+      console.log(`✅ Order ${order.orderNumber} saved — ${order.items.length} item(s) for ${order.customerEmail}`);
+
+      res.status(201).json({
+        success: true,
+        message: `Your order ${order.orderNumber} has been sent! We'll get back to you within 24–48 hours.`,
+        data: {
+          orderId: order._id,
+          orderNumber: order.orderNumber,
+          totals: order.totals,
+          hasUnpricedItems: order.hasUnpricedItems
+        }
+      });
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        const messages = Object.values(error.errors).map((item) => item.message);
+        return res.status(400).json({
+          success: false,
+          message: messages[0],
+          errors: messages
+        });
+      }
+
+      console.error("❌ Create order error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to send your order. Please try again.",
+        error: error.message
+      });
+    }
+  }
+
+  // Get all orders (Admin only)
+  static async getAllOrders(req, res) {
+    try {
+      const page = Math.max(1, parseInt(req.query.page) || 1);
+      const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+      const { status, search } = req.query;
+
+      const filter = {};
+      if (status && status !== "all") filter.status = status;
+
+      if (search) {
+        const pattern = { $regex: escapeRegex(search.trim()), $options: "i" };
+        filter.$or = [
+          { orderNumber: pattern },
+          { customerName: pattern },
+          { customerEmail: pattern },
+          { customerPhone: pattern },
+          { "items.productName": pattern }
+        ];
+      }
+
+      const [orders, count] = await Promise.all([
+        Order.find(filter)
+          .sort({ createdAt: -1 })
+          .limit(limit)
+          .skip((page - 1) * limit)
+          .lean(),
+        Order.countDocuments(filter)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          orders,
+          totalPages: Math.ceil(count / limit),
+          currentPage: page,
+          total: count
+        }
+      });
+    } catch (error) {
+      console.error("❌ Get orders error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch orders",
+        error: error.message
+      });
+    }
+  }
+
+  // Get one order with its history (Admin only)
+  static async getOrder(req, res) {
+    try {
+      if (!isObjectId(req.params.id)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid order ID format"
+        });
+      }
+
+      const order = await Order.findById(req.params.id)
+        .populate("user", "name email")
+        .populate("statusHistory.changedBy", "name email");
+
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          message: "Order not found"
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { order }
+      });
+    } catch (error) {
+      console.error("❌ Get order error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch order",
+        error: error.message
+      });
+    }
+  }
+
+  // Move an order along its lifecycle (Admin only)
+  static async updateOrderStatus(req, res) {
+    try {
+      const { id } = req.params;
+      const { status, note, notify } = req.body;
+
+      if (!isObjectId(id)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid order ID format"
+        });
+      }
+
+      if (note && String(note).length > 500) {
+        return res.status(400).json({
+          success: false,
+          message: "Status note cannot exceed 500 characters"
+        });
+      }
+
+      const order = await Order.findById(id);
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          message: "Order not found"
+        });
+      }
+
+      const result = await orderService.updateStatus(order, status, {
+        note: note?.trim() || undefined,
+        changedBy: req.user ? req.user._id : null,
+        notify: notify !== false
+      });
+
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          message: result.error
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `Order marked ${status}${notify !== false ? ". Customer email queued." : ""}`,
+        data: { order: result.order }
+      });
+    } catch (error) {
+      console.error("❌ Update order status error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update order",
+        error: error.message
+      });
+    }
+  }
+
+  // Save internal notes on an order (Admin only)
+  static async updateOrderNotes(req, res) {
+    try {
+      const { id } = req.params;
+      const adminNotes = String(req.body.adminNotes || "").trim();
+
+      if (!isObjectId(id)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid order ID format"
+        });
+      }
+
+      const order = await Order.findByIdAndUpdate(
+        id,
+        { adminNotes },
+        { new: true, runValidators: true }
+      );
+
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          message: "Order not found"
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Order notes saved",
+        data: { order }
+      });
+    } catch (error) {
+      console.error("❌ Update order notes error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to save order notes",
+        error: error.message
+      });
+    }
+  }
+
+  // Order counts by status and open order value per currency (Admin only)
+  static async getOrderStats(req, res) {
+    try {
+      const [byStatus, openTotals] = await Promise.all([
+        Order.aggregate([
+          { $group: { _id: "$status", count: { $sum: 1 } } }
+        ]),
+        Order.aggregate([
+          { $match: { status: { $in: ["new", "confirmed", "processing"] } } },
+          { $unwind: "$totals" },
+          { $group: { _id: "$totals.currency", amount: { $sum: "$totals.amount" }, orders: { $sum: 1 } } },
+          { $sort: { _id: 1 } }
+        ])
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          stats: byStatus,
+          totalOrders: byStatus.reduce((sum, item) => sum + item.count, 0),
+          openTotals: openTotals.map((item) => ({ currency: item._id, amount: item.amount, orders: item.orders }))
+        }
+      });
+    } catch (error) {
+      console.error("Get order stats error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch order statistics",
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = OrderController;
@@ -0,0 +1,462 @@
+const { Payment } = require("../models");
+const paymentService = require("../services/paymentService");
+const paymentLinkService = require("../services/paymentLinkService");
+const { getProvider, getAvailableProviders } = require("../services/paymentProviders");
+
+const escapeRegex = (value = "") => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const isObjectId = (value = "") => /^[0-9a-fA-F]{24}$/.test(String(value));
+
+const isReference = (value = "") => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(String(value));
+
+const TARGET_TYPES = ["invoice", "order"];
+
+const findPayment = async (req, res) => {
+  if (!isObjectId(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      message: "Invalid payment ID format"
+    });
+    return null;
+  }
+
+  const payment = await Payment.findById(req.params.id);
+  if (!payment) {
+    res.status(404).json({
+      success: false,
+      message: "Payment not found"
+    });
+    return null;
+  }
+
+  return payment;
+};
+
+const sendInitiateResult = (res, result) => {
+  if (result.error) {
+    return res.status(result.statusCode || 400).json({
+      success: false,
+      message: result.error,
+      ...(result.payment ? { data: { payment: paymentService.toPublicPayment(result.payment) } } : {})
+    });
+  }
+
+  const { payment } = result;
+  return res.status(201).json({
+    success: true,
+    message: payment.status === "failed"
+      ? payment.failureReason || "The payment request was declined"
+      : "Payment request sent. Approve it on your phone to finish paying.",
+    data: { payment: paymentService.toPublicPayment(payment) }
+  });
+};
+
+class PaymentController {
+  // Payment methods customers can use, optionally for one currency (Public)
+  static async getProviders(req, res) {
+    try {
+      const currency = req.query.currency ? String(req.query.currency).toUpperCase() : undefined;
+
+      res.json({
+        success: true,
+        data: {
+          providers: getAvailableProviders(currency).map((provider) => ({
+            name: provider.name,
+            label: provider.label,
+            currencies: provider.getCurrencies()
+          }))
+        }
+      });
+    } catch (error) {
+      console.error("❌ Get payment providers error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch payment methods",
+        error: error.message
+      });
+    }
+  }
+
+  // What a pay link is for and how much is due (Public, by link token)
+  static async getCheckout(req, res) {
+    try {
+      const result = await paymentService.getCheckout(req.params.token);
+      if (result.error) {
+        return res.status(result.statusCode).json({
+          success: false,
+          message: result.error
+        });
+      }
+
+      res.json({
+        success: true,
+        data: result.checkout
+      });
+    } catch (error) {
+      console.error("❌ Get checkout error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to load the payment details",
+        error: error.message
+      });
+    }
+  }
+
+  // Send a mobile money request for a pay link (Public, by link token)
+  static async payCheckout(req, res) {
+    try {
+      const link = paymentLinkService.verifyToken(req.params.token);
+      if (!link) {
+        return res.status(404).json({
+          success: false,
+          message: "This payment link is invalid or has expired"
+        });
+      }
+
+      const { provider, phone } = req.body || {};
+      const result = await paymentService.initiate({
+        type: link.type,
+        id: link.id,
+        provider,
+        phone,
+        metadata: {
+          ipAddress: req.ip,
+          userAgent: req.get("User-Agent")
+        }
+      });
+
+      if (!result.error) {
+        console.log(`✅ Payment request ${result.payment.reference} sent for ${result.payment.description}`);
+      }
+      sendInitiateResult(res, result);
+    } catch (error) {
+      console.error("❌ Start payment error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to start the payment. Please try again.",
+        error: error.message
+      });
+    }
+  }
+
+  // Where a payment request has got to; checks with the provider while pending (Public, by reference)
+  static async getPaymentStatus(req, res) {
+    try {
+      if (!isReference(req.params.reference)) {
+        return res.status(404).json({
+          success: false,
+          message: "Payment not found"
+        });
+      }
+
+      const payment = await Payment.findOne({ reference: req.params.reference.toLowerCase() });
+      if (!payment) {
+        return res.status(404).json({
+          success: false,
+          message: "Payment not found"
+        });
+      }
+
+      await paymentService.refreshStatus(payment);
+
+      res.json({
+        success: true,
+        data: { payment: paymentService.toPublicPayment(payment) }
+      });
+    } catch (error) {
+      console.error("❌ Get payment status error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to check the payment",
+        error: error.message
+      });
+    }
+  }
+
+  // Provider callback; the payment is re-checked with the provider rather than trusting the body (Public)
+  static async handleWebhook(req, res) {
+    try {
+      if (!getProvider(req.params.provider)) {
+        return res.status(404).json({
+          success: false,
+          message: "Unknown payment provider"
+        });
+      }
+
+      const payment = await paymentService.handleWebhook(req.params.provider, req);
+      if (!payment) {
+        console.warn(`⚠️ ${req.params.provider} webhook did not match a payment`);
+      }
+
+      res.json({ success: true });
+    } catch (error) {
+      console.error("❌ Payment webhook error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to process the callback"
+      });
+    }
+  }
+
+  // List payments (Admin only)
+  static async getAllPayments(req, res) {
+    try {
+      const page = Math.max(1, parseInt(req.query.page) || 1);
+      const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+      const { status, provider, purpose, invoice, order, search } = req.query;
+
+      const filter = {};
+      if (status === "refund_pending") {
+        filter["refund.status"] = "pending";
+      } else if (status === "needs_refund") {
+        filter.needsRefund = true;
+      } else if (status && status !== "all") {
+        filter.status = status;
+      }
+      if (provider && provider !== "all") filter.provider = provider;
+      if (TARGET_TYPES.includes(purpose)) filter.purpose = purpose;
+      if (isObjectId(invoice)) filter.invoice = invoice;
+      if (isObjectId(order)) filter.order = order;
+
+      if (search) {
+        const pattern = { $regex: escapeRegex(search.trim()), $options: "i" };
+        filter.$or = [
+          { reference: pattern },
+          { providerReference: pattern },
+          { providerTransactionId: pattern },
+          { description: pattern },
+          { phone: pattern },
+          { payerName: pattern },
+          { payerEmail: pattern }
+        ];
+      }
+
+      const [payments, count] = await Promise.all([
+        Payment.find(filter)
+          .sort({ createdAt: -1 })
+          .limit(limit)
+          .skip((page - 1) * limit)
+          .lean(),
+        Payment.countDocuments(filter)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          payments: payments.map((payment) => ({
+            ...payment,
+            providerLabel: getProvider(payment.provider)?.label || payment.provider,
+            canRefund: payment.status === "successful"
+              && (!payment.refund || payment.refund.status === "failed")
+              && !!getProvider(payment.provider)?.canRefund()
+          })),
+          totalPages: Math.ceil(count / limit),
+          currentPage: page,
+          total: count
+        }
+      });
+    } catch (error) {
+      console.error("❌ Get payments error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch payments",
+        error: error.message
+      });
+    }
+  }
+
+  // Get one payment (Admin only)
+  static async getPayment(req, res) {
+    try {
+      if (!isObjectId(req.params.id)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid payment ID format"
+        });
+      }
+
+      const payment = await Payment.findById(req.params.id)
+        .populate("invoice", "invoiceNumber title status balanceDue currency")
+        .populate("order", "orderNumber status paymentStatus")
+        .populate("initiatedBy", "name email")
+        .populate("refund.requestedBy", "name email");
+
+      if (!payment) {
+        return res.status(404).json({
+          success: false,
+          message: "Payment not found"
+        });
+      }
+
+      res.json({
+        success: true,
+        data: payment
+      });
+    } catch (error) {
+      console.error("❌ Get payment error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch payment",
+        error: error.message
+      });
+    }
+  }
+
+  // Check a pending payment or refund with the provider now (Admin only)
+  static async refreshPayment(req, res) {
+    try {
+      const payment = await findPayment(req, res);
+      if (!payment) return;
+
+      await paymentService.refreshStatus(payment, { force: true });
+
+      res.json({
+        success: true,
+        message: `Payment is ${payment.status}`,
+        data: payment
+      });
+    } catch (error) {
+      console.error("❌ Refresh payment error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to check the payment",
+        error: error.message
+      });
+    }
+  }
+
+  // Refund a successful payment in full through its provider (Admin only)
+  static async refundPayment(req, res) {
+    try {
+      const payment = await findPayment(req, res);
+      if (!payment) return;
+
+      const reason = String((req.body || {}).reason || "").trim();
+      if (!reason) {
+        return res.status(400).json({
+          success: false,
+          message: "Give a reason for the refund"
+        });
+      }
+
+      const result = await paymentService.refund(payment, {
+        reason,
+        amount: (req.body || {}).amount,
+        requestedBy: req.user ? req.user._id : null
+      });
+      if (result.error) {
+        return res.status(result.statusCode || 400).json({
+          success: false,
+          message: result.error
+        });
+      }
+
+      const completed = payment.refund.status === "successful";
+      console.log(`✅ Refund of payment ${payment.reference} ${completed ? "completed" : "requested"}`);
+
+      res.json({
+        success: true,
+        message: completed
+          ? "Refund sent. The customer has been emailed."
+          : "Refund sent. It will be marked done once the provider confirms it.",
+        data: payment
+      });
+    } catch (error) {
+      console.error("❌ Refund payment error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to refund the payment",
+        error: error.message
+      });
+    }
+  }
+
+  // Send a payment request to a customer's phone for an invoice or order (Admin only)
+  static async requestPayment(req, res) {
+    try {
+      const { type, id, provider, phone } = req.body || {};
+      if (!TARGET_TYPES.includes(type) || !isObjectId(id)) {
+        return res.status(400).json({
+          success: false,
+          message: "Choose an invoice or order to collect payment for"
+        });
+      }
+
+      const result = await paymentService.initiate({
+        type,
+        id,
+        provider,
+        phone,
+        initiatedBy: req.user ? req.user._id : null
+      });
+
+      if (!result.error) {
+        console.log(`✅ Payment request ${result.payment.reference} sent for ${result.payment.description} by admin`);
+      }
+      sendInitiateResult(res, result);
+    } catch (error) {
+      console.error("❌ Request payment error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to send the payment request",
+        error: error.message
+      });
+    }
+  }
+
+  // Pay link to share with the customer for an invoice or order (Admin only)
+  static async getPayLink(req, res) {
+    try {
+      const { type, id } = req.params;
+      if (!TARGET_TYPES.includes(type) || !isObjectId(id)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid invoice or order"
+        });
+      }
+
+      const target = await paymentService.findTarget(type, id);
+      if (!target) {
+        return res.status(404).json({
+          success: false,
+          message: `${type === "invoice" ? "Invoice" : "Order"} not found`
+        });
+      }
+
+      const due = paymentService.getAmountDue(target);
+      if (!due) {
+        return res.status(400).json({
+          success: false,
+          message: `${paymentService.describeTarget(type, target)} has nothing to pay online`
+        });
+      }
+
+      const providers = getAvailableProviders(due.currency);
+      if (providers.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: `No payment provider is set up for ${due.currency}`
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          link: paymentLinkService.getLink(type, target._id),
+          amount: due.amount,
+          currency: due.currency,
+          providers: providers.map(({ name, label }) => ({ name, label }))
+        }
+      });
+    } catch (error) {
+      console.error("❌ Get pay link error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to create the pay link",
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = PaymentController;
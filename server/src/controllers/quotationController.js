@@ -0,0 +1,479 @@
+const { Quotation } = require("../models");
+const quotationService = require("../services/quotationService");
+
+const escapeRegex = (value = "") => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const isObjectId = (value = "") => /^[0-9a-fA-F]{24}$/.test(String(value));
+
+const validationMessages = (error) => Object.values(error.errors).map((item) => item.message);
+
+const sendPdf = (res, quotation, pdf, disposition = "attachment") => {
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `${disposition}; filename="${quotation.quotationNumber}.pdf"`);
+  res.setHeader("Cache-Control", "no-store");
+  res.send(Buffer.from(pdf));
+};
+
+class QuotationController {
+  // List quotations, optionally for one service quote request or order (Admin only)
+  static async getAllQuotations(req, res) {
+    try {
+      const page = Math.max(1, parseInt(req.query.page) || 1);
+      const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+      const { status, search, serviceQuote, order } = req.query;
+
+      const filter = {};
+      if (status && status !== "all") filter.status = status;
+      if (isObjectId(serviceQuote)) filter.serviceQuote = serviceQuote;
+      if (isObjectId(order)) filter.order = order;
+
+      if (search) {
+        const pattern = { $regex: escapeRegex(search.trim()), $options: "i" };
+        filter.$or = [
+          { quotationNumber: pattern },
+          { title: pattern },
+          { customerName: pattern },
+          { customerEmail: pattern },
+          { companyName: pattern }
+        ];
+      }
+
+      const [quotations, count] = await Promise.all([
+        Quotation.find(filter)
+          .sort({ createdAt: -1 })
+          .limit(limit)
+          .skip((page - 1) * limit)
+          .lean(),
+        Quotation.countDocuments(filter)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          quotations,
+          totalPages: Math.ceil(count / limit),
+          currentPage: page,
+          total: count
+        }
+      });
+    } catch (error) {
+      console.error("❌ Get quotations error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch quotations",
+        error: error.message
+      });
+    }
+  }
+
+  // Get one quotation (Admin only)
+  static async getQuotation(req, res) {
+    try {
+      if (!isObjectId(req.params.id)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid quotation ID format"
+        });
+      }
+
+      const quotation = await Quotation.findById(req.params.id)
+        .populate("serviceQuote", "serviceName status")
+        .populate("order", "orderNumber status")
+        .populate("createdBy", "name email");
+
+      if (!quotation) {
+        return res.status(404).json({
+          success: false,
+          message: "Quotation not found"
+        });
+      }
+
+      await quotationService.refreshExpiry(quotation);
+
+      res.json({
+        success: true,
+        data: { quotation }
+      });
+    } catch (error) {
+      console.error("❌ Get quotation error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch quotation",
+        error: error.message
+      });
+    }
+  }
+
+  // Draft a quotation from a service quote request or an order (Admin only)
+  static async createQuotation(req, res) {
+    try {
+      const { serviceQuoteId, orderId, ...fields } = req.body;
+
+      const result = await quotationService.createQuotation({
+        serviceQuoteId,
+        orderId,
+        fields,
+        createdBy: req.user ? req.user._id : null
+      });
+
+      if (result.error) {
+        return res.status(result.statusCode || 400).json({
+          success: false,
+          message: result.error
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: `Quotation ${result.quotation.quotationNumber} drafted`,
+        data: { quotation: result.quotation }
+      });
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        const messages = validationMessages(error);
+        return res.status(400).json({
+          success: false,
+          message: messages[0],
+          errors: messages
+        });
+      }
+
+      console.error("❌ Create quotation error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to create quotation",
+        error: error.message
+      });
+    }
+  }
+
+  // Edit a draft or sent quotation (Admin only)
+  static async updateQuotation(req, res) {
+    try {
+      if (!isObjectId(req.params.id)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid quotation ID format"
+        });
+      }
+
+      const quotation = await Quotation.findById(req.params.id);
+      if (!quotation) {
+        return res.status(404).json({
+          success: false,
+          message: "Quotation not found"
+        });
+      }
+
+      if (!quotation.isEditable()) {
+        return res.status(400).json({
+          success: false,
+          message: `A ${quotation.status} quotation can't be edited`
+        });
+      }
+
+      quotationService.applyChanges(quotation, req.body);
+      await quotation.save();
+
+      res.json({
+        success: true,
+        message: quotation.status === "sent"
+          ? "Quotation saved. Send it again so the customer gets the new version."
+          : "Quotation saved",
+        data: { quotation }
+      });
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        const messages = validationMessages(error);
+        return res.status(400).json({
+          success: false,
+          message: messages[0],
+          errors: messages
+        });
+      }
+
+      console.error("❌ Update quotation error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to save quotation",
+        error: error.message
+      });
+    }
+  }
+
+  // Email the quotation PDF and response link to the customer (Admin only)
+  static async sendQuotation(req, res) {
+    try {
+      if (!isObjectId(req.params.id)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid quotation ID format"
+        });
+      }
+
+      const quotation = await Quotation.findById(req.params.id);
+      if (!quotation) {
+        return res.status(404).json({
+          success: false,
+          message: "Quotation not found"
+        });
+      }
+
+      const result = await quotationService.send(quotation);
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          message: result.error
+        });
+      }
+
+      console.log(`✅ Quotation ${quotation.quotationNumber} sent to ${quotation.customerEmail}`);
+
+      res.json({
+        success: true,
+        message: `Quotation sent to ${quotation.customerEmail}`,
+        data: { quotation: result.quotation }
+      });
+    } catch (error) {
+      console.error("❌ Send quotation error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to send quotation",
+        error: error.message
+      });
+    }
+  }
+
+  // Withdraw a sent quotation so its link can no longer be accepted (Admin only)
+  static async cancelQuotation(req, res) {
+    try {
+      if (!isObjectId(req.params.id)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid quotation ID format"
+        });
+      }
+
+      const quotation = await Quotation.findById(req.params.id);
+      if (!quotation) {
+        return res.status(404).json({
+          success: false,
+          message: "Quotation not found"
+        });
+      }
+
+      if (!["draft", "sent", "expired"].includes(quotation.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `A ${quotation.status} quotation can't be cancelled`
+        });
+      }
+
+      // Conditional on the status, so a customer's response arriving at the same time wins or loses cleanly
+      const cancelled = await Quotation.findOneAndUpdate(
+        { _id: quotation._id, status: quotation.status },
+        { $set: { status: "cancelled" } },
+        { new: true }
+      );
+      if (!cancelled) {
+        return res.status(409).json({
+          success: false,
+          message: "The quotation changed while you were cancelling it. Reload and try again."
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Quotation cancelled",
+        data: { quotation: cancelled }
+      });
+    } catch (error) {
+      console.error("❌ Cancel quotation error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to cancel quotation",
+        error: error.message
+      });
+    }
+  }
+
+  // Delete a draft that was never sent (Admin only)
+  static async deleteQuotation(req, res) {
+    try {
+      if (!isObjectId(req.params.id)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid quotation ID format"
+        });
+      }
+
+      const quotation = await Quotation.findById(req.params.id);
+      if (!quotation) {
+        return res.status(404).json({
+          success: false,
+          message: "Quotation not found"
+        });
+      }
+
+      if (quotation.status !== "draft") {
+        return res.status(400).json({
+          success: false,
+          message: "Only drafts can be deleted. Cancel a sent quotation instead."
+        });
+      }
+
+      await quotation.deleteOne();
+
+      res.json({
+        success: true,
+        message: "Draft quotation deleted"
+      });
+    } catch (error) {
+      console.error("❌ Delete quotation error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to delete quotation",
+        error: error.message
+      });
+    }
+  }
+
+  // Download the quotation PDF (Admin only)
+  static async downloadQuotationPdf(req, res) {
+    try {
+      if (!isObjectId(req.params.id)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid quotation ID format"
+        });
+      }
+
+      const quotation = await Quotation.findById(req.params.id);
+      if (!quotation) {
+        return res.status(404).json({
+          success: false,
+          message: "Quotation not found"
+        });
+      }
+
+      sendPdf(res, quotation, await quotationService.renderPdf(quotation), req.query.inline ? "inline" : "attachment");
+    } catch (error) {
+      console.error("❌ Quotation PDF error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to generate quotation PDF",
+        error: error.message
+      });
+    }
+  }
+
+  // The customer's quotation page from the emailed link (public)
+  static async getPublicQuotation(req, res) {
+    try {
+      const quotation = await quotationService.findByToken(req.params.token);
+      if (!quotation) {
+        return res.status(404).json({
+          success: false,
+          message: "This quotation link is invalid or has been replaced by a newer one."
+        });
+      }
+
+      await quotationService.refreshExpiry(quotation);
+      if (!quotation.viewedAt) {
+        quotation.viewedAt = new Date();
+        await quotation.save();
+      }
+
+      res.json({
+        success: true,
+        data: { quotation: quotationService.toPublic(quotation) }
+      });
+    } catch (error) {
+      console.error("❌ Get public quotation error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to load quotation",
+        error: error.message
+      });
+    }
+  }
+
+  // Download the quotation PDF from the emailed link (public)
+  static async downloadPublicQuotationPdf(req, res) {
+    try {
+      const quotation = await quotationService.findByToken(req.params.token);
+      if (!quotation) {
+        return res.status(404).json({
+          success: false,
+          message: "This quotation link is invalid or has been replaced by a newer one."
+        });
+      }
+
+      sendPdf(res, quotation, await quotationService.renderPdf(quotation));
+    } catch (error) {
+      console.error("❌ Public quotation PDF error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to generate quotation PDF",
+        error: error.message
+      });
+    }
+  }
+
+  // Accept or decline from the emailed link (public)
+  static async respondToQuotation(req, res) {
+    try {
+      const { decision, note } = req.body;
+
+      if (!["accept", "decline"].includes(decision)) {
+        return res.status(400).json({
+          success: false,
+          message: "Decision must be accept or decline"
+        });
+      }
+
+      if (note && String(note).length > 1000) {
+        return res.status(400).json({
+          success: false,
+          message: "Note cannot exceed 1000 characters"
+        });
+      }
+
+      const quotation = await quotationService.findByToken(req.params.token);
+      if (!quotation) {
+        return res.status(404).json({
+          success: false,
+          message: "This quotation link is invalid or has been replaced by a newer one."
+        });
+      }
+
+      const result = await quotationService.respond(quotation, decision, String(note || "").trim());
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          message: result.error,
+          data: { quotation: quotationService.toPublic(quotation) }
+        });
+      }
+
+      console.log(`✅ Quotation ${quotation.quotationNumber} ${quotation.status} by customer`);
+
+      res.json({
+        success: true,
+        message: decision === "accept"
+          ? "Thank you! We've received your acceptance and will be in touch about the next steps."
+          : "Thank you for letting us know. We've recorded that you declined this quotation.",
+        data: { quotation: quotationService.toPublic(result.quotation) }
+      });
+    } catch (error) {
+      console.error("❌ Respond to quotation error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to record your response",
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = QuotationController;
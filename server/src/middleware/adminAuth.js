@@ -1,14 +1,17 @@
 const {
     authMiddleware,
-    adminMiddleware
+    adminMiddleware,
+    judgeMiddleware
 } = require("./auth");
 
 // Keep a single auth stack across the API so admin endpoints
 // behave consistently with /api/account and token/session auth.
 const adminAuth = [authMiddleware, adminMiddleware];
+const judgeAuth = [authMiddleware, judgeMiddleware];
 
 module.exports = {
     authMiddleware,
     adminMiddleware,
-    adminAuth
+    adminAuth,
+    judgeAuth
 };
\ No newline at end of file
@@ -157,6 +157,60 @@ const adminMiddleware = (req, res, next) => {
     next();
 };
 
+// Awards judging access: judges score nominations, admins can too
+const judgeMiddleware = (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({
+            status: "error",
+            message: "Authentication required",
+            code: 'AUTH_REQUIRED'
+        });
+    }
+
+    if (!["judge", "admin"].includes(req.user.role)) {
+        logger.warn('Judging access attempt by non-judge user', {
+            userId: req.user._id,
+            role: req.user.role,
+            ip: req.ip,
+            path: req.path
+        });
+
+        return res.status(403).json({
+            status: "error",
+            message: "Judge access required",
+            code: 'JUDGE_REQUIRED'
+        });
+    }
+
+    next();
+};
+
+// Certificate recipient portal: recipients aren't site users, so they carry a
+// short-lived portal session from their magic link in X-Certificate-Portal-Token
+const certificatePortalMiddleware = (req, res, next) => {
+    const token = req.get('x-certificate-portal-token');
+
+    try {
+        const decoded = token && jwt.verify(
+            token,
+            process.env.JWT_SECRET || 'fallback-secret-key-change-in-production'
+        );
+
+        if (decoded?.type === 'certificate-portal' && decoded.email) {
+            req.portalEmail = decoded.email;
+            return next();
+        }
+    } catch (jwtError) {
+        // Expired or tampered session; ask the recipient for a new link
+    }
+
+    return res.status(401).json({
+        status: "error",
+        message: "Your portal session has expired. Request a new sign-in link.",
+        code: 'PORTAL_AUTH_REQUIRED'
+    });
+};
+
 // Enhanced optional auth middleware with JWT support
 const optionalAuthMiddleware = async (req, res, next) => {
     try {
@@ -216,5 +270,7 @@ const optionalAuthMiddleware = async (req, res, next) => {
 module.exports = {
     authMiddleware,
     adminMiddleware,
+    judgeMiddleware,
+    certificatePortalMiddleware,
     optionalAuthMiddleware
 };
@@ -1,5 +1,90 @@
 const mongoose = require("mongoose");
 
+// An edition is one awards cycle (e.g. "SAPTech Awards 2026"). Categories and
+// nominations belong to an edition so past cycles stay browsable as an archive.
+const awardEditionSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, "Edition name is required"],
+        trim: true,
+        maxlength: [100, "Edition name cannot exceed 100 characters"]
+    },
+    year: {
+        type: String,
+        required: [true, "Edition year is required"],
+        trim: true,
+        unique: true,
+        match: [/^\d{4}$/, "Edition year must be a four digit year"]
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [500, "Edition description cannot exceed 500 characters"]
+    },
+    nominationOpensAt: Date,
+    nominationClosesAt: Date,
+    votingOpensAt: Date,
+    votingClosesAt: Date,
+    resultsAnnouncedAt: Date,
+    isCurrent: {
+        type: Boolean,
+        default: false
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Virtual for the stage of the cycle based on the configured dates
+awardEditionSchema.virtual("phase").get(function() {
+    const now = new Date();
+    if (this.resultsAnnouncedAt && now >= this.resultsAnnouncedAt) return "results";
+    if (this.votingClosesAt && now >= this.votingClosesAt) return "judging";
+    if (this.votingOpensAt && now >= this.votingOpensAt) return "voting";
+    if (this.nominationOpensAt && now >= this.nominationOpensAt) return "nominations";
+    return "upcoming";
+});
+
+// Instance method to check whether nominations are being accepted
+awardEditionSchema.methods.isNominationOpen = function(date = new Date()) {
+    if (this.nominationOpensAt && date < this.nominationOpensAt) return false;
+    if (this.nominationClosesAt && date > this.nominationClosesAt) return false;
+    return true;
+};
+
+// Static method to get the edition currently being run, falling back to the latest one
+awardEditionSchema.statics.getCurrent = async function() {
+    const current = await this.findOne({ isCurrent: true });
+    if (current) return current;
+    return this.findOne().sort({ year: -1 });
+};
+
+// A judging criterion; judges score each one from 0 to maxScore
+const rubricCriterionSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, "Criterion name is required"],
+        trim: true,
+        maxlength: [100, "Criterion name cannot exceed 100 characters"]
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [300, "Criterion description cannot exceed 300 characters"]
+    },
+    weight: {
+        type: Number,
+        min: [0, "Criterion weight cannot be negative"],
+        default: 1
+    },
+    maxScore: {
+        type: Number,
+        min: [1, "Maximum score must be at least 1"],
+        default: 10
+    }
+});
+
 const awardCategorySchema = new mongoose.Schema({
     name: {
         type: String,
@@ -15,6 +100,11 @@ const awardCategorySchema = new mongoose.Schema({
         type: String,
         default: "🏆"
     },
+    edition: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "AwardEdition",
+        default: null
+    },
     iconName: {
         type: String,
         default: "trophy",
@@ -24,6 +114,66 @@ const awardCategorySchema = new mongoose.Schema({
             "target", "briefcase", "sparkles", "check", "clock", "ballot"
         ]
     },
+    // Optional voting window overriding the edition's voting dates
+    votingOpensAt: {
+        type: Date,
+        default: null
+    },
+    votingClosesAt: {
+        type: Date,
+        default: null
+    },
+    // Judging rubric and how much judges count against public votes in the final ranking
+    rubric: [rubricCriterionSchema],
+    judgeWeight: {
+        type: Number,
+        min: [0, "Judge weight must be between 0 and 1"],
+        max: [1, "Judge weight must be between 0 and 1"],
+        default: 0.5
+    },
+    finalistCount: {
+        type: Number,
+        min: [0, "Finalist count cannot be negative"],
+        max: [20, "Finalist count cannot exceed 20"],
+        default: 3
+    },
+    resultsApprovedAt: {
+        type: Date,
+        default: null
+    },
+    resultsApprovedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null
+    },
+    // Once published, voting is closed and the winners are public
+    resultsPublishedAt: {
+        type: Date,
+        default: null
+    },
+    resultsPublishedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null
+    },
+    // Certificate templates used for this category instead of the default for each type
+    certificateTemplates: {
+        winner: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "CertificateTemplate",
+            default: null
+        },
+        finalist: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "CertificateTemplate",
+            default: null
+        },
+        participation: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "CertificateTemplate",
+            default: null
+        }
+    },
     isActive: {
         type: Boolean,
         default: true
@@ -32,6 +182,30 @@ const awardCategorySchema = new mongoose.Schema({
     timestamps: true
 });
 
+// Static method to work out a category's voting window and countdown.
+// Accepts plain objects so it can run on cached category data.
+awardCategorySchema.statics.getVotingWindow = function(category, edition = null, now = new Date()) {
+    const opensAt = category.votingOpensAt || edition?.votingOpensAt || null;
+    const closesAt = category.votingClosesAt || edition?.votingClosesAt || null;
+    const opensIn = opensAt ? new Date(opensAt).getTime() - now.getTime() : 0;
+    const closesIn = closesAt ? new Date(closesAt).getTime() - now.getTime() : null;
+
+    let status = "open";
+    if (category.resultsPublishedAt) status = "closed";
+    else if (opensIn > 0) status = "upcoming";
+    else if (closesIn !== null && closesIn <= 0) status = "closed";
+
+    return {
+        status,
+        isOpen: status === "open",
+        resultsPublished: Boolean(category.resultsPublishedAt),
+        opensAt,
+        closesAt,
+        secondsUntilOpen: status === "upcoming" ? Math.ceil(opensIn / 1000) : 0,
+        secondsUntilClose: status === "closed" || closesIn === null ? null : Math.ceil(closesIn / 1000)
+    };
+};
+
 const nominationSchema = new mongoose.Schema({
     // Nominee Information
     nomineeName: {
@@ -62,6 +236,11 @@ const nominationSchema = new mongoose.Schema({
     },
     
     // Nomination Details
+    edition: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "AwardEdition",
+        default: null
+    },
     category: {
         type: mongoose.Schema.Types.ObjectId,
         ref: "AwardCategory",
@@ -123,6 +302,15 @@ const nominationSchema = new mongoose.Schema({
         default: 0,
         min: 0
     },
+    // Vote count and ranking frozen when the category's results are published
+    finalVotes: {
+        type: Number,
+        default: null
+    },
+    finalRank: {
+        type: Number,
+        default: null
+    },
     publicVotes: [{
         voterEmail: {
             type: String,
@@ -135,7 +323,14 @@ const nominationSchema = new mongoose.Schema({
             type: Date,
             default: Date.now
         },
-        ipAddress: String
+        ipAddress: String,
+        // Votes voided after fraud review stay on record but no longer count
+        voided: {
+            type: Boolean,
+            default: false
+        },
+        voidedAt: Date,
+        voidReason: String
     }],
     
     // Admin Notes
@@ -191,7 +386,8 @@ const nominationSchema = new mongoose.Schema({
 
 // Virtual for total votes count
 nominationSchema.virtual("totalVotes").get(function() {
-    return this.publicVotes.length;
+    // publicVotes is absent when a query selects only some fields
+    return (this.publicVotes || []).filter(vote => !vote.voided).length;
 });
 
 // Virtual for nominee full display name
@@ -220,7 +416,7 @@ nominationSchema.pre("save", function(next) {
 
 // Pre-save middleware to update votes count
 nominationSchema.pre("save", function(next) {
-    this.votes = this.publicVotes.length;
+    this.votes = this.publicVotes.filter(vote => !vote.voided).length;
     next();
 });
 
@@ -271,16 +467,152 @@ nominationSchema.methods.addVote = function(voterData) {
     return this.save();
 };
 
+// Instance method to void or restore votes by id; returns the votes that changed
+nominationSchema.methods.setVotesVoided = function(voteIds, voided, reason = "") {
+    const ids = new Set(voteIds.map(String));
+    const changed = this.publicVotes.filter(vote => ids.has(vote._id.toString()) && vote.voided !== voided);
+
+    changed.forEach(vote => {
+        vote.voided = voided;
+        vote.voidedAt = voided ? new Date() : undefined;
+        vote.voidReason = voided ? reason : undefined;
+    });
+
+    return changed;
+};
+
 // Instance method to check if email has voted
 nominationSchema.methods.hasVoted = function(email) {
     return this.publicVotes.some(vote => vote.voterEmail === email.toLowerCase());
 };
 
+// A vote waiting for the voter to click the emailed confirmation link.
+// Pending votes never count towards totals and are removed by MongoDB once expired.
+const pendingVoteSchema = new mongoose.Schema({
+    nomination: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Nomination",
+        required: true
+    },
+    voterEmail: {
+        type: String,
+        required: true,
+        lowercase: true,
+        trim: true
+    },
+    voterName: String,
+    ipAddress: String,
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// One judge's rubric scores for a nomination
+const judgeScoreSchema = new mongoose.Schema({
+    nomination: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Nomination",
+        required: true
+    },
+    category: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "AwardCategory",
+        required: true
+    },
+    judge: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    scores: [{
+        criterion: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true
+        },
+        score: {
+            type: Number,
+            required: true,
+            min: [0, "Scores cannot be negative"]
+        }
+    }],
+    comment: {
+        type: String,
+        trim: true,
+        maxlength: [1000, "Comment cannot exceed 1000 characters"]
+    },
+    // Weighted rubric score normalised to 0-100
+    total: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+// Static method to compute the weighted 0-100 total for a set of scores against a rubric
+judgeScoreSchema.statics.calculateTotal = function(rubric, scores) {
+    const totalWeight = rubric.reduce((sum, criterion) => sum + criterion.weight, 0);
+    if (totalWeight === 0) return 0;
+
+    const weighted = rubric.reduce((sum, criterion) => {
+        const entry = scores.find(item => item.criterion.toString() === criterion._id.toString());
+        const score = entry ? Math.min(entry.score, criterion.maxScore) : 0;
+        return sum + criterion.weight * (score / criterion.maxScore);
+    }, 0);
+
+    return Math.round((weighted / totalWeight) * 10000) / 100;
+};
+
+// Audit trail entry for votes voided or restored during fraud review
+const voteAuditLogSchema = new mongoose.Schema({
+    action: {
+        type: String,
+        enum: ["void", "restore"],
+        required: true
+    },
+    nomination: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Nomination",
+        required: true
+    },
+    nomineeName: String,
+    votes: [{
+        voteId: mongoose.Schema.Types.ObjectId,
+        voterEmail: String,
+        ipAddress: String,
+        votedAt: Date,
+        flags: [String]
+    }],
+    reason: {
+        type: String,
+        trim: true,
+        maxlength: [500, "Reason cannot exceed 500 characters"]
+    },
+    votesBefore: Number,
+    votesAfter: Number,
+    performedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for performance optimization - AwardEdition
+awardEditionSchema.index({ isCurrent: 1 }); // Current edition lookup
+
 // Indexes for performance optimization - AwardCategory
 awardCategorySchema.index({ isActive: 1, name: 1 }); // Active categories lookup
+awardCategorySchema.index({ edition: 1, isActive: 1 }); // Categories per edition
 
 // Indexes for performance optimization - Nomination
 nominationSchema.index({ category: 1, status: 1 }); // Category + status filtering
+nominationSchema.index({ edition: 1, status: 1 }); // Edition + status filtering
 nominationSchema.index({ status: 1, votes: -1 }); // Status with vote sorting (leaderboard)
 nominationSchema.index({ votes: -1 }); // Top voted nominations (createdAt already indexed by timestamps)
 nominationSchema.index({ featured: -1, displayOrder: 1 }); // Featured nominations display
@@ -290,10 +622,30 @@ nominationSchema.index({ nomineeCountry: 1 }); // Country filtering
 nominationSchema.index({ "publicVotes.voterEmail": 1 }); // Vote duplicate checking
 nominationSchema.index({ nomineeName: "text", nominationReason: "text", achievements: "text" }); // Text search
 
+// Indexes for performance optimization - PendingVote
+pendingVoteSchema.index({ nomination: 1, voterEmail: 1 }, { unique: true }); // One pending vote per email
+pendingVoteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Auto-expire unconfirmed votes
+
+// Indexes for performance optimization - JudgeScore
+judgeScoreSchema.index({ nomination: 1, judge: 1 }, { unique: true }); // One scorecard per judge
+judgeScoreSchema.index({ category: 1 }); // Category rankings
+
+// Indexes for performance optimization - VoteAuditLog
+voteAuditLogSchema.index({ nomination: 1, createdAt: -1 }); // Audit history per nomination
+voteAuditLogSchema.index({ createdAt: -1 }); // Latest review actions
+
+const AwardEdition = mongoose.model("AwardEdition", awardEditionSchema);
 const AwardCategory = mongoose.model("AwardCategory", awardCategorySchema);
 const Nomination = mongoose.model("Nomination", nominationSchema);
+const PendingVote = mongoose.model("PendingVote", pendingVoteSchema);
+const VoteAuditLog = mongoose.model("VoteAuditLog", voteAuditLogSchema);
+const JudgeScore = mongoose.model("JudgeScore", judgeScoreSchema);
 
 module.exports = {
+    AwardEdition,
     AwardCategory,
-    Nomination
+    Nomination,
+    PendingVote,
+    VoteAuditLog,
+    JudgeScore
 };
\ No newline at end of file
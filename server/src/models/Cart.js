@@ -0,0 +1,71 @@
+const mongoose = require("mongoose");
+
+// Guest carts are dropped this long after their last change
+const GUEST_CART_TTL_DAYS = 30;
+
+// One product in a cart with the price the customer last saw, so a later
+// price change can be pointed out instead of slipping through
+const cartItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, "Quantity must be at least 1"],
+    max: [999, "Quantity cannot exceed 999"]
+  },
+  seenPrice: {
+    amount: {
+      type: Number,
+      default: null
+    },
+    currency: String,
+    type: {
+      type: String
+    }
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A cart belongs to a logged-in user or, for guests, to the session cookie
+const cartSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: undefined
+  },
+  sessionId: {
+    type: String,
+    default: undefined
+  },
+  items: {
+    type: [cartItemSchema],
+    default: []
+  },
+  expiresAt: {
+    type: Date,
+    default: undefined
+  }
+}, {
+  timestamps: true
+});
+
+cartSchema.index({ user: 1 }, { unique: true, sparse: true });
+cartSchema.index({ sessionId: 1 }, { unique: true, sparse: true });
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+cartSchema.pre("save", function(next) {
+  // User carts are kept; guest carts expire with the session
+  this.expiresAt = this.user
+    ? undefined
+    : new Date(Date.now() + GUEST_CART_TTL_DAYS * 24 * 60 * 60 * 1000);
+  next();
+});
+
+module.exports = mongoose.model("Cart", cartSchema);
@@ -28,7 +28,12 @@ const certificateSchema = new mongoose.Schema({
   },
   awardYear: {
     type: String,
-    default: '2025'
+    default: () => String(new Date().getFullYear())
+  },
+  edition: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AwardEdition',
+    default: null
   },
   issueDate: {
     type: Date,
@@ -38,6 +43,37 @@ const certificateSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Template the certificate was rendered with (null for the built-in layout)
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CertificateTemplate',
+    default: null
+  },
+  // Signatures printed on the certificate, kept so regenerated or reissued
+  // copies show the same signatories even after the library changes
+  signatures: [{
+    _id: false,
+    signatory: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Signatory',
+      default: null
+    },
+    name: String,
+    title: String,
+    imageUrl: String,
+    mimetype: String
+  }],
+  // Ed25519 signature over the certificate's key fields, also embedded in the PDF
+  digitalSignature: {
+    algorithm: String,
+    keyId: String,
+    value: String
+  },
+  // SHA-256 of the issued PDF, used to detect edited copies
+  fileHash: {
+    type: String,
+    default: null
+  },
   verificationUrl: {
     type: String
   },
@@ -46,6 +82,28 @@ const certificateSchema = new mongoose.Schema({
     enum: ['active', 'revoked', 'expired'],
     default: 'active'
   },
+  revokedAt: {
+    type: Date
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revocationReason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  // Certificate ID of the corrected certificate that replaces this one
+  supersededBy: {
+    type: String,
+    default: null
+  },
+  // Certificate ID of the certificate this one was reissued from
+  supersedes: {
+    type: String,
+    default: null
+  },
   verificationCount: {
     type: Number,
     default: 0
@@ -66,6 +124,8 @@ const certificateSchema = new mongoose.Schema({
 certificateSchema.index({ certificateId: 1, status: 1 });
 certificateSchema.index({ recipientEmail: 1 });
 certificateSchema.index({ type: 1, awardYear: 1 });
+certificateSchema.index({ supersedes: 1 });
+certificateSchema.index({ fileHash: 1 });
 
 // Method to increment verification count
 certificateSchema.methods.recordVerification = async function() {
@@ -74,6 +134,19 @@ certificateSchema.methods.recordVerification = async function() {
   await this.save();
 };
 
+// Method to revoke the certificate, optionally pointing at its replacement
+certificateSchema.methods.revoke = async function({ reason, revokedBy = null, supersededBy = null }) {
+  this.status = 'revoked';
+  this.revokedAt = new Date();
+  this.revokedBy = revokedBy;
+  this.revocationReason = reason;
+  if (supersededBy) {
+    this.supersededBy = supersededBy;
+  }
+  await this.save();
+  return this;
+};
+
 // Static method to find valid certificate
 certificateSchema.statics.findValidCertificate = async function(certificateId) {
   return this.findOne({ 
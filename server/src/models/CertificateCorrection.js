@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// Name correction requested by a recipient from the certificate portal.
+// Approving it reissues the certificate under the corrected name.
+const certificateCorrectionSchema = new mongoose.Schema({
+  certificate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Certificate',
+    required: true
+  },
+  certificateId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  recipientEmail: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    index: true
+  },
+  currentName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  requestedName: {
+    type: String,
+    required: [true, 'The corrected name is required'],
+    trim: true,
+    maxlength: 100
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending',
+    index: true
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewNote: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  // Certificate issued with the corrected name
+  newCertificateId: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+certificateCorrectionSchema.index({ status: 1, createdAt: 1 });
+
+const CertificateCorrection = mongoose.model('CertificateCorrection', certificateCorrectionSchema);
+
+module.exports = CertificateCorrection;
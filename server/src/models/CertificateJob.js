@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+
+const jobItemSchema = new mongoose.Schema({
+  nomination: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Nomination',
+    required: true
+  },
+  nomineeName: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  certificateId: {
+    type: String,
+    default: null
+  },
+  certificateFile: {
+    type: String,
+    default: null
+  },
+  emailed: {
+    type: Boolean,
+    default: false
+  },
+  completedAt: {
+    type: Date
+  }
+}, { _id: true });
+
+// A persisted bulk certificate generation run. Items are processed in the
+// background and the job is resumed if the server restarts part way through.
+const certificateJobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['bulk-generate', 'results-publication'],
+    default: 'bulk-generate'
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'completed_with_errors', 'failed'],
+    default: 'queued',
+    index: true
+  },
+  // Human readable description of what was selected, e.g. "winner · SAPTech Awards 2026"
+  label: {
+    type: String,
+    trim: true
+  },
+  filter: {
+    status: String,
+    edition: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AwardEdition',
+      default: null
+    },
+    categories: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AwardCategory'
+    }]
+  },
+  sendEmails: {
+    type: Boolean,
+    default: false
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3,
+    min: 1
+  },
+  items: [jobItemSchema],
+  total: {
+    type: Number,
+    default: 0
+  },
+  succeeded: {
+    type: Number,
+    default: 0
+  },
+  failed: {
+    type: Number,
+    default: 0
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  startedAt: {
+    type: Date
+  },
+  finishedAt: {
+    type: Date
+  },
+  // Updated after every item so stalled jobs can be told apart from running ones
+  heartbeatAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+certificateJobSchema.index({ createdAt: -1 });
+
+certificateJobSchema.virtual('processed').get(function() {
+  return (this.succeeded || 0) + (this.failed || 0);
+});
+
+certificateJobSchema.virtual('progress').get(function() {
+  if (!this.total) return 100;
+  return Math.round((((this.succeeded || 0) + (this.failed || 0)) / this.total) * 100);
+});
+
+// Recount item outcomes after processing changes
+certificateJobSchema.methods.refreshCounts = function() {
+  this.succeeded = this.items.filter(item => item.status === 'succeeded').length;
+  this.failed = this.items.filter(item => item.status === 'failed').length;
+  this.total = this.items.length;
+};
+
+const CertificateJob = mongoose.model('CertificateJob', certificateJobSchema);
+
+module.exports = CertificateJob;
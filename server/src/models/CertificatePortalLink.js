@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// One-time magic link that lets a certificate recipient into the recipient
+// portal without a site account. Only a hash of the token is stored.
+const certificatePortalLinkSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  ipAddress: String
+}, {
+  timestamps: true
+});
+
+// Let MongoDB remove links once they expire
+certificatePortalLinkSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const CertificatePortalLink = mongoose.model('CertificatePortalLink', certificatePortalLinkSchema);
+
+module.exports = CertificatePortalLink;
@@ -0,0 +1,181 @@
+const mongoose = require('mongoose');
+const { CERTIFICATE_TYPES, FONTS, PALETTE_KEYS, HEX_COLOR } = require('../config/certificateTemplates');
+
+// Colors are either a key of the template palette or a hex value
+const colorField = (defaultValue) => ({
+  type: String,
+  trim: true,
+  default: defaultValue,
+  validate: {
+    validator: value => PALETTE_KEYS.includes(value) || HEX_COLOR.test(value),
+    message: props => `"${props.value}" is not a palette color or hex value`
+  }
+});
+
+const paletteColor = (defaultValue) => ({
+  type: String,
+  match: [HEX_COLOR, 'Palette colors must be hex values like #F59E12'],
+  default: defaultValue
+});
+
+const textBlockSchema = new mongoose.Schema({
+  // Text with {{placeholders}}, e.g. "WINNER - {{categoryName}}"
+  text: {
+    type: String,
+    required: true,
+    maxlength: 300
+  },
+  x: { type: Number, required: true },
+  y: { type: Number, required: true },
+  // Alternative y position used when the recipient photo is drawn
+  yWithPhoto: { type: Number, default: null },
+  align: {
+    type: String,
+    enum: ['left', 'center', 'right'],
+    default: 'left'
+  },
+  font: {
+    type: String,
+    enum: FONTS,
+    default: 'TimesRoman'
+  },
+  size: {
+    type: Number,
+    min: 4,
+    max: 120,
+    default: 12
+  },
+  color: colorField('heading'),
+  underline: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+const lineSchema = new mongoose.Schema({
+  x1: { type: Number, required: true },
+  y1: { type: Number, required: true },
+  x2: { type: Number, required: true },
+  y2: { type: Number, required: true },
+  thickness: { type: Number, min: 0.5, max: 20, default: 1 },
+  color: colorField('primary')
+}, { _id: false });
+
+// A certificate layout stored in the database so admins can adjust
+// wording, colors and positions without code changes
+const certificateTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  certificateType: {
+    type: String,
+    enum: CERTIFICATE_TYPES,
+    required: true
+  },
+  // Used for every certificate of this type unless a category assigns its own template
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  page: {
+    width: { type: Number, min: 200, max: 2000, default: 842 },
+    height: { type: Number, min: 200, max: 2000, default: 595 }
+  },
+  background: {
+    color: {
+      type: String,
+      match: [HEX_COLOR, 'Background color must be a hex value like #FFFFFF'],
+      default: '#FFFFFF'
+    },
+    // PNG or JPG drawn over the whole page, below everything else
+    imageUrl: {
+      type: String,
+      trim: true,
+      default: ''
+    }
+  },
+  palette: {
+    primary: paletteColor('#F59E12'),
+    heading: paletteColor('#333333'),
+    body: paletteColor('#4D4D4D'),
+    accent: paletteColor('#1A1A80'),
+    highlight: paletteColor('#CC1A1A'),
+    muted: paletteColor('#666666'),
+    faint: paletteColor('#808080')
+  },
+  border: {
+    show: { type: Boolean, default: true },
+    color: colorField('primary'),
+    outerWidth: { type: Number, min: 0, max: 40, default: 15 },
+    innerWidth: { type: Number, min: 0, max: 20, default: 3 },
+    corners: { type: Boolean, default: true }
+  },
+  logo: {
+    show: { type: Boolean, default: false },
+    x: { type: Number, default: 361 },
+    y: { type: Number, default: 515 },
+    width: { type: Number, min: 10, default: 120 },
+    height: { type: Number, min: 10, default: 60 }
+  },
+  blocks: [textBlockSchema],
+  lines: [lineSchema],
+  photo: {
+    show: { type: Boolean, default: true },
+    x: { type: Number, default: 80 },
+    y: { type: Number, default: 120 },
+    size: { type: Number, min: 20, default: 110 },
+    label: { type: String, trim: true, default: 'Recipient' }
+  },
+  signature: {
+    show: { type: Boolean, default: true },
+    x: { type: Number, default: 592 },
+    y: { type: Number, default: 175 },
+    width: { type: Number, min: 10, default: 120 },
+    height: { type: Number, min: 10, default: 40 },
+    // Line under the signature image
+    underline: { type: Boolean, default: false },
+    // Shown on a signature line when no signature image is configured
+    fallbackLabel: { type: String, trim: true, default: 'Authorized Signature' },
+    // Signatories printed side by side, each with their name and title.
+    // When empty the single signature from the signature settings is used.
+    signatories: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Signatory'
+    }],
+    // Gap between signatories
+    spacing: { type: Number, min: 0, max: 200, default: 30 }
+  },
+  qr: {
+    show: { type: Boolean, default: true },
+    x: { type: Number, default: 692 },
+    y: { type: Number, default: 60 },
+    size: { type: Number, min: 30, max: 300, default: 80 },
+    label: { type: String, trim: true, default: 'Scan to Verify' }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+certificateTemplateSchema.index({ certificateType: 1, isDefault: 1 });
+
+const CertificateTemplate = mongoose.model('CertificateTemplate', certificateTemplateSchema);
+
+module.exports = CertificateTemplate;
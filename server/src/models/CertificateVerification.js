@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// One row per certificate lookup, including lookups of IDs that don't exist
+const certificateVerificationSchema = new mongoose.Schema({
+  certificate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Certificate',
+    default: null
+  },
+  // The ID that was looked up, kept as typed so failed lookups can be reviewed
+  certificateId: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  method: {
+    type: String,
+    enum: ['lookup', 'pdf'],
+    default: 'lookup'
+  },
+  outcome: {
+    type: String,
+    enum: ['valid', 'revoked', 'expired', 'not_found'],
+    required: true
+  },
+  ipAddress: String,
+  country: {
+    type: String,
+    default: null
+  },
+  referrerDomain: {
+    type: String,
+    default: 'direct'
+  },
+  userAgent: {
+    browser: String,
+    os: String,
+    device: String,
+    raw: String
+  },
+  verifiedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+certificateVerificationSchema.index({ certificateId: 1, verifiedAt: -1 });
+certificateVerificationSchema.index({ certificate: 1, verifiedAt: -1 });
+certificateVerificationSchema.index({ outcome: 1, ipAddress: 1, verifiedAt: -1 });
+
+const CertificateVerification = mongoose.model('CertificateVerification', certificateVerificationSchema);
+
+module.exports = CertificateVerification;
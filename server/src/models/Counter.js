@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+
+// Number sequences, e.g. one per year for invoice numbers. A number that
+// was taken but not used is given back with release(), so sequences stay
+// gap-free unless a later number was taken in the meantime.
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Atomically take the next number in a sequence, starting at 1
+counterSchema.statics.next = async function(key) {
+  const counter = await this.findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true }
+  );
+  return counter.seq;
+};
+
+// Give back a number that wasn't used, as long as it's still the latest one
+// taken. Returns whether it was given back.
+counterSchema.statics.release = async function(key, seq) {
+  const result = await this.updateOne({ _id: key, seq }, { $inc: { seq: -1 } });
+  return result.modifiedCount > 0;
+};
+
+module.exports = mongoose.model("Counter", counterSchema);
@@ -0,0 +1,266 @@
+const mongoose = require("mongoose");
+const { salesLineItemSchema, calculateTotals, round } = require("./salesLineItem");
+
+// "overdue" is not stored: it's an issued or part-paid invoice past its due date
+const INVOICE_STATUSES = ["draft", "issued", "partially_paid", "paid", "void"];
+
+const PAYMENT_METHODS = ["mobile_money", "bank_transfer", "cash", "other"];
+
+// Uganda VAT
+const DEFAULT_TAX_RATE = 18;
+
+const DEFAULT_PAYMENT_DAYS = 14;
+
+const paymentSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: [true, "Payment amount is required"],
+    min: [0.01, "Payment amount must be more than 0"]
+  },
+  method: {
+    type: String,
+    enum: {
+      values: PAYMENT_METHODS,
+      message: "Payment method must be mobile money, bank transfer, cash or other"
+    },
+    required: [true, "Payment method is required"]
+  },
+  // Mobile money transaction ID, bank reference or receipt number
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [100, "Reference cannot exceed 100 characters"]
+  },
+  paidAt: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, "Payment note cannot exceed 500 characters"]
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+  // Set when the customer paid online through a payment provider
+  onlinePayment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Payment",
+    default: null
+  },
+  // Payments recorded by mistake are voided, not deleted, so the history stays
+  voidedAt: Date,
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+  voidReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, "Reason cannot exceed 500 characters"]
+  }
+}, {
+  timestamps: true
+});
+
+const invoiceSchema = new mongoose.Schema({
+  // Assigned when the invoice is issued, e.g. INV-2026-00042
+  invoiceNumber: {
+    type: String,
+    trim: true
+  },
+  serviceQuote: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "ServiceQuote",
+    default: null
+  },
+  quotation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Quotation",
+    default: null
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Order",
+    default: null
+  },
+  title: {
+    type: String,
+    required: [true, "Title is required"],
+    trim: true,
+    maxlength: [150, "Title cannot exceed 150 characters"]
+  },
+  customerName: {
+    type: String,
+    required: [true, "Customer name is required"],
+    trim: true,
+    maxlength: [100, "Customer name cannot exceed 100 characters"]
+  },
+  customerEmail: {
+    type: String,
+    required: [true, "Customer email is required"],
+    trim: true,
+    lowercase: true,
+    match: [/^\S+@\S+\.\S+$/, "Please provide a valid email address"]
+  },
+  customerPhone: {
+    type: String,
+    trim: true
+  },
+  companyName: {
+    type: String,
+    trim: true
+  },
+  items: {
+    type: [salesLineItemSchema],
+    validate: {
+      validator: (items) => Array.isArray(items) && items.length > 0,
+      message: "An invoice needs at least one line"
+    }
+  },
+  currency: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, "Currency must be a 3-letter code"],
+    default: "UGX"
+  },
+  discountAmount: {
+    type: Number,
+    min: [0, "Discount cannot be negative"],
+    default: 0
+  },
+  taxRate: {
+    type: Number,
+    min: [0, "Tax rate cannot be negative"],
+    max: [100, "Tax rate cannot exceed 100%"],
+    default: DEFAULT_TAX_RATE
+  },
+  subtotal: {
+    type: Number,
+    default: 0
+  },
+  taxAmount: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    default: 0
+  },
+  payments: [paymentSchema],
+  amountPaid: {
+    type: Number,
+    default: 0
+  },
+  balanceDue: {
+    type: Number,
+    default: 0
+  },
+  issuedAt: Date,
+  dueDate: {
+    type: Date,
+    required: [true, "Due date is required"],
+    default: () => new Date(Date.now() + DEFAULT_PAYMENT_DAYS * 24 * 60 * 60 * 1000)
+  },
+  paidAt: Date,
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [2000, "Notes cannot exceed 2000 characters"]
+  },
+  terms: {
+    type: String,
+    trim: true,
+    maxlength: [4000, "Terms cannot exceed 4000 characters"]
+  },
+  status: {
+    type: String,
+    enum: INVOICE_STATUSES,
+    default: "draft"
+  },
+  sentAt: Date,
+  // Overdue reminders
+  lastReminderAt: Date,
+  reminderCount: {
+    type: Number,
+    default: 0
+  },
+  voidedAt: Date,
+  voidReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, "Reason cannot exceed 500 characters"]
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  }
+}, {
+  timestamps: true,
+  // Every save checks the version it loaded, so concurrent payments can't
+  // both be recorded against the same balance
+  optimisticConcurrency: true
+});
+
+invoiceSchema.index({ invoiceNumber: 1 }, { unique: true, sparse: true });
+invoiceSchema.index({ serviceQuote: 1 });
+invoiceSchema.index({ quotation: 1 });
+invoiceSchema.index({ status: 1, dueDate: 1 });
+invoiceSchema.index({ status: 1, createdAt: -1 });
+
+invoiceSchema.methods.calculateTotals = function() {
+  calculateTotals(this);
+};
+
+// Payments that count towards the balance
+invoiceSchema.methods.activePayments = function() {
+  return this.payments.filter(payment => !payment.voidedAt);
+};
+
+invoiceSchema.methods.isOpen = function() {
+  return ["issued", "partially_paid"].includes(this.status);
+};
+
+invoiceSchema.methods.isOverdue = function(now = new Date()) {
+  return this.isOpen() && this.dueDate < now;
+};
+
+// What the customer can pay online, or null when nothing is owed
+invoiceSchema.methods.getAmountDue = function() {
+  if (!this.isOpen() || !(this.balanceDue > 0)) return null;
+  return { amount: this.balanceDue, currency: this.currency };
+};
+
+// Totals, the balance and the payment status follow the lines and payments
+invoiceSchema.pre("validate", function(next) {
+  this.calculateTotals();
+
+  this.amountPaid = round(this.activePayments().reduce((sum, payment) => sum + payment.amount, 0));
+  this.balanceDue = round(Math.max(0, this.total - this.amountPaid));
+
+  if (!["draft", "void"].includes(this.status)) {
+    if (this.balanceDue === 0) {
+      this.status = "paid";
+      if (!this.paidAt) this.paidAt = new Date();
+    } else {
+      this.status = this.amountPaid > 0 ? "partially_paid" : "issued";
+      this.paidAt = undefined;
+    }
+  }
+
+  next();
+});
+
+invoiceSchema.statics.STATUSES = INVOICE_STATUSES;
+invoiceSchema.statics.PAYMENT_METHODS = PAYMENT_METHODS;
+invoiceSchema.statics.DEFAULT_TAX_RATE = DEFAULT_TAX_RATE;
+invoiceSchema.statics.DEFAULT_PAYMENT_DAYS = DEFAULT_PAYMENT_DAYS;
+
+module.exports = mongoose.model("Invoice", invoiceSchema);
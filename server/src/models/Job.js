@@ -1,5 +1,117 @@
 const mongoose = require("mongoose");
 
+// Hiring stages applications move through. Each stage maps to one of the
+// coarse application statuses that applicant emails and filters use.
+const APPLICATION_STATUSES = ["pending", "reviewed", "interviewed", "accepted", "rejected"];
+
+const DEFAULT_PIPELINE = [
+  { key: "applied", name: "Applied", status: "pending" },
+  { key: "screening", name: "Screening", status: "reviewed" },
+  { key: "tech-test", name: "Tech test", status: "reviewed" },
+  { key: "interview-1", name: "Interview 1", status: "interviewed" },
+  { key: "interview-2", name: "Interview 2", status: "interviewed" },
+  { key: "offer", name: "Offer", status: "interviewed" },
+  { key: "hired", name: "Hired", status: "accepted" },
+  { key: "rejected", name: "Rejected", status: "rejected" }
+];
+
+const pipelineStageSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, "Stage key is required"],
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9-]{1,40}$/, "Stage keys may only contain letters, numbers and dashes"]
+  },
+  name: {
+    type: String,
+    required: [true, "Stage name is required"],
+    trim: true,
+    maxlength: [40, "Stage name cannot exceed 40 characters"]
+  },
+  status: {
+    type: String,
+    enum: {
+      values: APPLICATION_STATUSES,
+      message: "Invalid stage status"
+    },
+    default: "reviewed"
+  }
+}, { _id: false });
+
+const QUESTION_TYPES = ["text", "textarea", "url", "number", "date", "select", "multiselect"];
+
+// What happens when an answer matches a question's knockout rule: the
+// application is tagged for review or moved straight to a rejected stage
+const knockoutSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: {
+      values: ["none", "tag", "reject"],
+      message: "Invalid knockout action"
+    },
+    default: "none"
+  },
+  tag: {
+    type: String,
+    trim: true,
+    maxlength: [40, "Knockout tag cannot exceed 40 characters"]
+  },
+  // Choice answers that trigger the rule
+  options: {
+    type: [String],
+    default: undefined
+  },
+  // Number answers below min or above max trigger the rule
+  min: Number,
+  max: Number,
+  // Date answers later than this trigger the rule (e.g. availability)
+  latestDate: Date
+}, { _id: false });
+
+const questionSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, "Question key is required"],
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9-]{1,40}$/, "Question keys may only contain letters, numbers and dashes"]
+  },
+  label: {
+    type: String,
+    required: [true, "Question text is required"],
+    trim: true,
+    maxlength: [200, "Question text cannot exceed 200 characters"]
+  },
+  type: {
+    type: String,
+    enum: {
+      values: QUESTION_TYPES,
+      message: "Invalid question type"
+    },
+    default: "text"
+  },
+  required: {
+    type: Boolean,
+    default: false
+  },
+  helpText: {
+    type: String,
+    trim: true,
+    maxlength: [200, "Help text cannot exceed 200 characters"]
+  },
+  options: {
+    type: [String],
+    default: undefined
+  },
+  min: Number,
+  max: Number,
+  knockout: {
+    type: knockoutSchema,
+    default: undefined
+  }
+}, { _id: false });
+
 const jobSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -57,6 +169,22 @@ const jobSchema = new mongoose.Schema({
   applicationDeadline: {
     type: Date
   },
+  // Hidden from the careers page until this date; empty publishes right away
+  publishAt: {
+    type: Date
+  },
+  // Set by the scheduler once a scheduled job goes live
+  publishedAt: {
+    type: Date
+  },
+  // Set when the scheduler closes the job at its deadline
+  closedAt: {
+    type: Date
+  },
+  closedReason: {
+    type: String,
+    enum: ["deadline"]
+  },
   poster: {
     type: String,
     trim: true,
@@ -82,6 +210,15 @@ const jobSchema = new mongoose.Schema({
   displayOrder: {
     type: Number,
     default: 0
+  },
+  // Extra questions asked on this job's application form
+  questions: {
+    type: [questionSchema],
+    default: []
+  },
+  pipeline: {
+    type: [pipelineStageSchema],
+    default: () => DEFAULT_PIPELINE.map((stage) => ({ ...stage }))
   }
 }, {
   timestamps: true
@@ -89,5 +226,35 @@ const jobSchema = new mongoose.Schema({
 
 jobSchema.index({ isActive: 1, isFeatured: -1, displayOrder: 1 });
 jobSchema.index({ createdAt: -1 });
+jobSchema.index({ isActive: 1, applicationDeadline: 1 });
+jobSchema.index({ isActive: 1, publishAt: 1 });
+
+// Jobs the public can see and apply to: active, published and before the
+// deadline. The scheduler flips isActive at the deadline, but the dates are
+// checked here too so nothing slips through between runs.
+jobSchema.statics.openFilter = function(now = new Date()) {
+  return {
+    isActive: true,
+    $and: [
+      { $or: [{ publishAt: null }, { publishAt: { $lte: now } }] },
+      { $or: [{ applicationDeadline: null }, { applicationDeadline: { $gt: now } }] }
+    ]
+  };
+};
+
+jobSchema.methods.isOpen = function(now = new Date()) {
+  return this.isActive !== false
+    && (!this.publishAt || this.publishAt <= now)
+    && (!this.applicationDeadline || this.applicationDeadline > now);
+};
+
+// Jobs saved before pipelines existed fall back to the default stages
+jobSchema.methods.getPipeline = function() {
+  return this.pipeline?.length ? this.pipeline : DEFAULT_PIPELINE;
+};
+
+jobSchema.statics.DEFAULT_PIPELINE = DEFAULT_PIPELINE;
+jobSchema.statics.APPLICATION_STATUSES = APPLICATION_STATUSES;
+jobSchema.statics.QUESTION_TYPES = QUESTION_TYPES;
 
 module.exports = mongoose.model("Job", jobSchema);
@@ -29,6 +29,184 @@ const applicationFileSchema = new mongoose.Schema({
   }
 }, { _id: false });
 
+// One entry per move between pipeline stages
+const stageHistorySchema = new mongoose.Schema({
+  stage: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  stageName: {
+    type: String,
+    trim: true
+  },
+  fromStage: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  enteredAt: {
+    type: Date,
+    default: Date.now
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, "Stage note cannot exceed 500 characters"]
+  },
+  movedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  }
+}, { _id: false });
+
+// A time offered to the applicant for an interview
+const interviewSlotSchema = new mongoose.Schema({
+  start: {
+    type: Date,
+    required: true
+  },
+  end: {
+    type: Date,
+    required: true
+  }
+});
+
+// An interview round: the slots offered, the one the applicant picked and the
+// calendar invite state (UID and SEQUENCE let updates replace the same event)
+const interviewSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    trim: true,
+    default: "Interview",
+    maxlength: [100, "Interview title cannot exceed 100 characters"]
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ["proposed", "scheduled", "cancelled"],
+      message: "Invalid interview status"
+    },
+    default: "proposed"
+  },
+  mode: {
+    type: String,
+    enum: {
+      values: ["in-person", "video", "phone"],
+      message: "Invalid interview mode"
+    },
+    default: "video"
+  },
+  location: {
+    type: String,
+    trim: true,
+    maxlength: [200, "Interview location cannot exceed 200 characters"]
+  },
+  meetingUrl: {
+    type: String,
+    trim: true,
+    maxlength: [500, "Meeting link cannot exceed 500 characters"]
+  },
+  durationMinutes: {
+    type: Number,
+    min: [15, "Interviews must be at least 15 minutes"],
+    max: [480, "Interviews cannot exceed 8 hours"],
+    default: 45
+  },
+  timezone: {
+    type: String,
+    trim: true,
+    default: "Africa/Kampala"
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, "Interview notes cannot exceed 1000 characters"]
+  },
+  slots: {
+    type: [interviewSlotSchema],
+    default: []
+  },
+  scheduledStart: {
+    type: Date
+  },
+  scheduledEnd: {
+    type: Date
+  },
+  tokenHash: {
+    type: String
+  },
+  tokenExpiresAt: {
+    type: Date
+  },
+  icsUid: {
+    type: String,
+    trim: true
+  },
+  icsSequence: {
+    type: Number,
+    default: 0
+  },
+  remindersSent: {
+    dayBefore: Date,
+    hourBefore: Date
+  },
+  proposedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+  proposedAt: {
+    type: Date,
+    default: Date.now
+  },
+  scheduledAt: {
+    type: Date
+  },
+  cancelledAt: {
+    type: Date
+  },
+  cancelReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, "Cancellation reason cannot exceed 500 characters"]
+  }
+});
+
+// An answer to one of the job's custom questions. The label and type are
+// copied so answers still read correctly after the question set changes.
+const answerSchema = new mongoose.Schema({
+  questionKey: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  label: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String,
+    trim: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, { _id: false });
+
+// A knockout rule the applicant's answers matched
+const knockoutResultSchema = new mongoose.Schema({
+  questionKey: String,
+  label: String,
+  action: {
+    type: String,
+    enum: ["tag", "reject"]
+  },
+  tag: String,
+  reason: String
+}, { _id: false });
+
 const jobApplicationSchema = new mongoose.Schema({
   job: {
     type: mongoose.Schema.Types.ObjectId,
@@ -62,16 +240,72 @@ const jobApplicationSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  answers: {
+    type: [answerSchema],
+    default: []
+  },
+  tags: {
+    type: [String],
+    default: []
+  },
+  knockouts: {
+    type: [knockoutResultSchema],
+    default: []
+  },
   resumeFile: applicationFileSchema,
+  // Plain text pulled from the resume file for candidate search
+  resumeText: {
+    type: String,
+    select: false
+  },
+  resumeTextStatus: {
+    type: String,
+    enum: ["extracted", "empty", "unsupported", "failed"]
+  },
+  resumeTextExtractedAt: {
+    type: Date
+  },
   coverLetterFile: applicationFileSchema,
   status: {
     type: String,
     enum: {
-      values: ["pending", "reviewed", "interviewed", "accepted", "rejected"],
+      values: ["pending", "reviewed", "interviewed", "accepted", "rejected", "withdrawn"],
       message: "Invalid application status"
     },
     default: "pending"
   },
+  // Hash of the token in the applicant's private status link
+  statusTokenHash: {
+    type: String,
+    select: false
+  },
+  resumeUpdatedAt: {
+    type: Date
+  },
+  withdrawnAt: {
+    type: Date
+  },
+  withdrawReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, "Withdrawal reason cannot exceed 500 characters"]
+  },
+  // Key of the job pipeline stage the application is in
+  stage: {
+    type: String,
+    trim: true
+  },
+  stageEnteredAt: {
+    type: Date
+  },
+  stageHistory: {
+    type: [stageHistorySchema],
+    default: []
+  },
+  interviews: {
+    type: [interviewSchema],
+    default: []
+  },
   adminNotes: {
     type: String,
     trim: true,
@@ -97,11 +331,26 @@ const jobApplicationSchema = new mongoose.Schema({
     type: Date
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.statusTokenHash;
+      return ret;
+    }
+  }
 });
 
 jobApplicationSchema.index({ job: 1, status: 1 });
+jobApplicationSchema.index({ job: 1, stage: 1 });
+jobApplicationSchema.index({ "interviews.tokenHash": 1 });
+jobApplicationSchema.index({ statusTokenHash: 1 }, { sparse: true });
+jobApplicationSchema.index({ "interviews.status": 1, "interviews.scheduledStart": 1 });
+jobApplicationSchema.index({ tags: 1 });
 jobApplicationSchema.index({ email: 1 });
 jobApplicationSchema.index({ createdAt: -1 });
+jobApplicationSchema.index(
+  { resumeText: "text", coverLetter: "text", fullName: "text", tags: "text" },
+  { name: "candidate_search", weights: { resumeText: 5, tags: 4, coverLetter: 2, fullName: 2 } }
+);
 
 module.exports = mongoose.model("JobApplication", jobApplicationSchema);
@@ -0,0 +1,264 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+const ORDER_STATUSES = ["new", "confirmed", "processing", "completed", "cancelled"];
+
+const PAYMENT_STATUSES = ["unpaid", "paid", "refunded"];
+
+// Which statuses an order can move to from each status
+const STATUS_TRANSITIONS = {
+  new: ["confirmed", "cancelled"],
+  confirmed: ["processing", "completed", "cancelled"],
+  processing: ["completed", "cancelled"],
+  completed: [],
+  cancelled: []
+};
+
+// A product as it was when the customer sent the order. Name, price and
+// currency are copied so later product edits don't change past orders.
+const orderItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true
+  },
+  productName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  category: {
+    type: String,
+    trim: true
+  },
+  image: {
+    type: String,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, "Quantity must be at least 1"],
+    max: [999, "Quantity cannot exceed 999"]
+  },
+  // Null when the product has no listed price ("contact for price")
+  unitPrice: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  currency: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: "UGX"
+  },
+  priceType: {
+    type: String,
+    enum: ["fixed", "negotiable", "contact-for-price"],
+    default: "contact-for-price"
+  },
+  lineTotal: {
+    type: Number,
+    min: 0,
+    default: null
+  }
+});
+
+// Sum of the priced items in one currency
+const orderTotalSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  itemCount: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+const statusHistorySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ORDER_STATUSES,
+    required: true
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, "Status note cannot exceed 500 characters"]
+  }
+}, { _id: false });
+
+const orderSchema = new mongoose.Schema({
+  orderNumber: {
+    type: String,
+    trim: true
+  },
+  items: {
+    type: [orderItemSchema],
+    validate: {
+      validator: (items) => Array.isArray(items) && items.length > 0,
+      message: "An order needs at least one item"
+    }
+  },
+  totals: {
+    type: [orderTotalSchema],
+    default: []
+  },
+  // Some items have no listed price and need a quote from sales
+  hasUnpricedItems: {
+    type: Boolean,
+    default: false
+  },
+  customerName: {
+    type: String,
+    required: [true, "Name is required"],
+    trim: true,
+    maxlength: [100, "Name cannot exceed 100 characters"]
+  },
+  customerEmail: {
+    type: String,
+    required: [true, "Email is required"],
+    trim: true,
+    lowercase: true,
+    match: [/^\S+@\S+\.\S+$/, "Please provide a valid email address"]
+  },
+  customerPhone: {
+    type: String,
+    trim: true,
+    maxlength: [30, "Phone number cannot exceed 30 characters"]
+  },
+  preferredContact: {
+    type: String,
+    enum: ["email", "phone", "both"],
+    default: "email"
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [1000, "Message cannot exceed 1000 characters"]
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ORDER_STATUSES,
+    default: "new"
+  },
+  statusHistory: {
+    type: [statusHistorySchema],
+    default: []
+  },
+  // Online payment through a mobile money provider
+  paymentStatus: {
+    type: String,
+    enum: PAYMENT_STATUSES,
+    default: "unpaid"
+  },
+  paidAt: Date,
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Payment",
+    default: null
+  },
+  adminNotes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, "Admin notes cannot exceed 1000 characters"]
+  },
+  metadata: {
+    ipAddress: String,
+    userAgent: String,
+    source: {
+      type: String,
+      default: "cart"
+    }
+  }
+}, {
+  timestamps: true
+});
+
+orderSchema.index({ orderNumber: 1 }, { unique: true, sparse: true });
+orderSchema.index({ status: 1, createdAt: -1 });
+orderSchema.index({ customerEmail: 1 });
+orderSchema.index({ user: 1, createdAt: -1 });
+orderSchema.index({ createdAt: -1 });
+orderSchema.index({ paymentStatus: 1 });
+
+// Line totals and per-currency totals always follow the items
+orderSchema.methods.calculateTotals = function() {
+  const totals = new Map();
+
+  this.items.forEach((item) => {
+    if (item.unitPrice === null || item.unitPrice === undefined) {
+      item.lineTotal = null;
+      return;
+    }
+
+    item.lineTotal = Math.round(item.unitPrice * item.quantity * 100) / 100;
+    const total = totals.get(item.currency) || { currency: item.currency, amount: 0, itemCount: 0 };
+    total.amount = Math.round((total.amount + item.lineTotal) * 100) / 100;
+    total.itemCount += item.quantity;
+    totals.set(item.currency, total);
+  });
+
+  this.totals = [...totals.values()];
+  this.hasUnpricedItems = this.items.some((item) => item.lineTotal === null);
+};
+
+orderSchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// What the customer can pay online, or null when the order needs a quote
+// first, mixes currencies or can no longer be paid
+orderSchema.methods.getAmountDue = function() {
+  if (this.paymentStatus !== "unpaid") return null;
+  if (!["new", "confirmed", "processing"].includes(this.status)) return null;
+  if (this.hasUnpricedItems || this.totals.length !== 1 || !(this.totals[0].amount > 0)) return null;
+
+  return { amount: this.totals[0].amount, currency: this.totals[0].currency };
+};
+
+orderSchema.pre("validate", function(next) {
+  // Readable reference for emails and phone calls, e.g. ORD-20260314-7K3QF
+  if (!this.orderNumber) {
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, "");
+    const suffix = crypto.randomBytes(4).readUInt32BE(0).toString(36).toUpperCase().padStart(5, "0").slice(-5);
+    this.orderNumber = `ORD-${date}-${suffix}`;
+  }
+
+  if (this.isModified("items")) {
+    this.calculateTotals();
+  }
+
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory = [{ status: this.status, changedAt: new Date() }];
+  }
+
+  next();
+});
+
+orderSchema.statics.STATUSES = ORDER_STATUSES;
+orderSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+orderSchema.statics.PAYMENT_STATUSES = PAYMENT_STATUSES;
+
+module.exports = mongoose.model("Order", orderSchema);
@@ -0,0 +1,182 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+const PAYMENT_STATUSES = ["pending", "successful", "failed", "expired", "refunded"];
+
+const PAYMENT_PURPOSES = ["invoice", "order"];
+
+const REFUND_STATUSES = ["pending", "successful", "failed"];
+
+// Refund of a successful payment, sent back through the same provider.
+// Less than the payment's amount when only an overpayment goes back.
+const refundSchema = new mongoose.Schema({
+  reference: {
+    type: String,
+    trim: true
+  },
+  amount: {
+    type: Number,
+    min: [0, "Refund amount cannot be negative"]
+  },
+  providerReference: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: REFUND_STATUSES,
+    default: "pending"
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, "Refund reason cannot exceed 500 characters"]
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+  requestedAt: Date,
+  completedAt: Date,
+  failureReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, "Failure reason cannot exceed 500 characters"]
+  }
+}, { _id: false });
+
+// A mobile money collection request for an invoice or an order
+const paymentSchema = new mongoose.Schema({
+  // Our ID for the request, sent to the provider as its external reference
+  reference: {
+    type: String,
+    required: true,
+    default: () => crypto.randomUUID()
+  },
+  provider: {
+    type: String,
+    required: [true, "Payment provider is required"],
+    trim: true
+  },
+  // The provider's ID for the request, used for status checks
+  providerReference: {
+    type: String,
+    trim: true
+  },
+  // Transaction ID the customer sees on their phone, shown on receipts
+  providerTransactionId: {
+    type: String,
+    trim: true
+  },
+  purpose: {
+    type: String,
+    enum: PAYMENT_PURPOSES,
+    required: true
+  },
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Invoice",
+    default: null
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Order",
+    default: null
+  },
+  // e.g. "Invoice INV-2026-00042", shown to the payer and on receipts
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, "Description cannot exceed 200 characters"]
+  },
+  amount: {
+    type: Number,
+    required: [true, "Amount is required"],
+    min: [1, "Amount must be at least 1"]
+  },
+  currency: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  // International format without the +, e.g. 256772123456
+  phone: {
+    type: String,
+    required: [true, "Phone number is required"],
+    trim: true,
+    match: [/^\d{10,15}$/, "Please provide a valid phone number"]
+  },
+  payerName: {
+    type: String,
+    trim: true,
+    maxlength: [100, "Name cannot exceed 100 characters"]
+  },
+  payerEmail: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  status: {
+    type: String,
+    enum: PAYMENT_STATUSES,
+    default: "pending"
+  },
+  failureReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, "Failure reason cannot exceed 500 characters"]
+  },
+  // Last raw status from the provider, for support queries
+  providerStatus: {
+    type: String,
+    trim: true
+  },
+  // Admin who sent the request from the dashboard, if not the customer
+  initiatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+  lastCheckedAt: Date,
+  checkCount: {
+    type: Number,
+    default: 0
+  },
+  completedAt: Date,
+  receiptSentAt: Date,
+  // Money taken that the invoice or order didn't need, e.g. it was settled
+  // some other way while the payer was approving, to be sent back
+  needsRefund: {
+    type: Boolean,
+    default: false
+  },
+  excessAmount: {
+    type: Number,
+    default: 0
+  },
+  refund: {
+    type: refundSchema,
+    default: null
+  },
+  metadata: {
+    ipAddress: String,
+    userAgent: String
+  }
+}, {
+  timestamps: true
+});
+
+paymentSchema.index({ reference: 1 }, { unique: true });
+paymentSchema.index({ provider: 1, providerReference: 1 });
+paymentSchema.index({ status: 1, createdAt: -1 });
+paymentSchema.index({ "refund.status": 1 });
+paymentSchema.index({ needsRefund: 1, createdAt: -1 });
+paymentSchema.index({ invoice: 1, createdAt: -1 });
+paymentSchema.index({ order: 1, createdAt: -1 });
+
+paymentSchema.statics.STATUSES = PAYMENT_STATUSES;
+paymentSchema.statics.PURPOSES = PAYMENT_PURPOSES;
+
+module.exports = mongoose.model("Payment", paymentSchema);
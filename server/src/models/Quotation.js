@@ -0,0 +1,174 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const { salesLineItemSchema, calculateTotals } = require("./salesLineItem");
+
+const QUOTATION_STATUSES = ["draft", "sent", "accepted", "declined", "expired", "cancelled"];
+
+// Uganda VAT
+const DEFAULT_TAX_RATE = 18;
+
+const DEFAULT_VALIDITY_DAYS = 30;
+
+const quotationSchema = new mongoose.Schema({
+  quotationNumber: {
+    type: String,
+    trim: true
+  },
+  // The request this quotation answers
+  serviceQuote: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "ServiceQuote",
+    default: null
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Order",
+    default: null
+  },
+  title: {
+    type: String,
+    required: [true, "Title is required"],
+    trim: true,
+    maxlength: [150, "Title cannot exceed 150 characters"]
+  },
+  customerName: {
+    type: String,
+    required: [true, "Customer name is required"],
+    trim: true,
+    maxlength: [100, "Customer name cannot exceed 100 characters"]
+  },
+  customerEmail: {
+    type: String,
+    required: [true, "Customer email is required"],
+    trim: true,
+    lowercase: true,
+    match: [/^\S+@\S+\.\S+$/, "Please provide a valid email address"]
+  },
+  customerPhone: {
+    type: String,
+    trim: true
+  },
+  companyName: {
+    type: String,
+    trim: true
+  },
+  items: {
+    type: [salesLineItemSchema],
+    validate: {
+      validator: (items) => Array.isArray(items) && items.length > 0,
+      message: "A quotation needs at least one line"
+    }
+  },
+  currency: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, "Currency must be a 3-letter code"],
+    default: "UGX"
+  },
+  // Discount on the whole quotation, after line discounts
+  discountAmount: {
+    type: Number,
+    min: [0, "Discount cannot be negative"],
+    default: 0
+  },
+  taxRate: {
+    type: Number,
+    min: [0, "Tax rate cannot be negative"],
+    max: [100, "Tax rate cannot exceed 100%"],
+    default: DEFAULT_TAX_RATE
+  },
+  subtotal: {
+    type: Number,
+    default: 0
+  },
+  taxAmount: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    default: 0
+  },
+  validUntil: {
+    type: Date,
+    required: [true, "Validity date is required"],
+    default: () => new Date(Date.now() + DEFAULT_VALIDITY_DAYS * 24 * 60 * 60 * 1000)
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [2000, "Notes cannot exceed 2000 characters"]
+  },
+  terms: {
+    type: String,
+    trim: true,
+    maxlength: [4000, "Terms cannot exceed 4000 characters"]
+  },
+  status: {
+    type: String,
+    enum: QUOTATION_STATUSES,
+    default: "draft"
+  },
+  // Hash of the customer's accept/decline link token
+  publicTokenHash: {
+    type: String,
+    select: false
+  },
+  sentAt: Date,
+  viewedAt: Date,
+  respondedAt: Date,
+  responseNote: {
+    type: String,
+    trim: true,
+    maxlength: [1000, "Response note cannot exceed 1000 characters"]
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.publicTokenHash;
+      return ret;
+    }
+  }
+});
+
+quotationSchema.index({ quotationNumber: 1 }, { unique: true, sparse: true });
+quotationSchema.index({ publicTokenHash: 1 }, { sparse: true });
+quotationSchema.index({ serviceQuote: 1 });
+quotationSchema.index({ order: 1 });
+quotationSchema.index({ status: 1, createdAt: -1 });
+
+quotationSchema.methods.calculateTotals = function() {
+  calculateTotals(this);
+};
+
+quotationSchema.methods.isExpired = function() {
+  return this.validUntil && this.validUntil < new Date();
+};
+
+quotationSchema.methods.isEditable = function() {
+  return ["draft", "sent"].includes(this.status);
+};
+
+quotationSchema.pre("validate", function(next) {
+  // Readable reference for the document and emails, e.g. QT-20260314-7K3QF
+  if (!this.quotationNumber) {
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, "");
+    const suffix = crypto.randomBytes(4).readUInt32BE(0).toString(36).toUpperCase().padStart(5, "0").slice(-5);
+    this.quotationNumber = `QT-${date}-${suffix}`;
+  }
+
+  this.calculateTotals();
+  next();
+});
+
+quotationSchema.statics.STATUSES = QUOTATION_STATUSES;
+quotationSchema.statics.DEFAULT_TAX_RATE = DEFAULT_TAX_RATE;
+
+module.exports = mongoose.model("Quotation", quotationSchema);
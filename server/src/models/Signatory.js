@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// A person whose signature, name and title can be printed on certificates.
+// Signatories are retired rather than deleted so their signature images stay
+// available for certificates that were already issued with them.
+const signatorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Signatory name is required'],
+    trim: true,
+    maxlength: 100
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 120,
+    default: ''
+  },
+  image: {
+    // Cloudinary URL or local /uploads/signatures/... path
+    url: {
+      type: String,
+      required: true
+    },
+    filename: String,
+    originalName: String,
+    mimetype: String,
+    size: Number,
+    storage: {
+      type: String,
+      enum: ['local', 'cloudinary'],
+      default: 'local'
+    },
+    cloudinaryPublicId: {
+      type: String,
+      default: null
+    }
+  },
+  status: {
+    type: String,
+    enum: ['active', 'retired'],
+    default: 'active',
+    index: true
+  },
+  retiredAt: {
+    type: Date
+  },
+  retiredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Signature details stored on each certificate so later changes to the
+// library don't alter certificates that were already issued
+signatorySchema.methods.toSnapshot = function() {
+  return {
+    signatory: this._id,
+    name: this.name,
+    title: this.title,
+    imageUrl: this.image.url,
+    mimetype: this.image.mimetype
+  };
+};
+
+const Signatory = mongoose.model('Signatory', signatorySchema);
+
+module.exports = Signatory;
@@ -222,8 +222,8 @@ const userSchema = new mongoose.Schema({
     role: {
         type: String,
         enum: {
-            values: ["user", "admin", "moderator"],
-            message: "Role must be either user, admin, or moderator"
+            values: ["user", "admin", "moderator", "judge"],
+            message: "Role must be either user, admin, moderator, or judge"
         },
         default: "user"
     },
@@ -8,10 +8,22 @@ const Partner = require("./Partner");
 const PartnershipRequest = require("./PartnershipRequest");
 const Product = require("./Product");
 const ProductInquiry = require("./ProductInquiry");
+const Order = require("./Order");
+const Cart = require("./Cart");
 const ServiceQuote = require("./ServiceQuote");
+const Quotation = require("./Quotation");
+const Invoice = require("./Invoice");
+const Counter = require("./Counter");
+const Payment = require("./Payment");
 const Certificate = require("./Certificate");
+const CertificateJob = require("./CertificateJob");
+const CertificateTemplate = require("./CertificateTemplate");
+const Signatory = require("./Signatory");
+const CertificatePortalLink = require("./CertificatePortalLink");
+const CertificateCorrection = require("./CertificateCorrection");
+const CertificateVerification = require("./CertificateVerification");
 const AppSetting = require("./AppSetting");
-const { AwardCategory, Nomination } = require("./Award");
+const { AwardEdition, AwardCategory, Nomination, PendingVote, VoteAuditLog, JudgeScore } = require("./Award");
 
 module.exports = {
     User,
@@ -23,9 +35,25 @@ module.exports = {
     PartnershipRequest,
     Product,
     ProductInquiry,
+    Order,
+    Cart,
     ServiceQuote,
+    Quotation,
+    Invoice,
+    Counter,
+    Payment,
     Certificate,
+    CertificateJob,
+    CertificateTemplate,
+    Signatory,
+    CertificatePortalLink,
+    CertificateCorrection,
+    CertificateVerification,
     AppSetting,
+    AwardEdition,
     AwardCategory,
-    Nomination
+    Nomination,
+    PendingVote,
+    VoteAuditLog,
+    JudgeScore
 };
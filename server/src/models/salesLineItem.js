@@ -0,0 +1,67 @@
+const mongoose = require("mongoose");
+
+// Line items and totals shared by quotations and invoices
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const salesLineItemSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: [true, "Each line needs a description"],
+    trim: true,
+    maxlength: [200, "Line description cannot exceed 200 characters"]
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: [500, "Line details cannot exceed 500 characters"]
+  },
+  // Set when the line came from a cart order
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    default: null
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [0.01, "Quantity must be more than 0"],
+    max: [100000, "Quantity is too large"]
+  },
+  unit: {
+    type: String,
+    trim: true,
+    maxlength: [20, "Unit cannot exceed 20 characters"]
+  },
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: [0, "Unit price cannot be negative"]
+  },
+  discountPercent: {
+    type: Number,
+    min: [0, "Discount cannot be negative"],
+    max: [100, "Discount cannot exceed 100%"],
+    default: 0
+  },
+  lineTotal: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Line totals after line discounts, then the document discount, then tax
+const calculateTotals = (doc) => {
+  let subtotal = 0;
+  doc.items.forEach((item) => {
+    item.lineTotal = round(item.quantity * item.unitPrice * (1 - (item.discountPercent || 0) / 100));
+    subtotal += item.lineTotal;
+  });
+
+  doc.subtotal = round(subtotal);
+  const discount = Math.min(doc.discountAmount || 0, doc.subtotal);
+  doc.taxAmount = round((doc.subtotal - discount) * (doc.taxRate || 0) / 100);
+  doc.total = round(doc.subtotal - discount + doc.taxAmount);
+};
+
+module.exports = { salesLineItemSchema, calculateTotals, round };
@@ -3,7 +3,7 @@ const multer = require("multer");
 const router = express.Router();
 const { body, param, query } = require("express-validator");
 const awardsController = require("../controllers/awardsController");
-const { adminAuth } = require("../middleware/adminAuth");
+const { adminAuth, judgeAuth } = require("../middleware/adminAuth");
 const { emailValidationMiddleware } = require("../utils/emailValidator");
 const awardsUpload = require("../config/awardsUpload");
 const { compressionPresets } = require("../middleware/imageCompression");
@@ -128,7 +128,96 @@ const validateCategory = [
         .optional()
         .trim()
         .isLength({ max: 10 })
-        .withMessage("Icon cannot exceed 10 characters")
+        .withMessage("Icon cannot exceed 10 characters"),
+
+    body("votingOpensAt")
+        .optional({ values: "falsy" })
+        .isISO8601()
+        .withMessage("Voting open date must be a valid date"),
+
+    body("votingClosesAt")
+        .optional({ values: "falsy" })
+        .isISO8601()
+        .withMessage("Voting close date must be a valid date")
+        .custom((value, { req }) => !req.body.votingOpensAt || new Date(value) > new Date(req.body.votingOpensAt))
+        .withMessage("Voting must close after it opens"),
+
+    body("rubric")
+        .optional()
+        .isArray({ max: 20 })
+        .withMessage("Rubric can have at most 20 criteria"),
+
+    body("rubric.*._id")
+        .optional()
+        .isMongoId()
+        .withMessage("Invalid criterion ID"),
+
+    body("rubric.*.name")
+        .trim()
+        .notEmpty()
+        .withMessage("Each criterion needs a name")
+        .isLength({ max: 100 })
+        .withMessage("Criterion name cannot exceed 100 characters"),
+
+    body("rubric.*.weight")
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage("Criterion weight cannot be negative"),
+
+    body("rubric.*.maxScore")
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage("Maximum score must be between 1 and 100"),
+
+    body("judgeWeight")
+        .optional()
+        .isFloat({ min: 0, max: 1 })
+        .withMessage("Judge weight must be between 0 and 1")
+        .toFloat(),
+
+    body("finalistCount")
+        .optional()
+        .isInt({ min: 0, max: 20 })
+        .withMessage("Finalist count must be between 0 and 20")
+        .toInt()
+];
+
+const editionDateFields = [
+    "nominationOpensAt",
+    "nominationClosesAt",
+    "votingOpensAt",
+    "votingClosesAt",
+    "resultsAnnouncedAt"
+];
+
+const validateEdition = (isUpdate = false) => [
+    (isUpdate ? body("name").optional() : body("name"))
+        .trim()
+        .notEmpty()
+        .withMessage("Edition name is required")
+        .isLength({ max: 100 })
+        .withMessage("Edition name cannot exceed 100 characters"),
+
+    (isUpdate ? body("year").optional() : body("year"))
+        .trim()
+        .matches(/^\d{4}$/)
+        .withMessage("Edition year must be a four digit year"),
+
+    body("description")
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage("Edition description cannot exceed 500 characters"),
+
+    ...editionDateFields.map(field => body(field)
+        .optional({ values: "falsy" })
+        .isISO8601()
+        .withMessage(`${field} must be a valid date`)),
+
+    body("copyCategoriesFrom")
+        .optional({ values: "falsy" })
+        .isMongoId()
+        .withMessage("Invalid edition to copy categories from")
 ];
 
 const validateVote = [
@@ -147,6 +236,20 @@ const validateVote = [
         .withMessage("Voter name cannot exceed 100 characters")
 ];
 
+const validateVoteSelection = [
+    body("votes")
+        .isArray({ min: 1, max: 500 })
+        .withMessage("Select between 1 and 500 votes"),
+
+    body("votes.*.nominationId")
+        .isMongoId()
+        .withMessage("Invalid nomination ID"),
+
+    body("votes.*.voteId")
+        .isMongoId()
+        .withMessage("Invalid vote ID")
+];
+
 const validateStatusUpdate = [
     body("status")
         .notEmpty()
@@ -165,12 +268,18 @@ const validateStatusUpdate = [
 // PUBLIC ROUTES
 // =====================
 
-// Get all award categories
+// Get all award editions (current and archive)
+router.get("/editions", awardsController.getEditions);
+
+// Get all award categories (?edition=<id>, defaults to the current edition)
 router.get("/categories", awardsController.getCategories);
 
 // Get all approved nominations (with filtering and pagination)
 router.get("/nominations", awardsController.getNominations);
 
+// Get published winners and finalists (?edition=<id>, defaults to the current edition)
+router.get("/results", awardsController.getPublishedResults);
+
 // Get single nomination by ID or slug
 router.get("/nominations/:id", awardsController.getNomination);
 
@@ -194,6 +303,13 @@ router.post(
     awardsController.voteForNomination
 );
 
+// Confirm a pending vote from the emailed link
+router.post(
+    "/votes/confirm",
+    body("token").trim().notEmpty().withMessage("Confirmation token is required"),
+    awardsController.confirmVote
+);
+
 // Check vote status for email
 router.get(
     "/nominations/:id/vote-status",
@@ -202,6 +318,41 @@ router.get(
     awardsController.checkVoteStatus
 );
 
+// =====================
+// JUDGING ROUTES
+// =====================
+
+// Nominations to score (?edition=&category=)
+router.get(
+    "/judging/nominations",
+    judgeAuth,
+    query("category").optional().isMongoId().withMessage("Invalid category ID"),
+    awardsController.getJudgingNominations
+);
+
+// Save the current judge's rubric scores for a nomination
+router.put(
+    "/judging/nominations/:id/score",
+    judgeAuth,
+    param("id").isMongoId().withMessage("Invalid nomination ID"),
+    body("scores")
+        .isArray({ min: 1 })
+        .withMessage("Scores are required"),
+    body("scores.*.criterion")
+        .isMongoId()
+        .withMessage("Invalid criterion ID"),
+    body("scores.*.score")
+        .isFloat({ min: 0 })
+        .withMessage("Scores must be positive numbers")
+        .toFloat(),
+    body("comment")
+        .optional()
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage("Comment cannot exceed 1000 characters"),
+    awardsController.submitJudgeScore
+);
+
 // =====================
 // ADMIN ROUTES
 // =====================
@@ -241,6 +392,39 @@ router.delete(
     awardsController.deleteNomination
 );
 
+// Create new award edition
+router.post(
+    "/admin/editions",
+    adminAuth,
+    validateEdition(),
+    awardsController.createEdition
+);
+
+// Update award edition
+router.put(
+    "/admin/editions/:id",
+    adminAuth,
+    param("id").isMongoId().withMessage("Invalid edition ID"),
+    validateEdition(true),
+    awardsController.updateEdition
+);
+
+// Make an edition the current one
+router.patch(
+    "/admin/editions/:id/current",
+    adminAuth,
+    param("id").isMongoId().withMessage("Invalid edition ID"),
+    awardsController.setCurrentEdition
+);
+
+// Delete award edition
+router.delete(
+    "/admin/editions/:id",
+    adminAuth,
+    param("id").isMongoId().withMessage("Invalid edition ID"),
+    awardsController.deleteEdition
+);
+
 // Create new award category
 router.post(
     "/admin/categories",
@@ -273,4 +457,91 @@ router.get(
     awardsController.getAwardsStats
 );
 
+// Weighted rankings with proposed winners and finalists (?edition=)
+router.get(
+    "/admin/results",
+    adminAuth,
+    awardsController.getResults
+);
+
+// Approve winners and finalists for a category
+router.post(
+    "/admin/results/:categoryId/approve",
+    adminAuth,
+    param("categoryId").isMongoId().withMessage("Invalid category ID"),
+    body("winners")
+        .isArray()
+        .withMessage("Winners must be a list"),
+    body("winners.*")
+        .isMongoId()
+        .withMessage("Invalid winner nomination ID"),
+    body("finalists")
+        .optional()
+        .isArray()
+        .withMessage("Finalists must be a list"),
+    body("finalists.*")
+        .isMongoId()
+        .withMessage("Invalid finalist nomination ID"),
+    awardsController.approveResults
+);
+
+// Publish every unpublished category in an edition
+router.post(
+    "/admin/results/publish",
+    adminAuth,
+    awardsController.publishEditionResults
+);
+
+// Publish one category's results: freezes votes, sets winners and issues certificates
+router.post(
+    "/admin/results/:categoryId/publish",
+    adminAuth,
+    param("categoryId").isMongoId().withMessage("Invalid category ID"),
+    awardsController.publishCategoryResults
+);
+
+// Vote fraud review queue (?edition=&category=&nomination=)
+router.get(
+    "/admin/votes/review",
+    adminAuth,
+    query("category").optional().isMongoId().withMessage("Invalid category ID"),
+    query("nomination").optional().isMongoId().withMessage("Invalid nomination ID"),
+    awardsController.getVoteReviewQueue
+);
+
+// Void suspicious votes in bulk
+router.post(
+    "/admin/votes/void",
+    adminAuth,
+    validateVoteSelection,
+    body("reason")
+        .trim()
+        .notEmpty()
+        .withMessage("A reason is required to void votes")
+        .isLength({ max: 500 })
+        .withMessage("Reason cannot exceed 500 characters"),
+    awardsController.voidVotes
+);
+
+// Restore voided votes
+router.post(
+    "/admin/votes/restore",
+    adminAuth,
+    validateVoteSelection,
+    body("reason")
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage("Reason cannot exceed 500 characters"),
+    awardsController.restoreVotes
+);
+
+// Audit trail of voided and restored votes
+router.get(
+    "/admin/votes/audit",
+    adminAuth,
+    query("nomination").optional().isMongoId().withMessage("Invalid nomination ID"),
+    awardsController.getVoteAuditLog
+);
+
 module.exports = router;
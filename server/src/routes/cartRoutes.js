@@ -0,0 +1,11 @@
+const express = require("express");
+const router = express.Router();
+const CartController = require("../controllers/cartController");
+const { optionalAuthMiddleware } = require("../middleware/auth");
+const { rateLimits } = require("../config/security");
+
+// Public routes - The visitor's cart, kept per user or per guest session
+router.get("/", optionalAuthMiddleware, rateLimits.cart, (req, res) => CartController.getCart(req, res));
+router.put("/", optionalAuthMiddleware, rateLimits.cart, (req, res) => CartController.updateCart(req, res));
+
+module.exports = router;
@@ -1,14 +1,30 @@
 const express = require('express');
 const router = express.Router();
 const certificateController = require('../controllers/certificateController');
-const { authMiddleware, adminMiddleware } = require('../middleware/auth');
-const { signatureUpload } = require('../config/fileUpload');
+const certificateTemplateController = require('../controllers/certificateTemplateController');
+const certificatePortalController = require('../controllers/certificatePortalController');
+const { authMiddleware, adminMiddleware, certificatePortalMiddleware } = require('../middleware/auth');
+const { signatureUpload, certificateVerificationUpload } = require('../config/fileUpload');
+const { rateLimits } = require('../config/security');
 const { compressionPresets } = require('../middleware/imageCompression');
 
 // Public routes (no authentication required)
 router.get('/verify/:certificateId', certificateController.verifyCertificate);
+router.post('/verify-pdf', rateLimits.certificateVerification, certificateVerificationUpload.single('certificate'), certificateController.verifyCertificatePdf);
+router.get('/signing-key', certificateController.getSigningKey);
+router.get('/badges/issuer', certificateController.getBadgeIssuer);
+router.get('/:certificateId/badge', certificateController.getBadgeAssertion);
+router.get('/:certificateId/badge/class', certificateController.getBadgeClass);
+router.get('/:certificateId/badge/image', certificateController.getBadgeImage);
 router.get('/download/:filename', certificateController.downloadCertificate);
 
+// Recipient portal (magic link sign-in, then a portal session token)
+router.post('/portal/link', rateLimits.certificatePortal, certificatePortalController.requestPortalLink);
+router.post('/portal/session', rateLimits.certificatePortal, certificatePortalController.openPortalSession);
+router.get('/portal/certificates', certificatePortalMiddleware, certificatePortalController.getPortalCertificates);
+router.get('/portal/certificates/:certificateId/download', certificatePortalMiddleware, certificatePortalController.downloadPortalCertificate);
+router.post('/portal/certificates/:certificateId/corrections', certificatePortalMiddleware, certificatePortalController.requestNameCorrection);
+
 // Public routes (with authentication)
 router.get('/info/:nominationId', authMiddleware, certificateController.getCertificateInfo);
 
@@ -17,7 +33,28 @@ router.get('/all', authMiddleware, adminMiddleware, certificateController.getAll
 router.post('/generate/:nominationId', authMiddleware, adminMiddleware, certificateController.generateCertificate);
 router.post('/regenerate/:nominationId', authMiddleware, adminMiddleware, certificateController.regenerateCertificate);
 router.delete('/delete/:nominationId', authMiddleware, adminMiddleware, certificateController.deleteCertificate);
+router.post('/revoke/:certificateId', authMiddleware, adminMiddleware, certificateController.revokeCertificate);
+router.post('/reissue/:certificateId', authMiddleware, adminMiddleware, certificateController.reissueCertificate);
+router.get('/verifications/failed', authMiddleware, adminMiddleware, certificateController.getFailedVerifications);
+router.get('/:certificateId/verifications', authMiddleware, adminMiddleware, certificateController.getVerificationHistory);
 router.post('/bulk-generate', authMiddleware, adminMiddleware, certificateController.bulkGenerateCertificates);
+router.get('/jobs', authMiddleware, adminMiddleware, certificateController.getCertificateJobs);
+router.get('/jobs/:id', authMiddleware, adminMiddleware, certificateController.getCertificateJob);
+router.post('/jobs/:id/retry', authMiddleware, adminMiddleware, certificateController.retryCertificateJob);
+router.get('/corrections', authMiddleware, adminMiddleware, certificatePortalController.getCorrections);
+router.post('/corrections/:id/approve', authMiddleware, adminMiddleware, certificatePortalController.approveCorrection);
+router.post('/corrections/:id/reject', authMiddleware, adminMiddleware, certificatePortalController.rejectCorrection);
+
+// Certificate template routes (admin only)
+router.get('/templates', authMiddleware, adminMiddleware, certificateTemplateController.getTemplates);
+router.post('/templates', authMiddleware, adminMiddleware, certificateTemplateController.createTemplate);
+router.post('/templates/preview', authMiddleware, adminMiddleware, certificateTemplateController.previewDraftTemplate);
+router.put('/templates/assignments', authMiddleware, adminMiddleware, certificateTemplateController.assignTemplate);
+router.get('/templates/:id', authMiddleware, adminMiddleware, certificateTemplateController.getTemplate);
+router.put('/templates/:id', authMiddleware, adminMiddleware, certificateTemplateController.updateTemplate);
+router.delete('/templates/:id', authMiddleware, adminMiddleware, certificateTemplateController.deleteTemplate);
+router.post('/templates/:id/clone', authMiddleware, adminMiddleware, certificateTemplateController.cloneTemplate);
+router.get('/templates/:id/preview', authMiddleware, adminMiddleware, certificateTemplateController.previewTemplate);
 
 // Signature management routes (admin only)
 router.post('/signature/upload', authMiddleware, adminMiddleware, signatureUpload.single('signature'), compressionPresets.profile, certificateController.uploadSignature);
@@ -25,4 +62,10 @@ router.get('/signature/current', authMiddleware, adminMiddleware, certificateCon
 router.get('/signature/status', authMiddleware, adminMiddleware, certificateController.checkSignatureStatus);
 router.delete('/signature/current', authMiddleware, adminMiddleware, certificateController.deleteSignature);
 
+// Signatory library (admin only)
+router.get('/signatories', authMiddleware, adminMiddleware, certificateController.getSignatories);
+router.post('/signatories', authMiddleware, adminMiddleware, signatureUpload.single('signature'), compressionPresets.profile, certificateController.createSignatory);
+router.put('/signatories/:id', authMiddleware, adminMiddleware, certificateController.updateSignatory);
+router.post('/signatories/:id/retire', authMiddleware, adminMiddleware, certificateController.retireSignatory);
+
 module.exports = router;
@@ -11,6 +11,11 @@ const partnershipRequestRoutes = require("./partnershipRequestRoutes");
 const awardsRoutes = require("./awardsRoutes");
 const productRoutes = require("./productRoutes");
 const productInquiryRoutes = require("./productInquiryRoutes");
+const orderRoutes = require("./orderRoutes");
+const cartRoutes = require("./cartRoutes");
+const quotationRoutes = require("./quotationRoutes");
+const invoiceRoutes = require("./invoiceRoutes");
+const paymentRoutes = require("./paymentRoutes");
 const serviceQuoteRoutes = require("./serviceQuoteRoutes");
 const softwareRoutes = require("./softwareRoutes");
 const iotRoutes = require("./iotRoutes");
@@ -37,7 +42,12 @@ router.use("/partnership-requests", partnershipRequestRoutes); // /api/partnersh
 router.use("/awards", awardsRoutes);            // /api/awards/*
 router.use("/products", productRoutes);         // /api/products/*
 router.use("/products", productInquiryRoutes);  // /api/products/inquiries/* (public & admin)
+router.use("/orders", orderRoutes);             // /api/orders/* (public & admin)
+router.use("/cart", cartRoutes);                // /api/cart (public)
 router.use("/services", serviceQuoteRoutes);    // /api/services/quotes/* (public & admin)
+router.use("/quotations", quotationRoutes);     // /api/quotations/* (public links & admin)
+router.use("/invoices", invoiceRoutes);         // /api/invoices/* (admin)
+router.use("/payments", paymentRoutes);         // /api/payments/* (pay links, provider callbacks & admin)
 router.use("/software", softwareRoutes);        // /api/software/* (public & admin)
 router.use("/iot", iotRoutes);                  // /api/iot/* (public & admin)
 router.use("/certificates", certificateRoutes); // /api/certificates/*
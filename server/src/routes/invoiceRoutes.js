@@ -0,0 +1,28 @@
+const express = require("express");
+const router = express.Router();
+const InvoiceController = require("../controllers/invoiceController");
+const { authMiddleware, adminMiddleware } = require("../middleware/auth");
+
+// All invoice routes are admin only
+router.use(authMiddleware, adminMiddleware);
+
+// Reports
+router.get("/reports/receivables", (req, res) => InvoiceController.getReceivablesReport(req, res));
+
+// Invoices
+router.get("/", (req, res) => InvoiceController.getAllInvoices(req, res));
+router.post("/", (req, res) => InvoiceController.createInvoice(req, res));
+router.get("/:id", (req, res) => InvoiceController.getInvoice(req, res));
+router.put("/:id", (req, res) => InvoiceController.updateInvoice(req, res));
+router.delete("/:id", (req, res) => InvoiceController.deleteInvoice(req, res));
+router.post("/:id/issue", (req, res) => InvoiceController.issueInvoice(req, res));
+router.post("/:id/send", (req, res) => InvoiceController.sendInvoice(req, res));
+router.post("/:id/remind", (req, res) => InvoiceController.sendReminder(req, res));
+router.post("/:id/void", (req, res) => InvoiceController.voidInvoice(req, res));
+router.get("/:id/pdf", (req, res) => InvoiceController.downloadInvoicePdf(req, res));
+
+// Payments
+router.post("/:id/payments", (req, res) => InvoiceController.recordPayment(req, res));
+router.post("/:id/payments/:paymentId/void", (req, res) => InvoiceController.voidPayment(req, res));
+
+module.exports = router;
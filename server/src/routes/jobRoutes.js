@@ -9,11 +9,28 @@ const {
   updateJob,
   deleteJob,
   applyForJob,
+  getApplicationStatus,
+  updateApplicationResume,
+  withdrawApplication,
   getAllJobApplications,
+  searchCandidates,
   getJobApplications,
   updateApplicationStatus,
+  getJobPipeline,
+  updateJobPipeline,
+  moveApplicationStage,
+  getJobPipelineStats,
   sendJobApplicationEmail
 } = require("../controllers/jobController");
+const {
+  getApplicationInterviews,
+  proposeInterview,
+  rescheduleInterview,
+  cancelInterview,
+  getInterviewByToken,
+  selectInterviewSlot,
+  downloadInterviewCalendar
+} = require("../controllers/interviewController");
 const { adminAuth } = require("../middleware/adminAuth");
 const { jobPosterUpload, jobApplicationUpload } = require("../config/fileUpload");
 const { rateLimits } = require("../config/security");
@@ -91,6 +108,10 @@ const validateJob = [
     .optional({ checkFalsy: true })
     .isISO8601()
     .withMessage("Invalid deadline date"),
+  require("express-validator").body("publishAt")
+    .optional({ checkFalsy: true })
+    .isISO8601()
+    .withMessage("Invalid publish date"),
   require("express-validator").body("poster")
     .optional()
     .trim()
@@ -179,6 +200,22 @@ const validateApplicationStatusUpdate = [
     .withMessage("Admin notes cannot exceed 500 characters")
 ];
 
+const validateStageMove = [
+  require("express-validator").body("stage")
+    .trim()
+    .isLength({ min: 1, max: 40 })
+    .withMessage("Stage is required"),
+  require("express-validator").body("note")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Stage note cannot exceed 500 characters"),
+  require("express-validator").body("notify")
+    .optional()
+    .isBoolean()
+    .withMessage("notify must be a boolean")
+];
+
 const validateApplicantEmail = [
   require("express-validator").body("subject")
     .trim()
@@ -190,13 +227,86 @@ const validateApplicantEmail = [
     .withMessage("Message must be between 10 and 4000 characters")
 ];
 
+const validateInterview = [
+  require("express-validator").body("slots")
+    .isArray({ min: 1, max: 10 })
+    .withMessage("Offer between 1 and 10 interview times"),
+  require("express-validator").body("title")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Interview title cannot exceed 100 characters"),
+  require("express-validator").body("mode")
+    .optional()
+    .isIn(["in-person", "video", "phone"])
+    .withMessage("Invalid interview mode"),
+  require("express-validator").body("location")
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Location cannot exceed 200 characters"),
+  require("express-validator").body("meetingUrl")
+    .optional({ checkFalsy: true })
+    .trim()
+    .isURL({ protocols: ["http", "https"], require_protocol: true })
+    .withMessage("Meeting link must be a valid http(s) URL"),
+  require("express-validator").body("durationMinutes")
+    .optional()
+    .isInt({ min: 15, max: 480 })
+    .withMessage("Duration must be between 15 and 480 minutes"),
+  require("express-validator").body("notes")
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage("Notes cannot exceed 1000 characters")
+];
+
+const validateInterviewCancel = [
+  require("express-validator").body("reason")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Reason cannot exceed 500 characters")
+];
+
+const validateWithdrawal = [
+  require("express-validator").body("reason")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Reason cannot exceed 500 characters")
+];
+
+const validateSlotSelection = [
+  require("express-validator").body("slotId")
+    .isMongoId()
+    .withMessage("Pick one of the offered times")
+];
+
 // Public routes
 router.get("/public", getPublicJobs);
 router.get("/sitemap.xml", getJobsSitemap);
 router.get("/:id/share", getJobSharePage);
 
-// Admin read route with a reserved path; keep it before public dynamic :id routes.
+// Admin read routes with reserved paths; keep them before public dynamic :id routes.
 router.get("/admin/applications", adminAuth, getAllJobApplications);
+router.get("/admin/candidates", adminAuth, searchCandidates);
+
+// Applicant interview links; keep before the dynamic :id routes
+router.get("/interviews/:token", rateLimits.interviewScheduling, getInterviewByToken);
+router.post("/interviews/:token/select", rateLimits.interviewScheduling, validateSlotSelection, selectInterviewSlot);
+router.get("/interviews/:token/calendar.ics", rateLimits.interviewScheduling, downloadInterviewCalendar);
+
+// Applicant status links; keep before the dynamic :id routes
+router.get("/application-status/:token", rateLimits.applicationStatus, getApplicationStatus);
+router.post(
+  "/application-status/:token/resume",
+  rateLimits.applicationStatus,
+  jobApplicationUpload.fields([{ name: "resumeFile", maxCount: 1 }]),
+  handleMulterError,
+  updateApplicationResume
+);
+router.post("/application-status/:token/withdraw", rateLimits.applicationStatus, validateWithdrawal, withdrawApplication);
 
 router.get("/:id", getJobById);
 router.post(
@@ -219,8 +329,16 @@ router.post("/", jobPosterUpload.single("poster"), handleMulterError, validateJo
 router.put("/:id", jobPosterUpload.single("poster"), handleMulterError, validateJob, updateJob);
 router.delete("/:id", deleteJob);
 router.get("/:id/applications", getJobApplications);
+router.get("/:id/pipeline", getJobPipeline);
+router.put("/:id/pipeline", updateJobPipeline);
+router.get("/:id/pipeline/stats", getJobPipelineStats);
+router.patch("/applications/:applicationId/stage", validateStageMove, moveApplicationStage);
 router.patch("/applications/:applicationId/status", validateApplicationStatusUpdate, updateApplicationStatus);
 router.patch("/:id/applications/:applicationId/status", validateApplicationStatusUpdate, updateApplicationStatus);
+router.get("/applications/:applicationId/interviews", getApplicationInterviews);
+router.post("/applications/:applicationId/interviews", validateInterview, proposeInterview);
+router.patch("/applications/:applicationId/interviews/:interviewId/reschedule", validateInterview, rescheduleInterview);
+router.patch("/applications/:applicationId/interviews/:interviewId/cancel", validateInterviewCancel, cancelInterview);
 router.post("/applications/:applicationId/email", validateApplicantEmail, sendJobApplicationEmail);
 router.post("/:id/applications/:applicationId/email", validateApplicantEmail, sendJobApplicationEmail);
 
@@ -0,0 +1,17 @@
+const express = require("express");
+const router = express.Router();
+const OrderController = require("../controllers/orderController");
+const { authMiddleware, adminMiddleware, optionalAuthMiddleware } = require("../middleware/auth");
+const { rateLimits } = require("../config/security");
+
+// Public route - Send an order from the product cart (with rate limiting)
+router.post("/", optionalAuthMiddleware, rateLimits.inquiry, (req, res) => OrderController.createOrder(req, res));
+
+// Admin routes - Manage orders
+router.get("/admin", authMiddleware, adminMiddleware, (req, res) => OrderController.getAllOrders(req, res));
+router.get("/admin/stats", authMiddleware, adminMiddleware, (req, res) => OrderController.getOrderStats(req, res));
+router.get("/admin/:id", authMiddleware, adminMiddleware, (req, res) => OrderController.getOrder(req, res));
+router.patch("/admin/:id/status", authMiddleware, adminMiddleware, (req, res) => OrderController.updateOrderStatus(req, res));
+router.patch("/admin/:id/notes", authMiddleware, adminMiddleware, (req, res) => OrderController.updateOrderNotes(req, res));
+
+module.exports = router;
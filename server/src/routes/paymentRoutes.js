@@ -0,0 +1,25 @@
+const express = require("express");
+const router = express.Router();
+const PaymentController = require("../controllers/paymentController");
+const { authMiddleware, adminMiddleware } = require("../middleware/auth");
+const { rateLimits } = require("../config/security");
+
+// Public routes - Pay links and the payment page
+router.get("/providers", rateLimits.payment, (req, res) => PaymentController.getProviders(req, res));
+router.get("/checkout/:token", rateLimits.payment, (req, res) => PaymentController.getCheckout(req, res));
+router.post("/checkout/:token", rateLimits.paymentRequest, (req, res) => PaymentController.payCheckout(req, res));
+router.get("/status/:reference", rateLimits.payment, (req, res) => PaymentController.getPaymentStatus(req, res));
+
+// Provider callbacks - MTN MoMo sends PUT, Airtel Money sends POST
+router.post("/webhooks/:provider", (req, res) => PaymentController.handleWebhook(req, res));
+router.put("/webhooks/:provider", (req, res) => PaymentController.handleWebhook(req, res));
+
+// Admin routes - Manage payments
+router.get("/admin", authMiddleware, adminMiddleware, (req, res) => PaymentController.getAllPayments(req, res));
+router.post("/admin/requests", authMiddleware, adminMiddleware, (req, res) => PaymentController.requestPayment(req, res));
+router.get("/admin/links/:type/:id", authMiddleware, adminMiddleware, (req, res) => PaymentController.getPayLink(req, res));
+router.get("/admin/:id", authMiddleware, adminMiddleware, (req, res) => PaymentController.getPayment(req, res));
+router.post("/admin/:id/refresh", authMiddleware, adminMiddleware, (req, res) => PaymentController.refreshPayment(req, res));
+router.post("/admin/:id/refund", authMiddleware, adminMiddleware, (req, res) => PaymentController.refundPayment(req, res));
+
+module.exports = router;
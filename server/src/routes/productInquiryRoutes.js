@@ -1,14 +1,15 @@
 const express = require("express");
 const router = express.Router();
 const ProductInquiryController = require("../controllers/productInquiryController");
+const OrderController = require("../controllers/orderController");
 const { authMiddleware, adminMiddleware, optionalAuthMiddleware } = require("../middleware/auth");
 const { rateLimits } = require("../config/security");
 
 // Public route - Create inquiry (with rate limiting)
 router.post("/inquiries", optionalAuthMiddleware, rateLimits.inquiry, (req, res) => ProductInquiryController.createInquiry(req, res));
 
-// Public route - Cart inquiry (multiple products at once)
-router.post("/cart-inquiry", optionalAuthMiddleware, rateLimits.inquiry, (req, res) => ProductInquiryController.createCartInquiry(req, res));
+// Public route - Cart inquiry; older clients still post here, carts are saved as orders
+router.post("/cart-inquiry", optionalAuthMiddleware, rateLimits.inquiry, (req, res) => OrderController.createOrder(req, res));
 
 // Admin routes - Manage inquiries
 router.get("/admin/inquiries", authMiddleware, adminMiddleware, (req, res) => ProductInquiryController.getAllInquiries(req, res));
@@ -0,0 +1,22 @@
+const express = require("express");
+const router = express.Router();
+const QuotationController = require("../controllers/quotationController");
+const { authMiddleware, adminMiddleware } = require("../middleware/auth");
+const { rateLimits } = require("../config/security");
+
+// Admin routes - Build, send and manage quotations
+router.get("/admin", authMiddleware, adminMiddleware, (req, res) => QuotationController.getAllQuotations(req, res));
+router.post("/admin", authMiddleware, adminMiddleware, (req, res) => QuotationController.createQuotation(req, res));
+router.get("/admin/:id", authMiddleware, adminMiddleware, (req, res) => QuotationController.getQuotation(req, res));
+router.put("/admin/:id", authMiddleware, adminMiddleware, (req, res) => QuotationController.updateQuotation(req, res));
+router.post("/admin/:id/send", authMiddleware, adminMiddleware, (req, res) => QuotationController.sendQuotation(req, res));
+router.post("/admin/:id/cancel", authMiddleware, adminMiddleware, (req, res) => QuotationController.cancelQuotation(req, res));
+router.get("/admin/:id/pdf", authMiddleware, adminMiddleware, (req, res) => QuotationController.downloadQuotationPdf(req, res));
+router.delete("/admin/:id", authMiddleware, adminMiddleware, (req, res) => QuotationController.deleteQuotation(req, res));
+
+// Public routes - The customer's private quotation link
+router.get("/:token", rateLimits.quotation, (req, res) => QuotationController.getPublicQuotation(req, res));
+router.get("/:token/pdf", rateLimits.quotation, (req, res) => QuotationController.downloadPublicQuotationPdf(req, res));
+router.post("/:token/respond", rateLimits.quotation, (req, res) => QuotationController.respondToQuotation(req, res));
+
+module.exports = router;
@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+const JobApplication = require('../models/JobApplication');
+const { useCloudinary } = require('../config/fileUpload');
+const { deleteFromCloudinary } = require('../config/cloudinary');
+const emailService = require('./emailService');
+const interviewSchedulingService = require('./interviewSchedulingService');
+const jobPipelineService = require('./jobPipelineService');
+const resumeTextService = require('./resumeTextService');
+const { getClientUrl } = require('../utils/clientUrl');
+
+// Once decided or withdrawn, the applicant can no longer change the application
+const CLOSED_STATUSES = ['accepted', 'rejected', 'withdrawn'];
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * The applicant's side of a job application: a private status link sent with
+ * the confirmation email, where they can follow their stage, upload an
+ * updated resume or withdraw. Withdrawing deletes the stored files.
+ */
+class ApplicationStatusService {
+    getLink(token) {
+        return `${getClientUrl()}/applications/${token}`;
+    }
+
+    /**
+     * Give an application a new status link token. Only the hash is stored,
+     * so the link can't be recovered later. Does not save.
+     */
+    issueToken(application) {
+        const token = crypto.randomBytes(32).toString('base64url');
+        application.statusTokenHash = hashToken(token);
+        return token;
+    }
+
+    /**
+     * The application a status link belongs to, or null for unknown links
+     */
+    async findByToken(token) {
+        return JobApplication.findOne({ statusTokenHash: hashToken(token) })
+            .populate('job', 'title department location pipeline');
+    }
+
+    canUpdateResume(application) {
+        return !CLOSED_STATUSES.includes(application.status);
+    }
+
+    canWithdraw(application) {
+        return application.status !== 'withdrawn';
+    }
+
+    /**
+     * What the applicant sees on their status page. Admin notes, tags and
+     * screening results stay internal.
+     */
+    toPublic(application) {
+        const job = application.job;
+        const stage = job ? jobPipelineService.resolveStage(application, job) : null;
+        const interview = interviewSchedulingService.getActiveInterview(application);
+
+        return {
+            applicantName: application.fullName.split(' ')[0],
+            job: job ? { title: job.title, department: job.department, location: job.location } : null,
+            status: application.status,
+            stage: stage ? { name: stage.name, enteredAt: application.stageEnteredAt || application.createdAt } : null,
+            submittedAt: application.createdAt,
+            resumeFile: application.resumeFile?.url
+                ? { originalName: application.resumeFile.originalName, uploadedAt: application.resumeFile.uploadedAt }
+                : null,
+            resumeUpdatedAt: application.resumeUpdatedAt || null,
+            interview: interview
+                ? {
+                    title: interview.title,
+                    status: interview.status,
+                    mode: interview.mode,
+                    scheduledStart: interview.status === 'scheduled' ? interview.scheduledStart : undefined,
+                    timezone: interview.timezone
+                }
+                : null,
+            withdrawnAt: application.withdrawnAt || null,
+            canUpdateResume: this.canUpdateResume(application),
+            canWithdraw: this.canWithdraw(application)
+        };
+    }
+
+    /**
+     * Delete an uploaded application file from Cloudinary or the local
+     * uploads folder. Failures are logged, not thrown.
+     */
+    async deleteStoredFile(file) {
+        if (!file?.url) return;
+
+        if (file.cloudinaryId) {
+            if (useCloudinary) await deleteFromCloudinary(file.cloudinaryId, 'raw');
+            return;
+        }
+
+        if (!file.url.startsWith('/uploads/job-applications/')) return;
+
+        try {
+            await fs.unlink(path.join(__dirname, '../../uploads/job-applications', path.basename(file.url)));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Error deleting job application file:', error.message);
+            }
+        }
+    }
+
+    /**
+     * Swap in the applicant's updated resume, delete the old file and pull
+     * the new text for candidate search
+     */
+    async replaceResume(application, resumeFile) {
+        const previousFile = application.resumeFile;
+
+        application.resumeFile = resumeFile;
+        application.resumeUpdatedAt = new Date();
+        await application.save();
+
+        await this.deleteStoredFile(previousFile);
+
+        resumeTextService.extractForApplication(application).catch((error) => {
+            console.error('Error extracting updated resume text:', error.message);
+        });
+
+        return application;
+    }
+
+    /**
+     * Withdraw the application: mark it withdrawn, delete the uploaded resume
+     * and cover letter with their extracted text, cancel any interview in
+     * progress and let the recruitment team know. Returns { interviewCancelled }.
+     */
+    async withdraw(application, reason) {
+        const files = [application.resumeFile, application.coverLetterFile];
+        const stage = application.job ? jobPipelineService.resolveStage(application, application.job) : null;
+
+        application.status = 'withdrawn';
+        application.withdrawnAt = new Date();
+        application.withdrawReason = reason || undefined;
+        application.resumeFile = undefined;
+        application.coverLetterFile = undefined;
+        application.resumeUrl = undefined;
+        application.resumeText = undefined;
+        application.resumeTextStatus = undefined;
+        application.resumeTextExtractedAt = undefined;
+        await application.save();
+
+        await Promise.all(files.map(file => this.deleteStoredFile(file)));
+
+        // Cancelling sends the applicant a calendar cancellation for a booked time
+        const interview = interviewSchedulingService.getActiveInterview(application);
+        if (interview) {
+            await interviewSchedulingService.cancelInterview(application, application.job, interview, 'The applicant withdrew their application');
+        }
+
+        emailService.sendJobApplicationWithdrawnToAdmin({
+            jobTitle: application.job?.title || 'Job application',
+            applicantName: application.fullName,
+            applicantEmail: application.email,
+            stageName: stage?.name,
+            reason,
+            interviewCancelled: Boolean(interview)
+        }).catch((error) => {
+            console.error('Error sending application withdrawal notice:', error.message);
+        });
+
+        return { interviewCancelled: Boolean(interview) };
+    }
+}
+
+module.exports = new ApplicationStatusService();
@@ -0,0 +1,183 @@
+const { AwardCategory, Nomination, JudgeScore } = require('../models');
+const certificateJobService = require('./certificateJobService');
+
+// Nominations that are eligible for ranking (finalist/winner keep their place after approval)
+const RANKED_STATUSES = ['approved', 'finalist', 'winner'];
+
+class AwardResultsService {
+    // Average judge total and number of scorecards per nomination
+    async getJudgeAverages(nominationIds) {
+        const averages = await JudgeScore.aggregate([
+            { $match: { nomination: { $in: nominationIds } } },
+            {
+                $group: {
+                    _id: '$nomination',
+                    averageScore: { $avg: '$total' },
+                    judgeCount: { $sum: 1 }
+                }
+            }
+        ]);
+
+        return new Map(averages.map(item => [item._id.toString(), item]));
+    }
+
+    // Rank one category's nominations by judge score and public votes.
+    // Votes are normalised against the category leader so both signals are 0-100.
+    async rankCategory(category) {
+        const nominations = await Nomination.find({
+            category: category._id,
+            status: { $in: RANKED_STATUSES }
+        }).select('nomineeName nomineePhoto nomineeCountry status votes finalVotes');
+
+        const judgeAverages = await this.getJudgeAverages(nominations.map(nomination => nomination._id));
+        // Published categories rank on the vote counts frozen at publication
+        const countedVotes = nomination => (category.resultsPublishedAt ? nomination.finalVotes ?? nomination.votes : nomination.votes) || 0;
+        const maxVotes = Math.max(0, ...nominations.map(countedVotes));
+        const judgeWeight = category.judgeWeight ?? 0.5;
+
+        const rankings = nominations
+            .map(nomination => {
+                const judging = judgeAverages.get(nomination._id.toString());
+                const judgeScore = judging ? Math.round(judging.averageScore * 100) / 100 : 0;
+                const voteScore = maxVotes > 0 ? Math.round((countedVotes(nomination) / maxVotes) * 10000) / 100 : 0;
+                const combinedScore = Math.round((judgeWeight * judgeScore + (1 - judgeWeight) * voteScore) * 100) / 100;
+
+                return {
+                    nominationId: nomination._id,
+                    nomineeName: nomination.nomineeName,
+                    nomineePhoto: nomination.nomineePhoto,
+                    nomineeCountry: nomination.nomineeCountry,
+                    status: nomination.status,
+                    votes: countedVotes(nomination),
+                    judgeCount: judging?.judgeCount || 0,
+                    judgeScore,
+                    voteScore,
+                    combinedScore
+                };
+            })
+            .sort((a, b) => b.combinedScore - a.combinedScore || b.judgeScore - a.judgeScore || b.votes - a.votes);
+
+        // Propose the top nomination as winner and the next ones as finalists;
+        // nominations with neither votes nor scores are never proposed
+        const finalistCount = category.finalistCount ?? 3;
+        rankings.forEach((entry, index) => {
+            entry.rank = index + 1;
+            if (entry.combinedScore === 0) entry.proposedStatus = 'approved';
+            else if (index === 0) entry.proposedStatus = 'winner';
+            else if (index <= finalistCount) entry.proposedStatus = 'finalist';
+            else entry.proposedStatus = 'approved';
+        });
+
+        return {
+            category: {
+                _id: category._id,
+                name: category.name,
+                icon: category.icon,
+                judgeWeight,
+                finalistCount,
+                rubricSize: category.rubric?.length || 0,
+                resultsPublishedAt: category.resultsPublishedAt || null
+            },
+            rankings
+        };
+    }
+
+    // Rankings for every active category matching the filter (e.g. an edition)
+    async getResults(categoryFilter = {}) {
+        const categories = await AwardCategory.find({ isActive: true, ...categoryFilter }).sort({ name: 1 });
+        return Promise.all(categories.map(category => this.rankCategory(category)));
+    }
+
+    // Mark the selected winners and finalists; anyone no longer selected drops back to approved
+    async applySelection(category, { winners = [], finalists = [], reviewedBy = null }) {
+        const review = { reviewedBy, reviewedAt: new Date() };
+        const selectedIds = [...winners, ...finalists];
+
+        await Nomination.updateMany(
+            { category: category._id, _id: { $nin: selectedIds }, status: { $in: ['finalist', 'winner'] } },
+            { status: 'approved', ...review }
+        );
+        await Nomination.updateMany({ _id: { $in: winners } }, { status: 'winner', ...review });
+        await Nomination.updateMany({ _id: { $in: finalists } }, { status: 'finalist', ...review });
+
+        category.resultsApprovedAt = new Date();
+        category.resultsApprovedBy = reviewedBy;
+        await category.save();
+    }
+
+    // Publish a category's results: apply the proposal if nobody approved one,
+    // then freeze vote counts and ranks so later vote changes don't move the results
+    async publishCategory(category, publishedBy = null) {
+        if (!category.resultsApprovedAt) {
+            const { rankings } = await this.rankCategory(category);
+            await this.applySelection(category, {
+                winners: rankings.filter(entry => entry.proposedStatus === 'winner').map(entry => entry.nominationId),
+                finalists: rankings.filter(entry => entry.proposedStatus === 'finalist').map(entry => entry.nominationId),
+                reviewedBy: publishedBy
+            });
+        }
+
+        const { rankings } = await this.rankCategory(category);
+        await Nomination.bulkWrite(rankings.map(entry => ({
+            updateOne: {
+                filter: { _id: entry.nominationId },
+                update: { finalVotes: entry.votes, finalRank: entry.rank }
+            }
+        })));
+
+        category.resultsPublishedAt = new Date();
+        category.resultsPublishedBy = publishedBy;
+        await category.save();
+
+        return this.rankCategory(category);
+    }
+
+    // Queue a background job that generates and emails certificates for the
+    // winners and finalists of published categories
+    async issueCertificates(categories, createdBy = null) {
+        const categoryIds = categories.map(category => category._id);
+        return certificateJobService.createJob({
+            type: 'results-publication',
+            query: { category: { $in: categoryIds }, status: { $in: ['winner', 'finalist'] } },
+            label: `Results: ${categories.map(category => category.name).join(', ')}`.slice(0, 200),
+            filter: { categories: categoryIds },
+            sendEmails: true,
+            createdBy
+        });
+    }
+
+    // Public results: winners and finalists of published categories only
+    async getPublishedResults(categoryFilter = {}) {
+        const categories = await AwardCategory.find({
+            isActive: true,
+            ...categoryFilter,
+            resultsPublishedAt: { $ne: null }
+        })
+            .select('name icon description resultsPublishedAt')
+            .sort({ name: 1 });
+
+        const nominations = await Nomination.find({
+            category: { $in: categories.map(category => category._id) },
+            status: { $in: ['winner', 'finalist'] }
+        })
+            .select('nomineeName nomineePhoto nomineeTitle nomineeCompany nomineeCountry status finalVotes finalRank category')
+            .sort({ finalRank: 1 });
+
+        return categories.map(category => {
+            const categoryNominations = nominations.filter(nomination => nomination.category.toString() === category._id.toString());
+            return {
+                category: {
+                    _id: category._id,
+                    name: category.name,
+                    icon: category.icon,
+                    description: category.description,
+                    resultsPublishedAt: category.resultsPublishedAt
+                },
+                winners: categoryNominations.filter(nomination => nomination.status === 'winner'),
+                finalists: categoryNominations.filter(nomination => nomination.status === 'finalist')
+            };
+        });
+    }
+}
+
+module.exports = new AwardResultsService();
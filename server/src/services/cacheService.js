@@ -235,24 +235,24 @@ class CacheService {
     }
 
     /**
-     * Cache award categories
+     * Cache award categories (per edition)
      */
-    cacheAwardCategories(categories) {
-        return this.set('awards:categories', categories, 3600); // 1 hour
+    cacheAwardCategories(categories, edition = 'current') {
+        return this.set(`awards:categories:${edition}`, categories, 3600); // 1 hour
     }
 
     /**
-     * Get cached award categories
+     * Get cached award categories (per edition)
      */
-    getCachedAwardCategories() {
-        return this.get('awards:categories');
+    getCachedAwardCategories(edition = 'current') {
+        return this.get(`awards:categories:${edition}`);
     }
 
     /**
-     * Invalidate award categories cache
+     * Invalidate award categories cache for every edition
      */
     invalidateAwardCategories() {
-        return this.del('awards:categories');
+        return this.deletePattern('awards:categories:*');
     }
 
     /**
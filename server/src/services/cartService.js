@@ -0,0 +1,159 @@
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const orderService = require('./orderService');
+
+const MAX_QUANTITY = 999;
+
+const PRODUCT_FIELDS = 'name category price image images availability isActive';
+
+// The price a customer sees for a product, reduced to what matters when
+// comparing it later: no amount means "contact for price"
+const toSeenPrice = (product) => {
+    const priced = product.price?.type !== 'contact-for-price' && typeof product.price?.amount === 'number';
+    return {
+        amount: priced ? product.price.amount : null,
+        currency: product.price?.currency || 'UGX',
+        type: product.price?.type || 'contact-for-price'
+    };
+};
+
+const samePrice = (seen, current) => (
+    (seen?.amount ?? null) === current.amount &&
+    (seen?.amount === null || seen?.amount === undefined || seen.currency === current.currency)
+);
+
+/**
+ * Carts kept on the server so they survive reloads and follow a logged-in
+ * customer between devices. Every read checks the items against the current
+ * product records and flags anything that changed.
+ */
+class CartService {
+    /**
+     * Who a cart belongs to: the logged-in user, or the session for guests.
+     * Returns null when there's neither (no cookie yet).
+     */
+    getOwner(req) {
+        if (req.user) return { user: req.user._id };
+        if (req.sessionID) return { sessionId: req.sessionID };
+        return null;
+    }
+
+    async findCart(owner) {
+        return owner ? Cart.findOne(owner) : null;
+    }
+
+    /**
+     * The cart with each item checked against its product. Item status is
+     * one of: ok, price_changed, unavailable, discontinued.
+     */
+    async getCart(owner) {
+        return this.toView(await this.findCart(owner));
+    }
+
+    /**
+     * Replace the cart contents with the lines sent by the client. The prices
+     * the customer has now seen become the ones later changes are compared to.
+     * Returns { cart } or { errors }.
+     */
+    async replaceItems(owner, lines) {
+        const { quantities, errors } = orderService.parseLines(lines);
+        if (errors.length) return { errors };
+
+        const products = await Product.find({ _id: { $in: [...quantities.keys()] } })
+            .select(PRODUCT_FIELDS)
+            .lean();
+        const productsById = new Map(products.map(product => [String(product._id), product]));
+
+        const cart = await this.findCart(owner) || new Cart(owner);
+        const previous = new Map(cart.items.map(item => [String(item.product), item]));
+
+        // Products that no longer exist at all are dropped quietly
+        cart.items = [...quantities.entries()]
+            .filter(([productId]) => productsById.has(productId))
+            .map(([productId, quantity]) => ({
+                product: productId,
+                quantity,
+                seenPrice: toSeenPrice(productsById.get(productId)),
+                addedAt: previous.get(productId)?.addedAt || new Date()
+            }));
+        await cart.save();
+
+        return { cart: await this.toView(cart, productsById) };
+    }
+
+    /**
+     * Fold a guest's cart into their account cart after they log in or sign
+     * up. Quantities of products in both are added together.
+     */
+    async mergeGuestCart(sessionId, userId) {
+        if (!sessionId) return null;
+
+        const guestCart = await Cart.findOne({ sessionId });
+        if (!guestCart) return null;
+
+        if (guestCart.items.length > 0) {
+            const userCart = await Cart.findOne({ user: userId }) || new Cart({ user: userId });
+            const items = new Map(userCart.items.map(item => [String(item.product), item.toObject()]));
+
+            guestCart.items.forEach((item) => {
+                const productId = String(item.product);
+                const existing = items.get(productId);
+                items.set(productId, existing
+                    ? { ...existing, quantity: Math.min(MAX_QUANTITY, existing.quantity + item.quantity) }
+                    : item.toObject());
+            });
+
+            userCart.items = [...items.values()];
+            await userCart.save();
+        }
+
+        await Cart.deleteOne({ _id: guestCart._id });
+        return true;
+    }
+
+    async toView(cart, productsById = null) {
+        if (!cart || cart.items.length === 0) {
+            return { items: [], itemCount: 0, hasIssues: false, updatedAt: cart?.updatedAt || null };
+        }
+
+        if (!productsById) {
+            const products = await Product.find({ _id: { $in: cart.items.map(item => item.product) } })
+                .select(PRODUCT_FIELDS)
+                .lean();
+            productsById = new Map(products.map(product => [String(product._id), product]));
+        }
+
+        const items = cart.items
+            .filter(item => productsById.has(String(item.product)))
+            .map((item) => {
+                const { isActive, ...product } = productsById.get(String(item.product));
+                const currentPrice = toSeenPrice(product);
+
+                let status = 'ok';
+                if (isActive === false) {
+                    status = 'unavailable';
+                } else if (product.availability === 'discontinued') {
+                    status = 'discontinued';
+                } else if (!samePrice(item.seenPrice, currentPrice)) {
+                    status = 'price_changed';
+                }
+
+                return {
+                    product,
+                    quantity: item.quantity,
+                    status,
+                    previousPrice: status === 'price_changed' ? item.seenPrice : undefined,
+                    addedAt: item.addedAt
+                };
+            });
+
+        return {
+            items,
+            itemCount: items.reduce((sum, item) => sum + item.quantity, 0),
+            hasIssues: items.some(item => item.status !== 'ok'),
+            updatedAt: cart.updatedAt
+        };
+    }
+}
+
+module.exports = new CartService();
@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { getClientUrl } = require('../utils/clientUrl');
+
+const OPEN_BADGES_CONTEXT = 'https://w3id.org/openbadges/v2';
+
+const BADGE_STYLES = {
+    winner: { label: 'Winner', color: '#F59E12', ring: '#B45309' },
+    finalist: { label: 'Finalist', color: '#2563EB', ring: '#1E3A8A' },
+    participation: { label: 'Participant', color: '#10B981', ring: '#047857' }
+};
+
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Split a category name over at most two lines of the badge
+const wrapLines = (text, maxLength = 22) => {
+    const lines = [''];
+    String(text).split(/\s+/).forEach(word => {
+        const current = lines[lines.length - 1];
+        if (current && `${current} ${word}`.length > maxLength && lines.length < 2) {
+            lines.push(word);
+        } else {
+            lines[lines.length - 1] = current ? `${current} ${word}` : word;
+        }
+    });
+    return lines;
+};
+
+// CRC-32 as used by PNG chunks
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+    let crc = 0xFFFFFFFF;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+/**
+ * Open Badges 2.0 (hosted verification) for award certificates, so winners
+ * can add them to LinkedIn and credential wallets. Each certificate gets an
+ * assertion, a badge class and a baked PNG that carries the assertion.
+ */
+class CertificateBadgeService {
+    urls(certificate, baseUrl) {
+        const badgeUrl = `${baseUrl}/api/certificates/${encodeURIComponent(certificate.certificateId)}/badge`;
+        return {
+            assertion: badgeUrl,
+            badgeClass: `${badgeUrl}/class`,
+            image: `${badgeUrl}/image`,
+            issuer: `${baseUrl}/api/certificates/badges/issuer`
+        };
+    }
+
+    buildIssuer(baseUrl) {
+        return {
+            '@context': OPEN_BADGES_CONTEXT,
+            type: 'Issuer',
+            id: `${baseUrl}/api/certificates/badges/issuer`,
+            name: 'SAPTech Uganda',
+            url: getClientUrl(),
+            email: 'info@saptechug.com'
+        };
+    }
+
+    buildBadgeClass(certificate, baseUrl) {
+        const urls = this.urls(certificate, baseUrl);
+        const style = BADGE_STYLES[certificate.type] || BADGE_STYLES.participation;
+
+        return {
+            '@context': OPEN_BADGES_CONTEXT,
+            type: 'BadgeClass',
+            id: urls.badgeClass,
+            name: `SAPTech Awards ${certificate.awardYear} ${style.label} - ${certificate.categoryName}`,
+            description: `${style.label} in the ${certificate.categoryName} category of the SAPTech Awards ${certificate.awardYear}.`,
+            image: `${urls.image}?baked=false`,
+            criteria: {
+                narrative: certificate.type === 'participation'
+                    ? 'Nominated and took part in the SAPTech Awards.'
+                    : `Selected as ${certificate.type} through public voting and judging in the SAPTech Awards.`
+            },
+            issuer: urls.issuer,
+            tags: ['SAPTech Awards', certificate.categoryName, style.label]
+        };
+    }
+
+    /**
+     * The hosted assertion. Revoked or expired certificates are reduced to the
+     * revocation details, as Open Badges 2.0 expects.
+     */
+    buildAssertion(certificate, baseUrl) {
+        const urls = this.urls(certificate, baseUrl);
+
+        if (certificate.status !== 'active') {
+            return {
+                '@context': OPEN_BADGES_CONTEXT,
+                type: 'Assertion',
+                id: urls.assertion,
+                revoked: true,
+                revocationReason: certificate.status === 'revoked'
+                    ? certificate.revocationReason || 'This certificate has been revoked'
+                    : 'This certificate has expired'
+            };
+        }
+
+        const salt = crypto.createHash('sha256').update(certificate.certificateId).digest('hex').slice(0, 16);
+        const recipient = certificate.recipientEmail
+            ? {
+                type: 'email',
+                hashed: true,
+                salt,
+                identity: `sha256$${crypto.createHash('sha256').update(certificate.recipientEmail + salt).digest('hex')}`
+            }
+            : { type: 'url', hashed: false, identity: certificate.verificationUrl };
+
+        return {
+            '@context': OPEN_BADGES_CONTEXT,
+            type: 'Assertion',
+            id: urls.assertion,
+            recipient,
+            badge: urls.badgeClass,
+            verification: { type: 'hosted' },
+            issuedOn: new Date(certificate.issueDate).toISOString(),
+            image: urls.image,
+            evidence: [{
+                id: certificate.verificationUrl,
+                narrative: `Certificate ${certificate.certificateId} issued to ${certificate.recipientName}.`
+            }]
+        };
+    }
+
+    /**
+     * Draw the badge medallion for a certificate type and category
+     */
+    async renderImage(certificate) {
+        const style = BADGE_STYLES[certificate.type] || BADGE_STYLES.participation;
+        const categoryLines = wrapLines(certificate.categoryName)
+            .map((line, index) => `<text x="200" y="${236 + index * 26}" text-anchor="middle" font-family="Helvetica, Arial, sans-serif" font-size="20" fill="#FFFFFF">${escapeXml(line)}</text>`)
+            .join('');
+
+        const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="400" height="400" viewBox="0 0 400 400">
+            <circle cx="200" cy="200" r="190" fill="${style.ring}"/>
+            <circle cx="200" cy="200" r="170" fill="${style.color}"/>
+            <circle cx="200" cy="200" r="150" fill="none" stroke="#FFFFFF" stroke-width="3" stroke-dasharray="6 6"/>
+            <text x="200" y="120" text-anchor="middle" font-family="Times New Roman, serif" font-weight="bold" font-size="26" fill="#FFFFFF">SAPTech Awards</text>
+            <text x="200" y="160" text-anchor="middle" font-family="Helvetica, Arial, sans-serif" font-weight="bold" font-size="30" fill="#FFFFFF">${escapeXml(certificate.awardYear)}</text>
+            <text x="200" y="205" text-anchor="middle" font-family="Helvetica, Arial, sans-serif" font-weight="bold" font-size="26" fill="#FFFFFF">${escapeXml(style.label.toUpperCase())}</text>
+            ${categoryLines}
+        </svg>`;
+
+        return sharp(Buffer.from(svg)).png().toBuffer();
+    }
+
+    /**
+     * Bake an assertion into a PNG by adding an iTXt chunk with the
+     * "openbadges" keyword just before the image end chunk
+     */
+    bake(png, assertion) {
+        const data = Buffer.concat([
+            Buffer.from('openbadges', 'latin1'),
+            // Null separator, no compression, compression method, empty language tag and translated keyword
+            Buffer.from([0, 0, 0, 0, 0]),
+            Buffer.from(JSON.stringify(assertion), 'utf8')
+        ]);
+        const type = Buffer.from('iTXt', 'latin1');
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(data.length);
+        const crc = Buffer.alloc(4);
+        crc.writeUInt32BE(crc32(Buffer.concat([type, data])));
+
+        const iendOffset = png.length - 12;
+        return Buffer.concat([png.subarray(0, iendOffset), length, type, data, crc, png.subarray(iendOffset)]);
+    }
+
+    async renderBakedImage(certificate, baseUrl) {
+        const png = await this.renderImage(certificate);
+        return this.bake(png, this.buildAssertion(certificate, baseUrl));
+    }
+}
+
+module.exports = new CertificateBadgeService();
@@ -0,0 +1,246 @@
+const { CertificateJob, Nomination } = require('../models');
+const certificateService = require('./certificateService');
+const emailService = require('./emailService');
+const logger = require('../utils/logger');
+
+// A running job that hasn't reported progress for this long is treated as
+// abandoned (e.g. the server restarted) and can be picked up again
+const STALE_JOB_MS = 5 * 60 * 1000;
+// Wait between retry passes, multiplied by the attempt number
+const RETRY_DELAY_MS = 5000;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// The certificate already stored on a nomination, in the shape
+// generateNominationCertificate returns
+const existingCertificate = (nomination) => ({
+    nomineeName: nomination.nomineeName,
+    recipientEmail: nomination.nominatorEmail,
+    categoryName: nomination.category.name,
+    category: nomination.category._id,
+    awardYear: certificateService.getAwardYear(nomination.edition),
+    edition: nomination.edition?._id,
+    issueDate: nomination.certificateGeneratedAt,
+    certificateId: nomination.certificateId,
+    nomineePhoto: nomination.nomineePhoto,
+    status: nomination.status,
+    certificateFile: nomination.certificateFile,
+    certificateUrl: nomination.certificateUrl
+});
+
+class CertificateJobService {
+    constructor() {
+        this.queue = [];
+        this.draining = false;
+    }
+
+    /**
+     * Persist a job for every nomination matching the query and start processing it
+     */
+    async createJob({ query, type = 'bulk-generate', label = '', filter = {}, sendEmails = false, createdBy = null }) {
+        const nominations = await Nomination.find(query).select('nomineeName').sort({ createdAt: 1 });
+
+        const job = await CertificateJob.create({
+            type,
+            label,
+            filter,
+            sendEmails,
+            createdBy,
+            items: nominations.map(nomination => ({
+                nomination: nomination._id,
+                nomineeName: nomination.nomineeName
+            })),
+            total: nominations.length
+        });
+
+        logger.logInfo('CertificateJobService', 'Certificate job created', {
+            jobId: job._id,
+            type,
+            total: job.total
+        });
+
+        this.enqueue(job._id);
+        return job;
+    }
+
+    /**
+     * Queue failed items of a finished job for another round of attempts
+     */
+    async retryFailed(jobId) {
+        const job = await CertificateJob.findById(jobId);
+        if (!job) return null;
+
+        job.items.forEach(item => {
+            if (item.status === 'failed') {
+                item.status = 'pending';
+                item.attempts = 0;
+                item.error = null;
+            }
+        });
+        job.refreshCounts();
+        job.status = 'queued';
+        job.finishedAt = null;
+        job.heartbeatAt = null;
+        await job.save();
+
+        this.enqueue(job._id);
+        return job;
+    }
+
+    /**
+     * Pick up queued jobs and jobs left running by a previous server process
+     */
+    async resumeJobs() {
+        const jobs = await CertificateJob.find({
+            $or: [
+                { status: 'queued' },
+                { status: 'running', heartbeatAt: { $lt: new Date(Date.now() - STALE_JOB_MS) } },
+                { status: 'running', heartbeatAt: null }
+            ]
+        }).select('_id').sort({ createdAt: 1 });
+
+        jobs.forEach(job => this.enqueue(job._id));
+
+        if (jobs.length > 0) {
+            logger.logInfo('CertificateJobService', 'Resuming certificate jobs', { count: jobs.length });
+        }
+        return jobs.length;
+    }
+
+    enqueue(jobId) {
+        const id = jobId.toString();
+        if (!this.queue.includes(id)) {
+            this.queue.push(id);
+        }
+        // Jobs run one at a time in the background; PDF generation is CPU heavy
+        if (!this.draining) {
+            this.drain().catch(error => logger.logError('CertificateJobService', error, { context: 'drain' }));
+        }
+    }
+
+    async drain() {
+        this.draining = true;
+        try {
+            while (this.queue.length > 0) {
+                const jobId = this.queue.shift();
+                try {
+                    await this.processJob(jobId);
+                } catch (error) {
+                    logger.logError('CertificateJobService', error, { context: 'processJob', jobId });
+                    await CertificateJob.findByIdAndUpdate(jobId, {
+                        status: 'failed',
+                        error: error.message,
+                        finishedAt: new Date()
+                    });
+                }
+            }
+        } finally {
+            this.draining = false;
+        }
+    }
+
+    /**
+     * Claim a job and process its pending items, retrying failures up to maxAttempts
+     */
+    async processJob(jobId) {
+        const staleBefore = new Date(Date.now() - STALE_JOB_MS);
+        const job = await CertificateJob.findOneAndUpdate(
+            {
+                _id: jobId,
+                $or: [
+                    { status: 'queued' },
+                    { status: 'running', heartbeatAt: { $lt: staleBefore } },
+                    { status: 'running', heartbeatAt: null }
+                ]
+            },
+            { status: 'running', heartbeatAt: new Date() },
+            { new: true }
+        );
+
+        // Already finished, or being processed by another instance
+        if (!job) return;
+
+        if (!job.startedAt) job.startedAt = new Date();
+
+        // Items interrupted mid-way by a restart go back to pending
+        job.items.forEach(item => {
+            if (item.status === 'processing') item.status = 'pending';
+        });
+        await job.save();
+
+        let pass = 0;
+        while (job.items.some(item => item.status === 'pending')) {
+            if (pass > 0) await wait(RETRY_DELAY_MS * pass);
+            pass++;
+
+            for (const item of job.items.filter(entry => entry.status === 'pending')) {
+                await this.processItem(job, item);
+                job.refreshCounts();
+                job.heartbeatAt = new Date();
+                await job.save();
+            }
+        }
+
+        job.refreshCounts();
+        job.status = job.failed > 0 ? 'completed_with_errors' : 'completed';
+        job.finishedAt = new Date();
+        await job.save();
+
+        logger.logInfo('CertificateJobService', 'Certificate job finished', {
+            jobId: job._id,
+            status: job.status,
+            succeeded: job.succeeded,
+            failed: job.failed
+        });
+    }
+
+    async processItem(job, item) {
+        // Saved first so an item cut short by a restart can be told apart
+        // and put back to pending when the job resumes
+        item.attempts += 1;
+        item.status = 'processing';
+        job.heartbeatAt = new Date();
+        await job.save();
+
+        try {
+            const nomination = await Nomination.findById(item.nomination).populate('category').populate('edition');
+            if (!nomination || !nomination.category) {
+                // Nothing to retry if the nomination or its category is gone
+                item.status = 'failed';
+                item.error = 'Nomination or category no longer exists';
+                return;
+            }
+
+            // When an earlier attempt generated the certificate and only the
+            // email failed, send that certificate rather than issuing a new one
+            const alreadyGenerated = item.certificateId
+                && item.certificateId === nomination.certificateId
+                && nomination.certificateFile;
+            const certificate = alreadyGenerated
+                ? existingCertificate(nomination)
+                : await certificateService.generateNominationCertificate(nomination);
+            item.certificateId = certificate.certificateId;
+            item.certificateFile = certificate.certificateFile;
+
+            if (job.sendEmails && !item.emailed) {
+                await emailService.sendCertificateEmail(certificate);
+                item.emailed = true;
+            }
+
+            item.status = 'succeeded';
+            item.error = null;
+            item.completedAt = new Date();
+        } catch (error) {
+            item.error = error.message;
+            item.status = item.attempts >= job.maxAttempts ? 'failed' : 'pending';
+            logger.logWarning('CertificateJobService', 'Certificate job item failed', {
+                jobId: job._id,
+                nominationId: item.nomination,
+                attempt: item.attempts,
+                error: error.message
+            });
+        }
+    }
+}
+
+module.exports = new CertificateJobService();
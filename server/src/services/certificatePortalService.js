@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Certificate, CertificatePortalLink, CertificateCorrection, Nomination } = require('../models');
+
+// Magic links are single use and short lived; the portal session they open lasts longer
+const LINK_TTL_MINUTES = 30;
+const SESSION_TTL = '2h';
+const MAX_LINKS_PER_WINDOW = 3;
+const LINK_WINDOW_MS = 15 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Recipient self-service: recipients sign in with a magic link sent to the
+ * email their certificates were issued to, then list, download and share
+ * their certificates and ask for name corrections.
+ */
+class CertificatePortalService {
+    /**
+     * All certificates issued to an email across editions, newest first.
+     * Older certificates may have no recipient email, so nominations
+     * submitted with that email are matched as well.
+     */
+    async findCertificates(email) {
+        const normalizedEmail = String(email).trim().toLowerCase();
+        const nominations = await Nomination.find({
+            nominatorEmail: normalizedEmail,
+            certificateId: { $ne: null }
+        }).select('certificateId');
+        const nominationCertificateIds = nominations.map(nomination => nomination.certificateId);
+
+        return Certificate.find({
+            $or: [
+                { recipientEmail: normalizedEmail },
+                { certificateId: { $in: nominationCertificateIds } },
+                { supersededBy: { $in: nominationCertificateIds } }
+            ]
+        })
+            .populate('edition', 'name year')
+            .sort({ issueDate: -1 });
+    }
+
+    async findCertificate(email, certificateId) {
+        const certificates = await this.findCertificates(email);
+        return certificates.find(certificate => certificate.certificateId === certificateId) || null;
+    }
+
+    /**
+     * Create a magic link token for an email. Returns null when nothing was
+     * issued to the email or too many links were requested recently, so the
+     * caller can answer the same way either way.
+     */
+    async createLink(email, ipAddress) {
+        const normalizedEmail = String(email).trim().toLowerCase();
+        const certificates = await this.findCertificates(normalizedEmail);
+
+        if (certificates.length === 0) return null;
+
+        const recentLinks = await CertificatePortalLink.countDocuments({
+            email: normalizedEmail,
+            createdAt: { $gte: new Date(Date.now() - LINK_WINDOW_MS) }
+        });
+        if (recentLinks >= MAX_LINKS_PER_WINDOW) return null;
+
+        const token = crypto.randomBytes(32).toString('base64url');
+        const expiresAt = new Date(Date.now() + LINK_TTL_MINUTES * 60 * 1000);
+
+        await CertificatePortalLink.create({
+            email: normalizedEmail,
+            tokenHash: hashToken(token),
+            expiresAt,
+            ipAddress
+        });
+
+        return {
+            token,
+            expiresAt,
+            expiresInMinutes: LINK_TTL_MINUTES,
+            certificateCount: certificates.filter(certificate => certificate.status === 'active').length
+        };
+    }
+
+    /**
+     * Exchange an unused magic link for a portal session. Returns null when the
+     * link is unknown, expired or already used.
+     */
+    async redeemLink(token) {
+        const link = await CertificatePortalLink.findOneAndUpdate(
+            { tokenHash: hashToken(String(token)), usedAt: null, expiresAt: { $gt: new Date() } },
+            { usedAt: new Date() },
+            { new: true }
+        );
+
+        return link ? this.createSession(link.email) : null;
+    }
+
+    createSession(email) {
+        const sessionToken = jwt.sign(
+            { type: 'certificate-portal', email },
+            process.env.JWT_SECRET || 'fallback-secret-key-change-in-production',
+            { expiresIn: SESSION_TTL }
+        );
+        const { exp } = jwt.decode(sessionToken);
+
+        return { sessionToken, email, expiresAt: new Date(exp * 1000) };
+    }
+
+    /**
+     * Open a name correction request for an admin to review
+     */
+    async requestCorrection(certificate, email, { requestedName, reason }) {
+        return CertificateCorrection.create({
+            certificate: certificate._id,
+            certificateId: certificate.certificateId,
+            recipientEmail: email,
+            currentName: certificate.recipientName,
+            requestedName,
+            reason
+        });
+    }
+}
+
+module.exports = new CertificatePortalService();
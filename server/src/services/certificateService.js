@@ -2,9 +2,19 @@
 const QRCode = require('qrcode');
 const fs = require('fs').promises;
 const path = require('path');
-const { Certificate } = require('../models');
+const { Certificate, Signatory } = require('../models');
 const cloudinary = require('cloudinary').v2;
 const { isCloudinaryConfigured } = require('../config/cloudinary');
+const certificateTemplateService = require('./certificateTemplateService');
+const certificateSigningService = require('./certificateSigningService');
+const certificateVerificationService = require('./certificateVerificationService');
+
+// Convert a template hex color (#RRGGBB) to a pdf-lib color
+const hexToRgb = (hex) => rgb(
+    parseInt(hex.slice(1, 3), 16) / 255,
+    parseInt(hex.slice(3, 5), 16) / 255,
+    parseInt(hex.slice(5, 7), 16) / 255
+);
 
 class CertificateService {
     ensureCertificatesDirectory() {
@@ -28,68 +38,6 @@ class CertificateService {
         this.ensureSignaturesDirectory();
     }
 
-    // Helper function to draw decorative corner elements
-    drawCornerDecorations(page, width, height, color) {
-        const cornerSize = 40;
-        const thickness = 2;
-        
-        // Top left corner
-        page.drawLine({
-            start: { x: 50, y: height - 50 },
-            end: { x: 50 + cornerSize, y: height - 50 },
-            thickness: thickness,
-            color: color,
-        });
-        page.drawLine({
-            start: { x: 50, y: height - 50 },
-            end: { x: 50, y: height - (50 + cornerSize) },
-            thickness: thickness,
-            color: color,
-        });
-
-        // Top right corner
-        page.drawLine({
-            start: { x: width - 50, y: height - 50 },
-            end: { x: width - (50 + cornerSize), y: height - 50 },
-            thickness: thickness,
-            color: color,
-        });
-        page.drawLine({
-            start: { x: width - 50, y: height - 50 },
-            end: { x: width - 50, y: height - (50 + cornerSize) },
-            thickness: thickness,
-            color: color,
-        });
-
-        // Bottom left corner
-        page.drawLine({
-            start: { x: 50, y: 50 },
-            end: { x: 50 + cornerSize, y: 50 },
-            thickness: thickness,
-            color: color,
-        });
-        page.drawLine({
-            start: { x: 50, y: 50 },
-            end: { x: 50, y: 50 + cornerSize },
-            thickness: thickness,
-            color: color,
-        });
-
-        // Bottom right corner
-        page.drawLine({
-            start: { x: width - 50, y: 50 },
-            end: { x: width - (50 + cornerSize), y: 50 },
-            thickness: thickness,
-            color: color,
-        });
-        page.drawLine({
-            start: { x: width - 50, y: 50 },
-            end: { x: width - 50, y: 50 + cornerSize },
-            thickness: thickness,
-            color: color,
-        });
-    }
-
     async uploadToCloudinary(pdfBuffer, filename) {
         return new Promise((resolve, reject) => {
             const uploadStream = cloudinary.uploader.upload_stream(
@@ -152,281 +100,132 @@ class CertificateService {
         };
     }
 
-    async generateWinnerCertificate(certificateData) {
-        const {
-            nomineeName,
-            categoryName,
-            awardYear = '2025',
-            issueDate = new Date(),
-            certificateId,
-            nomineePhoto
-        } = certificateData;
-
-        try {
-            // Create a new PDF document
-            const pdfDoc = await PDFDocument.create();
-            const page = pdfDoc.addPage([842, 595]); // A4 landscape
-
-            // Load fonts
-            const timesRomanBold = await pdfDoc.embedFont(StandardFonts.TimesRomanBold);
-            const timesRoman = await pdfDoc.embedFont(StandardFonts.TimesRoman);
-            const timesRomanItalic = await pdfDoc.embedFont(StandardFonts.TimesRomanItalic);
-            const helveticaBold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
-
-            const { width, height } = page.getSize();
-
-            // Draw decorative border (gold/amber color)
-            const borderColor = rgb(0.96, 0.62, 0.07); // Gold color
-            const borderWidth = 15;
-            const innerBorderWidth = 3;
-
-            // Outer border
-            page.drawRectangle({
-                x: 20,
-                y: 20,
-                width: width - 40,
-                height: height - 40,
-                borderColor: borderColor,
-                borderWidth: borderWidth,
-            });
-
-            // Inner border
-            page.drawRectangle({
-                x: 40,
-                y: 40,
-                width: width - 80,
-                height: height - 80,
-                borderColor: borderColor,
-                borderWidth: innerBorderWidth,
-            });
-
-            // Decorative corner elements
-            this.drawCornerDecorations(page, width, height, borderColor);
-
-            // Draw logo at top center
-            const logoHeight = await this.drawLogo(pdfDoc, page, width, height);
-            const headerYOffset = logoHeight > 0 ? logoHeight + 15 : 0;
-
-            // Header - SAPTech Awards 2026 logo/text
-            const awardsTitle = 'SAPTech Awards';
-            const awardsTitleSize = 40;
-            const awardsTitleWidth = timesRomanBold.widthOfTextAtSize(awardsTitle, awardsTitleSize);
-            page.drawText(awardsTitle, {
-                x: width / 2 - awardsTitleWidth / 2,
-                y: height - 100 - headerYOffset,
-                size: awardsTitleSize,
-                font: timesRomanBold,
-                color: rgb(0.96, 0.62, 0.07), // Gold
-            });
-
-            const awardsYear = '2026';
-            const awardsYearSize = 28;
-            const awardsYearWidth = helveticaBold.widthOfTextAtSize(awardsYear, awardsYearSize);
-            page.drawText(awardsYear, {
-                x: width / 2 - awardsYearWidth / 2,
-                y: height - 135 - headerYOffset,
-                size: awardsYearSize,
-                font: helveticaBold,
-                color: rgb(0.2, 0.2, 0.2),
-            });
-
-            // Certificate of Achievement text
-            page.drawText('CERTIFICATE OF ACHIEVEMENT', {
-                x: width / 2 - 155,
-                y: height - 180 - headerYOffset,
-                size: 18,
-                font: timesRoman,
-                color: rgb(0.3, 0.3, 0.3),
-            });
-
-            // Divider line
-            page.drawLine({
-                start: { x: width / 2 - 200, y: height - 195 - headerYOffset },
-                end: { x: width / 2 + 200, y: height - 195 - headerYOffset },
-                thickness: 2,
-                color: borderColor,
-            });
-
-            // "This is to certify that" text
-            page.drawText('This is to certify that', {
-                x: width / 2 - 100,
-                y: height - 230 - headerYOffset,
-                size: 15,
-                font: timesRomanItalic,
-                color: rgb(0.2, 0.2, 0.2),
-            });
-
-            // Winner's name (large and prominent)
-            const nameSize = 34;
-            const nameWidth = timesRomanBold.widthOfTextAtSize(nomineeName, nameSize);
-            page.drawText(nomineeName, {
-                x: width / 2 - nameWidth / 2,
-                y: height - 270 - headerYOffset,
-                size: nameSize,
-                font: timesRomanBold,
-                color: rgb(0.1, 0.1, 0.5), // Deep blue
-            });
-
-            // Underline for name
-            page.drawLine({
-                start: { x: width / 2 - nameWidth / 2 - 10, y: height - 280 - headerYOffset },
-                end: { x: width / 2 + nameWidth / 2 + 10, y: height - 280 - headerYOffset },
-                thickness: 2,
-                color: borderColor,
-            });
-
-            // Achievement text
-            page.drawText('has been awarded the', {
-                x: width / 2 - 80,
-                y: height - 310 - headerYOffset,
-                size: 14,
-                font: timesRomanItalic,
-                color: rgb(0.2, 0.2, 0.2),
-            });
+    /**
+     * Draw a certificate template filled with the certificate's data and return the PDF bytes
+     */
+    async renderCertificatePdf(template, certificateData) {
+        const pdfDoc = await PDFDocument.create();
+        const { width, height } = template.page || { width: 842, height: 595 };
+        const page = pdfDoc.addPage([width, height]);
+
+        const fonts = await certificateTemplateService.embedFonts(pdfDoc, template);
+        const values = certificateTemplateService.buildValues(certificateData);
+        const hasPhoto = Boolean(template.photo?.show && certificateData.nomineePhoto);
+        const signatures = certificateData.signatures || await this.resolveSignatures(template);
+        const layout = certificateTemplateService.buildLayout(template, values, fonts, { hasPhoto, signatures });
+
+        const drawText = (item) => page.drawText(item.text, {
+            x: item.x,
+            y: item.y,
+            size: item.size,
+            font: fonts[item.font],
+            color: hexToRgb(item.color),
+        });
+        const drawLine = (line) => page.drawLine({
+            start: { x: line.x1, y: line.y1 },
+            end: { x: line.x2, y: line.y2 },
+            thickness: line.thickness || 1,
+            color: hexToRgb(line.color),
+        });
 
-            // Trophy symbol using asterisks
-            page.drawText('* * * WINNER * * *', {
-                x: width / 2 - 95,
-                y: height - 338 - headerYOffset,
-                size: 17,
-                font: timesRomanBold,
-                color: rgb(0.96, 0.62, 0.07),
-            });
+        // Background color and optional full-page image
+        page.drawRectangle({ x: 0, y: 0, width, height, color: hexToRgb(layout.background.color || '#FFFFFF') });
+        if (layout.background.imageUrl) {
+            try {
+                const imageBytes = await certificateTemplateService.loadImageBytes(layout.background.imageUrl);
+                const image = await pdfDoc.embedPng(imageBytes).catch(() => pdfDoc.embedJpg(imageBytes));
+                page.drawImage(image, { x: 0, y: 0, width, height });
+            } catch (error) {
+                console.warn('⚠️ Could not draw template background image:', error.message);
+            }
+        }
 
-            // Category name
-            const categoryText = `WINNER - ${categoryName}`;
-            const categorySize = 20;
-            const categoryWidth = timesRomanBold.widthOfTextAtSize(categoryText, categorySize);
-            page.drawText(categoryText, {
-                x: width / 2 - categoryWidth / 2,
-                y: height - 370 - headerYOffset,
-                size: categorySize,
-                font: timesRomanBold,
-                color: rgb(0.8, 0.1, 0.1), // Red
-            });
+        // Borders, divider lines and text blocks
+        layout.rects.forEach(rect => page.drawRectangle({
+            x: rect.x,
+            y: rect.y,
+            width: rect.width,
+            height: rect.height,
+            borderColor: hexToRgb(rect.color),
+            borderWidth: rect.borderWidth,
+        }));
+        layout.lines.forEach(drawLine);
+        layout.texts.forEach(drawText);
+
+        if (layout.logo) {
+            await this.drawLogo(pdfDoc, page, layout.logo);
+        }
 
-            // Recognition text
-            page.drawText('in recognition of outstanding excellence in engineering and technology', {
-                x: width / 2 - 215,
-                y: height - 400 - headerYOffset,
-                size: 12,
-                font: timesRomanItalic,
-                color: rgb(0.3, 0.3, 0.3),
-            });
+        if (layout.photo) {
+            const photoDrawn = await this.drawRecipientPhoto(pdfDoc, page, certificateData.nomineePhoto, layout.photo.x, layout.photo.y, layout.photo.size);
+            if (photoDrawn && layout.photo.label) drawText(layout.photo.label);
+        }
 
-            // Website and Powered by text (below recognition)
-            page.drawText('Powered by SAPTech Uganda', {
-                x: width / 2 - 105,
-                y: height - 435 - headerYOffset,
-                size: 9,
-                font: timesRomanItalic,
-                color: rgb(0.5, 0.5, 0.5),
-            });
+        if (layout.qr) {
+            await this.embedQRCode(pdfDoc, page, layout.qr.url, layout.qr.x, layout.qr.y, layout.qr.size);
+            if (layout.qr.label) drawText(layout.qr.label);
+        }
 
-            page.drawText('saptechug.com', {
-                x: width / 2 - 85,
-                y: height - 455 - headerYOffset,
-                size: 11,
-                font: timesRoman,
-                color: rgb(0.4, 0.4, 0.4),
-            });
+        if (layout.signatures) {
+            for (const slot of layout.signatures) {
+                const signatureDrawn = await this.drawSignature(pdfDoc, page, slot.signature, slot.x, slot.y, slot.width, slot.height);
 
-            // Draw recipient photo (left side)
-            if (nomineePhoto) {
-                const photoX = 80;
-                const photoY = 120;
-                const photoSize = 110;
-                await this.drawRecipientPhoto(pdfDoc, page, nomineePhoto, photoX, photoY, photoSize);
-                
-                // Add label under photo
-                page.drawText('Recipient', {
-                    x: photoX + 25,
-                    y: photoY - 20,
-                    size: 10,
-                    font: timesRomanItalic,
-                    color: rgb(0.3, 0.3, 0.3),
-                });
+                // If signature image wasn't drawn, fall back to a signature line
+                if (signatureDrawn) {
+                    if (slot.underline) drawLine(slot.underline);
+                } else {
+                    drawLine(slot.fallback.line);
+                    if (slot.fallback.label) drawText(slot.fallback.label);
+                }
+                if (slot.name) drawText(slot.name);
+                if (slot.title) drawText(slot.title);
             }
+        }
 
-            // Date
-            const formattedDate = issueDate.toLocaleDateString('en-US', {
-                year: 'numeric',
-                month: 'long',
-                day: 'numeric'
-            });
-            page.drawText(`Date: ${formattedDate}`, {
-                x: 100,
-                y: nomineePhoto ? 85 : 145,
-                size: 12,
-                font: timesRoman,
-                color: rgb(0.2, 0.2, 0.2),
-            });
+        if (certificateData.digitalSignature) {
+            certificateSigningService.embedInPdf(pdfDoc, certificateData.digitalSignature);
+        }
 
-            // Certificate ID
-            if (certificateId) {
-                page.drawText(`Certificate ID: ${certificateId}`, {
-                    x: 100,
-                    y: nomineePhoto ? 60 : 120,
-                    size: 10,
-                    font: timesRoman,
-                    color: rgb(0.5, 0.5, 0.5),
-                });
-            }
+        return pdfDoc.save();
+    }
 
-            // Generate and embed QR code (bottom right corner)
-            if (certificateId) {
-                const verificationUrl = `https://saptechug.com/verify/${certificateId}`;
-                await this.embedQRCode(pdfDoc, page, verificationUrl, width - 150, 60, 80);
-                
-                // Add "Scan to Verify" text below QR code
-                page.drawText('Scan to Verify', {
-                    x: width - 140,
-                    y: 45,
-                    size: 8,
-                    font: timesRomanItalic,
-                    color: rgb(0.4, 0.4, 0.4),
-                });
-            }
+    /**
+     * Generate a winner, finalist or participation certificate from the template
+     * assigned to the category (or the default template for the type)
+     */
+    async generateCertificate(certificateType, certificateData) {
+        const {
+            nomineeName,
+            categoryName,
+            awardYear = String(new Date().getFullYear()),
+            issueDate = new Date(),
+            certificateId
+        } = certificateData;
 
-            // Signature area (right side)
-            const signatureX = width - 250;
-            const signatureY = 175;
-            const signatureDrawn = await this.drawSignature(pdfDoc, page, signatureX, signatureY, 120, 40);
-
-            // If signature image wasn't drawn, fall back to text signature
-            if (!signatureDrawn) {
-                // Signature line (right side)
-                page.drawLine({
-                    start: { x: width - 250, y: 165 },
-                    end: { x: width - 100, y: 165 },
-                    thickness: 1,
-                    color: rgb(0.2, 0.2, 0.2),
-                });
+        try {
+            const template = await certificateTemplateService.resolveTemplate(certificateType, {
+                templateId: certificateData.template,
+                categoryId: certificateData.category
+            });
 
-                page.drawText('Authorized Signature', {
-                    x: width - 230,
-                    y: 145,
-                    size: 11,
-                    font: timesRomanItalic,
-                    color: rgb(0.3, 0.3, 0.3),
-                });
+            // Regenerated certificates keep the signatures they were first issued with
+            let signatures = certificateData.signatures;
+            if (!signatures && certificateId) {
+                const existing = await Certificate.findOne({ certificateId }).select('signatures').lean();
+                if (existing?.signatures?.length) signatures = existing.signatures;
             }
+            if (!signatures) signatures = await this.resolveSignatures(template);
 
-            page.drawText('SAPTech Awards 2026 Committee', {
-                x: width - 250,
-                y: 125,
-                size: 10,
-                font: timesRoman,
-                color: rgb(0.4, 0.4, 0.4),
-            });
+            // Sign the key fields so edited or forged copies can be detected
+            const digitalSignature = certificateId
+                ? certificateSigningService.sign({ certificateId, recipientName: nomineeName, categoryName, type: certificateType, awardYear, issueDate })
+                : null;
 
-            // Save PDF
-            const pdfBytes = await pdfDoc.save();
+            const pdfBytes = await this.renderCertificatePdf(template, { ...certificateData, awardYear, issueDate, signatures, digitalSignature });
             const filename = `certificate_${certificateId || Date.now()}.pdf`;
-            
+
             // Save certificate (Cloudinary + local backup)
             const saveResult = await this.saveCertificate(pdfBytes, filename);
-            const filepath = saveResult.filepath;
 
             // Save certificate record to database
             if (certificateId) {
@@ -435,21 +234,30 @@ class CertificateService {
                     recipientName: nomineeName,
                     recipientEmail: certificateData.recipientEmail || null,
                     categoryName,
-                    type: 'winner',
+                    type: certificateType,
                     awardYear,
+                    edition: certificateData.edition || null,
                     issueDate,
                     filename,
+                    template: template._id || null,
+                    signatures,
+                    digitalSignature: {
+                        algorithm: digitalSignature.algorithm,
+                        keyId: digitalSignature.keyId,
+                        value: digitalSignature.value
+                    },
+                    fileHash: certificateSigningService.hashFile(pdfBytes),
                     url: saveResult.url,
                     cloudinaryId: saveResult.cloudinaryId,
                     storage: saveResult.storage
                 });
             }
 
-            console.log(`✅ Winner certificate generated: ${filename} (${saveResult.storage})`);
+            console.log(`✅ ${certificateType} certificate generated: ${filename} (${saveResult.storage})`);
             return saveResult;
 
         } catch (error) {
-            console.error('Error generating winner certificate:', error);
+            console.error(`Error generating ${certificateType} certificate:`, error);
             throw error;
         }
     }
@@ -487,645 +295,6 @@ class CertificateService {
         }
     }
 
-    // Generate finalist certificate
-    async generateFinalistCertificate(certificateData) {
-        const {
-            nomineeName,
-            categoryName,
-            awardYear = '2025',
-            issueDate = new Date(),
-            certificateId,
-            nomineePhoto
-        } = certificateData;
-
-        try {
-            // Create a new PDF document
-            const pdfDoc = await PDFDocument.create();
-            const page = pdfDoc.addPage([842, 595]); // A4 landscape
-
-            // Load fonts
-            const timesRomanBold = await pdfDoc.embedFont(StandardFonts.TimesRomanBold);
-            const timesRoman = await pdfDoc.embedFont(StandardFonts.TimesRoman);
-            const timesRomanItalic = await pdfDoc.embedFont(StandardFonts.TimesRomanItalic);
-            const helveticaBold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
-
-            const { width, height } = page.getSize();
-
-            // Draw decorative border (silver color for finalist)
-            const borderColor = rgb(0.75, 0.75, 0.75); // Silver color
-            const borderWidth = 15;
-            const innerBorderWidth = 3;
-
-            // Outer border
-            page.drawRectangle({
-                x: 20,
-                y: 20,
-                width: width - 40,
-                height: height - 40,
-                borderColor: borderColor,
-                borderWidth: borderWidth,
-            });
-
-            // Inner border
-            page.drawRectangle({
-                x: 40,
-                y: 40,
-                width: width - 80,
-                height: height - 80,
-                borderColor: borderColor,
-                borderWidth: innerBorderWidth,
-            });
-
-            // Decorative corner elements
-            this.drawCornerDecorations(page, width, height, borderColor);
-
-            // Draw logo at top center
-            const logoHeight = await this.drawLogo(pdfDoc, page, width, height);
-            const headerYOffset = logoHeight > 0 ? logoHeight + 15 : 0;
-
-            // Header - SAPTech Awards 2026 logo/text
-            const awardsTitle = 'SAPTech Awards';
-            const awardsTitleSize = 40;
-            const awardsTitleWidth = timesRomanBold.widthOfTextAtSize(awardsTitle, awardsTitleSize);
-            page.drawText(awardsTitle, {
-                x: width / 2 - awardsTitleWidth / 2,
-                y: height - 100 - headerYOffset,
-                size: awardsTitleSize,
-                font: timesRomanBold,
-                color: rgb(0.75, 0.75, 0.75), // Silver
-            });
-
-            const awardsYear = '2026';
-            const awardsYearSize = 28;
-            const awardsYearWidth = helveticaBold.widthOfTextAtSize(awardsYear, awardsYearSize);
-            page.drawText(awardsYear, {
-                x: width / 2 - awardsYearWidth / 2,
-                y: height - 135 - headerYOffset,
-                size: awardsYearSize,
-                font: helveticaBold,
-                color: rgb(0.2, 0.2, 0.2),
-            });
-
-            // Certificate of Achievement text
-            page.drawText('CERTIFICATE OF ACHIEVEMENT', {
-                x: width / 2 - 155,
-                y: height - 180 - headerYOffset,
-                size: 18,
-                font: timesRoman,
-                color: rgb(0.3, 0.3, 0.3),
-            });
-
-            // Divider line
-            page.drawLine({
-                start: { x: width / 2 - 200, y: height - 195 - headerYOffset },
-                end: { x: width / 2 + 200, y: height - 195 - headerYOffset },
-                thickness: 2,
-                color: borderColor,
-            });
-
-            // "This is to certify that" text
-            page.drawText('This is to certify that', {
-                x: width / 2 - 100,
-                y: height - 230 - headerYOffset,
-                size: 15,
-                font: timesRomanItalic,
-                color: rgb(0.2, 0.2, 0.2),
-            });
-
-            // Finalist's name (large and prominent)
-            const nameSize = 34;
-            const nameWidth = timesRomanBold.widthOfTextAtSize(nomineeName, nameSize);
-            page.drawText(nomineeName, {
-                x: width / 2 - nameWidth / 2,
-                y: height - 270 - headerYOffset,
-                size: nameSize,
-                font: timesRomanBold,
-                color: rgb(0.1, 0.1, 0.5), // Deep blue
-            });
-
-            // Underline for name
-            page.drawLine({
-                start: { x: width / 2 - nameWidth / 2 - 10, y: height - 280 - headerYOffset },
-                end: { x: width / 2 + nameWidth / 2 + 10, y: height - 280 - headerYOffset },
-                thickness: 2,
-                color: borderColor,
-            });
-
-            // Achievement text
-            page.drawText('has been named a', {
-                x: width / 2 - 70,
-                y: height - 310 - headerYOffset,
-                size: 14,
-                font: timesRomanItalic,
-                color: rgb(0.2, 0.2, 0.2),
-            });
-
-            // Finalist text
-            page.drawText('* * * FINALIST * * *', {
-                x: width / 2 - 95,
-                y: height - 338 - headerYOffset,
-                size: 17,
-                font: timesRomanBold,
-                color: rgb(0.75, 0.75, 0.75), // Silver
-            });
-
-            // Category name
-            const categoryText = `FINALIST - ${categoryName}`;
-            const categorySize = 20;
-            const categoryWidth = timesRomanBold.widthOfTextAtSize(categoryText, categorySize);
-            page.drawText(categoryText, {
-                x: width / 2 - categoryWidth / 2,
-                y: height - 370 - headerYOffset,
-                size: categorySize,
-                font: timesRomanBold,
-                color: rgb(0.4, 0.4, 0.4), // Gray
-            });
-
-            // Recognition text
-            page.drawText('in recognition of outstanding achievement in engineering and technology', {
-                x: width / 2 - 215,
-                y: height - 400 - headerYOffset,
-                size: 12,
-                font: timesRomanItalic,
-                color: rgb(0.3, 0.3, 0.3),
-            });
-
-            // Website and Powered by text (below recognition)
-            page.drawText('Powered by SAPTech Uganda', {
-                x: width / 2 - 105,
-                y: height - 435 - headerYOffset,
-                size: 9,
-                font: timesRomanItalic,
-                color: rgb(0.5, 0.5, 0.5),
-            });
-
-            page.drawText('saptechug.com', {
-                x: width / 2 - 85,
-                y: height - 455 - headerYOffset,
-                size: 11,
-                font: timesRoman,
-                color: rgb(0.4, 0.4, 0.4),
-            });
-
-            // Draw recipient photo (left side)
-            if (nomineePhoto) {
-                const photoX = 80;
-                const photoY = 120;
-                const photoSize = 110;
-                await this.drawRecipientPhoto(pdfDoc, page, nomineePhoto, photoX, photoY, photoSize);
-                
-                // Add label under photo
-                page.drawText('Recipient', {
-                    x: photoX + 25,
-                    y: photoY - 20,
-                    size: 10,
-                    font: timesRomanItalic,
-                    color: rgb(0.3, 0.3, 0.3),
-                });
-            }
-
-            // Date
-            const formattedDate = issueDate.toLocaleDateString('en-US', {
-                year: 'numeric',
-                month: 'long',
-                day: 'numeric'
-            });
-            page.drawText(`Date: ${formattedDate}`, {
-                x: 100,
-                y: nomineePhoto ? 85 : 145,
-                size: 12,
-                font: timesRoman,
-                color: rgb(0.2, 0.2, 0.2),
-            });
-
-            // Certificate ID
-            if (certificateId) {
-                page.drawText(`Certificate ID: ${certificateId}`, {
-                    x: 100,
-                    y: nomineePhoto ? 60 : 120,
-                    size: 10,
-                    font: timesRoman,
-                    color: rgb(0.5, 0.5, 0.5),
-                });
-            }
-
-            // Generate and embed QR code (bottom right corner)
-            if (certificateId) {
-                const verificationUrl = `https://saptechug.com/verify/${certificateId}`;
-                await this.embedQRCode(pdfDoc, page, verificationUrl, width - 150, 60, 80);
-                
-                // Add "Scan to Verify" text below QR code
-                page.drawText('Scan to Verify', {
-                    x: width - 140,
-                    y: 45,
-                    size: 8,
-                    font: timesRomanItalic,
-                    color: rgb(0.4, 0.4, 0.4),
-                });
-            }
-
-            // Signature area (right side)
-            const signatureX = width - 250;
-            const signatureY = 175;
-            const signatureDrawn = await this.drawSignature(pdfDoc, page, signatureX, signatureY, 120, 40);
-
-            // If signature image wasn't drawn, fall back to text signature
-            if (!signatureDrawn) {
-                // Signature line (right side)
-                page.drawLine({
-                    start: { x: width - 250, y: 165 },
-                    end: { x: width - 100, y: 165 },
-                    thickness: 1,
-                    color: rgb(0.2, 0.2, 0.2),
-                });
-
-                page.drawText('Authorized Signature', {
-                    x: width - 230,
-                    y: 145,
-                    size: 11,
-                    font: timesRomanItalic,
-                    color: rgb(0.3, 0.3, 0.3),
-                });
-            } else {
-                // Signature line under the signature image
-                page.drawLine({
-                    start: { x: signatureX, y: signatureY - 10 },
-                    end: { x: signatureX + 120, y: signatureY - 10 },
-                    thickness: 1,
-                    color: rgb(0.2, 0.2, 0.2),
-                });
-            }
-
-            page.drawText('SAPTech Awards 2026 Committee', {
-                x: width - 250,
-                y: 125,
-                size: 10,
-                font: timesRoman,
-                color: rgb(0.4, 0.4, 0.4),
-            });
-            
-            page.drawText('Authorized Signatory', {
-                x: width - 230,
-                y: 110,
-                size: 9,
-                font: timesRomanItalic,
-                color: rgb(0.5, 0.5, 0.5),
-            });
-
-            // Save PDF
-            const pdfBytes = await pdfDoc.save();
-            const filename = `certificate_${certificateId || Date.now()}.pdf`;
-            
-            // Save certificate
-            const saveResult = await this.saveCertificate(pdfBytes, filename);
-
-            // Save certificate record
-            if (certificateId) {
-                await this.saveCertificateRecord({
-                    certificateId,
-                    recipientName: nomineeName,
-                    recipientEmail: certificateData.recipientEmail || null,
-                    categoryName,
-                    type: 'finalist',
-                    awardYear,
-                    issueDate,
-                    filename,
-                    url: saveResult.url,
-                    cloudinaryId: saveResult.cloudinaryId,
-                    storage: saveResult.storage
-                });
-            }
-
-            console.log(`✅ Finalist certificate generated: ${filename} (${saveResult.storage})`);
-            return saveResult;
-
-        } catch (error) {
-            console.error('Error generating finalist certificate:', error);
-            throw error;
-        }
-    }
-
-    // Generate participation certificate
-    async generateParticipationCertificate(certificateData) {
-        const {
-            nomineeName,
-            categoryName,
-            awardYear = '2025',
-            issueDate = new Date(),
-            certificateId,
-            nomineePhoto
-        } = certificateData;
-
-        try {
-            // Create a new PDF document
-            const pdfDoc = await PDFDocument.create();
-            const page = pdfDoc.addPage([842, 595]); // A4 landscape
-
-            // Load fonts
-            const timesRomanBold = await pdfDoc.embedFont(StandardFonts.TimesRomanBold);
-            const timesRoman = await pdfDoc.embedFont(StandardFonts.TimesRoman);
-            const timesRomanItalic = await pdfDoc.embedFont(StandardFonts.TimesRomanItalic);
-            const helveticaBold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
-
-            const { width, height } = page.getSize();
-
-            // Draw decorative border (bronze color for participation)
-            const borderColor = rgb(0.8, 0.5, 0.2); // Bronze color
-            const borderWidth = 15;
-            const innerBorderWidth = 3;
-
-            // Outer border
-            page.drawRectangle({
-                x: 20,
-                y: 20,
-                width: width - 40,
-                height: height - 40,
-                borderColor: borderColor,
-                borderWidth: borderWidth,
-            });
-
-            // Inner border
-            page.drawRectangle({
-                x: 40,
-                y: 40,
-                width: width - 80,
-                height: height - 80,
-                borderColor: borderColor,
-                borderWidth: innerBorderWidth,
-            });
-
-            // Decorative corner elements
-            this.drawCornerDecorations(page, width, height, borderColor);
-
-            // Draw logo at top center
-            const logoHeight = await this.drawLogo(pdfDoc, page, width, height);
-            const headerYOffset = logoHeight > 0 ? logoHeight + 15 : 0;
-
-            // Header - SAPTech Awards 2026 logo/text
-            const awardsTitle = 'SAPTech Awards';
-            const awardsTitleSize = 40;
-            const awardsTitleWidth = timesRomanBold.widthOfTextAtSize(awardsTitle, awardsTitleSize);
-            page.drawText(awardsTitle, {
-                x: width / 2 - awardsTitleWidth / 2,
-                y: height - 100 - headerYOffset,
-                size: awardsTitleSize,
-                font: timesRomanBold,
-                color: rgb(0.8, 0.5, 0.2), // Bronze
-            });
-
-            const awardsYear = '2026';
-            const awardsYearSize = 28;
-            const awardsYearWidth = helveticaBold.widthOfTextAtSize(awardsYear, awardsYearSize);
-            page.drawText(awardsYear, {
-                x: width / 2 - awardsYearWidth / 2,
-                y: height - 135 - headerYOffset,
-                size: awardsYearSize,
-                font: helveticaBold,
-                color: rgb(0.2, 0.2, 0.2),
-            });
-
-            // Certificate of Participation text
-            page.drawText('CERTIFICATE OF PARTICIPATION', {
-                x: width / 2 - 165,
-                y: height - 180 - headerYOffset,
-                size: 18,
-                font: timesRoman,
-                color: rgb(0.3, 0.3, 0.3),
-            });
-
-            // Divider line
-            page.drawLine({
-                start: { x: width / 2 - 200, y: height - 195 - headerYOffset },
-                end: { x: width / 2 + 200, y: height - 195 - headerYOffset },
-                thickness: 2,
-                color: borderColor,
-            });
-
-            // "This is to certify that" text
-            page.drawText('This is to certify that', {
-                x: width / 2 - 100,
-                y: height - 230 - headerYOffset,
-                size: 15,
-                font: timesRomanItalic,
-                color: rgb(0.2, 0.2, 0.2),
-            });
-
-            // Participant's name (large and prominent)
-            const nameSize = 34;
-            const nameWidth = timesRomanBold.widthOfTextAtSize(nomineeName, nameSize);
-            page.drawText(nomineeName, {
-                x: width / 2 - nameWidth / 2,
-                y: height - 270 - headerYOffset,
-                size: nameSize,
-                font: timesRomanBold,
-                color: rgb(0.1, 0.1, 0.5), // Deep blue
-            });
-
-            // Underline for name
-            page.drawLine({
-                start: { x: width / 2 - nameWidth / 2 - 10, y: height - 280 - headerYOffset },
-                end: { x: width / 2 + nameWidth / 2 + 10, y: height - 280 - headerYOffset },
-                thickness: 2,
-                color: borderColor,
-            });
-
-            // Achievement text
-            page.drawText('participated in the', {
-                x: width / 2 - 70,
-                y: height - 310 - headerYOffset,
-                size: 14,
-                font: timesRomanItalic,
-                color: rgb(0.2, 0.2, 0.2),
-            });
-
-            // Award text
-            const awardText = 'SAPTech Awards 2026';
-            const awardTextSize = 17;
-            const awardTextWidth = timesRomanBold.widthOfTextAtSize(awardText, awardTextSize);
-            page.drawText(awardText, {
-                x: width / 2 - awardTextWidth / 2,
-                y: height - 338 - headerYOffset,
-                size: awardTextSize,
-                font: timesRomanBold,
-                color: rgb(0.8, 0.5, 0.2), // Bronze
-            });
-
-            // Category name
-            const categoryText = categoryName;
-            const categorySize = 20;
-            const categoryWidth = timesRomanBold.widthOfTextAtSize(categoryText, categorySize);
-            page.drawText(categoryText, {
-                x: width / 2 - categoryWidth / 2,
-                y: height - 370 - headerYOffset,
-                size: categorySize,
-                font: timesRomanBold,
-                color: rgb(0.4, 0.4, 0.4), // Gray
-            });
-
-            // Recognition text
-            page.drawText('demonstrating commitment to excellence in engineering and technology', {
-                x: width / 2 - 230,
-                y: height - 400 - headerYOffset,
-                size: 12,
-                font: timesRomanItalic,
-                color: rgb(0.3, 0.3, 0.3),
-            });
-
-            // Website and Powered by text (below recognition)
-            page.drawText('Powered by SAPTech Uganda', {
-                x: width / 2 - 105,
-                y: height - 435 - headerYOffset,
-                size: 9,
-                font: timesRomanItalic,
-                color: rgb(0.5, 0.5, 0.5),
-            });
-
-            page.drawText('saptechug.com', {
-                x: width / 2 - 85,
-                y: height - 455 - headerYOffset,
-                size: 11,
-                font: timesRoman,
-                color: rgb(0.4, 0.4, 0.4),
-            });
-
-            // Draw recipient photo (left side)
-            if (nomineePhoto) {
-                const photoX = 80;
-                const photoY = 120;
-                const photoSize = 110;
-                await this.drawRecipientPhoto(pdfDoc, page, nomineePhoto, photoX, photoY, photoSize);
-                
-                // Add label under photo
-                page.drawText('Recipient', {
-                    x: photoX + 25,
-                    y: photoY - 20,
-                    size: 10,
-                    font: timesRomanItalic,
-                    color: rgb(0.3, 0.3, 0.3),
-                });
-            }
-
-            // Date
-            const formattedDate = issueDate.toLocaleDateString('en-US', {
-                year: 'numeric',
-                month: 'long',
-                day: 'numeric'
-            });
-            page.drawText(`Date: ${formattedDate}`, {
-                x: 100,
-                y: nomineePhoto ? 85 : 145,
-                size: 12,
-                font: timesRoman,
-                color: rgb(0.2, 0.2, 0.2),
-            });
-
-            // Certificate ID
-            if (certificateId) {
-                page.drawText(`Certificate ID: ${certificateId}`, {
-                    x: 100,
-                    y: nomineePhoto ? 60 : 120,
-                    size: 10,
-                    font: timesRoman,
-                    color: rgb(0.5, 0.5, 0.5),
-                });
-            }
-
-            // Generate and embed QR code (bottom right corner)
-            if (certificateId) {
-                const verificationUrl = `https://saptechug.com/verify/${certificateId}`;
-                await this.embedQRCode(pdfDoc, page, verificationUrl, width - 150, 60, 80);
-                
-                // Add "Scan to Verify" text below QR code
-                page.drawText('Scan to Verify', {
-                    x: width - 140,
-                    y: 45,
-                    size: 8,
-                    font: timesRomanItalic,
-                    color: rgb(0.4, 0.4, 0.4),
-                });
-            }
-
-            // Signature area (right side)
-            const signatureX = width - 250;
-            const signatureY = 175;
-            const signatureDrawn = await this.drawSignature(pdfDoc, page, signatureX, signatureY, 120, 40);
-
-            // If signature image wasn't drawn, fall back to text signature
-            if (!signatureDrawn) {
-                // Signature line (right side)
-                page.drawLine({
-                    start: { x: width - 250, y: 165 },
-                    end: { x: width - 100, y: 165 },
-                    thickness: 1,
-                    color: rgb(0.2, 0.2, 0.2),
-                });
-
-                page.drawText('Authorized Signature', {
-                    x: width - 230,
-                    y: 145,
-                    size: 11,
-                    font: timesRomanItalic,
-                    color: rgb(0.3, 0.3, 0.3),
-                });
-            } else {
-                // Signature line under the signature image
-                page.drawLine({
-                    start: { x: signatureX, y: signatureY - 10 },
-                    end: { x: signatureX + 120, y: signatureY - 10 },
-                    thickness: 1,
-                    color: rgb(0.2, 0.2, 0.2),
-                });
-            }
-
-            page.drawText('SAPTech Awards 2026 Committee', {
-                x: width - 250,
-                y: 125,
-                size: 10,
-                font: timesRoman,
-                color: rgb(0.4, 0.4, 0.4),
-            });
-            
-            page.drawText('Authorized Signatory', {
-                x: width - 230,
-                y: 110,
-                size: 9,
-                font: timesRomanItalic,
-                color: rgb(0.5, 0.5, 0.5),
-            });
-
-            // Save PDF
-            const pdfBytes = await pdfDoc.save();
-            const filename = `certificate_${certificateId || Date.now()}.pdf`;
-            
-            // Save certificate
-            const saveResult = await this.saveCertificate(pdfBytes, filename);
-
-            // Save certificate record
-            if (certificateId) {
-                await this.saveCertificateRecord({
-                    certificateId,
-                    recipientName: nomineeName,
-                    recipientEmail: certificateData.recipientEmail || null,
-                    categoryName,
-                    type: 'participation',
-                    awardYear,
-                    issueDate,
-                    filename,
-                    url: saveResult.url,
-                    cloudinaryId: saveResult.cloudinaryId,
-                    storage: saveResult.storage
-                });
-            }
-
-            console.log(`✅ Participation certificate generated: ${filename} (${saveResult.storage})`);
-            return saveResult;
-
-        } catch (error) {
-            console.error('Error generating participation certificate:', error);
-            throw error;
-        }
-    }
-
     async generateQRCode(data, size = 150) {
         try {
             const qrCodeDataURL = await QRCode.toDataURL(data, {
@@ -1195,33 +364,62 @@ class CertificateService {
         }
     }
 
-    async verifyCertificate(certificateId) {
+    /**
+     * Look up a certificate by ID. When `context` (see
+     * certificateVerificationService.getRequestContext) is given the lookup is
+     * recorded, including lookups of IDs that don't exist.
+     */
+    async verifyCertificate(certificateId, context = null) {
         try {
-            const certificate = await Certificate.findValidCertificate(certificateId);
+            const certificate = await Certificate.findOne({ certificateId });
+
+            certificateVerificationService.record(context, { certificate, certificateId, method: 'lookup' });
             
             if (!certificate) {
                 return {
                     valid: false,
-                    message: 'Certificate not found or has been revoked'
+                    message: 'Certificate not found'
                 };
             }
 
             // Record verification
             await certificate.recordVerification();
 
+            const details = {
+                certificateId: certificate.certificateId,
+                recipientName: certificate.recipientName,
+                categoryName: certificate.categoryName,
+                type: certificate.type,
+                awardYear: certificate.awardYear,
+                issueDate: certificate.issueDate,
+                filename: certificate.filename,
+                status: certificate.status,
+                supersedes: certificate.supersedes,
+                verificationCount: certificate.verificationCount,
+                lastVerifiedAt: certificate.lastVerifiedAt
+            };
+
+            // Revoked or expired certificates are still reported so the
+            // verification page can explain why and point to a replacement
+            if (certificate.status !== 'active') {
+                return {
+                    valid: false,
+                    revoked: certificate.status === 'revoked',
+                    message: certificate.status === 'revoked'
+                        ? 'This certificate has been revoked'
+                        : 'This certificate has expired',
+                    certificate: {
+                        ...details,
+                        revokedAt: certificate.revokedAt,
+                        revocationReason: certificate.revocationReason,
+                        supersededBy: certificate.supersededBy
+                    }
+                };
+            }
+
             return {
                 valid: true,
-                certificate: {
-                    certificateId: certificate.certificateId,
-                    recipientName: certificate.recipientName,
-                    categoryName: certificate.categoryName,
-                    type: certificate.type,
-                    awardYear: certificate.awardYear,
-                    issueDate: certificate.issueDate,
-                    filename: certificate.filename,
-                    verificationCount: certificate.verificationCount,
-                    lastVerifiedAt: certificate.lastVerifiedAt
-                }
+                certificate: details
             };
         } catch (error) {
             console.error('Error verifying certificate:', error);
@@ -1229,72 +427,265 @@ class CertificateService {
         }
     }
 
-    async drawSignature(pdfDoc, page, x, y, width = 120, height = 40) {
+    /**
+     * Check an uploaded certificate PDF against its embedded signature and the
+     * issued record. Reports whether the signed details are genuine, whether
+     * they match the record and whether the file is the one that was issued.
+     */
+    async verifyPdf(pdfBytes, context = null) {
+        let signed;
         try {
-            const signatureInfo = await this.getCurrentSignature();
-            
-            if (!signatureInfo) {
-                console.warn('⚠️ No signature configured, using default text signature');
-                return false;
-            }
+            signed = await certificateSigningService.extractFromPdf(pdfBytes);
+        } catch (error) {
+            return { verdict: 'invalid', valid: false, message: 'The file is not a readable PDF' };
+        }
 
-            let signatureImageBytes;
+        const fileHash = certificateSigningService.hashFile(pdfBytes);
+        const certificate = signed
+            ? await Certificate.findOne({ certificateId: signed.payload.certificateId })
+            : await Certificate.findOne({ fileHash });
+
+        certificateVerificationService.record(context, {
+            certificate,
+            certificateId: signed?.payload.certificateId,
+            method: 'pdf'
+        });
+
+        if (!certificate) {
+            return {
+                verdict: 'unrecognized',
+                valid: false,
+                message: signed
+                    ? 'No certificate was issued with this ID'
+                    : 'This PDF was not issued by SAPTech Uganda, or it was issued before certificates were signed'
+            };
+        }
+
+        const signature = signed ? certificateSigningService.verify(signed.payload, signed) : null;
+        const issued = certificateSigningService.buildPayload(certificate);
+        const mismatchedFields = signed
+            ? Object.keys(issued).filter(field => issued[field] !== signed.payload[field])
+            : [];
+
+        const checks = {
+            signature: signature ? signature.valid : null,
+            matchesRecord: signed ? mismatchedFields.length === 0 : null,
+            fileUnchanged: certificate.fileHash ? certificate.fileHash === fileHash : null
+        };
+
+        await certificate.recordVerification();
+
+        const details = {
+            certificateId: certificate.certificateId,
+            recipientName: certificate.recipientName,
+            categoryName: certificate.categoryName,
+            type: certificate.type,
+            awardYear: certificate.awardYear,
+            issueDate: certificate.issueDate,
+            status: certificate.status,
+            supersededBy: certificate.supersededBy
+        };
+
+        let verdict = 'authentic';
+        let message = 'This PDF matches the certificate that was issued';
+
+        if (checks.signature === false) {
+            verdict = 'tampered';
+            message = signature.reason;
+        } else if (checks.matchesRecord === false) {
+            verdict = 'tampered';
+            message = `The certificate details don't match the issued record (${mismatchedFields.join(', ')})`;
+        } else if (checks.fileUnchanged === false) {
+            verdict = 'modified';
+            message = 'The signed details are genuine, but the PDF has been edited since it was issued';
+        } else if (certificate.status !== 'active') {
+            verdict = certificate.status;
+            message = certificate.status === 'revoked'
+                ? 'This certificate is genuine but has been revoked'
+                : 'This certificate is genuine but has expired';
+        }
+
+        return {
+            verdict,
+            valid: verdict === 'authentic',
+            message,
+            checks,
+            mismatchedFields,
+            certificate: details
+        };
+    }
+
+    /**
+     * Award year printed on certificates: the nomination's edition year, or the current year
+     */
+    getAwardYear(edition) {
+        return edition?.year || String(new Date().getFullYear());
+    }
+
+    /**
+     * Generate the certificate matching a nomination status
+     */
+    async generateCertificateForStatus(status, certificateData) {
+        const certificateType = ['winner', 'finalist'].includes(status) ? status : 'participation';
+        return this.generateCertificate(certificateType, certificateData);
+    }
+
+    /**
+     * Generate (or regenerate) the certificate for a nomination and store it on the nomination.
+     * Expects category and edition to be populated.
+     */
+    async generateNominationCertificate(nomination) {
+        if (!nomination.certificateId) {
+            nomination.certificateId = this.generateCertificateId(
+                nomination._id.toString(),
+                nomination.status
+            );
+        }
+
+        const certificateData = {
+            nomineeName: nomination.nomineeName,
+            recipientEmail: nomination.nominatorEmail,
+            categoryName: nomination.category.name,
+            category: nomination.category._id,
+            awardYear: this.getAwardYear(nomination.edition),
+            edition: nomination.edition?._id,
+            issueDate: new Date(),
+            certificateId: nomination.certificateId,
+            nomineePhoto: nomination.nomineePhoto
+        };
+
+        const certificateResult = await this.generateCertificateForStatus(nomination.status, certificateData);
+
+        // Extract just the filename from the result
+        const filename = path.basename(certificateResult.filepath);
+        nomination.certificateFile = filename;
+        nomination.certificateUrl = certificateResult.url;
+        nomination.certificateCloudinaryId = certificateResult.cloudinaryId;
+        nomination.certificateGeneratedAt = new Date();
+        await nomination.save();
+
+        return {
+            ...certificateData,
+            status: nomination.status,
+            certificateFile: filename,
+            certificateUrl: certificateResult.url
+        };
+    }
+
+    /**
+     * Replace a certificate with a corrected copy under a new certificate ID and
+     * revoke the old one. Expects the nomination's category to be populated.
+     */
+    async reissueCertificate(oldCertificate, nomination, { reason, recipientName, revokedBy = null }) {
+        // Apply the name correction to the nomination so future certificates match
+        if (recipientName && recipientName !== nomination.nomineeName) {
+            nomination.nomineeName = recipientName;
+        }
+
+        const newCertificateId = this.generateCertificateId(
+            nomination._id.toString(),
+            nomination.status
+        );
+
+        const certificateResult = await this.generateCertificateForStatus(nomination.status, {
+            nomineeName: nomination.nomineeName,
+            recipientEmail: oldCertificate.recipientEmail || nomination.nominatorEmail,
+            categoryName: nomination.category.name,
+            category: nomination.category._id,
+            awardYear: oldCertificate.awardYear,
+            edition: oldCertificate.edition,
+            issueDate: new Date(),
+            certificateId: newCertificateId,
+            nomineePhoto: nomination.nomineePhoto,
+            // A correction keeps the signatures the certificate was issued with
+            signatures: oldCertificate.signatures?.length ? oldCertificate.signatures.map(signature => signature.toObject()) : undefined
+        });
+
+        await Certificate.findOneAndUpdate(
+            { certificateId: newCertificateId },
+            { supersedes: oldCertificate.certificateId }
+        );
+
+        await oldCertificate.revoke({
+            reason,
+            revokedBy,
+            supersededBy: newCertificateId
+        });
+
+        const filename = path.basename(certificateResult.filepath);
+        nomination.certificateId = newCertificateId;
+        nomination.certificateFile = filename;
+        nomination.certificateUrl = certificateResult.url;
+        nomination.certificateCloudinaryId = certificateResult.cloudinaryId;
+        nomination.certificateGeneratedAt = new Date();
+        await nomination.save();
+
+        return {
+            certificateId: newCertificateId,
+            recipientName: nomination.nomineeName,
+            recipientEmail: oldCertificate.recipientEmail || nomination.nominatorEmail,
+            categoryName: nomination.category.name,
+            awardYear: oldCertificate.awardYear,
+            status: nomination.status,
+            certificateFile: filename,
+            certificateUrl: certificateResult.url,
+            storage: certificateResult.storage
+        };
+    }
+
+    /**
+     * Signatures for a new certificate: the template's active signatories in the
+     * chosen order, or the single uploaded signature when none are selected
+     */
+    async resolveSignatures(template) {
+        if (!template.signature?.show) return [];
+
+        const ids = (template.signature.signatories || []).map(id => String(id._id || id));
+        if (ids.length > 0) {
+            const signatories = await Signatory.find({ _id: { $in: ids }, status: 'active' });
+            const snapshots = ids
+                .map(id => signatories.find(signatory => String(signatory._id) === id))
+                .filter(Boolean)
+                .map(signatory => signatory.toSnapshot());
+            if (snapshots.length > 0) return snapshots;
+        }
+
+        const signatureInfo = await this.getCurrentSignature();
+        if (!signatureInfo || signatureInfo.isCorrupted) return [];
+
+        return [{
+            signatory: null,
+            name: '',
+            title: '',
+            imageUrl: signatureInfo.isCloudinary ? signatureInfo.cloudinaryUrl : `/uploads/signatures/${signatureInfo.filename}`,
+            mimetype: signatureInfo.mimetype
+        }];
+    }
+
+    async drawSignature(pdfDoc, page, signature, x, y, width = 120, height = 40) {
+        if (!signature?.imageUrl) {
+            console.warn('⚠️ No signature configured, using default text signature');
+            return false;
+        }
+
+        try {
+            const signatureImageBytes = await certificateTemplateService.loadImageBytes(signature.imageUrl);
 
-            // Check if signature is stored in Cloudinary
-            if (signatureInfo.isCloudinary && signatureInfo.cloudinaryUrl) {
-                console.log('📥 Fetching signature from Cloudinary:', signatureInfo.cloudinaryUrl);
-                
-                try {
-                    const axios = require('axios');
-                    const response = await axios.get(signatureInfo.cloudinaryUrl, {
-                        responseType: 'arraybuffer'
-                    });
-                    
-                    signatureImageBytes = Buffer.from(response.data);
-                    console.log('✅ Signature fetched from Cloudinary successfully');
-                } catch (fetchError) {
-                    console.error('❌ Error fetching signature from Cloudinary:', fetchError.message);
-                    return false;
-                }
-            } else {
-                // Use local file
-                const signaturePath = path.join(this.signaturesDir, signatureInfo.filename);
-                
-                // Check if signature file exists
-                try {
-                    await fs.access(signaturePath);
-                    signatureImageBytes = await fs.readFile(signaturePath);
-                    console.log('✅ Signature loaded from local storage');
-                } catch (error) {
-                    console.warn('⚠️ Signature file not found locally, using default text signature');
-                    return false;
-                }
-            }
-            
             // Embed image based on file type
             let signatureImage;
-            const mimeType = signatureInfo.mimetype || '';
-            
+            const mimeType = signature.mimetype || '';
+
             if (mimeType.includes('png')) {
                 signatureImage = await pdfDoc.embedPng(signatureImageBytes);
             } else if (mimeType.includes('jpg') || mimeType.includes('jpeg')) {
                 signatureImage = await pdfDoc.embedJpg(signatureImageBytes);
             } else {
-                console.warn('⚠️ Unsupported signature image format, using default text signature');
-                return false;
+                signatureImage = await pdfDoc.embedPng(signatureImageBytes).catch(() => pdfDoc.embedJpg(signatureImageBytes));
             }
-            
-            // Draw signature image
-            page.drawImage(signatureImage, {
-                x: x,
-                y: y,
-                width: width,
-                height: height,
-            });
-            
-            console.log('✅ Signature image embedded successfully in PDF');
+
+            page.drawImage(signatureImage, { x, y, width, height });
             return true;
-            
+
         } catch (error) {
             console.warn('⚠️ Error embedding signature image, using default text signature:', error.message);
             return false;
@@ -1457,7 +848,7 @@ class CertificateService {
     /**
      * Draw logo on certificate
      */
-    async drawLogo(pdfDoc, page, width, height) {
+    async drawLogo(pdfDoc, page, { x, y, width, height }) {
         try {
             const logoPath = path.join(__dirname, '../../public/images/logo.png');
             
@@ -1466,17 +857,14 @@ class CertificateService {
                 const logoBytes = await fs.readFile(logoPath);
                 const logoImage = await pdfDoc.embedPng(logoBytes);
                 
-                const logoWidth = 120;
-                const logoHeight = 60;
-                
                 page.drawImage(logoImage, {
-                    x: width / 2 - logoWidth / 2,
-                    y: height - 80,
-                    width: logoWidth,
-                    height: logoHeight,
+                    x,
+                    y,
+                    width,
+                    height,
                 });
                 
-                return logoHeight;
+                return height;
             } catch (error) {
                 console.warn('⚠️ Logo file not found, skipping logo');
                 return 0;
@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+
+const ALGORITHM = 'Ed25519';
+
+const PUBLIC_KEY_PEM = /-----BEGIN PUBLIC KEY-----[\s\S]+?-----END PUBLIC KEY-----/g;
+
+const getKeyId = (publicKey) => crypto.createHash('sha256')
+    .update(publicKey.export({ type: 'spki', format: 'der' }))
+    .digest('hex')
+    .slice(0, 16);
+
+// Prefix of the PDF keyword that carries the signed certificate details
+const PDF_KEYWORD_PREFIX = 'saptech-certificate-signature:';
+
+// Fields covered by the signature, in the order they are serialized
+const SIGNED_FIELDS = ['certificateId', 'recipientName', 'categoryName', 'type', 'awardYear', 'issueDate'];
+
+/**
+ * Signs the key fields of every issued certificate with the server's Ed25519
+ * key and embeds the signed details in the PDF metadata. Anyone holding the
+ * public key (GET /api/certificates/signing-key) can check a certificate
+ * offline; the verify-pdf endpoint also compares it with the issued record.
+ *
+ * The key comes from CERTIFICATE_SIGNING_PRIVATE_KEY (PEM), which production
+ * requires. Elsewhere a key is generated once and kept in uploads/keys. Each
+ * certificate records the ID of the key that signed it, and public keys
+ * retired by a rotation (CERTIFICATE_SIGNING_RETIRED_PUBLIC_KEYS) still
+ * verify the certificates they signed.
+ */
+class CertificateSigningService {
+    constructor() {
+        this.keysDir = path.join(__dirname, '../../uploads/keys');
+        this.keyPath = path.join(this.keysDir, 'certificate-signing-key.pem');
+        this.keys = null;
+    }
+
+    loadKeys() {
+        if (this.keys) return this.keys;
+
+        let privateKeyPem = process.env.CERTIFICATE_SIGNING_PRIVATE_KEY?.replace(/\\n/g, '\n');
+
+        if (!privateKeyPem && fs.existsSync(this.keyPath)) {
+            privateKeyPem = fs.readFileSync(this.keyPath, 'utf8');
+        }
+
+        if (!privateKeyPem && process.env.NODE_ENV === 'production') {
+            // A key generated here would be lost on the next deploy, and every
+            // certificate signed with it would then fail verification
+            throw new Error('CERTIFICATE_SIGNING_PRIVATE_KEY must be set in production');
+        }
+
+        if (!privateKeyPem) {
+            console.warn('⚠️ CERTIFICATE_SIGNING_PRIVATE_KEY is not set, generating a local certificate signing key');
+            const { privateKey } = crypto.generateKeyPairSync('ed25519');
+            privateKeyPem = privateKey.export({ type: 'pkcs8', format: 'pem' });
+            fs.mkdirSync(this.keysDir, { recursive: true });
+            fs.writeFileSync(this.keyPath, privateKeyPem, { mode: 0o600 });
+        }
+
+        const privateKey = crypto.createPrivateKey(privateKeyPem);
+        const publicKey = crypto.createPublicKey(privateKey);
+        const keyId = getKeyId(publicKey);
+
+        // Every key that may have signed an issued certificate, by key ID
+        const publicKeys = new Map([[keyId, publicKey]]);
+        this.loadRetiredPublicKeys().forEach(retired => {
+            if (!publicKeys.has(retired.keyId)) publicKeys.set(retired.keyId, retired.publicKey);
+        });
+
+        this.keys = { privateKey, publicKey, keyId, publicKeys };
+        return this.keys;
+    }
+
+    /**
+     * Public keys from before a key rotation, one or more PEM blocks in
+     * CERTIFICATE_SIGNING_RETIRED_PUBLIC_KEYS
+     */
+    loadRetiredPublicKeys() {
+        const pems = (process.env.CERTIFICATE_SIGNING_RETIRED_PUBLIC_KEYS || '')
+            .replace(/\\n/g, '\n')
+            .match(PUBLIC_KEY_PEM) || [];
+
+        return pems.map(pem => {
+            const publicKey = crypto.createPublicKey(pem);
+            return { keyId: getKeyId(publicKey), publicKey };
+        });
+    }
+
+    /**
+     * Public key details published so certificates can be verified offline
+     */
+    getPublicKey() {
+        const { publicKey, keyId, publicKeys } = this.loadKeys();
+        return {
+            algorithm: ALGORITHM,
+            keyId,
+            publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+            retiredKeys: [...publicKeys.entries()]
+                .filter(([id]) => id !== keyId)
+                .map(([id, key]) => ({ keyId: id, publicKey: key.export({ type: 'spki', format: 'pem' }) })),
+            signedFields: SIGNED_FIELDS,
+            pdfKeywordPrefix: PDF_KEYWORD_PREFIX
+        };
+    }
+
+    /**
+     * The signed fields in a fixed order with dates as ISO strings
+     */
+    buildPayload(fields) {
+        return Object.fromEntries(SIGNED_FIELDS.map(field => {
+            const value = fields[field];
+            if (field === 'issueDate') return [field, new Date(value).toISOString()];
+            return [field, value == null ? '' : String(value)];
+        }));
+    }
+
+    serialize(payload) {
+        return Buffer.from(JSON.stringify(this.buildPayload(payload)), 'utf8');
+    }
+
+    /**
+     * Sign a certificate's key fields
+     */
+    sign(fields) {
+        const { privateKey, keyId } = this.loadKeys();
+        const payload = this.buildPayload(fields);
+
+        return {
+            payload,
+            algorithm: ALGORITHM,
+            keyId,
+            value: crypto.sign(null, this.serialize(payload), privateKey).toString('base64url')
+        };
+    }
+
+    /**
+     * Check a signature against the signed fields
+     */
+    verify(payload, signature) {
+        const { publicKeys } = this.loadKeys();
+
+        if (!signature?.value) {
+            return { valid: false, reason: 'The certificate is not signed' };
+        }
+        const publicKey = publicKeys.get(signature.keyId);
+        if (!publicKey) {
+            return { valid: false, reason: 'The certificate was signed with an unknown key' };
+        }
+
+        try {
+            const valid = crypto.verify(null, this.serialize(payload), publicKey, Buffer.from(signature.value, 'base64url'));
+            return valid ? { valid: true } : { valid: false, reason: 'The signature does not match the certificate details' };
+        } catch (error) {
+            return { valid: false, reason: 'The signature is malformed' };
+        }
+    }
+
+    /**
+     * Store the signed details in the PDF's keywords so they travel with the file
+     */
+    embedInPdf(pdfDoc, signed) {
+        const encoded = Buffer.from(JSON.stringify(signed), 'utf8').toString('base64url');
+        pdfDoc.setKeywords([`${PDF_KEYWORD_PREFIX}${encoded}`]);
+        pdfDoc.setSubject(`Certificate ${signed.payload.certificateId} issued to ${signed.payload.recipientName}`);
+    }
+
+    /**
+     * Read the signed details back out of a PDF. Returns null for unsigned PDFs.
+     */
+    async extractFromPdf(pdfBytes) {
+        const pdfDoc = await PDFDocument.load(pdfBytes, { updateMetadata: false });
+        const keyword = (pdfDoc.getKeywords() || '')
+            .split(/\s+/)
+            .find(word => word.startsWith(PDF_KEYWORD_PREFIX));
+
+        if (!keyword) return null;
+
+        try {
+            const signed = JSON.parse(Buffer.from(keyword.slice(PDF_KEYWORD_PREFIX.length), 'base64url').toString('utf8'));
+            return signed?.payload ? signed : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    hashFile(bytes) {
+        return crypto.createHash('sha256').update(Buffer.from(bytes)).digest('hex');
+    }
+}
+
+module.exports = new CertificateSigningService();
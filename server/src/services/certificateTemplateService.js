@@ -0,0 +1,412 @@
+const { PDFDocument, StandardFonts } = require('pdf-lib');
+const QRCode = require('qrcode');
+const sharp = require('sharp');
+const fs = require('fs').promises;
+const path = require('path');
+const { CertificateTemplate, AwardCategory } = require('../models');
+const {
+    CERTIFICATE_TYPES,
+    PREVIEW_DATA,
+    resolveColor,
+    getDefaultTemplate
+} = require('../config/certificateTemplates');
+
+const LOGO_PATH = path.join(__dirname, '../../public/images/logo.png');
+
+// Fonts always used for labels drawn by the renderer itself (QR, photo, signature)
+const LABEL_FONT = 'TimesRomanItalic';
+const NAME_FONT = 'TimesRomanBold';
+
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const svgFont = (fontName) => {
+    const family = fontName.startsWith('Helvetica')
+        ? 'Helvetica, Arial, sans-serif'
+        : fontName.startsWith('Courier')
+            ? 'Courier New, Courier, monospace'
+            : 'Times New Roman, Times, serif';
+    const weight = fontName.includes('Bold') ? 'bold' : 'normal';
+    const style = /Italic|Oblique/.test(fontName) ? 'italic' : 'normal';
+    return `font-family="${family}" font-weight="${weight}" font-style="${style}"`;
+};
+
+// Template images are uploaded to Cloudinary or the local uploads folder;
+// nothing else is fetched, and downloads are capped at the upload limit
+const REMOTE_IMAGE_HOST = 'res.cloudinary.com';
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+
+const imageMimeType = (bytes) => (bytes[0] === 0x89 && bytes[1] === 0x50 ? 'image/png' : 'image/jpeg');
+
+const cornerLines = (width, height, color) => {
+    const inset = 50;
+    const length = 40;
+    const corners = [
+        [inset, height - inset, 1, -1],
+        [width - inset, height - inset, -1, -1],
+        [inset, inset, 1, 1],
+        [width - inset, inset, -1, 1]
+    ];
+    return corners.flatMap(([x, y, dx, dy]) => [
+        { x1: x, y1: y, x2: x + dx * length, y2: y, thickness: 2, color },
+        { x1: x, y1: y, x2: x, y2: y + dy * length, thickness: 2, color }
+    ]);
+};
+
+class CertificateTemplateService {
+    /**
+     * Pick the template for a certificate: an explicit template, the category's
+     * assignment, the default template for the type, then the built-in layout
+     */
+    async resolveTemplate(certificateType, { templateId = null, categoryId = null } = {}) {
+        const type = CERTIFICATE_TYPES.includes(certificateType) ? certificateType : 'participation';
+
+        try {
+            if (templateId) {
+                const template = await CertificateTemplate.findById(templateId).lean();
+                if (template) return template;
+            }
+
+            if (categoryId) {
+                const category = await AwardCategory.findById(categoryId).select('certificateTemplates').lean();
+                const assignedId = category?.certificateTemplates?.[type];
+                if (assignedId) {
+                    const template = await CertificateTemplate.findById(assignedId).lean();
+                    if (template) return template;
+                }
+            }
+
+            const defaultTemplate = await CertificateTemplate.findOne({ certificateType: type, isDefault: true }).lean();
+            if (defaultTemplate) return defaultTemplate;
+        } catch (error) {
+            console.warn('⚠️ Could not load certificate template, using built-in layout:', error.message);
+        }
+
+        return getDefaultTemplate(type);
+    }
+
+    /**
+     * Make a template the default for its certificate type
+     */
+    async setDefault(template) {
+        await CertificateTemplate.updateMany(
+            { certificateType: template.certificateType, _id: { $ne: template._id } },
+            { isDefault: false }
+        );
+        template.isDefault = true;
+        await template.save();
+        return template;
+    }
+
+    /**
+     * Assign a template to a category for one certificate type (null restores the default)
+     */
+    async assignToCategory(categoryId, certificateType, templateId) {
+        return AwardCategory.findByIdAndUpdate(
+            categoryId,
+            { [`certificateTemplates.${certificateType}`]: templateId || null },
+            { new: true }
+        ).select('name certificateTemplates');
+    }
+
+    /**
+     * Placeholder values for a certificate
+     */
+    buildValues(certificateData) {
+        const issueDate = certificateData.issueDate ? new Date(certificateData.issueDate) : new Date();
+        return {
+            nomineeName: certificateData.nomineeName || '',
+            categoryName: certificateData.categoryName || '',
+            awardYear: String(certificateData.awardYear || new Date().getFullYear()),
+            issueDate: issueDate.toLocaleDateString('en-US', {
+                year: 'numeric',
+                month: 'long',
+                day: 'numeric'
+            }),
+            certificateId: certificateData.certificateId || '',
+            verificationUrl: certificateData.certificateId
+                ? `https://saptechug.com/verify/${certificateData.certificateId}`
+                : ''
+        };
+    }
+
+    fillPlaceholders(text, values) {
+        return String(text || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => values[key] ?? '');
+    }
+
+    /**
+     * Embed every standard font the template uses so text can be measured and drawn
+     */
+    async embedFonts(pdfDoc, template) {
+        const names = new Set([LABEL_FONT, NAME_FONT, ...(template.blocks || []).map(block => block.font || 'TimesRoman')]);
+        const fonts = {};
+        for (const name of names) {
+            fonts[name] = await pdfDoc.embedFont(StandardFonts[name] || StandardFonts.TimesRoman);
+        }
+        return fonts;
+    }
+
+    /**
+     * Resolve a template into positioned shapes and text. Both the PDF and the
+     * PNG renderer draw from this so previews match issued certificates.
+     * Coordinates are PDF points from the bottom-left corner.
+     */
+    buildLayout(template, values, fonts, { hasPhoto = false, signatures = [] } = {}) {
+        const { width, height } = template.page || { width: 842, height: 595 };
+        const border = template.border || {};
+        const borderColor = resolveColor(template, border.color || 'primary');
+        const labelColor = resolveColor(template, 'body');
+        const rects = [];
+        const lines = [];
+        const texts = [];
+
+        const measure = (fontName, text, size) => (fonts[fontName] || fonts[LABEL_FONT]).widthOfTextAtSize(text, size);
+
+        if (border.show) {
+            if (border.outerWidth > 0) {
+                rects.push({ x: 20, y: 20, width: width - 40, height: height - 40, borderWidth: border.outerWidth, color: borderColor });
+            }
+            if (border.innerWidth > 0) {
+                rects.push({ x: 40, y: 40, width: width - 80, height: height - 80, borderWidth: border.innerWidth, color: borderColor });
+            }
+            if (border.corners) {
+                lines.push(...cornerLines(width, height, borderColor));
+            }
+        }
+
+        (template.lines || []).forEach(line => {
+            lines.push({ ...line, color: resolveColor(template, line.color) });
+        });
+
+        (template.blocks || []).forEach(block => {
+            const text = this.fillPlaceholders(block.text, values).trim();
+            if (!text) return;
+
+            const font = fonts[block.font] ? block.font : LABEL_FONT;
+            const textWidth = measure(font, text, block.size);
+            let x = block.x;
+            if (block.align === 'center') x = block.x - textWidth / 2;
+            if (block.align === 'right') x = block.x - textWidth;
+            const y = hasPhoto && block.yWithPhoto != null ? block.yWithPhoto : block.y;
+
+            texts.push({ text, x, y, font, size: block.size, color: resolveColor(template, block.color), align: block.align, anchorX: block.x });
+
+            if (block.underline) {
+                lines.push({ x1: x - 10, y1: y - 10, x2: x + textWidth + 10, y2: y - 10, thickness: 2, color: borderColor });
+            }
+        });
+
+        const layout = { width, height, background: template.background || {}, rects, lines, texts };
+
+        if (template.logo?.show) {
+            layout.logo = { x: template.logo.x, y: template.logo.y, width: template.logo.width, height: template.logo.height };
+        }
+
+        if (template.photo?.show && hasPhoto) {
+            const { x, y, size, label } = template.photo;
+            layout.photo = {
+                x, y, size,
+                label: label ? { text: label, x: x + 25, y: y - 20, font: LABEL_FONT, size: 10, color: labelColor } : null
+            };
+        }
+
+        if (template.qr?.show && values.verificationUrl) {
+            const { x, y, size, label } = template.qr;
+            layout.qr = {
+                x, y, size,
+                url: values.verificationUrl,
+                label: label ? { text: label, x: x + 10, y: y - 15, font: LABEL_FONT, size: 8, color: resolveColor(template, 'muted') } : null
+            };
+        }
+
+        if (template.signature?.show) {
+            layout.signatures = this.buildSignatureSlots(template, signatures, fonts);
+        }
+
+        return layout;
+    }
+
+    /**
+     * Place each signature side by side in the template's signature area. Named
+     * signatories get their name and title underneath; a single unnamed signature
+     * (or none at all) keeps the classic signature line and label.
+     */
+    buildSignatureSlots(template, signatures, fonts) {
+        const { x, y, width, height, underline, fallbackLabel, spacing = 30 } = template.signature;
+        const pageWidth = template.page?.width || 842;
+        const lineColor = resolveColor(template, 'heading');
+        const labelColor = resolveColor(template, 'body');
+        const entries = signatures.length > 0 ? signatures : [null];
+
+        // Extra signatories are added to the left so the row keeps ending at the signature area
+        const rowWidth = entries.length * width + (entries.length - 1) * spacing;
+        const startX = Math.max(50, Math.min(x + width - rowWidth, pageWidth - 50 - rowWidth));
+
+        const centered = (text, font, size, slotX, textY, color) => ({
+            text,
+            x: slotX + width / 2 - fonts[font].widthOfTextAtSize(text, size) / 2,
+            y: textY,
+            font,
+            size,
+            color
+        });
+
+        return entries.map((signature, index) => {
+            const slotX = startX + index * (width + spacing);
+            const slot = { signature, x: slotX, y, width, height };
+
+            if (signature?.name) {
+                slot.underline = { x1: slotX, y1: y - 10, x2: slotX + width, y2: y - 10, thickness: 1, color: lineColor };
+                slot.name = centered(signature.name, NAME_FONT, 10, slotX, y - 24, lineColor);
+                slot.title = signature.title ? centered(signature.title, LABEL_FONT, 9, slotX, y - 35, labelColor) : null;
+                // Keep the line when the image can't be loaded; the name is already printed
+                slot.fallback = { line: slot.underline, label: null };
+                return slot;
+            }
+
+            slot.underline = underline ? { x1: slotX, y1: y - 10, x2: slotX + width, y2: y - 10, thickness: 1, color: lineColor } : null;
+            // Drawn instead of the image when no signature has been uploaded
+            slot.fallback = {
+                line: { x1: slotX, y1: y - 10, x2: slotX + 150, y2: y - 10, thickness: 1, color: lineColor },
+                label: fallbackLabel ? { text: fallbackLabel, x: slotX + 20, y: y - 30, font: LABEL_FONT, size: 11, color: labelColor } : null
+            };
+            return slot;
+        });
+    }
+
+    /**
+     * Read an image from a Cloudinary URL, an /uploads path or a data URI
+     */
+    async loadImageBytes(source) {
+        if (!source) return null;
+
+        if (source.startsWith('data:')) {
+            return Buffer.from(source.split(',')[1] || '', 'base64');
+        }
+
+        if (source.startsWith('http://') || source.startsWith('https://')) {
+            let url;
+            try {
+                url = new URL(source);
+            } catch {
+                throw new Error(`Invalid image URL: ${source}`);
+            }
+            if (url.protocol !== 'https:' || url.hostname !== REMOTE_IMAGE_HOST) {
+                throw new Error(`Images can only be loaded from Cloudinary: ${source}`);
+            }
+
+            const axios = require('axios');
+            const response = await axios.get(url.href, {
+                responseType: 'arraybuffer',
+                timeout: 10000,
+                maxRedirects: 0,
+                maxContentLength: MAX_IMAGE_BYTES
+            });
+            return Buffer.from(response.data);
+        }
+
+        if (source.startsWith('/uploads/')) {
+            const uploadsDir = path.join(__dirname, '../../uploads');
+            const filePath = path.join(__dirname, '../..', source);
+            if (!filePath.startsWith(uploadsDir + path.sep)) {
+                throw new Error(`Image path is outside the uploads folder: ${source}`);
+            }
+            return fs.readFile(filePath);
+        }
+
+        throw new Error(`Unsupported image location: ${source}`);
+    }
+
+    async imageDataUri(source) {
+        try {
+            const bytes = await this.loadImageBytes(source);
+            return bytes ? `data:${imageMimeType(bytes)};base64,${bytes.toString('base64')}` : null;
+        } catch (error) {
+            console.warn('⚠️ Could not load template image for preview:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Render a template as a PNG image filled with sample or real data
+     */
+    async renderPng(template, certificateData = PREVIEW_DATA) {
+        const pdfDoc = await PDFDocument.create();
+        const fonts = await this.embedFonts(pdfDoc, template);
+        const values = this.buildValues(certificateData);
+        const layout = this.buildLayout(template, values, fonts, { hasPhoto: true, signatures: certificateData.signatures || [] });
+        const { width, height } = layout;
+        const top = (y, boxHeight = 0) => height - y - boxHeight;
+
+        // Anchor aligned text in SVG since system fonts are not metric-compatible with the PDF fonts
+        const svgText = (item) => {
+            const anchor = { center: 'middle', right: 'end' }[item.align];
+            const x = anchor ? item.anchorX : item.x;
+            const textAnchor = anchor ? ` text-anchor="${anchor}"` : '';
+            return `<text x="${x}" y="${top(item.y)}"${textAnchor} ${svgFont(item.font)} font-size="${item.size}" fill="${item.color}">${escapeXml(item.text)}</text>`;
+        };
+        const svgLine = (line) => `<line x1="${line.x1}" y1="${top(line.y1)}" x2="${line.x2}" y2="${top(line.y2)}" stroke="${line.color}" stroke-width="${line.thickness || 1}"/>`;
+        const svgImage = (href, box) => `<image href="${href}" x="${box.x}" y="${top(box.y, box.height)}" width="${box.width}" height="${box.height}" preserveAspectRatio="none"/>`;
+
+        const parts = [`<rect width="${width}" height="${height}" fill="${layout.background.color || '#FFFFFF'}"/>`];
+
+        if (layout.background.imageUrl) {
+            const href = await this.imageDataUri(layout.background.imageUrl);
+            if (href) parts.push(svgImage(href, { x: 0, y: 0, width, height }));
+        }
+
+        layout.rects.forEach(rect => {
+            parts.push(`<rect x="${rect.x}" y="${top(rect.y, rect.height)}" width="${rect.width}" height="${rect.height}" fill="none" stroke="${rect.color}" stroke-width="${rect.borderWidth}"/>`);
+        });
+        layout.lines.forEach(line => parts.push(svgLine(line)));
+        layout.texts.forEach(item => parts.push(svgText(item)));
+
+        if (layout.logo) {
+            try {
+                const logo = await fs.readFile(LOGO_PATH);
+                parts.push(svgImage(`data:image/png;base64,${logo.toString('base64')}`, layout.logo));
+            } catch (error) {
+                // No logo file installed; certificates are rendered without it too
+            }
+        }
+
+        // Placeholders show where the recipient photo and signature go
+        if (layout.photo) {
+            const { x, y, size } = layout.photo;
+            parts.push(`<circle cx="${x + size / 2}" cy="${top(y + size / 2)}" r="${size / 2}" fill="#EEEEEE" stroke="${resolveColor(template, 'primary')}" stroke-width="3"/>`);
+            if (layout.photo.label) parts.push(svgText(layout.photo.label));
+        }
+
+        if (layout.signatures) {
+            for (const slot of layout.signatures) {
+                const href = slot.signature?.imageUrl ? await this.imageDataUri(slot.signature.imageUrl) : null;
+                if (href) {
+                    parts.push(svgImage(href, slot));
+                    if (slot.underline) parts.push(svgLine(slot.underline));
+                } else {
+                    parts.push(`<rect x="${slot.x}" y="${top(slot.y, slot.height)}" width="${slot.width}" height="${slot.height}" fill="none" stroke="#999999" stroke-dasharray="4 3"/>`);
+                    parts.push(svgLine(slot.fallback.line));
+                    if (slot.fallback.label) parts.push(svgText(slot.fallback.label));
+                }
+                if (slot.name) parts.push(svgText(slot.name));
+                if (slot.title) parts.push(svgText(slot.title));
+            }
+        }
+
+        if (layout.qr) {
+            const qrDataUri = await QRCode.toDataURL(layout.qr.url, { width: layout.qr.size * 2, margin: 1 });
+            parts.push(svgImage(qrDataUri, { x: layout.qr.x, y: layout.qr.y, width: layout.qr.size, height: layout.qr.size }));
+            if (layout.qr.label) parts.push(svgText(layout.qr.label));
+        }
+
+        const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${parts.join('')}</svg>`;
+
+        // Render at twice the page size so text stays readable
+        return sharp(Buffer.from(svg), { density: 144 }).png().toBuffer();
+    }
+}
+
+module.exports = new CertificateTemplateService();
@@ -0,0 +1,246 @@
+const UAParser = require('ua-parser-js');
+const { CertificateVerification } = require('../models');
+const cacheService = require('./cacheService');
+const emailService = require('./emailService');
+
+// Lookups of unknown IDs from one IP inside the window that trigger an alert,
+// and how long to wait before alerting about the same IP again
+const ENUMERATION_RULES = {
+    windowMinutes: 15,
+    threshold: 10,
+    alertCooldownMinutes: 60
+};
+
+// Country headers set by common CDNs and hosts in front of the API
+const COUNTRY_HEADERS = ['cf-ipcountry', 'x-vercel-ip-country', 'cloudfront-viewer-country', 'x-country-code'];
+
+const PRIVATE_IP_PATTERN = /^(127\.|10\.|192\.168\.|172\.(1[6-9]|2\d|3[01])\.|::1$|fc|fd|fe80)/i;
+
+const normalizeIp = (ipAddress) => (ipAddress || '').replace(/^::ffff:/, '');
+
+/**
+ * Records every certificate verification with where it came from, reports
+ * verification history to admins and alerts them when someone keeps looking
+ * up IDs that don't exist, which points to ID guessing or forged certificates.
+ */
+class CertificateVerificationService {
+    constructor(rules = ENUMERATION_RULES) {
+        this.rules = rules;
+    }
+
+    /**
+     * Details of the request that are stored with the verification. The
+     * verification page passes its own document.referrer as `ref`, since the
+     * API request's Referer is always the page itself.
+     */
+    getRequestContext(req) {
+        return {
+            ipAddress: normalizeIp(req.ip),
+            referrer: req.query?.ref || req.get('referer') || '',
+            userAgent: req.get('user-agent') || '',
+            headerCountry: COUNTRY_HEADERS.map(header => req.get(header)).find(Boolean) || null
+        };
+    }
+
+    getReferrerDomain(referrer) {
+        if (!referrer) return 'direct';
+        try {
+            return new URL(referrer).hostname.replace(/^www\./, '') || 'direct';
+        } catch (error) {
+            return 'unknown';
+        }
+    }
+
+    parseUserAgent(userAgent) {
+        const result = new UAParser(userAgent).getResult();
+        return {
+            browser: result.browser.name || 'Unknown',
+            os: result.os.name || 'Unknown',
+            device: result.device.type || 'desktop',
+            raw: userAgent.slice(0, 500)
+        };
+    }
+
+    /**
+     * Country code for an IP. CDN headers are used when present; otherwise the
+     * optional GEOIP_LOOKUP_URL service (e.g. https://ipapi.co/{ip}/country/)
+     * is asked and its answer cached for a day.
+     */
+    async resolveCountry(ipAddress, headerCountry) {
+        const fromHeader = headerCountry?.trim().toUpperCase();
+        if (fromHeader && /^[A-Z]{2}$/.test(fromHeader) && fromHeader !== 'XX') return fromHeader;
+
+        const lookupUrl = process.env.GEOIP_LOOKUP_URL;
+        if (!lookupUrl || !ipAddress || PRIVATE_IP_PATTERN.test(ipAddress)) return null;
+
+        const cacheKey = `geoip:${ipAddress}`;
+        const cached = cacheService.get(cacheKey);
+        if (cached) return cached;
+
+        try {
+            const axios = require('axios');
+            const response = await axios.get(lookupUrl.replace('{ip}', encodeURIComponent(ipAddress)), { timeout: 3000 });
+            const data = response.data;
+            const country = String(typeof data === 'object' ? data.country_code || data.countryCode || data.country || '' : data)
+                .trim()
+                .toUpperCase();
+
+            if (!/^[A-Z]{2}$/.test(country)) return null;
+            cacheService.set(cacheKey, country, 24 * 60 * 60);
+            return country;
+        } catch (error) {
+            console.warn(`⚠️ Country lookup failed for ${ipAddress}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Store one verification. Lookups of unknown IDs are also checked for
+     * enumeration. Never throws, so callers can fire and forget.
+     */
+    async record(context, { certificate = null, certificateId = null, method = 'lookup' } = {}) {
+        if (!context) return null;
+
+        try {
+            const event = await CertificateVerification.create({
+                certificate: certificate?._id || null,
+                certificateId: (certificate?.certificateId || certificateId || '').slice(0, 100) || null,
+                method,
+                outcome: certificate ? (certificate.status === 'active' ? 'valid' : certificate.status) : 'not_found',
+                ipAddress: context.ipAddress,
+                country: await this.resolveCountry(context.ipAddress, context.headerCountry),
+                referrerDomain: this.getReferrerDomain(context.referrer),
+                userAgent: this.parseUserAgent(context.userAgent)
+            });
+
+            if (event.outcome === 'not_found') {
+                await this.checkEnumeration(event);
+            }
+
+            return event;
+        } catch (error) {
+            console.error('Error recording certificate verification:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Alert admins when an IP looks up many certificate IDs that don't exist
+     */
+    async checkEnumeration(event) {
+        if (!event.ipAddress) return false;
+
+        const cooldownKey = `certificate-enumeration-alert:${event.ipAddress}`;
+        if (cacheService.get(cooldownKey)) return false;
+
+        const since = new Date(Date.now() - this.rules.windowMinutes * 60 * 1000);
+        const failedLookups = await CertificateVerification.find({
+            outcome: 'not_found',
+            ipAddress: event.ipAddress,
+            verifiedAt: { $gte: since }
+        })
+            .select('certificateId')
+            .sort({ verifiedAt: -1 });
+
+        if (failedLookups.length < this.rules.threshold) return false;
+
+        cacheService.set(cooldownKey, true, this.rules.alertCooldownMinutes * 60);
+
+        const attemptedIds = [...new Set(failedLookups.map(lookup => lookup.certificateId).filter(Boolean))];
+        console.warn(`🚨 Possible certificate ID enumeration from ${event.ipAddress}: ${failedLookups.length} unknown IDs in ${this.rules.windowMinutes} minutes`);
+
+        await emailService.sendAdminAlert({
+            subject: `Possible certificate ID enumeration from ${event.ipAddress}`,
+            title: 'Suspicious Certificate Lookups',
+            message: `${failedLookups.length} lookups of certificate IDs that don't exist came from one address in the last ${this.rules.windowMinutes} minutes. This can mean someone is guessing IDs or checking forged certificates.`,
+            rows: [
+                { label: 'IP address', value: event.ipAddress },
+                { label: 'Country', value: event.country || 'Unknown' },
+                { label: 'Failed lookups', value: failedLookups.length },
+                { label: 'Distinct IDs', value: attemptedIds.length },
+                { label: 'Browser', value: `${event.userAgent?.browser} on ${event.userAgent?.os}` },
+                { label: 'Referrer', value: event.referrerDomain }
+            ],
+            details: `IDs tried: ${attemptedIds.slice(0, 20).join(', ')}${attemptedIds.length > 20 ? ', …' : ''}`
+        }).catch(error => console.error('Error sending enumeration alert:', error.message));
+
+        return true;
+    }
+
+    /**
+     * Verification history for one certificate, with totals by country,
+     * referrer and browser and a daily count for the last 30 days
+     */
+    async getHistory(certificateId, { page = 1, limit = 50 } = {}) {
+        const match = { certificateId };
+        const skip = (page - 1) * limit;
+        const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+
+        const countBy = (field) => CertificateVerification.aggregate([
+            { $match: match },
+            { $group: { _id: { $ifNull: [`$${field}`, 'Unknown'] }, count: { $sum: 1 } } },
+            { $sort: { count: -1 } },
+            { $limit: 10 },
+            { $project: { _id: 0, value: '$_id', count: 1 } }
+        ]);
+
+        const [events, total, byCountry, byReferrer, byBrowser, daily] = await Promise.all([
+            CertificateVerification.find(match)
+                .select('-certificate -userAgent.raw')
+                .sort({ verifiedAt: -1 })
+                .skip(skip)
+                .limit(limit),
+            CertificateVerification.countDocuments(match),
+            countBy('country'),
+            countBy('referrerDomain'),
+            countBy('userAgent.browser'),
+            CertificateVerification.aggregate([
+                { $match: { ...match, verifiedAt: { $gte: since } } },
+                { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$verifiedAt' } }, count: { $sum: 1 } } },
+                { $sort: { _id: 1 } },
+                { $project: { _id: 0, date: '$_id', count: 1 } }
+            ])
+        ]);
+
+        return {
+            events,
+            summary: { total, byCountry, byReferrer, byBrowser, daily },
+            pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+        };
+    }
+
+    /**
+     * Addresses that looked up unknown IDs recently, most active first
+     */
+    async getFailedLookups({ hours = 24 } = {}) {
+        const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+
+        return CertificateVerification.aggregate([
+            { $match: { outcome: 'not_found', verifiedAt: { $gte: since } } },
+            {
+                $group: {
+                    _id: '$ipAddress',
+                    count: { $sum: 1 },
+                    certificateIds: { $addToSet: '$certificateId' },
+                    country: { $last: '$country' },
+                    lastSeenAt: { $max: '$verifiedAt' }
+                }
+            },
+            { $sort: { count: -1 } },
+            { $limit: 50 },
+            {
+                $project: {
+                    _id: 0,
+                    ipAddress: '$_id',
+                    count: 1,
+                    country: 1,
+                    lastSeenAt: 1,
+                    certificateIds: { $slice: ['$certificateIds', 20] },
+                    suspicious: { $gte: ['$count', this.rules.threshold] }
+                }
+            }
+        ]);
+    }
+}
+
+module.exports = new CertificateVerificationService();
@@ -35,6 +35,11 @@ const STATUS_LABELS = {
   expired: "Expired",
   converted: "Converted",
   interviewed: "Interview stage",
+  withdrawn: "Withdrawn",
+  confirmed: "Confirmed",
+  processing: "Being prepared",
+  completed: "Completed",
+  cancelled: "Cancelled",
   winner: "Winner",
   finalist: "Finalist",
   approved: "Approved"
@@ -230,11 +235,18 @@ const TEMPLATE_TONES = {
   product_inquiry_admin: "admin",
   product_inquiry_confirmation: "product",
   product_inquiry_status: "product",
-  cart_inquiry_admin: "admin",
-  cart_inquiry_confirmation: "product",
+  order_admin: "admin",
+  order_confirmation: "product",
+  order_status: "product",
   service_quote_admin: "admin",
   service_quote_confirmation: "service",
   service_quote_status: "service",
+  quotation: "service",
+  quotation_response_admin: "admin",
+  invoice: "service",
+  invoice_reminder: "warning",
+  payment_receipt: "service",
+  payment_refund: "warning",
   awards_nomination_confirmation: "awards",
   awards_nomination_admin: "admin",
   awards_status: "awards",
@@ -243,6 +255,8 @@ const TEMPLATE_TONES = {
   job_application_confirmation: "careers",
   job_application_status: "careers",
   job_application_manual: "careers",
+  job_application_withdrawn_admin: "admin",
+  job_closing_digest: "admin",
   certificate: "certificate",
   password_reset: "danger",
   password_changed: "security"
@@ -254,10 +268,14 @@ const TEMPLATE_TONE_PREFIXES = [
   ["newsletter", "newsletter"],
   ["account_", "account"],
   ["product_", "product"],
-  ["cart_", "product"],
+  ["order_", "product"],
   ["service_", "service"],
+  ["quotation", "service"],
+  ["invoice", "service"],
+  ["payment_", "service"],
   ["awards_", "awards"],
   ["job_application_", "careers"],
+  ["job_interview_", "careers"],
   ["password_", "security"]
 ];
 
@@ -355,6 +373,12 @@ const JOB_APPLICATION_STATUS_CONTENT = {
   }
 };
 
+const INTERVIEW_MODE_LABELS = {
+  "in-person": "In person",
+  video: "Video call",
+  phone: "Phone call"
+};
+
 const getJobApplicationStatusContent = (status) => (
   JOB_APPLICATION_STATUS_CONTENT[status] || {
     tone: "default",
@@ -370,6 +394,17 @@ const getJobApplicationStatusContent = (status) => (
   }
 );
 
+const formatMoney = (amount, currency = "UGX") => (
+  `${currency} ${Number(amount || 0).toLocaleString("en-US", { maximumFractionDigits: 2 })}`
+);
+
+const ORDER_STATUS_INTROS = {
+  confirmed: "Good news: we've confirmed your order and will be in touch about payment and delivery.",
+  processing: "Your order is being prepared.",
+  completed: "Your order is complete. Thank you for choosing SAPTech Uganda.",
+  cancelled: "Your order has been cancelled. If this is unexpected, reply to this email and we'll help."
+};
+
 const formatFileReference = (name, url) => {
   if (!name && !url) return "";
   if (name && url) return `${name} - ${url}`;
@@ -1845,64 +1880,108 @@ class EmailService {
     });
   }
 
-  formatCartItems(items = []) {
-    if (!items.length) return "No items listed.";
-    return items.map((item, index) => {
-      const name = item.productName || item.name || "Product";
-      const quantity = item.quantity || 1;
-      const price = item.price ? `, price: ${item.price}` : "";
-      return `${index + 1}. ${name} - quantity: ${quantity}${price}`;
-    }).join("\n");
+  // One row per order line: "2 x Smart meter" and its price
+  buildOrderItemRows(order) {
+    return order.items.map((item) => ({
+      label: `${item.quantity} x ${item.productName}`,
+      value: item.lineTotal === null || item.lineTotal === undefined
+        ? "Price on request"
+        : `${formatMoney(item.lineTotal, item.currency)}${item.quantity > 1 ? ` (${formatMoney(item.unitPrice, item.currency)} each)` : ""}${item.priceType === "negotiable" ? ", negotiable" : ""}`
+    }));
   }
 
-  async sendCartInquiryToAdmin({ items, customerName, customerEmail, customerPhone, preferredContact, message }) {
+  buildOrderTotalRows(order) {
+    const rows = (order.totals || []).map((total) => ({ label: `Total (${total.currency})`, value: formatMoney(total.amount, total.currency) }));
+    if (order.hasUnpricedItems) {
+      rows.push({ label: "Not included", value: "Items priced on request; we will quote them" });
+    }
+    return rows;
+  }
+
+  async sendOrderToAdmin(order) {
     return this.deliver({
       to: this.notifyEmail,
-      replyTo: customerEmail,
-      subject: `Cart inquiry from ${normalizeText(customerName, customerEmail)}`,
-      category: "cart_inquiry_admin",
+      replyTo: order.customerEmail,
+      subject: `New order ${order.orderNumber} from ${normalizeText(order.customerName, order.customerEmail)}`,
+      category: "order_admin",
       html: () => this.buildEmail({
-        title: "New Cart Inquiry",
-        preheader: "A customer submitted a multi-product inquiry.",
-        intro: "A customer submitted a cart inquiry with multiple products.",
+        title: "New Order Request",
+        preheader: `${order.items.length} product${order.items.length === 1 ? "" : "s"} ordered from the website cart.`,
+        intro: "A customer sent an order request from the product cart.",
         sections: [
           {
             title: "Customer details",
             rows: [
-              { label: "Name", value: customerName },
-              { label: "Email", value: customerEmail },
-              { label: "Phone", value: customerPhone },
-              { label: "Preferred contact", value: preferredContact },
-              { label: "Received", value: this.formatDate() }
+              { label: "Order", value: order.orderNumber },
+              { label: "Name", value: order.customerName },
+              { label: "Email", value: order.customerEmail },
+              { label: "Phone", value: order.customerPhone },
+              { label: "Preferred contact", value: order.preferredContact },
+              { label: "Received", value: this.formatDate(order.createdAt) }
             ]
           },
-          { title: "Requested products", text: this.formatCartItems(items) },
-          { title: "Customer message", text: normalizeText(message, "No message provided") }
+          { title: "Items", rows: this.buildOrderItemRows(order) },
+          { title: "Totals", rows: this.buildOrderTotalRows(order) },
+          { title: "Customer message", text: normalizeText(order.message, "No message provided") }
         ],
-        cta: { label: "Reply to customer", href: `mailto:${encodeURIComponent(customerEmail || "")}` }
+        cta: { label: "Open admin dashboard", href: `${this.brand.websiteUrl}/admin` }
       })
     });
   }
 
-  async sendCartInquiryConfirmation({ customerEmail, customerName, items }) {
+  async sendOrderConfirmation(order) {
     return this.deliver({
-      to: customerEmail,
-      subject: "We received your product enquiry",
-      category: "cart_inquiry_confirmation",
+      to: order.customerEmail,
+      subject: `We received your order ${order.orderNumber}`,
+      category: "order_confirmation",
       html: () => this.buildEmail({
-        title: "Product Enquiry Received",
-        preheader: "Your product enquiry was received.",
-        greeting: `Hello ${normalizeText(customerName, "there")}`,
-        intro: "Thank you for sending your product enquiry. We have received your selected items and will contact you with availability, pricing, and next steps.",
+        title: "Order Request Received",
+        preheader: `Your order ${order.orderNumber} was received.`,
+        greeting: `Hello ${normalizeText(order.customerName, "there")}`,
+        intro: "Thank you for your order request. We have received your selected items and will contact you to confirm availability, payment and delivery.",
         sections: [
-          { title: "Requested products", text: this.formatCartItems(items) },
-          { title: "Next steps", list: ["Our team will review your selected products.", "We will confirm availability and any installation requirements.", "We will contact you using your provided email or phone number."] }
+          { title: "Order summary", rows: [{ label: "Order number", value: order.orderNumber }, { label: "Submitted", value: this.formatDate(order.createdAt) }] },
+          { title: "Items", rows: this.buildOrderItemRows(order) },
+          { title: "Totals", rows: this.buildOrderTotalRows(order) },
+          { title: "Next steps", list: ["Our team will review your order and confirm availability.", "We will contact you using your provided email or phone number.", "Quote your order number when you get in touch with us."] }
         ],
         cta: { label: "View more products", href: `${this.brand.websiteUrl}/products` }
       })
     });
   }
 
+  async sendOrderStatusUpdate(order, { previousStatus, note, payLink } = {}) {
+    return this.deliver({
+      to: order.customerEmail,
+      subject: `Order ${order.orderNumber}: ${normalizeStatus(order.status)}`,
+      category: "order_status",
+      html: () => this.buildEmail({
+        tone: order.status === "cancelled" ? "warning" : undefined,
+        title: "Order Update",
+        preheader: `Your order ${order.orderNumber} is now ${normalizeStatus(order.status).toLowerCase()}.`,
+        greeting: `Hello ${normalizeText(order.customerName, "there")}`,
+        intro: ORDER_STATUS_INTROS[order.status] || "There is an update on your order with SAPTech Uganda.",
+        sections: [
+          {
+            title: "Status update",
+            rows: [
+              { label: "Order number", value: order.orderNumber },
+              { label: "Previous status", value: previousStatus ? normalizeStatus(previousStatus) : "" },
+              { label: "Current status", value: normalizeStatus(order.status) },
+              { label: "Updated", value: this.formatDate() }
+            ]
+          },
+          ...(note ? [{ title: "Message from our team", text: normalizeText(note, "") }] : []),
+          { title: "Items", rows: this.buildOrderItemRows(order) },
+          ...(payLink ? [{ title: "Totals", rows: this.buildOrderTotalRows(order) }] : [])
+        ],
+        cta: payLink
+          ? { label: "Pay with mobile money", href: payLink }
+          : { label: "Contact SAPTech Uganda", href: `mailto:${this.replyToEmail}` }
+      })
+    });
+  }
+
   async sendServiceQuoteToAdmin(quoteData) {
     return this.deliver({
       to: this.notifyEmail,
@@ -1984,6 +2063,223 @@ class EmailService {
     });
   }
 
+  buildQuotationTotalRows(quotation) {
+    return [
+      { label: "Subtotal", value: formatMoney(quotation.subtotal, quotation.currency) },
+      { label: "Discount", value: quotation.discountAmount ? `- ${formatMoney(quotation.discountAmount, quotation.currency)}` : "" },
+      { label: `VAT (${quotation.taxRate}%)`, value: quotation.taxRate ? formatMoney(quotation.taxAmount, quotation.currency) : "" },
+      { label: "Total", value: formatMoney(quotation.total, quotation.currency) }
+    ];
+  }
+
+  async sendQuotation(quotation, { link, pdf } = {}) {
+    return this.deliver({
+      to: quotation.customerEmail,
+      subject: `Quotation ${quotation.quotationNumber}: ${quotation.title}`,
+      category: "quotation",
+      attachments: pdf
+        ? [{ filename: `${quotation.quotationNumber}.pdf`, content: Buffer.from(pdf), contentType: "application/pdf" }]
+        : [],
+      html: () => this.buildEmail({
+        title: "Your Quotation",
+        preheader: `Quotation ${quotation.quotationNumber} for ${formatMoney(quotation.total, quotation.currency)}, valid until ${this.formatDate(quotation.validUntil)}.`,
+        greeting: `Hello ${normalizeText(quotation.customerName, "there")}`,
+        intro: "Thank you for your interest in SAPTech Uganda. Please find our quotation attached. You can review it online and accept or decline it from the link below.",
+        sections: [
+          {
+            title: "Quotation",
+            rows: [
+              { label: "Number", value: quotation.quotationNumber },
+              { label: "For", value: quotation.title },
+              { label: "Valid until", value: this.formatDate(quotation.validUntil) }
+            ]
+          },
+          {
+            title: "Items",
+            rows: quotation.items.map((item) => ({
+              label: `${item.quantity} x ${item.description}`,
+              value: formatMoney(item.lineTotal, quotation.currency)
+            }))
+          },
+          { title: "Totals", rows: this.buildQuotationTotalRows(quotation) },
+          ...(quotation.notes ? [{ title: "Notes", text: quotation.notes }] : [])
+        ],
+        cta: link ? { label: "Review and respond", href: link } : undefined
+      })
+    });
+  }
+
+  async sendQuotationResponseToAdmin(quotation) {
+    const accepted = quotation.status === "accepted";
+
+    return this.deliver({
+      to: this.notifyEmail,
+      replyTo: quotation.customerEmail,
+      subject: `Quotation ${quotation.quotationNumber} ${accepted ? "accepted" : "declined"} by ${normalizeText(quotation.customerName, quotation.customerEmail)}`,
+      category: "quotation_response_admin",
+      html: () => this.buildEmail({
+        tone: accepted ? "success" : "warning",
+        title: accepted ? "Quotation Accepted" : "Quotation Declined",
+        preheader: `${quotation.customerName} ${accepted ? "accepted" : "declined"} quotation ${quotation.quotationNumber}.`,
+        intro: accepted
+          ? "A customer accepted a quotation from the online link. Follow up to arrange the work and invoicing."
+          : "A customer declined a quotation from the online link.",
+        sections: [
+          {
+            title: "Quotation",
+            rows: [
+              { label: "Number", value: quotation.quotationNumber },
+              { label: "For", value: quotation.title },
+              { label: "Customer", value: quotation.customerName },
+              { label: "Email", value: quotation.customerEmail },
+              { label: "Total", value: formatMoney(quotation.total, quotation.currency) },
+              { label: "Responded", value: this.formatDate(quotation.respondedAt) }
+            ]
+          },
+          ...(quotation.responseNote ? [{ title: "Customer's note", text: quotation.responseNote }] : [])
+        ],
+        cta: { label: "Open admin dashboard", href: `${this.brand.websiteUrl}/admin` }
+      })
+    });
+  }
+
+  buildInvoiceTotalRows(invoice) {
+    return [
+      ...this.buildQuotationTotalRows(invoice),
+      { label: "Paid", value: invoice.amountPaid ? formatMoney(invoice.amountPaid, invoice.currency) : "" },
+      { label: "Balance due", value: formatMoney(invoice.balanceDue, invoice.currency) }
+    ];
+  }
+
+  async sendInvoice(invoice, { pdf, instructions, payLink } = {}) {
+    return this.deliver({
+      to: invoice.customerEmail,
+      subject: `Invoice ${invoice.invoiceNumber}: ${invoice.title}`,
+      category: "invoice",
+      attachments: pdf
+        ? [{ filename: `${invoice.invoiceNumber}.pdf`, content: Buffer.from(pdf), contentType: "application/pdf" }]
+        : [],
+      html: () => this.buildEmail({
+        title: "Your Invoice",
+        preheader: `Invoice ${invoice.invoiceNumber} for ${formatMoney(invoice.balanceDue, invoice.currency)}, due ${this.formatDate(invoice.dueDate)}.`,
+        greeting: `Hello ${normalizeText(invoice.customerName, "there")}`,
+        intro: "Thank you for working with SAPTech Uganda. Please find your invoice attached.",
+        sections: [
+          {
+            title: "Invoice",
+            rows: [
+              { label: "Number", value: invoice.invoiceNumber },
+              { label: "For", value: invoice.title },
+              { label: "Issued", value: this.formatDate(invoice.issuedAt) },
+              { label: "Due", value: this.formatDate(invoice.dueDate) }
+            ]
+          },
+          { title: "Totals", rows: this.buildInvoiceTotalRows(invoice) },
+          ...(payLink ? [{ title: "Pay online", text: "Pay by mobile money using the button below. You'll get a receipt as soon as the payment goes through." }] : []),
+          ...(instructions ? [{ title: "How to pay", text: instructions }] : [])
+        ],
+        cta: payLink
+          ? { label: "Pay with mobile money", href: payLink }
+          : { label: "Ask about this invoice", href: `mailto:${this.replyToEmail}?subject=${encodeURIComponent(`Invoice ${invoice.invoiceNumber}`)}` }
+      })
+    });
+  }
+
+  async sendInvoiceReminder(invoice, { pdf, instructions, payLink, daysOverdue = 0 } = {}) {
+    return this.deliver({
+      to: invoice.customerEmail,
+      subject: `Payment reminder: invoice ${invoice.invoiceNumber} is overdue`,
+      category: "invoice_reminder",
+      attachments: pdf
+        ? [{ filename: `${invoice.invoiceNumber}.pdf`, content: Buffer.from(pdf), contentType: "application/pdf" }]
+        : [],
+      html: () => this.buildEmail({
+        title: "Payment Reminder",
+        preheader: `${formatMoney(invoice.balanceDue, invoice.currency)} on invoice ${invoice.invoiceNumber} was due ${this.formatDate(invoice.dueDate)}.`,
+        greeting: `Hello ${normalizeText(invoice.customerName, "there")}`,
+        intro: `This is a friendly reminder that invoice ${invoice.invoiceNumber} was due on ${this.formatDate(invoice.dueDate)}${daysOverdue > 0 ? `, ${daysOverdue} day${daysOverdue === 1 ? "" : "s"} ago` : ""}. If you've already paid, please reply with the payment reference so we can match it.`,
+        sections: [
+          {
+            title: "Invoice",
+            rows: [
+              { label: "Number", value: invoice.invoiceNumber },
+              { label: "For", value: invoice.title },
+              { label: "Due", value: this.formatDate(invoice.dueDate) }
+            ]
+          },
+          { title: "Totals", rows: this.buildInvoiceTotalRows(invoice) },
+          ...(instructions ? [{ title: "How to pay", text: instructions }] : [])
+        ],
+        cta: payLink
+          ? { label: "Pay now with mobile money", href: payLink }
+          : { label: "Reply about this invoice", href: `mailto:${this.replyToEmail}?subject=${encodeURIComponent(`Invoice ${invoice.invoiceNumber}`)}` }
+      })
+    });
+  }
+
+  async sendPaymentReceipt(payment, { providerLabel, to, customerName, balanceDue = null } = {}) {
+    return this.deliver({
+      to,
+      subject: `Payment received: ${payment.description}`,
+      category: "payment_receipt",
+      html: () => this.buildEmail({
+        title: "Payment Receipt",
+        preheader: `We received ${formatMoney(payment.amount, payment.currency)} for ${payment.description}.`,
+        greeting: `Hello ${normalizeText(customerName, "there")}`,
+        intro: `Thank you. We have received your payment for ${payment.description}. Please keep this email as your receipt.`,
+        sections: [
+          {
+            title: "Receipt",
+            rows: [
+              { label: "Paid for", value: payment.description },
+              { label: "Amount", value: formatMoney(payment.amount, payment.currency) },
+              { label: "Paid with", value: providerLabel },
+              { label: "Phone number", value: payment.phone ? `+${payment.phone}` : "" },
+              { label: "Transaction ID", value: payment.providerTransactionId },
+              { label: "Our reference", value: payment.reference },
+              { label: "Date", value: this.formatDate(payment.completedAt) },
+              { label: "Balance still due", value: balanceDue > 0 ? formatMoney(balanceDue, payment.currency) : "" }
+            ]
+          }
+        ],
+        cta: { label: "Ask about this payment", href: `mailto:${this.replyToEmail}?subject=${encodeURIComponent(`Payment ${payment.reference}`)}` }
+      })
+    });
+  }
+
+  async sendPaymentRefund(payment, { providerLabel, to, customerName } = {}) {
+    const amount = payment.refund?.amount || payment.amount;
+    const full = amount >= payment.amount;
+
+    return this.deliver({
+      to,
+      subject: `Refund sent: ${payment.description}`,
+      category: "payment_refund",
+      html: () => this.buildEmail({
+        title: "Payment Refunded",
+        preheader: `${formatMoney(amount, payment.currency)} has been sent back to your ${providerLabel} account.`,
+        greeting: `Hello ${normalizeText(customerName, "there")}`,
+        intro: full
+          ? `We have refunded your payment for ${payment.description} in full to the number you paid from.`
+          : `You paid more than was owed for ${payment.description}, so we have sent the difference back to the number you paid from.`,
+        sections: [
+          {
+            title: "Refund",
+            rows: [
+              { label: "Refunded for", value: payment.description },
+              { label: "Amount", value: formatMoney(amount, payment.currency) },
+              { label: "Sent to", value: payment.phone ? `${providerLabel} +${payment.phone}` : providerLabel },
+              { label: "Original transaction ID", value: payment.providerTransactionId },
+              { label: "Refunded", value: this.formatDate(payment.refund?.completedAt) }
+            ]
+          },
+          ...(payment.refund?.reason ? [{ title: "Reason", text: normalizeText(payment.refund.reason, "") }] : [])
+        ],
+        cta: { label: "Contact SAPTech Uganda", href: `mailto:${this.replyToEmail}?subject=${encodeURIComponent(`Refund ${payment.reference}`)}` }
+      })
+    });
+  }
+
   async queueNominationSubmissionEmail(nominationData) {
     const results = await Promise.allSettled([
       this.sendNominationSubmittedUser(nominationData),
@@ -2119,6 +2415,35 @@ class EmailService {
     });
   }
 
+  async sendVoteConfirmation(voteData) {
+    return this.deliver({
+      to: voteData.voterEmail,
+      fromName: this.brand.awardsName,
+      subject: `Confirm your vote for ${normalizeText(voteData.nomineeName, "your nominee")}`,
+      category: "awards_vote_confirmation",
+      html: () => this.buildEmail({
+        brandName: this.brand.awardsName,
+        tone: "awards",
+        title: "Confirm Your Vote",
+        preheader: "Your vote only counts once you confirm it.",
+        greeting: `Hello ${normalizeText(voteData.voterName, "there")}`,
+        intro: "Thank you for voting in the SAPTech Awards. Please confirm your vote using the button below. Unconfirmed votes are discarded automatically.",
+        sections: [
+          {
+            title: "Vote details",
+            rows: [
+              { label: "Nominee", value: voteData.nomineeName },
+              { label: "Category", value: voteData.categoryName },
+              { label: "Link expires", value: this.formatDate(voteData.expiresAt) }
+            ]
+          }
+        ],
+        cta: { label: "Confirm my vote", href: voteData.confirmUrl },
+        footerNote: "If you did not vote in the SAPTech Awards you can ignore this email and no vote will be counted."
+      })
+    });
+  }
+
   async queueJobApplicationEmail(applicationData) {
     const results = await Promise.allSettled([
       this.sendJobApplicationToAdmin(applicationData),
@@ -2154,6 +2479,13 @@ class EmailService {
               { label: "Received", value: this.formatDate() }
             ]
           },
+          ...(applicationData.answers?.length ? [{ title: "Screening answers", rows: applicationData.answers }] : []),
+          ...(applicationData.knockouts?.length
+            ? [{
+              title: "Screening flags",
+              list: applicationData.knockouts.map((knockout) => `${knockout.action === "reject" ? "Rejected" : "Tagged"} (${knockout.tag}): ${knockout.label} - ${knockout.reason}`)
+            }]
+            : []),
           { title: "Cover letter", text: normalizeText(applicationData.coverLetter, "No cover letter provided") }
         ],
         cta: { label: "Reply to applicant", href: `mailto:${encodeURIComponent(applicationData.applicantEmail || "")}` }
@@ -2183,9 +2515,16 @@ class EmailService {
               { label: "Submitted", value: this.formatDate() }
             ]
           },
-          { title: "What happens next", list: ["We will review your application.", "Shortlisted candidates will be contacted for the next step.", "You can reply to this email if you need to update your information."] }
+          {
+            title: "What happens next",
+            list: applicationData.statusUrl
+              ? ["We will review your application.", "Shortlisted candidates will be contacted for the next step.", "Use your private status link to follow your application, upload an updated CV or withdraw. Keep it to yourself; anyone with the link can manage your application."]
+              : ["We will review your application.", "Shortlisted candidates will be contacted for the next step.", "You can reply to this email if you need to update your information."]
+          }
         ],
-        cta: { label: "View careers", href: `${this.brand.websiteUrl}/careers` }
+        cta: applicationData.statusUrl
+          ? { label: "Track your application", href: applicationData.statusUrl }
+          : { label: "View careers", href: `${this.brand.websiteUrl}/careers` }
       })
     });
   }
@@ -2232,6 +2571,35 @@ class EmailService {
     });
   }
 
+  async sendJobApplicationWithdrawnToAdmin(applicationData) {
+    return this.deliver({
+      to: this.notifyEmail,
+      replyTo: applicationData.applicantEmail,
+      subject: `Application withdrawn: ${normalizeText(applicationData.jobTitle, "Open role")}`,
+      category: "job_application_withdrawn_admin",
+      html: () => this.buildEmail({
+        title: "Application Withdrawn",
+        preheader: `${normalizeText(applicationData.applicantName, "An applicant")} withdrew their application.`,
+        intro: "An applicant withdrew their job application from their status page. Their uploaded files have been deleted.",
+        sections: [
+          {
+            title: "Application details",
+            rows: [
+              { label: "Role", value: applicationData.jobTitle },
+              { label: "Applicant", value: applicationData.applicantName },
+              { label: "Email", value: applicationData.applicantEmail },
+              { label: "Stage", value: applicationData.stageName },
+              { label: "Withdrawn", value: this.formatDate() }
+            ]
+          },
+          ...(applicationData.reason ? [{ title: "Reason given", text: normalizeText(applicationData.reason, "") }] : []),
+          ...(applicationData.interviewCancelled ? [{ title: "Interview", text: "The applicant's upcoming interview was cancelled and they were sent a calendar cancellation." }] : [])
+        ],
+        cta: { label: "Open admin dashboard", href: `${this.brand.websiteUrl}/admin` }
+      })
+    });
+  }
+
   async sendJobApplicationManualEmail(applicationData) {
     const subject = normalizeText(
       applicationData.subject,
@@ -2272,6 +2640,164 @@ class EmailService {
     });
   }
 
+  interviewRows(interviewData, extraRows = []) {
+    return [
+      { label: "Role", value: interviewData.jobTitle },
+      { label: "Interview", value: interviewData.interviewTitle },
+      ...extraRows,
+      { label: "Duration", value: interviewData.durationMinutes ? `${interviewData.durationMinutes} minutes` : "" },
+      { label: "Format", value: INTERVIEW_MODE_LABELS[interviewData.mode] || interviewData.mode },
+      { label: "Location", value: interviewData.location },
+      { label: "Meeting link", value: interviewData.meetingUrl }
+    ];
+  }
+
+  calendarAttachment(ics, method = "REQUEST") {
+    return {
+      filename: method === "CANCEL" ? "interview-cancelled.ics" : "interview.ics",
+      content: Buffer.from(ics, "utf8"),
+      contentType: `text/calendar; charset=utf-8; method=${method}`
+    };
+  }
+
+  async sendInterviewInvitation(interviewData) {
+    const rescheduled = Boolean(interviewData.rescheduled);
+
+    return this.deliver({
+      to: interviewData.applicantEmail,
+      replyTo: this.careersEmail,
+      subject: rescheduled
+        ? `New interview times for ${normalizeText(interviewData.jobTitle, "your application")}`
+        : `Choose your interview time for ${normalizeText(interviewData.jobTitle, "your application")}`,
+      category: "job_interview_invitation",
+      html: () => this.buildEmail({
+        title: rescheduled ? "Interview Rescheduled" : "Interview Invitation",
+        preheader: "Pick the interview time that suits you best.",
+        greeting: `Hello ${normalizeText(interviewData.applicantName, "there")}`,
+        intro: rescheduled
+          ? "We need to move your interview. Please pick one of the new times below. Your calendar invite will update once you choose."
+          : "We would like to invite you to an interview. Please pick one of the times below.",
+        sections: [
+          {
+            title: "Interview details",
+            rows: this.interviewRows(interviewData, rescheduled && interviewData.previousTime
+              ? [{ label: "Previous time", value: interviewData.previousTime }]
+              : [])
+          },
+          { title: "Available times", list: interviewData.slots || [] },
+          ...(interviewData.notes ? [{ title: "Message from the recruitment team", text: interviewData.notes }] : [])
+        ],
+        cta: { label: "Choose a time", href: interviewData.link },
+        footerNote: "If none of the times work for you, reply to this email and we will suggest others."
+      })
+    });
+  }
+
+  async sendInterviewConfirmation(interviewData) {
+    const updated = Boolean(interviewData.updated);
+
+    return this.deliver({
+      to: interviewData.applicantEmail,
+      replyTo: this.careersEmail,
+      subject: `${updated ? "Updated interview" : "Interview confirmed"}: ${normalizeText(interviewData.jobTitle, "your application")}`,
+      category: "job_interview_confirmation",
+      attachments: [this.calendarAttachment(interviewData.ics, "REQUEST")],
+      html: () => this.buildEmail({
+        tone: "success",
+        title: updated ? "Interview Time Updated" : "Interview Confirmed",
+        preheader: `Your interview is on ${interviewData.time}.`,
+        greeting: `Hello ${normalizeText(interviewData.applicantName, "there")}`,
+        intro: `Your interview is booked for ${interviewData.time}. The attached calendar invite adds it to your calendar${updated ? " and replaces the earlier time" : ""}.`,
+        sections: [
+          { title: "Interview details", rows: this.interviewRows(interviewData, [{ label: "Time", value: interviewData.time }]) },
+          ...(interviewData.notes ? [{ title: "Message from the recruitment team", text: interviewData.notes }] : []),
+          { title: "Before the interview", list: ["We will send you a reminder the day before and an hour before.", "Use the link below to view the details or download the invite again."] }
+        ],
+        cta: { label: "View interview details", href: interviewData.link }
+      })
+    });
+  }
+
+  async sendInterviewCancellation(interviewData) {
+    return this.deliver({
+      to: interviewData.applicantEmail,
+      replyTo: this.careersEmail,
+      subject: `Interview cancelled: ${normalizeText(interviewData.jobTitle, "your application")}`,
+      category: "job_interview_cancellation",
+      attachments: interviewData.ics ? [this.calendarAttachment(interviewData.ics, "CANCEL")] : [],
+      html: () => this.buildEmail({
+        tone: "warning",
+        title: "Interview Cancelled",
+        preheader: "Your interview with SAPTech Uganda has been cancelled.",
+        greeting: `Hello ${normalizeText(interviewData.applicantName, "there")}`,
+        intro: interviewData.ics
+          ? `Your interview on ${interviewData.time} has been cancelled. The attached calendar update removes it from your calendar.`
+          : "The interview invitation we sent you has been cancelled.",
+        sections: [
+          { title: "Interview details", rows: this.interviewRows(interviewData, interviewData.time ? [{ label: "Time", value: interviewData.time }] : []) },
+          ...(interviewData.reason ? [{ title: "Message from the recruitment team", text: interviewData.reason }] : [])
+        ],
+        cta: { label: "Contact HR", href: `mailto:${this.careersEmail}` }
+      })
+    });
+  }
+
+  async sendInterviewReminder(interviewData) {
+    const when = interviewData.hoursBefore <= 1 ? "in about an hour" : "tomorrow";
+
+    return this.deliver({
+      to: interviewData.applicantEmail,
+      replyTo: this.careersEmail,
+      subject: `Reminder: your interview ${when}`,
+      category: "job_interview_reminder",
+      html: () => this.buildEmail({
+        title: "Interview Reminder",
+        preheader: `Your interview is on ${interviewData.time}.`,
+        greeting: `Hello ${normalizeText(interviewData.applicantName, "there")}`,
+        intro: `This is a reminder that your interview for ${normalizeText(interviewData.jobTitle, "the role")} is ${when}, on ${interviewData.time}.`,
+        sections: [
+          { title: "Interview details", rows: this.interviewRows(interviewData, [{ label: "Time", value: interviewData.time }]) }
+        ],
+        cta: interviewData.meetingUrl
+          ? { label: "Join the interview", href: interviewData.meetingUrl }
+          : { label: "Contact HR", href: `mailto:${this.careersEmail}` }
+      })
+    });
+  }
+
+  async sendJobClosingDigest(digestData) {
+    const jobs = digestData.jobs || [];
+    const formatDeadline = (value) => new Date(value).toLocaleString("en-US", {
+      weekday: "short",
+      month: "short",
+      day: "numeric",
+      hour: "2-digit",
+      minute: "2-digit",
+      timeZone: digestData.timezone
+    });
+
+    return this.deliver({
+      to: this.notifyEmail,
+      subject: `${jobs.length} job${jobs.length === 1 ? "" : "s"} closing in the next ${digestData.days} days`,
+      category: "job_closing_digest",
+      html: () => this.buildEmail({
+        title: "Jobs Closing Soon",
+        preheader: `${jobs.length} job posting${jobs.length === 1 ? "" : "s"} will stop accepting applications soon.`,
+        intro: `These job postings reach their application deadline in the next ${digestData.days} days and will close automatically. Extend the deadline from the admin dashboard to keep one open.`,
+        sections: jobs.map((job) => ({
+          title: job.title,
+          rows: [
+            { label: "Closes", value: formatDeadline(job.applicationDeadline) },
+            { label: "Department", value: job.department },
+            { label: "Applications", value: String(job.applications) },
+            { label: "Awaiting review", value: String(job.pending) }
+          ]
+        })),
+        cta: { label: "Open admin dashboard", href: `${this.brand.websiteUrl}/admin` }
+      })
+    });
+  }
+
   async sendCertificateEmail(certificateData) {
     const recipientEmail = certificateData.recipientEmail || certificateData.email || certificateData.nominatorEmail;
     const recipientName = certificateData.recipientName || certificateData.nomineeName || certificateData.name || "Recipient";
@@ -2298,9 +2824,9 @@ class EmailService {
         brandName: this.brand.awardsName,
         tone: "awards",
         title: "Certificate Ready",
-        preheader: "Your SAPTech Awards 2026 certificate is ready.",
+        preheader: `Your SAPTech Awards ${certificateData.awardYear || "2026"} certificate is ready.`,
         greeting: `Dear ${normalizeText(recipientName, "recipient")}`,
-        intro: "Congratulations. Your official SAPTech Awards 2026 certificate has been prepared.",
+        intro: `Congratulations. Your official SAPTech Awards ${certificateData.awardYear || "2026"} certificate has been prepared.`,
         sections: [
           {
             title: "Certificate details",
@@ -2309,7 +2835,7 @@ class EmailService {
               { label: "Category", value: certificateData.categoryName },
               { label: "Certificate ID", value: certificateData.certificateId },
               { label: "Recognition", value: normalizeStatus(certificateData.status) },
-              { label: "Award year", value: "2026" }
+              { label: "Award year", value: certificateData.awardYear || "2026" }
             ]
           },
           { title: "How to use it", list: ["Keep the certificate for your professional records.", "Share it on LinkedIn or your portfolio.", "Contact our team if any details need correction."] }
@@ -2321,6 +2847,64 @@ class EmailService {
     });
   }
 
+  async sendCertificatePortalLink({ email, link, expiresInMinutes, certificateCount }) {
+    return this.deliver({
+      to: email,
+      fromName: this.brand.awardsName,
+      subject: `Your ${this.brand.awardsName} certificates`,
+      category: "certificate_portal",
+      html: () => this.buildEmail({
+        brandName: this.brand.awardsName,
+        tone: "awards",
+        title: "Sign in to your certificates",
+        preheader: "Use this link to view and download your SAPTech Awards certificates.",
+        greeting: "Hello",
+        intro: `Use the button below to open your certificates. You have ${certificateCount} active certificate${certificateCount === 1 ? "" : "s"} on record.`,
+        sections: [
+          { title: "In the certificate portal you can", list: ["Download your certificates again.", "Copy a public verification link to share.", "Ask for a correction if your name is misspelled."] },
+          { title: "Security reminder", list: [`This link expires in ${expiresInMinutes} minutes and can only be used once.`, "If you did not request it, you can ignore this email."] }
+        ],
+        cta: { label: "Open my certificates", href: link }
+      })
+    });
+  }
+
+  async sendCertificateCorrectionUpdate(correctionData) {
+    const approved = correctionData.status === "approved";
+
+    return this.deliver({
+      to: correctionData.recipientEmail,
+      fromName: this.brand.awardsName,
+      subject: approved ? "Your corrected certificate is ready" : "Update on your certificate correction",
+      category: "certificate_correction",
+      html: () => this.buildEmail({
+        brandName: this.brand.awardsName,
+        tone: approved ? "success" : "awards",
+        title: approved ? "Correction Approved" : "Correction Not Approved",
+        preheader: approved ? "Your certificate has been reissued with the corrected name." : "There is an update on your certificate correction request.",
+        greeting: `Dear ${normalizeText(approved ? correctionData.requestedName : correctionData.currentName, "recipient")}`,
+        intro: approved
+          ? "We have reissued your certificate with the corrected name. The previous certificate now points to the new one."
+          : "We reviewed your certificate correction request and could not approve it.",
+        sections: [
+          {
+            title: "Request details",
+            rows: [
+              { label: "Certificate ID", value: correctionData.certificateId },
+              { label: "Name on certificate", value: correctionData.currentName },
+              { label: "Requested name", value: correctionData.requestedName },
+              ...(approved ? [{ label: "New certificate ID", value: correctionData.newCertificateId }] : [])
+            ]
+          },
+          ...(correctionData.reviewNote ? [{ title: "Note from our team", text: correctionData.reviewNote }] : [])
+        ],
+        cta: approved
+          ? { label: "Verify new certificate", href: `${this.brand.websiteUrl}/verify/${correctionData.newCertificateId}` }
+          : { label: "Contact SAPTech Uganda", href: `mailto:${this.replyToEmail}` }
+      })
+    });
+  }
+
   async sendPasswordResetCode(userEmail, userName, verificationCode) {
     return this.deliver({
       to: userEmail,
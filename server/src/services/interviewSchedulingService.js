@@ -0,0 +1,483 @@
+const crypto = require('crypto');
+const JobApplication = require('../models/JobApplication');
+const emailService = require('./emailService');
+const { getClientUrl } = require('../utils/clientUrl');
+
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_SLOTS = 10;
+const REMINDER_CHECK_MS = 5 * 60 * 1000;
+// The applicant's link keeps working for a week after the interview so they
+// can look up the details or download the invite again
+const LINK_GRACE_MS = 7 * 24 * HOUR_MS;
+
+// Reminder emails before a scheduled interview, closest first
+const REMINDERS = [
+    { key: 'hourBefore', hoursBefore: 1 },
+    { key: 'dayBefore', hoursBefore: 24 }
+];
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const escapeIcsText = (value = '') => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+const formatIcsDate = (value) => new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Lines longer than 75 octets continue on the next line after a space (RFC 5545 3.1)
+const foldIcsLine = (line) => {
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+
+    for (const char of line) {
+        const bytes = Buffer.byteLength(char);
+        if (currentBytes + bytes > (parts.length ? 74 : 75)) {
+            parts.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += bytes;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+};
+
+/**
+ * Interview scheduling for job applicants: admins offer time slots, the
+ * applicant picks one through a tokenized link and gets an iCalendar invite.
+ * Rescheduling and cancelling send updates for the same calendar event, and
+ * reminders go out the day and the hour before.
+ */
+class InterviewSchedulingService {
+    constructor() {
+        this.timezone = process.env.INTERVIEW_TIMEZONE || 'Africa/Kampala';
+        this.reminderTimer = null;
+    }
+
+    /**
+     * Check the slot start times sent by an admin. Each slot lasts the
+     * interview's duration. Returns { slots, errors }.
+     */
+    buildSlots(values, durationMinutes, now = new Date()) {
+        if (!Array.isArray(values) || values.length === 0) {
+            return { slots: [], errors: ['Offer at least one interview time'] };
+        }
+        if (values.length > MAX_SLOTS) {
+            return { slots: [], errors: [`Offer at most ${MAX_SLOTS} interview times`] };
+        }
+
+        const errors = [];
+        const seen = new Set();
+        const slots = [];
+
+        values.forEach((value, index) => {
+            const start = new Date(typeof value === 'object' && value !== null ? value.start : value);
+
+            if (Number.isNaN(start.getTime())) {
+                errors.push(`Time ${index + 1} is not a valid date`);
+            } else if (start <= now) {
+                errors.push(`Time ${index + 1} is in the past`);
+            } else if (seen.has(start.getTime())) {
+                errors.push(`Time ${index + 1} is listed twice`);
+            } else {
+                seen.add(start.getTime());
+                slots.push({ start, end: new Date(start.getTime() + durationMinutes * 60 * 1000) });
+            }
+        });
+
+        return { slots: slots.sort((a, b) => a.start - b.start), errors };
+    }
+
+    /**
+     * The interview round still in progress, if any
+     */
+    getActiveInterview(application) {
+        return (application.interviews || []).find(interview => ['proposed', 'scheduled'].includes(interview.status)) || null;
+    }
+
+    formatTime(value, timezone = this.timezone) {
+        return new Date(value).toLocaleString('en-GB', {
+            weekday: 'short',
+            day: 'numeric',
+            month: 'short',
+            year: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit',
+            timeZone: timezone,
+            timeZoneName: 'short'
+        });
+    }
+
+    getLink(token) {
+        return `${getClientUrl()}/interviews/${token}`;
+    }
+
+    issueToken(interview) {
+        const token = crypto.randomBytes(32).toString('base64url');
+        const lastSlot = interview.slots[interview.slots.length - 1];
+
+        interview.tokenHash = hashToken(token);
+        interview.tokenExpiresAt = new Date(new Date(lastSlot.end).getTime() + LINK_GRACE_MS);
+        return token;
+    }
+
+    /**
+     * Details shared by every email about an interview
+     */
+    buildEmailData(application, job, interview) {
+        return {
+            applicantEmail: application.email,
+            applicantName: application.fullName,
+            jobTitle: job?.title,
+            interviewTitle: interview.title,
+            mode: interview.mode,
+            location: interview.location,
+            meetingUrl: interview.meetingUrl,
+            durationMinutes: interview.durationMinutes,
+            notes: interview.notes
+        };
+    }
+
+    /**
+     * The calendar invite for a scheduled interview. A CANCEL with the same
+     * UID and a higher SEQUENCE removes the event from the applicant's calendar.
+     */
+    buildCalendar(application, job, interview, method = 'REQUEST') {
+        const organizerEmail = emailService.careersEmail || 'careers@saptechug.com';
+        const description = [
+            `${interview.title} for ${job?.title || 'your application'} with SAPTech Uganda.`,
+            interview.meetingUrl ? `Join: ${interview.meetingUrl}` : '',
+            interview.notes || ''
+        ].filter(Boolean).join('\n\n');
+
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'PRODID:-//SAPTech Uganda//Interviews//EN',
+            'VERSION:2.0',
+            'CALSCALE:GREGORIAN',
+            `METHOD:${method}`,
+            'BEGIN:VEVENT',
+            `UID:${interview.icsUid}`,
+            `SEQUENCE:${interview.icsSequence || 0}`,
+            `DTSTAMP:${formatIcsDate(new Date())}`,
+            `DTSTART:${formatIcsDate(interview.scheduledStart)}`,
+            `DTEND:${formatIcsDate(interview.scheduledEnd)}`,
+            `SUMMARY:${escapeIcsText(`${interview.title}: ${job?.title || 'SAPTech Uganda'}`)}`,
+            `DESCRIPTION:${escapeIcsText(description)}`,
+            ...(interview.location || interview.meetingUrl ? [`LOCATION:${escapeIcsText(interview.location || interview.meetingUrl)}`] : []),
+            ...(interview.meetingUrl ? [`URL:${interview.meetingUrl}`] : []),
+            `ORGANIZER;CN=SAPTech Uganda:mailto:${organizerEmail}`,
+            `ATTENDEE;CN="${String(application.fullName).replace(/["\r\n]/g, '')}";ROLE=REQ-PARTICIPANT;PARTSTAT=ACCEPTED;RSVP=FALSE:mailto:${application.email}`,
+            `STATUS:${method === 'CANCEL' ? 'CANCELLED' : 'CONFIRMED'}`,
+            ...(method === 'CANCEL' ? [] : [
+                'BEGIN:VALARM',
+                'ACTION:DISPLAY',
+                'DESCRIPTION:Interview reminder',
+                'TRIGGER:-PT30M',
+                'END:VALARM'
+            ]),
+            'END:VEVENT',
+            'END:VCALENDAR'
+        ];
+
+        return `${lines.map(foldIcsLine).join('\r\n')}\r\n`;
+    }
+
+    /**
+     * Offer interview slots to an applicant and email them the link to pick
+     * one. Returns { interview, emailSent }.
+     */
+    async proposeInterview(application, job, details, { proposedBy = null } = {}) {
+        application.interviews.push({
+            title: details.title || 'Interview',
+            mode: details.mode,
+            location: details.location,
+            meetingUrl: details.meetingUrl,
+            durationMinutes: details.durationMinutes,
+            timezone: this.timezone,
+            notes: details.notes,
+            slots: details.slots,
+            icsUid: `interview-${crypto.randomUUID()}@saptechug.com`,
+            proposedBy,
+            proposedAt: new Date()
+        });
+
+        const interview = application.interviews[application.interviews.length - 1];
+        const token = this.issueToken(interview);
+        await application.save();
+
+        const emailSent = await this.sendInvitation(application, job, interview, token);
+        return { interview, emailSent };
+    }
+
+    /**
+     * Offer new slots for an interview. If it was already booked, the
+     * applicant's calendar event is replaced once they pick a new time.
+     * Returns { interview, emailSent }.
+     */
+    async rescheduleInterview(application, job, interview, details) {
+        const previousTime = interview.status === 'scheduled' ? this.formatTime(interview.scheduledStart, interview.timezone) : null;
+
+        ['title', 'mode', 'location', 'meetingUrl', 'durationMinutes', 'notes'].forEach(field => {
+            if (details[field] !== undefined) interview[field] = details[field];
+        });
+        if (interview.status === 'scheduled') {
+            interview.icsSequence = (interview.icsSequence || 0) + 1;
+        }
+        interview.status = 'proposed';
+        interview.slots = details.slots;
+        interview.scheduledStart = undefined;
+        interview.scheduledEnd = undefined;
+        interview.scheduledAt = undefined;
+        interview.remindersSent = {};
+
+        const token = this.issueToken(interview);
+        await application.save();
+
+        const emailSent = await this.sendInvitation(application, job, interview, token, { rescheduled: true, previousTime });
+        return { interview, emailSent };
+    }
+
+    async sendInvitation(application, job, interview, token, { rescheduled = false, previousTime = null } = {}) {
+        try {
+            await emailService.sendInterviewInvitation({
+                ...this.buildEmailData(application, job, interview),
+                slots: interview.slots.map(slot => this.formatTime(slot.start, interview.timezone)),
+                link: this.getLink(token),
+                rescheduled,
+                previousTime
+            });
+            return true;
+        } catch (error) {
+            console.error('Error sending interview invitation:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Cancel an interview. A booked interview is removed from the applicant's
+     * calendar with a CANCEL update. Returns { interview, emailSent }.
+     */
+    async cancelInterview(application, job, interview, reason) {
+        const wasScheduled = interview.status === 'scheduled';
+
+        interview.status = 'cancelled';
+        interview.cancelledAt = new Date();
+        interview.cancelReason = reason;
+        if (wasScheduled) {
+            interview.icsSequence = (interview.icsSequence || 0) + 1;
+        }
+        await application.save();
+
+        try {
+            await emailService.sendInterviewCancellation({
+                ...this.buildEmailData(application, job, interview),
+                time: wasScheduled ? this.formatTime(interview.scheduledStart, interview.timezone) : null,
+                reason,
+                ics: wasScheduled ? this.buildCalendar(application, job, interview, 'CANCEL') : null
+            });
+            return { interview, emailSent: true };
+        } catch (error) {
+            console.error('Error sending interview cancellation:', error.message);
+            return { interview, emailSent: false };
+        }
+    }
+
+    /**
+     * The application and interview a link belongs to, or null when the link
+     * is unknown or expired
+     */
+    async findByToken(token) {
+        const tokenHash = hashToken(token);
+        const application = await JobApplication.findOne({
+            interviews: { $elemMatch: { tokenHash, tokenExpiresAt: { $gt: new Date() } } }
+        }).populate('job', 'title department location');
+
+        if (!application) return null;
+
+        const interview = application.interviews.find(item => item.tokenHash === tokenHash);
+        return { application, interview };
+    }
+
+    /**
+     * What the applicant sees on the scheduling page
+     */
+    toPublic(application, interview, now = new Date()) {
+        return {
+            applicantName: application.fullName.split(' ')[0],
+            job: application.job ? { title: application.job.title, department: application.job.department } : null,
+            interview: {
+                title: interview.title,
+                status: interview.status,
+                mode: interview.mode,
+                location: interview.location,
+                meetingUrl: interview.status === 'scheduled' ? interview.meetingUrl : undefined,
+                durationMinutes: interview.durationMinutes,
+                timezone: interview.timezone,
+                notes: interview.notes,
+                scheduledStart: interview.scheduledStart,
+                scheduledEnd: interview.scheduledEnd,
+                cancelReason: interview.status === 'cancelled' ? interview.cancelReason : undefined,
+                slots: interview.status === 'proposed'
+                    ? interview.slots.map(slot => ({
+                        _id: slot._id,
+                        start: slot.start,
+                        end: slot.end,
+                        available: new Date(slot.start) > now
+                    }))
+                    : []
+            }
+        };
+    }
+
+    /**
+     * Book the slot the applicant picked, send the calendar invite and let
+     * the recruitment team know. Returns { application, interview } or
+     * { error } when the slot can no longer be booked.
+     */
+    async selectSlot(token, slotId) {
+        const found = await this.findByToken(token);
+        if (!found) return { error: 'This interview link is invalid or has expired', code: 404 };
+
+        const { application, interview } = found;
+        if (interview.status !== 'proposed') {
+            return { error: interview.status === 'scheduled' ? 'A time has already been booked for this interview' : 'This interview was cancelled', code: 409 };
+        }
+
+        const slot = interview.slots.id(slotId);
+        const now = new Date();
+        if (!slot || new Date(slot.start) <= now) {
+            return { error: 'That time is no longer available. Please pick another.', code: 400 };
+        }
+
+        const msUntilStart = new Date(slot.start).getTime() - now.getTime();
+        // Reminders whose time has already come are skipped so the applicant
+        // doesn't get one right after booking
+        const remindersSent = Object.fromEntries(REMINDERS
+            .filter(reminder => msUntilStart <= reminder.hoursBefore * HOUR_MS)
+            .map(reminder => [reminder.key, now]));
+
+        const updated = await JobApplication.findOneAndUpdate(
+            { _id: application._id, interviews: { $elemMatch: { _id: interview._id, status: 'proposed' } } },
+            {
+                $set: {
+                    'interviews.$.status': 'scheduled',
+                    'interviews.$.scheduledStart': slot.start,
+                    'interviews.$.scheduledEnd': slot.end,
+                    'interviews.$.scheduledAt': now,
+                    'interviews.$.remindersSent': remindersSent,
+                    'interviews.$.tokenExpiresAt': new Date(new Date(slot.end).getTime() + LINK_GRACE_MS)
+                }
+            },
+            { new: true }
+        ).populate('job', 'title department location');
+
+        if (!updated) return { error: 'A time has already been booked for this interview', code: 409 };
+
+        const booked = updated.interviews.id(interview._id);
+        const time = this.formatTime(booked.scheduledStart, booked.timezone);
+
+        await Promise.allSettled([
+            emailService.sendInterviewConfirmation({
+                ...this.buildEmailData(updated, updated.job, booked),
+                time,
+                link: this.getLink(token),
+                ics: this.buildCalendar(updated, updated.job, booked, 'REQUEST'),
+                updated: booked.icsSequence > 0
+            }),
+            emailService.sendAdminAlert({
+                subject: `Interview booked: ${updated.fullName} for ${updated.job?.title || 'a job'}`,
+                title: 'Interview Booked',
+                message: `${updated.fullName} picked an interview time.`,
+                rows: [
+                    { label: 'Applicant', value: updated.fullName },
+                    { label: 'Email', value: updated.email },
+                    { label: 'Role', value: updated.job?.title },
+                    { label: 'Interview', value: booked.title },
+                    { label: 'Time', value: time }
+                ]
+            })
+        ]).then(results => results
+            .filter(result => result.status === 'rejected')
+            .forEach(result => console.error('Error sending interview booking email:', result.reason?.message)));
+
+        return { application: updated, interview: booked };
+    }
+
+    /**
+     * Email reminders for interviews starting within the next day. Each
+     * reminder is claimed in the database before sending so it goes out once
+     * even with several server instances.
+     */
+    async sendReminders(now = new Date()) {
+        const horizon = new Date(now.getTime() + REMINDERS[REMINDERS.length - 1].hoursBefore * HOUR_MS);
+        const applications = await JobApplication.find({
+            interviews: { $elemMatch: { status: 'scheduled', scheduledStart: { $gt: now, $lte: horizon } } }
+        }).populate('job', 'title');
+
+        let sent = 0;
+
+        for (const application of applications) {
+            const interviews = application.interviews.filter(interview => (
+                interview.status === 'scheduled' && interview.scheduledStart > now && interview.scheduledStart <= horizon
+            ));
+
+            for (const interview of interviews) {
+                const msUntilStart = interview.scheduledStart.getTime() - now.getTime();
+                const due = REMINDERS.find(reminder => (
+                    msUntilStart <= reminder.hoursBefore * HOUR_MS && !interview.remindersSent?.[reminder.key]
+                ));
+                if (!due) continue;
+
+                // Claiming the closest reminder also claims the earlier ones
+                const claimed = Object.fromEntries(REMINDERS
+                    .filter(reminder => reminder.hoursBefore >= due.hoursBefore)
+                    .map(reminder => [`interviews.$[interview].remindersSent.${reminder.key}`, now]));
+
+                const result = await JobApplication.updateOne(
+                    { _id: application._id },
+                    { $set: claimed },
+                    { arrayFilters: [{ 'interview._id': interview._id, [`interview.remindersSent.${due.key}`]: null }] }
+                );
+                if (!result.modifiedCount) continue;
+
+                try {
+                    await emailService.sendInterviewReminder({
+                        ...this.buildEmailData(application, application.job, interview),
+                        time: this.formatTime(interview.scheduledStart, interview.timezone),
+                        hoursBefore: due.hoursBefore
+                    });
+                    sent += 1;
+                } catch (error) {
+                    console.error(`Error sending interview reminder for application ${application._id}:`, error.message);
+                }
+            }
+        }
+
+        return sent;
+    }
+
+    /**
+     * Check for due reminders every few minutes
+     */
+    startReminderScheduler() {
+        if (this.reminderTimer) return;
+
+        const run = () => this.sendReminders()
+            .then(sent => {
+                if (sent) console.log(`📅 Sent ${sent} interview reminder${sent === 1 ? '' : 's'}`);
+            })
+            .catch(error => console.error('❌ Interview reminder check failed:', error.message));
+
+        run();
+        this.reminderTimer = setInterval(run, REMINDER_CHECK_MS);
+        this.reminderTimer.unref();
+    }
+}
+
+module.exports = new InterviewSchedulingService();
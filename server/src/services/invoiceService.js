@@ -0,0 +1,610 @@
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const Counter = require('../models/Counter');
+const Quotation = require('../models/Quotation');
+const ServiceQuote = require('../models/ServiceQuote');
+const emailService = require('./emailService');
+const salesDocumentPdfService = require('./salesDocumentPdfService');
+const paymentLinkService = require('./paymentLinkService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REMINDER_CHECK_MS = 60 * 60 * 1000;
+
+// How many times a payment change is re-applied when the invoice was saved
+// by someone else in the meantime
+const MAX_SAVE_ATTEMPTS = 3;
+
+// Service quote requests that can be invoiced
+const INVOICEABLE_QUOTE_STATUSES = ['accepted', 'converted'];
+
+const DEFAULT_TERMS = [
+    'Payment is due by the date shown on this invoice.',
+    'Please quote the invoice number as the reference for every payment.',
+    'Work or delivery may be paused while an invoice is overdue.'
+].join('\n');
+
+const DEFAULT_PAYMENT_INSTRUCTIONS = [
+    'Mobile money or bank transfer: contact us for the account details if you do not have them.',
+    'Use the invoice number as the payment reference and send us the transaction ID.'
+].join('\n');
+
+// Fields an admin can set while the invoice is a draft
+const EDITABLE_FIELDS = [
+    'title', 'customerName', 'customerEmail', 'customerPhone', 'companyName',
+    'items', 'currency', 'discountAmount', 'taxRate', 'dueDate', 'notes', 'terms'
+];
+
+const ITEM_FIELDS = ['description', 'details', 'product', 'quantity', 'unit', 'unitPrice', 'discountPercent'];
+
+const METHOD_LABELS = {
+    mobile_money: 'Mobile money',
+    bank_transfer: 'Bank transfer',
+    cash: 'Cash',
+    other: 'Other'
+};
+
+// Receivables aging buckets by days past the due date
+const AGING_BUCKETS = [
+    { key: 'current', label: 'Not yet due', max: 0 },
+    { key: 'days1to30', label: '1-30 days', max: 30 },
+    { key: 'days31to60', label: '31-60 days', max: 60 },
+    { key: 'days61to90', label: '61-90 days', max: 90 },
+    { key: 'over90', label: 'Over 90 days', max: Infinity }
+];
+
+const getReminderIntervalDays = () => {
+    const days = Number(process.env.INVOICE_REMINDER_INTERVAL_DAYS);
+    return Number.isInteger(days) && days > 0 ? days : 7;
+};
+
+const getMaxReminders = () => {
+    const count = Number(process.env.INVOICE_MAX_REMINDERS);
+    return Number.isInteger(count) && count >= 0 ? count : 3;
+};
+
+const pick = (source, fields) => fields.reduce((result, field) => {
+    if (source[field] !== undefined) result[field] = source[field];
+    return result;
+}, {});
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const formatMoney = (amount, currency) => `${currency} ${Number(amount || 0).toLocaleString('en-US', { maximumFractionDigits: 2 })}`;
+
+const formatDate = (value) => new Date(value).toLocaleDateString('en-GB', {
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric'
+});
+
+const daysPastDue = (invoice, now) => Math.max(0, Math.floor((now - invoice.dueDate) / DAY_MS));
+
+/**
+ * Invoices for accepted service quote requests and quotations: sequential
+ * numbering on issue, the PDF, manually recorded payments, overdue
+ * reminders and the receivables report.
+ */
+class InvoiceService {
+    getPaymentInstructions() {
+        return process.env.INVOICE_PAYMENT_INSTRUCTIONS || DEFAULT_PAYMENT_INSTRUCTIONS;
+    }
+
+    /**
+     * Take the next invoice number for the year, e.g. INV-2026-00042.
+     * Returns { key, seq, invoiceNumber } so an unused number can be given
+     * back with Counter.release.
+     */
+    async nextInvoiceNumber(date = new Date()) {
+        const year = date.getFullYear();
+        const key = `invoice-${year}`;
+        const seq = await Counter.next(key);
+        return { key, seq, invoiceNumber: `INV-${year}-${String(seq).padStart(5, '0')}` };
+    }
+
+    /**
+     * Starting values from a quotation, copying its lines and prices
+     */
+    draftFromQuotation(quotation) {
+        return {
+            quotation: quotation._id,
+            serviceQuote: quotation.serviceQuote,
+            order: quotation.order,
+            title: quotation.title,
+            customerName: quotation.customerName,
+            customerEmail: quotation.customerEmail,
+            customerPhone: quotation.customerPhone,
+            companyName: quotation.companyName,
+            currency: quotation.currency,
+            discountAmount: quotation.discountAmount,
+            taxRate: quotation.taxRate,
+            items: quotation.items.map(item => pick(item, ITEM_FIELDS)),
+            notes: `As per quotation ${quotation.quotationNumber}.`
+        };
+    }
+
+    /**
+     * Starting values for a service quote request without an accepted
+     * quotation. The admin fills in the prices.
+     */
+    draftFromServiceQuote(serviceQuote) {
+        return {
+            serviceQuote: serviceQuote._id,
+            title: serviceQuote.serviceName,
+            customerName: serviceQuote.customerName,
+            customerEmail: serviceQuote.customerEmail,
+            customerPhone: serviceQuote.customerPhone,
+            companyName: serviceQuote.companyName,
+            items: [{ description: serviceQuote.serviceName, quantity: 1, unitPrice: 0 }]
+        };
+    }
+
+    /**
+     * Create a draft invoice from an accepted quotation, or from an accepted
+     * or converted service quote request (using its accepted quotation when
+     * there is one). Values in `fields` override the drafted ones.
+     * Returns { invoice } or { error, statusCode, invoice }.
+     */
+    async createInvoice({ quotationId, serviceQuoteId, fields = {}, createdBy = null }) {
+        let quotation = null;
+
+        if (quotationId) {
+            if (!mongoose.Types.ObjectId.isValid(quotationId)) return { error: 'Invalid quotation ID', statusCode: 400 };
+            quotation = await Quotation.findById(quotationId);
+            if (!quotation) return { error: 'Quotation not found', statusCode: 404 };
+            if (quotation.status !== 'accepted') {
+                return { error: 'Only accepted quotations can be invoiced', statusCode: 400 };
+            }
+        } else if (serviceQuoteId) {
+            if (!mongoose.Types.ObjectId.isValid(serviceQuoteId)) return { error: 'Invalid service quote ID', statusCode: 400 };
+        } else {
+            return { error: 'Choose an accepted quotation or service quote request to invoice', statusCode: 400 };
+        }
+
+        let serviceQuote = null;
+        const requestId = serviceQuoteId || quotation.serviceQuote;
+        if (requestId) {
+            serviceQuote = await ServiceQuote.findById(requestId);
+            if (!serviceQuote && !quotation) return { error: 'Service quote not found', statusCode: 404 };
+            if (serviceQuote && !quotation && !INVOICEABLE_QUOTE_STATUSES.includes(serviceQuote.status)) {
+                return { error: 'Only accepted or converted service quote requests can be invoiced', statusCode: 400 };
+            }
+        }
+
+        if (!quotation && serviceQuote) {
+            quotation = await Quotation.findOne({ serviceQuote: serviceQuote._id, status: 'accepted' }).sort({ respondedAt: -1 });
+        }
+
+        // One live invoice per quotation or request, so nothing is billed twice
+        const existing = await Invoice.findOne({
+            status: { $ne: 'void' },
+            $or: [
+                ...(quotation ? [{ quotation: quotation._id }] : []),
+                ...(serviceQuote ? [{ serviceQuote: serviceQuote._id }] : [])
+            ]
+        });
+        if (existing) {
+            return {
+                error: `Invoice ${existing.invoiceNumber || '(draft)'} already exists for this ${quotation ? 'quotation' : 'request'}`,
+                statusCode: 409,
+                invoice: existing
+            };
+        }
+
+        const draft = quotation ? this.draftFromQuotation(quotation) : this.draftFromServiceQuote(serviceQuote);
+        const invoice = new Invoice({
+            ...draft,
+            serviceQuote: serviceQuote ? serviceQuote._id : draft.serviceQuote,
+            terms: DEFAULT_TERMS,
+            createdBy
+        });
+        this.applyChanges(invoice, fields);
+        await invoice.save();
+
+        return { invoice };
+    }
+
+    /**
+     * Copy the editable fields from an admin's request onto a draft.
+     * Does not save.
+     */
+    applyChanges(invoice, body = {}) {
+        const changes = pick(body, EDITABLE_FIELDS);
+
+        if (Array.isArray(changes.items)) {
+            changes.items = changes.items.map(item => pick(item || {}, ITEM_FIELDS));
+        } else {
+            delete changes.items;
+        }
+
+        invoice.set(changes);
+        return invoice;
+    }
+
+    async renderPdf(invoice) {
+        const payments = invoice.activePayments();
+
+        return salesDocumentPdfService.render({
+            title: invoice.status === 'draft' ? 'Draft invoice' : 'Invoice',
+            number: invoice.invoiceNumber || 'DRAFT',
+            currency: invoice.currency,
+            metaRows: [
+                { label: 'Date', value: formatDate(invoice.issuedAt || invoice.createdAt) },
+                { label: 'Due date', value: formatDate(invoice.dueDate) },
+                { label: 'Reference', value: invoice.title },
+                ...(invoice.status === 'paid' ? [{ label: 'Status', value: 'Paid in full' }] : [])
+            ],
+            billTo: [
+                invoice.companyName || invoice.customerName,
+                invoice.companyName ? `Attn: ${invoice.customerName}` : '',
+                invoice.customerEmail,
+                invoice.customerPhone
+            ],
+            items: invoice.items,
+            totalRows: [
+                { label: 'Subtotal', value: formatMoney(invoice.subtotal, invoice.currency) },
+                ...(invoice.discountAmount
+                    ? [{ label: 'Discount', value: `- ${formatMoney(invoice.discountAmount, invoice.currency)}` }]
+                    : []),
+                ...(invoice.taxRate
+                    ? [{ label: `VAT (${invoice.taxRate}%)`, value: formatMoney(invoice.taxAmount, invoice.currency) }]
+                    : []),
+                { label: 'Total', value: formatMoney(invoice.total, invoice.currency), bold: !invoice.amountPaid },
+                ...(invoice.amountPaid
+                    ? [
+                        { label: 'Paid', value: `- ${formatMoney(invoice.amountPaid, invoice.currency)}` },
+                        { label: 'Balance due', value: formatMoney(invoice.balanceDue, invoice.currency), bold: true }
+                    ]
+                    : [])
+            ],
+            sections: [
+                {
+                    title: 'Payments received',
+                    text: payments.map(payment => [
+                        formatDate(payment.paidAt),
+                        METHOD_LABELS[payment.method],
+                        payment.reference,
+                        formatMoney(payment.amount, invoice.currency)
+                    ].filter(Boolean).join(' - ')).join('\n')
+                },
+                ...(invoice.balanceDue > 0 ? [{ title: 'How to pay', text: this.getPaymentInstructions() }] : []),
+                { title: 'Notes', text: invoice.notes },
+                { title: 'Terms', text: invoice.terms }
+            ]
+        });
+    }
+
+    /**
+     * Number a draft, mark it issued and, unless `notify` is false, email it
+     * to the customer with the PDF. Returns { invoice, emailFailed } or { error }.
+     */
+    async issue(invoice, { notify = true } = {}) {
+        if (invoice.status !== 'draft') {
+            return { error: `Invoice is already ${invoice.status.replace('_', ' ')}` };
+        }
+        if (invoice.total <= 0) {
+            return { error: 'Add prices before issuing the invoice' };
+        }
+
+        const now = new Date();
+        if (invoice.dueDate < new Date(now.toDateString())) {
+            return { error: 'The due date has passed. Set a new due date before issuing.' };
+        }
+
+        // Numbers are only taken once the invoice is known to be valid, and
+        // given back if the save still fails while no later number has been
+        // taken, so deleted drafts and failed issues leave no gaps
+        invoice.status = 'issued';
+        invoice.issuedAt = now;
+        try {
+            await invoice.validate();
+        } catch (error) {
+            invoice.status = 'draft';
+            invoice.issuedAt = undefined;
+            throw error;
+        }
+
+        const number = await this.nextInvoiceNumber(now);
+        invoice.invoiceNumber = number.invoiceNumber;
+        try {
+            await invoice.save();
+        } catch (error) {
+            await Counter.release(number.key, number.seq).catch(() => false);
+            invoice.invoiceNumber = undefined;
+            invoice.status = 'draft';
+            invoice.issuedAt = undefined;
+            throw error;
+        }
+
+        if (invoice.serviceQuote) {
+            await ServiceQuote.updateOne(
+                { _id: invoice.serviceQuote, status: 'accepted' },
+                { status: 'converted' }
+            );
+        }
+
+        // The number is taken either way, so a failed email doesn't undo the issue
+        let emailFailed = false;
+        if (notify) {
+            try {
+                await this.send(invoice);
+            } catch (error) {
+                emailFailed = true;
+                console.error(`❌ Error emailing invoice ${invoice.invoiceNumber}:`, error.message);
+            }
+        }
+
+        return { invoice, emailFailed };
+    }
+
+    /**
+     * Email an issued invoice to the customer again
+     */
+    async send(invoice) {
+        const pdf = await this.renderPdf(invoice);
+        await emailService.sendInvoice(invoice, {
+            pdf,
+            instructions: this.getPaymentInstructions(),
+            payLink: paymentLinkService.getPayLink('invoice', invoice)
+        });
+
+        // Written on its own so it can't clash with a payment saved meanwhile
+        invoice.sentAt = new Date();
+        await Invoice.updateOne({ _id: invoice._id }, { $set: { sentAt: invoice.sentAt } });
+        return invoice;
+    }
+
+    /**
+     * Record a payment received outside the site, or one made online when
+     * `onlinePayment` is the Payment's ID. With `upToBalance` anything over
+     * the balance is left off and returned as `excess` instead of being
+     * refused. Returns { invoice, payment, excess } or { error }.
+     */
+    async recordPayment(invoice, { amount, method, reference, paidAt, note, onlinePayment = null, upToBalance = false }, recordedBy = null) {
+        const value = round(Number(amount));
+        if (!Number.isFinite(value) || value <= 0) {
+            return { error: 'Enter the amount received' };
+        }
+        if (['mobile_money', 'bank_transfer'].includes(method) && !String(reference || '').trim()) {
+            return { error: 'Add the transaction reference for mobile money and bank transfers' };
+        }
+
+        const receivedAt = paidAt ? new Date(paidAt) : new Date();
+        if (Number.isNaN(receivedAt.getTime()) || receivedAt > new Date()) {
+            return { error: 'Payment date must be today or earlier' };
+        }
+
+        return this.savePaymentChange(invoice, (current) => {
+            if (!current.isOpen()) {
+                return { error: `Payments can't be recorded on a ${current.status.replace('_', ' ')} invoice` };
+            }
+            if (value > current.balanceDue && !upToBalance) {
+                return { error: `The amount is more than the balance due of ${formatMoney(current.balanceDue, current.currency)}` };
+            }
+
+            const recorded = Math.min(value, current.balanceDue);
+            current.payments.push({
+                amount: recorded,
+                method,
+                reference,
+                paidAt: receivedAt,
+                note,
+                recordedBy,
+                onlinePayment
+            });
+            return {
+                payment: current.payments[current.payments.length - 1],
+                excess: round(value - recorded)
+            };
+        });
+    }
+
+    /**
+     * Void a payment recorded by mistake. It stays in the history but no
+     * longer counts towards the balance. Returns { invoice } or { error }.
+     */
+    async voidPayment(invoice, paymentId, { reason, voidedBy = null } = {}) {
+        return this.savePaymentChange(invoice, (current) => {
+            const payment = current.payments.id(paymentId);
+            if (!payment) return { error: 'Payment not found', statusCode: 404 };
+            if (payment.voidedAt) return { error: 'This payment is already voided' };
+            if (current.status === 'void') return { error: 'This invoice is void' };
+
+            payment.voidedAt = new Date();
+            payment.voidedBy = voidedBy;
+            payment.voidReason = reason;
+            return {};
+        });
+    }
+
+    /**
+     * Apply `change` to the invoice and save it. Invoices are versioned, so
+     * when another payment was saved first the invoice is reloaded and the
+     * change checked and applied again; two payments can't both pass the
+     * balance check. `change` returns { error } to stop, otherwise what to
+     * return alongside the saved invoice.
+     */
+    async savePaymentChange(invoice, change) {
+        let current = invoice;
+        for (let attempt = 1; ; attempt += 1) {
+            const result = change(current);
+            if (result.error) return result;
+
+            try {
+                await current.save();
+                return { invoice: current, ...result };
+            } catch (error) {
+                if (!(error instanceof mongoose.Error.VersionError) || attempt >= MAX_SAVE_ATTEMPTS) throw error;
+                current = await Invoice.findById(current._id);
+                if (!current) return { error: 'Invoice not found', statusCode: 404 };
+            }
+        }
+    }
+
+    /**
+     * Email a reminder for an overdue invoice and count it
+     */
+    async sendReminder(invoice, now = new Date()) {
+        const pdf = await this.renderPdf(invoice);
+        await emailService.sendInvoiceReminder(invoice, {
+            pdf,
+            instructions: this.getPaymentInstructions(),
+            payLink: paymentLinkService.getPayLink('invoice', invoice),
+            daysOverdue: daysPastDue(invoice, now)
+        });
+
+        invoice.lastReminderAt = now;
+        invoice.reminderCount = (invoice.reminderCount || 0) + 1;
+        await Invoice.updateOne({ _id: invoice._id }, { $set: { lastReminderAt: now }, $inc: { reminderCount: 1 } });
+        return invoice;
+    }
+
+    /**
+     * Send reminders for overdue invoices that haven't had one recently.
+     * Each invoice is claimed first so two server instances never both
+     * remind the same customer. Returns how many were sent.
+     */
+    async sendDueReminders(now = new Date()) {
+        const remindBefore = new Date(now.getTime() - getReminderIntervalDays() * DAY_MS);
+        const candidates = await Invoice.find({
+            status: { $in: ['issued', 'partially_paid'] },
+            dueDate: { $lt: now },
+            reminderCount: { $lt: getMaxReminders() },
+            $or: [{ lastReminderAt: null }, { lastReminderAt: { $lte: remindBefore } }]
+        }).select('_id lastReminderAt').lean();
+
+        let sent = 0;
+        for (const candidate of candidates) {
+            const invoice = await Invoice.findOneAndUpdate(
+                { _id: candidate._id, lastReminderAt: candidate.lastReminderAt || null },
+                { $set: { lastReminderAt: now } },
+                { new: true }
+            );
+            if (!invoice) continue;
+
+            try {
+                await this.sendReminder(invoice, now);
+                sent += 1;
+            } catch (error) {
+                // Release the claim so the next run tries again
+                await Invoice.updateOne({ _id: invoice._id }, { $set: { lastReminderAt: candidate.lastReminderAt || null } });
+                console.error(`❌ Reminder for invoice ${invoice.invoiceNumber} failed:`, error.message);
+            }
+        }
+
+        return sent;
+    }
+
+    /**
+     * Check for overdue invoices every hour
+     */
+    startReminderScheduler() {
+        if (this.reminderTimer) return;
+
+        const run = async () => {
+            try {
+                const sent = await this.sendDueReminders();
+                if (sent) console.log(`📧 Sent ${sent} overdue invoice reminder${sent === 1 ? '' : 's'}`);
+            } catch (error) {
+                console.error('❌ Invoice reminder check failed:', error.message);
+            }
+        };
+
+        run();
+        this.reminderTimer = setInterval(run, REMINDER_CHECK_MS);
+        this.reminderTimer.unref();
+    }
+
+    /**
+     * Money owed on issued and part-paid invoices, per currency: totals,
+     * aging by days past due, the largest balances by customer and what
+     * was collected in the last 30 days.
+     */
+    async getReceivablesReport(now = new Date()) {
+        const since = new Date(now.getTime() - 30 * DAY_MS);
+        const [openInvoices, recentlyPaid] = await Promise.all([
+            Invoice.find({ status: { $in: ['issued', 'partially_paid'] } })
+                .select('invoiceNumber title customerName customerEmail companyName currency total balanceDue dueDate')
+                .sort({ dueDate: 1 })
+                .lean(),
+            Invoice.find({ 'payments.paidAt': { $gte: since } })
+                .select('currency payments')
+                .lean()
+        ]);
+
+        const currencies = new Map();
+        const getCurrency = (code) => {
+            if (!currencies.has(code)) {
+                currencies.set(code, {
+                    currency: code,
+                    outstanding: 0,
+                    overdue: 0,
+                    invoiceCount: 0,
+                    overdueCount: 0,
+                    collectedLast30Days: 0,
+                    aging: Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, 0])),
+                    customers: new Map()
+                });
+            }
+            return currencies.get(code);
+        };
+
+        openInvoices.forEach((invoice) => {
+            const summary = getCurrency(invoice.currency);
+            const days = invoice.dueDate < now ? Math.max(1, daysPastDue(invoice, now)) : 0;
+            const bucket = AGING_BUCKETS.find(item => days <= item.max);
+
+            summary.outstanding += invoice.balanceDue;
+            summary.invoiceCount += 1;
+            summary.aging[bucket.key] += invoice.balanceDue;
+            if (days > 0) {
+                summary.overdue += invoice.balanceDue;
+                summary.overdueCount += 1;
+            }
+
+            const customer = summary.customers.get(invoice.customerEmail) || {
+                customerName: invoice.customerName,
+                customerEmail: invoice.customerEmail,
+                companyName: invoice.companyName,
+                balanceDue: 0,
+                overdue: 0,
+                invoiceCount: 0,
+                oldestDueDate: invoice.dueDate
+            };
+            customer.balanceDue += invoice.balanceDue;
+            customer.invoiceCount += 1;
+            if (days > 0) customer.overdue += invoice.balanceDue;
+            summary.customers.set(invoice.customerEmail, customer);
+        });
+
+        recentlyPaid.forEach((invoice) => {
+            const received = invoice.payments
+                .filter(payment => !payment.voidedAt && payment.paidAt >= since)
+                .reduce((sum, payment) => sum + payment.amount, 0);
+            if (received) getCurrency(invoice.currency).collectedLast30Days += received;
+        });
+
+        return {
+            generatedAt: now,
+            buckets: AGING_BUCKETS.map(({ key, label }) => ({ key, label })),
+            currencies: Array.from(currencies.values())
+                .sort((a, b) => b.outstanding - a.outstanding)
+                .map(({ customers, ...summary }) => ({
+                    ...summary,
+                    outstanding: round(summary.outstanding),
+                    overdue: round(summary.overdue),
+                    collectedLast30Days: round(summary.collectedLast30Days),
+                    aging: Object.fromEntries(Object.entries(summary.aging).map(([key, value]) => [key, round(value)])),
+                    topCustomers: Array.from(customers.values())
+                        .sort((a, b) => b.balanceDue - a.balanceDue)
+                        .slice(0, 10)
+                        .map(customer => ({ ...customer, balanceDue: round(customer.balanceDue), overdue: round(customer.overdue) }))
+                })),
+            overdueInvoices: openInvoices
+                .filter(invoice => invoice.dueDate < now)
+                .slice(0, 25)
+                .map(invoice => ({ ...invoice, daysOverdue: Math.max(1, daysPastDue(invoice, now)) }))
+        };
+    }
+}
+
+module.exports = new InvoiceService();
@@ -0,0 +1,229 @@
+const Job = require('../models/Job');
+
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_STAGES = 15;
+
+const toSlug = (value = '') => String(value)
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40);
+
+const roundHours = (ms) => Math.round((ms / HOUR_MS) * 10) / 10;
+
+const average = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+const median = (values) => {
+    if (!values.length) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Per-job hiring pipelines: which stage an application is in, moving it with
+ * a recorded history, the kanban board and time-in-stage metrics.
+ */
+class JobPipelineService {
+    /**
+     * Check and clean a pipeline sent by an admin. Keys default to a slug of
+     * the stage name. Returns { pipeline, errors }.
+     */
+    buildPipeline(stages) {
+        const errors = [];
+
+        if (!Array.isArray(stages) || stages.length === 0) {
+            return { pipeline: null, errors: ['A pipeline needs at least one stage'] };
+        }
+        if (stages.length > MAX_STAGES) {
+            errors.push(`A pipeline can have at most ${MAX_STAGES} stages`);
+        }
+
+        const seen = new Set();
+        const pipeline = stages.map((stage, index) => {
+            const name = String(stage?.name || '').trim();
+            const key = toSlug(stage?.key || name);
+            const status = Job.APPLICATION_STATUSES.includes(stage?.status) ? stage.status : 'reviewed';
+
+            if (!name) errors.push(`Stage ${index + 1} needs a name`);
+            if (name.length > 40) errors.push(`Stage "${name}" cannot exceed 40 characters`);
+            if (key && seen.has(key)) errors.push(`Stage "${name}" is listed twice`);
+            seen.add(key);
+
+            return { key, name, status };
+        });
+
+        return { pipeline, errors };
+    }
+
+    getStage(job, key) {
+        return job.getPipeline().find(stage => stage.key === key) || null;
+    }
+
+    /**
+     * The stage an application is in. Applications from before pipelines
+     * existed are placed by their status.
+     */
+    resolveStage(application, job) {
+        const pipeline = job.getPipeline();
+        return pipeline.find(stage => stage.key === application.stage)
+            || pipeline.find(stage => stage.status === (application.status || 'pending'))
+            || pipeline[0];
+    }
+
+    /**
+     * Stage history with an implied first entry for applications that
+     * predate stage tracking
+     */
+    getHistory(application, job) {
+        if (application.stageHistory?.length) return application.stageHistory;
+
+        const stage = this.resolveStage(application, job);
+        return [{ stage: stage.key, stageName: stage.name, fromStage: null, enteredAt: application.createdAt }];
+    }
+
+    /**
+     * Put a new application in the job's first stage
+     */
+    startApplication(application, job) {
+        const [firstStage] = job.getPipeline();
+        const enteredAt = new Date();
+
+        application.stage = firstStage.key;
+        application.stageEnteredAt = enteredAt;
+        application.status = firstStage.status;
+        application.stageHistory = [{ stage: firstStage.key, stageName: firstStage.name, enteredAt }];
+    }
+
+    /**
+     * Move an application to a stage, recording who moved it and why. The
+     * application's status follows the stage. Does not save.
+     */
+    moveToStage(application, job, stage, { note, movedBy = null } = {}) {
+        const previousStage = this.resolveStage(application, job);
+        const previousStatus = application.status;
+        const enteredAt = new Date();
+
+        if (!application.stageHistory?.length) {
+            application.stageHistory = this.getHistory(application, job);
+        }
+
+        application.stageHistory.push({
+            stage: stage.key,
+            stageName: stage.name,
+            fromStage: previousStage?.key || null,
+            enteredAt,
+            note,
+            movedBy
+        });
+        application.stage = stage.key;
+        application.stageEnteredAt = enteredAt;
+        application.status = stage.status;
+
+        return { previousStage, previousStatus, statusChanged: previousStatus !== stage.status };
+    }
+
+    /**
+     * Applications grouped into pipeline columns for the kanban board
+     */
+    buildBoard(job, applications) {
+        const columns = job.getPipeline().map(stage => ({
+            key: stage.key,
+            name: stage.name,
+            status: stage.status,
+            applications: []
+        }));
+
+        applications.forEach(application => {
+            const stage = this.resolveStage(application, job);
+            const column = columns.find(item => item.key === stage.key);
+            const history = this.getHistory(application, job);
+
+            column.applications.push({
+                _id: application._id,
+                fullName: application.fullName,
+                email: application.email,
+                phone: application.phone,
+                status: application.status,
+                createdAt: application.createdAt,
+                stageEnteredAt: history[history.length - 1].enteredAt,
+                lastNote: [...history].reverse().find(entry => entry.note)?.note || null
+            });
+        });
+
+        return columns;
+    }
+
+    /**
+     * Time-in-stage metrics for a job. Completed stays are the time between
+     * entering a stage and leaving it; current stays run until now. A
+     * withdrawal ends the stay in the stage the application was in.
+     */
+    computeStats(job, applications, now = new Date()) {
+        const pipeline = job.getPipeline();
+        const stats = new Map(pipeline.map(stage => [stage.key, {
+            key: stage.key,
+            name: stage.name,
+            status: stage.status,
+            current: 0,
+            entered: 0,
+            exited: 0,
+            completedMs: [],
+            currentMs: []
+        }]));
+        const hireMs = [];
+        let withdrawn = 0;
+
+        applications.forEach(application => {
+            const history = this.getHistory(application, job);
+            const currentStage = this.resolveStage(application, job);
+            const withdrawnAt = application.status === 'withdrawn' && application.withdrawnAt;
+
+            history.forEach((entry, index) => {
+                const stage = stats.get(entry.stage);
+                if (!stage) return;
+
+                const next = history[index + 1];
+                const start = new Date(entry.enteredAt).getTime();
+
+                stage.entered += 1;
+                if (next || withdrawnAt) {
+                    stage.exited += 1;
+                    stage.completedMs.push(new Date(next ? next.enteredAt : withdrawnAt).getTime() - start);
+                } else if (entry.stage === currentStage.key) {
+                    stage.currentMs.push(now.getTime() - start);
+                }
+            });
+
+            if (withdrawnAt) {
+                withdrawn += 1;
+            } else {
+                stats.get(currentStage.key).current += 1;
+            }
+
+            const hiredEntry = history.find(entry => stats.get(entry.stage)?.status === 'accepted');
+            if (hiredEntry) {
+                hireMs.push(new Date(hiredEntry.enteredAt).getTime() - new Date(application.createdAt).getTime());
+            }
+        });
+
+        const stages = [...stats.values()].map(({ completedMs, currentMs, ...stage }) => ({
+            ...stage,
+            averageHours: completedMs.length ? roundHours(average(completedMs)) : null,
+            medianHours: completedMs.length ? roundHours(median(completedMs)) : null,
+            averageCurrentHours: currentMs.length ? roundHours(average(currentMs)) : null,
+            longestCurrentHours: currentMs.length ? roundHours(Math.max(...currentMs)) : null
+        }));
+
+        return {
+            totalApplications: applications.length,
+            hired: hireMs.length,
+            withdrawn,
+            averageTimeToHireHours: hireMs.length ? roundHours(average(hireMs)) : null,
+            stages
+        };
+    }
+}
+
+module.exports = new JobPipelineService();
@@ -0,0 +1,297 @@
+const Job = require('../models/Job');
+const jobPipelineService = require('./jobPipelineService');
+
+const MAX_QUESTIONS = 20;
+const MAX_OPTIONS = 20;
+const CHOICE_TYPES = ['select', 'multiselect'];
+const KNOCKOUT_TYPES = ['select', 'multiselect', 'number', 'date'];
+const TEXT_LIMITS = { text: 500, textarea: 2000, url: 500 };
+const DEFAULT_TAGS = { tag: 'needs-review', reject: 'knocked-out' };
+
+const toSlug = (value = '') => String(value)
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40);
+
+const isBlank = (value) => value === undefined || value === null || value === ''
+    || (Array.isArray(value) && value.length === 0);
+
+const toNumber = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+
+const parseJson = (value) => {
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return undefined;
+    }
+};
+
+const cleanOptions = (options) => [...new Set((Array.isArray(options) ? options : [])
+    .map(option => String(option ?? '').trim())
+    .filter(Boolean))];
+
+const formatDate = (value) => new Date(value).toISOString().slice(0, 10);
+
+/**
+ * Custom application questions per job: checking the question set admins
+ * define, validating applicants' answers and applying knockout rules that tag
+ * or reject applications automatically.
+ */
+class JobQuestionService {
+    /**
+     * Check and clean a question set sent by an admin (an array, or the same
+     * as JSON from a multipart form). Returns { questions, errors }.
+     */
+    buildQuestions(input) {
+        const raw = parseJson(input);
+        if (raw === undefined || !Array.isArray(raw)) {
+            return { questions: null, errors: ['Questions must be a list'] };
+        }
+        if (raw.length > MAX_QUESTIONS) {
+            return { questions: null, errors: [`A job can have at most ${MAX_QUESTIONS} questions`] };
+        }
+
+        const errors = [];
+        const seen = new Set();
+
+        const questions = raw.map((item, index) => {
+            const label = String(item?.label || '').trim();
+            const type = Job.QUESTION_TYPES.includes(item?.type) ? item.type : null;
+            const key = toSlug(item?.key || label);
+            const name = label || `Question ${index + 1}`;
+
+            if (!label) errors.push(`Question ${index + 1} needs text`);
+            if (label.length > 200) errors.push(`"${name}" cannot exceed 200 characters`);
+            if (!type) errors.push(`"${name}" has an unknown answer type`);
+            if (key && seen.has(key)) errors.push(`"${name}" is listed twice`);
+            seen.add(key);
+
+            const question = {
+                key,
+                label,
+                type: type || 'text',
+                required: item?.required === true || item?.required === 'true',
+                helpText: String(item?.helpText || '').trim().slice(0, 200) || undefined
+            };
+
+            if (CHOICE_TYPES.includes(question.type)) {
+                question.options = cleanOptions(item.options);
+                if (question.options.length < 2) errors.push(`"${name}" needs at least two choices`);
+                if (question.options.length > MAX_OPTIONS) errors.push(`"${name}" can have at most ${MAX_OPTIONS} choices`);
+                if (question.options.some(option => option.length > 100)) errors.push(`Choices for "${name}" cannot exceed 100 characters`);
+            }
+
+            if (question.type === 'number') {
+                question.min = toNumber(item.min) ?? undefined;
+                question.max = toNumber(item.max) ?? undefined;
+                if ([question.min, question.max].some(value => value !== undefined && !Number.isFinite(value))) {
+                    errors.push(`"${name}" has an invalid minimum or maximum`);
+                } else if (question.min !== undefined && question.max !== undefined && question.min > question.max) {
+                    errors.push(`"${name}" has a minimum above its maximum`);
+                }
+            }
+
+            const knockout = this.buildKnockout(item?.knockout, question, name, errors);
+            if (knockout) question.knockout = knockout;
+
+            return question;
+        });
+
+        return { questions, errors };
+    }
+
+    buildKnockout(input, question, name, errors) {
+        const action = ['tag', 'reject'].includes(input?.action) ? input.action : 'none';
+        if (action === 'none') return null;
+
+        if (!KNOCKOUT_TYPES.includes(question.type)) {
+            errors.push(`Knockout rules only work on choice, number and date questions ("${name}")`);
+            return null;
+        }
+
+        const knockout = {
+            action,
+            tag: toSlug(input.tag) || DEFAULT_TAGS[action]
+        };
+
+        if (CHOICE_TYPES.includes(question.type)) {
+            knockout.options = cleanOptions(input.options).filter(option => question.options.includes(option));
+            if (knockout.options.length === 0) errors.push(`Pick the choices that knock out applicants for "${name}"`);
+        } else if (question.type === 'number') {
+            knockout.min = toNumber(input.min) ?? undefined;
+            knockout.max = toNumber(input.max) ?? undefined;
+            if (knockout.min === undefined && knockout.max === undefined) {
+                errors.push(`Set a minimum or maximum that knocks out applicants for "${name}"`);
+            } else if ([knockout.min, knockout.max].some(value => value !== undefined && !Number.isFinite(value))) {
+                errors.push(`The knockout limits for "${name}" must be numbers`);
+            }
+        } else {
+            const latestDate = input.latestDate ? new Date(input.latestDate) : null;
+            if (!latestDate || Number.isNaN(latestDate.getTime())) {
+                errors.push(`Set the latest acceptable date for "${name}"`);
+            } else {
+                knockout.latestDate = latestDate;
+            }
+        }
+
+        return knockout;
+    }
+
+    /**
+     * Validate an applicant's answers (an object keyed by question key, or the
+     * same as JSON). Returns { answers, errors } with errors in the
+     * express-validator shape the application form already understands.
+     */
+    validateAnswers(job, input) {
+        const questions = job.questions || [];
+        if (questions.length === 0) return { answers: [], errors: [] };
+
+        const raw = parseJson(input);
+        const values = raw && typeof raw === 'object' && !Array.isArray(raw) ? raw : {};
+        const answers = [];
+        const errors = [];
+        const fail = (question, msg) => errors.push({ path: `answers.${question.key}`, msg });
+
+        questions.forEach(question => {
+            let value = values[question.key];
+            if (typeof value === 'string') value = value.trim();
+
+            if (isBlank(value)) {
+                if (question.required) fail(question, `"${question.label}" is required`);
+                return;
+            }
+
+            switch (question.type) {
+                case 'number': {
+                    value = Number(value);
+                    if (!Number.isFinite(value)) return fail(question, `"${question.label}" must be a number`);
+                    if (question.min !== undefined && question.min !== null && value < question.min) {
+                        return fail(question, `"${question.label}" must be at least ${question.min}`);
+                    }
+                    if (question.max !== undefined && question.max !== null && value > question.max) {
+                        return fail(question, `"${question.label}" must be at most ${question.max}`);
+                    }
+                    break;
+                }
+                case 'date': {
+                    const date = new Date(value);
+                    if (Number.isNaN(date.getTime())) return fail(question, `"${question.label}" must be a valid date`);
+                    value = date;
+                    break;
+                }
+                case 'select':
+                    if (!question.options.includes(String(value))) return fail(question, `Choose one of the options for "${question.label}"`);
+                    value = String(value);
+                    break;
+                case 'multiselect': {
+                    const selected = cleanOptions(Array.isArray(value) ? value : [value]);
+                    if (selected.some(option => !question.options.includes(option))) {
+                        return fail(question, `Choose from the options for "${question.label}"`);
+                    }
+                    value = selected;
+                    break;
+                }
+                case 'url': {
+                    let url = null;
+                    try {
+                        url = new URL(String(value));
+                    } catch (error) {
+                        url = null;
+                    }
+                    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+                        return fail(question, `"${question.label}" must be a link starting with http:// or https://`);
+                    }
+                    value = String(value);
+                    break;
+                }
+                default:
+                    value = String(value);
+            }
+
+            const limit = TEXT_LIMITS[question.type];
+            if (limit && value.length > limit) {
+                return fail(question, `"${question.label}" cannot exceed ${limit} characters`);
+            }
+
+            answers.push({ questionKey: question.key, label: question.label, type: question.type, value });
+        });
+
+        return { answers, errors };
+    }
+
+    /**
+     * Knockout rules the answers match, with a readable reason for each
+     */
+    evaluateKnockouts(job, answers) {
+        return (job.questions || []).reduce((results, question) => {
+            const knockout = question.knockout;
+            const answer = answers.find(item => item.questionKey === question.key);
+            if (!knockout || knockout.action === 'none' || !answer) return results;
+
+            let reason = null;
+            if (question.type === 'select' && knockout.options?.includes(answer.value)) {
+                reason = `Answered "${answer.value}"`;
+            } else if (question.type === 'multiselect') {
+                const matched = answer.value.filter(option => knockout.options?.includes(option));
+                if (matched.length) reason = `Selected ${matched.map(option => `"${option}"`).join(', ')}`;
+            } else if (question.type === 'number') {
+                if (knockout.min !== undefined && knockout.min !== null && answer.value < knockout.min) {
+                    reason = `Answered ${answer.value}, below ${knockout.min}`;
+                } else if (knockout.max !== undefined && knockout.max !== null && answer.value > knockout.max) {
+                    reason = `Answered ${answer.value}, above ${knockout.max}`;
+                }
+            } else if (question.type === 'date' && knockout.latestDate && answer.value > knockout.latestDate) {
+                reason = `Answered ${formatDate(answer.value)}, after ${formatDate(knockout.latestDate)}`;
+            }
+
+            if (reason) {
+                results.push({
+                    questionKey: question.key,
+                    label: question.label,
+                    action: knockout.action,
+                    tag: knockout.tag || DEFAULT_TAGS[knockout.action],
+                    reason
+                });
+            }
+            return results;
+        }, []);
+    }
+
+    /**
+     * Record the answers and knockouts on a new application. Reject rules
+     * move it to the pipeline's first rejected stage. Does not save.
+     * Returns { rejected }.
+     */
+    applyScreening(application, job, answers) {
+        const knockouts = this.evaluateKnockouts(job, answers);
+
+        application.answers = answers;
+        application.knockouts = knockouts;
+        application.tags = [...new Set([...(application.tags || []), ...knockouts.map(knockout => knockout.tag)])];
+
+        const rejections = knockouts.filter(knockout => knockout.action === 'reject');
+        const rejectedStage = job.getPipeline().find(stage => stage.status === 'rejected');
+        if (rejections.length === 0 || !rejectedStage) return { rejected: false };
+
+        const note = `Screened out automatically. ${rejections.map(knockout => `${knockout.label}: ${knockout.reason}`).join('; ')}`;
+        jobPipelineService.moveToStage(application, job, rejectedStage, { note: note.slice(0, 500) });
+        return { rejected: true };
+    }
+
+    /**
+     * Answers as label/value rows for emails and exports
+     */
+    formatAnswers(answers = []) {
+        return answers.map(answer => ({
+            label: answer.label,
+            value: Array.isArray(answer.value)
+                ? answer.value.join(', ')
+                : answer.type === 'date' ? formatDate(answer.value) : String(answer.value)
+        }));
+    }
+}
+
+module.exports = new JobQuestionService();
@@ -0,0 +1,151 @@
+const Job = require('../models/Job');
+const JobApplication = require('../models/JobApplication');
+const AppSetting = require('../models/AppSetting');
+const cache = require('./cacheService');
+const emailService = require('./emailService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CHECK_INTERVAL_MS = 5 * 60 * 1000;
+const DIGEST_WINDOW_DAYS = 3;
+const DIGEST_SETTING_KEY = 'jobs.closingDigestSentOn';
+
+const getTimezone = () => process.env.JOB_DIGEST_TIMEZONE || process.env.INTERVIEW_TIMEZONE || 'Africa/Kampala';
+
+const getDigestHour = () => {
+    const hour = Number(process.env.JOB_DIGEST_HOUR);
+    return Number.isInteger(hour) && hour >= 0 && hour <= 23 ? hour : 8;
+};
+
+// Calendar date and hour in the company's timezone
+const getLocalParts = (now, timeZone) => {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(now).map(part => [part.type, part.value]));
+
+    return { date: `${parts.year}-${parts.month}-${parts.day}`, hour: Number(parts.hour) };
+};
+
+/**
+ * Job posting dates: publishing scheduled jobs, closing jobs at their
+ * application deadline and a daily digest of jobs about to close.
+ */
+class JobScheduleService {
+    /**
+     * Publish scheduled jobs whose date has come and close jobs past their
+     * deadline. Returns { published, closed }.
+     */
+    async applySchedule(now = new Date()) {
+        const [publishResult, closeResult] = await Promise.all([
+            Job.updateMany(
+                { isActive: true, publishAt: { $lte: now }, publishedAt: null },
+                { $set: { publishedAt: now } }
+            ),
+            Job.updateMany(
+                { isActive: true, applicationDeadline: { $lte: now } },
+                { $set: { isActive: false, closedAt: now, closedReason: 'deadline' } }
+            )
+        ]);
+
+        const published = publishResult.modifiedCount || 0;
+        const closed = closeResult.modifiedCount || 0;
+        if (published || closed) cache.invalidateJobs();
+
+        return { published, closed };
+    }
+
+    /**
+     * Open jobs closing within the digest window, soonest first, with their
+     * application counts
+     */
+    async getClosingJobs(now = new Date()) {
+        const horizon = new Date(now.getTime() + DIGEST_WINDOW_DAYS * DAY_MS);
+        const jobs = await Job.find({
+            ...Job.openFilter(now),
+            applicationDeadline: { $gt: now, $lte: horizon }
+        })
+            .sort({ applicationDeadline: 1 })
+            .select('title department location applicationDeadline')
+            .lean();
+
+        if (jobs.length === 0) return [];
+
+        const counts = await JobApplication.aggregate([
+            { $match: { job: { $in: jobs.map(job => job._id) } } },
+            {
+                $group: {
+                    _id: '$job',
+                    total: { $sum: 1 },
+                    pending: { $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] } }
+                }
+            }
+        ]);
+        const countsByJob = new Map(counts.map(count => [String(count._id), count]));
+
+        return jobs.map(job => ({
+            ...job,
+            applications: countsByJob.get(String(job._id))?.total || 0,
+            pending: countsByJob.get(String(job._id))?.pending || 0
+        }));
+    }
+
+    /**
+     * Email admins once a day, after the digest hour, about jobs closing soon.
+     * The day is claimed in AppSetting first so restarts and multiple
+     * instances don't send it twice. Returns the number of jobs listed.
+     */
+    async sendClosingDigest(now = new Date()) {
+        const timezone = getTimezone();
+        const { date, hour } = getLocalParts(now, timezone);
+        if (hour < getDigestHour()) return 0;
+
+        try {
+            const claimed = await AppSetting.findOneAndUpdate(
+                { key: DIGEST_SETTING_KEY, value: { $ne: date } },
+                { $set: { key: DIGEST_SETTING_KEY, value: date } },
+                { upsert: true, new: true }
+            );
+            if (!claimed) return 0;
+        } catch (error) {
+            // Another instance claimed today's digest first
+            if (error.code === 11000) return 0;
+            throw error;
+        }
+
+        const jobs = await this.getClosingJobs(now);
+        if (jobs.length === 0) return 0;
+
+        await emailService.sendJobClosingDigest({ jobs, days: DIGEST_WINDOW_DAYS, timezone });
+        return jobs.length;
+    }
+
+    /**
+     * Check posting dates every few minutes
+     */
+    startScheduler() {
+        if (this.timer) return;
+
+        const run = async () => {
+            try {
+                const { published, closed } = await this.applySchedule();
+                if (published) console.log(`📢 Published ${published} scheduled job${published === 1 ? '' : 's'}`);
+                if (closed) console.log(`🔒 Closed ${closed} job${closed === 1 ? '' : 's'} past the application deadline`);
+
+                const listed = await this.sendClosingDigest();
+                if (listed) console.log(`📧 Sent closing-soon digest for ${listed} job${listed === 1 ? '' : 's'}`);
+            } catch (error) {
+                console.error('❌ Job schedule check failed:', error.message);
+            }
+        };
+
+        run();
+        this.timer = setInterval(run, CHECK_INTERVAL_MS);
+        this.timer.unref();
+    }
+}
+
+module.exports = new JobScheduleService();
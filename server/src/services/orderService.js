@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const emailService = require('./emailService');
+const paymentLinkService = require('./paymentLinkService');
+
+const MAX_ITEMS = 50;
+const MAX_QUANTITY = 999;
+
+const getProductImage = (product) => {
+    const images = Array.isArray(product.images) ? [...product.images] : [];
+    const primary = images.find(image => image?.isPrimary) || images.sort((a, b) => (a?.order || 0) - (b?.order || 0))[0];
+    return primary?.url || product.image || undefined;
+};
+
+/**
+ * Orders sent from the product cart: turning cart lines into order items
+ * with product snapshots, the status lifecycle and the emails around it.
+ */
+class OrderService {
+    /**
+     * Turn the { productId, quantity } lines sent by the client into a map of
+     * product id to quantity, merging repeats. Returns { quantities, errors }.
+     */
+    parseLines(lines) {
+        if (!Array.isArray(lines)) {
+            return { quantities: new Map(), errors: ['Cart items must be a list'] };
+        }
+        if (lines.length > MAX_ITEMS) {
+            return { quantities: new Map(), errors: [`A cart can have at most ${MAX_ITEMS} products`] };
+        }
+
+        const errors = [];
+        const quantities = new Map();
+
+        lines.forEach((line, index) => {
+            const productId = String(line?.productId || line?.product || '');
+            const quantity = Number(line?.quantity ?? 1);
+
+            if (!mongoose.Types.ObjectId.isValid(productId)) {
+                errors.push(`Item ${index + 1} is not a valid product`);
+            } else if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_QUANTITY) {
+                errors.push(`Quantity for item ${index + 1} must be a whole number between 1 and ${MAX_QUANTITY}`);
+            } else {
+                // The same product twice becomes one line
+                quantities.set(productId, Math.min(MAX_QUANTITY, (quantities.get(productId) || 0) + quantity));
+            }
+        });
+
+        return { quantities, errors };
+    }
+
+    /**
+     * Check the cart lines sent by the client and snapshot each product's
+     * current name and price. Prices always come from the product record;
+     * whatever price the client sent is ignored. Returns { items, errors }.
+     */
+    async buildItems(lines) {
+        if (!Array.isArray(lines) || lines.length === 0) {
+            return { items: [], errors: ['Your cart is empty'] };
+        }
+
+        const { quantities, errors } = this.parseLines(lines);
+        if (errors.length) return { items: [], errors };
+
+        const products = await Product.find({ _id: { $in: [...quantities.keys()] } })
+            .select('name category price image images availability isActive')
+            .lean();
+        const productsById = new Map(products.map(product => [String(product._id), product]));
+
+        const items = [];
+        quantities.forEach((quantity, productId) => {
+            const product = productsById.get(productId);
+
+            if (!product || product.isActive === false) {
+                errors.push('One of the products in your cart is no longer available. Please remove it and try again.');
+                return;
+            }
+            if (product.availability === 'discontinued') {
+                errors.push(`${product.name} has been discontinued`);
+                return;
+            }
+
+            const priced = product.price?.type !== 'contact-for-price' && typeof product.price?.amount === 'number';
+            items.push({
+                product: product._id,
+                productName: product.name,
+                category: product.category,
+                image: getProductImage(product),
+                quantity,
+                unitPrice: priced ? product.price.amount : null,
+                currency: product.price?.currency || 'UGX',
+                priceType: product.price?.type || 'contact-for-price'
+            });
+        });
+
+        return { items, errors: [...new Set(errors)] };
+    }
+
+    /**
+     * Save a new order and send the sales team and the customer their emails
+     * (non-blocking)
+     */
+    async createOrder({ items, customer, user = null, metadata = {} }) {
+        const order = new Order({
+            items,
+            customerName: customer.customerName,
+            customerEmail: customer.customerEmail,
+            customerPhone: customer.customerPhone,
+            preferredContact: customer.preferredContact,
+            message: customer.message,
+            user,
+            metadata
+        });
+        await order.save();
+
+        setImmediate(async () => {
+            const results = await Promise.allSettled([
+                emailService.sendOrderToAdmin(order),
+                emailService.sendOrderConfirmation(order)
+            ]);
+            results
+                .filter(result => result.status === 'rejected')
+                .forEach(result => console.error('Error sending order email:', result.reason?.message || result.reason));
+        });
+
+        return order;
+    }
+
+    /**
+     * Move an order along its lifecycle and optionally email the customer.
+     * Returns { order } or { error } when the move isn't allowed.
+     */
+    async updateStatus(order, status, { note, changedBy = null, notify = true } = {}) {
+        if (!Order.STATUSES.includes(status)) {
+            return { error: `Invalid status. Must be one of: ${Order.STATUSES.join(', ')}` };
+        }
+        if (!order.canTransitionTo(status)) {
+            return { error: `A ${order.status} order can't be marked ${status}` };
+        }
+
+        const previousStatus = order.status;
+        order.status = status;
+        order.statusHistory.push({ status, changedAt: new Date(), changedBy, note });
+        await order.save();
+
+        if (notify) {
+            // Confirmed orders can be paid online straight from the email
+            const payLink = status === 'confirmed' ? paymentLinkService.getPayLink('order', order) : null;
+            emailService.sendOrderStatusUpdate(order, { previousStatus, note, payLink }).catch((error) => {
+                console.error('Error sending order status email:', error.message);
+            });
+        }
+
+        return { order };
+    }
+}
+
+module.exports = new OrderService();
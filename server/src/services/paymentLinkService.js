@@ -0,0 +1,52 @@
+const jwt = require('jsonwebtoken');
+const { getAvailableProviders } = require('./paymentProviders');
+const { getClientUrl } = require('../utils/clientUrl');
+
+// Links go out in invoice and order emails, so they outlive most due dates.
+// Whether anything is still owed is checked when the link is opened.
+const LINK_TTL = '90d';
+
+const TARGET_TYPES = ['invoice', 'order'];
+
+const getSecret = () =>
+    process.env.PAYMENT_LINK_SECRET || process.env.JWT_SECRET || 'fallback-secret-key-change-in-production';
+
+/**
+ * Signed "pay online" links for invoices and orders. Nothing is stored, so
+ * every email can carry a link without invalidating the earlier ones.
+ */
+class PaymentLinkService {
+    createToken(type, id) {
+        return jwt.sign({ purpose: 'payment-link', type, id: String(id) }, getSecret(), { expiresIn: LINK_TTL });
+    }
+
+    getLink(type, id) {
+        return `${getClientUrl()}/pay/${this.createToken(type, id)}`;
+    }
+
+    /**
+     * Pay link for an invoice or order when something is owed and a
+     * provider can collect in its currency, otherwise null
+     */
+    getPayLink(type, target) {
+        const due = target.getAmountDue();
+        if (!due || getAvailableProviders(due.currency).length === 0) return null;
+        return this.getLink(type, target._id);
+    }
+
+    /**
+     * The { type, id } a token was made for, or null when it's invalid or
+     * has expired
+     */
+    verifyToken(token) {
+        try {
+            const payload = jwt.verify(String(token || ''), getSecret());
+            if (payload.purpose !== 'payment-link' || !TARGET_TYPES.includes(payload.type)) return null;
+            return { type: payload.type, id: payload.id };
+        } catch {
+            return null;
+        }
+    }
+}
+
+module.exports = new PaymentLinkService();
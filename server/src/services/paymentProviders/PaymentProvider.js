@@ -0,0 +1,112 @@
+/**
+ * What every mobile money provider implements. paymentService only talks to
+ * providers through these methods, so adding a provider means adding a
+ * subclass and listing it in ./index.js.
+ *
+ * Statuses returned by providers are one of 'pending', 'successful' or
+ * 'failed'. Phone numbers are passed in international format without the
+ * +, e.g. 256772123456.
+ */
+class PaymentProvider {
+    constructor({ name, label }) {
+        this.name = name;
+        this.label = label;
+        this.tokens = new Map();
+    }
+
+    /**
+     * Whether the credentials this provider needs are set
+     */
+    isConfigured() {
+        return false;
+    }
+
+    /**
+     * Currencies this provider can collect in
+     */
+    getCurrencies() {
+        return [];
+    }
+
+    supportsCurrency(currency) {
+        return this.getCurrencies().includes(String(currency || '').toUpperCase());
+    }
+
+    /**
+     * Ask the payer to approve a payment on their phone. Receives
+     * { reference, amount, currency, phone, description, callbackUrl }.
+     * Returns { providerReference, status, providerStatus, failureReason }.
+     */
+    async initiateCollection() {
+        throw new Error(`${this.label} does not support collections`);
+    }
+
+    /**
+     * Current state of a collection. Returns { status, providerStatus,
+     * providerTransactionId, failureReason }.
+     */
+    async getCollectionStatus() {
+        throw new Error(`${this.label} does not support status checks`);
+    }
+
+    /**
+     * Our payment reference from a webhook call, or null when the body isn't
+     * recognised. Callback bodies are never trusted for the outcome: the
+     * payment is always re-checked with getCollectionStatus.
+     */
+    getWebhookReference(req) {
+        const body = req.body || {};
+        return body.reference || body.externalId || null;
+    }
+
+    /**
+     * Whether refunds can be sent through this provider
+     */
+    canRefund() {
+        return false;
+    }
+
+    /**
+     * Send money from a successful payment back to the payer. Receives the
+     * payment and { reference, reason, amount }. Returns { providerReference, status, failureReason }.
+     */
+    async refund() {
+        throw new Error(`${this.label} does not support refunds`);
+    }
+
+    /**
+     * Current state of a pending refund. Returns { status, failureReason }.
+     */
+    async getRefundStatus(payment) {
+        return { status: payment.refund.status };
+    }
+
+    /**
+     * Reuse an access token until shortly before it expires
+     */
+    async getCachedToken(key, fetchToken) {
+        const cached = this.tokens.get(key);
+        if (cached && cached.expiresAt > Date.now()) return cached.token;
+
+        const { token, expiresIn } = await fetchToken();
+        this.tokens.set(key, {
+            token,
+            expiresAt: Date.now() + Math.max(60, Number(expiresIn) || 3600) * 1000 - 60 * 1000
+        });
+        return token;
+    }
+
+    /**
+     * Readable message for a failed provider API call
+     */
+    describeError(error) {
+        const data = error.response?.data;
+        const detail = data?.message || data?.error_description || data?.error?.message
+            || data?.status?.message || (typeof data?.error === 'string' ? data.error : null);
+        const status = error.response?.status;
+
+        return `${this.label}${status ? ` (${status})` : ''}: ${detail || error.message}`;
+    }
+}
+
+module.exports = PaymentProvider;
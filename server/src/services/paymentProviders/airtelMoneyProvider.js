@@ -0,0 +1,165 @@
+const PaymentProvider = require('./PaymentProvider');
+
+// Airtel transaction statuses: TS success, TF failed, TIP in progress,
+// TA ambiguous (still being settled), TE expired
+const STATUS_MAP = {
+    TS: 'successful',
+    TF: 'failed',
+    TE: 'failed',
+    TIP: 'pending',
+    TA: 'pending'
+};
+
+// Airtel expects the subscriber's number without the country code
+const DIAL_CODES = {
+    UG: '256',
+    KE: '254',
+    TZ: '255',
+    RW: '250',
+    ZM: '260',
+    MW: '265',
+    CD: '243'
+};
+
+/**
+ * Airtel Money Open API: USSD push collections, status enquiries and
+ * refunds, which Airtel settles straight away.
+ */
+class AirtelMoneyProvider extends PaymentProvider {
+    constructor() {
+        super({ name: 'airtel_money', label: 'Airtel Money' });
+    }
+
+    get config() {
+        return {
+            // https://openapiuat.airtel.africa for testing, https://openapi.airtel.africa live
+            baseUrl: (process.env.AIRTEL_MONEY_BASE_URL || 'https://openapiuat.airtel.africa').replace(/\/+$/, ''),
+            clientId: process.env.AIRTEL_MONEY_CLIENT_ID,
+            clientSecret: process.env.AIRTEL_MONEY_CLIENT_SECRET,
+            country: (process.env.AIRTEL_MONEY_COUNTRY || 'UG').toUpperCase(),
+            currency: (process.env.AIRTEL_MONEY_CURRENCY || 'UGX').toUpperCase()
+        };
+    }
+
+    isConfigured() {
+        const { clientId, clientSecret } = this.config;
+        return !!(clientId && clientSecret);
+    }
+
+    canRefund() {
+        return this.isConfigured();
+    }
+
+    getCurrencies() {
+        return [this.config.currency];
+    }
+
+    toMsisdn(phone) {
+        const dialCode = DIAL_CODES[this.config.country];
+        return dialCode && phone.startsWith(dialCode) ? phone.slice(dialCode.length) : phone;
+    }
+
+    async request({ method = 'GET', path, data }) {
+        const axios = require('axios');
+        const config = this.config;
+
+        try {
+            const token = await this.getCachedToken('oauth', async () => {
+                const response = await axios.post(`${config.baseUrl}/auth/oauth2/token`, {
+                    client_id: config.clientId,
+                    client_secret: config.clientSecret,
+                    grant_type: 'client_credentials'
+                }, { timeout: 15000 });
+                return { token: response.data.access_token, expiresIn: response.data.expires_in };
+            });
+
+            const response = await axios({
+                method,
+                url: `${config.baseUrl}${path}`,
+                data,
+                headers: {
+                    Authorization: `Bearer ${token}`,
+                    'X-Country': config.country,
+                    'X-Currency': config.currency
+                },
+                timeout: 20000
+            });
+            return response.data;
+        } catch (error) {
+            throw new Error(this.describeError(error));
+        }
+    }
+
+    async initiateCollection({ reference, amount, currency, phone, description }) {
+        const { country } = this.config;
+        const data = await this.request({
+            method: 'POST',
+            path: '/merchant/v1/payments/',
+            data: {
+                // Shown to the payer in the USSD prompt
+                reference: String(description || 'SAPTech Uganda').slice(0, 64),
+                subscriber: { country, currency, msisdn: this.toMsisdn(phone) },
+                transaction: { amount, country, currency, id: reference }
+            }
+        });
+
+        if (data.status && data.status.success === false) {
+            return {
+                providerReference: reference,
+                status: 'failed',
+                providerStatus: data.status.response_code,
+                failureReason: data.status.message || 'Airtel Money could not start the payment'
+            };
+        }
+
+        // Airtel tracks the request by the ID we sent
+        return {
+            providerReference: data.data?.transaction?.id || reference,
+            status: 'pending',
+            providerStatus: data.data?.transaction?.status || 'TIP'
+        };
+    }
+
+    async getCollectionStatus(payment) {
+        const data = await this.request({ path: `/standard/v1/payments/${payment.providerReference}` });
+        const transaction = data.data?.transaction || {};
+        const status = STATUS_MAP[transaction.status] || 'pending';
+
+        return {
+            status,
+            providerStatus: transaction.status,
+            providerTransactionId: transaction.airtel_money_id,
+            failureReason: status === 'failed' ? (transaction.message || 'The payment did not go through') : undefined
+        };
+    }
+
+    // Airtel calls back with { transaction: { id, status_code, airtel_money_id } }
+    getWebhookReference(req) {
+        return req.body?.transaction?.id || null;
+    }
+
+    // Airtel reverses the whole transaction; it has no partial refunds
+    async refund(payment, { amount = payment.amount } = {}) {
+        if (amount < payment.amount) {
+            throw new Error('Airtel Money can only refund the whole payment; send the difference back another way');
+        }
+        if (!payment.providerTransactionId) {
+            throw new Error('This payment has no Airtel Money transaction ID to refund');
+        }
+
+        const data = await this.request({
+            method: 'POST',
+            path: '/standard/v1/payments/refund',
+            data: { transaction: { airtel_money_id: payment.providerTransactionId } }
+        });
+
+        const succeeded = data.status?.success !== false && data.data?.transaction?.status !== 'TF';
+        return {
+            providerReference: data.data?.transaction?.airtel_money_id || payment.providerTransactionId,
+            status: succeeded ? 'successful' : 'failed',
+            failureReason: succeeded ? undefined : (data.status?.message || 'Airtel Money could not refund the payment')
+        };
+    }
+}
+
+module.exports = new AirtelMoneyProvider();
@@ -0,0 +1,21 @@
+const simulatorProvider = require('./simulatorProvider');
+const mtnMomoProvider = require('./mtnMomoProvider');
+const airtelMoneyProvider = require('./airtelMoneyProvider');
+
+// Listed in the order customers see them
+const PROVIDERS = [mtnMomoProvider, airtelMoneyProvider, simulatorProvider];
+
+const getProvider = (name) => PROVIDERS.find(provider => provider.name === name) || null;
+
+/**
+ * Providers with credentials set, optionally only those that can collect
+ * in a currency
+ */
+const getAvailableProviders = (currency) => PROVIDERS.filter(provider => (
+    provider.isConfigured() && (!currency || provider.supportsCurrency(currency))
+));
+
+module.exports = {
+    getProvider,
+    getAvailableProviders
+};
@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const PaymentProvider = require('./PaymentProvider');
+
+const STATUS_MAP = {
+    SUCCESSFUL: 'successful',
+    FAILED: 'failed',
+    REJECTED: 'failed',
+    TIMEOUT: 'failed',
+    PENDING: 'pending'
+};
+
+// MTN's reason codes in plain words for the payer
+const FAILURE_REASONS = {
+    APPROVAL_REJECTED: 'The payer declined the request',
+    NOT_ENOUGH_FUNDS: 'The payer does not have enough funds',
+    PAYER_LIMIT_REACHED: 'The payer has reached their transaction limit',
+    PAYER_NOT_FOUND: 'This number is not registered for MTN Mobile Money',
+    PAYEE_NOT_ALLOWED_TO_RECEIVE: 'The payment could not be received',
+    EXPIRED: 'The request expired before it was approved',
+    TRANSACTION_CANCELED: 'The request was cancelled',
+    INTERNAL_PROCESSING_ERROR: 'MTN could not process the payment'
+};
+
+const describeReason = (reason) => {
+    const code = typeof reason === 'string' ? reason : reason?.code;
+    return FAILURE_REASONS[code] || reason?.message || code || 'The payment did not go through';
+};
+
+/**
+ * MTN Mobile Money Open API. Collections use the Collection product
+ * (request to pay); refunds use the Disbursement product, which has its
+ * own API user and subscription key.
+ */
+class MtnMomoProvider extends PaymentProvider {
+    constructor() {
+        super({ name: 'mtn_momo', label: 'MTN Mobile Money' });
+    }
+
+    get config() {
+        return {
+            baseUrl: (process.env.MTN_MOMO_BASE_URL || 'https://sandbox.momodeveloper.mtn.com').replace(/\/+$/, ''),
+            // "sandbox" for testing, e.g. "mtnuganda" live
+            targetEnvironment: process.env.MTN_MOMO_TARGET_ENVIRONMENT || 'sandbox',
+            // The sandbox only accepts EUR
+            currency: (process.env.MTN_MOMO_CURRENCY || 'UGX').toUpperCase(),
+            collection: {
+                userId: process.env.MTN_MOMO_COLLECTION_USER_ID,
+                apiKey: process.env.MTN_MOMO_COLLECTION_API_KEY,
+                subscriptionKey: process.env.MTN_MOMO_COLLECTION_SUBSCRIPTION_KEY
+            },
+            disbursement: {
+                userId: process.env.MTN_MOMO_DISBURSEMENT_USER_ID,
+                apiKey: process.env.MTN_MOMO_DISBURSEMENT_API_KEY,
+                subscriptionKey: process.env.MTN_MOMO_DISBURSEMENT_SUBSCRIPTION_KEY
+            }
+        };
+    }
+
+    isConfigured() {
+        const { collection } = this.config;
+        return !!(collection.userId && collection.apiKey && collection.subscriptionKey);
+    }
+
+    canRefund() {
+        const { disbursement } = this.config;
+        return !!(disbursement.userId && disbursement.apiKey && disbursement.subscriptionKey);
+    }
+
+    getCurrencies() {
+        return [this.config.currency];
+    }
+
+    /**
+     * Authenticated request to one of the MoMo products
+     */
+    async request(product, { method = 'GET', path, data, headers = {} }) {
+        const axios = require('axios');
+        const config = this.config;
+        const credentials = config[product];
+
+        const token = await this.getCachedToken(product, async () => {
+            const response = await axios.post(`${config.baseUrl}/${product}/token/`, null, {
+                headers: {
+                    Authorization: `Basic ${Buffer.from(`${credentials.userId}:${credentials.apiKey}`).toString('base64')}`,
+                    'Ocp-Apim-Subscription-Key': credentials.subscriptionKey
+                },
+                timeout: 15000
+            });
+            return { token: response.data.access_token, expiresIn: response.data.expires_in };
+        });
+
+        return axios({
+            method,
+            url: `${config.baseUrl}/${product}${path}`,
+            data,
+            headers: {
+                Authorization: `Bearer ${token}`,
+                'X-Target-Environment': config.targetEnvironment,
+                'Ocp-Apim-Subscription-Key': credentials.subscriptionKey,
+                ...headers
+            },
+            timeout: 20000
+        });
+    }
+
+    async initiateCollection({ reference, amount, currency, phone, description, callbackUrl }) {
+        const referenceId = crypto.randomUUID();
+
+        try {
+            await this.request('collection', {
+                method: 'POST',
+                path: '/v1_0/requesttopay',
+                headers: {
+                    'X-Reference-Id': referenceId,
+                    // MoMo only calls back to HTTPS URLs
+                    ...(callbackUrl?.startsWith('https://') ? { 'X-Callback-Url': callbackUrl } : {})
+                },
+                data: {
+                    amount: String(amount),
+                    currency,
+                    externalId: reference,
+                    payer: { partyIdType: 'MSISDN', partyId: phone },
+                    payerMessage: String(description || 'SAPTech Uganda payment').slice(0, 160),
+                    payeeNote: reference
+                }
+            });
+        } catch (error) {
+            throw new Error(this.describeError(error));
+        }
+
+        return { providerReference: referenceId, status: 'pending', providerStatus: 'PENDING' };
+    }
+
+    async getCollectionStatus(payment) {
+        let data;
+        try {
+            ({ data } = await this.request('collection', { path: `/v1_0/requesttopay/${payment.providerReference}` }));
+        } catch (error) {
+            throw new Error(this.describeError(error));
+        }
+
+        const status = STATUS_MAP[data.status] || 'pending';
+        return {
+            status,
+            providerStatus: data.status,
+            providerTransactionId: data.financialTransactionId,
+            failureReason: status === 'failed' ? describeReason(data.reason) : undefined
+        };
+    }
+
+    // MTN calls back with the request's externalId, which is our reference
+    getWebhookReference(req) {
+        return req.body?.externalId || null;
+    }
+
+    async refund(payment, { reference, reason, amount = payment.amount }) {
+        if (!this.canRefund()) {
+            throw new Error('MTN Mobile Money refunds need the disbursement API user and keys');
+        }
+
+        const referenceId = crypto.randomUUID();
+        try {
+            await this.request('disbursement', {
+                method: 'POST',
+                path: '/v1_0/refund',
+                headers: { 'X-Reference-Id': referenceId },
+                data: {
+                    amount: String(amount),
+                    currency: payment.currency,
+                    externalId: reference,
+                    payerMessage: String(reason || `Refund of ${payment.description || 'your payment'}`).slice(0, 160),
+                    payeeNote: reference,
+                    referenceIdToRefund: payment.providerReference
+                }
+            });
+        } catch (error) {
+            throw new Error(this.describeError(error));
+        }
+
+        return { providerReference: referenceId, status: 'pending' };
+    }
+
+    async getRefundStatus(payment) {
+        let data;
+        try {
+            ({ data } = await this.request('disbursement', { path: `/v1_0/refund/${payment.refund.providerReference}` }));
+        } catch (error) {
+            throw new Error(this.describeError(error));
+        }
+
+        const status = STATUS_MAP[data.status] || 'pending';
+        return { status, failureReason: status === 'failed' ? describeReason(data.reason) : undefined };
+    }
+}
+
+module.exports = new MtnMomoProvider();
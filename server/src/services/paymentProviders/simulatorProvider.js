@@ -0,0 +1,66 @@
+const PaymentProvider = require('./PaymentProvider');
+
+// The last digit of the phone number picks the outcome, so every path can
+// be tried from the payment page without a real wallet
+const OUTCOMES = {
+    1: { status: 'failed', providerStatus: 'REJECTED', failureReason: 'The payer declined the request' },
+    2: { status: 'failed', providerStatus: 'NOT_ENOUGH_FUNDS', failureReason: 'The payer does not have enough funds' },
+    3: { status: 'pending', providerStatus: 'PENDING' }
+};
+
+const SUCCESS = { status: 'successful', providerStatus: 'SUCCESSFUL' };
+
+const getDelaySeconds = () => {
+    const seconds = Number(process.env.PAYMENT_SIMULATOR_DELAY_SECONDS);
+    return Number.isFinite(seconds) && seconds >= 0 ? seconds : 5;
+};
+
+/**
+ * Local stand-in for a mobile money provider, for development and testing.
+ * Nothing is stored: a request stays pending for a few seconds after it was
+ * made, then settles on the outcome for the phone number's last digit
+ * (1 declined, 2 not enough funds, 3 never completes, anything else paid).
+ * Refunds always succeed.
+ */
+class SimulatorProvider extends PaymentProvider {
+    constructor() {
+        super({ name: 'simulator', label: 'Test payments (simulator)' });
+    }
+
+    // Never offered in production unless switched on explicitly
+    isConfigured() {
+        if (process.env.PAYMENT_SIMULATOR_ENABLED) return process.env.PAYMENT_SIMULATOR_ENABLED === 'true';
+        return process.env.NODE_ENV !== 'production';
+    }
+
+    getCurrencies() {
+        return ['UGX', 'KES', 'TZS', 'RWF', 'USD', 'EUR'];
+    }
+
+    async initiateCollection({ reference }) {
+        return { providerReference: `SIM-${reference}`, status: 'pending', providerStatus: 'PENDING' };
+    }
+
+    async getCollectionStatus(payment) {
+        const elapsedSeconds = (Date.now() - new Date(payment.createdAt).getTime()) / 1000;
+        if (elapsedSeconds < getDelaySeconds()) {
+            return { status: 'pending', providerStatus: 'PENDING' };
+        }
+
+        const outcome = OUTCOMES[String(payment.phone).slice(-1)] || SUCCESS;
+        return {
+            ...outcome,
+            providerTransactionId: outcome.status === 'successful' ? `SIM${payment.reference.replace(/-/g, '').slice(0, 10).toUpperCase()}` : undefined
+        };
+    }
+
+    canRefund() {
+        return true;
+    }
+
+    async refund(payment, { reference }) {
+        return { providerReference: `SIM-${reference}`, status: 'successful' };
+    }
+}
+
+module.exports = new SimulatorProvider();
@@ -0,0 +1,661 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const Invoice = require('../models/Invoice');
+const Order = require('../models/Order');
+const { getProvider, getAvailableProviders } = require('./paymentProviders');
+const paymentLinkService = require('./paymentLinkService');
+const invoiceService = require('./invoiceService');
+const orderService = require('./orderService');
+const emailService = require('./emailService');
+const smsService = require('./smsAfricasTalkingService');
+
+const STATUS_CHECK_MS = 60 * 1000;
+
+// Don't ask the provider about the same payment more often than this
+const MIN_CHECK_INTERVAL_MS = 5 * 1000;
+
+// Mobile money wallets only move whole amounts in these currencies
+const WHOLE_UNIT_CURRENCIES = ['UGX', 'RWF', 'TZS'];
+
+const getPendingTimeoutMinutes = () => {
+    const minutes = Number(process.env.PAYMENT_PENDING_TIMEOUT_MINUTES);
+    return Number.isFinite(minutes) && minutes > 0 ? minutes : 15;
+};
+
+const getDefaultDialCode = () => String(process.env.PAYMENT_DEFAULT_DIAL_CODE || '256').replace(/\D/g, '');
+
+const getApiUrl = () => {
+    const url = process.env.API_PUBLIC_URL || process.env.BACKEND_PUBLIC_URL || process.env.SERVER_URL;
+    return url ? url.replace(/\/+$/, '') : null;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Amount the wallet is asked for, rounded up where there are no minor units
+const toChargeable = (amount, currency) => (
+    WHOLE_UNIT_CURRENCIES.includes(currency) ? Math.ceil(amount) : round(amount)
+);
+
+const formatMoney = (amount, currency) => `${currency} ${Number(amount || 0).toLocaleString('en-US', { maximumFractionDigits: 2 })}`;
+
+/**
+ * Online mobile money payments for invoices and orders: starting a
+ * collection with a provider, following it to a result through polling and
+ * webhooks, marking the invoice or order paid, receipts and refunds.
+ */
+class PaymentService {
+    /**
+     * Turn what a customer types (0772 123456, +256 772 123456, 772123456)
+     * into 256772123456. Returns null when it can't be a mobile number.
+     */
+    normalizePhone(value) {
+        let digits = String(value || '').replace(/\D/g, '');
+        if (digits.startsWith('00')) digits = digits.slice(2);
+
+        const dialCode = getDefaultDialCode();
+        if (digits.startsWith('0')) digits = `${dialCode}${digits.slice(1)}`;
+        else if (digits.length === 9) digits = `${dialCode}${digits}`;
+
+        return /^\d{10,15}$/.test(digits) ? digits : null;
+    }
+
+    async findTarget(type, id) {
+        if (!mongoose.Types.ObjectId.isValid(id)) return null;
+        if (type === 'invoice') return Invoice.findById(id);
+        if (type === 'order') return Order.findById(id);
+        return null;
+    }
+
+    /**
+     * What can be paid online right now, or null when nothing is owed or
+     * the invoice or order can't be paid online
+     */
+    getAmountDue(target) {
+        const due = target.getAmountDue();
+        return due ? { amount: toChargeable(due.amount, due.currency), currency: due.currency } : null;
+    }
+
+    describeTarget(type, target) {
+        return type === 'invoice'
+            ? `Invoice ${target.invoiceNumber}`
+            : `Order ${target.orderNumber}`;
+    }
+
+    /**
+     * What the customer sees about a payment
+     */
+    toPublicPayment(payment) {
+        return {
+            reference: payment.reference,
+            provider: payment.provider,
+            providerLabel: getProvider(payment.provider)?.label || payment.provider,
+            description: payment.description,
+            amount: payment.amount,
+            currency: payment.currency,
+            status: payment.status,
+            failureReason: payment.failureReason,
+            providerTransactionId: payment.providerTransactionId,
+            createdAt: payment.createdAt,
+            completedAt: payment.completedAt
+        };
+    }
+
+    /**
+     * Everything the payment page needs for a pay link. Returns
+     * { checkout } or { error, statusCode }.
+     */
+    async getCheckout(token) {
+        const link = paymentLinkService.verifyToken(token);
+        if (!link) return { error: 'This payment link is invalid or has expired', statusCode: 404 };
+
+        const target = await this.findTarget(link.type, link.id);
+        if (!target) return { error: 'This payment link is invalid or has expired', statusCode: 404 };
+
+        const due = this.getAmountDue(target);
+        const paid = link.type === 'invoice' ? target.status === 'paid' : target.paymentStatus === 'paid';
+        const pending = await Payment.findOne({ [link.type]: target._id, status: 'pending' }).sort({ createdAt: -1 });
+        const lastPayment = pending || await Payment.findOne({ [link.type]: target._id }).sort({ createdAt: -1 });
+
+        return {
+            checkout: {
+                type: link.type,
+                number: link.type === 'invoice' ? target.invoiceNumber : target.orderNumber,
+                title: link.type === 'invoice' ? target.title : `${target.items.length} product${target.items.length === 1 ? '' : 's'}`,
+                customerName: target.customerName,
+                items: target.items.map(item => ({
+                    description: item.description || item.productName,
+                    quantity: item.quantity,
+                    lineTotal: item.lineTotal
+                })),
+                currency: due ? due.currency : (target.currency || target.totals?.[0]?.currency),
+                total: link.type === 'invoice' ? target.total : target.totals?.[0]?.amount,
+                amountDue: due ? due.amount : 0,
+                dueDate: target.dueDate,
+                paid,
+                payable: !!due,
+                providers: due ? getAvailableProviders(due.currency).map(({ name, label }) => ({ name, label })) : [],
+                payment: lastPayment ? this.toPublicPayment(lastPayment) : null
+            }
+        };
+    }
+
+    /**
+     * Ask the payer's phone to approve a payment for an invoice or order.
+     * Returns { payment } or { error, statusCode, payment }.
+     */
+    async initiate({ type, id, provider: providerName, phone, payerName, payerEmail, initiatedBy = null, metadata = {} }) {
+        const target = await this.findTarget(type, id);
+        if (!target) return { error: `${type === 'invoice' ? 'Invoice' : 'Order'} not found`, statusCode: 404 };
+
+        const due = this.getAmountDue(target);
+        if (!due) return { error: `${this.describeTarget(type, target)} has nothing to pay online`, statusCode: 400 };
+
+        const provider = getProvider(providerName);
+        if (!provider || !provider.isConfigured()) {
+            return { error: 'Choose a payment method', statusCode: 400 };
+        }
+        if (!provider.supportsCurrency(due.currency)) {
+            return { error: `${provider.label} can't take payments in ${due.currency}`, statusCode: 400 };
+        }
+
+        const msisdn = this.normalizePhone(phone);
+        if (!msisdn) return { error: 'Enter the mobile money number to charge, e.g. 0772 123456', statusCode: 400 };
+
+        // One request at a time, so a customer can't be charged twice
+        const pending = await Payment.findOne({ [type]: target._id, status: 'pending' }).sort({ createdAt: -1 });
+        if (pending) {
+            await this.refreshStatus(pending, { force: true });
+            if (pending.status === 'pending') {
+                return {
+                    error: 'A payment request is already waiting for approval. Approve it on your phone or wait for it to expire.',
+                    statusCode: 409,
+                    payment: pending
+                };
+            }
+            if (pending.status === 'successful') {
+                return { error: 'This has just been paid', statusCode: 409, payment: pending };
+            }
+        }
+
+        const payment = new Payment({
+            provider: provider.name,
+            purpose: type,
+            [type]: target._id,
+            description: this.describeTarget(type, target),
+            amount: due.amount,
+            currency: due.currency,
+            phone: msisdn,
+            payerName: payerName || target.customerName,
+            payerEmail: payerEmail || target.customerEmail,
+            initiatedBy,
+            metadata
+        });
+        await payment.save();
+
+        let result;
+        try {
+            result = await provider.initiateCollection({
+                reference: payment.reference,
+                amount: payment.amount,
+                currency: payment.currency,
+                phone: payment.phone,
+                description: payment.description,
+                callbackUrl: getApiUrl() ? `${getApiUrl()}/api/payments/webhooks/${provider.name}` : null
+            });
+        } catch (error) {
+            console.error(`❌ ${provider.label} payment request ${payment.reference} failed:`, error.message);
+            payment.status = 'failed';
+            payment.failureReason = `${provider.label} could not be reached. Please try again.`;
+            await payment.save();
+            return { error: payment.failureReason, statusCode: 502, payment };
+        }
+
+        payment.providerReference = result.providerReference;
+        payment.providerStatus = result.providerStatus;
+        if (result.status === 'failed') {
+            payment.status = 'failed';
+            payment.failureReason = result.failureReason;
+            payment.completedAt = new Date();
+        }
+        await payment.save();
+
+        if (result.status === 'successful') {
+            await this.markSuccessful(payment, result);
+        }
+
+        return { payment };
+    }
+
+    /**
+     * Ask the provider about a pending payment or refund and act on the
+     * answer. Provider errors are logged and the payment is left as it was.
+     */
+    async refreshStatus(payment, { force = false } = {}) {
+        const waitingOnPayment = payment.status === 'pending';
+        const waitingOnRefund = payment.refund?.status === 'pending';
+        if (!waitingOnPayment && !waitingOnRefund) return payment;
+        if (!force && payment.lastCheckedAt && Date.now() - payment.lastCheckedAt.getTime() < MIN_CHECK_INTERVAL_MS) {
+            return payment;
+        }
+
+        const provider = getProvider(payment.provider);
+        if (!provider) return payment;
+
+        payment.lastCheckedAt = new Date();
+        payment.checkCount = (payment.checkCount || 0) + 1;
+
+        try {
+            if (waitingOnPayment) {
+                await this.refreshCollection(payment, provider);
+            } else {
+                await this.refreshRefund(payment, provider);
+            }
+        } catch (error) {
+            console.error(`❌ Status check for payment ${payment.reference} failed:`, error.message);
+            await Payment.updateOne(
+                { _id: payment._id },
+                { $set: { lastCheckedAt: payment.lastCheckedAt, checkCount: payment.checkCount } }
+            );
+        }
+
+        return payment;
+    }
+
+    async refreshCollection(payment, provider) {
+        // The request never reached the provider
+        if (!payment.providerReference) {
+            return this.markUnsuccessful(payment, { status: 'failed', failureReason: 'The payment request was not sent' });
+        }
+
+        const result = await provider.getCollectionStatus(payment);
+
+        if (result.status === 'successful') return this.markSuccessful(payment, result);
+        if (result.status === 'failed') return this.markUnsuccessful(payment, { ...result, status: 'failed' });
+
+        const expiresAt = payment.createdAt.getTime() + getPendingTimeoutMinutes() * 60 * 1000;
+        if (Date.now() > expiresAt) {
+            return this.markUnsuccessful(payment, {
+                status: 'expired',
+                providerStatus: result.providerStatus,
+                failureReason: 'The request was not approved in time'
+            });
+        }
+
+        await Payment.updateOne(
+            { _id: payment._id, status: 'pending' },
+            { $set: { providerStatus: result.providerStatus, lastCheckedAt: payment.lastCheckedAt, checkCount: payment.checkCount } }
+        );
+        payment.providerStatus = result.providerStatus;
+        return payment;
+    }
+
+    async refreshRefund(payment, provider) {
+        const result = await provider.getRefundStatus(payment);
+
+        if (result.status === 'successful') return this.completeRefund(payment);
+        if (result.status === 'failed') {
+            payment.refund.status = 'failed';
+            payment.refund.failureReason = result.failureReason;
+        }
+        await payment.save();
+        return payment;
+    }
+
+    /**
+     * Close a pending payment that didn't go through
+     */
+    async markUnsuccessful(payment, { status, providerStatus, failureReason }) {
+        const updated = await Payment.findOneAndUpdate(
+            { _id: payment._id, status: 'pending' },
+            {
+                $set: {
+                    status,
+                    providerStatus,
+                    failureReason,
+                    completedAt: new Date(),
+                    lastCheckedAt: payment.lastCheckedAt,
+                    checkCount: payment.checkCount
+                }
+            },
+            { new: true }
+        );
+
+        payment.set((updated || await Payment.findById(payment._id)).toObject());
+        return payment;
+    }
+
+    /**
+     * Record a successful payment, then mark the invoice or order paid and
+     * send receipts. The status is claimed atomically so a webhook and a
+     * poll arriving together only apply the payment once.
+     */
+    async markSuccessful(payment, { providerStatus, providerTransactionId }) {
+        const updated = await Payment.findOneAndUpdate(
+            { _id: payment._id, status: 'pending' },
+            {
+                $set: {
+                    status: 'successful',
+                    providerStatus,
+                    providerTransactionId,
+                    completedAt: new Date(),
+                    lastCheckedAt: payment.lastCheckedAt,
+                    checkCount: payment.checkCount
+                }
+            },
+            { new: true }
+        );
+
+        if (!updated) {
+            payment.set((await Payment.findById(payment._id)).toObject());
+            return payment;
+        }
+
+        payment.set(updated.toObject());
+        console.log(`✅ Payment ${payment.reference} of ${formatMoney(payment.amount, payment.currency)} received for ${payment.description}`);
+
+        try {
+            await this.applyPayment(payment);
+        } catch (error) {
+            console.error(`❌ Payment ${payment.reference} was received but could not be applied to ${payment.description}:`, error.message);
+        }
+
+        this.sendReceipts(payment).catch((error) => {
+            console.error(`❌ Error sending receipt for payment ${payment.reference}:`, error.message);
+        });
+
+        return payment;
+    }
+
+    /**
+     * Mark the invoice or order a successful payment was for as paid. Money
+     * it didn't need is flagged for a refund from the dashboard.
+     */
+    async applyPayment(payment) {
+        const provider = getProvider(payment.provider);
+        const note = `Paid online with ${provider?.label || payment.provider}`;
+
+        if (payment.purpose === 'invoice') {
+            const invoice = await Invoice.findById(payment.invoice);
+            if (!invoice) throw new Error('Invoice not found');
+            if (invoice.payments.some(entry => String(entry.onlinePayment) === String(payment._id))) return;
+
+            // The invoice may have been settled some other way while the
+            // customer was approving
+            if (!invoice.isOpen() || invoice.balanceDue <= 0) {
+                await this.flagForRefund(payment, payment.amount);
+                throw new Error(`invoice is ${invoice.status.replace('_', ' ')}; the payment is flagged for a refund`);
+            }
+
+            // Only what's still owed counts towards the invoice
+            const result = await invoiceService.recordPayment(invoice, {
+                amount: payment.amount,
+                method: 'mobile_money',
+                reference: payment.providerTransactionId || payment.reference,
+                paidAt: payment.completedAt,
+                note,
+                onlinePayment: payment._id,
+                upToBalance: true
+            });
+            if (result.error) {
+                await this.flagForRefund(payment, payment.amount);
+                throw new Error(`${result.error}; the payment is flagged for a refund`);
+            }
+            if (result.excess > 0) {
+                await this.flagForRefund(payment, result.excess);
+                console.warn(`⚠️ Payment ${payment.reference} was ${formatMoney(result.excess, payment.currency)} more than the balance of ${payment.description}; flagged for a refund`);
+            }
+            return;
+        }
+
+        const order = await Order.findOneAndUpdate(
+            { _id: payment.order, paymentStatus: 'unpaid' },
+            { $set: { paymentStatus: 'paid', paidAt: payment.completedAt, payment: payment._id } },
+            { new: true }
+        );
+        if (!order) {
+            await this.flagForRefund(payment, payment.amount);
+            throw new Error('order is not awaiting payment; the payment is flagged for a refund');
+        }
+
+        // Paying a new order confirms it; the receipt stands in for the status email
+        if (order.status === 'new') {
+            await orderService.updateStatus(order, 'confirmed', {
+                note: `${note} (${payment.providerTransactionId || payment.reference})`,
+                notify: false
+            });
+        }
+    }
+
+    /**
+     * Note how much of a payment should go back to the payer
+     */
+    async flagForRefund(payment, excessAmount) {
+        payment.needsRefund = true;
+        payment.excessAmount = round(excessAmount);
+        await Payment.updateOne(
+            { _id: payment._id },
+            { $set: { needsRefund: true, excessAmount: payment.excessAmount } }
+        );
+    }
+
+    /**
+     * Email and text the payer a receipt
+     */
+    async sendReceipts(payment) {
+        const target = await this.findTarget(payment.purpose, payment[payment.purpose]);
+        const providerLabel = getProvider(payment.provider)?.label || payment.provider;
+
+        const results = await Promise.allSettled([
+            emailService.sendPaymentReceipt(payment, {
+                providerLabel,
+                to: payment.payerEmail || target?.customerEmail,
+                customerName: payment.payerName || target?.customerName,
+                balanceDue: payment.purpose === 'invoice' && target ? target.balanceDue : null
+            }),
+            smsService.sendPaymentReceipt(payment, { providerLabel })
+        ]);
+
+        results
+            .filter(result => result.status === 'rejected')
+            .forEach(result => console.error(`❌ Receipt for payment ${payment.reference} failed:`, result.reason?.message || result.reason));
+
+        if (results[0].status === 'fulfilled') {
+            payment.receiptSentAt = new Date();
+            await Payment.updateOne({ _id: payment._id }, { $set: { receiptSentAt: payment.receiptSentAt } });
+        }
+    }
+
+    /**
+     * Follow up on a provider's webhook call. The body only tells us which
+     * payment changed; the outcome always comes from the provider's API.
+     * Returns the payment, or null when the call isn't for one of ours.
+     */
+    async handleWebhook(providerName, req) {
+        const provider = getProvider(providerName);
+        if (!provider) return null;
+
+        const reference = provider.getWebhookReference(req);
+        if (!reference) return null;
+
+        const payment = await Payment.findOne({
+            provider: provider.name,
+            $or: [{ reference: String(reference) }, { providerReference: String(reference) }]
+        });
+        if (!payment) return null;
+
+        return this.refreshStatus(payment, { force: true });
+    }
+
+    /**
+     * Send money from a successful payment back to the payer. `amount`
+     * defaults to the overpayment when one is flagged, otherwise the whole
+     * payment; only a full refund undoes the payment on the invoice or
+     * order. Returns { payment } or { error, statusCode }.
+     */
+    async refund(payment, { reason, requestedBy = null, amount } = {}) {
+        if (payment.status !== 'successful') {
+            return { error: `Only successful payments can be refunded; this one is ${payment.status}`, statusCode: 400 };
+        }
+        if (payment.refund && payment.refund.status !== 'failed') {
+            return { error: `A refund is already ${payment.refund.status === 'pending' ? 'in progress' : 'done'}`, statusCode: 409 };
+        }
+
+        const provider = getProvider(payment.provider);
+        if (!provider || !provider.canRefund()) {
+            return { error: `Refunds can't be sent through ${provider?.label || payment.provider} from here`, statusCode: 400 };
+        }
+
+        const defaultAmount = payment.needsRefund && payment.excessAmount > 0 ? payment.excessAmount : payment.amount;
+        const refundAmount = amount === undefined || amount === null || amount === ''
+            ? defaultAmount
+            : toChargeable(Number(amount), payment.currency);
+        if (!Number.isFinite(refundAmount) || refundAmount <= 0 || refundAmount > payment.amount) {
+            return { error: `Enter a refund amount up to ${formatMoney(payment.amount, payment.currency)}`, statusCode: 400 };
+        }
+
+        const claimed = await Payment.findOneAndUpdate(
+            {
+                _id: payment._id,
+                status: 'successful',
+                $or: [{ refund: null }, { 'refund.status': 'failed' }]
+            },
+            {
+                $set: {
+                    refund: {
+                        reference: crypto.randomUUID(),
+                        amount: refundAmount,
+                        status: 'pending',
+                        reason,
+                        requestedBy,
+                        requestedAt: new Date()
+                    }
+                }
+            },
+            { new: true }
+        );
+        if (!claimed) return { error: 'A refund is already in progress', statusCode: 409 };
+        payment.set(claimed.toObject());
+
+        let result;
+        try {
+            result = await provider.refund(payment, { reference: payment.refund.reference, reason, amount: refundAmount });
+        } catch (error) {
+            console.error(`❌ Refund of payment ${payment.reference} failed:`, error.message);
+            payment.refund.status = 'failed';
+            payment.refund.failureReason = error.message;
+            await payment.save();
+            return { error: `The refund could not be sent: ${error.message}`, statusCode: 502 };
+        }
+
+        payment.refund.providerReference = result.providerReference;
+        if (result.status === 'failed') {
+            payment.refund.status = 'failed';
+            payment.refund.failureReason = result.failureReason;
+            await payment.save();
+            return { error: result.failureReason || 'The refund was declined', statusCode: 502 };
+        }
+        await payment.save();
+
+        if (result.status === 'successful') {
+            await this.completeRefund(payment);
+        }
+
+        return { payment };
+    }
+
+    /**
+     * A refund went through: let the payer know and, when it was the whole
+     * payment, void it on the invoice or mark the order refunded. A partial
+     * refund only settles the flagged overpayment.
+     */
+    async completeRefund(payment) {
+        const full = !(payment.refund.amount < payment.amount);
+        const updated = await Payment.findOneAndUpdate(
+            { _id: payment._id, 'refund.status': 'pending' },
+            {
+                $set: {
+                    status: full ? 'refunded' : 'successful',
+                    needsRefund: false,
+                    excessAmount: 0,
+                    'refund.status': 'successful',
+                    'refund.completedAt': new Date(),
+                    'refund.providerReference': payment.refund.providerReference,
+                    lastCheckedAt: payment.lastCheckedAt,
+                    checkCount: payment.checkCount
+                }
+            },
+            { new: true }
+        );
+
+        payment.set((updated || await Payment.findById(payment._id)).toObject());
+        if (!updated) return payment;
+
+        const reason = payment.refund.reason ? `Refunded: ${payment.refund.reason}` : 'Refunded to the payer';
+        if (full && payment.purpose === 'invoice') {
+            const invoice = await Invoice.findById(payment.invoice);
+            const entry = invoice?.payments.find(item => String(item.onlinePayment) === String(payment._id) && !item.voidedAt);
+            if (entry) {
+                await invoiceService.voidPayment(invoice, entry._id, { reason, voidedBy: payment.refund.requestedBy });
+            }
+        } else if (full) {
+            await Order.updateOne(
+                { _id: payment.order, payment: payment._id },
+                { $set: { paymentStatus: 'refunded' } }
+            );
+        }
+
+        const target = await this.findTarget(payment.purpose, payment[payment.purpose]);
+        emailService.sendPaymentRefund(payment, {
+            providerLabel: getProvider(payment.provider)?.label || payment.provider,
+            to: payment.payerEmail || target?.customerEmail,
+            customerName: payment.payerName || target?.customerName
+        }).catch((error) => {
+            console.error(`❌ Error sending refund email for payment ${payment.reference}:`, error.message);
+        });
+
+        console.log(`✅ Payment ${payment.reference} refunded`);
+        return payment;
+    }
+
+    /**
+     * Check on payments and refunds still waiting for the provider, in case
+     * a webhook never arrives
+     */
+    async checkPending() {
+        const recheckBefore = new Date(Date.now() - STATUS_CHECK_MS / 2);
+        const payments = await Payment.find({
+            $and: [
+                { $or: [{ status: 'pending' }, { 'refund.status': 'pending' }] },
+                { $or: [{ lastCheckedAt: null }, { lastCheckedAt: { $lte: recheckBefore } }] }
+            ]
+        }).sort({ createdAt: 1 }).limit(50);
+
+        for (const payment of payments) {
+            await this.refreshStatus(payment, { force: true });
+        }
+
+        return payments.length;
+    }
+
+    /**
+     * Poll pending payments every minute
+     */
+    startStatusScheduler() {
+        if (this.statusTimer) return;
+
+        const run = async () => {
+            try {
+                await this.checkPending();
+            } catch (error) {
+                console.error('❌ Payment status check failed:', error.message);
+            }
+        };
+
+        run();
+        this.statusTimer = setInterval(run, STATUS_CHECK_MS);
+        this.statusTimer.unref();
+    }
+}
+
+module.exports = new PaymentService();
@@ -0,0 +1,328 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Quotation = require('../models/Quotation');
+const ServiceQuote = require('../models/ServiceQuote');
+const Order = require('../models/Order');
+const emailService = require('./emailService');
+const orderService = require('./orderService');
+const salesDocumentPdfService = require('./salesDocumentPdfService');
+const { getClientUrl } = require('../utils/clientUrl');
+
+const DEFAULT_TERMS = [
+    'Prices are quoted in the currency shown and include VAT where stated.',
+    '50% of the total is payable on acceptance and the balance on delivery or completion, unless agreed otherwise in writing.',
+    'Delivery and project timelines start once the deposit is received.',
+    'This quotation is valid until the date shown. Prices may change after that date.'
+].join('\n');
+
+// Fields an admin can set when creating or editing a quotation
+const EDITABLE_FIELDS = [
+    'title', 'customerName', 'customerEmail', 'customerPhone', 'companyName',
+    'items', 'currency', 'discountAmount', 'taxRate', 'validUntil', 'notes', 'terms'
+];
+
+const ITEM_FIELDS = ['description', 'details', 'product', 'quantity', 'unit', 'unitPrice', 'discountPercent'];
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const pick = (source, fields) => fields.reduce((result, field) => {
+    if (source[field] !== undefined) result[field] = source[field];
+    return result;
+}, {});
+
+const formatMoney = (amount, currency) => `${currency} ${Number(amount || 0).toLocaleString('en-US', { maximumFractionDigits: 2 })}`;
+
+const formatDate = (value) => new Date(value).toLocaleDateString('en-GB', {
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric'
+});
+
+/**
+ * Formal quotations answering a service quote request or a cart order:
+ * drafting from the request, the branded PDF, sending it with a private
+ * accept/decline link, and what happens when the customer responds.
+ */
+class QuotationService {
+    getLink(token) {
+        return `${getClientUrl()}/quotations/${token}`;
+    }
+
+    /**
+     * Give a quotation a new customer link token. Only the hash is stored,
+     * so sending again replaces the previous link. Does not save.
+     */
+    issueToken(quotation) {
+        const token = crypto.randomBytes(32).toString('base64url');
+        quotation.publicTokenHash = hashToken(token);
+        return token;
+    }
+
+    async findByToken(token) {
+        return Quotation.findOne({ publicTokenHash: hashToken(token) });
+    }
+
+    /**
+     * Starting values for a quotation answering a service quote request.
+     * The admin fills in the prices.
+     */
+    draftFromServiceQuote(serviceQuote) {
+        return {
+            serviceQuote: serviceQuote._id,
+            title: serviceQuote.serviceName,
+            customerName: serviceQuote.customerName,
+            customerEmail: serviceQuote.customerEmail,
+            customerPhone: serviceQuote.customerPhone,
+            companyName: serviceQuote.companyName,
+            items: [{ description: serviceQuote.serviceName, quantity: 1, unitPrice: 0 }],
+            notes: serviceQuote.projectDetails ? `Based on your request: ${serviceQuote.projectDetails}`.slice(0, 2000) : undefined
+        };
+    }
+
+    /**
+     * Starting values for a quotation on a cart order, using the prices
+     * snapshotted on the order. Items without a listed price start at 0.
+     */
+    draftFromOrder(order) {
+        const currency = order.totals?.[0]?.currency || order.items[0]?.currency || 'UGX';
+        return {
+            order: order._id,
+            title: `Order ${order.orderNumber}`,
+            customerName: order.customerName,
+            customerEmail: order.customerEmail,
+            customerPhone: order.customerPhone,
+            currency,
+            items: order.items.map(item => ({
+                description: item.productName,
+                details: item.currency !== currency && item.unitPrice !== null
+                    ? `Listed at ${item.currency} ${item.unitPrice}`
+                    : undefined,
+                product: item.product,
+                quantity: item.quantity,
+                unitPrice: item.currency === currency ? (item.unitPrice || 0) : 0
+            }))
+        };
+    }
+
+    /**
+     * Create a draft quotation from a service quote request or an order.
+     * Values in `fields` override the drafted ones.
+     * Returns { quotation } or { error, statusCode }.
+     */
+    async createQuotation({ serviceQuoteId, orderId, fields = {}, createdBy = null }) {
+        let draft = {};
+
+        if (serviceQuoteId) {
+            if (!mongoose.Types.ObjectId.isValid(serviceQuoteId)) return { error: 'Invalid service quote ID', statusCode: 400 };
+            const serviceQuote = await ServiceQuote.findById(serviceQuoteId);
+            if (!serviceQuote) return { error: 'Service quote not found', statusCode: 404 };
+            draft = this.draftFromServiceQuote(serviceQuote);
+        } else if (orderId) {
+            if (!mongoose.Types.ObjectId.isValid(orderId)) return { error: 'Invalid order ID', statusCode: 400 };
+            const order = await Order.findById(orderId);
+            if (!order) return { error: 'Order not found', statusCode: 404 };
+            draft = this.draftFromOrder(order);
+        } else {
+            return { error: 'Choose a service quote request or an order to quote', statusCode: 400 };
+        }
+
+        const quotation = new Quotation({
+            ...draft,
+            terms: DEFAULT_TERMS,
+            createdBy
+        });
+        this.applyChanges(quotation, fields);
+        await quotation.save();
+
+        return { quotation };
+    }
+
+    /**
+     * Copy the editable fields from an admin's request onto a quotation.
+     * Does not save.
+     */
+    applyChanges(quotation, body = {}) {
+        const changes = pick(body, EDITABLE_FIELDS);
+
+        if (Array.isArray(changes.items)) {
+            changes.items = changes.items.map(item => pick(item || {}, ITEM_FIELDS));
+        } else {
+            delete changes.items;
+        }
+
+        quotation.set(changes);
+        return quotation;
+    }
+
+    /**
+     * A sent quotation past its validity date becomes expired. Saves when
+     * it changes.
+     */
+    async refreshExpiry(quotation) {
+        if (quotation.status === 'sent' && quotation.isExpired()) {
+            quotation.status = 'expired';
+            await quotation.save();
+        }
+        return quotation;
+    }
+
+    async renderPdf(quotation) {
+        return salesDocumentPdfService.render({
+            title: 'Quotation',
+            number: quotation.quotationNumber,
+            currency: quotation.currency,
+            metaRows: [
+                { label: 'Date', value: formatDate(quotation.sentAt || quotation.createdAt) },
+                { label: 'Valid until', value: formatDate(quotation.validUntil) },
+                { label: 'Reference', value: quotation.title }
+            ],
+            billTo: [
+                quotation.companyName || quotation.customerName,
+                quotation.companyName ? `Attn: ${quotation.customerName}` : '',
+                quotation.customerEmail,
+                quotation.customerPhone
+            ],
+            items: quotation.items,
+            totalRows: [
+                { label: 'Subtotal', value: formatMoney(quotation.subtotal, quotation.currency) },
+                ...(quotation.discountAmount
+                    ? [{ label: 'Discount', value: `- ${formatMoney(quotation.discountAmount, quotation.currency)}` }]
+                    : []),
+                ...(quotation.taxRate
+                    ? [{ label: `VAT (${quotation.taxRate}%)`, value: formatMoney(quotation.taxAmount, quotation.currency) }]
+                    : []),
+                { label: 'Total', value: formatMoney(quotation.total, quotation.currency), bold: true }
+            ],
+            sections: [
+                { title: 'Notes', text: quotation.notes },
+                { title: 'Terms and conditions', text: quotation.terms }
+            ]
+        });
+    }
+
+    /**
+     * Email the quotation to the customer with the PDF and a new
+     * accept/decline link. Marks the service quote request as quoted.
+     * Returns { quotation } or { error }.
+     */
+    async send(quotation) {
+        if (!quotation.isEditable()) {
+            return { error: `A ${quotation.status} quotation can't be sent` };
+        }
+        if (quotation.isExpired()) {
+            return { error: 'The validity date has passed. Set a new date before sending.' };
+        }
+        if (quotation.total <= 0) {
+            return { error: 'Add prices before sending the quotation' };
+        }
+
+        const token = this.issueToken(quotation);
+        quotation.status = 'sent';
+        quotation.sentAt = new Date();
+        await quotation.save();
+
+        if (quotation.serviceQuote) {
+            const serviceQuote = await ServiceQuote.findById(quotation.serviceQuote);
+            if (serviceQuote && ['new', 'contacted', 'quoted'].includes(serviceQuote.status)) {
+                serviceQuote.status = 'quoted';
+                if (!serviceQuote.metadata.respondedAt) serviceQuote.metadata.respondedAt = new Date();
+                await serviceQuote.save();
+            }
+        }
+
+        const pdf = await this.renderPdf(quotation);
+        await emailService.sendQuotation(quotation, { link: this.getLink(token), pdf });
+
+        return { quotation };
+    }
+
+    /**
+     * The customer's answer from their quotation link. Accepting marks the
+     * service quote request accepted or confirms the order.
+     * Returns { quotation } or { error }.
+     */
+    async respond(quotation, decision, note = '') {
+        await this.refreshExpiry(quotation);
+
+        if (quotation.status === 'expired') {
+            return { error: 'This quotation has expired. Please contact us for an updated quotation.' };
+        }
+        if (quotation.status !== 'sent') {
+            return { error: `This quotation was already ${quotation.status}` };
+        }
+
+        // Claimed in one step so a double click, or an accept racing a
+        // decline or a withdrawal, only goes through once
+        const status = decision === 'accept' ? 'accepted' : 'declined';
+        const claimed = await Quotation.findOneAndUpdate(
+            { _id: quotation._id, status: 'sent' },
+            { $set: { status, respondedAt: new Date(), responseNote: note || undefined } },
+            { new: true, runValidators: true }
+        );
+        if (!claimed) {
+            const current = await Quotation.findById(quotation._id);
+            if (current) quotation.set(current.toObject());
+            return { error: `This quotation was already ${quotation.status}` };
+        }
+        quotation.set(claimed.toObject());
+
+        if (quotation.serviceQuote) {
+            await ServiceQuote.updateOne(
+                { _id: quotation.serviceQuote },
+                { status: quotation.status === 'accepted' ? 'accepted' : 'rejected' }
+            );
+        }
+
+        if (quotation.order && quotation.status === 'accepted') {
+            const order = await Order.findById(quotation.order);
+            if (order && order.canTransitionTo('confirmed')) {
+                await orderService.updateStatus(order, 'confirmed', {
+                    note: `Quotation ${quotation.quotationNumber} accepted`,
+                    notify: false
+                });
+            }
+        }
+
+        emailService.sendQuotationResponseToAdmin(quotation).catch((error) => {
+            console.error('Error sending quotation response email:', error.message);
+        });
+
+        return { quotation };
+    }
+
+    /**
+     * What the customer sees on their quotation page
+     */
+    toPublic(quotation) {
+        return {
+            quotationNumber: quotation.quotationNumber,
+            title: quotation.title,
+            customerName: quotation.customerName,
+            companyName: quotation.companyName,
+            items: quotation.items.map(item => ({
+                description: item.description,
+                details: item.details,
+                quantity: item.quantity,
+                unit: item.unit,
+                unitPrice: item.unitPrice,
+                discountPercent: item.discountPercent,
+                lineTotal: item.lineTotal
+            })),
+            currency: quotation.currency,
+            subtotal: quotation.subtotal,
+            discountAmount: quotation.discountAmount,
+            taxRate: quotation.taxRate,
+            taxAmount: quotation.taxAmount,
+            total: quotation.total,
+            validUntil: quotation.validUntil,
+            notes: quotation.notes,
+            terms: quotation.terms,
+            status: quotation.status,
+            sentAt: quotation.sentAt,
+            respondedAt: quotation.respondedAt,
+            canRespond: quotation.status === 'sent'
+        };
+    }
+}
+
+module.exports = new QuotationService();
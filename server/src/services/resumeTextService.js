@@ -0,0 +1,261 @@
+const path = require('path');
+const fs = require('fs').promises;
+const JobApplication = require('../models/JobApplication');
+
+const MAX_TEXT_LENGTH = 100000;
+const MAX_FILE_BYTES = 8 * 1024 * 1024;
+const SNIPPET_RADIUS = 120;
+const EXTRACTABLE_TYPES = ['pdf', 'docx', 'txt', 'rtf'];
+
+const escapeRegex = (value = '') => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Collapse the whitespace extractors leave behind and cap the stored size
+const cleanText = (value = '') => String(value || '')
+    .replace(/\u0000/g, '')
+    .replace(/[ \t\f\v ]+/g, ' ')
+    .replace(/\s*\n\s*/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+    .slice(0, MAX_TEXT_LENGTH);
+
+const RTF_SKIPPED_GROUP = /^\{\\(?:\*|fonttbl|colortbl|stylesheet|info|pict|header|footer)/;
+
+// Drop RTF groups that hold formatting tables or pictures rather than text
+const stripRtfGroups = (rtf = '') => {
+    let output = '';
+    let index = 0;
+
+    while (index < rtf.length) {
+        if (rtf[index] === '{' && rtf[index - 1] !== '\\' && RTF_SKIPPED_GROUP.test(rtf.slice(index, index + 12))) {
+            let depth = 0;
+            do {
+                if (rtf[index] === '\\') index += 1;
+                else if (rtf[index] === '{') depth += 1;
+                else if (rtf[index] === '}') depth -= 1;
+                index += 1;
+            } while (depth > 0 && index < rtf.length);
+        } else {
+            output += rtf[index];
+            index += 1;
+        }
+    }
+
+    return output;
+};
+
+// Plain text from RTF: skipped groups first, then control words and braces
+const rtfToText = (rtf = '') => stripRtfGroups(rtf)
+    .replace(/\\par[d]?\b/g, '\n')
+    .replace(/\\'([0-9a-f]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)))
+    .replace(/\\u(-?\d+)\??/g, (match, code) => String.fromCharCode((Number(code) + 65536) % 65536))
+    .replace(/\\[a-z]+-?\d* ?/gi, '')
+    .replace(/\\([{}\\])|[{}]/g, (match, escaped) => escaped || '');
+
+/**
+ * Resume text for the candidate database: pulling plain text out of uploaded
+ * PDF, Word and text resumes, and searching it across every application
+ * received, one row per candidate email.
+ */
+class ResumeTextService {
+    getFileType(file) {
+        const extension = path.extname(file?.originalName || file?.url || '').slice(1).toLowerCase();
+        if (file?.mimeType === 'application/pdf' || extension === 'pdf') return 'pdf';
+        if (extension === 'docx' || file?.mimeType === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') return 'docx';
+        if (extension === 'rtf' || ['application/rtf', 'text/rtf'].includes(file?.mimeType)) return 'rtf';
+        if (extension === 'txt' || file?.mimeType === 'text/plain') return 'txt';
+        return extension || null;
+    }
+
+    /**
+     * Read a stored upload from Cloudinary or the local uploads folder
+     */
+    async loadFileBytes(url) {
+        if (/^https?:\/\//i.test(url)) {
+            const axios = require('axios');
+            const response = await axios.get(url, {
+                responseType: 'arraybuffer',
+                timeout: 15000,
+                maxContentLength: MAX_FILE_BYTES
+            });
+            return Buffer.from(response.data);
+        }
+
+        if (url?.startsWith('/uploads/')) {
+            const uploadsDir = path.join(__dirname, '../../uploads');
+            const filePath = path.join(__dirname, '../..', url);
+            if (!filePath.startsWith(uploadsDir + path.sep)) {
+                throw new Error(`Resume path is outside the uploads folder: ${url}`);
+            }
+            return fs.readFile(filePath);
+        }
+
+        throw new Error(`Unsupported resume location: ${url}`);
+    }
+
+    async extractText(buffer, type) {
+        switch (type) {
+            case 'pdf': {
+                // The package entry point runs a self-test when loaded directly
+                const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+                const result = await pdfParse(buffer);
+                return cleanText(result.text);
+            }
+            case 'docx': {
+                const mammoth = require('mammoth');
+                const result = await mammoth.extractRawText({ buffer });
+                return cleanText(result.value);
+            }
+            case 'rtf':
+                return cleanText(rtfToText(buffer.toString('latin1')));
+            case 'txt':
+                return cleanText(buffer.toString('utf8'));
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Extract and store the resume text for one application. Never throws;
+     * the outcome is recorded in resumeTextStatus.
+     */
+    async extractForApplication(application) {
+        const file = application.resumeFile;
+        if (!file?.url) return null;
+
+        const type = this.getFileType(file);
+        let update;
+
+        if (!EXTRACTABLE_TYPES.includes(type)) {
+            update = { resumeText: '', resumeTextStatus: 'unsupported' };
+        } else {
+            try {
+                const text = await this.extractText(await this.loadFileBytes(file.url), type);
+                update = { resumeText: text || '', resumeTextStatus: text ? 'extracted' : 'empty' };
+            } catch (error) {
+                console.error(`Error extracting resume text for application ${application._id}:`, error.message);
+                update = { resumeText: '', resumeTextStatus: 'failed' };
+            }
+        }
+
+        update.resumeTextExtractedAt = new Date();
+        await JobApplication.updateOne({ _id: application._id }, { $set: update });
+        return update.resumeTextStatus;
+    }
+
+    /**
+     * Extract text for resumes that were uploaded before extraction existed
+     * (or all of them with force). Returns counts per outcome.
+     */
+    async backfill({ force = false, onProgress } = {}) {
+        const filter = { 'resumeFile.url': { $exists: true, $ne: '' } };
+        if (!force) filter.resumeTextStatus = { $exists: false };
+
+        const counts = { extracted: 0, empty: 0, unsupported: 0, failed: 0 };
+        const cursor = JobApplication.find(filter).select('resumeFile').lean().cursor();
+
+        for await (const application of cursor) {
+            const status = await this.extractForApplication(application);
+            if (status) counts[status] += 1;
+            if (onProgress) onProgress(application, status);
+        }
+
+        return counts;
+    }
+
+    /**
+     * A short excerpt of the resume around the first matching search term
+     */
+    buildSnippet(text = '', query = '') {
+        if (!text) return '';
+
+        const terms = String(query).match(/[\p{L}\p{N}+#.]{2,}/gu) || [];
+        const match = terms.length ? new RegExp(terms.map(escapeRegex).join('|'), 'i').exec(text) : null;
+        const start = match ? Math.max(0, match.index - SNIPPET_RADIUS) : 0;
+        const end = Math.min(text.length, (match ? match.index + match[0].length : 0) + SNIPPET_RADIUS * 2);
+        const snippet = text.slice(start, end).replace(/\s+/g, ' ').trim();
+
+        return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+    }
+
+    /**
+     * Search every application received, grouped by candidate email. With a
+     * query, ranks by text relevance across resumes, cover letters, names and
+     * tags; without one, lists candidates by their latest application.
+     */
+    async searchCandidates({ q = '', page = 1, limit = 20 } = {}) {
+        const query = String(q || '').trim();
+        const skip = (page - 1) * limit;
+
+        const pipeline = [];
+        if (query) {
+            pipeline.push(
+                { $match: { $text: { $search: query } } },
+                { $addFields: { score: { $meta: 'textScore' } } }
+            );
+        }
+
+        pipeline.push(
+            {
+                $group: {
+                    _id: '$email',
+                    score: { $max: query ? '$score' : 0 },
+                    lastAppliedAt: { $max: '$createdAt' }
+                }
+            },
+            { $sort: query ? { score: -1, lastAppliedAt: -1 } : { lastAppliedAt: -1 } },
+            {
+                $facet: {
+                    candidates: [{ $skip: skip }, { $limit: limit }],
+                    total: [{ $count: 'count' }]
+                }
+            }
+        );
+
+        const [result] = await JobApplication.aggregate(pipeline);
+        const groups = result?.candidates || [];
+        const total = result?.total?.[0]?.count || 0;
+
+        // Every application from the candidates on this page, not just the matching ones
+        const applications = await JobApplication.find({ email: { $in: groups.map(group => group._id) } })
+            .select('email fullName phone job status tags resumeFile resumeTextStatus resumeText createdAt')
+            .populate('job', 'title department')
+            .sort({ createdAt: -1 })
+            .lean();
+
+        const candidates = groups.map(group => {
+            const history = applications.filter(application => application.email === group._id);
+            const latest = history[0] || {};
+
+            return {
+                email: group._id,
+                fullName: latest.fullName,
+                phone: latest.phone,
+                score: query ? Math.round(group.score * 100) / 100 : null,
+                lastAppliedAt: group.lastAppliedAt,
+                tags: [...new Set(history.flatMap(application => application.tags || []))],
+                resumeFile: history.find(application => application.resumeFile?.url)?.resumeFile || null,
+                snippet: this.buildSnippet(history.find(application => application.resumeText)?.resumeText, query),
+                applications: history.map(application => ({
+                    _id: application._id,
+                    job: application.job || null,
+                    status: application.status,
+                    resumeTextStatus: application.resumeTextStatus || null,
+                    createdAt: application.createdAt
+                }))
+            };
+        });
+
+        return {
+            candidates,
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(total / limit) || 1,
+                totalItems: total,
+                hasNextPage: page < Math.ceil(total / limit),
+                hasPrevPage: page > 1
+            }
+        };
+    }
+}
+
+module.exports = new ResumeTextService();
@@ -0,0 +1,298 @@
+const { PDFDocument, rgb, StandardFonts } = require('pdf-lib');
+const fs = require('fs').promises;
+const path = require('path');
+const emailService = require('./emailService');
+
+const LOGO_PATH = path.join(__dirname, '../../public/images/logo.png');
+
+// A4 portrait, in PDF points
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 50;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+const FOOTER_SPACE = 60;
+
+const COLORS = {
+    brand: rgb(0.02, 0.59, 0.41),
+    text: rgb(0.12, 0.16, 0.23),
+    muted: rgb(0.39, 0.45, 0.55),
+    line: rgb(0.89, 0.91, 0.94),
+    headerFill: rgb(0.94, 0.99, 0.96)
+};
+
+// Item table columns, left to right. Description takes what's left.
+const COLUMNS = [
+    { key: 'index', label: '#', width: 22, align: 'left' },
+    { key: 'description', label: 'Description', width: null, align: 'left' },
+    { key: 'quantity', label: 'Qty', width: 48, align: 'right' },
+    { key: 'unitPrice', label: 'Unit price', width: 82, align: 'right' },
+    { key: 'discount', label: 'Disc.', width: 40, align: 'right' },
+    { key: 'amount', label: 'Amount', width: 90, align: 'right' }
+];
+
+const formatMoney = (amount, currency) => `${currency} ${Number(amount || 0).toLocaleString('en-US', {
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 2
+})}`;
+
+const formatQuantity = (quantity, unit) => `${Number(quantity).toLocaleString('en-US', { maximumFractionDigits: 2 })}${unit ? ` ${unit}` : ''}`;
+
+/**
+ * Branded A4 PDFs for quotations and other sales documents: company header,
+ * customer block, an item table that runs over as many pages as it needs,
+ * totals and free-text sections such as terms. Drawn with the standard PDF
+ * fonts, like certificates.
+ */
+class SalesDocumentPdfService {
+    /**
+     * Render a sales document and return the PDF bytes.
+     *
+     * document: { title, number, metaRows: [{ label, value }], billTo: [lines],
+     *   currency, items, totalRows: [{ label, value, bold }], sections: [{ title, text }] }
+     */
+    async render(document) {
+        const pdfDoc = await PDFDocument.create();
+        const fonts = {
+            regular: await pdfDoc.embedFont(StandardFonts.Helvetica),
+            bold: await pdfDoc.embedFont(StandardFonts.HelveticaBold)
+        };
+        const supported = new Set(fonts.regular.getCharacterSet());
+        const brand = emailService.brand || {};
+
+        pdfDoc.setTitle(`${document.title} ${document.number}`);
+        pdfDoc.setAuthor(brand.legalName || brand.name || '');
+        pdfDoc.setCreator(brand.name || '');
+
+        // The standard fonts only cover Latin-1, so anything else is replaced
+        const clean = (value) => Array.from(String(value ?? ''))
+            .map(char => (char === '\n' || supported.has(char.codePointAt(0)) ? char : '?'))
+            .join('');
+
+        const wrap = (text, font, size, maxWidth) => clean(text).split('\n').flatMap((paragraph) => {
+            const lines = [];
+            let line = '';
+            paragraph.split(/\s+/).filter(Boolean).forEach((word) => {
+                const candidate = line ? `${line} ${word}` : word;
+                if (font.widthOfTextAtSize(candidate, size) <= maxWidth || !line) {
+                    line = candidate;
+                } else {
+                    lines.push(line);
+                    line = word;
+                }
+            });
+            lines.push(line);
+            return lines;
+        });
+
+        let page;
+        let y;
+
+        const text = (value, x, atY, { font = fonts.regular, size = 10, color = COLORS.text, align = 'left', width = 0 } = {}) => {
+            const content = clean(value);
+            const textWidth = font.widthOfTextAtSize(content, size);
+            const drawX = align === 'right' ? x + width - textWidth : x;
+            page.drawText(content, { x: drawX, y: atY, size, font, color });
+        };
+
+        const addPage = () => {
+            page = pdfDoc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+            y = PAGE_HEIGHT - MARGIN;
+        };
+
+        const ensureSpace = (needed, onNewPage) => {
+            if (y - needed < MARGIN + FOOTER_SPACE) {
+                addPage();
+                if (onNewPage) onNewPage();
+            }
+        };
+
+        addPage();
+        await this.drawHeader(pdfDoc, page, { brand, text, fonts, document });
+        y = PAGE_HEIGHT - MARGIN - 110;
+
+        // Customer and document details side by side
+        const billToTop = y;
+        text('BILL TO', MARGIN, y, { font: fonts.bold, size: 9, color: COLORS.muted });
+        let leftY = y - 15;
+        (document.billTo || []).filter(Boolean).forEach((line, index) => {
+            text(line, MARGIN, leftY, { font: index === 0 ? fonts.bold : fonts.regular, size: 10 });
+            leftY -= 14;
+        });
+
+        let rightY = billToTop;
+        const metaX = MARGIN + CONTENT_WIDTH / 2 + 20;
+        const metaValueWidth = PAGE_WIDTH - MARGIN - metaX - 70;
+        (document.metaRows || []).filter(row => row.value).forEach((row) => {
+            // Long values such as a reference are shortened to fit beside the label
+            let value = clean(row.value);
+            while (value.length > 1 && fonts.bold.widthOfTextAtSize(value, 10) > metaValueWidth) {
+                value = `${value.slice(0, -2).trimEnd()}…`;
+            }
+            text(row.label, metaX, rightY, { size: 9, color: COLORS.muted });
+            text(value, metaX, rightY, { font: fonts.bold, size: 10, align: 'right', width: PAGE_WIDTH - MARGIN - metaX });
+            rightY -= 15;
+        });
+
+        y = Math.min(leftY, rightY) - 20;
+
+        // Item table
+        const descriptionWidth = CONTENT_WIDTH - COLUMNS.reduce((sum, column) => sum + (column.width || 0), 0);
+        const columns = COLUMNS.map((column, index) => ({
+            ...column,
+            width: column.width || descriptionWidth,
+            x: MARGIN + COLUMNS.slice(0, index).reduce((sum, item) => sum + (item.width || descriptionWidth), 0)
+        }));
+
+        const drawTableHeader = () => {
+            page.drawRectangle({ x: MARGIN, y: y - 6, width: CONTENT_WIDTH, height: 22, color: COLORS.headerFill });
+            columns.forEach((column) => {
+                text(column.label, column.x + 4, y, {
+                    font: fonts.bold,
+                    size: 9,
+                    color: COLORS.brand,
+                    align: column.align,
+                    width: column.width - 8
+                });
+            });
+            y -= 24;
+        };
+
+        drawTableHeader();
+
+        (document.items || []).forEach((item, index) => {
+            const descriptionLines = wrap(item.description, fonts.bold, 9.5, descriptionWidth - 8);
+            const detailLines = item.details ? wrap(item.details, fonts.regular, 8.5, descriptionWidth - 8) : [];
+            const rowHeight = descriptionLines.length * 12 + detailLines.length * 11 + 8;
+
+            ensureSpace(rowHeight, drawTableHeader);
+
+            const values = {
+                index: String(index + 1),
+                quantity: formatQuantity(item.quantity, item.unit),
+                unitPrice: formatMoney(item.unitPrice, document.currency),
+                discount: item.discountPercent ? `${item.discountPercent}%` : '',
+                amount: formatMoney(item.lineTotal, document.currency)
+            };
+
+            columns.forEach((column) => {
+                if (column.key === 'description') return;
+                text(values[column.key], column.x + 4, y, { size: 9.5, align: column.align, width: column.width - 8 });
+            });
+
+            let lineY = y;
+            descriptionLines.forEach((line) => {
+                text(line, columns[1].x + 4, lineY, { font: fonts.bold, size: 9.5 });
+                lineY -= 12;
+            });
+            detailLines.forEach((line) => {
+                text(line, columns[1].x + 4, lineY, { size: 8.5, color: COLORS.muted });
+                lineY -= 11;
+            });
+
+            y -= rowHeight;
+            page.drawLine({
+                start: { x: MARGIN, y: y + 8 },
+                end: { x: PAGE_WIDTH - MARGIN, y: y + 8 },
+                thickness: 0.5,
+                color: COLORS.line
+            });
+        });
+
+        // Totals, right-aligned under the amount column
+        const totalRows = document.totalRows || [];
+        ensureSpace(totalRows.length * 18 + 10);
+        y -= 6;
+        const totalsX = PAGE_WIDTH - MARGIN - 230;
+        totalRows.forEach((row) => {
+            if (row.bold) {
+                page.drawRectangle({ x: totalsX, y: y - 6, width: 230, height: 22, color: COLORS.headerFill });
+            }
+            const font = row.bold ? fonts.bold : fonts.regular;
+            text(row.label, totalsX + 6, y, { font, size: row.bold ? 11 : 10 });
+            text(row.value, totalsX, y, { font, size: row.bold ? 11 : 10, align: 'right', width: 224 });
+            y -= row.bold ? 26 : 18;
+        });
+
+        // Notes, terms and other free text
+        (document.sections || []).filter(section => section.text).forEach((section) => {
+            y -= 10;
+            ensureSpace(30);
+            text(section.title, MARGIN, y, { font: fonts.bold, size: 10, color: COLORS.brand });
+            y -= 15;
+            wrap(section.text, fonts.regular, 9, CONTENT_WIDTH).forEach((line) => {
+                ensureSpace(12);
+                text(line, MARGIN, y, { size: 9, color: COLORS.text });
+                y -= 12;
+            });
+        });
+
+        // Footer on every page
+        const pages = pdfDoc.getPages();
+        pages.forEach((pdfPage, index) => {
+            page = pdfPage;
+            page.drawLine({
+                start: { x: MARGIN, y: MARGIN + 20 },
+                end: { x: PAGE_WIDTH - MARGIN, y: MARGIN + 20 },
+                thickness: 0.5,
+                color: COLORS.line
+            });
+            text(
+                [brand.legalName || brand.name, brand.websiteUrl].filter(Boolean).join('  |  '),
+                MARGIN,
+                MARGIN + 6,
+                { size: 8, color: COLORS.muted }
+            );
+            text(`${document.number}  |  Page ${index + 1} of ${pages.length}`, MARGIN, MARGIN + 6, {
+                size: 8,
+                color: COLORS.muted,
+                align: 'right',
+                width: CONTENT_WIDTH
+            });
+        });
+
+        return pdfDoc.save();
+    }
+
+    /**
+     * Logo, company details and the document title across the top of the first page
+     */
+    async drawHeader(pdfDoc, page, { brand, text, fonts, document }) {
+        const top = PAGE_HEIGHT - MARGIN;
+        let textX = MARGIN;
+
+        try {
+            const logoBytes = await fs.readFile(LOGO_PATH);
+            const logo = await pdfDoc.embedPng(logoBytes);
+            const scaled = logo.scaleToFit(56, 56);
+            page.drawImage(logo, { x: MARGIN, y: top - scaled.height + 10, width: scaled.width, height: scaled.height });
+            textX += scaled.width + 12;
+        } catch {
+            // No logo on this server; the company name carries the header
+        }
+
+        text(brand.name || 'SAPTech Uganda', textX, top - 8, { font: fonts.bold, size: 16, color: COLORS.brand });
+        [brand.address, [brand.phone, brand.contactEmail].filter(Boolean).join('  |  '), brand.websiteUrl]
+            .filter(Boolean)
+            .forEach((line, index) => {
+                text(line, textX, top - 24 - index * 12, { size: 8.5, color: COLORS.muted });
+            });
+
+        text(document.title.toUpperCase(), MARGIN, top - 8, {
+            font: fonts.bold,
+            size: 22,
+            color: COLORS.text,
+            align: 'right',
+            width: CONTENT_WIDTH
+        });
+        text(document.number, MARGIN, top - 26, { size: 10, color: COLORS.muted, align: 'right', width: CONTENT_WIDTH });
+
+        page.drawLine({
+            start: { x: MARGIN, y: top - 70 },
+            end: { x: PAGE_WIDTH - MARGIN, y: top - 70 },
+            thickness: 1.5,
+            color: COLORS.brand
+        });
+    }
+}
+
+module.exports = new SalesDocumentPdfService();
@@ -133,6 +133,12 @@ class SMSAfricasTalkingService {
         return await this.sendSMS(this.adminNumber, message);
     }
 
+    async sendPaymentReceipt(payment, { providerLabel } = {}) {
+        const message = `SAP TECH: Payment received. ${payment.currency} ${Number(payment.amount).toLocaleString('en-US')} for ${payment.description} via ${providerLabel || 'mobile money'}. Txn ID: ${payment.providerTransactionId || payment.reference}. Thank you.`;
+        
+        return await this.sendSMS(`+${payment.phone}`, message);
+    }
+
     async sendCustomSMS(to, message) {
         return await this.sendSMS(to, message);
     }
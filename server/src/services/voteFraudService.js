@@ -0,0 +1,255 @@
+const { Nomination, VoteAuditLog } = require('../models');
+const { DISPOSABLE_DOMAINS } = require('../utils/emailValidator');
+
+// Thresholds for flagging votes. A vote is flagged when it belongs to a
+// cluster of at least `threshold` votes inside the window.
+const DEFAULT_RULES = {
+    ipBurst: { windowMinutes: 10, threshold: 3 },
+    subnetBurst: { windowMinutes: 10, threshold: 5 },
+    sequentialEmails: { threshold: 3 },
+    velocity: { windowMinutes: 60, threshold: 20, multiplier: 5 }
+};
+
+const REASON_LABELS = {
+    ip_burst: 'Burst of votes from one IP address',
+    subnet_burst: 'Burst of votes from one subnet',
+    disposable_email: 'Disposable email domain',
+    sequential_email: 'Sequential email addresses',
+    velocity_spike: 'Abnormal vote velocity on this nomination'
+};
+
+class VoteFraudService {
+    constructor(rules = DEFAULT_RULES) {
+        this.rules = rules;
+    }
+
+    // Group IPv4 addresses by /24 and IPv6 addresses by /64
+    getSubnet(ipAddress) {
+        if (!ipAddress) return null;
+        const ip = ipAddress.replace(/^::ffff:/, '');
+        if (/^\d{1,3}(\.\d{1,3}){3}$/.test(ip)) {
+            return `${ip.split('.').slice(0, 3).join('.')}.0/24`;
+        }
+        if (ip.includes(':')) {
+            return `${ip.split(':').slice(0, 4).join(':')}::/64`;
+        }
+        return null;
+    }
+
+    // Find votes sharing a key that fall inside a burst window
+    findBursts(votes, getKey, windowMinutes, threshold) {
+        const windowMs = windowMinutes * 60 * 1000;
+        const groups = new Map();
+        votes.forEach(vote => {
+            const key = getKey(vote);
+            if (!key) return;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(vote);
+        });
+
+        const bursts = [];
+        groups.forEach((groupVotes, key) => {
+            if (groupVotes.length < threshold) return;
+            const sorted = [...groupVotes].sort((a, b) => new Date(a.votedAt) - new Date(b.votedAt));
+            const flagged = new Set();
+            let start = 0;
+            for (let end = 0; end < sorted.length; end++) {
+                while (new Date(sorted[end].votedAt) - new Date(sorted[start].votedAt) > windowMs) start++;
+                if (end - start + 1 >= threshold) {
+                    for (let i = start; i <= end; i++) flagged.add(sorted[i]);
+                }
+            }
+            if (flagged.size > 0) bursts.push({ key, votes: [...flagged] });
+        });
+        return bursts;
+    }
+
+    // Find groups like jane1@x.com, jane2@x.com, jane3@x.com
+    findSequentialEmails(votes) {
+        const groups = new Map();
+        votes.forEach(vote => {
+            const [localPart, domain] = (vote.voterEmail || '').split('@');
+            const match = localPart && localPart.match(/^(.*?)(\d+)$/);
+            if (!match || !domain) return;
+            const key = `${match[1]}#@${domain}`;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(vote);
+        });
+
+        return [...groups.entries()]
+            .filter(([, groupVotes]) => groupVotes.length >= this.rules.sequentialEmails.threshold)
+            .map(([key, groupVotes]) => ({ key, votes: groupVotes }));
+    }
+
+    // Find windows where a nomination received far more votes than its usual rate
+    findVelocitySpikes(votes) {
+        const { windowMinutes, threshold, multiplier } = this.rules.velocity;
+        if (votes.length < threshold) return [];
+
+        const windowMs = windowMinutes * 60 * 1000;
+        const buckets = new Map();
+        votes.forEach(vote => {
+            const bucket = Math.floor(new Date(vote.votedAt).getTime() / windowMs);
+            if (!buckets.has(bucket)) buckets.set(bucket, []);
+            buckets.get(bucket).push(vote);
+        });
+
+        const bucketKeys = [...buckets.keys()];
+        const span = Math.max(...bucketKeys) - Math.min(...bucketKeys) + 1;
+
+        return [...buckets.entries()]
+            .filter(([, bucketVotes]) => {
+                if (bucketVotes.length < threshold) return false;
+                // Average rate across every other window in the voting period
+                const baseline = (votes.length - bucketVotes.length) / Math.max(span - 1, 1);
+                return bucketVotes.length >= multiplier * Math.max(baseline, 1);
+            })
+            .map(([bucket, bucketVotes]) => ({
+                key: new Date(bucket * windowMs).toISOString(),
+                votes: bucketVotes
+            }));
+    }
+
+    // Analyse one nomination's counted votes; returns a map of vote id -> reasons
+    analyseNomination(nomination) {
+        const votes = nomination.publicVotes.filter(vote => !vote.voided);
+        const flags = new Map();
+        const flag = (vote, code, detail) => {
+            const id = vote._id.toString();
+            if (!flags.has(id)) flags.set(id, { vote, reasons: [] });
+            const entry = flags.get(id);
+            if (!entry.reasons.some(reason => reason.code === code)) {
+                entry.reasons.push({ code, label: REASON_LABELS[code], detail });
+            }
+        };
+
+        const { ipBurst, subnetBurst } = this.rules;
+        this.findBursts(votes, vote => vote.ipAddress, ipBurst.windowMinutes, ipBurst.threshold)
+            .forEach(burst => burst.votes.forEach(vote =>
+                flag(vote, 'ip_burst', `${burst.votes.length} votes from ${burst.key} within ${ipBurst.windowMinutes} minutes`)));
+
+        this.findBursts(votes, vote => this.getSubnet(vote.ipAddress), subnetBurst.windowMinutes, subnetBurst.threshold)
+            .forEach(burst => burst.votes.forEach(vote =>
+                flag(vote, 'subnet_burst', `${burst.votes.length} votes from ${burst.key} within ${subnetBurst.windowMinutes} minutes`)));
+
+        votes.forEach(vote => {
+            const domain = (vote.voterEmail || '').split('@')[1];
+            if (domain && DISPOSABLE_DOMAINS.includes(domain)) {
+                flag(vote, 'disposable_email', `${domain} is a disposable email provider`);
+            }
+        });
+
+        this.findSequentialEmails(votes)
+            .forEach(group => group.votes.forEach(vote =>
+                flag(vote, 'sequential_email', `${group.votes.length} numbered addresses like ${group.key.replace('#', 'N')}`)));
+
+        this.findVelocitySpikes(votes)
+            .forEach(spike => spike.votes.forEach(vote =>
+                flag(vote, 'velocity_spike', `${spike.votes.length} votes in the ${this.rules.velocity.windowMinutes} minutes from ${spike.key}`)));
+
+        return flags;
+    }
+
+    // Build the admin review queue of flagged, not yet voided votes
+    async buildReviewQueue(filter = {}) {
+        const nominations = await Nomination.find({
+            ...filter,
+            'publicVotes.0': { $exists: true }
+        })
+            .select('nomineeName category edition votes publicVotes')
+            .populate('category', 'name');
+
+        const flaggedVotes = [];
+        const byReason = {};
+        let votesScanned = 0;
+
+        nominations.forEach(nomination => {
+            votesScanned += nomination.publicVotes.filter(vote => !vote.voided).length;
+            this.analyseNomination(nomination).forEach(({ vote, reasons }) => {
+                reasons.forEach(reason => {
+                    byReason[reason.code] = (byReason[reason.code] || 0) + 1;
+                });
+                flaggedVotes.push({
+                    nominationId: nomination._id,
+                    nomineeName: nomination.nomineeName,
+                    categoryName: nomination.category?.name || null,
+                    voteId: vote._id,
+                    voterEmail: vote.voterEmail,
+                    voterName: vote.voterName,
+                    ipAddress: vote.ipAddress,
+                    votedAt: vote.votedAt,
+                    reasons,
+                    score: reasons.length
+                });
+            });
+        });
+
+        flaggedVotes.sort((a, b) => b.score - a.score || new Date(b.votedAt) - new Date(a.votedAt));
+
+        return {
+            flaggedVotes,
+            summary: {
+                nominationsScanned: nominations.length,
+                votesScanned,
+                flaggedVotes: flaggedVotes.length,
+                byReason
+            }
+        };
+    }
+
+    // Void or restore votes grouped by nomination, recording an audit entry for each nomination
+    async setVotesVoided(selections, { voided, reason = '', performedBy = null }) {
+        const byNomination = new Map();
+        selections.forEach(({ nominationId, voteId }) => {
+            const key = String(nominationId);
+            if (!byNomination.has(key)) byNomination.set(key, []);
+            byNomination.get(key).push(String(voteId));
+        });
+
+        const results = [];
+        for (const [nominationId, voteIds] of byNomination) {
+            const nomination = await Nomination.findById(nominationId);
+            if (!nomination) continue;
+
+            // Capture the detector's flags before the votes stop counting
+            const flags = voided ? this.analyseNomination(nomination) : new Map();
+            const votesBefore = nomination.votes;
+            const changed = nomination.setVotesVoided(voteIds, voided, reason);
+            if (changed.length === 0) continue;
+
+            await nomination.save();
+
+            await VoteAuditLog.create({
+                action: voided ? 'void' : 'restore',
+                nomination: nomination._id,
+                nomineeName: nomination.nomineeName,
+                votes: changed.map(vote => ({
+                    voteId: vote._id,
+                    voterEmail: vote.voterEmail,
+                    ipAddress: vote.ipAddress,
+                    votedAt: vote.votedAt,
+                    flags: (flags.get(vote._id.toString())?.reasons || []).map(flagReason => flagReason.code)
+                })),
+                reason,
+                votesBefore,
+                votesAfter: nomination.votes,
+                performedBy
+            });
+
+            results.push({
+                nominationId: nomination._id,
+                nomineeName: nomination.nomineeName,
+                changed: changed.length,
+                votesBefore,
+                votesAfter: nomination.votes
+            });
+        }
+
+        return {
+            nominations: results,
+            totalChanged: results.reduce((total, result) => total + result.changed, 0)
+        };
+    }
+}
+
+module.exports = new VoteFraudService();
@@ -0,0 +1,10 @@
+// Public address of the website, used to build links sent in emails and
+// returned by the API
+const getClientUrl = () => String(
+  process.env.CLIENT_URL ||
+  process.env.FRONTEND_URL ||
+  process.env.PRODUCTION_CLIENT_URL ||
+  "https://saptechug.com"
+).replace(/\/+$/, "");
+
+module.exports = { getClientUrl };
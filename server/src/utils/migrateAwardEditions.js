@@ -0,0 +1,87 @@
+/**
+ * Migration Script: Assign Existing Award Data to an Edition
+ *
+ * Categories and nominations created before award editions existed have no
+ * edition. This script creates (or reuses) an edition for the given year and
+ * attaches every unscoped category, nomination and certificate to it, so the
+ * current cycle becomes the first archived edition.
+ *
+ * Usage: node src/utils/migrateAwardEditions.js --year=2026 [--name="SAPTech Awards 2026"]
+ */
+
+const mongoose = require('mongoose');
+const { AwardEdition, AwardCategory, Nomination } = require('../models/Award');
+const Certificate = require('../models/Certificate');
+require('dotenv').config();
+
+/**
+ * Read a --key=value command line option
+ */
+function getOption(name) {
+  const prefix = `--${name}=`;
+  const arg = process.argv.find(value => value.startsWith(prefix));
+  return arg ? arg.slice(prefix.length) : null;
+}
+
+/**
+ * Attach unscoped award data to an edition
+ */
+async function migrateAwardEditions({ year, name } = {}) {
+  try {
+    const editionYear = String(year || new Date().getFullYear());
+    const editionName = name || `SAPTech Awards ${editionYear}`;
+
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    let edition = await AwardEdition.findOne({ year: editionYear });
+    if (edition) {
+      console.log(`⏭️  Using existing edition "${edition.name}"`);
+    } else {
+      const hasCurrent = await AwardEdition.exists({ isCurrent: true });
+      edition = await AwardEdition.create({
+        name: editionName,
+        year: editionYear,
+        isCurrent: !hasCurrent
+      });
+      console.log(`🆕 Created edition "${edition.name}"${edition.isCurrent ? ' (current)' : ''}`);
+    }
+
+    const unscoped = { $or: [{ edition: null }, { edition: { $exists: false } }] };
+
+    const categories = await AwardCategory.updateMany(unscoped, { edition: edition._id });
+    const nominations = await Nomination.updateMany(unscoped, { edition: edition._id });
+    const certificates = await Certificate.updateMany(
+      { ...unscoped, awardYear: editionYear },
+      { edition: edition._id }
+    );
+
+    console.log('\n✅ Migration completed successfully!');
+    console.log(`🏷️  Categories: ${categories.modifiedCount}`);
+    console.log(`📝 Nominations: ${nominations.modifiedCount}`);
+    console.log(`📜 Certificates: ${certificates.modifiedCount}`);
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Disconnected from MongoDB');
+  }
+}
+
+// Run migration
+if (require.main === module) {
+  migrateAwardEditions({ year: getOption('year'), name: getOption('name') })
+    .then(() => {
+      console.log('🎉 All done!');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('💥 Fatal error:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrateAwardEditions };